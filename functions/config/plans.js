@@ -245,6 +245,7 @@ const getResourceDisplayName = (resourceType) => {
     contacts: 'contacts',
     posPerMonth: 'purchase orders this month',
     billsPerMonth: 'bills this month',
+    storageGB: 'GB of file storage',
   };
   return names[resourceType] || resourceType;
 };
@@ -1,5 +1,6 @@
 // SteadStack FARMS API - v1.0.2
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -52,6 +53,21 @@ app.use(cors({
   credentials: true,
 }));
 
+// Animal and soil lab imports carry whole CSV/EID reader files, boundary
+// imports and map features carry surveyed geometry with thousands of vertices
+app.use(['/api/animals/bulk/import', '/animals/bulk/import'], express.json({ limit: '2mb' }));
+app.use(
+  ['/api/land-tracts/:id/soil-tests/import', '/land-tracts/:id/soil-tests/import'],
+  express.json({ limit: '2mb' })
+);
+app.use(
+  ['/api/land-tracts/import', '/land-tracts/import', '/api/sites/:id', '/sites/:id'],
+  express.json({ limit: '2mb' })
+);
+app.use(['/api/spatial-features', '/spatial-features'], express.json({ limit: '2mb' }));
+// Attachments arrive base64-encoded, so allow for the ~4/3 overhead on a 10 MB file
+app.use(['/api/attachments', '/attachments'], express.json({ limit: '15mb' }));
+
 // Body parsing - preserve raw body for Stripe webhooks
 app.use(express.json({
   limit: '10kb',
@@ -105,3 +121,23 @@ exports.api = onRequest(
   },
   app
 );
+
+// Generate each tenant's task occurrences ahead of time (hourly).
+// Tenants are evaluated in their own timezone; see task-scheduler-service.
+exports.generateScheduledTasks = onSchedule(
+  {
+    schedule: 'every 60 minutes',
+    timeZone: 'UTC',
+    timeoutSeconds: 540,
+    memory: '512MiB',
+    region: 'us-central1',
+  },
+  async () => {
+    const { runScheduledGeneration } = require('./services/task-scheduler-service');
+    const summary = await runScheduledGeneration();
+    console.log(
+      `Task scheduler: ${summary.generated} occurrence(s) for ${summary.tenants} tenant(s)` +
+        (summary.failed ? `, ${summary.failed} failed` : '')
+    );
+  }
+);
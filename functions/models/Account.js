@@ -54,6 +54,7 @@ const accountSchema = new mongoose.Schema(
         'AP', // Accounts Payable
         'CREDIT_CARD',
         'LOAN',
+        'PAYROLL_LIABILITY',
         // Equity
         'OWNER_EQUITY',
         'RETAINED_EARNINGS',
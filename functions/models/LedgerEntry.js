@@ -63,7 +63,7 @@ const ledgerEntrySchema = new mongoose.Schema(
     // e.g., 'ANIMAL', 'INVENTORY_ITEM', 'VENDOR', 'CUSTOMER'
     entityType: {
       type: String,
-      enum: ['ANIMAL', 'ANIMAL_GROUP', 'INVENTORY_ITEM', 'VENDOR', 'CUSTOMER', 'SITE'],
+      enum: ['ANIMAL', 'ANIMAL_GROUP', 'INVENTORY_ITEM', 'VENDOR', 'CUSTOMER', 'SITE', 'LAND_TRACT', 'VEHICLE', 'FIXED_ASSET', 'CONTACT'],
     },
 
     // Optional: entity ID (Firestore or MongoDB ID depending on entityType)
@@ -16,6 +16,8 @@ const {
 } = require('../models');
 const { verifyToken } = require('../middleware/auth');
 const { requireFeature } = require('../middleware/planLimits');
+const firestoreService = require('../services/firestore');
+const timezoneService = require('../services/timezone-service');
 
 const router = express.Router();
 
@@ -40,6 +42,22 @@ const getTenantId = (req) => {
 };
 const getSiteId = (req) => req.query.siteId || req.body.siteId || null;
 
+// Timezone the tenant keeps its books in (site override, else the tenant's)
+const getTenantTimezone = async (req) => {
+  const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+  if (userData) {
+    return timezoneService.timezoneForSite(userData.tenant, getSiteId(req));
+  }
+  return timezoneService.resolveTimezone(req.user?.tenantId?.settings?.timezone);
+};
+
+// Document dates (invoice, bill, check, receipt, journal entry) are calendar
+// dates stored as UTC midnight. Ledger entries post at the start of that day
+// on the tenant's clock so day-bounded reports put them on the right day.
+const documentDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+const postingInstant = (date, timezone) =>
+  timezoneService.startOfDayInTimezone(documentDateKey(date), timezone);
+
 // ============================================
 // CHART OF ACCOUNTS
 // ============================================
@@ -230,9 +248,10 @@ router.get('/accounts/:id/balance', async (req, res, next) => {
 
     const filter = { tenantId, accountId: req.params.id };
     if (startDate || endDate) {
+      const range = timezoneService.dateRangeInTimezone(startDate, endDate, await getTenantTimezone(req));
       filter.occurredAt = {};
-      if (startDate) filter.occurredAt.$gte = new Date(startDate);
-      if (endDate) filter.occurredAt.$lte = new Date(endDate);
+      if (range.start) filter.occurredAt.$gte = range.start;
+      if (range.end) filter.occurredAt.$lte = range.end;
     }
 
     const entries = await LedgerEntry.aggregate([
@@ -342,7 +361,7 @@ router.delete('/customers/:id', async (req, res, next) => {
 router.get('/ar/aging', requireFeature('advancedAccounting'), async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
-    const today = new Date();
+    const today = timezoneService.dateKeyInTimezone(new Date(), await getTenantTimezone(req));
 
     const invoices = await Invoice.find({
       tenantId,
@@ -360,7 +379,8 @@ router.get('/ar/aging', requireFeature('advancedAccounting'), async (req, res, n
     };
 
     const details = invoices.map((inv) => {
-      const daysPastDue = Math.floor((today - inv.dueDate) / (1000 * 60 * 60 * 24));
+      // Whole days from the due date to the farm's today
+      const daysPastDue = timezoneService.daysBetweenKeys(documentDateKey(inv.dueDate), today);
       let bucket = 'current';
       if (daysPastDue > 90) bucket = 'over90';
       else if (daysPastDue > 60) bucket = 'days61to90';
@@ -465,7 +485,7 @@ router.delete('/vendors/:id', async (req, res, next) => {
 router.get('/ap/aging', requireFeature('advancedAccounting'), async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
-    const today = new Date();
+    const today = timezoneService.dateKeyInTimezone(new Date(), await getTenantTimezone(req));
 
     const bills = await Bill.find({
       tenantId,
@@ -483,7 +503,8 @@ router.get('/ap/aging', requireFeature('advancedAccounting'), async (req, res, n
     };
 
     const details = bills.map((bill) => {
-      const daysPastDue = Math.floor((today - bill.dueDate) / (1000 * 60 * 60 * 24));
+      // Whole days from the due date to the farm's today
+      const daysPastDue = timezoneService.daysBetweenKeys(documentDateKey(bill.dueDate), today);
       let bucket = 'current';
       if (daysPastDue > 90) bucket = 'over90';
       else if (daysPastDue > 60) bucket = 'days61to90';
@@ -626,6 +647,7 @@ router.delete('/invoices/:id', async (req, res, next) => {
 router.post('/invoices/:id/send', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const invoice = await Invoice.findOne({ _id: req.params.id, tenantId }).populate('customerId');
 
     if (!invoice) {
@@ -688,7 +710,7 @@ router.post('/invoices/:id/send', async (req, res, next) => {
       tenantId,
       transactionId: transaction._id,
       accountId: arAccount._id,
-      occurredAt: invoice.invoiceDate,
+      occurredAt: postingInstant(invoice.invoiceDate, timezone),
       debit: invoice.total,
       credit: 0,
       memo: `Invoice ${invoice.invoiceNumber} - ${invoice.customerId?.name || ''}`,
@@ -703,7 +725,7 @@ router.post('/invoices/:id/send', async (req, res, next) => {
         tenantId,
         transactionId: transaction._id,
         accountId: line.accountId,
-        occurredAt: invoice.invoiceDate,
+        occurredAt: postingInstant(invoice.invoiceDate, timezone),
         debit: 0,
         credit: line.amount || (line.quantity * line.unitPrice),
         memo: line.description || invoice.invoiceNumber,
@@ -852,6 +874,7 @@ router.delete('/bills/:id', async (req, res, next) => {
 router.post('/bills/:id/post', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const bill = await Bill.findOne({ _id: req.params.id, tenantId }).populate('vendorId');
 
     if (!bill) {
@@ -908,7 +931,7 @@ router.post('/bills/:id/post', async (req, res, next) => {
         tenantId,
         transactionId: transaction._id,
         accountId: line.accountId,
-        occurredAt: bill.billDate,
+        occurredAt: postingInstant(bill.billDate, timezone),
         debit: line.amount || (line.quantity * line.unitPrice),
         credit: 0,
         memo: line.description || bill.billNumber,
@@ -923,7 +946,7 @@ router.post('/bills/:id/post', async (req, res, next) => {
       tenantId,
       transactionId: transaction._id,
       accountId: apAccount._id,
-      occurredAt: bill.billDate,
+      occurredAt: postingInstant(bill.billDate, timezone),
       debit: 0,
       credit: bill.total,
       memo: `Bill ${bill.billNumber} - ${bill.vendorId?.name || ''}`,
@@ -1061,6 +1084,7 @@ router.post('/checks/:id/void', async (req, res, next) => {
 router.post('/checks/:id/post', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const check = await Check.findOne({ _id: req.params.id, tenantId })
       .populate('vendorId')
       .populate('bankAccountId');
@@ -1135,7 +1159,7 @@ router.post('/checks/:id/post', async (req, res, next) => {
           tenantId,
           transactionId: transaction._id,
           accountId: apAccount._id,
-          occurredAt: check.checkDate,
+          occurredAt: postingInstant(check.checkDate, timezone),
           debit: totalBillPayments,
           credit: 0,
           memo: `Check #${check.checkNumber} - Bill Payments`,
@@ -1154,7 +1178,7 @@ router.post('/checks/:id/post', async (req, res, next) => {
             tenantId,
             transactionId: transaction._id,
             accountId: line.accountId,
-            occurredAt: check.checkDate,
+            occurredAt: postingInstant(check.checkDate, timezone),
             debit: line.amount,
             credit: 0,
             memo: line.description || `Check #${check.checkNumber}`,
@@ -1170,7 +1194,7 @@ router.post('/checks/:id/post', async (req, res, next) => {
         tenantId,
         transactionId: transaction._id,
         accountId: apAccount._id,
-        occurredAt: check.checkDate,
+        occurredAt: postingInstant(check.checkDate, timezone),
         debit: check.amount,
         credit: 0,
         memo: `Check #${check.checkNumber} - Payment`,
@@ -1185,7 +1209,7 @@ router.post('/checks/:id/post', async (req, res, next) => {
       tenantId,
       transactionId: transaction._id,
       accountId: check.bankAccountId._id || check.bankAccountId,
-      occurredAt: check.checkDate,
+      occurredAt: postingInstant(check.checkDate, timezone),
       debit: 0,
       credit: check.amount,
       memo: `Check #${check.checkNumber}`,
@@ -1308,6 +1332,7 @@ router.put('/receipts/:id', async (req, res, next) => {
 router.post('/receipts/:id/post', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const receipt = await Receipt.findOne({ _id: req.params.id, tenantId })
       .populate('customerId')
       .populate('depositAccountId');
@@ -1356,7 +1381,7 @@ router.post('/receipts/:id/post', async (req, res, next) => {
       tenantId,
       transactionId: transaction._id,
       accountId: receipt.depositAccountId._id || receipt.depositAccountId,
-      occurredAt: receipt.receiptDate,
+      occurredAt: postingInstant(receipt.receiptDate, timezone),
       debit: receipt.amount,
       credit: 0,
       memo: `Receipt from ${receipt.customerId?.name || 'Customer'}`,
@@ -1391,7 +1416,7 @@ router.post('/receipts/:id/post', async (req, res, next) => {
           tenantId,
           transactionId: transaction._id,
           accountId: arAccount._id,
-          occurredAt: receipt.receiptDate,
+          occurredAt: postingInstant(receipt.receiptDate, timezone),
           debit: 0,
           credit: totalInvoicePayments,
           memo: `Receipt - Invoice Payments`,
@@ -1416,7 +1441,7 @@ router.post('/receipts/:id/post', async (req, res, next) => {
             tenantId,
             transactionId: transaction._id,
             accountId: incomeAccount._id,
-            occurredAt: receipt.receiptDate,
+            occurredAt: postingInstant(receipt.receiptDate, timezone),
             debit: 0,
             credit: difference,
             memo: `Receipt - Other Income`,
@@ -1430,7 +1455,7 @@ router.post('/receipts/:id/post', async (req, res, next) => {
         tenantId,
         transactionId: transaction._id,
         accountId: arAccount._id,
-        occurredAt: receipt.receiptDate,
+        occurredAt: postingInstant(receipt.receiptDate, timezone),
         debit: 0,
         credit: receipt.amount,
         memo: `Receipt from ${receipt.customerId?.name || 'Customer'}`,
@@ -1720,7 +1745,9 @@ router.get('/reports/trial-balance', async (req, res, next) => {
 
     const accounts = await Account.find({ tenantId, isActive: true }).sort({ code: 1 });
 
-    const dateFilter = asOfDate ? { occurredAt: { $lte: new Date(asOfDate) } } : {};
+    // As of the end of that day on the farm's clock
+    const { end } = timezoneService.dateRangeInTimezone(null, asOfDate, await getTenantTimezone(req));
+    const dateFilter = end ? { occurredAt: { $lte: end } } : {};
 
     const balances = await LedgerEntry.aggregate([
       { $match: { tenantId, ...dateFilter } },
@@ -1771,9 +1798,11 @@ router.get('/reports/income-statement', async (req, res, next) => {
     const tenantId = getTenantId(req);
     const { startDate, endDate } = req.query;
 
+    // Whole days on the farm's clock, start and end dates inclusive
+    const range = timezoneService.dateRangeInTimezone(startDate, endDate, await getTenantTimezone(req));
     const dateFilter = {};
-    if (startDate) dateFilter.$gte = new Date(startDate);
-    if (endDate) dateFilter.$lte = new Date(endDate);
+    if (range.start) dateFilter.$gte = range.start;
+    if (range.end) dateFilter.$lte = range.end;
 
     const accounts = await Account.find({
       tenantId,
@@ -1853,7 +1882,9 @@ router.get('/reports/balance-sheet', async (req, res, next) => {
     const tenantId = getTenantId(req);
     const { asOfDate } = req.query;
 
-    const dateFilter = asOfDate ? { occurredAt: { $lte: new Date(asOfDate) } } : {};
+    // As of the end of that day on the farm's clock
+    const { end } = timezoneService.dateRangeInTimezone(null, asOfDate, await getTenantTimezone(req));
+    const dateFilter = end ? { occurredAt: { $lte: end } } : {};
 
     const accounts = await Account.find({
       tenantId,
@@ -1935,9 +1966,10 @@ router.get('/transactions', async (req, res, next) => {
     const filter = { tenantId };
     if (accountId) filter.accountId = accountId;
     if (startDate || endDate) {
+      const range = timezoneService.dateRangeInTimezone(startDate, endDate, await getTenantTimezone(req));
       filter.occurredAt = {};
-      if (startDate) filter.occurredAt.$gte = new Date(startDate);
-      if (endDate) filter.occurredAt.$lte = new Date(endDate);
+      if (range.start) filter.occurredAt.$gte = range.start;
+      if (range.end) filter.occurredAt.$lte = range.end;
     }
 
     const entries = await LedgerEntry.find(filter)
@@ -2170,6 +2202,7 @@ router.delete('/journal-entries/:id', async (req, res, next) => {
 router.post('/journal-entries/:id/post', async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const entry = await JournalEntry.findOne({ _id: req.params.id, tenantId });
 
     if (!entry) {
@@ -2210,7 +2243,7 @@ router.post('/journal-entries/:id/post', async (req, res, next) => {
       tenantId,
       transactionId: transaction._id,
       accountId: line.accountId,
-      occurredAt: entry.entryDate,
+      occurredAt: postingInstant(entry.entryDate, timezone),
       debit: line.debit,
       credit: line.credit,
       memo: line.description,
@@ -2250,6 +2283,7 @@ router.post('/journal-entries/:id/reverse', [
 ], validate, async (req, res, next) => {
   try {
     const tenantId = getTenantId(req);
+    const timezone = await getTenantTimezone(req);
     const entry = await JournalEntry.findOne({ _id: req.params.id, tenantId });
 
     if (!entry) {
@@ -2320,7 +2354,7 @@ router.post('/journal-entries/:id/reverse', [
       tenantId,
       transactionId: transaction._id,
       accountId: line.accountId,
-      occurredAt: reversingEntry.entryDate,
+      occurredAt: postingInstant(reversingEntry.entryDate, timezone),
       debit: line.debit,
       credit: line.credit,
       memo: line.description,
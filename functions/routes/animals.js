@@ -1,9 +1,17 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth');
 const { checkPlanLimit, incrementUsageAfterCreate } = require('../middleware/planLimits');
 const firestoreService = require('../services/firestore');
 const accountingService = require('../services/accounting');
+const animalHealthService = require('../services/animal-health-service');
+const breedingService = require('../services/breeding-service');
+const pedigreeService = require('../services/pedigree-service');
+const animalImportService = require('../services/animal-import-service');
+const animalMortalityService = require('../services/animal-mortality-service');
+const feedForecastService = require('../services/feed-forecast-service');
+const grazingService = require('../services/grazing-service');
+const planLimitsService = require('../services/plan-limits-service');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -91,6 +99,8 @@ router.post(
     body('name').notEmpty().withMessage('Name is required'),
     body('type').optional().isIn(Object.values(firestoreService.AnimalGroupType)),
     body('species').optional().isIn(Object.values(firestoreService.AnimalSpecies)),
+    body('targetWeight.value').optional().isNumeric(),
+    body('targetWeight.unit').optional().isIn(['lbs', 'kg']),
   ],
   checkPlanLimit('animals'),
   async (req, res) => {
@@ -168,6 +178,288 @@ router.patch(
   }
 );
 
+/**
+ * POST /api/animals/groups/:id/weigh-ins
+ * Record a group weigh-in (average per head, or total weight and head count)
+ */
+router.post(
+  '/groups/:id/weigh-ins',
+  [
+    param('id').notEmpty().withMessage('Group ID is required'),
+    body('averageWeight').optional().isFloat({ gt: 0 }),
+    body('totalWeight').optional().isFloat({ gt: 0 }),
+    body('headCount').optional().isInt({ min: 1 }),
+    body('unit').optional().isIn(['lbs', 'kg']),
+    body('weighedAt').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const weighIn = await firestoreService.recordGroupWeighIn(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({
+        success: true,
+        data: { weighIn },
+      });
+    } catch (error) {
+      console.error('Error recording group weigh-in:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record group weigh-in',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/groups/:id/growth
+ * Group average weight, ADG and projected market-ready date
+ */
+router.get(
+  '/groups/:id/growth',
+  [param('id').notEmpty().withMessage('Group ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await firestoreService.getGroupGrowth(userData.tenantId, req.params.id);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error fetching group growth:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch group growth',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/groups/:id/moves
+ * Pasture move history for a group, newest first
+ */
+router.get(
+  '/groups/:id/moves',
+  [param('id').notEmpty().withMessage('Group ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const moves = await grazingService.getGroupMoves(userData.tenantId, req.params.id, {
+        limit: req.query.limit,
+      });
+
+      res.json({ success: true, data: { moves } });
+    } catch (error) {
+      console.error('Error fetching group moves:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch group moves' });
+    }
+  }
+);
+
+// ============================================
+// RATION PLANS
+// ============================================
+
+/**
+ * GET /api/animals/rations
+ * List group ration plans with today's feed at current head count
+ */
+router.get('/rations', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { groupId, siteId, active } = req.query;
+    const { tenantId } = userData;
+
+    const plans = await firestoreService.getRationPlans(tenantId, {
+      groupId,
+      siteId,
+      active: active === undefined ? undefined : active === 'true',
+    });
+
+    const rations = await Promise.all(
+      plans.map(async (plan) => {
+        const group = await firestoreService.getAnimalGroup(tenantId, plan.groupId);
+        const headCount = group?.animalCount || 0;
+        return {
+          ...plan,
+          headCount,
+          dailyFeed: firestoreService.computeRationDailyFeed(plan, headCount),
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      data: { rations },
+    });
+  } catch (error) {
+    console.error('Error fetching ration plans:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ration plans' });
+  }
+});
+
+/**
+ * POST /api/animals/groups/:id/rations
+ * Create a ration plan (lbs per head per day of each feed item) for a group
+ * Generates today's feeding tasks right away
+ */
+router.post(
+  '/groups/:id/rations',
+  [
+    param('id').notEmpty().withMessage('Group ID is required'),
+    body('name').optional().isString(),
+    body('items').isArray({ min: 1 }).withMessage('At least one feed item is required'),
+    body('items.*.itemId').notEmpty().withMessage('Feed item ID is required'),
+    body('items.*.lbsPerHeadPerDay').isFloat({ gt: 0 }).withMessage('Pounds per head per day must be positive'),
+    body('items.*.lbsPerUnit').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('feedingTimes').optional().isArray({ min: 1 }),
+    body('feedingTimes.*').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Feeding times must be HH:MM'),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional({ nullable: true }).isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { tenantId } = userData;
+
+      const ration = await firestoreService.createRationPlan(
+        tenantId,
+        req.params.id,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      // Auto-generate today's feeding tasks for the new ration
+      let generatedOccurrences = [];
+      try {
+        generatedOccurrences = await firestoreService.generateRationTasksForDate(
+          tenantId,
+          new Date(),
+          req.firebaseUser.uid
+        );
+      } catch (genError) {
+        console.error('Error generating ration feeding tasks:', genError);
+        // Don't fail the ration creation if generation fails
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ration,
+          generatedTasks: generatedOccurrences.length,
+        },
+      });
+    } catch (error) {
+      console.error('Error creating ration plan:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create ration plan',
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/animals/rations/:rationId
+ * Update a ration plan; set active=false to stop generating feeding tasks
+ * Unstarted feeding tasks from today on are rebuilt from the updated plan
+ */
+router.patch(
+  '/rations/:rationId',
+  [
+    param('rationId').notEmpty().withMessage('Ration ID is required'),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.itemId').optional().notEmpty(),
+    body('items.*.lbsPerHeadPerDay').optional().isFloat({ gt: 0 }),
+    body('items.*.lbsPerUnit').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('feedingTimes').optional().isArray({ min: 1 }),
+    body('feedingTimes.*').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Feeding times must be HH:MM'),
+    body('active').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await firestoreService.getRationPlan(userData.tenantId, req.params.rationId);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Ration plan not found' });
+      }
+
+      const ration = await firestoreService.updateRationPlan(
+        userData.tenantId,
+        req.params.rationId,
+        req.body
+      );
+
+      // Put back today's feeding tasks with the updated ration
+      if (ration.active) {
+        try {
+          await firestoreService.generateRationTasksForDate(userData.tenantId, new Date(), req.firebaseUser.uid);
+        } catch (genError) {
+          console.error('Error generating ration feeding tasks:', genError);
+        }
+      }
+
+      res.json({
+        success: true,
+        data: { ration },
+      });
+    } catch (error) {
+      console.error('Error updating ration plan:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update ration plan',
+      });
+    }
+  }
+);
+
 // ============================================
 // ANIMALS (Individual)
 // ============================================
@@ -393,6 +685,9 @@ router.post(
   [
     param('id').notEmpty().withMessage('Animal ID is required'),
     body('status').isIn(Object.values(firestoreService.AnimalStatus)).withMessage('Invalid status'),
+    body('cause').optional().isIn(Object.values(animalMortalityService.MortalityCause)),
+    body('disposalMethod').optional().isIn(Object.values(animalMortalityService.DisposalMethod)),
+    body('date').optional().isISO8601(),
   ],
   async (req, res) => {
     try {
@@ -408,6 +703,28 @@ router.post(
 
       const { status, reason } = req.body;
 
+      // Deaths and culls go through the mortality workflow so cost basis is written off
+      if (Object.values(animalMortalityService.MortalityType).includes(status)) {
+        const result = await animalMortalityService.recordMortality(
+          userData.tenantId,
+          req.params.id,
+          {
+            type: status,
+            cause: req.body.cause,
+            causeDetail: reason,
+            disposalMethod: req.body.disposalMethod,
+            date: req.body.date,
+            notes: req.body.notes,
+          },
+          req.firebaseUser.uid
+        );
+
+        return res.json({
+          success: true,
+          data: result,
+        });
+      }
+
       const animal = await firestoreService.updateAnimalStatus(
         userData.tenantId,
         req.params.id,
@@ -472,6 +789,94 @@ router.post(
   }
 );
 
+/**
+ * POST /api/animals/bulk/import
+ * Import animals from a CSV file or EID reader export
+ * dryRun (default true) returns a per-row preview without writing anything;
+ * dryRun: false creates every animal in one batch, or none if any row fails.
+ */
+router.post(
+  '/bulk/import',
+  [
+    body('siteId').notEmpty().withMessage('Site ID is required'),
+    body('content').isString().notEmpty().withMessage('File content is required'),
+    body('format').optional().isIn(Object.values(animalImportService.ImportFormat)),
+    body('groupId').optional({ nullable: true }).isString(),
+    body('species').optional().isIn(Object.values(firestoreService.AnimalSpecies)),
+    body('weightUnit').optional().isIn(['lbs', 'kg']),
+    body('dateFormat').optional().isIn(['MDY', 'DMY']),
+    body('dryRun').optional().isBoolean(),
+  ],
+  checkPlanLimit('animals', (req) =>
+    req.body.dryRun === false ? animalImportService.countImportRows(req.body) : 0
+  ),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      // Use userData from middleware if available
+      const userData = req.userData || await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { tenantId } = userData;
+
+      if (req.body.dryRun !== false) {
+        const preview = await animalImportService.previewImport(tenantId, req.body);
+
+        // Let the preview warn before the commit hits the plan limit
+        const tenant = req.tenantData || await firestoreService.getTenant(tenantId);
+        const planLimit = await planLimitsService.checkLimit(
+          tenantId,
+          tenant?.plan || 'free',
+          'animals',
+          preview.summary.valid
+        );
+
+        return res.json({
+          success: true,
+          data: { preview, planLimit },
+        });
+      }
+
+      let result;
+      try {
+        result = await animalImportService.commitImport(tenantId, req.body, req.firebaseUser.uid);
+      } catch (importError) {
+        if (importError.preview) {
+          return res.status(400).json({
+            success: false,
+            message: `Import not committed: ${importError.message}`,
+            data: { preview: importError.preview },
+          });
+        }
+        throw importError;
+      }
+
+      // Increment usage counter
+      await incrementUsageAfterCreate(tenantId, 'animals', result.created.length);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          importedCount: result.created.length,
+          animals: result.created,
+        },
+      });
+    } catch (error) {
+      console.error('Error importing animals:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to import animals',
+      });
+    }
+  }
+);
+
 // ============================================
 // LIVESTOCK EVENTS (Feed, Sell, etc.)
 // ============================================
@@ -558,6 +963,11 @@ router.post(
           console.error('Feed livestock posting failed:', postingError);
           processingResult = { success: false, error: postingError.message };
         }
+
+        // Reorder ahead of the projected stock-out, not just at the reorder point
+        if (processingResult?.success) {
+          await feedForecastService.checkItemRunway(tenantId, siteId, feedItemId, req.firebaseUser.uid);
+        }
       }
 
       res.status(201).json({
@@ -589,6 +999,8 @@ router.post(
     body('saleAmount').isNumeric().custom((v) => v > 0).withMessage('Sale amount must be positive'),
     body('paymentMethod').optional().isIn(['CASH', 'CREDIT']),
     body('processImmediately').optional().isBoolean(),
+    body('overrideWithdrawal').optional().isBoolean(),
+    body('withdrawalOverrideReason').optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -612,9 +1024,36 @@ router.post(
         notes,
         paymentMethod = 'CREDIT',
         processImmediately = true,
+        overrideWithdrawal = false,
+        withdrawalOverrideReason,
       } = req.body;
       const { tenantId } = userData;
 
+      // Refuse to sell animals still inside a meat withdrawal window
+      const withdrawals = await animalHealthService.getActiveWithdrawals(tenantId, {
+        animalIds,
+        groupIds: livestockGroupId ? [livestockGroupId] : [],
+        kind: 'meat',
+      });
+
+      if (withdrawals.length > 0) {
+        if (!overrideWithdrawal) {
+          return res.status(409).json({
+            success: false,
+            code: 'WITHDRAWAL_ACTIVE',
+            message: 'One or more selected animals are still inside a drug withdrawal period',
+            data: { withdrawals },
+          });
+        }
+
+        if (!withdrawalOverrideReason) {
+          return res.status(400).json({
+            success: false,
+            message: 'A reason is required to override an active withdrawal period',
+          });
+        }
+      }
+
       // Create event
       const idempotencyKey = accountingService.generateIdempotencyKey(
         tenantId,
@@ -637,6 +1076,18 @@ router.post(
             buyer: buyer || null,
             notes: notes || null,
             paymentMethod,
+            withdrawalOverride: withdrawals.length > 0
+              ? {
+                reason: withdrawalOverrideReason,
+                overriddenBy: req.firebaseUser.uid,
+                withdrawals: withdrawals.map((w) => ({
+                  animalId: w.animalId || null,
+                  groupId: w.groupId || null,
+                  recordId: w.recordId,
+                  meatWithdrawalEndDate: w.meatWithdrawalEndDate,
+                })),
+              }
+              : null,
           },
           idempotencyKey,
         },
@@ -687,25 +1138,877 @@ router.post(
 );
 
 // ============================================
-// METADATA
+// WEIGHT HISTORY
 // ============================================
 
 /**
- * GET /api/animals/species
- * Get available animal species
+ * GET /api/animals/:id/weights
+ * Weight history with ADG between weigh-ins and over the animal's life
  */
-router.get('/meta/species', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      species: Object.entries(firestoreService.AnimalSpecies).map(([key, value]) => ({
-        value,
-        label: key.charAt(0) + key.slice(1).toLowerCase(),
-      })),
-    },
-  });
-});
-
+router.get(
+  '/:id/weights',
+  [param('id').notEmpty().withMessage('Animal ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await firestoreService.getAnimalWeightHistory(
+        userData.tenantId,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error fetching weight history:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch weight history',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/animals/:id/weights
+ * Record a scale reading for an animal
+ */
+router.post(
+  '/:id/weights',
+  [
+    param('id').notEmpty().withMessage('Animal ID is required'),
+    body('weight').isFloat({ gt: 0 }).withMessage('Weight must be greater than zero'),
+    body('unit').optional().isIn(['lbs', 'kg']),
+    body('weighedAt').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const weighIn = await firestoreService.recordAnimalWeight(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({
+        success: true,
+        data: { weighIn },
+      });
+    } catch (error) {
+      console.error('Error recording weight:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record weight',
+      });
+    }
+  }
+);
+
+// ============================================
+// HEALTH RECORDS (Treatments, Vaccinations, Diagnoses)
+// ============================================
+
+/**
+ * GET /api/animals/health/records
+ * List health records, optionally filtered by animal, group or type
+ */
+router.get('/health/records', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { animalId, groupId, type, limit = 100 } = req.query;
+
+    const records = await animalHealthService.getHealthRecords(userData.tenantId, {
+      animalId,
+      groupId,
+      type,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: { records },
+    });
+  } catch (error) {
+    console.error('Error fetching health records:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch health records' });
+  }
+});
+
+/**
+ * GET /api/animals/health/withdrawals
+ * List animals/groups currently inside a withdrawal window
+ * Query: animalIds (comma-separated), groupId, kind (meat|milk), asOf
+ */
+router.get('/health/withdrawals', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { tenantId } = userData;
+    const { groupId, kind, asOf } = req.query;
+
+    // Default to every active animal in scope
+    let animalIds = req.query.animalIds ? req.query.animalIds.split(',') : null;
+    if (!animalIds) {
+      const animals = await firestoreService.getAnimals(tenantId, {
+        groupId,
+        limit: 1000,
+        skipOrder: true,
+      });
+      animalIds = animals.map((a) => a.id);
+    }
+
+    const withdrawals = await animalHealthService.getActiveWithdrawals(tenantId, {
+      animalIds,
+      groupIds: groupId ? [groupId] : [],
+      kind,
+      asOf: asOf ? new Date(asOf) : new Date(),
+    });
+
+    res.json({
+      success: true,
+      data: { withdrawals },
+    });
+  } catch (error) {
+    console.error('Error fetching withdrawals:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch withdrawals' });
+  }
+});
+
+/**
+ * POST /api/animals/health
+ * Record a treatment, vaccination or diagnosis for animals or a group
+ * Products drawn from inventory post a TREAT_LIVESTOCK event
+ */
+router.post(
+  '/health',
+  [
+    body('type').optional().isIn(Object.values(animalHealthService.HealthRecordType)),
+    body('animalIds').optional().isArray(),
+    body('groupId').optional().isString(),
+    body('siteId').optional().isString(),
+    body('administeredAt').optional().isISO8601(),
+    body('itemId').optional().isString(),
+    body('dose.amount').optional().isNumeric(),
+    body('route').optional().isIn(Object.values(animalHealthService.AdministrationRoute)),
+    body('meatWithdrawalDays').optional().isNumeric(),
+    body('milkWithdrawalDays').optional().isNumeric(),
+    body('processImmediately').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { tenantId } = userData;
+      const { processImmediately = true } = req.body;
+
+      if (!req.body.groupId && !(req.body.animalIds?.length > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Either animalIds or groupId is required',
+        });
+      }
+
+      const record = await animalHealthService.createHealthRecord(
+        tenantId,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      // Draw the product from inventory through the posting engine
+      let event = null;
+      let processingResult = null;
+      if (record.itemId && record.siteId && record.totalQty > 0) {
+        const balance = await firestoreService.getSiteInventoryBalance(
+          tenantId,
+          record.siteId,
+          record.itemId
+        );
+        const item = await firestoreService.getInventoryItem(tenantId, record.itemId);
+        const costPerUnit = balance.avgCostPerUnit || item?.defaultCostPerUnit || 0;
+
+        const idempotencyKey = accountingService.generateIdempotencyKey(
+          tenantId,
+          `health-${record.id}`,
+          { healthRecordId: record.id, itemId: record.itemId, qty: record.totalQty }
+        );
+
+        event = await firestoreService.createEvent(
+          tenantId,
+          {
+            siteId: record.siteId,
+            type: 'TREAT_LIVESTOCK',
+            occurredAt: record.administeredAt,
+            sourceType: 'HEALTH_RECORD',
+            sourceId: record.id,
+            payload: {
+              healthRecordId: record.id,
+              recordType: record.type,
+              itemId: record.itemId,
+              qty: record.totalQty,
+              costPerUnit,
+              totalCost: record.totalQty * costPerUnit,
+              livestockGroupId: record.groupId,
+              animalIds: record.animalIds,
+            },
+            idempotencyKey,
+          },
+          req.firebaseUser.uid
+        );
+
+        record.eventId = event.id;
+        await animalHealthService.updateHealthRecord(tenantId, record.id, { eventId: event.id });
+
+        if (processImmediately) {
+          try {
+            const lockerId = `api-${uuidv4()}`;
+            processingResult = await accountingService.processEvent(tenantId, event.id, lockerId);
+          } catch (postingError) {
+            console.error('Treatment posting failed:', postingError);
+            processingResult = { success: false, error: postingError.message };
+          }
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          record,
+          event,
+          processing: processingResult,
+        },
+      });
+    } catch (error) {
+      console.error('Error creating health record:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create health record',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/:id/health
+ * Health history and current withdrawal status for an animal
+ */
+router.get(
+  '/:id/health',
+  [param('id').notEmpty().withMessage('Animal ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { tenantId } = userData;
+
+      const [records, withdrawals] = await Promise.all([
+        animalHealthService.getHealthRecords(tenantId, { animalId: req.params.id }),
+        animalHealthService.getActiveWithdrawals(tenantId, { animalIds: [req.params.id] }),
+      ]);
+
+      res.json({
+        success: true,
+        data: { records, withdrawals },
+      });
+    } catch (error) {
+      console.error('Error fetching animal health history:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch health history' });
+    }
+  }
+);
+
+// ============================================
+// MORTALITY & CULLING
+// ============================================
+
+/**
+ * GET /api/animals/mortality/records
+ * Dead and culled animals with cause, disposal and cost written off
+ */
+router.get('/mortality/records', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { siteId, groupId, startDate, endDate, limit = 100 } = req.query;
+
+    const result = await animalMortalityService.getMortalityRecords(userData.tenantId, {
+      siteId,
+      groupId,
+      startDate,
+      endDate,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error fetching mortality records:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch mortality records' });
+  }
+});
+
+/**
+ * POST /api/animals/:id/mortality
+ * Record a death or cull and write the animal's cost basis off to death loss
+ */
+router.post(
+  '/:id/mortality',
+  [
+    param('id').notEmpty().withMessage('Animal ID is required'),
+    body('type').isIn(Object.values(animalMortalityService.MortalityType)).withMessage('Type must be deceased or culled'),
+    body('cause').isIn(Object.values(animalMortalityService.MortalityCause)).withMessage('Invalid cause'),
+    body('causeDetail').optional().isString(),
+    body('disposalMethod').isIn(Object.values(animalMortalityService.DisposalMethod)).withMessage('Invalid disposal method'),
+    body('date').optional().isISO8601().withMessage('Invalid date'),
+    body('notes').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const animal = await firestoreService.getAnimal(userData.tenantId, req.params.id);
+      if (!animal) {
+        return res.status(404).json({ success: false, message: 'Animal not found' });
+      }
+
+      const result = await animalMortalityService.recordMortality(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error recording mortality:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record mortality',
+      });
+    }
+  }
+);
+
+// ============================================
+// BREEDING & REPRODUCTION
+// ============================================
+
+/**
+ * GET /api/animals/breeding/records
+ * List breeding records, optionally filtered by dam, sire, site or status
+ */
+router.get('/breeding/records', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { damId, sireId, siteId, status, limit = 100 } = req.query;
+
+    const records = await breedingService.getBreedingRecords(userData.tenantId, {
+      damId,
+      sireId,
+      siteId,
+      status,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: { records },
+    });
+  } catch (error) {
+    console.error('Error fetching breeding records:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch breeding records' });
+  }
+});
+
+/**
+ * GET /api/animals/breeding/upcoming-births
+ * Expected births within the next N days (default 60), including overdue
+ */
+router.get('/breeding/upcoming-births', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { siteId, days = 60 } = req.query;
+
+    const births = await breedingService.getUpcomingBirths(userData.tenantId, {
+      siteId,
+      days: parseInt(days),
+    });
+
+    res.json({
+      success: true,
+      data: { births },
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming births:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch upcoming births' });
+  }
+});
+
+/**
+ * GET /api/animals/breeding/records/:recordId
+ * Get a single breeding record
+ */
+router.get(
+  '/breeding/records/:recordId',
+  [param('recordId').notEmpty().withMessage('Record ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const record = await breedingService.getBreedingRecord(
+        userData.tenantId,
+        req.params.recordId
+      );
+
+      if (!record) {
+        return res.status(404).json({ success: false, message: 'Breeding record not found' });
+      }
+
+      res.json({
+        success: true,
+        data: { record },
+      });
+    } catch (error) {
+      console.error('Error fetching breeding record:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch breeding record' });
+    }
+  }
+);
+
+/**
+ * POST /api/animals/breeding
+ * Record an exposure, AI service or embryo transfer for a dam
+ */
+router.post(
+  '/breeding',
+  [
+    body('damId').notEmpty().withMessage('Dam ID is required'),
+    body('sireId').optional({ nullable: true }).isString(),
+    body('method').optional().isIn(Object.values(breedingService.BreedingMethod)),
+    body('serviceDate').optional().isISO8601(),
+    body('exposureEndDate').optional({ nullable: true }).isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const record = await breedingService.createBreedingRecord(
+        userData.tenantId,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({
+        success: true,
+        data: { record },
+      });
+    } catch (error) {
+      console.error('Error creating breeding record:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create breeding record',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/animals/breeding/records/:recordId/pregnancy-check
+ * Record a pregnancy check result
+ */
+router.post(
+  '/breeding/records/:recordId/pregnancy-check',
+  [
+    param('recordId').notEmpty().withMessage('Record ID is required'),
+    body('result').isIn(Object.values(breedingService.PregnancyCheckResult)),
+    body('method').optional().isIn(Object.values(breedingService.PregnancyCheckMethod)),
+    body('checkedAt').optional().isISO8601(),
+    body('fetalAgeDays').optional({ nullable: true }).isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const record = await breedingService.recordPregnancyCheck(
+        userData.tenantId,
+        req.params.recordId,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.json({
+        success: true,
+        data: { record },
+      });
+    } catch (error) {
+      console.error('Error recording pregnancy check:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record pregnancy check',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/animals/breeding/records/:recordId/loss
+ * Record a pregnancy loss
+ */
+router.post(
+  '/breeding/records/:recordId/loss',
+  [
+    param('recordId').notEmpty().withMessage('Record ID is required'),
+    body('lostAt').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const record = await breedingService.recordPregnancyLoss(
+        userData.tenantId,
+        req.params.recordId,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        data: { record },
+      });
+    } catch (error) {
+      console.error('Error recording pregnancy loss:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record pregnancy loss',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/animals/breeding/records/:recordId/birth
+ * Record a birth and create the offspring with sire/dam pre-filled
+ */
+router.post(
+  '/breeding/records/:recordId/birth',
+  [
+    param('recordId').notEmpty().withMessage('Record ID is required'),
+    body('birthDate').optional().isISO8601(),
+    body('offspring').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 offspring are required'),
+    body('offspring.*.tagNumber').notEmpty().withMessage('Tag number is required'),
+    body('offspring.*.gender').optional().isIn(['male', 'female', 'castrated', 'unknown']),
+  ],
+  checkPlanLimit('animals', (req) => req.body.offspring?.length || 1),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      // Use userData from middleware if available
+      const userData = req.userData || await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await breedingService.recordBirth(
+        userData.tenantId,
+        req.params.recordId,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      // Increment usage counter
+      await incrementUsageAfterCreate(userData.tenantId, 'animals', result.offspring.length);
+
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error recording birth:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to record birth',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/:id/breeding
+ * Breeding history for an animal (as dam, or as sire for males)
+ */
+router.get(
+  '/:id/breeding',
+  [param('id').notEmpty().withMessage('Animal ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const animal = await firestoreService.getAnimal(userData.tenantId, req.params.id);
+      if (!animal) {
+        return res.status(404).json({ success: false, message: 'Animal not found' });
+      }
+
+      const records = await breedingService.getBreedingRecords(
+        userData.tenantId,
+        animal.gender === 'female' ? { damId: animal.id } : { sireId: animal.id }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          records,
+          gestationDays: breedingService.getGestationDays(animal.species),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching breeding history:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch breeding history' });
+    }
+  }
+);
+
+// ============================================
+// PEDIGREE & LINEAGE
+// ============================================
+
+/**
+ * GET /api/animals/pedigree/inbreeding
+ * Inbreeding coefficient for the offspring of a proposed mating
+ * Query: sireId, damId
+ */
+router.get(
+  '/pedigree/inbreeding',
+  [
+    query('sireId').notEmpty().withMessage('Sire ID is required'),
+    query('damId').notEmpty().withMessage('Dam ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await pedigreeService.computeInbreedingCoefficient(
+        userData.tenantId,
+        req.query.sireId,
+        req.query.damId
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error computing inbreeding coefficient:', error);
+      if (error.message === 'Sire not found' || error.message === 'Dam not found') {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      if (error.message === 'Sire and dam must be different animals') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to compute inbreeding coefficient',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/:id/pedigree
+ * Ancestor tree for an animal
+ * Query: generations (default 3, max 8)
+ */
+router.get(
+  '/:id/pedigree',
+  [param('id').notEmpty().withMessage('Animal ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const pedigree = await pedigreeService.getPedigree(
+        userData.tenantId,
+        req.params.id,
+        req.query.generations
+      );
+
+      if (!pedigree) {
+        return res.status(404).json({ success: false, message: 'Animal not found' });
+      }
+
+      res.json({
+        success: true,
+        data: { pedigree },
+      });
+    } catch (error) {
+      console.error('Error fetching pedigree:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch pedigree' });
+    }
+  }
+);
+
+/**
+ * GET /api/animals/:id/descendants
+ * Descendant tree for an animal
+ * Query: generations (default 3, max 8)
+ */
+router.get(
+  '/:id/descendants',
+  [param('id').notEmpty().withMessage('Animal ID is required')],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await pedigreeService.getDescendants(
+        userData.tenantId,
+        req.params.id,
+        req.query.generations
+      );
+
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'Animal not found' });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          descendants: result.tree,
+          totalDescendants: result.totalDescendants,
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching descendants:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch descendants' });
+    }
+  }
+);
+
+// ============================================
+// METADATA
+// ============================================
+
+/**
+ * GET /api/animals/species
+ * Get available animal species
+ */
+router.get('/meta/species', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      species: Object.entries(firestoreService.AnimalSpecies).map(([key, value]) => ({
+        value,
+        label: key.charAt(0) + key.slice(1).toLowerCase(),
+      })),
+    },
+  });
+});
+
 /**
  * GET /api/animals/group-types
  * Get available animal group types
@@ -738,4 +2041,68 @@ router.get('/meta/statuses', (req, res) => {
   });
 });
 
+/**
+ * GET /api/animals/meta/health-record-types
+ * Get available health record types
+ */
+router.get('/meta/health-record-types', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: Object.entries(animalHealthService.HealthRecordType).map(([key, value]) => ({
+        value,
+        label: key.charAt(0) + key.slice(1).toLowerCase(),
+      })),
+    },
+  });
+});
+
+/**
+ * GET /api/animals/meta/administration-routes
+ * Get available routes of administration
+ */
+router.get('/meta/administration-routes', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      routes: Object.values(animalHealthService.AdministrationRoute).map((value) => ({
+        value,
+        label: value.replace(/_/g, ' '),
+      })),
+    },
+  });
+});
+
+/**
+ * GET /api/animals/meta/mortality-options
+ * Get mortality causes and carcass disposal methods
+ */
+router.get('/meta/mortality-options', (req, res) => {
+  const toOptions = (values) => Object.values(values).map((value) => ({
+    value,
+    label: value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, ' '),
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      causes: toOptions(animalMortalityService.MortalityCause),
+      disposalMethods: toOptions(animalMortalityService.DisposalMethod),
+    },
+  });
+});
+
+/**
+ * GET /api/animals/meta/gestation-periods
+ * Get average gestation/incubation length per species
+ */
+router.get('/meta/gestation-periods', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      gestationDays: breedingService.GESTATION_DAYS,
+    },
+  });
+});
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth');
 const firestoreService = require('../services/firestore');
+const assetService = require('../services/asset-service');
 
 const router = express.Router();
 
@@ -30,6 +31,31 @@ const AssetStatus = {
   DECEASED: 'DECEASED',
 };
 
+const { EquipmentType, ToolType, InfrastructureType, ToolCondition } = assetService;
+
+// Optional type-specific details shared by create and update
+const detailValidators = [
+  body('year').optional({ nullable: true }).isInt({ min: 1900, max: 2100 }).withMessage('Invalid year'),
+  body('acquisitionCost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Acquisition cost must be positive'),
+  body('equipmentType').optional({ nullable: true }).isIn(Object.values(EquipmentType)).withMessage('Invalid equipment type'),
+  body('isImplement').optional().isBoolean(),
+  body('engineHours').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Engine hours must be positive'),
+  body('toolType').optional({ nullable: true }).isIn(Object.values(ToolType)).withMessage('Invalid tool type'),
+  body('infrastructureType')
+    .optional({ nullable: true })
+    .isIn(Object.values(InfrastructureType))
+    .withMessage('Invalid infrastructure type'),
+  body('structureId').optional({ nullable: true }).isString(),
+  body('landTractId').optional({ nullable: true }).isString(),
+  body('spatialFeatureId').optional({ nullable: true }).isString(),
+  body(['depthFeet', 'staticWaterLevelFeet', 'pumpHorsepower', 'flowGpm', 'lengthFeet', 'acresCovered'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Measurements must be positive'),
+  body(['towers', 'strands']).optional({ nullable: true }).isInt({ min: 0 }).withMessage('Must be a whole number'),
+  body('customFields').optional({ nullable: true }).isObject().withMessage('Custom fields must be an object'),
+];
+
 /**
  * GET /api/assets/counts
  * Get asset counts by type (aggregates from animals, landTracts, and assets collections)
@@ -223,12 +249,15 @@ router.get('/', async (req, res) => {
       return res.status(403).json({ success: false, message: 'User not found' });
     }
 
-    const { assetType, siteId, status, page = 1, limit = 50 } = req.query;
+    const { assetType, siteId, status, search, attachedToId, checkedOut, page = 1, limit = 50 } = req.query;
 
-    const assets = await firestoreService.getAssets(userData.tenantId, {
+    const assets = await assetService.listAssets(userData.tenantId, {
       assetType,
       siteId,
       status,
+      search,
+      attachedToId,
+      checkedOut: checkedOut === undefined ? undefined : checkedOut === 'true',
     });
 
     // Simple pagination
@@ -253,9 +282,45 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/assets/tools/checkouts
+ * Tool check-out history (toolId, contactId, openOnly)
+ */
+router.get(
+  '/tools/checkouts',
+  [query('openOnly').optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { toolId, contactId, openOnly, limit } = req.query;
+
+      const checkouts = await assetService.getCheckouts(userData.tenantId, {
+        toolId,
+        contactId,
+        openOnly: openOnly === 'true',
+        limit,
+      });
+
+      res.json({ success: true, data: checkouts });
+    } catch (error) {
+      console.error('Error fetching tool checkouts:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch tool checkouts' });
+    }
+  }
+);
+
 /**
  * GET /api/assets/:id
- * Get a single asset
+ * Get a single asset with its linked records (implements, readings, check-outs, map feature)
  */
 router.get(
   '/:id',
@@ -272,13 +337,13 @@ router.get(
         return res.status(403).json({ success: false, message: 'User not found' });
       }
 
-      const asset = await firestoreService.getAsset(userData.tenantId, req.params.id);
+      const detail = await assetService.getAssetDetail(userData.tenantId, req.params.id);
 
-      if (!asset) {
+      if (!detail) {
         return res.status(404).json({ success: false, message: 'Asset not found' });
       }
 
-      res.json({ success: true, data: { asset } });
+      res.json({ success: true, data: detail });
     } catch (error) {
       console.error('Error fetching asset:', error);
       res.status(500).json({ success: false, message: 'Failed to fetch asset' });
@@ -296,6 +361,7 @@ router.post(
     body('siteId').notEmpty().withMessage('Site ID is required'),
     body('assetType').isIn(Object.values(AssetType)).withMessage('Invalid asset type'),
     body('name').notEmpty().withMessage('Name is required'),
+    ...detailValidators,
   ],
   async (req, res) => {
     try {
@@ -309,6 +375,12 @@ router.post(
         return res.status(403).json({ success: false, message: 'User not found' });
       }
 
+      // Equipment, tools, infrastructure and other assets get their details and links checked
+      if (assetService.isModuleType(req.body.assetType)) {
+        const asset = await assetService.createAsset(userData.tenantId, req.body, userData.user.id);
+        return res.status(201).json({ success: true, data: { asset } });
+      }
+
       const assetData = {
         ...req.body,
         tenantId: userData.tenantId,
@@ -322,7 +394,7 @@ router.post(
       res.status(201).json({ success: true, data: { asset } });
     } catch (error) {
       console.error('Error creating asset:', error);
-      res.status(500).json({ success: false, message: 'Failed to create asset' });
+      res.status(500).json({ success: false, message: error.message || 'Failed to create asset' });
     }
   }
 );
@@ -333,7 +405,7 @@ router.post(
  */
 router.patch(
   '/:id',
-  [param('id').notEmpty().withMessage('Asset ID is required')],
+  [param('id').notEmpty().withMessage('Asset ID is required'), ...detailValidators],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -346,17 +418,17 @@ router.patch(
         return res.status(403).json({ success: false, message: 'User not found' });
       }
 
-      const updateData = {
-        ...req.body,
-        updatedBy: userData.user.id,
-      };
+      const existing = await firestoreService.getAsset(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Asset not found' });
+      }
 
-      const asset = await firestoreService.updateAsset(userData.tenantId, req.params.id, updateData);
+      const asset = await assetService.updateAsset(userData.tenantId, req.params.id, req.body, userData.user.id);
 
       res.json({ success: true, data: { asset } });
     } catch (error) {
       console.error('Error updating asset:', error);
-      res.status(500).json({ success: false, message: 'Failed to update asset' });
+      res.status(500).json({ success: false, message: error.message || 'Failed to update asset' });
     }
   }
 );
@@ -406,4 +478,222 @@ router.post(
   }
 );
 
+// ============================================
+// EQUIPMENT METERS & ATTACHMENTS
+// ============================================
+
+/**
+ * GET /api/assets/:id/meter-readings
+ * Engine-hour readings for a piece of equipment, newest first
+ */
+router.get(
+  '/:id/meter-readings',
+  [param('id').notEmpty().withMessage('Asset ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const readings = await assetService.getMeterReadings(userData.tenantId, req.params.id, {
+        limit: req.query.limit,
+      });
+
+      res.json({ success: true, data: readings });
+    } catch (error) {
+      console.error('Error fetching equipment meter readings:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch meter readings' });
+    }
+  }
+);
+
+/**
+ * POST /api/assets/:id/meter-readings
+ * Log an engine-hour reading for a piece of equipment
+ */
+router.post(
+  '/:id/meter-readings',
+  [
+    param('id').notEmpty().withMessage('Asset ID is required'),
+    body('engineHours').isFloat({ min: 0 }).withMessage('Engine hours must be positive'),
+    body('readAt').optional().isISO8601().withMessage('Invalid reading date'),
+    body('isCorrection').optional().isBoolean(),
+    body('notes').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const reading = await assetService.recordMeterReading(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: reading });
+    } catch (error) {
+      console.error('Error recording equipment meter reading:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record meter reading' });
+    }
+  }
+);
+
+/**
+ * POST /api/assets/:id/attach
+ * Attach an implement to a vehicle or other piece of equipment
+ */
+router.post(
+  '/:id/attach',
+  [
+    param('id').notEmpty().withMessage('Asset ID is required'),
+    body('hostId').notEmpty().withMessage('Host asset ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const asset = await assetService.attachImplement(
+        userData.tenantId,
+        req.params.id,
+        req.body.hostId,
+        userData.user.id
+      );
+
+      res.json({ success: true, data: { asset } });
+    } catch (error) {
+      console.error('Error attaching equipment:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to attach equipment' });
+    }
+  }
+);
+
+/**
+ * POST /api/assets/:id/detach
+ * Detach an implement from its host
+ */
+router.post(
+  '/:id/detach',
+  [param('id').notEmpty().withMessage('Asset ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const asset = await assetService.detachImplement(userData.tenantId, req.params.id, userData.user.id);
+
+      res.json({ success: true, data: { asset } });
+    } catch (error) {
+      console.error('Error detaching equipment:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to detach equipment' });
+    }
+  }
+);
+
+// ============================================
+// TOOL CHECK-OUT / CHECK-IN
+// ============================================
+
+/**
+ * POST /api/assets/:id/check-out
+ * Check a tool out to a contact
+ */
+router.post(
+  '/:id/check-out',
+  [
+    param('id').notEmpty().withMessage('Asset ID is required'),
+    body('contactId').notEmpty().withMessage('Contact is required'),
+    body('dueBackAt').optional({ nullable: true }).isISO8601().withMessage('Invalid due date'),
+    body('condition').optional().isIn(Object.values(ToolCondition)).withMessage('Invalid condition'),
+    body('notes').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const checkout = await assetService.checkOutTool(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: checkout });
+    } catch (error) {
+      console.error('Error checking out tool:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to check out tool' });
+    }
+  }
+);
+
+/**
+ * POST /api/assets/:id/check-in
+ * Check a tool back in and note its condition
+ */
+router.post(
+  '/:id/check-in',
+  [
+    param('id').notEmpty().withMessage('Asset ID is required'),
+    body('condition').optional().isIn(Object.values(ToolCondition)).withMessage('Invalid condition'),
+    body('notes').optional({ nullable: true }).isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const asset = await assetService.checkInTool(userData.tenantId, req.params.id, req.body, userData.user.id);
+
+      res.json({ success: true, data: { asset } });
+    } catch (error) {
+      console.error('Error checking in tool:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to check in tool' });
+    }
+  }
+);
+
 module.exports = router;
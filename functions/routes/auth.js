@@ -4,6 +4,7 @@ const { User, Tenant } = require('../models');
 const { verifyToken } = require('../middleware/auth');
 const firestoreService = require('../services/firestore');
 const { seedChartOfAccounts } = require('../services/accounting');
+const timezoneService = require('../services/timezone-service');
 
 const router = express.Router();
 
@@ -24,7 +25,8 @@ router.post(
     body('timezone')
       .optional({ values: 'falsy' })
       .trim()
-      .isString(),
+      .custom(timezoneService.isValidTimezone)
+      .withMessage('Timezone must be an IANA zone such as America/Denver'),
   ],
   async (req, res) => {
     try {
@@ -135,6 +137,7 @@ router.post(
         status: 'trial',
         trialEndsAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
         firestoreId: newTenant.id, // Link to Firestore
+        settings: { timezone: tenantTimezone },
       });
 
       await User.create({
@@ -330,4 +333,91 @@ router.patch(
   }
 );
 
+/**
+ * PATCH /api/auth/tenant
+ * Update farm settings (owner/admin only). The timezone decides when each
+ * day starts for task generation, today's tasks, due dates and reports.
+ */
+router.patch(
+  '/tenant',
+  verifyToken,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Farm name must be 2-100 characters'),
+    body('timezone')
+      .optional()
+      .custom(timezoneService.isValidTimezone)
+      .withMessage('Timezone must be an IANA zone such as America/Denver'),
+    body('settings.dateFormat')
+      .optional()
+      .isIn(['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const firestoreData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!firestoreData) {
+        return res.status(403).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+
+      if (!['owner', 'admin'].some((r) => firestoreData.user.roles?.includes(r))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions to update farm settings',
+        });
+      }
+
+      const { name, timezone, settings } = req.body;
+      const updates = {};
+      if (name) updates.name = name;
+      if (timezone) updates.timezone = timezone;
+      if (settings?.dateFormat) updates['settings.dateFormat'] = settings.dateFormat;
+
+      const tenant = await firestoreService.updateTenant(firestoreData.tenantId, updates);
+
+      // Keep the MongoDB tenant in step for accounting
+      if (req.user?.tenantId?._id) {
+        const mongoUpdates = {};
+        if (name) mongoUpdates.name = name;
+        if (timezone) mongoUpdates['settings.timezone'] = timezone;
+        if (settings?.dateFormat) mongoUpdates['settings.dateFormat'] = settings.dateFormat;
+        if (Object.keys(mongoUpdates).length) {
+          await Tenant.updateOne({ _id: req.user.tenantId._id }, { $set: mongoUpdates });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          tenant: {
+            id: tenant.id,
+            name: tenant.name,
+            timezone: tenant.timezone,
+            settings: tenant.settings,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Update tenant error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update farm settings',
+      });
+    }
+  }
+);
+
 module.exports = router;
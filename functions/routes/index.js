@@ -15,6 +15,7 @@ const purchasingRoutes = require('./purchasing');
 const assetsRoutes = require('./assets');
 const vehiclesRoutes = require('./vehicles');
 const landTractsRoutes = require('./landTracts');
+const cropsRoutes = require('./crops');
 const structuresRoutes = require('./structures');
 const areasRoutes = require('./areas');
 const binsRoutes = require('./bins');
@@ -22,6 +23,10 @@ const webhooksRoutes = require('./webhooks');
 const billingRoutes = require('./billing');
 const contactsRoutes = require('./contacts');
 const usageRoutes = require('./usage');
+const spatialFeaturesRoutes = require('./spatialFeatures');
+const fixedAssetsRoutes = require('./fixedAssets');
+const attachmentsRoutes = require('./attachments');
+const laborRoutes = require('./labor');
 
 const router = express.Router();
 
@@ -41,6 +46,7 @@ router.use('/purchasing', purchasingRoutes);
 router.use('/assets', assetsRoutes);
 router.use('/vehicles', vehiclesRoutes);
 router.use('/land-tracts', landTractsRoutes);
+router.use('/crops', cropsRoutes);
 router.use('/structures', structuresRoutes);
 router.use('/areas', areasRoutes);
 router.use('/bins', binsRoutes);
@@ -48,5 +54,9 @@ router.use('/webhooks', webhooksRoutes);
 router.use('/billing', billingRoutes);
 router.use('/contacts', contactsRoutes);
 router.use('/usage', usageRoutes);
+router.use('/spatial-features', spatialFeaturesRoutes);
+router.use('/fixed-assets', fixedAssetsRoutes);
+router.use('/attachments', attachmentsRoutes);
+router.use('/labor', laborRoutes);
 
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth');
 const { checkPlanLimit, incrementUsageAfterCreate } = require('../middleware/planLimits');
 const firestoreService = require('../services/firestore');
 const accountingService = require('../services/accounting');
+const feedForecastService = require('../services/feed-forecast-service');
 const { v4: uuidv4 } = require('uuid');
 const { Site } = require('../models');
 
@@ -224,6 +225,9 @@ router.post(
     body('defaultCostPerUnit').optional().isNumeric(),
     body('reorderPoint').optional().isNumeric(),
     body('reorderQty').optional().isNumeric(),
+    body('meatWithdrawalDays').optional().isNumeric(),
+    body('milkWithdrawalDays').optional().isNumeric(),
+    body('reorderLeadTimeDays').optional({ nullable: true }).isInt({ min: 0 }),
   ],
   checkPlanLimit('inventoryItems'),
   async (req, res) => {
@@ -883,6 +887,102 @@ router.post(
   }
 );
 
+// ============================================
+// FEED RUNWAY FORECAST
+// ============================================
+
+/**
+ * GET /api/inventory/forecast/feed
+ * Days on hand per feed item at a site, from the trailing consumption rate
+ */
+router.get(
+  '/forecast/feed',
+  [
+    query('siteId').notEmpty().withMessage('Site ID is required'),
+    query('lookbackDays').optional().isInt({ min: 1, max: 90 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { siteId, lookbackDays } = req.query;
+
+      const forecast = await feedForecastService.getFeedRunway(userData.tenantId, siteId, {
+        lookbackDays,
+      });
+
+      res.json({
+        success: true,
+        data: { forecast },
+      });
+    } catch (error) {
+      console.error('Error forecasting feed runway:', error);
+      res.status(500).json({ success: false, message: 'Failed to forecast feed runway' });
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/forecast/feed/reorder
+ * Raise requisitions for feed projected to run out within its lead time
+ */
+router.post(
+  '/forecast/feed/reorder',
+  [
+    body('siteId').notEmpty().withMessage('Site ID is required'),
+    body('lookbackDays').optional().isInt({ min: 1, max: 90 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tenant = await firestoreService.getTenant(userData.tenantId);
+      if (!tenant?.settings?.autoReorderEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Auto-reorder is disabled for this account',
+        });
+      }
+
+      const { siteId, lookbackDays } = req.body;
+
+      const result = await feedForecastService.triggerRunwayReorders(
+        userData.tenantId,
+        siteId,
+        req.firebaseUser.uid,
+        { lookbackDays }
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error raising feed runway requisitions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to raise feed requisitions',
+      });
+    }
+  }
+);
+
 // ============================================
 // METADATA
 // ============================================
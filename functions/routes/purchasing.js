@@ -9,6 +9,7 @@ const { verifyToken } = require('../middleware/auth');
 const { requireFeature, checkPlanLimit, incrementUsageAfterCreate } = require('../middleware/planLimits');
 const firestoreService = require('../services/firestore');
 const p2pService = require('../services/p2p-service');
+const timezoneService = require('../services/timezone-service');
 
 const router = express.Router();
 
@@ -801,7 +802,8 @@ router.post('/payments/:id/clear', async (req, res) => {
 router.get('/reports/ap-aging', async (req, res) => {
   try {
     const { tenantId } = await getUserContext(req);
-    const asOfDate = req.query.asOfDate ? new Date(req.query.asOfDate) : new Date();
+    const timezone = await firestoreService.getTenantTimezone(tenantId);
+    const asOfDate = req.query.asOfDate || timezoneService.dateKeyInTimezone(new Date(), timezone);
 
     const aging = await p2pService.getAPAging(tenantId, asOfDate);
 
@@ -819,7 +821,8 @@ router.get('/reports/ap-aging', async (req, res) => {
     res.json({
       success: true,
       data: {
-        asOfDate: asOfDate.toISOString(),
+        asOfDate: timezoneService.asDateKey(asOfDate, timezone),
+        timezone,
         summary: {
           current: aging.current,
           days31to60: aging.days31to60,
@@ -4,6 +4,7 @@ const { Site } = require('../models');
 const { verifyToken, requireRole } = require('../middleware/auth');
 const { checkPlanLimit, incrementUsageAfterCreate } = require('../middleware/planLimits');
 const firestoreService = require('../services/firestore');
+const timezoneService = require('../services/timezone-service');
 
 const router = express.Router();
 
@@ -177,6 +178,10 @@ router.patch(
       .trim()
       .isLength({ min: 1, max: 100 })
       .withMessage('Name must be 1-100 characters'),
+    body('settings.timezone')
+      .optional({ values: 'falsy' })
+      .custom(timezoneService.isValidTimezone)
+      .withMessage('Timezone must be an IANA zone such as America/Denver'),
   ],
   async (req, res) => {
     try {
@@ -210,6 +215,14 @@ router.patch(
 
       await site.save();
 
+      // Task scheduling reads site timezones from the Firestore tenant
+      if (req.body.settings && 'timezone' in req.body.settings) {
+        const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+        if (userData) {
+          await firestoreService.setSiteTimezone(userData.tenantId, site.id, site.settings?.timezone || null);
+        }
+      }
+
       res.json({
         success: true,
         data: { site },
@@ -0,0 +1,430 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const firestoreService = require('../services/firestore');
+const spatialFeatureService = require('../services/spatial-feature-service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+const { FeatureType, FenceType, FeatureCondition, MaintenanceAction } = spatialFeatureService;
+
+// Optional type-specific details shared by create and update
+const detailValidators = [
+  body('fenceType').optional({ nullable: true }).isIn(Object.values(FenceType)).withMessage('Invalid fence type'),
+  body('strands').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Strands must be a whole number'),
+  body('heightInches').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Height must be positive'),
+  body('capacityGallons').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Capacity must be positive'),
+  body('depthFeet').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Depth must be positive'),
+  body('diameterInches').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Diameter must be positive'),
+  body('material').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Material cannot exceed 100 characters'),
+  body('installedDate').optional({ nullable: true }).isISO8601().withMessage('Invalid installed date'),
+  body('condition').optional().isIn(Object.values(FeatureCondition)).withMessage('Invalid condition'),
+  body('structureIds').optional().isArray().withMessage('Structure IDs must be an array'),
+  body('assetIds').optional().isArray().withMessage('Asset IDs must be an array'),
+  body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+];
+
+// ============================================
+// FEATURES
+// ============================================
+
+/**
+ * GET /api/spatial-features
+ * List features with optional filters (siteId, landTractId, type, structureId, assetId)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { siteId, landTractId, type, structureId, assetId, includeInactive } = req.query;
+
+    const features = await spatialFeatureService.getFeatures(userData.tenantId, {
+      siteId,
+      landTractId,
+      type,
+      structureId,
+      assetId,
+      includeInactive: includeInactive === 'true',
+    });
+
+    res.json({ success: true, data: { features } });
+  } catch (error) {
+    console.error('Error fetching spatial features:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch spatial features' });
+  }
+});
+
+/**
+ * GET /api/spatial-features/summary
+ * Fence and pipeline totals and feature counts for a site
+ */
+router.get(
+  '/summary',
+  [query('siteId').notEmpty().withMessage('Site ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const summary = await spatialFeatureService.getSiteFeatureSummary(userData.tenantId, req.query.siteId);
+
+      res.json({ success: true, data: { summary } });
+    } catch (error) {
+      console.error('Error fetching spatial feature summary:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch spatial feature summary' });
+    }
+  }
+);
+
+/**
+ * GET /api/spatial-features/meta/options
+ * Feature types with their geometry, fence types, conditions and maintenance actions
+ */
+router.get('/meta/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: Object.values(FeatureType).map((type) => ({
+        value: type,
+        geometry: spatialFeatureService.FEATURE_GEOMETRY[type],
+      })),
+      fenceTypes: Object.values(FenceType),
+      conditions: Object.values(FeatureCondition),
+      maintenanceActions: Object.values(MaintenanceAction),
+    },
+  });
+});
+
+/**
+ * GET /api/spatial-features/:id
+ * Get a feature with its maintenance log and linked tasks
+ */
+router.get(
+  '/:id',
+  [param('id').notEmpty().withMessage('Feature ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const feature = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!feature) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      const [maintenance, tasks] = await Promise.all([
+        spatialFeatureService.getMaintenanceLog(userData.tenantId, feature.id),
+        spatialFeatureService.getFeatureTasks(userData.tenantId, feature.id),
+      ]);
+
+      res.json({ success: true, data: { feature, maintenance, tasks } });
+    } catch (error) {
+      console.error('Error fetching spatial feature:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch spatial feature' });
+    }
+  }
+);
+
+/**
+ * POST /api/spatial-features
+ * Create a point or line feature; line length is measured server-side
+ */
+router.post(
+  '/',
+  [
+    body('siteId').notEmpty().withMessage('Site ID is required'),
+    body('type').isIn(Object.values(FeatureType)).withMessage('Invalid feature type'),
+    body('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters')
+      .trim(),
+    body('geometry').isObject().withMessage('Geometry is required'),
+    body('landTractId').optional({ nullable: true }).isString(),
+    ...detailValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const geometryError = spatialFeatureService.validateFeatureGeometry(req.body.type, req.body.geometry);
+      if (geometryError) {
+        return res.status(400).json({ success: false, message: geometryError });
+      }
+
+      const feature = await spatialFeatureService.createFeature(userData.tenantId, req.body, userData.user.id);
+
+      res.status(201).json({ success: true, data: { feature } });
+    } catch (error) {
+      console.error('Error creating spatial feature:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to create spatial feature' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/spatial-features/:id
+ * Update a feature's geometry, details or links
+ */
+router.patch(
+  '/:id',
+  [
+    param('id').notEmpty().withMessage('Feature ID is required'),
+    body('name')
+      .optional()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters')
+      .trim(),
+    body('geometry').optional().isObject().withMessage('Invalid geometry'),
+    body('landTractId').optional({ nullable: true }).isString(),
+    body('isActive').optional().isBoolean(),
+    ...detailValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      if (req.body.geometry) {
+        const geometryError = spatialFeatureService.validateFeatureGeometry(existing.type, req.body.geometry);
+        if (geometryError) {
+          return res.status(400).json({ success: false, message: geometryError });
+        }
+      }
+
+      const feature = await spatialFeatureService.updateFeature(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.json({ success: true, data: { feature } });
+    } catch (error) {
+      console.error('Error updating spatial feature:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to update spatial feature' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/spatial-features/:id
+ * Deactivate a feature (its maintenance log is kept)
+ */
+router.delete(
+  '/:id',
+  requireRole(['owner', 'admin', 'manager']),
+  [param('id').notEmpty().withMessage('Feature ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      await spatialFeatureService.updateFeature(
+        userData.tenantId,
+        req.params.id,
+        { isActive: false },
+        userData.user.id
+      );
+
+      res.json({ success: true, message: 'Feature deactivated' });
+    } catch (error) {
+      console.error('Error deleting spatial feature:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete spatial feature' });
+    }
+  }
+);
+
+// ============================================
+// MAINTENANCE LOG
+// ============================================
+
+/**
+ * GET /api/spatial-features/:id/maintenance
+ * Maintenance log for a feature, newest first
+ */
+router.get(
+  '/:id/maintenance',
+  [param('id').notEmpty().withMessage('Feature ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const feature = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!feature) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      const maintenance = await spatialFeatureService.getMaintenanceLog(userData.tenantId, feature.id);
+
+      res.json({ success: true, data: { maintenance } });
+    } catch (error) {
+      console.error('Error fetching maintenance log:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch maintenance log' });
+    }
+  }
+);
+
+/**
+ * POST /api/spatial-features/:id/maintenance
+ * Log an inspection, repair or other maintenance on a feature
+ */
+router.post(
+  '/:id/maintenance',
+  [
+    param('id').notEmpty().withMessage('Feature ID is required'),
+    body('action').isIn(Object.values(MaintenanceAction)).withMessage('Invalid maintenance action'),
+    body('date').optional().isISO8601().withMessage('Invalid date'),
+    body('condition').optional({ nullable: true }).isIn(Object.values(FeatureCondition)).withMessage('Invalid condition'),
+    body('cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost must be positive'),
+    body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const feature = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!feature) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      const { action, date, condition, cost, notes } = req.body;
+
+      const entry = await spatialFeatureService.addMaintenanceEntry(
+        userData.tenantId,
+        feature.id,
+        { action, date, condition, cost, notes },
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: { entry } });
+    } catch (error) {
+      console.error('Error logging maintenance:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to log maintenance' });
+    }
+  }
+);
+
+// ============================================
+// FEATURE TASKS
+// ============================================
+
+/**
+ * POST /api/spatial-features/:id/tasks
+ * Schedule a check task against a feature (e.g. walk one fence segment)
+ */
+router.post(
+  '/:id/tasks',
+  [
+    param('id').notEmpty().withMessage('Feature ID is required'),
+    body('scheduledDate').isISO8601().withMessage('Scheduled date is required'),
+    body('priority').optional().isIn(Object.values(firestoreService.TaskPriority)).withMessage('Invalid priority'),
+    body('assignedToUserId').optional({ nullable: true }).isString(),
+    body('name').optional().isLength({ max: 200 }).trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const feature = await spatialFeatureService.getFeature(userData.tenantId, req.params.id);
+      if (!feature) {
+        return res.status(404).json({ success: false, message: 'Feature not found' });
+      }
+
+      const { scheduledDate, priority, assignedToUserId, name, notes } = req.body;
+
+      const occurrence = await spatialFeatureService.scheduleFeatureCheck(
+        userData.tenantId,
+        feature.id,
+        { scheduledDate, priority, assignedToUserId, name, notes },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: { occurrence } });
+    } catch (error) {
+      console.error('Error scheduling feature check:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to schedule feature check' });
+    }
+  }
+);
+
+module.exports = router;
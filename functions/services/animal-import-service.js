@@ -0,0 +1,549 @@
+/**
+ * Animal Import Service
+ * Bulk animal creation from CSV files and EID stick-reader exports.
+ * Every import is previewed (dry run) with per-row errors; a commit only
+ * goes ahead when all rows are valid. Large imports are written in several
+ * batches, and a failed batch rolls back the ones already written.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const { normalizeHeader, splitCsvLine, detectDelimiter } = require('../utils/csv');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+/**
+ * Supported import file formats
+ */
+const ImportFormat = {
+  CSV: 'CSV', // Spreadsheet export with a header row
+  EID_READER: 'EID_READER', // Stick reader session export (Allflex, Tru-Test, Gallagher, ...)
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Firestore caps a batch at 500 writes; leave headroom like task generation does
+const IMPORT_BATCH_SIZE = 400;
+
+/**
+ * Header aliases -> animal field
+ * Headers are compared lowercase with spaces, dashes and underscores removed.
+ */
+const HEADER_ALIASES = {
+  tagNumber: ['tag', 'tagnumber', 'tagno', 'vid', 'visualid', 'visualtag', 'eartag', 'animalid', 'id'],
+  electronicId: ['eid', 'electronicid', 'rfid', 'eidtag', 'tagid', 'eidnumber', 'isonumber'],
+  name: ['name', 'animalname'],
+  species: ['species'],
+  breed: ['breed'],
+  gender: ['sex', 'gender'],
+  dateOfBirth: ['dob', 'dateofbirth', 'birthdate', 'born', 'birthday'],
+  weight: ['weight', 'wt', 'weightlbs', 'weightkg', 'liveweight'],
+  group: ['group', 'groupname', 'pen', 'herd', 'lot', 'flock'],
+  color: ['color', 'colour'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+  cost: ['cost', 'price', 'purchaseprice', 'acquisitioncost', 'costbasis'],
+  readAt: ['date', 'readdate', 'scandate', 'timestamp', 'datetime'],
+};
+
+/**
+ * Sex terms across species -> stored gender
+ */
+const GENDER_ALIASES = {
+  male: ['m', 'male', 'bull', 'ram', 'buck', 'boar', 'stallion', 'jack', 'rooster', 'cock', 'drake', 'gander', 'tom'],
+  female: ['f', 'female', 'cow', 'heifer', 'ewe', 'doe', 'nanny', 'sow', 'gilt', 'mare', 'filly', 'jenny', 'hen', 'pullet'],
+  castrated: ['c', 'castrated', 'steer', 'wether', 'barrow', 'gelding', 'capon'],
+  unknown: ['u', 'unknown', ''],
+};
+
+// ISO 11784 animal EID: 3-digit country/manufacturer code + 12-digit national ID
+const EID_PATTERN = /\b(\d{3})[\s-]?(\d{12})\b/;
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Map a header row to animal fields
+ * @returns {Array<string|null>} - Field name per column (null = ignored column)
+ */
+const mapHeaders = (headers) =>
+  headers.map((header) => {
+    const key = normalizeHeader(header);
+    const field = Object.keys(HEADER_ALIASES).find((f) => HEADER_ALIASES[f].includes(key));
+    return field || null;
+  });
+
+/**
+ * Normalize an EID to its 15-digit form
+ */
+const normalizeEid = (value) => {
+  if (!value) return null;
+  const match = String(value).match(EID_PATTERN);
+  return match ? `${match[1]}${match[2]}` : String(value).replace(/\s/g, '');
+};
+
+/**
+ * Parse a CSV file with a header row
+ * @returns {{ rows: object[], columns: Array<string|null>, error: string|null }}
+ */
+const parseCsvContent = (content) => {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) {
+    return { rows: [], columns: [], error: 'File must have a header row and at least one data row' };
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const columns = mapHeaders(splitCsvLine(lines[0], delimiter));
+
+  if (!columns.includes('tagNumber') && !columns.includes('electronicId')) {
+    return { rows: [], columns, error: 'File must have a tag or EID column' };
+  }
+
+  const rows = lines.slice(1).map((line, idx) => {
+    const values = splitCsvLine(line, delimiter);
+    const raw = {};
+    columns.forEach((field, col) => {
+      if (field && values[col] !== undefined && values[col] !== '') {
+        raw[field] = values[col];
+      }
+    });
+    return { rowNumber: idx + 2, raw };
+  });
+
+  return { rows, columns, error: null };
+};
+
+/**
+ * Parse an EID stick-reader export
+ * Reader sessions come either as a CSV with a header row (EID, VID, Date, Weight...)
+ * or as bare lines where each line holds an EID and optionally a timestamp.
+ */
+const parseEidReaderContent = (content) => {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) {
+    return { rows: [], columns: [], error: 'File is empty' };
+  }
+
+  // Header row present - treat as CSV
+  const firstColumns = mapHeaders(splitCsvLine(lines[0], detectDelimiter(lines[0])));
+  if (firstColumns.includes('electronicId')) {
+    return parseCsvContent(content);
+  }
+
+  const rows = [];
+  lines.forEach((line, idx) => {
+    const match = line.match(EID_PATTERN);
+    if (!match) {
+      rows.push({ rowNumber: idx + 1, raw: {}, parseError: 'No EID found on line' });
+      return;
+    }
+    rows.push({
+      rowNumber: idx + 1,
+      raw: { electronicId: `${match[1]}${match[2]}` },
+    });
+  });
+
+  return { rows, columns: ['electronicId'], error: null };
+};
+
+/**
+ * Parse a date value; slashed dates follow the given order (MDY or DMY)
+ */
+const parseDate = (value, dateFormat = 'MDY') => {
+  if (!value) return null;
+
+  const slashed = String(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (slashed) {
+    let [, first, second, year] = slashed;
+    if (year.length === 2) year = `20${year}`;
+    const [month, day] = dateFormat === 'DMY' ? [second, first] : [first, second];
+    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    return date.getUTCMonth() === parseInt(month) - 1 ? date : null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Map a sex term to a stored gender value
+ * @returns {string|null} - null when the term isn't recognized
+ */
+const parseGender = (value) => {
+  const term = String(value || '').trim().toLowerCase();
+  return Object.keys(GENDER_ALIASES).find((gender) => GENDER_ALIASES[gender].includes(term)) || null;
+};
+
+/**
+ * Parse file content into raw rows
+ */
+const parseImportContent = (format, content) => {
+  if (!content || !content.trim()) {
+    return { rows: [], columns: [], error: 'File is empty' };
+  }
+
+  return format === ImportFormat.EID_READER
+    ? parseEidReaderContent(content)
+    : parseCsvContent(content);
+};
+
+/**
+ * Number of data rows in an import (for plan limit checks)
+ */
+const countImportRows = ({ format, content }) => parseImportContent(format, content).rows.length;
+
+// ============================================
+// VALIDATION / PREVIEW
+// ============================================
+
+/**
+ * Find active animals already using any of the given values for a field
+ * Firestore 'in' queries accept at most 30 values, so lookups are chunked.
+ */
+const findActiveByField = async (tenantId, field, values) => {
+  const unique = [...new Set(values.filter(Boolean))];
+  const found = new Set();
+
+  for (let i = 0; i < unique.length; i += 30) {
+    const chunk = unique.slice(i, i + 30);
+    const snapshot = await db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('animals')
+      .where(field, 'in', chunk)
+      .where('status', '==', firestoreService.AnimalStatus.ACTIVE)
+      .get();
+    snapshot.docs.forEach((doc) => found.add(doc.data()[field]));
+  }
+
+  return found;
+};
+
+/**
+ * Build a dry-run preview of an import
+ * Each row carries the animal it would create, plus errors and warnings.
+ *
+ * @param {string} tenantId
+ * @param {object} importData
+ * @param {string} importData.format - ImportFormat
+ * @param {string} importData.content - File text
+ * @param {string} importData.siteId - Site the animals are added to
+ * @param {string} [importData.groupId] - Default group for rows without one
+ * @param {string} [importData.species] - Default species
+ * @param {string} [importData.weightUnit] - Unit for weight columns (lbs|kg)
+ * @param {string} [importData.dateFormat] - MDY or DMY for slashed dates
+ * @param {object} [importData.acquisition] - Applied to every animal (method, source, date, cost);
+ *   a cost column overrides the cost per row
+ */
+const previewImport = async (tenantId, importData) => {
+  const {
+    format = ImportFormat.CSV,
+    content,
+    siteId,
+    groupId: defaultGroupId,
+    species: defaultSpecies,
+    weightUnit = 'lbs',
+    dateFormat = 'MDY',
+    acquisition,
+  } = importData;
+
+  const parsed = parseImportContent(format, content);
+  if (parsed.error) {
+    return { valid: false, error: parsed.error, rows: [], summary: { total: 0, valid: 0, invalid: 0 } };
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    return {
+      valid: false,
+      error: `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import in parts`,
+      rows: [],
+      summary: { total: parsed.rows.length, valid: 0, invalid: parsed.rows.length },
+    };
+  }
+
+  const site = await firestoreService.getSite(tenantId, siteId);
+  if (!site) {
+    throw new Error('Site not found');
+  }
+
+  // Groups at this site, matched by id or name
+  const groups = await firestoreService.getAnimalGroups(tenantId, { siteId });
+  const findGroup = (value) => {
+    if (!value) return null;
+    const term = String(value).trim().toLowerCase();
+    return groups.find((g) => g.id === value || g.name.toLowerCase() === term) || null;
+  };
+  const defaultGroup = defaultGroupId ? findGroup(defaultGroupId) : null;
+  if (defaultGroupId && !defaultGroup) {
+    throw new Error('Default group not found at this site');
+  }
+
+  const validSpecies = Object.values(firestoreService.AnimalSpecies);
+
+  const rows = parsed.rows.map(({ rowNumber, raw, parseError }) => {
+    const errors = parseError ? [parseError] : [];
+    const warnings = [];
+
+    const electronicId = raw.electronicId ? normalizeEid(raw.electronicId) : null;
+    let tagNumber = raw.tagNumber ? String(raw.tagNumber).trim() : null;
+    if (!tagNumber && electronicId) {
+      tagNumber = electronicId;
+      warnings.push('No visual tag; EID used as tag number');
+    }
+    if (!tagNumber && !parseError) {
+      errors.push('Tag number is required');
+    }
+
+    const group = raw.group ? findGroup(raw.group) : defaultGroup;
+    if (raw.group && !group) {
+      errors.push(`Group "${raw.group}" not found at this site`);
+    }
+
+    const species = (raw.species || defaultSpecies || group?.species || firestoreService.AnimalSpecies.CATTLE)
+      .toString().toLowerCase();
+    if (!validSpecies.includes(species)) {
+      errors.push(`Unknown species "${raw.species}"`);
+    }
+
+    let gender = 'unknown';
+    if (raw.gender) {
+      gender = parseGender(raw.gender);
+      if (!gender) {
+        errors.push(`Unrecognized sex "${raw.gender}"`);
+      }
+    }
+
+    let dateOfBirth = null;
+    if (raw.dateOfBirth) {
+      dateOfBirth = parseDate(raw.dateOfBirth, dateFormat);
+      if (!dateOfBirth) {
+        errors.push(`Invalid date of birth "${raw.dateOfBirth}"`);
+      } else if (dateOfBirth > new Date()) {
+        errors.push('Date of birth is in the future');
+      }
+    }
+
+    let weight = null;
+    if (raw.weight) {
+      const value = parseFloat(String(raw.weight).replace(/[^\d.]/g, ''));
+      if (!value || value <= 0) {
+        errors.push(`Invalid weight "${raw.weight}"`);
+      } else {
+        weight = { value, unit: weightUnit };
+        const readAt = raw.readAt ? parseDate(raw.readAt, dateFormat) : null;
+        if (readAt) weight.recordedAt = readAt;
+      }
+    }
+
+    let cost = acquisition?.cost ?? null;
+    if (raw.cost) {
+      cost = parseFloat(String(raw.cost).replace(/[$,\s]/g, ''));
+      if (!Number.isFinite(cost) || cost < 0) {
+        errors.push(`Invalid cost "${raw.cost}"`);
+        cost = null;
+      }
+    }
+
+    return {
+      rowNumber,
+      animal: {
+        siteId,
+        groupId: group?.id || null,
+        groupName: group?.name || null,
+        tagNumber,
+        electronicId,
+        name: raw.name || null,
+        species,
+        breed: raw.breed || null,
+        gender,
+        dateOfBirth,
+        weight,
+        color: raw.color || null,
+        notes: raw.notes || null,
+        acquisition: (acquisition || cost !== null) ? { ...acquisition, cost } : null,
+      },
+      errors,
+      warnings,
+    };
+  });
+
+  // Duplicate-tag rule: no two active animals share a tag (same for EIDs)
+  const seenTags = new Map();
+  const seenEids = new Map();
+  rows.forEach((row) => {
+    const { tagNumber, electronicId } = row.animal;
+    if (tagNumber) {
+      if (seenTags.has(tagNumber)) {
+        row.errors.push(`Duplicate tag number "${tagNumber}" (also on row ${seenTags.get(tagNumber)})`);
+      } else {
+        seenTags.set(tagNumber, row.rowNumber);
+      }
+    }
+    if (electronicId) {
+      if (seenEids.has(electronicId)) {
+        row.errors.push(`Duplicate EID "${electronicId}" (also on row ${seenEids.get(electronicId)})`);
+      } else {
+        seenEids.set(electronicId, row.rowNumber);
+      }
+    }
+  });
+
+  const [existingTags, existingEids] = await Promise.all([
+    findActiveByField(tenantId, 'tagNumber', [...seenTags.keys()]),
+    findActiveByField(tenantId, 'electronicId', [...seenEids.keys()]),
+  ]);
+  rows.forEach((row) => {
+    const { tagNumber, electronicId } = row.animal;
+    if (existingTags.has(tagNumber)) {
+      row.errors.push(`An active animal with tag number "${tagNumber}" already exists`);
+    }
+    if (electronicId && existingEids.has(electronicId)) {
+      row.errors.push(`An active animal with EID "${electronicId}" already exists`);
+    }
+  });
+
+  const invalid = rows.filter((row) => row.errors.length > 0).length;
+
+  return {
+    valid: invalid === 0 && rows.length > 0,
+    error: rows.length === 0 ? 'No rows to import' : null,
+    columns: parsed.columns,
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      withWarnings: rows.filter((row) => row.warnings.length > 0).length,
+    },
+  };
+};
+
+// ============================================
+// COMMIT
+// ============================================
+
+/**
+ * Write import operations in batches of IMPORT_BATCH_SIZE
+ * If a batch fails, the batches already committed are undone (created docs
+ * deleted, group counts decremented) so a retry starts from a clean slate.
+ */
+const commitInBatches = async (writes) => {
+  const committed = [];
+
+  try {
+    for (let i = 0; i < writes.length; i += IMPORT_BATCH_SIZE) {
+      const chunk = writes.slice(i, i + IMPORT_BATCH_SIZE);
+      const batch = db.batch();
+      chunk.forEach(({ ref, data, update }) => (update ? batch.update(ref, data) : batch.create(ref, data)));
+      await batch.commit();
+      committed.push(...chunk);
+    }
+  } catch (error) {
+    for (let i = 0; i < committed.length; i += IMPORT_BATCH_SIZE) {
+      const batch = db.batch();
+      committed
+        .slice(i, i + IMPORT_BATCH_SIZE)
+        .forEach(({ ref, undo }) => (undo ? batch.update(ref, undo) : batch.delete(ref)));
+      await batch.commit().catch((rollbackError) => console.error('Import rollback failed:', rollbackError));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create every animal in a previewed import
+ * Nothing is written if any row has errors.
+ *
+ * @returns {Promise<{ created: object[], preview: object }>}
+ */
+const commitImport = async (tenantId, importData, createdBy) => {
+  const preview = await previewImport(tenantId, importData);
+  if (!preview.valid) {
+    const err = new Error(preview.error || `${preview.summary.invalid} row(s) have errors`);
+    err.preview = preview;
+    throw err;
+  }
+
+  const tenantRef = db.collection('tenants').doc(tenantId);
+  const writes = [];
+  const groupCounts = {};
+  const created = [];
+  const now = new Date();
+
+  preview.rows.forEach(({ animal }) => {
+    const animalRef = tenantRef.collection('animals').doc();
+    const acquisitionDate = animal.acquisition?.date ? new Date(animal.acquisition.date) : now;
+
+    const doc = {
+      ...firestoreService.buildAnimalDoc({
+        ...animal,
+        acquisitionDate,
+        weight: animal.weight
+          ? { ...animal.weight, recordedAt: animal.weight.recordedAt || acquisitionDate }
+          : null,
+        acquisition: animal.acquisition
+          ? {
+              method: animal.acquisition.method || 'purchased',
+              source: animal.acquisition.source || null,
+              cost: animal.acquisition.cost ?? null,
+            }
+          : null,
+      }, createdBy),
+      importedAt: now,
+    };
+    writes.push({ ref: animalRef, data: doc });
+
+    // Arrival weight starts the weight history
+    if (doc.weight) {
+      writes.push({
+        ref: tenantRef.collection('weighIns').doc(),
+        data: firestoreService.buildWeighInDoc({
+          type: firestoreService.WeighInType.INDIVIDUAL,
+          animalId: animalRef.id,
+          groupId: doc.groupId,
+          siteId: doc.siteId,
+          weight: doc.weight.value,
+          unit: doc.weight.unit,
+          weighedAt: doc.weight.recordedAt,
+          notes: 'Imported',
+        }, createdBy),
+      });
+    }
+
+    if (doc.groupId) {
+      groupCounts[doc.groupId] = (groupCounts[doc.groupId] || 0) + 1;
+    }
+
+    created.push({ id: animalRef.id, ...doc, createdAt: now, updatedAt: now });
+  });
+
+  // Group counts go last, so they only move once every animal is written
+  Object.entries(groupCounts).forEach(([groupId, count]) => {
+    writes.push({
+      ref: tenantRef.collection('animalGroups').doc(groupId),
+      update: true,
+      data: { animalCount: FieldValue.increment(count), updatedAt: FieldValue.serverTimestamp() },
+      undo: { animalCount: FieldValue.increment(-count) },
+    });
+  });
+
+  await commitInBatches(writes);
+
+  return { created, preview };
+};
+
+module.exports = {
+  // Constants
+  ImportFormat,
+  MAX_IMPORT_ROWS,
+
+  // Parsing
+  parseImportContent,
+  countImportRows,
+
+  // Import
+  previewImport,
+  commitImport,
+};
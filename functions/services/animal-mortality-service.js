@@ -0,0 +1,241 @@
+/**
+ * Animal Mortality Service
+ * Records deaths and culls with cause and carcass disposal, and writes the
+ * animal's cost basis off the livestock asset account through the posting engine
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const MortalityType = {
+  DECEASED: firestoreService.AnimalStatus.DECEASED,
+  CULLED: firestoreService.AnimalStatus.CULLED,
+};
+
+const MortalityCause = {
+  DISEASE: 'DISEASE',
+  INJURY: 'INJURY',
+  PREDATION: 'PREDATION',
+  BIRTHING: 'BIRTHING',
+  WEATHER: 'WEATHER',
+  POISONING: 'POISONING',
+  AGE: 'AGE',
+  POOR_PERFORMANCE: 'POOR_PERFORMANCE',
+  INFERTILITY: 'INFERTILITY',
+  UNKNOWN: 'UNKNOWN',
+  OTHER: 'OTHER',
+};
+
+const DisposalMethod = {
+  RENDERING: 'RENDERING',
+  BURIAL: 'BURIAL',
+  COMPOSTING: 'COMPOSTING',
+  INCINERATION: 'INCINERATION',
+  SLAUGHTER: 'SLAUGHTER',
+  SOLD_FOR_SALVAGE: 'SOLD_FOR_SALVAGE',
+  OTHER: 'OTHER',
+};
+
+// ============================================
+// MORTALITY
+// ============================================
+
+/**
+ * Record a death or cull for an active animal
+ * Sets status (which decrements the group count), stores the mortality details
+ * on the animal, and posts a LIVESTOCK_DEATH_LOSS event for any cost basis.
+ *
+ * @param {string} tenantId
+ * @param {string} animalId
+ * @param {object} data - { type, cause, causeDetail, disposalMethod, date, notes }
+ * @param {string} recordedBy - Firebase UID
+ * @returns {Promise<{animal: object, event: object|null, processing: object|null}>}
+ */
+const recordMortality = async (tenantId, animalId, data, recordedBy) => {
+  const {
+    type,
+    cause,
+    causeDetail,
+    disposalMethod,
+    date,
+    notes,
+  } = data;
+
+  const animal = await firestoreService.getAnimal(tenantId, animalId);
+  if (!animal) {
+    throw new Error('Animal not found');
+  }
+  if (animal.status !== firestoreService.AnimalStatus.ACTIVE) {
+    throw new Error(`Animal is already ${animal.status}`);
+  }
+
+  const occurredAt = date ? new Date(date) : new Date();
+  const costAmount = Math.max(0, parseFloat(animal.costBasis) || 0);
+  const groupId = animal.groupId || null;
+  const siteId = animal.siteId || null;
+
+  // Status first so the group count is decremented exactly once
+  await firestoreService.updateAnimalStatus(
+    tenantId,
+    animalId,
+    type,
+    causeDetail || cause || null,
+    recordedBy
+  );
+
+  const animalRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animals')
+    .doc(animalId);
+
+  const mortality = {
+    type,
+    cause: cause || MortalityCause.UNKNOWN,
+    causeDetail: causeDetail || null,
+    disposalMethod: disposalMethod || null,
+    date: occurredAt,
+    notes: notes || null,
+    costWrittenOff: costAmount,
+    eventId: null,
+    recordedBy,
+  };
+
+  await animalRef.update({
+    mortality,
+    statusDate: occurredAt,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  // Nothing to write off when the animal carried no cost
+  let event = null;
+  let processing = null;
+  if (costAmount > 0) {
+    const payload = {
+      animalId,
+      tagNumber: animal.tagNumber || null,
+      mortalityType: type,
+      cause: mortality.cause,
+      disposalMethod: mortality.disposalMethod,
+      costAmount,
+      livestockGroupId: groupId,
+    };
+
+    const idempotencyKey = accountingService.generateIdempotencyKey(
+      tenantId,
+      `death-loss-${animalId}`,
+      payload
+    );
+
+    event = await firestoreService.createEvent(
+      tenantId,
+      {
+        siteId,
+        type: 'LIVESTOCK_DEATH_LOSS',
+        occurredAt,
+        sourceType: 'API',
+        sourceId: animalId,
+        payload,
+        idempotencyKey,
+      },
+      recordedBy
+    );
+
+    try {
+      const lockerId = `api-${uuidv4()}`;
+      processing = await accountingService.processEvent(tenantId, event.id, lockerId);
+    } catch (postingError) {
+      console.error('Livestock death loss posting failed:', postingError);
+      processing = { success: false, error: postingError.message };
+    }
+
+    await animalRef.update({ 'mortality.eventId': event.id });
+  }
+
+  return {
+    animal: await firestoreService.getAnimal(tenantId, animalId),
+    event,
+    processing,
+  };
+};
+
+/**
+ * List dead and culled animals with their mortality details
+ * Filtered and sorted client-side (newest first) to avoid composite indexes
+ */
+const getMortalityRecords = async (tenantId, options = {}) => {
+  const { siteId, groupId, startDate, endDate, limit = 100 } = options;
+
+  const snapshot = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animals')
+    .where('status', 'in', Object.values(MortalityType))
+    .get();
+
+  const toMillis = (value) => {
+    if (!value) return 0;
+    if (value.toDate) return value.toDate().getTime();
+    return new Date(value).getTime();
+  };
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  const records = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((animal) => !siteId || animal.siteId === siteId)
+    .filter((animal) => !groupId || animal.groupId === groupId)
+    .map((animal) => ({
+      animalId: animal.id,
+      tagNumber: animal.tagNumber,
+      name: animal.name || null,
+      species: animal.species,
+      siteId: animal.siteId || null,
+      groupId: animal.groupId || null,
+      type: animal.status,
+      cause: animal.mortality?.cause || null,
+      causeDetail: animal.mortality?.causeDetail || animal.statusReason || null,
+      disposalMethod: animal.mortality?.disposalMethod || null,
+      date: animal.mortality?.date || animal.statusDate || null,
+      costWrittenOff: animal.mortality?.costWrittenOff || 0,
+      eventId: animal.mortality?.eventId || null,
+    }))
+    .filter((record) => {
+      const at = toMillis(record.date);
+      if (start && at < start) return false;
+      if (end && at > end) return false;
+      return true;
+    })
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date));
+
+  const totalCostWrittenOff = records.reduce((sum, r) => sum + (r.costWrittenOff || 0), 0);
+
+  return {
+    records: records.slice(0, parseInt(limit) || 100),
+    summary: {
+      total: records.length,
+      deceased: records.filter((r) => r.type === MortalityType.DECEASED).length,
+      culled: records.filter((r) => r.type === MortalityType.CULLED).length,
+      totalCostWrittenOff: Math.round(totalCostWrittenOff * 100) / 100,
+    },
+  };
+};
+
+module.exports = {
+  // Enums
+  MortalityType,
+  MortalityCause,
+  DisposalMethod,
+
+  // Mortality
+  recordMortality,
+  getMortalityRecords,
+};
@@ -0,0 +1,540 @@
+/**
+ * Breeding Service
+ * Exposures, AI services, pregnancy checks and births for breeding females.
+ * A breeding record follows one service of one dam through to the birth.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+/**
+ * How the dam was bred
+ */
+const BreedingMethod = {
+  NATURAL: 'NATURAL', // Pasture/pen exposure to a bull, ram, buck, etc.
+  AI: 'AI', // Artificial insemination
+  EMBRYO_TRANSFER: 'EMBRYO_TRANSFER',
+};
+
+/**
+ * Breeding record lifecycle
+ */
+const BreedingStatus = {
+  BRED: 'BRED', // Serviced, not yet checked
+  PREGNANT: 'PREGNANT', // Confirmed by pregnancy check
+  OPEN: 'OPEN', // Checked open (not pregnant)
+  BIRTHED: 'BIRTHED', // Birth recorded
+  LOST: 'LOST', // Abortion / pregnancy loss
+};
+
+/**
+ * Pregnancy check results
+ */
+const PregnancyCheckResult = {
+  PREGNANT: 'PREGNANT',
+  OPEN: 'OPEN',
+  RECHECK: 'RECHECK',
+};
+
+/**
+ * Pregnancy check methods
+ */
+const PregnancyCheckMethod = {
+  PALPATION: 'PALPATION',
+  ULTRASOUND: 'ULTRASOUND',
+  BLOOD_TEST: 'BLOOD_TEST',
+  OBSERVATION: 'OBSERVATION',
+};
+
+/**
+ * Average gestation (or incubation, for poultry) in days by species
+ * null = species is not bred on farm (or has no meaningful gestation)
+ */
+const GESTATION_DAYS = {
+  cattle: 283,
+  horse: 340,
+  donkey: 365,
+  mule: null,
+  sheep: 147,
+  goat: 150,
+  pig: 114,
+  llama: 350,
+  alpaca: 345,
+  chicken: 21,
+  turkey: 28,
+  duck: 28,
+  goose: 30,
+  guinea_fowl: 28,
+  quail: 17,
+  rabbit: 31,
+  bee: null,
+  other: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records still waiting on a birth
+const OPEN_PREGNANCY_STATUSES = [BreedingStatus.BRED, BreedingStatus.PREGNANT];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize a Firestore Timestamp, Date or date string to a Date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+const addDays = (date, days) => new Date(toDate(date).getTime() + days * DAY_MS);
+
+/**
+ * Get gestation length for a species
+ * @returns {number|null}
+ */
+const getGestationDays = (species) => GESTATION_DAYS[species] ?? null;
+
+/**
+ * Compute the expected birth date from a service date
+ * @param {string} species
+ * @param {Date|string} serviceDate
+ * @returns {Date|null}
+ */
+const computeExpectedBirthDate = (species, serviceDate) => {
+  const days = getGestationDays(species);
+  if (!days || !serviceDate) return null;
+  return addDays(serviceDate, days);
+};
+
+// ============================================
+// BREEDING RECORD OPERATIONS
+// ============================================
+
+/**
+ * Record a breeding (exposure, AI or embryo transfer) for a dam
+ */
+const createBreedingRecord = async (tenantId, recordData, createdBy) => {
+  const {
+    damId,
+    sireId,
+    sireDescription,
+    method,
+    serviceDate,
+    exposureEndDate,
+    semenStraw,
+    technician,
+    notes,
+  } = recordData;
+
+  const dam = await firestoreService.getAnimal(tenantId, damId);
+  if (!dam) {
+    throw new Error('Dam not found');
+  }
+  if (dam.gender !== 'female') {
+    throw new Error('Breeding records can only be created for female animals');
+  }
+
+  let sire = null;
+  if (sireId) {
+    sire = await firestoreService.getAnimal(tenantId, sireId);
+    if (!sire) {
+      throw new Error('Sire not found');
+    }
+    if (sire.species !== dam.species) {
+      throw new Error('Sire and dam must be the same species');
+    }
+  }
+
+  const serviced = serviceDate ? new Date(serviceDate) : new Date();
+  const exposureEnd = exposureEndDate ? new Date(exposureEndDate) : null;
+
+  if (exposureEnd && exposureEnd < serviced) {
+    throw new Error('Exposure end date must be on or after the service date');
+  }
+
+  const recordRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords')
+    .doc();
+
+  const record = {
+    damId,
+    damTagNumber: dam.tagNumber,
+    sireId: sireId || null,
+    sireTagNumber: sire?.tagNumber || null,
+    sireDescription: sireDescription || null, // Outside sire / AI bull name
+    species: dam.species,
+    siteId: dam.siteId,
+    groupId: dam.groupId || null,
+    method: method || BreedingMethod.NATURAL,
+    serviceDate: serviced,
+    exposureEndDate: exposureEnd,
+    semenStraw: semenStraw || null,
+    technician: technician || null,
+    // A natural exposure spans a window, so births can come any time across it
+    expectedBirthDate: computeExpectedBirthDate(dam.species, serviced),
+    expectedBirthWindowEnd: exposureEnd
+      ? computeExpectedBirthDate(dam.species, exposureEnd)
+      : null,
+    pregnancyChecks: [],
+    status: BreedingStatus.BRED,
+    birthDate: null,
+    offspringIds: [],
+    notes: notes || null,
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await recordRef.set(record);
+
+  return {
+    id: recordRef.id,
+    ...record,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+};
+
+/**
+ * Get breeding records with filters
+ * Sorted client-side (newest service first) to avoid composite index requirements
+ */
+const getBreedingRecords = async (tenantId, options = {}) => {
+  const { damId, sireId, status, siteId, limit = 100 } = options;
+
+  let query = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords');
+
+  if (damId) {
+    query = query.where('damId', '==', damId);
+  } else if (sireId) {
+    query = query.where('sireId', '==', sireId);
+  } else if (siteId) {
+    query = query.where('siteId', '==', siteId);
+  }
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  const snapshot = await query.get();
+
+  const records = snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  records.sort((a, b) => toDate(b.serviceDate) - toDate(a.serviceDate));
+
+  return records.slice(0, parseInt(limit));
+};
+
+/**
+ * Get a single breeding record
+ */
+const getBreedingRecord = async (tenantId, recordId) => {
+  const recordDoc = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords')
+    .doc(recordId)
+    .get();
+
+  if (!recordDoc.exists) {
+    return null;
+  }
+
+  return {
+    id: recordDoc.id,
+    ...recordDoc.data(),
+  };
+};
+
+/**
+ * Record a pregnancy check against a breeding record
+ * A fetal age estimate re-anchors the expected birth date.
+ */
+const recordPregnancyCheck = async (tenantId, recordId, checkData, checkedBy) => {
+  const { result, method, checkedAt, fetalAgeDays, notes } = checkData;
+
+  const record = await getBreedingRecord(tenantId, recordId);
+  if (!record) {
+    throw new Error('Breeding record not found');
+  }
+  if (!OPEN_PREGNANCY_STATUSES.includes(record.status)) {
+    throw new Error(`Cannot check a breeding record with status ${record.status}`);
+  }
+
+  const checkDate = checkedAt ? new Date(checkedAt) : new Date();
+  const check = {
+    checkedAt: checkDate,
+    result,
+    method: method || null,
+    fetalAgeDays: fetalAgeDays != null ? parseInt(fetalAgeDays) : null,
+    checkedBy,
+    notes: notes || null,
+  };
+
+  const updates = {
+    pregnancyChecks: [...(record.pregnancyChecks || []), check],
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  if (result === PregnancyCheckResult.PREGNANT) {
+    updates.status = BreedingStatus.PREGNANT;
+
+    if (check.fetalAgeDays != null) {
+      const conceived = addDays(checkDate, -check.fetalAgeDays);
+      updates.expectedBirthDate = computeExpectedBirthDate(record.species, conceived);
+      updates.expectedBirthWindowEnd = null;
+    }
+  } else if (result === PregnancyCheckResult.OPEN) {
+    updates.status = BreedingStatus.OPEN;
+    updates.expectedBirthDate = null;
+    updates.expectedBirthWindowEnd = null;
+  }
+
+  await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords')
+    .doc(recordId)
+    .update(updates);
+
+  return getBreedingRecord(tenantId, recordId);
+};
+
+/**
+ * Mark a pregnancy as lost (abortion, resorption)
+ */
+const recordPregnancyLoss = async (tenantId, recordId, { lostAt, notes } = {}) => {
+  const record = await getBreedingRecord(tenantId, recordId);
+  if (!record) {
+    throw new Error('Breeding record not found');
+  }
+  if (!OPEN_PREGNANCY_STATUSES.includes(record.status)) {
+    throw new Error(`Cannot record a loss for a breeding record with status ${record.status}`);
+  }
+
+  await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords')
+    .doc(recordId)
+    .update({
+      status: BreedingStatus.LOST,
+      lostAt: lostAt ? new Date(lostAt) : new Date(),
+      expectedBirthDate: null,
+      expectedBirthWindowEnd: null,
+      notes: notes ?? record.notes,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+  return getBreedingRecord(tenantId, recordId);
+};
+
+/**
+ * Record a birth and create the offspring with lineage pre-filled
+ * Offspring inherit species, breed, site and group from the dam unless given.
+ *
+ * @param {string} tenantId
+ * @param {string} recordId - Breeding record
+ * @param {object} birthData
+ * @param {Date|string} [birthData.birthDate]
+ * @param {Array} birthData.offspring - [{ tagNumber, name, gender, weight, color, markings, electronicId, groupId }]
+ * @param {string} createdBy
+ * @returns {Promise<{record: object, offspring: object[]}>}
+ */
+const recordBirth = async (tenantId, recordId, birthData, createdBy) => {
+  const { birthDate, offspring = [], notes } = birthData;
+
+  const record = await getBreedingRecord(tenantId, recordId);
+  if (!record) {
+    throw new Error('Breeding record not found');
+  }
+  if (!OPEN_PREGNANCY_STATUSES.includes(record.status)) {
+    throw new Error(`Cannot record a birth for a breeding record with status ${record.status}`);
+  }
+  if (offspring.length === 0) {
+    throw new Error('At least one offspring is required');
+  }
+
+  const dam = await firestoreService.getAnimal(tenantId, record.damId);
+  if (!dam) {
+    throw new Error('Dam not found');
+  }
+
+  const born = birthDate ? new Date(birthDate) : new Date();
+  const tenantRef = db.collection('tenants').doc(tenantId);
+
+  // Check every tag before writing anything so a bad tag can't leave orphaned calves
+  const tags = offspring.map((young) => young.tagNumber);
+  const repeatedTag = tags.find((tag, idx) => tags.indexOf(tag) !== idx);
+  if (repeatedTag) {
+    throw new Error(`Tag number "${repeatedTag}" is used for more than one offspring`);
+  }
+  const tagChecks = await Promise.all(
+    tags.map((tag) =>
+      tenantRef
+        .collection('animals')
+        .where('tagNumber', '==', tag)
+        .where('status', '==', firestoreService.AnimalStatus.ACTIVE)
+        .limit(1)
+        .get()
+    )
+  );
+  const takenIdx = tagChecks.findIndex((snapshot) => !snapshot.empty);
+  if (takenIdx !== -1) {
+    throw new Error(`An active animal with tag number "${tags[takenIdx]}" already exists`);
+  }
+
+  // Offspring, their first weigh-ins, group counts and the record update land in one batch
+  const batch = db.batch();
+  const created = [];
+  const groupCounts = {};
+
+  for (const young of offspring) {
+    const animalData = {
+      siteId: dam.siteId,
+      groupId: young.groupId || dam.groupId || null,
+      tagNumber: young.tagNumber,
+      name: young.name,
+      species: dam.species,
+      breed: young.breed || dam.breed,
+      gender: young.gender,
+      dateOfBirth: born,
+      acquisitionDate: born,
+      color: young.color,
+      markings: young.markings,
+      weight: young.weight,
+      sireId: record.sireId,
+      damId: record.damId,
+      acquisition: { method: 'born' },
+      electronicId: young.electronicId,
+      notes: young.notes,
+    };
+
+    const animalRef = tenantRef.collection('animals').doc();
+    const animal = firestoreService.buildAnimalDoc(animalData, createdBy);
+    batch.create(animalRef, animal);
+
+    if (animal.groupId) {
+      groupCounts[animal.groupId] = (groupCounts[animal.groupId] || 0) + 1;
+    }
+
+    if (young.weight?.value) {
+      batch.create(
+        tenantRef.collection('weighIns').doc(),
+        firestoreService.buildWeighInDoc({
+          type: firestoreService.WeighInType.INDIVIDUAL,
+          animalId: animalRef.id,
+          groupId: animal.groupId,
+          siteId: animal.siteId,
+          weight: young.weight.value,
+          unit: young.weight.unit,
+          weighedAt: young.weight.recordedAt || born,
+        }, createdBy)
+      );
+    }
+
+    created.push({ id: animalRef.id, ...animal, createdAt: new Date(), updatedAt: new Date() });
+  }
+
+  // Only count into groups that still exist; a missing group would fail the whole batch
+  const groupIds = Object.keys(groupCounts);
+  const groupDocs = groupIds.length > 0
+    ? await db.getAll(...groupIds.map((id) => tenantRef.collection('animalGroups').doc(id)))
+    : [];
+  for (const groupDoc of groupDocs) {
+    if (!groupDoc.exists) continue;
+    batch.update(groupDoc.ref, {
+      animalCount: FieldValue.increment(groupCounts[groupDoc.id]),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  batch.update(tenantRef.collection('breedingRecords').doc(recordId), {
+    status: BreedingStatus.BIRTHED,
+    birthDate: born,
+    offspringIds: created.map((a) => a.id),
+    birthNotes: notes || null,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+
+  return {
+    record: await getBreedingRecord(tenantId, recordId),
+    offspring: created,
+  };
+};
+
+/**
+ * List expected births within the next N days
+ * Overdue pregnancies (expected date already passed) are included.
+ */
+const getUpcomingBirths = async (tenantId, options = {}) => {
+  const { siteId, days = 60, asOf = new Date() } = options;
+  const horizon = addDays(asOf, parseInt(days));
+
+  let query = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('breedingRecords')
+    .where('status', 'in', OPEN_PREGNANCY_STATUSES);
+
+  if (siteId) {
+    query = query.where('siteId', '==', siteId);
+  }
+
+  const snapshot = await query.get();
+  const today = toDate(asOf);
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((record) => record.expectedBirthDate && toDate(record.expectedBirthDate) <= horizon)
+    .map((record) => {
+      const expected = toDate(record.expectedBirthDate);
+      return {
+        ...record,
+        daysUntilBirth: Math.ceil((expected - today) / DAY_MS),
+        overdue: expected < today,
+      };
+    })
+    .sort((a, b) => toDate(a.expectedBirthDate) - toDate(b.expectedBirthDate));
+};
+
+module.exports = {
+  // Constants
+  BreedingMethod,
+  BreedingStatus,
+  PregnancyCheckResult,
+  PregnancyCheckMethod,
+  GESTATION_DAYS,
+
+  // Helpers
+  getGestationDays,
+  computeExpectedBirthDate,
+
+  // Breeding records
+  createBreedingRecord,
+  getBreedingRecords,
+  getBreedingRecord,
+  recordPregnancyCheck,
+  recordPregnancyLoss,
+  recordBirth,
+  getUpcomingBirths,
+};
@@ -0,0 +1,470 @@
+/**
+ * Crop Service
+ * Per-season crop plans on FIELD land tracts and the field operations
+ * performed against them. Seed, fertilizer and chemical applications draw
+ * inventory through APPLY_CROP_INPUT events; harvests add product to
+ * inventory through HARVEST_CROP events, carrying the plan's input cost.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const CropPlanStatus = {
+  PLANNED: 'PLANNED',
+  PLANTED: 'PLANTED',
+  HARVESTED: 'HARVESTED',
+  CLOSED: 'CLOSED',
+};
+
+const FieldOperationType = {
+  TILLAGE: 'TILLAGE',
+  PLANTING: 'PLANTING',
+  FERTILIZER: 'FERTILIZER',
+  SPRAY: 'SPRAY',
+  IRRIGATION: 'IRRIGATION',
+  SCOUTING: 'SCOUTING',
+  HARVEST: 'HARVEST',
+  OTHER: 'OTHER',
+};
+
+// Inventory categories that can be applied to a field
+const INPUT_CATEGORIES = [
+  firestoreService.InventoryCategory.SEED,
+  firestoreService.InventoryCategory.FERTILIZER,
+  firestoreService.InventoryCategory.CHEMICAL,
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+const plansCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('cropPlans');
+
+const operationsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('fieldOperations');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Add per-acre cost and yield to a stored plan
+ * Yield is measured over the planted acres, falling back to the tract's area
+ */
+const withPlanMetrics = (plan) => {
+  const acres = plan.plantedAcres || plan.areaAcres || 0;
+  return {
+    ...plan,
+    inputCostPerAcre: acres > 0 ? round((plan.inputCost || 0) / acres) : null,
+    yieldPerAcre: acres > 0 && plan.harvestedQty > 0 ? round(plan.harvestedQty / acres) : null,
+    yieldVsTarget: plan.targetYieldPerAcre && plan.harvestedQty > 0 && acres > 0
+      ? round((plan.harvestedQty / acres) / plan.targetYieldPerAcre * 100, 1)
+      : null,
+  };
+};
+
+/**
+ * Create and post an inventory event for a field operation
+ * Posting failures are returned, not thrown, like the other event routes
+ */
+const postEvent = async (tenantId, siteId, type, operationId, payload, occurredAt, createdBy) => {
+  const idempotencyKey = accountingService.generateIdempotencyKey(
+    tenantId,
+    `${type.toLowerCase()}-${operationId}-${payload.itemId}`,
+    payload
+  );
+
+  const event = await firestoreService.createEvent(
+    tenantId,
+    {
+      siteId,
+      type,
+      occurredAt,
+      sourceType: 'API',
+      sourceId: operationId,
+      payload,
+      idempotencyKey,
+    },
+    createdBy
+  );
+
+  let processing;
+  try {
+    const lockerId = `api-${uuidv4()}`;
+    processing = await accountingService.processEvent(tenantId, event.id, lockerId);
+  } catch (postingError) {
+    console.error(`${type} posting failed:`, postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  return { event, processing };
+};
+
+/**
+ * Current average cost of an item at a site
+ */
+const getUnitCost = async (tenantId, siteId, item) => {
+  const balance = await firestoreService.getSiteInventoryBalance(tenantId, siteId, item.id);
+  return balance.avgCostPerUnit || item.defaultCostPerUnit || 0;
+};
+
+// ============================================
+// CROP PLANS
+// ============================================
+
+/**
+ * Create a crop plan for a FIELD tract and season
+ * @param {object} data - { tractId, season, crop, variety, plantedAcres, seedingRate,
+ *   plannedPlantingDate, expectedHarvestDate, targetYieldPerAcre, yieldUnit, notes }
+ */
+const createCropPlan = async (tenantId, data, createdBy) => {
+  const tract = await firestoreService.getLandTract(tenantId, data.tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+  if (tract.type !== firestoreService.LandType.FIELD) {
+    throw new Error('Crop plans can only be created on FIELD tracts');
+  }
+  if (tract.status !== 'active') {
+    throw new Error(`Land tract is ${tract.status}`);
+  }
+
+  const planRef = plansCollection(tenantId).doc();
+  const plan = {
+    siteId: tract.siteId,
+    tractId: tract.id,
+    tractName: tract.name,
+    areaAcres: tract.areaAcres || 0,
+    season: String(data.season),
+    crop: data.crop,
+    variety: data.variety || null,
+    plantedAcres: data.plantedAcres ?? null,
+    seedingRate: data.seedingRate || null, // { value, unit } e.g. 32000 seeds/acre
+    plannedPlantingDate: data.plannedPlantingDate ? new Date(data.plannedPlantingDate) : null,
+    expectedHarvestDate: data.expectedHarvestDate ? new Date(data.expectedHarvestDate) : null,
+    targetYieldPerAcre: data.targetYieldPerAcre ?? null,
+    yieldUnit: data.yieldUnit || null,
+    status: CropPlanStatus.PLANNED,
+    plantedDate: null,
+    harvestedDate: null,
+    inputCost: 0,
+    harvestedQty: 0,
+    harvestedCost: 0,
+    notes: data.notes || null,
+    createdBy,
+    updatedBy: createdBy,
+  };
+
+  await planRef.set({
+    ...plan,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return withPlanMetrics({ id: planRef.id, ...plan, createdAt: new Date(), updatedAt: new Date() });
+};
+
+/**
+ * List crop plans, newest season first
+ * Filtered client-side to avoid composite indexes
+ */
+const getCropPlans = async (tenantId, options = {}) => {
+  const { siteId, tractId, season, status, crop } = options;
+
+  let query = plansCollection(tenantId);
+  if (tractId) {
+    query = query.where('tractId', '==', tractId);
+  } else if (siteId) {
+    query = query.where('siteId', '==', siteId);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map((doc) => withPlanMetrics({ id: doc.id, ...doc.data() }))
+    .filter((plan) => !siteId || plan.siteId === siteId)
+    .filter((plan) => !season || plan.season === String(season))
+    .filter((plan) => !status || plan.status === status)
+    .filter((plan) => !crop || (plan.crop || '').toLowerCase() === crop.toLowerCase())
+    .sort((a, b) =>
+      (b.season || '').localeCompare(a.season || '') || (a.tractName || '').localeCompare(b.tractName || '')
+    );
+};
+
+/**
+ * Get a crop plan
+ */
+const getCropPlan = async (tenantId, planId) => {
+  const planDoc = await plansCollection(tenantId).doc(planId).get();
+  if (!planDoc.exists) {
+    return null;
+  }
+  return withPlanMetrics({ id: planDoc.id, ...planDoc.data() });
+};
+
+/**
+ * Update a crop plan's planning fields or status
+ */
+const updateCropPlan = async (tenantId, planId, updates, updatedBy) => {
+  const cleanUpdates = Object.fromEntries(
+    Object.entries(updates).filter(([_, v]) => v !== undefined)
+  );
+
+  ['plannedPlantingDate', 'expectedHarvestDate'].forEach((field) => {
+    if (cleanUpdates[field]) cleanUpdates[field] = new Date(cleanUpdates[field]);
+  });
+  if (cleanUpdates.season !== undefined) cleanUpdates.season = String(cleanUpdates.season);
+
+  await plansCollection(tenantId).doc(planId).update({
+    ...cleanUpdates,
+    updatedBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return getCropPlan(tenantId, planId);
+};
+
+// ============================================
+// FIELD OPERATIONS
+// ============================================
+
+/**
+ * Record a field operation against a crop plan
+ * Each input posts an APPLY_CROP_INPUT event; a HARVEST posts a HARVEST_CROP
+ * event that brings the plan's not-yet-harvested input cost into inventory
+ * unless a cost per unit is given.
+ *
+ * @param {string} tenantId
+ * @param {string} planId
+ * @param {object} data - { type, date, acres, inputs: [{ itemId, qty, ratePerAcre }],
+ *   harvest: { itemId, qty, moisturePct, costPerUnit }, operator, notes }
+ * @param {string} createdBy - Firebase UID
+ * @returns {Promise<{ operation: object, plan: object, postings: object[] }>}
+ */
+const recordFieldOperation = async (tenantId, planId, data, createdBy) => {
+  const plan = await getCropPlan(tenantId, planId);
+  if (!plan) {
+    throw new Error('Crop plan not found');
+  }
+  if (plan.status === CropPlanStatus.CLOSED) {
+    throw new Error('Crop plan is closed');
+  }
+
+  const { type, inputs = [], harvest } = data;
+  const occurredAt = data.date ? new Date(data.date) : new Date();
+  const acres = data.acres ?? plan.plantedAcres ?? plan.areaAcres ?? 0;
+
+  if (type === FieldOperationType.HARVEST && (!harvest?.itemId || !(harvest.qty > 0))) {
+    throw new Error('Harvest operations need a product item and a quantity');
+  }
+
+  // Resolve inputs up front so a bad line fails before anything posts
+  const resolvedInputs = [];
+  for (const input of inputs) {
+    const item = await firestoreService.getInventoryItem(tenantId, input.itemId);
+    if (!item) {
+      throw new Error(`Inventory item ${input.itemId} not found`);
+    }
+    if (!INPUT_CATEGORIES.includes(item.category)) {
+      throw new Error(`${item.name} is not a seed, fertilizer or chemical item`);
+    }
+
+    const qty = input.qty ?? (input.ratePerAcre ? input.ratePerAcre * acres : 0);
+    if (!(qty > 0)) {
+      throw new Error(`Quantity or rate per acre is required for ${item.name}`);
+    }
+
+    const costPerUnit = await getUnitCost(tenantId, plan.siteId, item);
+    resolvedInputs.push({
+      itemId: item.id,
+      itemName: item.name,
+      category: item.category,
+      unit: item.unit,
+      qty: round(qty, 4),
+      ratePerAcre: acres > 0 ? round(qty / acres, 4) : null,
+      costPerUnit,
+      totalCost: round(qty * costPerUnit),
+      eventId: null,
+    });
+  }
+
+  let harvestItem = null;
+  if (harvest?.itemId) {
+    harvestItem = await firestoreService.getInventoryItem(tenantId, harvest.itemId);
+    if (!harvestItem) {
+      throw new Error('Harvest product item not found');
+    }
+  }
+
+  const operationRef = operationsCollection(tenantId).doc();
+  const postings = [];
+
+  for (const input of resolvedInputs) {
+    const posting = await postEvent(
+      tenantId,
+      plan.siteId,
+      'APPLY_CROP_INPUT',
+      operationRef.id,
+      {
+        itemId: input.itemId,
+        itemType: input.category,
+        qty: input.qty,
+        costPerUnit: input.costPerUnit,
+        totalCost: input.totalCost,
+        landTractId: plan.tractId,
+        cropPlanId: planId,
+        operationType: type,
+      },
+      occurredAt,
+      createdBy
+    );
+    input.eventId = posting.event.id;
+    postings.push(posting);
+  }
+
+  const inputCost = resolvedInputs.reduce((sum, input) => sum + input.totalCost, 0);
+
+  let harvestRecord = null;
+  if (harvestItem) {
+    const qty = parseFloat(harvest.qty);
+    // Carry whatever input cost earlier harvests haven't already absorbed
+    const totalCost = harvest.costPerUnit !== undefined && harvest.costPerUnit !== null
+      ? round(qty * harvest.costPerUnit)
+      : round(Math.max(0, (plan.inputCost || 0) + inputCost - (plan.harvestedCost || 0)));
+    const costPerUnit = qty > 0 ? round(totalCost / qty, 4) : 0;
+
+    const posting = await postEvent(
+      tenantId,
+      plan.siteId,
+      'HARVEST_CROP',
+      operationRef.id,
+      {
+        itemId: harvestItem.id,
+        itemType: harvestItem.category,
+        qty,
+        costPerUnit,
+        totalCost,
+        landTractId: plan.tractId,
+        cropPlanId: planId,
+      },
+      occurredAt,
+      createdBy
+    );
+    postings.push(posting);
+
+    harvestRecord = {
+      itemId: harvestItem.id,
+      itemName: harvestItem.name,
+      unit: harvestItem.unit,
+      qty,
+      moisturePct: harvest.moisturePct ?? null,
+      costPerUnit,
+      totalCost,
+      yieldPerAcre: acres > 0 ? round(qty / acres) : null,
+      eventId: posting.event.id,
+    };
+  }
+
+  const operation = {
+    planId,
+    siteId: plan.siteId,
+    tractId: plan.tractId,
+    season: plan.season,
+    crop: plan.crop,
+    type,
+    date: occurredAt,
+    acres,
+    inputs: resolvedInputs,
+    inputCost: round(inputCost),
+    harvest: harvestRecord,
+    operator: data.operator || null,
+    notes: data.notes || null,
+    createdBy,
+  };
+
+  await operationRef.set({
+    ...operation,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  // Roll totals and lifecycle dates up to the plan
+  const planUpdates = {
+    inputCost: FieldValue.increment(round(inputCost)),
+    updatedBy: createdBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  if (type === FieldOperationType.PLANTING && plan.status === CropPlanStatus.PLANNED) {
+    planUpdates.status = CropPlanStatus.PLANTED;
+    planUpdates.plantedDate = occurredAt;
+    if (!plan.plantedAcres) planUpdates.plantedAcres = acres;
+  }
+  if (harvestRecord) {
+    planUpdates.status = CropPlanStatus.HARVESTED;
+    planUpdates.harvestedDate = occurredAt;
+    planUpdates.harvestedQty = FieldValue.increment(harvestRecord.qty);
+    planUpdates.harvestedCost = FieldValue.increment(harvestRecord.totalCost);
+    planUpdates.harvestItemId = harvestRecord.itemId;
+    if (!plan.yieldUnit) planUpdates.yieldUnit = harvestRecord.unit;
+  }
+  await plansCollection(tenantId).doc(planId).update(planUpdates);
+
+  return {
+    operation: { id: operationRef.id, ...operation },
+    plan: await getCropPlan(tenantId, planId),
+    postings: postings.map(({ event, processing }) => ({ eventId: event.id, type: event.type, processing })),
+  };
+};
+
+/**
+ * Field operations, newest first, for a plan or a tract
+ */
+const getFieldOperations = async (tenantId, options = {}) => {
+  const { planId, tractId, type, limit = 100 } = options;
+
+  let query = operationsCollection(tenantId);
+  if (planId) {
+    query = query.where('planId', '==', planId);
+  } else if (tractId) {
+    query = query.where('tractId', '==', tractId);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((op) => !type || op.type === type)
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date))
+    .slice(0, parseInt(limit) || 100);
+};
+
+module.exports = {
+  // Enums
+  CropPlanStatus,
+  FieldOperationType,
+  INPUT_CATEGORIES,
+
+  // Crop plans
+  createCropPlan,
+  getCropPlans,
+  getCropPlan,
+  updateCropPlan,
+
+  // Field operations
+  recordFieldOperation,
+  getFieldOperations,
+};
@@ -0,0 +1,370 @@
+/**
+ * Grazing Service
+ * Records which group grazed which pasture tract and when, computes
+ * animal-unit-days (AUD) per acre and rest days between grazes, and moves
+ * groups between pastures with a logged move history.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Animal-unit equivalents per head (1 AU = one 1,000 lb cow with calf)
+const ANIMAL_UNIT_FACTORS = {
+  cattle: 1.0,
+  horse: 1.25,
+  donkey: 0.5,
+  llama: 0.3,
+  alpaca: 0.2,
+  sheep: 0.2,
+  goat: 0.15,
+  pig: 0.3,
+};
+
+// Used for species without a standard equivalent; callers can override per period
+const DEFAULT_ANIMAL_UNIT_FACTOR = 1.0;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const periodsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('grazingPeriods');
+
+const movesCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('groupMoves');
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const getAnimalUnitFactor = (species) =>
+  ANIMAL_UNIT_FACTORS[(species || '').toLowerCase()] ?? DEFAULT_ANIMAL_UNIT_FACTOR;
+
+/**
+ * Add computed grazing metrics to a stored period
+ * Open periods are measured up to now
+ */
+const withMetrics = (period, areaAcres, now = new Date()) => {
+  const inDate = toDate(period.inDate);
+  const outDate = toDate(period.outDate);
+  const days = Math.max(0, ((outDate || now) - inDate) / DAY_MS);
+  const animalUnitDays = (period.headCount || 0) * (period.animalUnitFactor || 0) * days;
+
+  return {
+    ...period,
+    inDate,
+    outDate,
+    open: !outDate,
+    days: round(days, 1),
+    animalUnitDays: round(animalUnitDays, 1),
+    audPerAcre: areaAcres > 0 ? round(animalUnitDays / areaAcres, 2) : null,
+  };
+};
+
+/**
+ * Find a group's open grazing period, if any
+ * Filtered client-side to avoid a composite index
+ */
+const getOpenPeriodForGroup = async (tenantId, groupId) => {
+  const snapshot = await periodsCollection(tenantId).where('groupId', '==', groupId).get();
+  const open = snapshot.docs.find((doc) => !doc.data().outDate);
+  return open ? { id: open.id, ...open.data() } : null;
+};
+
+/**
+ * Log a group move between pastures
+ */
+const logGroupMove = async (tenantId, move) => {
+  const moveRef = movesCollection(tenantId).doc();
+  await moveRef.set({
+    ...move,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { id: moveRef.id, ...move };
+};
+
+// ============================================
+// GRAZING PERIODS
+// ============================================
+
+/**
+ * Move a group into a pasture tract
+ * Closes the group's open period elsewhere, opens a new one on this tract,
+ * updates the group's location and logs the move.
+ *
+ * @param {string} tenantId
+ * @param {string} tractId - PASTURE land tract
+ * @param {object} data - { groupId, inDate, headCount, animalUnitFactor, notes }
+ * @param {string} movedBy - User ID
+ * @returns {Promise<{period: object, closedPeriod: object|null, move: object}>}
+ */
+const moveGroupToPasture = async (tenantId, tractId, data, movedBy) => {
+  const { groupId, inDate, headCount, animalUnitFactor, notes } = data;
+
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+  if (tract.type !== firestoreService.LandType.PASTURE) {
+    throw new Error('Groups can only be moved into PASTURE tracts');
+  }
+  if (tract.status !== 'active') {
+    throw new Error(`Land tract is ${tract.status}`);
+  }
+
+  const group = await firestoreService.getAnimalGroup(tenantId, groupId);
+  if (!group) {
+    throw new Error('Animal group not found');
+  }
+  if (group.status !== 'ACTIVE') {
+    throw new Error('Animal group is not active');
+  }
+
+  const movedAt = inDate ? new Date(inDate) : new Date();
+  const openPeriod = await getOpenPeriodForGroup(tenantId, groupId);
+
+  if (openPeriod && openPeriod.tractId === tractId) {
+    throw new Error(`${group.name} is already grazing ${tract.name}`);
+  }
+  if (openPeriod && toDate(openPeriod.inDate) > movedAt) {
+    throw new Error('Move-in date is before the group entered its current pasture');
+  }
+
+  const batch = db.batch();
+
+  if (openPeriod) {
+    batch.update(periodsCollection(tenantId).doc(openPeriod.id), {
+      outDate: movedAt,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: movedBy,
+    });
+  }
+
+  const periodRef = periodsCollection(tenantId).doc();
+  const period = {
+    siteId: tract.siteId,
+    tractId,
+    tractName: tract.name,
+    groupId,
+    groupName: group.name,
+    species: group.species || null,
+    headCount: headCount ?? group.animalCount ?? 0,
+    animalUnitFactor: animalUnitFactor ?? getAnimalUnitFactor(group.species),
+    inDate: movedAt,
+    outDate: null,
+    notes: notes || null,
+    createdBy: movedBy,
+    updatedBy: movedBy,
+  };
+  batch.set(periodRef, {
+    ...period,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  batch.update(db.collection('tenants').doc(tenantId).collection('animalGroups').doc(groupId), {
+    landTractId: tractId,
+    location: tract.name,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+
+  const move = await logGroupMove(tenantId, {
+    groupId,
+    groupName: group.name,
+    siteId: tract.siteId,
+    fromTractId: openPeriod?.tractId || null,
+    fromTractName: openPeriod?.tractName || null,
+    toTractId: tractId,
+    toTractName: tract.name,
+    headCount: period.headCount,
+    movedAt,
+    movedBy,
+  });
+
+  return {
+    period: withMetrics({ id: periodRef.id, ...period }, tract.areaAcres),
+    closedPeriod: openPeriod ? { ...openPeriod, outDate: movedAt } : null,
+    move,
+  };
+};
+
+/**
+ * Move a group out of a pasture without moving it into another one
+ * (e.g. into a dry lot or barn). Clears the group's pasture location.
+ */
+const closeGrazingPeriod = async (tenantId, periodId, data, movedBy) => {
+  const periodRef = periodsCollection(tenantId).doc(periodId);
+  const periodDoc = await periodRef.get();
+
+  if (!periodDoc.exists) {
+    throw new Error('Grazing period not found');
+  }
+
+  const period = periodDoc.data();
+  if (period.outDate) {
+    throw new Error('Grazing period is already closed');
+  }
+
+  const outDate = data.outDate ? new Date(data.outDate) : new Date();
+  if (outDate < toDate(period.inDate)) {
+    throw new Error('Move-out date is before the move-in date');
+  }
+
+  await periodRef.update({
+    outDate,
+    notes: data.notes ?? period.notes ?? null,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: movedBy,
+  });
+
+  const group = await firestoreService.getAnimalGroup(tenantId, period.groupId);
+  if (group && group.landTractId === period.tractId) {
+    await firestoreService.updateAnimalGroup(tenantId, period.groupId, {
+      landTractId: null,
+      location: data.location || null,
+    });
+  }
+
+  await logGroupMove(tenantId, {
+    groupId: period.groupId,
+    groupName: period.groupName,
+    siteId: period.siteId,
+    fromTractId: period.tractId,
+    fromTractName: period.tractName,
+    toTractId: null,
+    toTractName: data.location || null,
+    headCount: period.headCount,
+    movedAt: outDate,
+    movedBy,
+  });
+
+  const tract = await firestoreService.getLandTract(tenantId, period.tractId);
+  return withMetrics({ id: periodId, ...period, outDate }, tract?.areaAcres || 0);
+};
+
+/**
+ * Grazing history for a tract with AUD/acre and rest days
+ * @param {object} options - { startDate, endDate }
+ * @returns {Promise<{ periods: object[], summary: object }>} - Periods newest first
+ */
+const getTractGrazing = async (tenantId, tractId, options = {}) => {
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+
+  const snapshot = await periodsCollection(tenantId).where('tractId', '==', tractId).get();
+  const now = new Date();
+  const areaAcres = tract.areaAcres || 0;
+
+  // Oldest first so rest days can be measured from the previous period
+  const all = snapshot.docs
+    .map((doc) => withMetrics({ id: doc.id, ...doc.data() }, areaAcres, now))
+    .sort((a, b) => a.inDate - b.inDate);
+
+  // Rest is measured from the latest move-out of any earlier period; zero when they overlap
+  let latestEnd = null;
+  all.forEach((period) => {
+    period.restDaysBefore = latestEnd === null
+      ? null
+      : round(Math.max(0, (period.inDate.getTime() - latestEnd) / DAY_MS), 1);
+    const end = period.outDate ? period.outDate.getTime() : Infinity;
+    latestEnd = Math.max(latestEnd ?? 0, end);
+  });
+  const lastOut = latestEnd !== null && latestEnd !== Infinity ? new Date(latestEnd) : null;
+
+  const start = options.startDate ? new Date(options.startDate) : null;
+  const end = options.endDate ? new Date(options.endDate) : null;
+  const periods = all
+    .filter((p) => !start || (p.outDate || now) >= start)
+    .filter((p) => !end || p.inDate <= end)
+    .reverse();
+
+  const current = all.filter((p) => p.open);
+  const totalAUD = periods.reduce((sum, p) => sum + p.animalUnitDays, 0);
+
+  return {
+    periods,
+    summary: {
+      tractId,
+      areaAcres,
+      occupied: current.length > 0,
+      currentGroups: current.map((p) => ({ groupId: p.groupId, groupName: p.groupName, periodId: p.id })),
+      lastGrazedOut: lastOut,
+      restDays: current.length > 0 || !lastOut ? null : round((now - lastOut) / DAY_MS, 1),
+      totalAnimalUnitDays: round(totalAUD, 1),
+      audPerAcre: areaAcres > 0 ? round(totalAUD / areaAcres, 2) : null,
+    },
+  };
+};
+
+/**
+ * Rotation status for every pasture at a site: who is on it, or how long it has rested
+ * @returns {Promise<object[]>} - Resting pastures first, longest rest first
+ */
+const getPastureRotation = async (tenantId, siteId) => {
+  const tracts = await firestoreService.getLandTracts(tenantId, {
+    siteId,
+    type: firestoreService.LandType.PASTURE,
+  });
+
+  const rotation = await Promise.all(
+    tracts.map(async (tract) => {
+      const { summary } = await getTractGrazing(tenantId, tract.id);
+      return {
+        tractId: tract.id,
+        name: tract.name,
+        code: tract.code || null,
+        ...summary,
+      };
+    })
+  );
+
+  return rotation.sort((a, b) => {
+    if (a.occupied !== b.occupied) return a.occupied ? 1 : -1;
+    return (b.restDays ?? Infinity) - (a.restDays ?? Infinity);
+  });
+};
+
+/**
+ * Move history for a group, newest first
+ */
+const getGroupMoves = async (tenantId, groupId, options = {}) => {
+  const { limit = 50 } = options;
+  const snapshot = await movesCollection(tenantId).where('groupId', '==', groupId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data(), movedAt: toDate(doc.data().movedAt) }))
+    .sort((a, b) => b.movedAt - a.movedAt)
+    .slice(0, parseInt(limit) || 50);
+};
+
+module.exports = {
+  // Constants
+  ANIMAL_UNIT_FACTORS,
+  DEFAULT_ANIMAL_UNIT_FACTOR,
+  getAnimalUnitFactor,
+
+  // Grazing
+  moveGroupToPasture,
+  closeGrazingPeriod,
+  getTractGrazing,
+  getPastureRotation,
+  getGroupMoves,
+};
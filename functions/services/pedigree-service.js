@@ -0,0 +1,299 @@
+/**
+ * Pedigree Service
+ * Walks sire/dam links to build ancestor and descendant trees, and computes
+ * Wright's coefficient of inbreeding for a proposed mating.
+ */
+
+const { db } = require('../config/firebase-admin');
+const firestoreService = require('./firestore');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_GENERATIONS = 3;
+const MAX_GENERATIONS = 8;
+
+// Depth used when collecting ancestors for inbreeding calculations
+const INBREEDING_GENERATIONS = 6;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Clamp a requested generation count to the supported range
+ */
+const clampGenerations = (generations, fallback = DEFAULT_GENERATIONS) => {
+  const n = parseInt(generations);
+  if (!n || n < 1) return fallback;
+  return Math.min(n, MAX_GENERATIONS);
+};
+
+/**
+ * Summary of an animal for tree nodes
+ */
+const toNode = (animal) => ({
+  id: animal.id,
+  tagNumber: animal.tagNumber,
+  name: animal.name || null,
+  species: animal.species,
+  breed: animal.breed || null,
+  gender: animal.gender,
+  dateOfBirth: animal.dateOfBirth || null,
+  status: animal.status,
+  registrationNumber: animal.registrationNumber || null,
+});
+
+/**
+ * Create a memoized animal loader for one request
+ * Pedigrees revisit the same ancestors often, so each animal is read once.
+ */
+const createAnimalLoader = (tenantId) => {
+  const cache = new Map();
+
+  return (animalId) => {
+    if (!animalId) return Promise.resolve(null);
+    if (!cache.has(animalId)) {
+      cache.set(animalId, firestoreService.getAnimal(tenantId, animalId));
+    }
+    return cache.get(animalId);
+  };
+};
+
+// ============================================
+// ANCESTORS / DESCENDANTS
+// ============================================
+
+/**
+ * Build an ancestor tree for an animal
+ * @param {string} tenantId
+ * @param {string} animalId
+ * @param {number} [generations=3] - Generations of ancestors to include
+ * @returns {Promise<object|null>} - Node with nested sire/dam nodes, or null if not found
+ */
+const getPedigree = async (tenantId, animalId, generations = DEFAULT_GENERATIONS) => {
+  const depth = clampGenerations(generations);
+  const loadAnimal = createAnimalLoader(tenantId);
+
+  const build = async (id, generation) => {
+    const animal = await loadAnimal(id);
+    if (!animal) return null;
+
+    const node = { ...toNode(animal), generation, sire: null, dam: null };
+
+    if (generation < depth) {
+      const [sire, dam] = await Promise.all([
+        build(animal.sireId, generation + 1),
+        build(animal.damId, generation + 1),
+      ]);
+      node.sire = sire;
+      node.dam = dam;
+    }
+
+    return node;
+  };
+
+  return build(animalId, 0);
+};
+
+/**
+ * Get direct offspring of an animal, in any status
+ */
+const getOffspring = async (tenantId, animalId) => {
+  const animalsRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animals');
+
+  const [bySire, byDam] = await Promise.all([
+    animalsRef.where('sireId', '==', animalId).get(),
+    animalsRef.where('damId', '==', animalId).get(),
+  ]);
+
+  const offspring = new Map();
+  [...bySire.docs, ...byDam.docs].forEach((doc) => {
+    offspring.set(doc.id, { id: doc.id, ...doc.data() });
+  });
+
+  return Array.from(offspring.values());
+};
+
+/**
+ * Build a descendant tree for an animal
+ * @param {string} tenantId
+ * @param {string} animalId
+ * @param {number} [generations=3] - Generations of descendants to include
+ * @returns {Promise<object|null>} - Node with nested offspring arrays
+ */
+const getDescendants = async (tenantId, animalId, generations = DEFAULT_GENERATIONS) => {
+  const depth = clampGenerations(generations);
+
+  const root = await firestoreService.getAnimal(tenantId, animalId);
+  if (!root) return null;
+
+  // Guards against bad data (an animal listed as its own ancestor)
+  const visited = new Set([root.id]);
+
+  const build = async (animal, generation) => {
+    const node = { ...toNode(animal), generation, offspring: [] };
+
+    if (generation < depth) {
+      const children = (await getOffspring(tenantId, animal.id))
+        .filter((child) => !visited.has(child.id));
+      children.forEach((child) => visited.add(child.id));
+
+      node.offspring = await Promise.all(
+        children.map((child) => build(child, generation + 1))
+      );
+    }
+
+    return node;
+  };
+
+  const tree = await build(root, 0);
+
+  return {
+    tree,
+    totalDescendants: visited.size - 1,
+  };
+};
+
+// ============================================
+// INBREEDING
+// ============================================
+
+/**
+ * Coefficient of inbreeding for the offspring of a proposed mating
+ * Uses the recursive kinship method: F(offspring) = f(sire, dam), where
+ *   f(X, X) = (1 + F(X)) / 2
+ *   f(X, Y) = (f(sireOf(X), Y) + f(damOf(X), Y)) / 2, X not an ancestor of Y
+ * Unknown parents contribute zero. Ancestors beyond INBREEDING_GENERATIONS
+ * are treated as unknown.
+ *
+ * @param {string} tenantId
+ * @param {string} sireId
+ * @param {string} damId
+ * @returns {Promise<{coefficient: number, percent: number, commonAncestors: object[]}>}
+ */
+const computeInbreedingCoefficient = async (tenantId, sireId, damId) => {
+  if (sireId === damId) {
+    throw new Error('Sire and dam must be different animals');
+  }
+
+  const loadAnimal = createAnimalLoader(tenantId);
+
+  // Collect both pedigrees into one map: id -> { animal, sireId, damId }
+  // An ancestor reached by a shorter path is re-walked so its parents aren't cut off
+  const pedigree = new Map();
+  const shallowest = new Map();
+  const collect = async (id, generation) => {
+    if (!id || generation > INBREEDING_GENERATIONS) return;
+    if (shallowest.has(id) && shallowest.get(id) <= generation) return;
+    shallowest.set(id, generation);
+
+    const animal = await loadAnimal(id);
+    if (!animal) return;
+
+    const withinDepth = generation < INBREEDING_GENERATIONS;
+    pedigree.set(id, {
+      animal,
+      sireId: withinDepth ? animal.sireId || null : null,
+      damId: withinDepth ? animal.damId || null : null,
+    });
+
+    await Promise.all([
+      collect(animal.sireId, generation + 1),
+      collect(animal.damId, generation + 1),
+    ]);
+  };
+
+  await Promise.all([collect(sireId, 0), collect(damId, 0)]);
+
+  if (!pedigree.has(sireId)) throw new Error('Sire not found');
+  if (!pedigree.has(damId)) throw new Error('Dam not found');
+
+  // Rank = generations of known ancestry; an animal's parents always rank lower,
+  // so expanding the higher-ranked animal never expands an ancestor of the other.
+  const ranks = new Map();
+  const rankOf = (id, trail = new Set()) => {
+    if (!id || !pedigree.has(id) || trail.has(id)) return 0;
+    if (ranks.has(id)) return ranks.get(id);
+    trail.add(id);
+    const entry = pedigree.get(id);
+    const rank = 1 + Math.max(rankOf(entry.sireId, trail), rankOf(entry.damId, trail));
+    trail.delete(id);
+    ranks.set(id, rank);
+    return rank;
+  };
+
+  const kinshipMemo = new Map();
+  const kinship = (x, y) => {
+    if (!x || !y || !pedigree.has(x) || !pedigree.has(y)) return 0;
+
+    const key = x < y ? `${x}|${y}` : `${y}|${x}`;
+    if (kinshipMemo.has(key)) return kinshipMemo.get(key);
+    kinshipMemo.set(key, 0); // Break cycles in bad data
+
+    let value;
+    if (x === y) {
+      const entry = pedigree.get(x);
+      value = (1 + kinship(entry.sireId, entry.damId)) / 2;
+    } else {
+      const [older, younger] = rankOf(x) >= rankOf(y) ? [y, x] : [x, y];
+      const entry = pedigree.get(younger);
+      value = (kinship(entry.sireId, older) + kinship(entry.damId, older)) / 2;
+    }
+
+    kinshipMemo.set(key, value);
+    return value;
+  };
+
+  const coefficient = kinship(sireId, damId);
+
+  // Ancestors that appear on both sides of the mating
+  const ancestorsOf = (id) => {
+    const found = new Set();
+    const walk = (current) => {
+      const entry = pedigree.get(current);
+      if (!entry) return;
+      [entry.sireId, entry.damId].forEach((parentId) => {
+        if (parentId && pedigree.has(parentId) && !found.has(parentId)) {
+          found.add(parentId);
+          walk(parentId);
+        }
+      });
+    };
+    found.add(id);
+    walk(id);
+    return found;
+  };
+
+  const damAncestors = ancestorsOf(damId);
+  const commonAncestors = Array.from(ancestorsOf(sireId))
+    .filter((id) => damAncestors.has(id))
+    .map((id) => toNode(pedigree.get(id).animal));
+
+  return {
+    sire: toNode(pedigree.get(sireId).animal),
+    dam: toNode(pedigree.get(damId).animal),
+    coefficient,
+    percent: Math.round(coefficient * 10000) / 100,
+    commonAncestors,
+    generationsConsidered: INBREEDING_GENERATIONS,
+  };
+};
+
+module.exports = {
+  // Constants
+  DEFAULT_GENERATIONS,
+  MAX_GENERATIONS,
+
+  // Trees
+  getPedigree,
+  getOffspring,
+  getDescendants,
+
+  // Inbreeding
+  computeInbreedingCoefficient,
+};
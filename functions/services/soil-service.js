@@ -0,0 +1,565 @@
+/**
+ * Soil Service
+ * Dated soil test records per land tract (optionally at sample points inside
+ * the tract polygon), lab CSV import, year-over-year trends, and lime and
+ * fertilizer requirements against a per-crop target table.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const { normalizeHeader, splitCsvLine, detectDelimiter } = require('../utils/csv');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Keep each import inside a single Firestore batch request
+const MAX_IMPORT_ROWS = 500;
+
+// Default sampling depth when the lab file doesn't give one
+const DEFAULT_DEPTH_INCHES = 6;
+
+// Used for lime when a test has no CEC
+const DEFAULT_CEC = 12;
+
+// Tons of 100% ECCE ag lime per acre to raise pH 1.0 unit, per meq/100g of CEC
+// (rule of thumb for a 6-7" incorporation depth)
+const LIME_TONS_PER_PH_PER_CEC = 0.25;
+
+// lbs of fertilizer needed to raise the soil test 1 ppm
+const P2O5_LBS_PER_PPM = 18;
+const K2O_LBS_PER_PPM = 8;
+
+// Build-up to the critical level is spread over this many years
+const BUILDUP_YEARS = 4;
+
+/**
+ * Per-crop targets. P and K critical levels are Bray-1 / Mehlich-3 ppm;
+ * removal rates are lbs per unit of yield. Tenants can override any field
+ * through settings.soilTargets[crop].
+ */
+const DEFAULT_CROP_TARGETS = {
+  corn: {
+    label: 'Corn (grain)', yieldUnit: 'bu', defaultYield: 180, targetPh: 6.5,
+    pCriticalPpm: 20, kCriticalPpm: 130, nLbsPerUnit: 1.0, p2o5LbsPerUnit: 0.37, k2oLbsPerUnit: 0.27,
+  },
+  soybeans: {
+    label: 'Soybeans', yieldUnit: 'bu', defaultYield: 55, targetPh: 6.5,
+    pCriticalPpm: 15, kCriticalPpm: 130, nLbsPerUnit: 0, p2o5LbsPerUnit: 0.8, k2oLbsPerUnit: 1.4,
+  },
+  wheat: {
+    label: 'Wheat', yieldUnit: 'bu', defaultYield: 70, targetPh: 6.3,
+    pCriticalPpm: 25, kCriticalPpm: 120, nLbsPerUnit: 1.2, p2o5LbsPerUnit: 0.5, k2oLbsPerUnit: 0.3,
+  },
+  alfalfa: {
+    label: 'Alfalfa', yieldUnit: 'tons', defaultYield: 5, targetPh: 6.8,
+    pCriticalPpm: 25, kCriticalPpm: 160, nLbsPerUnit: 0, p2o5LbsPerUnit: 13, k2oLbsPerUnit: 50,
+  },
+  grass_hay: {
+    label: 'Grass hay', yieldUnit: 'tons', defaultYield: 4, targetPh: 6.0,
+    pCriticalPpm: 20, kCriticalPpm: 120, nLbsPerUnit: 50, p2o5LbsPerUnit: 13, k2oLbsPerUnit: 50,
+  },
+  pasture: {
+    label: 'Pasture', yieldUnit: 'tons', defaultYield: 3, targetPh: 6.0,
+    pCriticalPpm: 15, kCriticalPpm: 110, nLbsPerUnit: 40, p2o5LbsPerUnit: 8, k2oLbsPerUnit: 30,
+  },
+};
+
+/**
+ * Lab CSV header aliases -> soil test field
+ * Headers are compared with normalizeHeader (lowercase, no spaces/punctuation)
+ */
+const HEADER_ALIASES = {
+  sampleId: ['sampleid', 'sample', 'sampleno', 'samplenumber', 'labno', 'labnumber', 'labid'],
+  sampleDate: ['date', 'sampledate', 'datesampled', 'sampled', 'datereceived', 'reportdate'],
+  ph: ['ph', 'soilph', 'waterph', 'phwater', 'ph1:1', 'ph11'],
+  bufferPh: ['bufferph', 'bph', 'smpbuffer', 'smpbufferph', 'sikorabuffer', 'buffer'],
+  organicMatterPct: ['om', 'om%', 'organicmatter', 'organicmatter%', 'omloi', 'ompct'],
+  nitrateN: ['no3n', 'no3', 'nitrate', 'nitraten', 'no3nppm', 'nitrateppm'],
+  phosphorusPpm: ['p', 'pppm', 'phosphorus', 'phosphorusppm', 'pbray', 'pbray1', 'bray1p', 'brayp', 'p1', 'pmehlich3', 'mehlich3p', 'm3p', 'polsen', 'olsenp'],
+  potassiumPpm: ['k', 'kppm', 'potassium', 'potassiumppm', 'm3k', 'mehlich3k', 'exchk'],
+  cecMeq: ['cec', 'cecmeq', 'cecmeq100g'],
+  labName: ['lab', 'labname', 'laboratory'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  depthInches: ['depth', 'depthin', 'depthinches', 'sampledepth'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+};
+
+const NUMERIC_FIELDS = [
+  'ph', 'bufferPh', 'organicMatterPct', 'nitrateN', 'phosphorusPpm', 'potassiumPpm', 'cecMeq', 'depthInches',
+];
+
+// Fields averaged for trends and recommendations
+const TREND_FIELDS = ['ph', 'organicMatterPct', 'nitrateN', 'phosphorusPpm', 'potassiumPpm', 'cecMeq'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+const testsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('soilTests');
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => {
+  const present = values.filter((v) => typeof v === 'number' && !Number.isNaN(v));
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+/**
+ * Ray-casting point-in-polygon test against a GeoJSON Polygon ([lng, lat] rings)
+ * Points inside a hole (inner ring) are outside the polygon
+ */
+const isPointInPolygon = (point, geometry) => {
+  if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+
+  const inRing = (ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const crosses = (yi > point.lat) !== (yj > point.lat) &&
+        point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+      if (crosses) inside = !inside;
+    }
+    return inside;
+  };
+
+  const [outer, ...holes] = geometry.coordinates;
+  return inRing(outer) && !holes.some(inRing);
+};
+
+/**
+ * Validate and normalize one soil test's values
+ * @returns {{ test: object, errors: string[] }}
+ */
+const normalizeTest = (data, tract) => {
+  const errors = [];
+  const test = {};
+
+  NUMERIC_FIELDS.forEach((field) => {
+    const raw = data[field];
+    if (raw === undefined || raw === null || raw === '') {
+      test[field] = null;
+      return;
+    }
+    const value = parseFloat(String(raw).replace(/[<>%,]/g, ''));
+    if (Number.isNaN(value)) {
+      errors.push(`${field} "${raw}" is not a number`);
+      test[field] = null;
+    } else {
+      test[field] = value;
+    }
+  });
+
+  if (test.ph !== null && (test.ph < 3 || test.ph > 10)) {
+    errors.push(`pH ${test.ph} is out of range`);
+  }
+  if (test.depthInches === null) {
+    test.depthInches = DEFAULT_DEPTH_INCHES;
+  }
+
+  const sampleDate = data.sampleDate ? new Date(data.sampleDate) : null;
+  if (!sampleDate || Number.isNaN(sampleDate.getTime())) {
+    errors.push('Sample date is missing or invalid');
+  }
+  test.sampleDate = sampleDate;
+
+  test.samplePoint = null;
+  if (data.lat !== undefined && data.lat !== null && data.lat !== '' &&
+      data.lng !== undefined && data.lng !== null && data.lng !== '') {
+    const point = { lat: parseFloat(data.lat), lng: parseFloat(data.lng) };
+    if (Number.isNaN(point.lat) || Number.isNaN(point.lng)) {
+      errors.push('Sample point coordinates are invalid');
+    } else if (tract.geometry && !isPointInPolygon(point, tract.geometry)) {
+      errors.push(`Sample point ${point.lat}, ${point.lng} is outside ${tract.name}`);
+    } else {
+      test.samplePoint = point;
+    }
+  }
+
+  if (TREND_FIELDS.every((field) => test[field] === null)) {
+    errors.push('No soil test values');
+  }
+
+  test.sampleId = data.sampleId || null;
+  test.labName = data.labName || null;
+  test.labReportId = data.labReportId || null;
+  test.notes = data.notes || null;
+
+  return { test, errors };
+};
+
+/**
+ * Keep the tract's summary soil field in step with its newest test
+ */
+const refreshTractSoilSummary = async (tenantId, tract) => {
+  const tests = await getSoilTests(tenantId, tract.id);
+  if (tests.length === 0) return;
+
+  const latestDate = tests[0].sampleDate;
+  const latest = tests.filter((t) => t.sampleDate?.getTime() === latestDate?.getTime());
+  const ph = average(latest.map((t) => t.ph));
+  const om = average(latest.map((t) => t.organicMatterPct));
+
+  await firestoreService.updateLandTract(tenantId, tract.id, {
+    soil: {
+      ...(tract.soil || {}),
+      ph: ph !== null ? round(ph, 1) : tract.soil?.ph ?? null,
+      organicMatterPct: om !== null ? round(om, 1) : null,
+      lastTestDate: latestDate,
+    },
+  });
+};
+
+// ============================================
+// SOIL TESTS
+// ============================================
+
+/**
+ * Record one soil test on a tract
+ * @param {object} data - { sampleDate, sampleId, labName, labReportId, lat, lng, depthInches,
+ *   ph, bufferPh, organicMatterPct, nitrateN, phosphorusPpm, potassiumPpm, cecMeq, notes }
+ */
+const createSoilTest = async (tenantId, tractId, data, createdBy) => {
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+
+  const { test, errors } = normalizeTest(data, tract);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const testRef = testsCollection(tenantId).doc();
+  const record = {
+    ...test,
+    siteId: tract.siteId,
+    tractId,
+    tractName: tract.name,
+    importBatchId: null,
+    createdBy,
+  };
+
+  await testRef.set({ ...record, createdAt: FieldValue.serverTimestamp() });
+  await refreshTractSoilSummary(tenantId, tract);
+
+  return { id: testRef.id, ...record };
+};
+
+/**
+ * Soil tests for a tract, newest first
+ */
+const getSoilTests = async (tenantId, tractId) => {
+  const snapshot = await testsCollection(tenantId).where('tractId', '==', tractId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data(), sampleDate: toDate(doc.data().sampleDate) }))
+    .sort((a, b) => (b.sampleDate || 0) - (a.sampleDate || 0));
+};
+
+/**
+ * Delete a soil test
+ */
+const deleteSoilTest = async (tenantId, testId) => {
+  const testRef = testsCollection(tenantId).doc(testId);
+  const testDoc = await testRef.get();
+  if (!testDoc.exists) {
+    throw new Error('Soil test not found');
+  }
+
+  await testRef.delete();
+
+  const tract = await firestoreService.getLandTract(tenantId, testDoc.data().tractId);
+  if (tract) {
+    await refreshTractSoilSummary(tenantId, tract);
+  }
+};
+
+// ============================================
+// LAB CSV IMPORT
+// ============================================
+
+/**
+ * Parse a lab CSV (one row per sample) and validate every row
+ * @param {object} options - { content, labName, sampleDate } - defaults for rows that omit them
+ * @returns {{ rows: object[], summary: object, error: string|null }}
+ */
+const previewLabImport = (tract, options) => {
+  const lines = (options.content || '').split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) {
+    return { rows: [], summary: { total: 0, valid: 0, invalid: 0 }, error: 'File must have a header row and at least one sample row' };
+  }
+  if (lines.length - 1 > MAX_IMPORT_ROWS) {
+    return { rows: [], summary: { total: lines.length - 1, valid: 0, invalid: 0 }, error: `Imports are limited to ${MAX_IMPORT_ROWS} samples` };
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const columns = splitCsvLine(lines[0], delimiter).map((header) => {
+    const key = normalizeHeader(header);
+    return Object.keys(HEADER_ALIASES).find((f) => HEADER_ALIASES[f].includes(key)) || null;
+  });
+
+  if (!columns.some((field) => TREND_FIELDS.includes(field))) {
+    return { rows: [], summary: { total: 0, valid: 0, invalid: 0 }, error: 'No pH, OM, N, P, K or CEC columns found' };
+  }
+
+  const rows = lines.slice(1).map((line, idx) => {
+    const values = splitCsvLine(line, delimiter);
+    const raw = {};
+    columns.forEach((field, col) => {
+      if (field && values[col] !== undefined && values[col] !== '') {
+        raw[field] = values[col];
+      }
+    });
+
+    const { test, errors } = normalizeTest(
+      {
+        ...raw,
+        sampleDate: raw.sampleDate || options.sampleDate,
+        labName: raw.labName || options.labName,
+      },
+      tract
+    );
+    return { rowNumber: idx + 2, test, errors };
+  });
+
+  const valid = rows.filter((row) => row.errors.length === 0).length;
+  return {
+    rows,
+    summary: { total: rows.length, valid, invalid: rows.length - valid },
+    error: null,
+  };
+};
+
+/**
+ * Import a lab CSV onto a tract
+ * With dryRun (or any invalid row) nothing is written and the preview is returned
+ * @returns {Promise<{ preview: object, imported: number, importBatchId: string|null }>}
+ */
+const importLabResults = async (tenantId, tractId, options, createdBy) => {
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+
+  const preview = previewLabImport(tract, options);
+  const canCommit = !preview.error && preview.summary.total > 0 && preview.summary.invalid === 0;
+
+  if (options.dryRun || !canCommit) {
+    return { preview, imported: 0, importBatchId: null };
+  }
+
+  const batch = db.batch();
+  const importBatchId = testsCollection(tenantId).doc().id;
+
+  preview.rows.forEach((row) => {
+    batch.set(testsCollection(tenantId).doc(), {
+      ...row.test,
+      labReportId: options.labReportId || null,
+      siteId: tract.siteId,
+      tractId,
+      tractName: tract.name,
+      importBatchId,
+      createdBy,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  await batch.commit();
+  await refreshTractSoilSummary(tenantId, tract);
+
+  return { preview, imported: preview.rows.length, importBatchId };
+};
+
+// ============================================
+// TRENDS & RECOMMENDATIONS
+// ============================================
+
+/**
+ * Average soil values per year for a tract, oldest first
+ */
+const getSoilTrends = async (tenantId, tractId) => {
+  const tests = await getSoilTests(tenantId, tractId);
+  const byYear = new Map();
+
+  tests.forEach((test) => {
+    if (!test.sampleDate) return;
+    const year = test.sampleDate.getFullYear();
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(test);
+  });
+
+  const years = [...byYear.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, yearTests]) => {
+      const entry = { year, samples: yearTests.length };
+      TREND_FIELDS.forEach((field) => {
+        const value = average(yearTests.map((t) => t[field]));
+        entry[field] = value !== null ? round(value, field === 'ph' ? 2 : 1) : null;
+      });
+      return entry;
+    });
+
+  // Change from the first to the latest year that measured each value
+  const change = {};
+  TREND_FIELDS.forEach((field) => {
+    const measured = years.filter((y) => y[field] !== null);
+    change[field] = measured.length > 1
+      ? round(measured[measured.length - 1][field] - measured[0][field], 2)
+      : null;
+  });
+
+  return { tractId, years, change, totalSamples: tests.length };
+};
+
+/**
+ * Per-crop target table with the tenant's overrides applied
+ */
+const getCropTargets = async (tenantId) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  const overrides = tenant?.settings?.soilTargets || {};
+
+  const targets = {};
+  Object.keys({ ...DEFAULT_CROP_TARGETS, ...overrides }).forEach((crop) => {
+    targets[crop] = { ...(DEFAULT_CROP_TARGETS[crop] || {}), ...(overrides[crop] || {}) };
+  });
+  return targets;
+};
+
+/**
+ * Save a tenant override for one crop's targets
+ */
+const updateCropTarget = async (tenantId, crop, values) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  const soilTargets = { ...(tenant?.settings?.soilTargets || {}) };
+  soilTargets[crop] = { ...(soilTargets[crop] || {}), ...values };
+
+  await firestoreService.updateTenant(tenantId, { 'settings.soilTargets': soilTargets });
+  return (await getCropTargets(tenantId))[crop];
+};
+
+/**
+ * Lime and fertilizer requirement for a crop from the tract's latest sampling
+ * Uses every sample taken on the most recent sample date, averaged.
+ *
+ * @param {object} options - { crop, yieldGoal }
+ */
+const getSoilRecommendation = async (tenantId, tractId, options = {}) => {
+  const { crop } = options;
+
+  const [tract, tests, targets] = await Promise.all([
+    firestoreService.getLandTract(tenantId, tractId),
+    getSoilTests(tenantId, tractId),
+    getCropTargets(tenantId),
+  ]);
+
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+  const target = targets[crop];
+  if (!target) {
+    throw new Error(`No soil targets for crop "${crop}"`);
+  }
+  if (tests.length === 0) {
+    throw new Error('No soil tests recorded for this tract');
+  }
+
+  const latestDate = tests[0].sampleDate;
+  const latest = tests.filter((t) => t.sampleDate?.getTime() === latestDate?.getTime());
+  const soil = {};
+  TREND_FIELDS.concat('depthInches').forEach((field) => {
+    soil[field] = average(latest.map((t) => t[field]));
+  });
+
+  const yieldGoal = parseFloat(options.yieldGoal) || target.defaultYield;
+  const acres = tract.areaAcres || 0;
+
+  // Lime: raise pH to target, scaled by buffering capacity (CEC)
+  const limeTonsPerAcre = soil.ph !== null && soil.ph < target.targetPh
+    ? round((target.targetPh - soil.ph) * (soil.cecMeq || DEFAULT_CEC) * LIME_TONS_PER_PH_PER_CEC, 1)
+    : 0;
+
+  // Nitrogen: crop need less residual nitrate (ppm x 2 = lbs/acre per 6" of soil)
+  const nitrateCredit = soil.nitrateN !== null
+    ? soil.nitrateN * 2 * ((soil.depthInches || DEFAULT_DEPTH_INCHES) / 6)
+    : 0;
+  const nLbsPerAcre = Math.max(0, yieldGoal * target.nLbsPerUnit - nitrateCredit);
+
+  // P and K: crop removal, plus build-up when below the critical level
+  const nutrient = (ppm, criticalPpm, lbsPerPpm, removalPerUnit) => {
+    const maintenance = yieldGoal * removalPerUnit;
+    const buildup = ppm !== null && ppm < criticalPpm
+      ? ((criticalPpm - ppm) * lbsPerPpm) / BUILDUP_YEARS
+      : 0;
+    return {
+      soilTestPpm: ppm !== null ? round(ppm, 1) : null,
+      criticalPpm,
+      buildupLbsPerAcre: round(buildup, 0),
+      maintenanceLbsPerAcre: round(maintenance, 0),
+      lbsPerAcre: round(buildup + maintenance, 0),
+      totalLbs: round((buildup + maintenance) * acres, 0),
+    };
+  };
+
+  return {
+    tractId,
+    tractName: tract.name,
+    acres,
+    crop,
+    cropLabel: target.label || crop,
+    yieldGoal,
+    yieldUnit: target.yieldUnit,
+    basedOn: { sampleDate: latestDate, sampleCount: latest.length },
+    soil: Object.fromEntries(
+      Object.entries(soil).map(([field, value]) => [field, value !== null ? round(value, 2) : null])
+    ),
+    lime: {
+      targetPh: target.targetPh,
+      tonsPerAcre: limeTonsPerAcre,
+      totalTons: round(limeTonsPerAcre * acres, 1),
+    },
+    nitrogen: {
+      nitrateCreditLbsPerAcre: round(nitrateCredit, 0),
+      lbsPerAcre: round(nLbsPerAcre, 0),
+      totalLbs: round(nLbsPerAcre * acres, 0),
+    },
+    phosphate: nutrient(soil.phosphorusPpm, target.pCriticalPpm, P2O5_LBS_PER_PPM, target.p2o5LbsPerUnit),
+    potash: nutrient(soil.potassiumPpm, target.kCriticalPpm, K2O_LBS_PER_PPM, target.k2oLbsPerUnit),
+  };
+};
+
+module.exports = {
+  // Constants
+  DEFAULT_CROP_TARGETS,
+  MAX_IMPORT_ROWS,
+  isPointInPolygon,
+
+  // Soil tests
+  createSoilTest,
+  getSoilTests,
+  deleteSoilTest,
+
+  // Lab import
+  importLabResults,
+
+  // Trends & recommendations
+  getSoilTrends,
+  getCropTargets,
+  updateCropTarget,
+  getSoilRecommendation,
+};
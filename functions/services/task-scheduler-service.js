@@ -0,0 +1,146 @@
+/**
+ * Task Scheduler Service
+ * Generates each tenant's task occurrences ahead of time so a crew opening
+ * the app at 5am finds the day's list already there. Runs hourly: from the
+ * in-process timer (TASK_SCHEDULER_ENABLED=true), the generate-tasks script
+ * under system cron, or the scheduled Cloud Function. Every run computes
+ * "today" in the tenant's timezone and generates through today + N days.
+ *
+ * Runs are idempotent. Runlists keep a generatedThroughDate watermark, so an
+ * hourly run usually has nothing to do, and occurrences use deterministic IDs
+ * so overlapping runs cannot write duplicates.
+ */
+
+const { db } = require('../config/firebase-admin');
+const firestoreService = require('./firestore');
+const timezoneService = require('./timezone-service');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_DAYS_AHEAD = parseInt(process.env.TASK_GENERATION_DAYS_AHEAD, 10) || 7;
+const MAX_DAYS_AHEAD = 60;
+
+// Recorded as createdBy on generated occurrences
+const SCHEDULER_USER = 'system:task-scheduler';
+
+// ============================================
+// GENERATION
+// ============================================
+
+/**
+ * Days ahead to generate for a tenant (tenant setting, else the default)
+ */
+const getDaysAhead = (tenant, override) => {
+  const days = override ?? tenant.settings?.taskGenerationDaysAhead ?? DEFAULT_DAYS_AHEAD;
+  return Math.min(Math.max(parseInt(days, 10) || 0, 0), MAX_DAYS_AHEAD);
+};
+
+/**
+ * Generate one tenant's occurrences through today + N days in its timezone
+ * @param {string} tenantId
+ * @param {object} options - { daysAhead, now }
+ * @returns {Promise<object>} { tenantId, timezone, today, through, generated }
+ */
+const generateForTenant = async (tenantId, options = {}) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  if (!tenant) {
+    throw new Error('Tenant not found');
+  }
+
+  const timezone = timezoneService.timezoneForSite(tenant);
+  const today = timezoneService.dateKeyInTimezone(options.now || new Date(), timezone);
+  const through = timezoneService.addDaysToKey(today, getDaysAhead(tenant, options.daysAhead));
+
+  const occurrences = await firestoreService.generateTaskOccurrencesForDate(tenantId, through, SCHEDULER_USER);
+
+  return { tenantId, timezone, today, through, generated: occurrences.length };
+};
+
+/**
+ * Generate for every tenant (or the given ones)
+ * A failing tenant is logged and reported without stopping the others.
+ * @param {object} options - { tenantIds, daysAhead, now }
+ * @returns {Promise<object>} { startedAt, finishedAt, tenants, generated, failed, results }
+ */
+const runScheduledGeneration = async (options = {}) => {
+  const startedAt = new Date();
+
+  let tenantIds = options.tenantIds;
+  if (!tenantIds) {
+    const snapshot = await db.collection('tenants').select().get();
+    tenantIds = snapshot.docs.map((doc) => doc.id);
+  }
+
+  const results = [];
+  for (const tenantId of tenantIds) {
+    try {
+      results.push(await generateForTenant(tenantId, options));
+    } catch (error) {
+      console.error(`Scheduled task generation failed for tenant ${tenantId}:`, error);
+      results.push({ tenantId, error: error.message });
+    }
+  }
+
+  return {
+    startedAt,
+    finishedAt: new Date(),
+    tenants: tenantIds.length,
+    generated: results.reduce((sum, r) => sum + (r.generated || 0), 0),
+    failed: results.filter((r) => r.error).length,
+    results,
+  };
+};
+
+// ============================================
+// IN-PROCESS TIMER
+// ============================================
+
+let timer = null;
+let running = false;
+
+/**
+ * Run generation now and then every intervalMinutes (default hourly)
+ * Overlapping ticks are skipped while a run is still in progress.
+ */
+const startTaskScheduler = ({ intervalMinutes = 60 } = {}) => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runScheduledGeneration();
+      console.log(
+        `Task scheduler: ${summary.generated} occurrence(s) for ${summary.tenants} tenant(s)` +
+          (summary.failed ? `, ${summary.failed} failed` : '')
+      );
+    } catch (error) {
+      console.error('Task scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+const stopTaskScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  DEFAULT_DAYS_AHEAD,
+  MAX_DAYS_AHEAD,
+  SCHEDULER_USER,
+  generateForTenant,
+  runScheduledGeneration,
+  startTaskScheduler,
+  stopTaskScheduler,
+};
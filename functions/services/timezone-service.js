@@ -0,0 +1,235 @@
+/**
+ * Timezone Service
+ * Calendar-date helpers for working in a tenant's timezone. A farm's "today"
+ * follows its own clock, not the server's: at 5am in Montana it is already
+ * noon UTC, and at 8pm in California it is already tomorrow in UTC.
+ *
+ * Calendar dates are passed around as YYYY-MM-DD keys. Day boundaries are
+ * real instants in the tenant's timezone (startOfDayInTimezone), so a task
+ * scheduled for the 19th in Denver starts at 06:00Z and a report "through the
+ * 31st" includes the whole local day. A site can override the tenant zone.
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatterCache = {};
+
+const dateTimeFormatterCache = {};
+
+const getFormatter = (timezone) => {
+  if (!formatterCache[timezone]) {
+    formatterCache[timezone] = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  }
+  return formatterCache[timezone];
+};
+
+const getDateTimeFormatter = (timezone) => {
+  if (!dateTimeFormatterCache[timezone]) {
+    dateTimeFormatterCache[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return dateTimeFormatterCache[timezone];
+};
+
+/**
+ * How far a timezone's wall clock is ahead of UTC at an instant, in ms
+ */
+const getOffsetMs = (date, timezone) => {
+  const parts = getDateTimeFormatter(timezone).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour') % 24, get('minute'), get('second'));
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Check that a timezone is a valid IANA name (e.g. America/Chicago)
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Resolve the timezone to use: the first valid zone given (e.g. site, then
+ * tenant), falling back to the default when none is set or valid
+ */
+const resolveTimezone = (...timezones) => timezones.find(isValidTimezone) || DEFAULT_TIMEZONE;
+
+/**
+ * Timezone for a tenant, or for one of its sites when the site overrides it
+ * Site overrides live on the tenant (settings.siteTimezones) so resolving
+ * one never needs more than the tenant document.
+ */
+const timezoneForSite = (tenant, siteId) =>
+  resolveTimezone(siteId ? tenant?.settings?.siteTimezones?.[siteId] : null, tenant?.timezone);
+
+// ============================================
+// DATE KEYS
+// ============================================
+
+/**
+ * The calendar date (YYYY-MM-DD) an instant falls on in a timezone
+ */
+const dateKeyInTimezone = (date, timezone) => {
+  const parts = getFormatter(resolveTimezone(timezone)).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+};
+
+/**
+ * The calendar date of a stored date value: bare dates are kept as-is, and
+ * Firestore Timestamps, Dates and ISO strings are read in the timezone
+ */
+const asDateKey = (value, timezone) => {
+  if (isDateKey(value)) return value;
+  const date = value?.toDate ? value.toDate() : new Date(value);
+  return dateKeyInTimezone(date, timezone);
+};
+
+/**
+ * The calendar date of a server-local Date (runlist and ration start dates)
+ */
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Server-local midnight for a date key, for calendar math (recurrence
+ * matching) that works on Date objects
+ */
+const dateKeyToDate = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * A calendar date as server-local midnight (see dateKeyToDate). Bare dates
+ * are taken as-is rather than parsed as UTC midnight.
+ */
+const toCalendarDate = (value) => {
+  if (isDateKey(value)) return dateKeyToDate(value);
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Shift a date key by a number of days
+ */
+const addDaysToKey = (key, days) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day) + days * MS_PER_DAY);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Whole days from one date key to another (negative when toKey is earlier)
+ */
+const daysBetweenKeys = (fromKey, toKey) => {
+  const toUtc = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toKey) - toUtc(fromKey)) / MS_PER_DAY);
+};
+
+/**
+ * Whether a value is a bare calendar date (YYYY-MM-DD) rather than an instant
+ */
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Every date key from one key to another, inclusive
+ */
+const eachDateKey = (fromKey, toKey) => {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+// ============================================
+// DAY BOUNDARIES
+// ============================================
+
+/**
+ * The instant a calendar date begins in a timezone (local midnight)
+ */
+const startOfDayInTimezone = (key, timezone) => {
+  const zone = resolveTimezone(timezone);
+  const [year, month, day] = key.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+
+  // Guess with the offset at UTC midnight, then correct for a DST change
+  // between that guess and the real local midnight
+  const guess = utcMidnight - getOffsetMs(new Date(utcMidnight), zone);
+  return new Date(utcMidnight - getOffsetMs(new Date(guess), zone));
+};
+
+/**
+ * The last millisecond of a calendar date in a timezone
+ */
+const endOfDayInTimezone = (key, timezone) =>
+  new Date(startOfDayInTimezone(addDaysToKey(key, 1), timezone).getTime() - 1);
+
+/**
+ * Instant bounds for a report or filter range. Bare dates cover the whole
+ * local day (start from its midnight, end through its last millisecond);
+ * full timestamps are used as given. Missing bounds come back null.
+ * @returns {object} { start, end }
+ */
+const dateRangeInTimezone = (startDate, endDate, timezone) => {
+  const bound = (value, toInstant) => {
+    if (!value) return null;
+    if (isDateKey(value)) return toInstant(value, timezone);
+    return new Date(value);
+  };
+  return {
+    start: bound(startDate, startOfDayInTimezone),
+    end: bound(endDate, endOfDayInTimezone),
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  timezoneForSite,
+  dateKeyInTimezone,
+  asDateKey,
+  toDateKey,
+  dateKeyToDate,
+  toCalendarDate,
+  addDaysToKey,
+  daysBetweenKeys,
+  isDateKey,
+  eachDateKey,
+  startOfDayInTimezone,
+  endOfDayInTimezone,
+  dateRangeInTimezone,
+};
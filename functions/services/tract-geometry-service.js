@@ -0,0 +1,674 @@
+/**
+ * Tract Geometry Service
+ * Polygon operations on land tracts - overlap detection within a site,
+ * splitting a tract along a drawn line and merging adjacent tracts.
+ * Split and merged tracts are retired rather than deleted, and every
+ * tract keeps links to the tracts it came from and was replaced by, so
+ * grazing, crop, soil and cost records stay attributable to the ground
+ * they were recorded on.
+ */
+
+const polygonClipping = require('polygon-clipping');
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const grazingService = require('./grazing-service');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const LineageOperation = {
+  SPLIT: 'SPLIT',
+  MERGE: 'MERGE',
+};
+
+// Status given to tracts replaced by a split or merge
+const RETIRED_STATUS = 'retired';
+
+// Same sphere the frontend uses, so server-measured acreage matches drawn tracts
+const EARTH_RADIUS_METERS = 6378137;
+const SQ_METERS_TO_ACRES = 0.000247105;
+
+// Overlaps smaller than this are treated as boundary noise between hand-drawn tracts
+const DEFAULT_MIN_OVERLAP_ACRES = 0.01;
+
+// Pieces smaller than this (about one square meter) are not kept as tracts
+const MIN_PART_SQ_METERS = 1;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const lineageCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('tractLineage');
+
+const tenantCollection = (tenantId, name) =>
+  db.collection('tenants').doc(tenantId).collection(name);
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Drop the closing vertex and any repeated vertices from a ring or line
+ */
+const dedupe = (coords, closed) => {
+  const points = closed ? coords.slice(0, -1) : coords.slice();
+  return points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+};
+
+const closeRing = (points) => [...points, [...points[0]]];
+
+/**
+ * Area of a ring on the sphere in square meters
+ * Same method as the frontend's calculateGeoJSONArea
+ */
+const ringArea = (ring) => {
+  const path = dedupe(ring, true);
+  if (path.length < 3) return 0;
+
+  let total = 0;
+  const prev = path[path.length - 1];
+  let prevTanLat = Math.tan((Math.PI / 2 - toRadians(prev[1])) / 2);
+  let prevLng = toRadians(prev[0]);
+
+  for (const [lngDeg, latDeg] of path) {
+    const tanLat = Math.tan((Math.PI / 2 - toRadians(latDeg)) / 2);
+    const lng = toRadians(lngDeg);
+    const deltaLng = lng - prevLng;
+    const t = tanLat * prevTanLat;
+    total += 2 * Math.atan2(t * Math.sin(deltaLng), 1 + t * Math.cos(deltaLng));
+    prevTanLat = tanLat;
+    prevLng = lng;
+  }
+
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS);
+};
+
+/**
+ * Area of polygon-clipping output (outer rings less holes) in square meters
+ */
+const multiPolygonArea = (multiPolygon) =>
+  multiPolygon.reduce(
+    (sum, [outer, ...holes]) => sum + ringArea(outer) - holes.reduce((h, ring) => h + ringArea(ring), 0),
+    0
+  );
+
+const measure = (sqMeters) => ({
+  areaSqMeters: round(sqMeters),
+  areaAcres: round(sqMeters * SQ_METERS_TO_ACRES),
+});
+
+/**
+ * Vertex-average centroid, matching the frontend's calculateCentroid
+ */
+const ringCentroid = (ring) => {
+  const path = dedupe(ring, true);
+  const lng = path.reduce((sum, p) => sum + p[0], 0) / path.length;
+  const lat = path.reduce((sum, p) => sum + p[1], 0) / path.length;
+  return { lat: round(lat, 6), lng: round(lng, 6) };
+};
+
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const ringBounds = (coords) => ({
+  minX: Math.min(...coords.map((p) => p[0])),
+  minY: Math.min(...coords.map((p) => p[1])),
+  maxX: Math.max(...coords.map((p) => p[0])),
+  maxY: Math.max(...coords.map((p) => p[1])),
+});
+
+const boundsIntersect = (a, b) =>
+  a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+
+/**
+ * Outer ring of a tract's stored Polygon, or null when it is not usable
+ */
+const tractRing = (tract) => {
+  const ring = tract?.geometry?.type === 'Polygon' ? tract.geometry.coordinates?.[0] : null;
+  return ring && dedupe(ring, true).length >= 3 ? ring : null;
+};
+
+/**
+ * Geometry and measurements for a single polygon from polygon-clipping.
+ * Tracts are stored as one outer ring, so interior gaps are filled.
+ */
+const toTractShape = ([outer]) => {
+  const ring = closeRing(dedupe(outer, true));
+  return {
+    geometry: { type: 'Polygon', coordinates: [ring] },
+    ...measure(ringArea(ring)),
+    centroid: ringCentroid(ring),
+  };
+};
+
+/**
+ * Where a ray from a point inside a box leaves the box
+ */
+const rayExit = ([px, py], [dx, dy], box) => {
+  const tx = dx > 0 ? (box.maxX - px) / dx : dx < 0 ? (box.minX - px) / dx : Infinity;
+  const ty = dy > 0 ? (box.maxY - py) / dy : dy < 0 ? (box.minY - py) / dy : Infinity;
+  const t = Math.min(tx, ty);
+  return [px + t * dx, py + t * dy];
+};
+
+/**
+ * Distance of a boundary point along the box perimeter, counter-clockwise
+ * from the south-west corner
+ */
+const perimeterPosition = ([x, y], box) => {
+  const width = box.maxX - box.minX;
+  const height = box.maxY - box.minY;
+  const distances = [
+    { edge: 0, d: Math.abs(y - box.minY) },
+    { edge: 1, d: Math.abs(x - box.maxX) },
+    { edge: 2, d: Math.abs(y - box.maxY) },
+    { edge: 3, d: Math.abs(x - box.minX) },
+  ];
+  const { edge } = distances.reduce((best, e) => (e.d < best.d ? e : best));
+
+  if (edge === 0) return x - box.minX;
+  if (edge === 1) return width + (y - box.minY);
+  if (edge === 2) return width + height + (box.maxX - x);
+  return 2 * width + height + (box.maxY - y);
+};
+
+/**
+ * Polygon covering everything on one side of a split line.
+ * The line's ends are extended straight out to a box around the tract,
+ * then the polygon is closed by walking the box counter-clockwise.
+ */
+const buildSideRing = (line, ring) => {
+  const bounds = ringBounds([...ring, ...line]);
+  const margin = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 0.001;
+  const box = {
+    minX: bounds.minX - margin,
+    minY: bounds.minY - margin,
+    maxX: bounds.maxX + margin,
+    maxY: bounds.maxY + margin,
+  };
+
+  const first = line[0];
+  const last = line[line.length - 1];
+  const start = rayExit(first, [first[0] - line[1][0], first[1] - line[1][1]], box);
+  const end = rayExit(last, [last[0] - line[line.length - 2][0], last[1] - line[line.length - 2][1]], box);
+
+  const perimeter = 2 * (box.maxX - box.minX) + 2 * (box.maxY - box.minY);
+  const corners = [
+    [box.minX, box.minY],
+    [box.maxX, box.minY],
+    [box.maxX, box.maxY],
+    [box.minX, box.maxY],
+  ].map((point) => ({ point, s: perimeterPosition(point, box) }));
+
+  const sEnd = perimeterPosition(end, box);
+  const sStart = perimeterPosition(start, box);
+  const span = (sStart - sEnd + perimeter) % perimeter;
+
+  const walk = corners
+    .map((corner) => ({ ...corner, offset: (corner.s - sEnd + perimeter) % perimeter }))
+    .filter((corner) => corner.offset > 0 && corner.offset < span)
+    .sort((a, b) => a.offset - b.offset)
+    .map((corner) => corner.point);
+
+  return closeRing([start, ...line, end, ...walk]);
+};
+
+/**
+ * Cut a tract polygon along a line into exactly two pieces
+ * @param {object} geometry - Tract GeoJSON Polygon
+ * @param {object} lineGeometry - GeoJSON LineString
+ * @returns {object[]} - Two { geometry, areaSqMeters, areaAcres, centroid }
+ */
+const splitPolygon = (geometry, lineGeometry) => {
+  const ring = geometry?.coordinates?.[0];
+  const line = dedupe(lineGeometry?.coordinates || [], false);
+  if (!ring || line.length < 2) {
+    throw new Error('A split line needs at least two points');
+  }
+
+  const side = buildSideRing(line, ring);
+  const left = polygonClipping.intersection([ring], [side]);
+  const right = polygonClipping.difference([ring], [side]);
+
+  if (left.length !== 1 || right.length !== 1) {
+    throw new Error('The split line must cross the tract once, dividing it into two pieces');
+  }
+
+  const parts = [toTractShape(left[0]), toTractShape(right[0])];
+  if (parts.some((part) => part.areaSqMeters < MIN_PART_SQ_METERS)) {
+    throw new Error('The split line must cross the tract once, dividing it into two pieces');
+  }
+
+  return parts;
+};
+
+/**
+ * Union of tract polygons as a single tract shape
+ * @throws when the tracts do not touch
+ */
+const mergePolygons = (geometries) => {
+  const [first, ...rest] = geometries.map((g) => [g.coordinates[0]]);
+  const union = polygonClipping.union(first, ...rest);
+
+  if (union.length !== 1) {
+    throw new Error('Tracts must share a boundary or overlap to be merged');
+  }
+
+  return toTractShape(union[0]);
+};
+
+/**
+ * Which split piece a map feature sits in - by point, or by most line vertices
+ */
+const pickPartForCoords = (coords, parts) => {
+  const counts = parts.map((part) =>
+    coords.filter((point) => pointInRing(point, part.geometry.coordinates[0])).length
+  );
+  const best = Math.max(...counts);
+  return best > 0 ? counts.indexOf(best) : 0;
+};
+
+const featureCoords = (geometry) => {
+  if (geometry?.type === 'Point') return [geometry.coordinates];
+  if (geometry?.type === 'LineString') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Refuse to split or merge while a group is grazing the tract, since the
+ * open period would be left on a retired tract
+ */
+const assertNotGrazed = async (tenantId, tracts) => {
+  for (const tract of tracts) {
+    const { summary } = await grazingService.getTractGrazing(tenantId, tract.id);
+    if (summary.occupied) {
+      const groups = summary.currentGroups.map((g) => g.groupName).filter(Boolean).join(', ');
+      throw new Error(`Move ${groups || 'grazing groups'} off ${tract.name} before changing its boundary`);
+    }
+  }
+};
+
+const assertActive = (tract, label = 'Land tract') => {
+  if (!tract) {
+    throw new Error(`${label} not found`);
+  }
+  if (tract.status !== 'active') {
+    throw new Error(`${tract.name} is ${tract.status} and cannot be changed`);
+  }
+};
+
+/**
+ * Tract document for a split or merge result, stored the same way
+ * firestoreService.createLandTract stores drawn tracts
+ */
+const buildTractDoc = (tenantId, shape, fields, userId) => {
+  const { geometry, ...measurements } = shape;
+  return {
+    ...fields,
+    ...measurements,
+    geometryJson: JSON.stringify(geometry),
+    status: 'active',
+    tenantId,
+    createdBy: userId,
+    updatedBy: userId,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+};
+
+// ============================================
+// OVERLAPS
+// ============================================
+
+/**
+ * Pairs of active tracts in a site whose polygons overlap
+ * @param {object} options - { tractId, geometry, minAcres }
+ *   tractId limits results to pairs involving that tract; geometry checks an
+ *   unsaved boundary for it instead of the stored one
+ * @returns {Promise<object[]>} - Largest overlap first
+ */
+const findOverlaps = async (tenantId, siteId, options = {}) => {
+  const { tractId, geometry, minAcres = DEFAULT_MIN_OVERLAP_ACRES } = options;
+
+  const tracts = (await firestoreService.getLandTracts(tenantId, { siteId }))
+    .map((tract) => (geometry && tract.id === tractId ? { ...tract, geometry } : tract))
+    .map((tract) => ({ tract, ring: tractRing(tract) }))
+    .filter(({ ring }) => ring)
+    .map((entry) => ({ ...entry, bounds: ringBounds(entry.ring), sqMeters: ringArea(entry.ring) }));
+
+  const overlaps = [];
+
+  for (let i = 0; i < tracts.length; i++) {
+    for (let j = i + 1; j < tracts.length; j++) {
+      const a = tracts[i];
+      const b = tracts[j];
+      if (tractId && a.tract.id !== tractId && b.tract.id !== tractId) continue;
+      if (!boundsIntersect(a.bounds, b.bounds)) continue;
+
+      const intersection = polygonClipping.intersection([a.ring], [b.ring]);
+      const sqMeters = multiPolygonArea(intersection);
+      if (sqMeters * SQ_METERS_TO_ACRES < minAcres) continue;
+
+      overlaps.push({
+        tractA: { id: a.tract.id, name: a.tract.name, type: a.tract.type },
+        tractB: { id: b.tract.id, name: b.tract.name, type: b.tract.type },
+        overlapSqMeters: round(sqMeters),
+        overlapAcres: round(sqMeters * SQ_METERS_TO_ACRES),
+        percentOfA: a.sqMeters > 0 ? round((sqMeters / a.sqMeters) * 100, 1) : null,
+        percentOfB: b.sqMeters > 0 ? round((sqMeters / b.sqMeters) * 100, 1) : null,
+        geometry: intersection.length === 1
+          ? { type: 'Polygon', coordinates: intersection[0] }
+          : { type: 'MultiPolygon', coordinates: intersection },
+      });
+    }
+  }
+
+  return overlaps.sort((a, b) => b.overlapSqMeters - a.overlapSqMeters);
+};
+
+// ============================================
+// SPLIT / MERGE
+// ============================================
+
+/**
+ * Split a tract along a line into two new tracts
+ * The original is retired; structures (with their bins) move to the piece
+ * chosen for them and map features move to the piece they sit in.
+ * @param {object} data - { line, parts: [{ name, code, type }] x2, structureAssignments, notes, preview }
+ *   structureAssignments maps structureId to part index 0 or 1 (default 0)
+ * @returns {Promise<object>} - { preview: true, parts } or { tracts, retired, lineageEventId }
+ */
+const splitTract = async (tenantId, tractId, data, userId) => {
+  const { line, parts: partFields = [], structureAssignments = {}, notes, preview = false } = data;
+
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  assertActive(tract);
+  if (!tractRing(tract)) {
+    throw new Error(`${tract.name} has no boundary to split`);
+  }
+
+  const shapes = splitPolygon(tract.geometry, line);
+  if (preview) {
+    return { preview: true, parts: shapes };
+  }
+
+  await assertNotGrazed(tenantId, [tract]);
+
+  const tractsRef = tenantCollection(tenantId, 'landTracts');
+  const eventRef = lineageCollection(tenantId).doc();
+  const refs = shapes.map(() => tractsRef.doc());
+  const batch = db.batch();
+
+  const docs = shapes.map((shape, index) => {
+    const fields = partFields[index] || {};
+    return buildTractDoc(tenantId, shape, {
+      siteId: tract.siteId,
+      name: fields.name || `${tract.name} ${index === 0 ? 'A' : 'B'}`,
+      code: fields.code?.toUpperCase() || null,
+      type: fields.type || tract.type,
+      tags: tract.tags || [],
+      soil: tract.soil || null,
+      notes: fields.notes || null,
+      derivedFrom: [{
+        tractId: tract.id,
+        name: tract.name,
+        operation: LineageOperation.SPLIT,
+        acres: shape.areaAcres,
+      }],
+      lineageEventId: eventRef.id,
+    }, userId);
+  });
+  refs.forEach((ref, index) => batch.set(ref, docs[index]));
+
+  batch.update(tractsRef.doc(tract.id), {
+    status: RETIRED_STATUS,
+    supersededBy: refs.map((ref) => ref.id),
+    retiredReason: LineageOperation.SPLIT,
+    retiredAt: FieldValue.serverTimestamp(),
+    lineageEventId: eventRef.id,
+    updatedBy: userId,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  // Structures and their bins go where the user placed them
+  const structuresSnapshot = await tenantCollection(tenantId, 'structures').where('landTractId', '==', tract.id).get();
+  const structureTargets = {};
+  structuresSnapshot.docs.forEach((doc) => {
+    const index = Number(structureAssignments[doc.id]) === 1 ? 1 : 0;
+    structureTargets[doc.id] = refs[index].id;
+    batch.update(doc.ref, { landTractId: refs[index].id, updatedAt: FieldValue.serverTimestamp() });
+  });
+  const binsSnapshot = await tenantCollection(tenantId, 'bins').where('landTractId', '==', tract.id).get();
+  binsSnapshot.docs.forEach((doc) => {
+    const target = structureTargets[doc.data().structureId] || refs[0].id;
+    batch.update(doc.ref, { landTractId: target, updatedAt: FieldValue.serverTimestamp() });
+  });
+
+  // Map features go to the piece they are drawn in
+  const featuresSnapshot = await tenantCollection(tenantId, 'spatialFeatures')
+    .where('landTractId', '==', tract.id)
+    .get();
+  featuresSnapshot.docs.forEach((doc) => {
+    const { geometryJson } = doc.data();
+    const index = pickPartForCoords(featureCoords(geometryJson ? JSON.parse(geometryJson) : null), shapes);
+    batch.update(doc.ref, { landTractId: refs[index].id, updatedAt: FieldValue.serverTimestamp() });
+  });
+
+  batch.set(eventRef, {
+    operation: LineageOperation.SPLIT,
+    siteId: tract.siteId,
+    sourceTracts: [{ id: tract.id, name: tract.name, type: tract.type, areaAcres: tract.areaAcres || 0 }],
+    resultTracts: refs.map((ref, index) => ({ id: ref.id, name: docs[index].name, areaAcres: docs[index].areaAcres })),
+    splitLineJson: JSON.stringify(line),
+    notes: notes || null,
+    performedBy: userId,
+    performedAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+
+  return {
+    tracts: await Promise.all(refs.map((ref) => firestoreService.getLandTract(tenantId, ref.id))),
+    retired: [tract.id],
+    lineageEventId: eventRef.id,
+  };
+};
+
+/**
+ * Merge two or more tracts on the same site into one new tract
+ * The originals are retired; their structures, bins and map features move
+ * to the merged tract.
+ * @param {object} data - { tractIds, name, code, type, notes, preview }
+ * @returns {Promise<object>} - { preview: true, part } or { tract, retired, lineageEventId }
+ */
+const mergeTracts = async (tenantId, data, userId) => {
+  const { tractIds = [], name, code, type, notes, preview = false } = data;
+
+  const ids = [...new Set(tractIds)];
+  if (ids.length < 2) {
+    throw new Error('Select at least two tracts to merge');
+  }
+
+  const tracts = await Promise.all(ids.map((id) => firestoreService.getLandTract(tenantId, id)));
+  tracts.forEach((tract) => assertActive(tract));
+  if (new Set(tracts.map((t) => t.siteId)).size > 1) {
+    throw new Error('Only tracts on the same site can be merged');
+  }
+  const missing = tracts.find((tract) => !tractRing(tract));
+  if (missing) {
+    throw new Error(`${missing.name} has no boundary to merge`);
+  }
+
+  const shape = mergePolygons(tracts.map((t) => t.geometry));
+  if (preview) {
+    return { preview: true, part: shape };
+  }
+
+  await assertNotGrazed(tenantId, tracts);
+
+  const tractsRef = tenantCollection(tenantId, 'landTracts');
+  const eventRef = lineageCollection(tenantId).doc();
+  const mergedRef = tractsRef.doc();
+  const batch = db.batch();
+
+  const doc = buildTractDoc(tenantId, shape, {
+    siteId: tracts[0].siteId,
+    name: name || tracts.map((t) => t.name).join(' + '),
+    code: code?.toUpperCase() || null,
+    type: type || tracts[0].type,
+    tags: [...new Set(tracts.flatMap((t) => t.tags || []))],
+    soil: null,
+    notes: notes || null,
+    derivedFrom: tracts.map((t) => ({
+      tractId: t.id,
+      name: t.name,
+      operation: LineageOperation.MERGE,
+      acres: t.areaAcres || 0,
+    })),
+    lineageEventId: eventRef.id,
+  }, userId);
+  batch.set(mergedRef, doc);
+
+  for (const tract of tracts) {
+    batch.update(tractsRef.doc(tract.id), {
+      status: RETIRED_STATUS,
+      supersededBy: [mergedRef.id],
+      retiredReason: LineageOperation.MERGE,
+      retiredAt: FieldValue.serverTimestamp(),
+      lineageEventId: eventRef.id,
+      updatedBy: userId,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    for (const collection of ['structures', 'bins', 'spatialFeatures']) {
+      const snapshot = await tenantCollection(tenantId, collection).where('landTractId', '==', tract.id).get();
+      snapshot.docs.forEach((d) => {
+        batch.update(d.ref, { landTractId: mergedRef.id, updatedAt: FieldValue.serverTimestamp() });
+      });
+    }
+  }
+
+  batch.set(eventRef, {
+    operation: LineageOperation.MERGE,
+    siteId: tracts[0].siteId,
+    sourceTracts: tracts.map((t) => ({ id: t.id, name: t.name, type: t.type, areaAcres: t.areaAcres || 0 })),
+    resultTracts: [{ id: mergedRef.id, name: doc.name, areaAcres: doc.areaAcres }],
+    notes: notes || null,
+    performedBy: userId,
+    performedAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+
+  return {
+    tract: await firestoreService.getLandTract(tenantId, mergedRef.id),
+    retired: tracts.map((t) => t.id),
+    lineageEventId: eventRef.id,
+  };
+};
+
+// ============================================
+// LINEAGE
+// ============================================
+
+const lineageSummary = (tract, depth) => ({
+  id: tract.id,
+  name: tract.name,
+  type: tract.type,
+  status: tract.status,
+  areaAcres: tract.areaAcres || 0,
+  retiredReason: tract.retiredReason || null,
+  depth,
+});
+
+/**
+ * Tracts a tract was split or merged from, and the tracts that replaced it
+ * Walks the whole chain in both directions; records stay on the tract they
+ * were logged against, so each ancestor is where its history lives.
+ * @returns {Promise<object>} - { ancestors, descendants, events } with events newest first
+ */
+const getTractLineage = async (tenantId, tractId) => {
+  const tract = await firestoreService.getLandTract(tenantId, tractId);
+  if (!tract) {
+    throw new Error('Land tract not found');
+  }
+
+  const visited = new Set([tract.id]);
+  const eventIds = new Set(tract.lineageEventId ? [tract.lineageEventId] : []);
+
+  const walk = async (start, nextIds) => {
+    const found = [];
+    let frontier = nextIds(start).map((id) => ({ id, depth: 1 }));
+
+    while (frontier.length > 0) {
+      const next = [];
+      for (const { id, depth } of frontier) {
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        const related = await firestoreService.getLandTract(tenantId, id);
+        if (!related) continue;
+
+        found.push(lineageSummary(related, depth));
+        if (related.lineageEventId) eventIds.add(related.lineageEventId);
+        nextIds(related).forEach((nextId) => next.push({ id: nextId, depth: depth + 1 }));
+      }
+      frontier = next;
+    }
+
+    return found;
+  };
+
+  const ancestors = await walk(tract, (t) => (t.derivedFrom || []).map((d) => d.tractId));
+  const descendants = await walk(tract, (t) => t.supersededBy || []);
+
+  const eventDocs = await Promise.all([...eventIds].map((id) => lineageCollection(tenantId).doc(id).get()));
+  const events = eventDocs
+    .filter((doc) => doc.exists)
+    .map((doc) => {
+      const { splitLineJson, ...event } = doc.data();
+      return {
+        id: doc.id,
+        ...event,
+        splitLine: splitLineJson ? JSON.parse(splitLineJson) : null,
+      };
+    })
+    .sort((a, b) => (b.performedAt?.toMillis?.() || 0) - (a.performedAt?.toMillis?.() || 0));
+
+  return { ancestors, descendants, events };
+};
+
+module.exports = {
+  // Enums
+  LineageOperation,
+  RETIRED_STATUS,
+
+  // Geometry
+  splitPolygon,
+  mergePolygons,
+
+  // Overlaps
+  findOverlaps,
+
+  // Split / merge
+  splitTract,
+  mergeTracts,
+
+  // Lineage
+  getTractLineage,
+};
@@ -0,0 +1,363 @@
+/**
+ * Vehicle Fuel Service
+ * Fuel log per vehicle. Fills from an on-farm bulk tank draw FUEL inventory;
+ * retail fills are paid in cash or put on account. Both post a VEHICLE_FUEL
+ * event to Fuel Expense. Consumption is worked out on read with the
+ * fill-to-fill method: distance (or engine hours) between full fills divided
+ * by the fuel put in since the last full fill.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+const vehicleMaintenanceService = require('./vehicle-maintenance-service');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const FuelSource = {
+  BULK_TANK: 'BULK_TANK',
+  RETAIL: 'RETAIL',
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+const fuelLogCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('vehicleFuelLogs');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const monthKey = (value) => {
+  const millis = toMillis(value);
+  return millis ? new Date(millis).toISOString().slice(0, 7) : null;
+};
+
+/**
+ * Create and post the fuel expense event for a fill
+ * Posting failures are returned, not thrown, like the other event routes
+ */
+const postEvent = async (tenantId, siteId, entryId, payload, occurredAt, createdBy) => {
+  const idempotencyKey = accountingService.generateIdempotencyKey(
+    tenantId,
+    `vehicle_fuel-${entryId}`,
+    payload
+  );
+
+  const event = await firestoreService.createEvent(
+    tenantId,
+    {
+      siteId,
+      type: 'VEHICLE_FUEL',
+      occurredAt,
+      sourceType: 'API',
+      sourceId: entryId,
+      payload,
+      idempotencyKey,
+    },
+    createdBy
+  );
+
+  let processing;
+  try {
+    const lockerId = `api-${uuidv4()}`;
+    processing = await accountingService.processEvent(tenantId, event.id, lockerId);
+  } catch (postingError) {
+    console.error('VEHICLE_FUEL posting failed:', postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  return { event, processing };
+};
+
+/**
+ * Add fill-to-fill consumption to entries sorted oldest first
+ * Partial fills carry their gallons forward to the next full fill; a full
+ * fill without a meter reading breaks the chain for that meter.
+ */
+const withConsumption = (entries) => {
+  let lastOdometer = null;
+  let lastHours = null;
+  let gallonsSinceOdometer = 0;
+  let gallonsSinceHours = 0;
+
+  return entries.map((entry) => {
+    const result = { ...entry, distance: null, mpg: null, hours: null, gallonsPerHour: null };
+    gallonsSinceOdometer += entry.gallons;
+    gallonsSinceHours += entry.gallons;
+
+    if (!entry.fullTank) {
+      return result;
+    }
+
+    if (entry.odometer !== null && entry.odometer !== undefined) {
+      if (lastOdometer !== null && entry.odometer > lastOdometer) {
+        result.distance = round(entry.odometer - lastOdometer, 1);
+        result.mpg = round(result.distance / gallonsSinceOdometer, 2);
+      }
+      lastOdometer = entry.odometer;
+    } else {
+      lastOdometer = null;
+    }
+    gallonsSinceOdometer = 0;
+
+    if (entry.engineHours !== null && entry.engineHours !== undefined) {
+      if (lastHours !== null && entry.engineHours > lastHours) {
+        result.hours = round(entry.engineHours - lastHours, 1);
+        result.gallonsPerHour = round(gallonsSinceHours / result.hours, 2);
+      }
+      lastHours = entry.engineHours;
+    } else {
+      lastHours = null;
+    }
+    gallonsSinceHours = 0;
+
+    return result;
+  });
+};
+
+// ============================================
+// FUEL LOG
+// ============================================
+
+/**
+ * Record a fuel fill for a vehicle
+ * @param {string} tenantId
+ * @param {string} vehicleId
+ * @param {object} data - { date, gallons, source, itemId, siteId, costPerGallon, totalCost, vendorName,
+ *   paymentMethod, odometer, engineHours, fullTank, notes } - siteId is the tank's site when it
+ *   isn't the vehicle's own
+ * @param {string} createdBy - Firebase UID
+ * @returns {Promise<{ entry: object, posting: object, createdTasks: object[] }>}
+ */
+const recordFuel = async (tenantId, vehicleId, data, createdBy) => {
+  const vehicle = await firestoreService.getVehicle(tenantId, vehicleId);
+  if (!vehicle) {
+    throw new Error('Vehicle not found');
+  }
+
+  const { gallons, source = FuelSource.RETAIL } = data;
+  if (!(gallons > 0)) {
+    throw new Error('Gallons must be greater than zero');
+  }
+
+  const occurredAt = data.date ? new Date(data.date) : new Date();
+  const siteId = data.siteId || vehicle.siteId || null;
+
+  let item = null;
+  let costPerGallon;
+  if (source === FuelSource.BULK_TANK) {
+    if (!data.itemId) {
+      throw new Error('Bulk tank fills need a fuel inventory item');
+    }
+    if (!siteId) {
+      throw new Error('Vehicle needs a site to draw bulk fuel from inventory');
+    }
+    item = await firestoreService.getInventoryItem(tenantId, data.itemId);
+    if (!item) {
+      throw new Error('Fuel inventory item not found');
+    }
+    if (item.category !== firestoreService.InventoryCategory.FUEL) {
+      throw new Error(`${item.name} is not a fuel item`);
+    }
+    const balance = await firestoreService.getSiteInventoryBalance(tenantId, siteId, item.id);
+    costPerGallon = balance.avgCostPerUnit || item.defaultCostPerUnit || 0;
+  } else if (data.totalCost > 0) {
+    costPerGallon = data.totalCost / gallons;
+  } else {
+    costPerGallon = data.costPerGallon || 0;
+  }
+
+  const totalCost = source === FuelSource.RETAIL && data.totalCost > 0
+    ? round(data.totalCost)
+    : round(gallons * costPerGallon);
+
+  const entryRef = fuelLogCollection(tenantId).doc();
+
+  let posting = null;
+  if (totalCost > 0 || item) {
+    posting = await postEvent(
+      tenantId,
+      siteId,
+      entryRef.id,
+      {
+        source,
+        itemId: item?.id || null,
+        itemType: item?.category || null,
+        qty: gallons,
+        costPerUnit: round(costPerGallon, 4),
+        totalCost,
+        paymentMethod: source === FuelSource.RETAIL ? data.paymentMethod || 'CASH' : null,
+        vehicleId,
+      },
+      occurredAt,
+      createdBy
+    );
+  }
+
+  const entry = {
+    vehicleId,
+    assetId: vehicle.assetId || vehicleId,
+    siteId,
+    date: occurredAt,
+    gallons: round(gallons, 3),
+    source,
+    itemId: item?.id || null,
+    itemName: item?.name || null,
+    costPerGallon: round(costPerGallon, 4),
+    totalCost,
+    vendorName: source === FuelSource.RETAIL ? data.vendorName || null : null,
+    paymentMethod: source === FuelSource.RETAIL ? data.paymentMethod || 'CASH' : null,
+    odometer: data.odometer ?? null,
+    engineHours: data.engineHours ?? null,
+    fullTank: data.fullTank !== false,
+    notes: data.notes || null,
+    eventId: posting?.event.id || null,
+    createdBy,
+  };
+
+  await entryRef.set({
+    ...entry,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  // Meter readings taken at the pump feed the service schedule too
+  let createdTasks = [];
+  if (entry.odometer !== null || entry.engineHours !== null) {
+    try {
+      await vehicleMaintenanceService.recordMeterReading(
+        tenantId,
+        vehicleId,
+        {
+          odometer: entry.odometer,
+          engineHours: entry.engineHours,
+          readAt: occurredAt,
+          notes: `Fuel: ${entry.gallons} gal`,
+          source: vehicleMaintenanceService.MeterReadingSource.FUEL,
+        },
+        createdBy
+      );
+      const tasks = await vehicleMaintenanceService.generateDueServiceTasks(tenantId, { vehicleId }, createdBy);
+      createdTasks = tasks.created;
+    } catch (meterError) {
+      // A reading below the current meter shouldn't lose the fill itself
+      console.error('[Fuel Log] Error recording meter reading:', meterError);
+    }
+  }
+
+  return {
+    entry: { id: entryRef.id, ...entry },
+    posting: posting ? { eventId: posting.event.id, processing: posting.processing } : null,
+    createdTasks,
+  };
+};
+
+/**
+ * Fuel log for a vehicle, newest first, with fill-to-fill consumption
+ * @param {string} tenantId
+ * @param {string} vehicleId
+ * @param {object} options - { startDate, endDate, limit }
+ */
+const getFuelLog = async (tenantId, vehicleId, options = {}) => {
+  const { startDate, endDate, limit = 200 } = options;
+
+  const snapshot = await fuelLogCollection(tenantId).where('vehicleId', '==', vehicleId).get();
+
+  // Consumption needs the whole history in order, so filter after computing it
+  const entries = withConsumption(
+    snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => toMillis(a.date) - toMillis(b.date))
+  );
+
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+
+  return entries
+    .filter((entry) => (!start || toMillis(entry.date) >= start) && (!end || toMillis(entry.date) <= end))
+    .reverse()
+    .slice(0, parseInt(limit) || 200);
+};
+
+/**
+ * Fuel totals, average consumption and a monthly trend for a vehicle
+ */
+const getFuelSummary = async (tenantId, vehicleId, options = {}) => {
+  const entries = await getFuelLog(tenantId, vehicleId, { ...options, limit: 100000 });
+
+  let gallons = 0;
+  let cost = 0;
+  let distance = 0;
+  let distanceGallons = 0;
+  let hours = 0;
+  let hourGallons = 0;
+  const months = {};
+
+  // entries are newest first; the trend reads better oldest first
+  [...entries].reverse().forEach((entry) => {
+    gallons += entry.gallons;
+    cost += entry.totalCost || 0;
+
+    const key = monthKey(entry.date);
+    if (!months[key]) {
+      months[key] = { month: key, gallons: 0, cost: 0, distance: 0, distanceGallons: 0, hours: 0, hourGallons: 0 };
+    }
+    const bucket = months[key];
+    bucket.gallons += entry.gallons;
+    bucket.cost += entry.totalCost || 0;
+
+    if (entry.mpg) {
+      const used = entry.distance / entry.mpg;
+      distance += entry.distance;
+      distanceGallons += used;
+      bucket.distance += entry.distance;
+      bucket.distanceGallons += used;
+    }
+    if (entry.gallonsPerHour) {
+      const used = entry.hours * entry.gallonsPerHour;
+      hours += entry.hours;
+      hourGallons += used;
+      bucket.hours += entry.hours;
+      bucket.hourGallons += used;
+    }
+  });
+
+  return {
+    fills: entries.length,
+    gallons: round(gallons, 1),
+    cost: round(cost),
+    avgCostPerGallon: gallons > 0 ? round(cost / gallons, 3) : null,
+    mpg: distanceGallons > 0 ? round(distance / distanceGallons, 2) : null,
+    gallonsPerHour: hours > 0 ? round(hourGallons / hours, 2) : null,
+    trend: Object.values(months).map((bucket) => ({
+      month: bucket.month,
+      gallons: round(bucket.gallons, 1),
+      cost: round(bucket.cost),
+      mpg: bucket.distanceGallons > 0 ? round(bucket.distance / bucket.distanceGallons, 2) : null,
+      gallonsPerHour: bucket.hours > 0 ? round(bucket.hourGallons / bucket.hours, 2) : null,
+    })),
+  };
+};
+
+module.exports = {
+  // Enums
+  FuelSource,
+
+  // Fuel log
+  recordFuel,
+  getFuelLog,
+  getFuelSummary,
+};
@@ -0,0 +1,754 @@
+/**
+ * Vehicle Maintenance Service
+ * Service plans per vehicle (every N miles/km, engine hours or months),
+ * meter readings logged over time, and the service records that reset a
+ * plan. Plans that come due create task occurrences; recorded services draw
+ * EQUIPMENT_PARTS inventory through VEHICLE_SERVICE_PART events and post
+ * labor through VEHICLE_SERVICE_LABOR events, both to Repairs & Maintenance.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const MaintenanceStatus = {
+  OK: 'OK',
+  DUE: 'DUE',
+  OVERDUE: 'OVERDUE',
+};
+
+const MeterReadingSource = {
+  MANUAL: 'MANUAL',
+  SERVICE: 'SERVICE',
+  FUEL: 'FUEL',
+};
+
+// A plan is DUE once less than this share of its interval remains
+const DUE_SOON_FRACTION = 0.1;
+
+const STATUS_RANK = {
+  [MaintenanceStatus.OK]: 0,
+  [MaintenanceStatus.DUE]: 1,
+  [MaintenanceStatus.OVERDUE]: 2,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const plansCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('vehicleMaintenancePlans');
+
+const servicesCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('vehicleServiceRecords');
+
+const readingsCollection = (tenantId, vehicleId) =>
+  db.collection('tenants').doc(tenantId).collection('vehicles').doc(vehicleId).collection('meterReadings');
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+const toMillis = (value) => toDate(value)?.getTime() || 0;
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const vehicleLabel = (vehicle) =>
+  vehicle.name || `${vehicle.year || ''} ${vehicle.make || ''} ${vehicle.model || ''}`.trim() || 'Vehicle';
+
+const distanceUnit = (vehicle) => (vehicle.odometer?.unit === 'KM' ? 'km' : 'mi');
+
+const meterValue = (meter) =>
+  meter?.value !== undefined && meter?.value !== null ? Number(meter.value) : null;
+
+/**
+ * Status of one interval given what is left of it
+ */
+const intervalStatus = (remaining, interval) => {
+  if (remaining < 0) return MaintenanceStatus.OVERDUE;
+  if (remaining <= interval * DUE_SOON_FRACTION) return MaintenanceStatus.DUE;
+  return MaintenanceStatus.OK;
+};
+
+/**
+ * Work out when a plan is next due from the vehicle's current meters
+ * Whichever interval comes up first drives the status, like a
+ * "5,000 miles or 6 months" service sticker.
+ */
+const computePlanStatus = (plan, vehicle, asOf = new Date()) => {
+  const odometer = meterValue(vehicle.odometer);
+  const engineHours = meterValue(vehicle.engineHours);
+  const result = {
+    status: MaintenanceStatus.OK,
+    dueAtOdometer: null,
+    distanceRemaining: null,
+    dueAtHours: null,
+    hoursRemaining: null,
+    dueDate: null,
+    daysRemaining: null,
+    reasons: [],
+  };
+
+  const apply = (status, reason) => {
+    if (status !== MaintenanceStatus.OK) result.reasons.push(reason);
+    if (STATUS_RANK[status] > STATUS_RANK[result.status]) result.status = status;
+  };
+
+  if (plan.intervalDistance > 0 && plan.lastServiceOdometer !== null && plan.lastServiceOdometer !== undefined) {
+    result.dueAtOdometer = plan.lastServiceOdometer + plan.intervalDistance;
+    if (odometer !== null) {
+      result.distanceRemaining = round(result.dueAtOdometer - odometer, 1);
+      apply(
+        intervalStatus(result.distanceRemaining, plan.intervalDistance),
+        `due at ${result.dueAtOdometer.toLocaleString('en-US')} ${distanceUnit(vehicle)}`
+      );
+    }
+  }
+
+  if (plan.intervalHours > 0 && plan.lastServiceHours !== null && plan.lastServiceHours !== undefined) {
+    result.dueAtHours = plan.lastServiceHours + plan.intervalHours;
+    if (engineHours !== null) {
+      result.hoursRemaining = round(result.dueAtHours - engineHours, 1);
+      apply(
+        intervalStatus(result.hoursRemaining, plan.intervalHours),
+        `due at ${result.dueAtHours.toLocaleString('en-US')} hrs`
+      );
+    }
+  }
+
+  const lastServiceDate = toDate(plan.lastServiceDate);
+  if (plan.intervalMonths > 0 && lastServiceDate) {
+    const dueDate = addMonths(lastServiceDate, plan.intervalMonths);
+    const intervalDays = (dueDate.getTime() - lastServiceDate.getTime()) / DAY_MS;
+    result.dueDate = dueDate;
+    result.daysRemaining = Math.floor((dueDate.getTime() - asOf.getTime()) / DAY_MS);
+    apply(
+      intervalStatus(result.daysRemaining, intervalDays),
+      `due by ${dueDate.toISOString().slice(0, 10)}`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Create and post a repairs event for a service record
+ * Posting failures are returned, not thrown, like the other event routes
+ */
+const postEvent = async (tenantId, siteId, type, serviceId, payload, occurredAt, createdBy) => {
+  const idempotencyKey = accountingService.generateIdempotencyKey(
+    tenantId,
+    `${type.toLowerCase()}-${serviceId}-${payload.itemId || 'labor'}`,
+    payload
+  );
+
+  const event = await firestoreService.createEvent(
+    tenantId,
+    {
+      siteId,
+      type,
+      occurredAt,
+      sourceType: 'API',
+      sourceId: serviceId,
+      payload,
+      idempotencyKey,
+    },
+    createdBy
+  );
+
+  let processing;
+  try {
+    const lockerId = `api-${uuidv4()}`;
+    processing = await accountingService.processEvent(tenantId, event.id, lockerId);
+  } catch (postingError) {
+    console.error(`${type} posting failed:`, postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  return { event, processing };
+};
+
+const isOpenTask = (occurrence) =>
+  occurrence &&
+  [firestoreService.TaskOccurrenceStatus.SCHEDULED, firestoreService.TaskOccurrenceStatus.IN_PROGRESS]
+    .includes(occurrence.status);
+
+// ============================================
+// MAINTENANCE PLANS
+// ============================================
+
+/**
+ * Create a maintenance plan for a vehicle
+ * The interval starts from the last service given, or from the vehicle's
+ * current meters and today when the plan is new.
+ * @param {string} tenantId
+ * @param {string} vehicleId
+ * @param {object} data - { name, description, intervalDistance, intervalHours, intervalMonths,
+ *   lastServiceOdometer, lastServiceHours, lastServiceDate, parts: [{ itemId, qty }], estimatedLaborHours, notes }
+ * @param {string} createdBy - Firebase UID
+ */
+const createPlan = async (tenantId, vehicleId, data, createdBy) => {
+  const vehicle = await firestoreService.getVehicle(tenantId, vehicleId);
+  if (!vehicle) {
+    throw new Error('Vehicle not found');
+  }
+
+  const { intervalDistance, intervalHours, intervalMonths } = data;
+  if (!(intervalDistance > 0) && !(intervalHours > 0) && !(intervalMonths > 0)) {
+    throw new Error('A plan needs a distance, engine hour or month interval');
+  }
+
+  const planRef = plansCollection(tenantId).doc();
+  const plan = {
+    vehicleId,
+    siteId: vehicle.siteId || null,
+    name: data.name.trim(),
+    description: data.description || null,
+    intervalDistance: intervalDistance > 0 ? intervalDistance : null,
+    intervalHours: intervalHours > 0 ? intervalHours : null,
+    intervalMonths: intervalMonths > 0 ? intervalMonths : null,
+    lastServiceOdometer: data.lastServiceOdometer ?? meterValue(vehicle.odometer) ?? 0,
+    lastServiceHours: data.lastServiceHours ?? meterValue(vehicle.engineHours) ?? 0,
+    lastServiceDate: data.lastServiceDate ? new Date(data.lastServiceDate) : new Date(),
+    lastServiceRecordId: null,
+    parts: data.parts || [],
+    estimatedLaborHours: data.estimatedLaborHours ?? null,
+    notes: data.notes || null,
+    openTaskOccurrenceId: null,
+    isActive: true,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await planRef.set(plan);
+
+  return getPlan(tenantId, planRef.id);
+};
+
+/**
+ * Get a single plan
+ */
+const getPlan = async (tenantId, planId) => {
+  const doc = await plansCollection(tenantId).doc(planId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Plans for a vehicle with their current due status
+ */
+const getVehiclePlans = async (tenantId, vehicleId, options = {}) => {
+  const { includeInactive = false } = options;
+
+  const vehicle = await firestoreService.getVehicle(tenantId, vehicleId);
+  if (!vehicle) {
+    throw new Error('Vehicle not found');
+  }
+
+  const snapshot = await plansCollection(tenantId).where('vehicleId', '==', vehicleId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((plan) => includeInactive || plan.isActive)
+    .map((plan) => ({ ...plan, due: computePlanStatus(plan, vehicle) }))
+    .sort((a, b) => STATUS_RANK[b.due.status] - STATUS_RANK[a.due.status] || a.name.localeCompare(b.name));
+};
+
+/**
+ * Update a plan; changing intervals re-evaluates the due status on next read
+ */
+const updatePlan = async (tenantId, planId, updates, updatedBy) => {
+  const plan = await getPlan(tenantId, planId);
+  if (!plan) {
+    throw new Error('Maintenance plan not found');
+  }
+
+  const fields = [
+    'description', 'intervalDistance', 'intervalHours', 'intervalMonths',
+    'lastServiceOdometer', 'lastServiceHours', 'parts', 'estimatedLaborHours', 'notes', 'isActive',
+  ];
+  const changes = Object.fromEntries(
+    fields.filter((field) => updates[field] !== undefined).map((field) => [field, updates[field]])
+  );
+  if (updates.name !== undefined) changes.name = updates.name.trim();
+  if (updates.lastServiceDate !== undefined) changes.lastServiceDate = new Date(updates.lastServiceDate);
+
+  const merged = { ...plan, ...changes };
+  if (!(merged.intervalDistance > 0) && !(merged.intervalHours > 0) && !(merged.intervalMonths > 0)) {
+    throw new Error('A plan needs a distance, engine hour or month interval');
+  }
+
+  await plansCollection(tenantId).doc(planId).update({
+    ...changes,
+    updatedBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return getPlan(tenantId, planId);
+};
+
+/**
+ * Plans that are due or overdue across the fleet
+ * @param {string} tenantId
+ * @param {object} options - { siteId, includeOk }
+ */
+const getDueMaintenance = async (tenantId, options = {}) => {
+  const { siteId, includeOk = false } = options;
+
+  const vehicles = await firestoreService.getVehicles(tenantId, { siteId, status: 'ACTIVE' });
+  const vehiclesById = new Map(vehicles.map((v) => [v.id, v]));
+
+  const snapshot = await plansCollection(tenantId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((plan) => plan.isActive && vehiclesById.has(plan.vehicleId))
+    .map((plan) => {
+      const vehicle = vehiclesById.get(plan.vehicleId);
+      return {
+        ...plan,
+        vehicleName: vehicleLabel(vehicle),
+        due: computePlanStatus(plan, vehicle),
+      };
+    })
+    .filter((plan) => includeOk || plan.due.status !== MaintenanceStatus.OK)
+    .sort((a, b) =>
+      STATUS_RANK[b.due.status] - STATUS_RANK[a.due.status] ||
+      a.vehicleName.localeCompare(b.vehicleName)
+    );
+};
+
+// ============================================
+// METER READINGS
+// ============================================
+
+/**
+ * Log odometer and/or engine hour readings and roll them onto the vehicle
+ * Readings lower than the vehicle's current meters are rejected unless
+ * marked as a correction (e.g. a replaced instrument cluster).
+ * @param {string} tenantId
+ * @param {string} vehicleId
+ * @param {object} data - { odometer, engineHours, readAt, notes, isCorrection, source }
+ * @param {string} recordedBy - Firebase UID
+ */
+const recordMeterReading = async (tenantId, vehicleId, data, recordedBy) => {
+  const vehicle = await firestoreService.getVehicle(tenantId, vehicleId);
+  if (!vehicle) {
+    throw new Error('Vehicle not found');
+  }
+
+  const { odometer, engineHours, notes, isCorrection = false, source = MeterReadingSource.MANUAL } = data;
+  if ((odometer === undefined || odometer === null) && (engineHours === undefined || engineHours === null)) {
+    throw new Error('An odometer or engine hour reading is required');
+  }
+
+  const currentOdometer = meterValue(vehicle.odometer);
+  const currentHours = meterValue(vehicle.engineHours);
+  if (!isCorrection) {
+    if (odometer !== undefined && odometer !== null && currentOdometer !== null && odometer < currentOdometer) {
+      throw new Error(`Odometer reading is below the current ${currentOdometer.toLocaleString('en-US')}`);
+    }
+    if (engineHours !== undefined && engineHours !== null && currentHours !== null && engineHours < currentHours) {
+      throw new Error(`Engine hour reading is below the current ${currentHours.toLocaleString('en-US')}`);
+    }
+  }
+
+  const readAt = data.readAt ? new Date(data.readAt) : new Date();
+  const readingRef = readingsCollection(tenantId, vehicleId).doc();
+  const reading = {
+    vehicleId,
+    odometer: odometer ?? null,
+    odometerUnit: odometer !== undefined && odometer !== null ? (vehicle.odometer?.unit || 'MILES') : null,
+    engineHours: engineHours ?? null,
+    readAt,
+    source,
+    isCorrection,
+    notes: notes || null,
+    recordedBy,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  await readingRef.set(reading);
+
+  // Only move the vehicle's meters forward in time - back-dated readings stay in the log
+  const vehicleUpdates = {};
+  if (reading.odometer !== null && readAt.getTime() >= toMillis(vehicle.odometer?.recordedAt)) {
+    vehicleUpdates.odometer = { value: reading.odometer, unit: reading.odometerUnit, recordedAt: readAt.toISOString() };
+  }
+  if (reading.engineHours !== null && readAt.getTime() >= toMillis(vehicle.engineHours?.recordedAt)) {
+    vehicleUpdates.engineHours = { value: reading.engineHours, recordedAt: readAt.toISOString() };
+  }
+  if (Object.keys(vehicleUpdates).length > 0) {
+    await firestoreService.updateVehicle(tenantId, vehicleId, vehicleUpdates);
+  }
+
+  return { id: readingRef.id, ...reading, createdAt: new Date() };
+};
+
+/**
+ * Meter readings for a vehicle, newest first
+ */
+const getMeterReadings = async (tenantId, vehicleId, options = {}) => {
+  const { limit = 100 } = options;
+
+  const snapshot = await readingsCollection(tenantId, vehicleId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => toMillis(b.readAt) - toMillis(a.readAt))
+    .slice(0, parseInt(limit) || 100);
+};
+
+// ============================================
+// MAINTENANCE TASKS
+// ============================================
+
+/**
+ * Create a task occurrence for every due or overdue plan that doesn't
+ * already have an open one
+ * @param {string} tenantId
+ * @param {object} options - { vehicleId, siteId }
+ * @param {string} createdBy - Firebase UID (task convention)
+ * @returns {Promise<{ checked: number, created: object[] }>}
+ */
+const generateDueServiceTasks = async (tenantId, options = {}, createdBy) => {
+  const { vehicleId, siteId } = options;
+
+  let duePlans = await getDueMaintenance(tenantId, { siteId });
+  if (vehicleId) {
+    duePlans = duePlans.filter((plan) => plan.vehicleId === vehicleId);
+  }
+
+  const created = [];
+  for (const plan of duePlans) {
+    if (plan.openTaskOccurrenceId) {
+      const existing = await firestoreService.getTaskOccurrence(tenantId, plan.openTaskOccurrenceId);
+      if (isOpenTask(existing)) continue;
+    }
+
+    const overdue = plan.due.status === MaintenanceStatus.OVERDUE;
+    const occurrence = await firestoreService.createTaskOccurrence(
+      tenantId,
+      {
+        siteId: plan.siteId,
+        name: `${plan.name}: ${plan.vehicleName}`,
+        description: `${overdue ? 'Overdue' : 'Due'} - ${plan.due.reasons.join(', ')}`,
+        category: firestoreService.TaskCategory.EQUIPMENT,
+        scheduledDate: new Date(),
+        dueDate: plan.due.dueDate || null,
+        priority: overdue ? firestoreService.TaskPriority.HIGH : firestoreService.TaskPriority.MEDIUM,
+        notes: plan.description || null,
+        vehicleId: plan.vehicleId,
+        maintenancePlanId: plan.id,
+      },
+      createdBy
+    );
+
+    await plansCollection(tenantId).doc(plan.id).update({
+      openTaskOccurrenceId: occurrence.id,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    created.push(occurrence);
+  }
+
+  return { checked: duePlans.length, created };
+};
+
+// ============================================
+// SERVICE RECORDS
+// ============================================
+
+/**
+ * Record a completed service
+ * Parts must be EQUIPMENT_PARTS items; each posts a VEHICLE_SERVICE_PART
+ * event that draws the site's stock at average cost. Labor posts one
+ * VEHICLE_SERVICE_LABOR event, paid in cash or put on account. When the
+ * service is for a plan, the plan restarts from this service and its open
+ * task is completed.
+ *
+ * @param {string} tenantId
+ * @param {string} vehicleId
+ * @param {object} data - { planId, date, odometer, engineHours, description,
+ *   parts: [{ itemId, qty }], labor: { hours, rate, cost, performedBy, vendorName, paymentMethod }, notes }
+ * @param {string} createdBy - Firebase UID
+ * @returns {Promise<{ service: object, plan: object|null, postings: object[] }>}
+ */
+const recordService = async (tenantId, vehicleId, data, createdBy) => {
+  const vehicle = await firestoreService.getVehicle(tenantId, vehicleId);
+  if (!vehicle) {
+    throw new Error('Vehicle not found');
+  }
+
+  let plan = null;
+  if (data.planId) {
+    plan = await getPlan(tenantId, data.planId);
+    if (!plan || plan.vehicleId !== vehicleId) {
+      throw new Error('Maintenance plan not found for this vehicle');
+    }
+  }
+
+  const { parts = [], labor } = data;
+  const occurredAt = data.date ? new Date(data.date) : new Date();
+
+  if (parts.length > 0 && !vehicle.siteId) {
+    throw new Error('Vehicle needs a site to draw parts from inventory');
+  }
+
+  // Resolve parts up front so a bad line fails before anything posts
+  const resolvedParts = [];
+  for (const part of parts) {
+    const item = await firestoreService.getInventoryItem(tenantId, part.itemId);
+    if (!item) {
+      throw new Error(`Inventory item ${part.itemId} not found`);
+    }
+    if (item.category !== firestoreService.InventoryCategory.EQUIPMENT_PARTS) {
+      throw new Error(`${item.name} is not an equipment parts item`);
+    }
+    if (!(part.qty > 0)) {
+      throw new Error(`Quantity is required for ${item.name}`);
+    }
+
+    const balance = await firestoreService.getSiteInventoryBalance(tenantId, vehicle.siteId, item.id);
+    const costPerUnit = balance.avgCostPerUnit || item.defaultCostPerUnit || 0;
+    resolvedParts.push({
+      itemId: item.id,
+      itemName: item.name,
+      category: item.category,
+      unit: item.unit,
+      qty: round(part.qty, 4),
+      costPerUnit,
+      totalCost: round(part.qty * costPerUnit),
+      eventId: null,
+    });
+  }
+
+  let laborRecord = null;
+  if (labor && (labor.hours > 0 || labor.cost > 0)) {
+    const cost = labor.cost > 0 ? labor.cost : (labor.hours || 0) * (labor.rate || 0);
+    laborRecord = {
+      hours: labor.hours ?? null,
+      rate: labor.rate ?? null,
+      cost: round(cost),
+      performedBy: labor.performedBy || null,
+      vendorName: labor.vendorName || null,
+      paymentMethod: labor.paymentMethod || 'CREDIT',
+      eventId: null,
+    };
+  }
+
+  const serviceRef = servicesCollection(tenantId).doc();
+  const postings = [];
+
+  for (const part of resolvedParts) {
+    const posting = await postEvent(
+      tenantId,
+      vehicle.siteId,
+      'VEHICLE_SERVICE_PART',
+      serviceRef.id,
+      {
+        itemId: part.itemId,
+        itemType: part.category,
+        qty: part.qty,
+        costPerUnit: part.costPerUnit,
+        totalCost: part.totalCost,
+        vehicleId,
+        maintenancePlanId: plan?.id || null,
+      },
+      occurredAt,
+      createdBy
+    );
+    part.eventId = posting.event.id;
+    postings.push(posting);
+  }
+
+  if (laborRecord && laborRecord.cost > 0) {
+    const posting = await postEvent(
+      tenantId,
+      vehicle.siteId,
+      'VEHICLE_SERVICE_LABOR',
+      serviceRef.id,
+      {
+        totalCost: laborRecord.cost,
+        hours: laborRecord.hours,
+        paymentMethod: laborRecord.paymentMethod,
+        vendorName: laborRecord.vendorName,
+        vehicleId,
+        maintenancePlanId: plan?.id || null,
+      },
+      occurredAt,
+      createdBy
+    );
+    laborRecord.eventId = posting.event.id;
+    postings.push(posting);
+  }
+
+  // Meters read at the service go into the reading log as well
+  if ((data.odometer !== undefined && data.odometer !== null) ||
+      (data.engineHours !== undefined && data.engineHours !== null)) {
+    await recordMeterReading(
+      tenantId,
+      vehicleId,
+      {
+        odometer: data.odometer,
+        engineHours: data.engineHours,
+        readAt: occurredAt,
+        notes: `Service: ${data.description || plan?.name || 'recorded'}`,
+        source: MeterReadingSource.SERVICE,
+      },
+      createdBy
+    );
+  }
+
+  const partsCost = resolvedParts.reduce((sum, part) => sum + part.totalCost, 0);
+  const taskOccurrenceId = data.taskOccurrenceId || plan?.openTaskOccurrenceId || null;
+
+  const service = {
+    vehicleId,
+    assetId: vehicle.assetId || vehicleId,
+    siteId: vehicle.siteId || null,
+    planId: plan?.id || null,
+    planName: plan?.name || null,
+    date: occurredAt,
+    odometer: data.odometer ?? meterValue(vehicle.odometer),
+    engineHours: data.engineHours ?? meterValue(vehicle.engineHours),
+    description: data.description || plan?.name || null,
+    parts: resolvedParts,
+    partsCost: round(partsCost),
+    labor: laborRecord,
+    laborCost: laborRecord?.cost || 0,
+    totalCost: round(partsCost + (laborRecord?.cost || 0)),
+    taskOccurrenceId,
+    notes: data.notes || null,
+    createdBy,
+  };
+
+  await serviceRef.set({
+    ...service,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  if (plan) {
+    await plansCollection(tenantId).doc(plan.id).update({
+      lastServiceOdometer: service.odometer ?? plan.lastServiceOdometer,
+      lastServiceHours: service.engineHours ?? plan.lastServiceHours,
+      lastServiceDate: occurredAt,
+      lastServiceRecordId: serviceRef.id,
+      openTaskOccurrenceId: null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Close out the task that prompted the service
+  if (taskOccurrenceId) {
+    try {
+      const occurrence = await firestoreService.getTaskOccurrence(tenantId, taskOccurrenceId);
+      if (isOpenTask(occurrence)) {
+        await firestoreService.completeTaskOccurrence(
+          tenantId,
+          taskOccurrenceId,
+          { notes: data.notes || 'Service recorded', totalCost: service.totalCost },
+          createdBy
+        );
+      }
+    } catch (taskError) {
+      console.error('[Vehicle Service] Error completing service task:', taskError);
+    }
+  }
+
+  return {
+    service: { id: serviceRef.id, ...service },
+    plan: plan ? await getPlan(tenantId, plan.id) : null,
+    postings: postings.map(({ event, processing }) => ({ eventId: event.id, type: event.type, processing })),
+  };
+};
+
+/**
+ * Service history for a vehicle, newest first
+ */
+const getServiceRecords = async (tenantId, vehicleId, options = {}) => {
+  const { planId, limit = 100 } = options;
+
+  const snapshot = await servicesCollection(tenantId).where('vehicleId', '==', vehicleId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((record) => !planId || record.planId === planId)
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date))
+    .slice(0, parseInt(limit) || 100);
+};
+
+/**
+ * Reset a plan when its service task is completed from the task list
+ * Parts and labor are entered with a service record instead; this only
+ * restarts the interval from the vehicle's current meters.
+ * @param {string} tenantId
+ * @param {object} occurrence - Completed task occurrence with maintenancePlanId
+ * @param {object} data - { notes } from the completion
+ * @param {string} completedBy - Firebase UID
+ */
+const recordTaskService = async (tenantId, occurrence, data, completedBy) => {
+  const existing = await servicesCollection(tenantId)
+    .where('taskOccurrenceId', '==', occurrence.id)
+    .get();
+  if (!existing.empty) {
+    return null;
+  }
+
+  return recordService(
+    tenantId,
+    occurrence.vehicleId,
+    {
+      planId: occurrence.maintenancePlanId,
+      date: new Date(),
+      notes: data.notes || `Completed task: ${occurrence.name}`,
+      taskOccurrenceId: occurrence.id,
+    },
+    completedBy
+  );
+};
+
+module.exports = {
+  // Enums
+  MaintenanceStatus,
+  MeterReadingSource,
+
+  // Plans
+  computePlanStatus,
+  createPlan,
+  getPlan,
+  getVehiclePlans,
+  updatePlan,
+  getDueMaintenance,
+
+  // Meter readings
+  recordMeterReading,
+  getMeterReadings,
+
+  // Tasks
+  generateDueServiceTasks,
+  recordTaskService,
+
+  // Services
+  recordService,
+  getServiceRecords,
+};
@@ -7,6 +7,12 @@ module.exports = {
   nodeEnv: process.env.NODE_ENV || 'development',
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
 
+  // Background task generation (runs hourly when enabled; see task-scheduler-service)
+  taskScheduler: {
+    enabled: process.env.TASK_SCHEDULER_ENABLED === 'true',
+    intervalMinutes: parseInt(process.env.TASK_SCHEDULER_INTERVAL_MINUTES, 10) || 60,
+  },
+
   // Pricing configuration (config-driven, easy to update)
   pricing: {
     starter: {
@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const routes = require('./routes');
+const { startTaskScheduler } = require('./services/task-scheduler-service');
 
 const app = express();
 
@@ -31,7 +32,13 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing
+// Body parsing (animal and soil lab imports carry whole CSV/EID reader files,
+// boundary imports and map features carry surveyed geometry with thousands of vertices)
+app.use('/api/animals/bulk/import', express.json({ limit: '2mb' }));
+app.use('/api/land-tracts/:id/soil-tests/import', express.json({ limit: '2mb' }));
+app.use(['/api/land-tracts/import', '/api/sites/:id', '/api/spatial-features'], express.json({ limit: '2mb' }));
+// Attachments arrive base64-encoded, so allow for the ~4/3 overhead on a 10 MB file
+app.use('/api/attachments', express.json({ limit: '15mb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -79,6 +86,11 @@ const startServer = async () => {
       console.log(`SteadStack API running on port ${config.port}`);
       console.log(`Environment: ${config.nodeEnv}`);
     });
+
+    if (config.taskScheduler.enabled) {
+      startTaskScheduler({ intervalMinutes: config.taskScheduler.intervalMinutes });
+      console.log(`Task scheduler running every ${config.taskScheduler.intervalMinutes} minutes`);
+    }
   } catch (error) {
     console.error('Failed to connect to MongoDB:', error.message);
     // Start server anyway for development (allows testing without DB)
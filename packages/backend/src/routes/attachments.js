@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const firestoreService = require('../services/firestore');
+const attachmentService = require('../services/attachment-service');
+const { getPlanConfig, getResourceDisplayName } = require('../config/plans');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+const { AttachmentEntityType, ALLOWED_CONTENT_TYPES } = attachmentService;
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+/**
+ * GET /api/attachments
+ * List the files attached to a record
+ */
+router.get(
+  '/',
+  [
+    query('entityType').isIn(Object.values(AttachmentEntityType)).withMessage('Invalid entity type'),
+    query('entityId').trim().notEmpty().withMessage('Entity ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const attachments = await attachmentService.listAttachments(
+        userData.tenantId,
+        req.query.entityType,
+        req.query.entityId
+      );
+
+      res.json({ success: true, data: { attachments } });
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch attachments' });
+    }
+  }
+);
+
+/**
+ * POST /api/attachments
+ * Upload a file (base64 in the JSON body) and attach it to a record
+ */
+router.post(
+  '/',
+  [
+    body('entityType').isIn(Object.values(AttachmentEntityType)).withMessage('Invalid entity type'),
+    body('entityId').trim().notEmpty().withMessage('Entity ID is required'),
+    body('fileName').trim().notEmpty().isLength({ max: 255 }).withMessage('File name is required'),
+    body('contentType').isIn(ALLOWED_CONTENT_TYPES).withMessage('This file type cannot be attached'),
+    body('data').isBase64().withMessage('File data must be base64 encoded'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tenant = await firestoreService.getTenant(userData.tenantId);
+      const plan = tenant?.plan || 'free';
+
+      const attachment = await attachmentService.uploadAttachment(
+        userData.tenantId,
+        plan,
+        req.body,
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: { attachment } });
+    } catch (error) {
+      if (error.planLimit) {
+        const { plan, current, limit, percentUsed, suggestedPlan } = error.planLimit;
+        const planConfig = getPlanConfig(plan);
+        return res.status(402).json({
+          success: false,
+          code: 'PLAN_LIMIT_EXCEEDED',
+          message: `You've reached your ${planConfig.name} plan limit for ${getResourceDisplayName('storageGB')} (${current}/${limit})`,
+          data: {
+            resourceType: 'storageGB',
+            current,
+            limit,
+            plan,
+            planName: planConfig.name,
+            percentUsed,
+            suggestedPlan,
+          },
+        });
+      }
+      if (error.message === 'Record not found') {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to upload attachment',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/attachments/:id
+ * Get attachment details
+ */
+router.get('/:id', [param('id').notEmpty()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const attachment = await attachmentService.getAttachment(userData.tenantId, req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    res.json({ success: true, data: { attachment } });
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch attachment' });
+  }
+});
+
+/**
+ * GET /api/attachments/:id/download
+ * Stream the stored file back with its original name and type
+ */
+router.get('/:id/download', [param('id').notEmpty()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const file = await attachmentService.readAttachment(userData.tenantId, req.params.id);
+    if (!file) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': file.attachment.contentType,
+      'Content-Length': file.buffer.length,
+      'Content-Disposition': `${disposition}; filename="${file.attachment.fileName.replace(/"/g, '')}"`,
+    });
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to download attachment',
+    });
+  }
+});
+
+/**
+ * PATCH /api/attachments/:id
+ * Update an attachment's description
+ */
+router.patch(
+  '/:id',
+  [param('id').notEmpty(), body('description').optional({ nullable: true }).trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await attachmentService.getAttachment(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Attachment not found' });
+      }
+
+      const attachment = await attachmentService.updateAttachment(userData.tenantId, req.params.id, req.body);
+
+      res.json({ success: true, data: { attachment } });
+    } catch (error) {
+      console.error('Error updating attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update attachment',
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/attachments/:id
+ * Delete an attachment and release its storage
+ */
+router.delete(
+  '/:id',
+  requireRole(['owner', 'admin', 'manager']),
+  [param('id').notEmpty()],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const deleted = await attachmentService.deleteAttachment(userData.tenantId, req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, message: 'Attachment not found' });
+      }
+
+      res.json({ success: true, message: 'Attachment deleted' });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete attachment',
+      });
+    }
+  }
+);
+
+module.exports = router;
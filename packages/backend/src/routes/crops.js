@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const firestoreService = require('../services/firestore');
+const cropService = require('../services/crop-service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// ============================================
+// CROP PLANS
+// ============================================
+
+/**
+ * GET /api/crops/plans
+ * List crop plans with optional filters (siteId, tractId, season, status, crop)
+ */
+router.get('/plans', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { siteId, tractId, season, status, crop } = req.query;
+
+    const plans = await cropService.getCropPlans(userData.tenantId, {
+      siteId,
+      tractId,
+      season,
+      status,
+      crop,
+    });
+
+    res.json({ success: true, data: { plans } });
+  } catch (error) {
+    console.error('Error fetching crop plans:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch crop plans' });
+  }
+});
+
+/**
+ * GET /api/crops/plans/:id
+ * Get a crop plan with its field operations
+ */
+router.get(
+  '/plans/:id',
+  [param('id').notEmpty().withMessage('Crop plan ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const plan = await cropService.getCropPlan(userData.tenantId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({ success: false, message: 'Crop plan not found' });
+      }
+
+      const operations = await cropService.getFieldOperations(userData.tenantId, { planId: plan.id });
+
+      res.json({ success: true, data: { plan, operations } });
+    } catch (error) {
+      console.error('Error fetching crop plan:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch crop plan' });
+    }
+  }
+);
+
+/**
+ * POST /api/crops/plans
+ * Create a season crop plan on a FIELD land tract
+ */
+router.post(
+  '/plans',
+  [
+    body('tractId').notEmpty().withMessage('Land tract ID is required'),
+    body('season').notEmpty().withMessage('Season is required'),
+    body('crop').notEmpty().withMessage('Crop is required'),
+    body('plantedAcres').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Acres must be positive'),
+    body('seedingRate.value').optional().isFloat({ min: 0 }).withMessage('Seeding rate must be positive'),
+    body('targetYieldPerAcre').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Target yield must be positive'),
+    body('plannedPlantingDate').optional({ nullable: true }).isISO8601().withMessage('Invalid planting date'),
+    body('expectedHarvestDate').optional({ nullable: true }).isISO8601().withMessage('Invalid harvest date'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.body.tractId);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const plan = await cropService.createCropPlan(userData.tenantId, req.body, userData.user.id);
+
+      res.status(201).json({ success: true, data: { plan } });
+    } catch (error) {
+      console.error('Error creating crop plan:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to create crop plan' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/crops/plans/:id
+ * Update a crop plan (planning fields, or status to close it out)
+ */
+router.patch(
+  '/plans/:id',
+  [
+    param('id').notEmpty().withMessage('Crop plan ID is required'),
+    body('status').optional().isIn(Object.values(cropService.CropPlanStatus)).withMessage('Invalid status'),
+    body('plantedAcres').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Acres must be positive'),
+    body('targetYieldPerAcre').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Target yield must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await cropService.getCropPlan(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Crop plan not found' });
+      }
+
+      const {
+        season,
+        crop,
+        variety,
+        plantedAcres,
+        seedingRate,
+        plannedPlantingDate,
+        expectedHarvestDate,
+        targetYieldPerAcre,
+        yieldUnit,
+        status,
+        notes,
+      } = req.body;
+
+      const plan = await cropService.updateCropPlan(
+        userData.tenantId,
+        req.params.id,
+        {
+          season,
+          crop,
+          variety,
+          plantedAcres,
+          seedingRate,
+          plannedPlantingDate,
+          expectedHarvestDate,
+          targetYieldPerAcre,
+          yieldUnit,
+          status,
+          notes,
+        },
+        userData.user.id
+      );
+
+      res.json({ success: true, data: { plan } });
+    } catch (error) {
+      console.error('Error updating crop plan:', error);
+      res.status(500).json({ success: false, message: 'Failed to update crop plan' });
+    }
+  }
+);
+
+// ============================================
+// FIELD OPERATIONS
+// ============================================
+
+/**
+ * GET /api/crops/operations
+ * List field operations for a plan or land tract
+ */
+router.get(
+  '/operations',
+  [
+    query('planId').optional().isString(),
+    query('tractId').optional().isString(),
+    query('type').optional().isIn(Object.values(cropService.FieldOperationType)).withMessage('Invalid operation type'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { planId, tractId, type, limit } = req.query;
+
+      const operations = await cropService.getFieldOperations(userData.tenantId, {
+        planId,
+        tractId,
+        type,
+        limit,
+      });
+
+      res.json({ success: true, data: { operations } });
+    } catch (error) {
+      console.error('Error fetching field operations:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch field operations' });
+    }
+  }
+);
+
+/**
+ * POST /api/crops/plans/:id/operations
+ * Record a field operation. Seed, fertilizer and chemical inputs are drawn
+ * from inventory; a HARVEST adds the harvested product to inventory.
+ */
+router.post(
+  '/plans/:id/operations',
+  [
+    param('id').notEmpty().withMessage('Crop plan ID is required'),
+    body('type').isIn(Object.values(cropService.FieldOperationType)).withMessage('Invalid operation type'),
+    body('date').optional().isISO8601().withMessage('Invalid date'),
+    body('acres').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Acres must be positive'),
+    body('inputs').optional().isArray().withMessage('Inputs must be an array'),
+    body('inputs.*.itemId').notEmpty().withMessage('Input item ID is required'),
+    body('inputs.*.qty').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Input quantity must be positive'),
+    body('inputs.*.ratePerAcre').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Rate per acre must be positive'),
+    body('harvest.itemId').optional().notEmpty(),
+    body('harvest.qty').optional().isFloat({ gt: 0 }).withMessage('Harvest quantity must be positive'),
+    body('harvest.costPerUnit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost per unit must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const plan = await cropService.getCropPlan(userData.tenantId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({ success: false, message: 'Crop plan not found' });
+      }
+
+      const { type, date, acres, inputs, harvest, operator, notes } = req.body;
+
+      const result = await cropService.recordFieldOperation(
+        userData.tenantId,
+        req.params.id,
+        {
+          type,
+          date,
+          acres: acres !== undefined && acres !== null ? parseFloat(acres) : undefined,
+          inputs: (inputs || []).map((input) => ({
+            itemId: input.itemId,
+            qty: input.qty ? parseFloat(input.qty) : undefined,
+            ratePerAcre: input.ratePerAcre ? parseFloat(input.ratePerAcre) : undefined,
+          })),
+          harvest: harvest?.itemId
+            ? {
+                itemId: harvest.itemId,
+                qty: parseFloat(harvest.qty),
+                moisturePct: harvest.moisturePct !== undefined ? parseFloat(harvest.moisturePct) : undefined,
+                costPerUnit: harvest.costPerUnit !== undefined && harvest.costPerUnit !== null
+                  ? parseFloat(harvest.costPerUnit)
+                  : undefined,
+              }
+            : null,
+          operator,
+          notes,
+        },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error recording field operation:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record field operation' });
+    }
+  }
+);
+
+// ============================================
+// METADATA
+// ============================================
+
+/**
+ * GET /api/crops/meta/options
+ * Plan statuses, operation types and the inventory categories that can be applied
+ */
+router.get('/meta/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      statuses: Object.values(cropService.CropPlanStatus),
+      operationTypes: Object.values(cropService.FieldOperationType),
+      inputCategories: cropService.INPUT_CATEGORIES,
+    },
+  });
+});
+
+module.exports = router;
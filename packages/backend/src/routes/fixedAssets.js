@@ -0,0 +1,304 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const firestoreService = require('../services/firestore');
+const fixedAssetService = require('../services/fixed-asset-service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+const {
+  DepreciationMethod,
+  FixedAssetSource,
+  FixedAssetStatus,
+  DisposalMethod,
+  DECLINING_BALANCE_RATES,
+  MACRS_CLASSES,
+} = fixedAssetService;
+
+// Depreciation book settings shared by create, update and preview
+const bookValidators = [
+  body('cost').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Cost must be greater than zero'),
+  body('placedInServiceAt').optional({ nullable: true }).isISO8601().withMessage('Invalid placed-in-service date'),
+  body('method').optional().isIn(Object.values(DepreciationMethod)).withMessage('Invalid depreciation method'),
+  body('usefulLifeYears').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }).withMessage('Invalid useful life'),
+  body('salvageValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Salvage value must be positive'),
+  body('decliningBalanceRate')
+    .optional({ nullable: true })
+    .isIn(DECLINING_BALANCE_RATES)
+    .withMessage('Declining-balance rate must be 150 or 200'),
+  body('macrsClass').optional({ nullable: true }).isIn(MACRS_CLASSES).withMessage('Invalid MACRS class'),
+  body('section179Amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Section 179 must be positive'),
+  body('bonusPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Bonus must be 0-100%'),
+  body('openingAccumulatedDepreciation')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Opening accumulated depreciation must be positive'),
+];
+
+// ============================================
+// REGISTER
+// ============================================
+
+/**
+ * GET /api/fixed-assets
+ * List the fixed-asset register with cost, accumulated depreciation and book value
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn([...Object.values(FixedAssetStatus), 'ALL']),
+    query('category').optional().isString(),
+    query('siteId').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { status, category, siteId } = req.query;
+      const data = await fixedAssetService.listFixedAssets(userData.tenantId, { status, category, siteId });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error fetching fixed assets:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch fixed assets' });
+    }
+  }
+);
+
+/**
+ * POST /api/fixed-assets/preview
+ * Preview a depreciation schedule without saving it
+ */
+router.post(
+  '/preview',
+  [body('cost').isFloat({ gt: 0 }).withMessage('Cost must be greater than zero'), ...bookValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const timezone = await firestoreService.getTenantTimezone(userData.tenantId);
+      const schedule = fixedAssetService.previewSchedule(req.body, timezone);
+
+      res.json({ success: true, data: { schedule } });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/fixed-assets/depreciation/run
+ * Post depreciation for every active asset through a period (YYYY-MM,
+ * defaults to the current month). Re-running a period posts nothing new.
+ */
+router.post(
+  '/depreciation/run',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    body('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be YYYY-MM'),
+    body('fixedAssetId').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const run = await fixedAssetService.runDepreciation(
+        userData.tenantId,
+        { period: req.body.period, fixedAssetId: req.body.fixedAssetId },
+        userData.user.id
+      );
+
+      res.json({ success: true, data: run });
+    } catch (error) {
+      console.error('Error running depreciation:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to run depreciation' });
+    }
+  }
+);
+
+/**
+ * GET /api/fixed-assets/:id
+ * Register entry with its depreciation schedule and posted entries
+ */
+router.get(
+  '/:id',
+  [param('id').notEmpty().withMessage('Fixed asset ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const detail = await fixedAssetService.getFixedAssetDetail(userData.tenantId, req.params.id);
+      if (!detail) {
+        return res.status(404).json({ success: false, message: 'Fixed asset not found' });
+      }
+
+      res.json({ success: true, data: detail });
+    } catch (error) {
+      console.error('Error fetching fixed asset:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch fixed asset' });
+    }
+  }
+);
+
+/**
+ * POST /api/fixed-assets
+ * Add a vehicle, piece of equipment, infrastructure or structure to the register
+ */
+router.post(
+  '/',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    body('sourceType').isIn(Object.values(FixedAssetSource)).withMessage('Invalid source type'),
+    body('sourceId').notEmpty().withMessage('Asset or structure is required'),
+    ...bookValidators,
+    body('notes').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const fixedAsset = await fixedAssetService.createFixedAsset(userData.tenantId, req.body, userData.user.id);
+
+      res.status(201).json({ success: true, data: { fixedAsset } });
+    } catch (error) {
+      console.error('Error creating fixed asset:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to create fixed asset' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/fixed-assets/:id
+ * Update a register entry (schedule settings only until depreciation posts)
+ */
+router.patch(
+  '/:id',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('id').notEmpty().withMessage('Fixed asset ID is required'),
+    ...bookValidators,
+    body('notes').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await fixedAssetService.getFixedAssetDetail(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Fixed asset not found' });
+      }
+
+      const fixedAsset = await fixedAssetService.updateFixedAsset(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.json({ success: true, data: { fixedAsset } });
+    } catch (error) {
+      console.error('Error updating fixed asset:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to update fixed asset' });
+    }
+  }
+);
+
+/**
+ * POST /api/fixed-assets/:id/dispose
+ * Sell, trade in or scrap an asset - posts depreciation to date and the gain or loss
+ */
+router.post(
+  '/:id/dispose',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('id').notEmpty().withMessage('Fixed asset ID is required'),
+    body('disposedAt').optional().isISO8601().withMessage('Invalid disposal date'),
+    body('disposalMethod').optional().isIn(Object.values(DisposalMethod)).withMessage('Invalid disposal method'),
+    body('proceeds').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Proceeds must be positive'),
+    body('paymentMethod').optional({ nullable: true }).isIn(['CASH', 'CREDIT']).withMessage('Invalid payment method'),
+    body('notes').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await fixedAssetService.getFixedAssetDetail(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Fixed asset not found' });
+      }
+
+      const result = await fixedAssetService.disposeFixedAsset(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error disposing fixed asset:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to dispose fixed asset' });
+    }
+  }
+);
+
+module.exports = router;
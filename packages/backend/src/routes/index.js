@@ -14,12 +14,17 @@ const accountingRoutes = require('./accounting');
 const assetsRoutes = require('./assets');
 const vehiclesRoutes = require('./vehicles');
 const landTractsRoutes = require('./landTracts');
+const cropsRoutes = require('./crops');
 const structuresRoutes = require('./structures');
 const areasRoutes = require('./areas');
 const binsRoutes = require('./bins');
 const purchasingRoutes = require('./purchasing');
 const contactsRoutes = require('./contacts');
 const usageRoutes = require('./usage');
+const spatialFeaturesRoutes = require('./spatialFeatures');
+const fixedAssetsRoutes = require('./fixedAssets');
+const attachmentsRoutes = require('./attachments');
+const laborRoutes = require('./labor');
 
 const router = express.Router();
 
@@ -38,11 +43,16 @@ router.use('/accounting', accountingRoutes);
 router.use('/assets', assetsRoutes);
 router.use('/vehicles', vehiclesRoutes);
 router.use('/land-tracts', landTractsRoutes);
+router.use('/crops', cropsRoutes);
 router.use('/structures', structuresRoutes);
 router.use('/areas', areasRoutes);
 router.use('/bins', binsRoutes);
 router.use('/purchasing', purchasingRoutes);
 router.use('/contacts', contactsRoutes);
 router.use('/usage', usageRoutes);
+router.use('/spatial-features', spatialFeaturesRoutes);
+router.use('/fixed-assets', fixedAssetsRoutes);
+router.use('/attachments', attachmentsRoutes);
+router.use('/labor', laborRoutes);
 
 module.exports = router;
@@ -0,0 +1,550 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const firestoreService = require('../services/firestore');
+const laborService = require('../services/labor-service');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+const { TimeEntrySource, TimesheetStatus, AllocationType } = laborService;
+
+const MANAGER_ROLES = ['owner', 'admin', 'manager'];
+
+const isManager = (req) => MANAGER_ROLES.includes(req.user?.role);
+
+/**
+ * The worker a request acts for
+ * Defaults to the caller's own worker record; only managers may log or
+ * view time for someone else.
+ */
+const resolveWorkerId = async (req, tenantId, requestedWorkerId) => {
+  if (requestedWorkerId && isManager(req)) {
+    return requestedWorkerId;
+  }
+
+  const worker = await laborService.findWorkerForUser(tenantId, req.user);
+  if (!worker) {
+    throw new Error(
+      requestedWorkerId
+        ? 'Only managers can log time for other workers'
+        : 'No employee or contractor contact has your email address'
+    );
+  }
+  if (requestedWorkerId && requestedWorkerId !== worker.id) {
+    throw new Error('Only managers can log time for other workers');
+  }
+  return worker.id;
+};
+
+// Where the time's cost is charged
+const allocationValidators = [
+  body('allocation').optional({ nullable: true }).isObject(),
+  body('allocation.type').optional().isIn(Object.values(AllocationType)).withMessage('Invalid allocation type'),
+  body('allocation.id').optional().isString(),
+  body('allocation.label').optional({ nullable: true }).isString(),
+];
+
+// ============================================
+// WORKERS & CLOCK
+// ============================================
+
+/**
+ * GET /api/labor/workers
+ * Employees and contractors who can log time, with who is clocked in
+ */
+router.get('/workers', [query('siteId').optional().isString()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const workers = await laborService.listWorkers(userData.tenantId, { siteId: req.query.siteId });
+    const self = await laborService.findWorkerForUser(userData.tenantId, req.user);
+
+    res.json({
+      success: true,
+      data: { workers, selfWorkerId: self?.id || null, canManage: isManager(req) },
+    });
+  } catch (error) {
+    console.error('Error fetching workers:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch workers' });
+  }
+});
+
+/**
+ * GET /api/labor/clock
+ * A worker's open shift (null when clocked out)
+ */
+router.get('/clock', [query('workerId').optional().isString()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const workerId = await resolveWorkerId(req, userData.tenantId, req.query.workerId);
+    const shift = await laborService.getClockStatus(userData.tenantId, workerId);
+
+    res.json({ success: true, data: { workerId, shift } });
+  } catch (error) {
+    console.error('Error fetching clock status:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to fetch clock status' });
+  }
+});
+
+/**
+ * POST /api/labor/clock-in
+ * Start a shift
+ */
+router.post(
+  '/clock-in',
+  [
+    body('workerId').optional().isString(),
+    body('at').optional().isISO8601().withMessage('Invalid clock-in time'),
+    body('siteId').optional({ nullable: true }).isString(),
+    body('notes').optional({ nullable: true }).isString(),
+    ...allocationValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const workerId = await resolveWorkerId(req, userData.tenantId, req.body.workerId);
+      const entry = await laborService.clockIn(userData.tenantId, { ...req.body, workerId }, userData.user.id);
+
+      res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to clock in' });
+    }
+  }
+);
+
+/**
+ * POST /api/labor/clock-out
+ * End the open shift
+ */
+router.post(
+  '/clock-out',
+  [
+    body('workerId').optional().isString(),
+    body('at').optional().isISO8601().withMessage('Invalid clock-out time'),
+    body('notes').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const workerId = await resolveWorkerId(req, userData.tenantId, req.body.workerId);
+      const entry = await laborService.clockOut(userData.tenantId, { ...req.body, workerId });
+
+      res.json({ success: true, data: entry });
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to clock out' });
+    }
+  }
+);
+
+// ============================================
+// TIME ENTRIES
+// ============================================
+
+/**
+ * GET /api/labor/time-entries
+ * Time entries for a worker (or everyone, for managers) within a date range
+ */
+router.get(
+  '/time-entries',
+  [
+    query('workerId').optional().isString(),
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Invalid from date'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Invalid to date'),
+    query('source').optional().isIn(Object.values(TimeEntrySource)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { from, to, source } = req.query;
+      const workerId = isManager(req) && !req.query.workerId
+        ? null
+        : await resolveWorkerId(req, userData.tenantId, req.query.workerId);
+      const entries = await laborService.listTimeEntries(userData.tenantId, { workerId, from, to, source });
+
+      res.json({ success: true, data: entries });
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to fetch time entries' });
+    }
+  }
+);
+
+/**
+ * POST /api/labor/time-entries
+ * Log time by hand: start and end times, or a date and minutes
+ */
+router.post(
+  '/time-entries',
+  [
+    body('workerId').optional().isString(),
+    body('startAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start time'),
+    body('endAt').optional({ nullable: true }).isISO8601().withMessage('Invalid end time'),
+    body('date').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Invalid date'),
+    body('minutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Minutes must be positive'),
+    body('siteId').optional({ nullable: true }).isString(),
+    body('taskOccurrenceId').optional({ nullable: true }).isString(),
+    body('notes').optional({ nullable: true }).isString(),
+    ...allocationValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const workerId = await resolveWorkerId(req, userData.tenantId, req.body.workerId);
+      const entry = await laborService.createTimeEntry(
+        userData.tenantId,
+        {
+          ...req.body,
+          workerId,
+          id: undefined,
+          source: req.body.taskOccurrenceId ? TimeEntrySource.TASK : TimeEntrySource.MANUAL,
+        },
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+      console.error('Error creating time entry:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to create time entry' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/labor/time-entries/:id
+ * Correct an entry while its week is open
+ */
+router.patch(
+  '/time-entries/:id',
+  [
+    param('id').notEmpty(),
+    body('startAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start time'),
+    body('endAt').optional({ nullable: true }).isISO8601().withMessage('Invalid end time'),
+    body('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Invalid date'),
+    body('minutes').optional().isInt({ min: 1 }).withMessage('Minutes must be positive'),
+    body('siteId').optional({ nullable: true }).isString(),
+    body('notes').optional({ nullable: true }).isString(),
+    ...allocationValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      if (!isManager(req)) {
+        const existing = await laborService.getTimeEntry(userData.tenantId, req.params.id);
+        if (!existing || existing.workerId !== (await resolveWorkerId(req, userData.tenantId))) {
+          return res.status(404).json({ success: false, message: 'Time entry not found' });
+        }
+      }
+
+      const entry = await laborService.updateTimeEntry(userData.tenantId, req.params.id, req.body);
+
+      res.json({ success: true, data: entry });
+    } catch (error) {
+      console.error('Error updating time entry:', error);
+      const status = error.message === 'Time entry not found' ? 404 : 400;
+      res.status(status).json({ success: false, message: error.message || 'Failed to update time entry' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/labor/time-entries/:id
+ * Remove an entry while its week is open
+ */
+router.delete('/time-entries/:id', [param('id').notEmpty()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    if (!isManager(req)) {
+      const existing = await laborService.getTimeEntry(userData.tenantId, req.params.id);
+      if (!existing || existing.workerId !== (await resolveWorkerId(req, userData.tenantId))) {
+        return res.status(404).json({ success: false, message: 'Time entry not found' });
+      }
+    }
+
+    const deleted = await laborService.deleteTimeEntry(userData.tenantId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Time entry not found' });
+    }
+
+    res.json({ success: true, message: 'Time entry deleted' });
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to delete time entry' });
+  }
+});
+
+// ============================================
+// TIMESHEETS
+// ============================================
+
+/**
+ * GET /api/labor/timesheets
+ * Every worker's timesheet for a week (managers) or the caller's own
+ */
+router.get(
+  '/timesheets',
+  [
+    query('weekStart').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Invalid week'),
+    query('siteId').optional().isString(),
+    query('status').optional().isIn(Object.values(TimesheetStatus)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { weekStart, siteId, status } = req.query;
+      const data = await laborService.listTimesheets(userData.tenantId, { weekStart, siteId, status });
+      if (!isManager(req)) {
+        const self = await laborService.findWorkerForUser(userData.tenantId, req.user);
+        data.timesheets = data.timesheets.filter((t) => t.workerId === self?.id);
+      }
+
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error fetching timesheets:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch timesheets' });
+    }
+  }
+);
+
+/**
+ * GET /api/labor/timesheets/:id
+ * One worker-week with its entries, daily totals, overtime and cost split
+ */
+router.get('/timesheets/:id', [param('id').notEmpty()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const [workerId, weekStart] = req.params.id.split('_');
+    await resolveWorkerId(req, userData.tenantId, workerId);
+    const timesheet = await laborService.getTimesheet(userData.tenantId, workerId, weekStart);
+
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    console.error('Error fetching timesheet:', error);
+    const status = error.message === 'Worker not found' ? 404 : 400;
+    res.status(status).json({ success: false, message: error.message || 'Failed to fetch timesheet' });
+  }
+});
+
+/**
+ * POST /api/labor/timesheets/:id/submit
+ * Submit a week for approval; its entries lock
+ */
+router.post('/timesheets/:id/submit', [param('id').notEmpty()], async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const [workerId, weekStart] = req.params.id.split('_');
+    await resolveWorkerId(req, userData.tenantId, workerId);
+    const timesheet = await laborService.submitTimesheet(userData.tenantId, workerId, weekStart, userData.user.id);
+
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    console.error('Error submitting timesheet:', error);
+    res.status(400).json({ success: false, message: error.message || 'Failed to submit timesheet' });
+  }
+});
+
+/**
+ * POST /api/labor/timesheets/:id/approve
+ * Approve a submitted week and post its cost to Labor Expense
+ */
+router.post(
+  '/timesheets/:id/approve',
+  requireRole(MANAGER_ROLES),
+  [param('id').notEmpty()],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const timesheet = await laborService.approveTimesheet(userData.tenantId, req.params.id, userData.user.id);
+
+      res.json({ success: true, data: timesheet });
+    } catch (error) {
+      console.error('Error approving timesheet:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to approve timesheet' });
+    }
+  }
+);
+
+/**
+ * POST /api/labor/timesheets/:id/post
+ * Retry posting an approved week's labor cost after a failed posting
+ */
+router.post(
+  '/timesheets/:id/post',
+  requireRole(MANAGER_ROLES),
+  [param('id').notEmpty()],
+  async (req, res) => {
+    try {
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const timesheet = await laborService.postTimesheet(userData.tenantId, req.params.id, userData.user.id);
+
+      res.json({ success: true, data: timesheet });
+    } catch (error) {
+      console.error('Error posting timesheet:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to post timesheet' });
+    }
+  }
+);
+
+/**
+ * POST /api/labor/timesheets/:id/reject
+ * Send a submitted week back with a reason
+ */
+router.post(
+  '/timesheets/:id/reject',
+  requireRole(MANAGER_ROLES),
+  [param('id').notEmpty(), body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const timesheet = await laborService.rejectTimesheet(
+        userData.tenantId,
+        req.params.id,
+        req.body.reason,
+        userData.user.id
+      );
+
+      res.json({ success: true, data: timesheet });
+    } catch (error) {
+      console.error('Error rejecting timesheet:', error);
+      res.status(400).json({ success: false, message: error.message || 'Failed to reject timesheet' });
+    }
+  }
+);
+
+// ============================================
+// PAYROLL EXPORT
+// ============================================
+
+/**
+ * GET /api/labor/payroll-export
+ * Approved timesheets for weeks starting in a range, as a CSV download
+ */
+router.get(
+  '/payroll-export',
+  requireRole(MANAGER_ROLES),
+  [
+    query('from').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From date is required'),
+    query('to').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To date is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { from, to } = req.query;
+      const { csv } = await laborService.exportPayrollCsv(userData.tenantId, { from, to });
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="payroll-${from}-to-${to}.csv"`,
+      });
+      res.send(csv);
+    } catch (error) {
+      console.error('Error exporting payroll:', error);
+      res.status(500).json({ success: false, message: 'Failed to export payroll' });
+    }
+  }
+);
+
+module.exports = router;
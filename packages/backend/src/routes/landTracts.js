@@ -2,6 +2,9 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { verifyToken, requireRole } = require('../middleware/auth');
 const firestoreService = require('../services/firestore');
+const grazingService = require('../services/grazing-service');
+const soilService = require('../services/soil-service');
+const tractGeometryService = require('../services/tract-geometry-service');
 
 const router = express.Router();
 
@@ -23,6 +26,18 @@ const LandStatus = {
   ARCHIVED: 'archived',
 };
 
+/**
+ * Overlaps a saved tract has with others on its site; never fails the save
+ */
+const overlapsFor = async (tenantId, tract) => {
+  try {
+    return await tractGeometryService.findOverlaps(tenantId, tract.siteId, { tractId: tract.id });
+  } catch (error) {
+    console.error('Error checking land tract overlaps:', error);
+    return [];
+  }
+};
+
 /**
  * GET /api/land-tracts
  * List land tracts with optional filters
@@ -86,6 +101,42 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/land-tracts/overlaps
+ * Pairs of active tracts on a site whose boundaries overlap
+ */
+router.get(
+  '/overlaps',
+  [
+    query('siteId').notEmpty().withMessage('Site ID is required'),
+    query('minAcres').optional().isFloat({ min: 0 }).withMessage('Minimum acres must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { siteId, minAcres } = req.query;
+
+      const overlaps = await tractGeometryService.findOverlaps(userData.tenantId, siteId, {
+        minAcres: minAcres !== undefined ? parseFloat(minAcres) : undefined,
+      });
+
+      res.json({ success: true, data: { overlaps } });
+    } catch (error) {
+      console.error('Error checking land tract overlaps:', error);
+      res.status(500).json({ success: false, message: 'Failed to check land tract overlaps' });
+    }
+  }
+);
+
 /**
  * GET /api/land-tracts/:id
  * Get a single land tract
@@ -176,8 +227,9 @@ router.post(
       };
 
       const tract = await firestoreService.createLandTract(userData.tenantId, tractData);
+      const overlaps = await overlapsFor(userData.tenantId, tract);
 
-      res.status(201).json({ success: true, data: { tract } });
+      res.status(201).json({ success: true, data: { tract, overlaps } });
     } catch (error) {
       console.error('Error creating land tract:', error);
       res.status(500).json({ success: false, message: 'Failed to create land tract' });
@@ -185,6 +237,68 @@ router.post(
   }
 );
 
+/**
+ * POST /api/land-tracts/import
+ * Create several tracts on a site from an imported KML, GeoJSON or Shapefile.
+ * Geometry is validated and measured client-side, the same as drawn tracts.
+ */
+router.post(
+  '/import',
+  [
+    body('siteId').notEmpty().withMessage('Site ID is required'),
+    body('source.format').optional().isIn(['GEOJSON', 'KML', 'KMZ', 'SHAPEFILE']).withMessage('Invalid source format'),
+    body('tracts').isArray({ min: 1, max: 200 }).withMessage('Between 1 and 200 tracts can be imported at once'),
+    body('tracts.*.name').notEmpty().withMessage('Name is required'),
+    body('tracts.*.type').isIn(Object.values(LandType)).withMessage('Invalid land type'),
+    body('tracts.*.geometry.type').equals('Polygon').withMessage('Geometry must be a Polygon'),
+    body('tracts.*.geometry.coordinates').isArray({ min: 1 }).withMessage('Geometry coordinates are required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { siteId, source, tracts: features } = req.body;
+      const tracts = [];
+
+      for (const feature of features) {
+        const tract = await firestoreService.createLandTract(userData.tenantId, {
+          siteId,
+          name: feature.name,
+          code: feature.code?.toUpperCase() || null,
+          type: feature.type,
+          status: 'active',
+          geometry: feature.geometry,
+          areaSqMeters: feature.areaSqMeters || 0,
+          areaAcres: feature.areaAcres || 0,
+          centroid: feature.centroid || null,
+          tags: feature.tags || [],
+          soil: null,
+          notes: feature.notes || null,
+          importSource: source
+            ? { format: source.format, fileName: source.fileName || null, featureId: feature.sourceId ?? null }
+            : null,
+          createdBy: userData.user.id,
+          updatedBy: userData.user.id,
+        });
+        tracts.push(tract);
+      }
+
+      res.status(201).json({ success: true, data: { tracts, imported: tracts.length } });
+    } catch (error) {
+      console.error('Error importing land tracts:', error);
+      res.status(500).json({ success: false, message: 'Failed to import land tracts' });
+    }
+  }
+);
+
 /**
  * PATCH /api/land-tracts/:id
  * Update a land tract
@@ -204,6 +318,14 @@ router.patch(
         return res.status(403).json({ success: false, message: 'User not found' });
       }
 
+      const existing = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+      if (existing.status === tractGeometryService.RETIRED_STATUS) {
+        return res.status(400).json({ success: false, message: 'Retired tracts cannot be edited' });
+      }
+
       const {
         name,
         code,
@@ -233,8 +355,9 @@ router.patch(
       if (notes !== undefined) updateData.notes = notes;
 
       const tract = await firestoreService.updateLandTract(userData.tenantId, req.params.id, updateData);
+      const overlaps = geometry !== undefined ? await overlapsFor(userData.tenantId, tract) : [];
 
-      res.json({ success: true, data: { tract } });
+      res.json({ success: true, data: { tract, overlaps } });
     } catch (error) {
       console.error('Error updating land tract:', error);
       res.status(500).json({ success: false, message: 'Failed to update land tract' });
@@ -265,6 +388,17 @@ router.post(
         return res.status(403).json({ success: false, message: 'User not found' });
       }
 
+      const existing = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+      if (existing.status === tractGeometryService.RETIRED_STATUS) {
+        return res.status(400).json({
+          success: false,
+          message: 'This tract was split or merged into other tracts and cannot be reactivated',
+        });
+      }
+
       const { status } = req.body;
 
       const tract = await firestoreService.updateLandTract(userData.tenantId, req.params.id, {
@@ -280,4 +414,623 @@ router.post(
   }
 );
 
+// ============================================
+// SPLIT / MERGE / LINEAGE
+// ============================================
+
+/**
+ * POST /api/land-tracts/merge
+ * Merge two or more adjacent tracts on a site into one new tract.
+ * The originals are retired and keep their grazing, crop and soil history.
+ * Pass preview: true to get the merged boundary without saving.
+ */
+router.post(
+  '/merge',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    body('tractIds').isArray({ min: 2 }).withMessage('Select at least two tracts to merge'),
+    body('tractIds.*').isString().notEmpty().withMessage('Invalid land tract ID'),
+    body('type').optional().isIn(Object.values(LandType)).withMessage('Invalid land type'),
+    body('preview').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { tractIds, name, code, type, notes, preview } = req.body;
+
+      const result = await tractGeometryService.mergeTracts(
+        userData.tenantId,
+        { tractIds, name, code, type, notes, preview: preview === true },
+        userData.user.id
+      );
+
+      res.status(preview ? 200 : 201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error merging land tracts:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to merge land tracts' });
+    }
+  }
+);
+
+/**
+ * POST /api/land-tracts/:id/split
+ * Split a tract in two along a drawn line. The original is retired and
+ * keeps its history; structures move to the piece chosen for them.
+ * Pass preview: true to get the two pieces without saving.
+ */
+router.post(
+  '/:id/split',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    body('line.type').equals('LineString').withMessage('Split line must be a LineString'),
+    body('line.coordinates').isArray({ min: 2 }).withMessage('Split line needs at least two points'),
+    body('parts').optional().isArray({ max: 2 }).withMessage('A split makes two tracts'),
+    body('parts.*.type').optional().isIn(Object.values(LandType)).withMessage('Invalid land type'),
+    body('preview').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const { line, parts, structureAssignments, notes, preview } = req.body;
+
+      const result = await tractGeometryService.splitTract(
+        userData.tenantId,
+        req.params.id,
+        { line, parts, structureAssignments, notes, preview: preview === true },
+        userData.user.id
+      );
+
+      res.status(preview ? 200 : 201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error splitting land tract:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to split land tract' });
+    }
+  }
+);
+
+/**
+ * GET /api/land-tracts/:id/lineage
+ * Tracts this one was split or merged from, and the tracts that replaced it
+ */
+router.get(
+  '/:id/lineage',
+  [param('id').notEmpty().withMessage('Land tract ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const lineage = await tractGeometryService.getTractLineage(userData.tenantId, req.params.id);
+
+      res.json({ success: true, data: lineage });
+    } catch (error) {
+      console.error('Error fetching land tract lineage:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch land tract lineage' });
+    }
+  }
+);
+
+// ============================================
+// GRAZING / PASTURE ROTATION
+// ============================================
+
+/**
+ * GET /api/land-tracts/grazing/rotation
+ * Rotation status for every pasture at a site (occupied, or days rested)
+ */
+router.get(
+  '/grazing/rotation',
+  [query('siteId').notEmpty().withMessage('Site ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const pastures = await grazingService.getPastureRotation(userData.tenantId, req.query.siteId);
+
+      res.json({ success: true, data: { pastures } });
+    } catch (error) {
+      console.error('Error fetching pasture rotation:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch pasture rotation' });
+    }
+  }
+);
+
+/**
+ * POST /api/land-tracts/grazing/:periodId/close
+ * Move a group out of a pasture without moving it into another one
+ */
+router.post(
+  '/grazing/:periodId/close',
+  [
+    param('periodId').notEmpty().withMessage('Grazing period ID is required'),
+    body('outDate').optional().isISO8601().withMessage('Invalid move-out date'),
+    body('location').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { outDate, location, notes } = req.body;
+
+      const period = await grazingService.closeGrazingPeriod(
+        userData.tenantId,
+        req.params.periodId,
+        { outDate, location, notes },
+        userData.user.id
+      );
+
+      res.json({ success: true, data: { period } });
+    } catch (error) {
+      console.error('Error closing grazing period:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to close grazing period' });
+    }
+  }
+);
+
+/**
+ * GET /api/land-tracts/:id/grazing
+ * Grazing periods on a tract with AUD/acre and rest days
+ */
+router.get(
+  '/:id/grazing',
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const { startDate, endDate } = req.query;
+      const grazing = await grazingService.getTractGrazing(userData.tenantId, req.params.id, {
+        startDate,
+        endDate,
+      });
+
+      res.json({ success: true, data: grazing });
+    } catch (error) {
+      console.error('Error fetching grazing periods:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch grazing periods' });
+    }
+  }
+);
+
+/**
+ * POST /api/land-tracts/:id/grazing
+ * Move a group into a pasture. Closes its open period elsewhere, updates the
+ * group's location and logs the move.
+ */
+router.post(
+  '/:id/grazing',
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    body('groupId').notEmpty().withMessage('Group ID is required'),
+    body('inDate').optional().isISO8601().withMessage('Invalid move-in date'),
+    body('headCount').optional().isInt({ min: 0 }).withMessage('Head count must be a whole number'),
+    body('animalUnitFactor').optional().isFloat({ min: 0 }).withMessage('Animal unit factor must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const { groupId, inDate, headCount, animalUnitFactor, notes } = req.body;
+
+      const result = await grazingService.moveGroupToPasture(
+        userData.tenantId,
+        req.params.id,
+        {
+          groupId,
+          inDate,
+          headCount: headCount !== undefined ? parseInt(headCount) : undefined,
+          animalUnitFactor: animalUnitFactor !== undefined ? parseFloat(animalUnitFactor) : undefined,
+          notes,
+        },
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error moving group to pasture:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to move group to pasture' });
+    }
+  }
+);
+
+// ============================================
+// SOIL TESTS
+// ============================================
+
+/**
+ * GET /api/land-tracts/soil/targets
+ * Per-crop soil targets (pH, P/K critical levels, nutrient removal) with tenant overrides
+ */
+router.get('/soil/targets', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const targets = await soilService.getCropTargets(userData.tenantId);
+
+    res.json({ success: true, data: { targets } });
+  } catch (error) {
+    console.error('Error fetching soil targets:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch soil targets' });
+  }
+});
+
+/**
+ * PATCH /api/land-tracts/soil/targets/:crop
+ * Override the soil targets for one crop (or add a crop)
+ */
+router.patch(
+  '/soil/targets/:crop',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('crop').matches(/^[a-z0-9_]+$/).withMessage('Crop key must be lowercase letters, numbers or underscores'),
+    body('label').optional().isString(),
+    body('yieldUnit').optional().isString(),
+    body('defaultYield').optional().isFloat({ gt: 0 }).withMessage('Default yield must be positive'),
+    body('targetPh').optional().isFloat({ min: 4, max: 8 }).withMessage('Target pH must be between 4 and 8'),
+    body('pCriticalPpm').optional().isFloat({ min: 0 }).withMessage('P critical level must be positive'),
+    body('kCriticalPpm').optional().isFloat({ min: 0 }).withMessage('K critical level must be positive'),
+    body('nLbsPerUnit').optional().isFloat({ min: 0 }).withMessage('N rate must be positive'),
+    body('p2o5LbsPerUnit').optional().isFloat({ min: 0 }).withMessage('P2O5 removal must be positive'),
+    body('k2oLbsPerUnit').optional().isFloat({ min: 0 }).withMessage('K2O removal must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const values = {};
+      ['label', 'yieldUnit'].forEach((field) => {
+        if (req.body[field] !== undefined) values[field] = req.body[field];
+      });
+      [
+        'defaultYield',
+        'targetPh',
+        'pCriticalPpm',
+        'kCriticalPpm',
+        'nLbsPerUnit',
+        'p2o5LbsPerUnit',
+        'k2oLbsPerUnit',
+      ].forEach((field) => {
+        if (req.body[field] !== undefined) values[field] = parseFloat(req.body[field]);
+      });
+
+      const target = await soilService.updateCropTarget(userData.tenantId, req.params.crop, values);
+
+      res.json({ success: true, data: { crop: req.params.crop, target } });
+    } catch (error) {
+      console.error('Error updating soil targets:', error);
+      res.status(500).json({ success: false, message: 'Failed to update soil targets' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/land-tracts/soil-tests/:testId
+ * Delete a soil test record
+ */
+router.delete(
+  '/soil-tests/:testId',
+  [param('testId').notEmpty().withMessage('Soil test ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      await soilService.deleteSoilTest(userData.tenantId, req.params.testId);
+
+      res.json({ success: true, message: 'Soil test deleted' });
+    } catch (error) {
+      console.error('Error deleting soil test:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to delete soil test' });
+    }
+  }
+);
+
+/**
+ * GET /api/land-tracts/:id/soil-tests
+ * Soil test records for a tract, newest first
+ */
+router.get(
+  '/:id/soil-tests',
+  [param('id').notEmpty().withMessage('Land tract ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const tests = await soilService.getSoilTests(userData.tenantId, req.params.id);
+
+      res.json({ success: true, data: { tests } });
+    } catch (error) {
+      console.error('Error fetching soil tests:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch soil tests' });
+    }
+  }
+);
+
+/**
+ * POST /api/land-tracts/:id/soil-tests
+ * Record a soil test. A sample point, if given, must fall inside the tract boundary.
+ */
+router.post(
+  '/:id/soil-tests',
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    body('sampleDate').isISO8601().withMessage('Valid sample date is required'),
+    body('ph').optional({ nullable: true }).isFloat({ min: 3, max: 10 }).withMessage('pH must be between 3 and 10'),
+    body('organicMatterPct').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Organic matter must be a percentage'),
+    body('nitrateN').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Nitrate-N must be positive'),
+    body('phosphorusPpm').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Phosphorus must be positive'),
+    body('potassiumPpm').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Potassium must be positive'),
+    body('cecMeq').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('CEC must be positive'),
+    body('depthInches').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Depth must be positive'),
+    body('lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const test = await soilService.createSoilTest(
+        userData.tenantId,
+        req.params.id,
+        req.body,
+        userData.user.id
+      );
+
+      res.status(201).json({ success: true, data: { test } });
+    } catch (error) {
+      console.error('Error recording soil test:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record soil test' });
+    }
+  }
+);
+
+/**
+ * POST /api/land-tracts/:id/soil-tests/import
+ * Import soil tests from a lab CSV export. With dryRun, or when any row is
+ * invalid, nothing is saved and the row-by-row preview is returned.
+ */
+router.post(
+  '/:id/soil-tests/import',
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    body('content').isString().notEmpty().withMessage('File content is required'),
+    body('sampleDate').optional({ nullable: true }).isISO8601().withMessage('Invalid sample date'),
+    body('labName').optional().isString(),
+    body('dryRun').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const { content, sampleDate, labName, labReportId, dryRun } = req.body;
+
+      const result = await soilService.importLabResults(
+        userData.tenantId,
+        req.params.id,
+        { content, sampleDate, labName, labReportId, dryRun: dryRun === true || dryRun === 'true' },
+        userData.user.id
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error importing soil tests:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to import soil tests' });
+    }
+  }
+);
+
+/**
+ * GET /api/land-tracts/:id/soil-tests/trends
+ * Yearly averages of pH, OM, N, P, K and CEC for a tract
+ */
+router.get(
+  '/:id/soil-tests/trends',
+  [param('id').notEmpty().withMessage('Land tract ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const trends = await soilService.getSoilTrends(userData.tenantId, req.params.id);
+
+      res.json({ success: true, data: trends });
+    } catch (error) {
+      console.error('Error fetching soil trends:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch soil trends' });
+    }
+  }
+);
+
+/**
+ * GET /api/land-tracts/:id/soil-recommendations
+ * Lime and N-P-K requirements for a crop and yield goal from the latest soil test
+ */
+router.get(
+  '/:id/soil-recommendations',
+  [
+    param('id').notEmpty().withMessage('Land tract ID is required'),
+    query('crop').notEmpty().withMessage('Crop is required'),
+    query('yieldGoal').optional().isFloat({ gt: 0 }).withMessage('Yield goal must be positive'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const tract = await firestoreService.getLandTract(userData.tenantId, req.params.id);
+      if (!tract) {
+        return res.status(404).json({ success: false, message: 'Land tract not found' });
+      }
+
+      const recommendation = await soilService.getSoilRecommendation(userData.tenantId, req.params.id, {
+        crop: req.query.crop,
+        yieldGoal: req.query.yieldGoal,
+      });
+
+      res.json({ success: true, data: { recommendation } });
+    } catch (error) {
+      console.error('Error computing soil recommendation:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to compute soil recommendation' });
+    }
+  }
+);
+
 module.exports = router;
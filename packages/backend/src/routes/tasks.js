@@ -1,10 +1,18 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth');
 const { checkPlanLimit, incrementUsageAfterCreate } = require('../middleware/planLimits');
 const firestoreService = require('../services/firestore');
 const accountingService = require('../services/accounting');
 const taskInventoryService = require('../services/task-inventory-service');
+const feedForecastService = require('../services/feed-forecast-service');
+const spatialFeatureService = require('../services/spatial-feature-service');
+const vehicleMaintenanceService = require('../services/vehicle-maintenance-service');
+const recurrenceRuleService = require('../services/recurrence-rule-service');
+const taskSchedulerService = require('../services/task-scheduler-service');
+const timezoneService = require('../services/timezone-service');
+const taskCaptureService = require('../services/task-capture-service');
+const laborService = require('../services/labor-service');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -12,6 +20,42 @@ const router = express.Router();
 // All routes require authentication
 router.use(verifyToken);
 
+// A CUSTOM recurrence must carry an RRULE that parses; the parser's message is the error
+const recurrenceValidators = [
+  body('recurrence.pattern').optional().isIn(Object.values(firestoreService.RecurrencePattern)),
+  body('recurrence.exdates').optional().isArray().withMessage('Exception dates must be a list'),
+  body('recurrence').optional().custom((recurrence) => {
+    if (recurrence?.pattern === firestoreService.RecurrencePattern.CUSTOM) {
+      recurrenceRuleService.validateRecurrenceRule(recurrence);
+    }
+    return true;
+  }),
+];
+
+// Checklist steps and data captures must normalize; the service's message is the error
+const captureDefinitionValidators = [
+  body('checklist').optional({ nullable: true }).custom((steps) => {
+    taskCaptureService.normalizeChecklist(steps);
+    return true;
+  }),
+  body('captures').optional({ nullable: true }).custom((captures) => {
+    taskCaptureService.normalizeCaptures(captures);
+    return true;
+  }),
+];
+
+// Store checklist steps and captures in normalized form (keys filled in, units defaulted)
+const withCaptureDefinitions = (data) => {
+  const normalized = { ...data };
+  if (data.checklist !== undefined) {
+    normalized.checklist = taskCaptureService.normalizeChecklist(data.checklist);
+  }
+  if (data.captures !== undefined) {
+    normalized.captures = taskCaptureService.normalizeCaptures(data.captures);
+  }
+  return normalized;
+};
+
 // ============================================
 // TASK TEMPLATES
 // ============================================
@@ -92,7 +136,8 @@ router.post(
     body('category').optional().isIn(Object.values(firestoreService.TaskCategory)),
     body('priority').optional().isIn(Object.values(firestoreService.TaskPriority)),
     body('estimatedDurationMinutes').optional().isNumeric(),
-    body('recurrence.pattern').optional().isIn(Object.values(firestoreService.RecurrencePattern)),
+    ...recurrenceValidators,
+    ...captureDefinitionValidators,
   ],
   checkPlanLimit('activeTasks'),
   async (req, res) => {
@@ -118,7 +163,7 @@ router.post(
 
       const template = await firestoreService.createTaskTemplate(
         userData.tenantId,
-        req.body,
+        withCaptureDefinitions(req.body),
         req.firebaseUser.uid
       );
 
@@ -145,7 +190,11 @@ router.post(
  */
 router.patch(
   '/templates/:id',
-  [param('id').notEmpty().withMessage('Template ID is required')],
+  [
+    param('id').notEmpty().withMessage('Template ID is required'),
+    ...recurrenceValidators,
+    ...captureDefinitionValidators,
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -169,7 +218,7 @@ router.patch(
       const template = await firestoreService.updateTaskTemplate(
         userData.tenantId,
         req.params.id,
-        req.body
+        withCaptureDefinitions(req.body)
       );
 
       res.json({
@@ -436,14 +485,11 @@ router.post(
 
       const runlist = await firestoreService.activateRunlist(userData.tenantId, req.params.id);
 
-      // Auto-generate today's task occurrences for this runlist
-      let generatedOccurrences = [];
+      // Generate the scheduler's window now rather than waiting for its next run
+      let generatedTasks = 0;
       try {
-        generatedOccurrences = await firestoreService.generateTaskOccurrencesForDate(
-          userData.tenantId,
-          new Date(),
-          req.firebaseUser.uid
-        );
+        const result = await taskSchedulerService.generateForTenant(userData.tenantId);
+        generatedTasks = result.generated;
       } catch (genError) {
         console.error('Error auto-generating tasks on activation:', genError);
         // Don't fail the activation if generation fails
@@ -453,7 +499,7 @@ router.post(
         success: true,
         data: {
           runlist,
-          generatedTasks: generatedOccurrences.length,
+          generatedTasks,
         },
       });
     } catch (error) {
@@ -851,6 +897,7 @@ router.post(
     body('inventoryReceived').optional().isArray(),
     body('labor').optional().isObject(),
     body('vendor').optional().isObject(),
+    ...captureDefinitionValidators,
   ],
   checkPlanLimit('activeTasks'),
   async (req, res) => {
@@ -876,7 +923,7 @@ router.post(
 
       const occurrence = await firestoreService.createTaskOccurrence(
         userData.tenantId,
-        req.body,
+        withCaptureDefinitions(req.body),
         req.firebaseUser.uid
       );
 
@@ -956,8 +1003,16 @@ router.post(
     body('inventoryUsed').optional().isArray(),
     body('inventoryReceived').optional().isArray(),
     body('labor').optional().isObject(),
+    body('labor.workerId').optional().isString(),
     body('vendor').optional().isObject(),
     body('postToLedger').optional().isBoolean(),
+    // Condition found on the linked map feature (fence checks etc.)
+    body('featureCondition')
+      .optional()
+      .isIn(Object.values(spatialFeatureService.FeatureCondition)),
+    // Checked-off steps ({ stepKey: true }) and captured values ({ captureKey: value })
+    body('checklist').optional().isObject(),
+    body('captures').optional().isObject(),
   ],
   async (req, res) => {
     try {
@@ -987,6 +1042,9 @@ router.post(
         labor,
         vendor,
         postToLedger,
+        featureCondition,
+        checklist,
+        captures,
       } = req.body;
 
       // Get the occurrence first
@@ -999,6 +1057,17 @@ router.post(
         return res.status(404).json({ success: false, message: 'Task occurrence not found' });
       }
 
+      // Required checklist steps and captures must be present before the task closes
+      const { errors: captureErrors, checklistResults, captureResults } =
+        await taskCaptureService.validateCompletion(tenantId, currentOccurrence, { checklist, captures });
+      if (captureErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Complete the required checklist steps and readings first',
+          errors: captureErrors,
+        });
+      }
+
       // Complete the task with event data if provided
       const occurrence = await firestoreService.completeTaskOccurrence(
         tenantId,
@@ -1015,10 +1084,41 @@ router.post(
           inventoryReceived,
           labor,
           vendor,
+          checklistResults,
+          captureResults,
         },
         req.firebaseUser.uid
       );
 
+      // Add the captured values to their time series (tank levels, temperatures...)
+      try {
+        await taskCaptureService.recordReadings(
+          tenantId,
+          { ...currentOccurrence, id: req.params.id },
+          captureResults,
+          req.firebaseUser.uid
+        );
+      } catch (readingError) {
+        console.error('[Task Complete] Error recording readings:', readingError);
+        // Don't fail task completion, just log the error
+      }
+
+      // Log the worker's time on this task to their timesheet
+      const laborMinutes = labor?.hours ? Math.round(labor.hours * 60) : Number(actualDurationMinutes) || 0;
+      if (labor?.workerId && laborMinutes > 0) {
+        try {
+          await laborService.recordTaskTime(
+            tenantId,
+            { ...currentOccurrence, id: req.params.id },
+            { workerId: labor.workerId, minutes: laborMinutes },
+            req.firebaseUser.uid
+          );
+        } catch (laborError) {
+          console.error('[Task Complete] Error recording labor time:', laborError);
+          // Don't fail task completion, just log the error
+        }
+      }
+
       // Consume inventory items if the task has inventory requirements
       let inventoryConsumptionResult = null;
       const taskInventoryItems = currentOccurrence.inventoryItems || [];
@@ -1026,16 +1126,25 @@ router.post(
       if (taskInventoryItems.length > 0 && occurrence.siteId) {
         try {
           // Calculate animal count for PER_ANIMAL allocation
+          // Support both old and new field names for backward compatibility
+          const occurrenceAnimalIds = currentOccurrence.selectedAnimalIds?.length
+            ? currentOccurrence.selectedAnimalIds
+            : currentOccurrence.animalIds || [];
+          const occurrenceGroupIds = currentOccurrence.herdGroupIds?.length
+            ? currentOccurrence.herdGroupIds
+            : currentOccurrence.animalGroupIds || [];
+
           let animalCount = 0;
-          if (currentOccurrence.animalIds && currentOccurrence.animalIds.length > 0) {
-            animalCount = currentOccurrence.animalIds.length;
-          } else if (currentOccurrence.animalGroupIds && currentOccurrence.animalGroupIds.length > 0) {
-            // Get total animal count from all groups
-            for (const groupId of currentOccurrence.animalGroupIds) {
+          if (occurrenceAnimalIds.length > 0) {
+            animalCount = occurrenceAnimalIds.length;
+          } else if (occurrenceGroupIds.length > 0) {
+            // Get current head count from all groups (ration feeding scales with it)
+            for (const groupId of occurrenceGroupIds) {
               try {
                 const group = await firestoreService.getAnimalGroup(tenantId, groupId);
-                if (group && group.currentCount) {
-                  animalCount += group.currentCount;
+                const groupCount = group?.animalCount ?? group?.currentCount;
+                if (groupCount) {
+                  animalCount += groupCount;
                 }
               } catch (groupErr) {
                 console.warn(`[Task Complete] Could not get animal count for group ${groupId}:`, groupErr.message);
@@ -1070,6 +1179,19 @@ router.post(
 
           occurrence.inventoryConsumed = inventoryConsumptionResult.movements;
           occurrence.inventoryConsumptionCost = inventoryConsumptionResult.totalCost;
+
+          // Feed items reorder ahead of their projected stock-out
+          if (currentOccurrence.category === firestoreService.TaskCategory.FEEDING) {
+            const itemIds = new Set(inventoryConsumptionResult.movements.map((m) => m.itemId));
+            for (const itemId of itemIds) {
+              await feedForecastService.checkItemRunway(
+                tenantId,
+                occurrence.siteId,
+                itemId,
+                req.firebaseUser.uid
+              );
+            }
+          }
         } catch (invError) {
           console.error('[Task Complete] Error consuming inventory:', invError);
           // Don't fail task completion, just log the error
@@ -1077,6 +1199,38 @@ router.post(
         }
       }
 
+      // Log the check on the linked map feature (fence segment, tank, gate...)
+      let featureInspection = null;
+      if (currentOccurrence.spatialFeatureId) {
+        try {
+          featureInspection = await spatialFeatureService.recordTaskInspection(
+            tenantId,
+            { ...currentOccurrence, id: req.params.id },
+            { condition: featureCondition, notes },
+            userData.user.id
+          );
+        } catch (featureError) {
+          console.error('[Task Complete] Error logging feature inspection:', featureError);
+          // Don't fail task completion, just log the error
+        }
+      }
+
+      // Restart the vehicle service plan the task was generated from
+      let vehicleService = null;
+      if (currentOccurrence.maintenancePlanId && currentOccurrence.vehicleId) {
+        try {
+          vehicleService = await vehicleMaintenanceService.recordTaskService(
+            tenantId,
+            { ...currentOccurrence, id: req.params.id },
+            { notes },
+            req.firebaseUser.uid
+          );
+        } catch (serviceError) {
+          console.error('[Task Complete] Error recording vehicle service:', serviceError);
+          // Don't fail task completion, just log the error
+        }
+      }
+
       // Create linked event if requested and template has linkedEventType
       let linkedEvent = null;
       if (createLinkedEvent && currentOccurrence.linkedEventType) {
@@ -1211,7 +1365,7 @@ router.post(
 
       res.json({
         success: true,
-        data: { occurrence, linkedEvent, postingResult, inventoryConsumptionResult },
+        data: { occurrence, linkedEvent, postingResult, inventoryConsumptionResult, featureInspection, vehicleService },
       });
     } catch (error) {
       console.error('Error completing task:', error);
@@ -1392,9 +1546,10 @@ router.post(
 
       const { targetDate } = req.body;
 
+      // A bare date is that day on the farm's clock
       const occurrences = await firestoreService.generateTaskOccurrencesForDate(
         userData.tenantId,
-        new Date(targetDate),
+        targetDate,
         req.firebaseUser.uid
       );
 
@@ -1449,6 +1604,84 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// ============================================
+// READINGS
+// ============================================
+
+/**
+ * GET /api/tasks/readings/series
+ * Capture keys defined on the tenant's templates, for picking a series
+ */
+router.get('/readings/series', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const series = await taskCaptureService.getCaptureSeries(userData.tenantId);
+
+    res.json({
+      success: true,
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Error fetching reading series:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reading series' });
+  }
+});
+
+/**
+ * GET /api/tasks/readings
+ * Values captured on completed tasks over time, e.g. a month of tank levels.
+ * from/to are dates on the farm's clock.
+ */
+router.get(
+  '/readings',
+  [
+    query('captureKey').notEmpty().withMessage('Capture key is required'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('siteId').optional().isString(),
+    query('templateId').optional().isString(),
+    query('spatialFeatureId').optional().isString(),
+    query('limit').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { captureKey, from, to, siteId, templateId, spatialFeatureId, limit } = req.query;
+
+      const result = await taskCaptureService.getReadings(userData.tenantId, {
+        captureKey,
+        from,
+        to,
+        siteId,
+        templateId,
+        spatialFeatureId,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Error fetching readings:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch readings' });
+    }
+  }
+);
+
 // ============================================
 // METADATA
 // ============================================
@@ -1485,6 +1718,24 @@ router.get('/priorities', (req, res) => {
   });
 });
 
+/**
+ * GET /api/tasks/capture-types
+ * Get available data capture types
+ */
+router.get('/capture-types', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: Object.values(taskCaptureService.CaptureType).map((value) => ({
+        value,
+        label: value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, ' '),
+        numeric: taskCaptureService.NUMERIC_CAPTURE_TYPES.includes(value),
+        defaultUnit: taskCaptureService.DEFAULT_CAPTURE_UNITS[value] || null,
+      })),
+    },
+  });
+});
+
 /**
  * GET /api/tasks/recurrence-patterns
  * Get available recurrence patterns
@@ -1501,6 +1752,71 @@ router.get('/recurrence-patterns', (req, res) => {
   });
 });
 
+/**
+ * POST /api/tasks/recurrence/preview
+ * List the next dates a recurrence would generate. Pass an unsaved
+ * recurrence (e.g. an RRULE being typed) or the ID of a saved template.
+ */
+router.post(
+  '/recurrence/preview',
+  [
+    body('templateId').optional().notEmpty(),
+    ...recurrenceValidators,
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('from').optional().isISO8601().withMessage('Invalid from date'),
+    body('count')
+      .optional()
+      .isInt({ min: 1, max: recurrenceRuleService.MAX_PREVIEW_COUNT })
+      .withMessage(`Count must be 1-${recurrenceRuleService.MAX_PREVIEW_COUNT}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      let { recurrence } = req.body;
+      if (req.body.templateId) {
+        const template = await firestoreService.getTaskTemplate(userData.tenantId, req.body.templateId);
+        if (!template) {
+          return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+        recurrence = template.recurrence;
+      }
+
+      // Dates are calendar days; "today" is the tenant's today
+      const timezone = await firestoreService.getTenantTimezone(userData.tenantId, req.body.siteId);
+      const today = timezoneService.dateKeyInTimezone(new Date(), timezone);
+      let startDate = timezoneService.dateKeyToDate(today);
+      if (timezoneService.isDateKey(req.body.startDate)) {
+        startDate = timezoneService.dateKeyToDate(req.body.startDate);
+      } else if (req.body.startDate) {
+        startDate = new Date(req.body.startDate);
+        startDate.setHours(0, 0, 0, 0);
+      }
+
+      const dates = firestoreService.previewRecurrenceDates(recurrence, startDate, {
+        from: req.body.from || today,
+        count: req.body.count ? parseInt(req.body.count) : 10,
+      });
+
+      res.json({ success: true, data: { dates } });
+    } catch (error) {
+      console.error('Error previewing recurrence:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to preview recurrence',
+      });
+    }
+  }
+);
+
 /**
  * GET /api/tasks/statuses
  * Get available task statuses
@@ -1,7 +1,9 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const { verifyToken } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyToken, requireRole } = require('../middleware/auth');
 const firestoreService = require('../services/firestore');
+const vehicleMaintenanceService = require('../services/vehicle-maintenance-service');
+const vehicleFuelService = require('../services/vehicle-fuel-service');
 
 const router = express.Router();
 
@@ -88,6 +90,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ============================================
+// FLEET MAINTENANCE
+// ============================================
+
+/**
+ * GET /api/vehicles/maintenance/due
+ * Maintenance plans that are due or overdue across active vehicles
+ */
+router.get('/maintenance/due', async (req, res) => {
+  try {
+    const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+    if (!userData) {
+      return res.status(403).json({ success: false, message: 'User not found' });
+    }
+
+    const { siteId, includeOk } = req.query;
+
+    const plans = await vehicleMaintenanceService.getDueMaintenance(userData.tenantId, {
+      siteId,
+      includeOk: includeOk === 'true',
+    });
+
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    console.error('Error fetching due maintenance:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch due maintenance' });
+  }
+});
+
+/**
+ * POST /api/vehicles/maintenance/generate-tasks
+ * Create service tasks for due and overdue plans that don't have an open one
+ */
+router.post(
+  '/maintenance/generate-tasks',
+  requireRole(['owner', 'admin', 'manager']),
+  [body('siteId').optional().isString()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const result = await vehicleMaintenanceService.generateDueServiceTasks(
+        userData.tenantId,
+        { siteId: req.body.siteId },
+        req.firebaseUser.uid
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error generating maintenance tasks:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to generate maintenance tasks' });
+    }
+  }
+);
+
 /**
  * GET /api/vehicles/:id
  * Get a single vehicle with its asset record
@@ -354,4 +419,525 @@ router.post(
   }
 );
 
+// ============================================
+// MAINTENANCE PLANS
+// ============================================
+
+/**
+ * GET /api/vehicles/:id/maintenance-plans
+ * Maintenance plans for a vehicle with their due status
+ */
+router.get(
+  '/:id/maintenance-plans',
+  [param('id').notEmpty().withMessage('Vehicle ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const plans = await vehicleMaintenanceService.getVehiclePlans(userData.tenantId, req.params.id, {
+        includeInactive: req.query.includeInactive === 'true',
+      });
+
+      res.json({ success: true, data: plans });
+    } catch (error) {
+      console.error('Error fetching maintenance plans:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch maintenance plans' });
+    }
+  }
+);
+
+/**
+ * POST /api/vehicles/:id/maintenance-plans
+ * Create a maintenance plan (every N miles/km, engine hours or months)
+ */
+router.post(
+  '/:id/maintenance-plans',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('intervalDistance').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('intervalHours').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('intervalMonths').optional({ nullable: true }).isInt({ gt: 0 }),
+    body('lastServiceOdometer').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('lastServiceHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('lastServiceDate').optional({ nullable: true }).isISO8601(),
+    body('parts').optional().isArray(),
+    body('parts.*.itemId').optional().notEmpty(),
+    body('parts.*.qty').optional().isFloat({ gt: 0 }),
+    body('estimatedLaborHours').optional({ nullable: true }).isFloat({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const {
+        name,
+        description,
+        intervalDistance,
+        intervalHours,
+        intervalMonths,
+        lastServiceOdometer,
+        lastServiceHours,
+        lastServiceDate,
+        parts,
+        estimatedLaborHours,
+        notes,
+      } = req.body;
+
+      const plan = await vehicleMaintenanceService.createPlan(
+        userData.tenantId,
+        req.params.id,
+        {
+          name,
+          description,
+          intervalDistance: intervalDistance ? parseFloat(intervalDistance) : null,
+          intervalHours: intervalHours ? parseFloat(intervalHours) : null,
+          intervalMonths: intervalMonths ? parseInt(intervalMonths) : null,
+          lastServiceOdometer: lastServiceOdometer != null ? parseFloat(lastServiceOdometer) : undefined,
+          lastServiceHours: lastServiceHours != null ? parseFloat(lastServiceHours) : undefined,
+          lastServiceDate,
+          parts: (parts || []).map((part) => ({ itemId: part.itemId, qty: parseFloat(part.qty) })),
+          estimatedLaborHours: estimatedLaborHours != null ? parseFloat(estimatedLaborHours) : undefined,
+          notes,
+        },
+        req.firebaseUser.uid
+      );
+
+      // A plan started from an old service may already be due
+      const tasks = await vehicleMaintenanceService.generateDueServiceTasks(
+        userData.tenantId,
+        { vehicleId: req.params.id },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: { plan, createdTasks: tasks.created } });
+    } catch (error) {
+      console.error('Error creating maintenance plan:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to create maintenance plan' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/vehicles/:id/maintenance-plans/:planId
+ * Update a maintenance plan, or set isActive false to stop tracking it
+ */
+router.patch(
+  '/:id/maintenance-plans/:planId',
+  requireRole(['owner', 'admin', 'manager']),
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    param('planId').notEmpty().withMessage('Plan ID is required'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('intervalDistance').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('intervalHours').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('intervalMonths').optional({ nullable: true }).isInt({ gt: 0 }),
+    body('lastServiceOdometer').optional().isFloat({ min: 0 }),
+    body('lastServiceHours').optional().isFloat({ min: 0 }),
+    body('lastServiceDate').optional().isISO8601(),
+    body('parts').optional().isArray(),
+    body('isActive').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const existing = await vehicleMaintenanceService.getPlan(userData.tenantId, req.params.planId);
+      if (!existing || existing.vehicleId !== req.params.id) {
+        return res.status(404).json({ success: false, message: 'Maintenance plan not found' });
+      }
+
+      const plan = await vehicleMaintenanceService.updatePlan(
+        userData.tenantId,
+        req.params.planId,
+        req.body,
+        req.firebaseUser.uid
+      );
+
+      res.json({ success: true, data: plan });
+    } catch (error) {
+      console.error('Error updating maintenance plan:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to update maintenance plan' });
+    }
+  }
+);
+
+// ============================================
+// METER READINGS
+// ============================================
+
+/**
+ * GET /api/vehicles/:id/meter-readings
+ * Odometer and engine hour readings, newest first
+ */
+router.get(
+  '/:id/meter-readings',
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const readings = await vehicleMaintenanceService.getMeterReadings(userData.tenantId, req.params.id, {
+        limit: req.query.limit,
+      });
+
+      res.json({ success: true, data: readings });
+    } catch (error) {
+      console.error('Error fetching meter readings:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch meter readings' });
+    }
+  }
+);
+
+/**
+ * POST /api/vehicles/:id/meter-readings
+ * Log a meter reading; plans it brings due get a service task
+ */
+router.post(
+  '/:id/meter-readings',
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    body('odometer').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('engineHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('readAt').optional().isISO8601(),
+    body('isCorrection').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const { odometer, engineHours, readAt, notes, isCorrection } = req.body;
+
+      const reading = await vehicleMaintenanceService.recordMeterReading(
+        userData.tenantId,
+        req.params.id,
+        {
+          odometer: odometer != null ? parseFloat(odometer) : null,
+          engineHours: engineHours != null ? parseFloat(engineHours) : null,
+          readAt,
+          notes,
+          isCorrection,
+        },
+        req.firebaseUser.uid
+      );
+
+      const tasks = await vehicleMaintenanceService.generateDueServiceTasks(
+        userData.tenantId,
+        { vehicleId: req.params.id },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: { reading, createdTasks: tasks.created } });
+    } catch (error) {
+      console.error('Error recording meter reading:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record meter reading' });
+    }
+  }
+);
+
+// ============================================
+// SERVICE RECORDS
+// ============================================
+
+/**
+ * GET /api/vehicles/:id/services
+ * Service history for a vehicle, newest first
+ */
+router.get(
+  '/:id/services',
+  [param('id').notEmpty().withMessage('Vehicle ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const { planId, limit } = req.query;
+
+      const services = await vehicleMaintenanceService.getServiceRecords(userData.tenantId, req.params.id, {
+        planId,
+        limit,
+      });
+
+      res.json({ success: true, data: services });
+    } catch (error) {
+      console.error('Error fetching service records:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch service records' });
+    }
+  }
+);
+
+/**
+ * POST /api/vehicles/:id/services
+ * Record a completed service with parts from inventory and labor,
+ * posted to Repairs & Maintenance
+ */
+router.post(
+  '/:id/services',
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    body('planId').optional({ nullable: true }).isString(),
+    body('date').optional().isISO8601(),
+    body('odometer').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('engineHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('parts').optional().isArray(),
+    body('parts.*.itemId').notEmpty().withMessage('Part item is required'),
+    body('parts.*.qty').isFloat({ gt: 0 }).withMessage('Part quantity must be positive'),
+    body('labor').optional({ nullable: true }).isObject(),
+    body('labor.hours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('labor.rate').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('labor.cost').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('labor.paymentMethod').optional().isIn(['CASH', 'CREDIT']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const { planId, date, odometer, engineHours, description, parts, labor, notes, taskOccurrenceId } = req.body;
+
+      const result = await vehicleMaintenanceService.recordService(
+        userData.tenantId,
+        req.params.id,
+        {
+          planId,
+          date,
+          odometer: odometer != null ? parseFloat(odometer) : undefined,
+          engineHours: engineHours != null ? parseFloat(engineHours) : undefined,
+          description,
+          parts: (parts || []).map((part) => ({ itemId: part.itemId, qty: parseFloat(part.qty) })),
+          labor: labor
+            ? {
+                hours: labor.hours != null ? parseFloat(labor.hours) : null,
+                rate: labor.rate != null ? parseFloat(labor.rate) : null,
+                cost: labor.cost != null ? parseFloat(labor.cost) : null,
+                performedBy: labor.performedBy,
+                vendorName: labor.vendorName,
+                paymentMethod: labor.paymentMethod,
+              }
+            : null,
+          notes,
+          taskOccurrenceId,
+        },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error recording vehicle service:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record vehicle service' });
+    }
+  }
+);
+
+// ============================================
+// FUEL LOG
+// ============================================
+
+/**
+ * GET /api/vehicles/:id/fuel
+ * Fuel log with per-fill MPG and gallons/hour, plus totals and a monthly trend
+ */
+router.get(
+  '/:id/fuel',
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const { startDate, endDate, limit } = req.query;
+
+      const [entries, summary] = await Promise.all([
+        vehicleFuelService.getFuelLog(userData.tenantId, req.params.id, { startDate, endDate, limit }),
+        vehicleFuelService.getFuelSummary(userData.tenantId, req.params.id, { startDate, endDate }),
+      ]);
+
+      res.json({ success: true, data: { entries, summary } });
+    } catch (error) {
+      console.error('Error fetching fuel log:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch fuel log' });
+    }
+  }
+);
+
+/**
+ * POST /api/vehicles/:id/fuel
+ * Log a fuel fill from a bulk tank (draws FUEL inventory) or a retail
+ * purchase, posted to Fuel Expense
+ */
+router.post(
+  '/:id/fuel',
+  [
+    param('id').notEmpty().withMessage('Vehicle ID is required'),
+    body('gallons').isFloat({ gt: 0 }).withMessage('Gallons must be greater than zero'),
+    body('source').isIn(Object.values(vehicleFuelService.FuelSource)).withMessage('Invalid fuel source'),
+    body('itemId')
+      .if(body('source').equals(vehicleFuelService.FuelSource.BULK_TANK))
+      .notEmpty()
+      .withMessage('Fuel item is required for bulk tank fills'),
+    body('date').optional().isISO8601(),
+    body('costPerGallon').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('totalCost').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('paymentMethod').optional().isIn(['CASH', 'CREDIT']),
+    body('odometer').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('engineHours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('fullTank').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userData = await firestoreService.findUserByAuthUid(req.firebaseUser.uid);
+      if (!userData) {
+        return res.status(403).json({ success: false, message: 'User not found' });
+      }
+
+      const vehicle = await firestoreService.getVehicle(userData.tenantId, req.params.id);
+      if (!vehicle) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found' });
+      }
+
+      const {
+        date,
+        gallons,
+        source,
+        itemId,
+        siteId,
+        costPerGallon,
+        totalCost,
+        vendorName,
+        paymentMethod,
+        odometer,
+        engineHours,
+        fullTank,
+        notes,
+      } = req.body;
+
+      const result = await vehicleFuelService.recordFuel(
+        userData.tenantId,
+        req.params.id,
+        {
+          date,
+          gallons: parseFloat(gallons),
+          source,
+          itemId,
+          siteId,
+          costPerGallon: costPerGallon != null ? parseFloat(costPerGallon) : undefined,
+          totalCost: totalCost != null ? parseFloat(totalCost) : undefined,
+          vendorName,
+          paymentMethod,
+          odometer: odometer != null ? parseFloat(odometer) : null,
+          engineHours: engineHours != null ? parseFloat(engineHours) : null,
+          fullTank,
+          notes,
+        },
+        req.firebaseUser.uid
+      );
+
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error recording fuel:', error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to record fuel' });
+    }
+  }
+);
+
 module.exports = router;
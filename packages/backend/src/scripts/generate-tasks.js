@@ -0,0 +1,52 @@
+/**
+ * Scheduled Task Generation
+ *
+ * Generates task occurrences N days ahead for every tenant (or one), in each
+ * tenant's timezone. Safe to run as often as you like; schedule it hourly so
+ * each farm's new day is picked up soon after its local midnight:
+ *
+ *   0 * * * * cd /path/to/packages/backend && npm run generate-tasks
+ *
+ * Usage: node packages/backend/src/scripts/generate-tasks.js [--days 7] [--tenant <tenantId>]
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const { runScheduledGeneration } = require('../services/task-scheduler-service');
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function generateTasks() {
+  const days = readOption('days');
+  const tenantId = readOption('tenant');
+
+  const summary = await runScheduledGeneration({
+    daysAhead: days !== undefined ? parseInt(days, 10) : undefined,
+    tenantIds: tenantId ? [tenantId] : undefined,
+  });
+
+  for (const result of summary.results) {
+    if (result.error) {
+      console.log(`  ${result.tenantId}: FAILED - ${result.error}`);
+    } else {
+      console.log(`  ${result.tenantId}: ${result.generated} generated through ${result.through} (${result.timezone})`);
+    }
+  }
+
+  console.log(`\n${summary.generated} occurrence(s) generated for ${summary.tenants} tenant(s)`);
+  return summary;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  generateTasks()
+    .then((summary) => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('Task generation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { generateTasks };
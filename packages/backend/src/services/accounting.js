@@ -24,10 +24,13 @@ const DEFAULT_COA = [
   { code: '1300', name: 'Supply Inventory', type: 'ASSET', subtype: 'INVENTORY', normalBalance: 'DEBIT' },
   { code: '1400', name: 'Livestock - Market', type: 'ASSET', subtype: 'LIVESTOCK', normalBalance: 'DEBIT' },
   { code: '1500', name: 'Equipment', type: 'ASSET', subtype: 'EQUIPMENT', normalBalance: 'DEBIT' },
+  { code: '1510', name: 'Buildings & Improvements', type: 'ASSET', subtype: 'FIXED_ASSET', normalBalance: 'DEBIT' },
+  { code: '1590', name: 'Accumulated Depreciation', type: 'ASSET', subtype: 'FIXED_ASSET', normalBalance: 'CREDIT' },
 
   // Liabilities
   { code: '2000', name: 'Accounts Payable', type: 'LIABILITY', subtype: 'AP', normalBalance: 'CREDIT' },
   { code: '2100', name: 'Notes Payable', type: 'LIABILITY', subtype: 'LOAN', normalBalance: 'CREDIT' },
+  { code: '2200', name: 'Wages Payable', type: 'LIABILITY', subtype: 'PAYROLL_LIABILITY', normalBalance: 'CREDIT' },
 
   // Equity
   { code: '3000', name: "Owner's Equity", type: 'EQUITY', subtype: 'OWNER_EQUITY', normalBalance: 'CREDIT' },
@@ -36,6 +39,7 @@ const DEFAULT_COA = [
   // Income
   { code: '4000', name: 'Sales Revenue', type: 'INCOME', subtype: 'SALES', normalBalance: 'CREDIT' },
   { code: '4100', name: 'Service Income', type: 'INCOME', subtype: 'SERVICE_INCOME', normalBalance: 'CREDIT' },
+  { code: '4900', name: 'Gain/Loss on Asset Disposal', type: 'INCOME', subtype: 'OTHER_INCOME', normalBalance: 'CREDIT' },
 
   // Cost of Goods Sold
   { code: '5000', name: 'Cost of Goods Sold', type: 'COGS', normalBalance: 'DEBIT' },
@@ -43,7 +47,9 @@ const DEFAULT_COA = [
   // Expenses
   { code: '6000', name: 'Feed Expense', type: 'EXPENSE', subtype: 'FEED', normalBalance: 'DEBIT' },
   { code: '6100', name: 'Supplies Expense', type: 'EXPENSE', subtype: 'OTHER', normalBalance: 'DEBIT' },
+  { code: '6150', name: 'Crop Inputs', type: 'EXPENSE', subtype: 'OTHER', normalBalance: 'DEBIT' },
   { code: '6200', name: 'Inventory Adjustment', type: 'EXPENSE', subtype: 'OTHER', normalBalance: 'DEBIT' },
+  { code: '6250', name: 'Death Loss', type: 'EXPENSE', subtype: 'OTHER', normalBalance: 'DEBIT' },
   { code: '6300', name: 'Medical Expense', type: 'EXPENSE', subtype: 'MEDICAL', normalBalance: 'DEBIT' },
   { code: '6400', name: 'Labor Expense', type: 'EXPENSE', subtype: 'LABOR', normalBalance: 'DEBIT' },
   { code: '6500', name: 'Fuel Expense', type: 'EXPENSE', subtype: 'FUEL', normalBalance: 'DEBIT' },
@@ -83,6 +89,25 @@ const getAccountByCode = async (tenantId, code) => {
   return Account.findOne({ tenantId, code, isActive: true });
 };
 
+/**
+ * Get a default account by code, creating it for tenants seeded before it was
+ * added to DEFAULT_COA
+ */
+const getOrCreateDefaultAccount = async (tenantId, code) => {
+  const existing = await getAccountByCode(tenantId, code);
+  if (existing) return existing;
+
+  const definition = DEFAULT_COA.find((acc) => acc.code === code);
+  if (!definition) return null;
+
+  return Account.create({
+    ...definition,
+    tenantId,
+    isSystem: true,
+    isActive: true,
+  });
+};
+
 /**
  * Get all accounts for a tenant
  */
@@ -354,6 +379,51 @@ const processInventoryMovements = async (tenantId, event, transactionId, created
       break;
     }
 
+    case 'TREAT_LIVESTOCK': {
+      const { itemId, qty, costPerUnit, livestockGroupId, totalCost, healthRecordId } = payload;
+      if (!itemId || !siteId || !qty) break;
+
+      const treatmentCost = totalCost || Math.abs(qty * (costPerUnit || 0));
+
+      // Update medicine inventory balance (decrease)
+      await firestoreService.updateSiteInventoryBalance(
+        tenantId,
+        siteId,
+        itemId,
+        -Math.abs(qty),
+        costPerUnit || 0,
+        firestoreService.MovementType.CONSUMPTION
+      );
+
+      // Record movement
+      const movement = await firestoreService.recordInventoryMovement(
+        tenantId,
+        {
+          siteId,
+          itemId,
+          type: firestoreService.MovementType.CONSUMPTION,
+          qty: -Math.abs(qty),
+          costPerUnit: costPerUnit || 0,
+          totalCost: treatmentCost,
+          reason: `Health record ${healthRecordId || 'unknown'}`,
+          eventId: event.id,
+          transactionId,
+        },
+        createdBy
+      );
+      movementIds.push(movement.id);
+
+      // If CAPITALIZE mode and group specified, update group cost basis
+      const tenant = await firestoreService.getTenant(tenantId);
+      if (tenant?.settings?.livestockCostingMode === 'CAPITALIZE' && livestockGroupId) {
+        await firestoreService.updateGroupCostBasis(tenantId, livestockGroupId, treatmentCost);
+      }
+
+      // Check reorder trigger
+      await checkAndTriggerReorder(tenantId, siteId, itemId, createdBy);
+      break;
+    }
+
     case 'SELL_LIVESTOCK': {
       // No inventory movements, but may need to update group cost basis
       const { livestockGroupId, costAmount } = payload;
@@ -364,6 +434,15 @@ const processInventoryMovements = async (tenantId, event, transactionId, created
       break;
     }
 
+    case 'LIVESTOCK_DEATH_LOSS': {
+      // Written-off animal leaves the group's cost basis
+      const { livestockGroupId, costAmount } = payload;
+      if (livestockGroupId && costAmount) {
+        await firestoreService.updateGroupCostBasis(tenantId, livestockGroupId, -Math.abs(costAmount));
+      }
+      break;
+    }
+
     case 'PURCHASE_LIVESTOCK': {
       // Update group cost basis for purchased livestock
       const { livestockGroupId, totalCost: purchaseCost } = payload;
@@ -413,6 +492,152 @@ const processInventoryMovements = async (tenantId, event, transactionId, created
       break;
     }
 
+    case 'APPLY_CROP_INPUT': {
+      const { itemId, qty, costPerUnit, totalCost, landTractId } = payload;
+      if (!itemId || !siteId || !qty) break;
+
+      // Update seed/fertilizer/chemical balance (decrease)
+      await firestoreService.updateSiteInventoryBalance(
+        tenantId,
+        siteId,
+        itemId,
+        -Math.abs(qty),
+        costPerUnit || 0,
+        firestoreService.MovementType.CONSUMPTION
+      );
+
+      // Record movement
+      const movement = await firestoreService.recordInventoryMovement(
+        tenantId,
+        {
+          siteId,
+          itemId,
+          type: firestoreService.MovementType.CONSUMPTION,
+          qty: -Math.abs(qty),
+          costPerUnit: costPerUnit || 0,
+          totalCost: totalCost || Math.abs(qty * (costPerUnit || 0)),
+          reason: `Applied to land tract ${landTractId || 'unknown'}`,
+          eventId: event.id,
+          transactionId,
+        },
+        createdBy
+      );
+      movementIds.push(movement.id);
+
+      // Check reorder trigger
+      await checkAndTriggerReorder(tenantId, siteId, itemId, createdBy);
+      break;
+    }
+
+    case 'HARVEST_CROP': {
+      const { itemId, qty, costPerUnit, totalCost, landTractId } = payload;
+      if (!itemId || !siteId || !qty) break;
+
+      // Update harvested product balance (increase)
+      await firestoreService.updateSiteInventoryBalance(
+        tenantId,
+        siteId,
+        itemId,
+        Math.abs(qty),
+        costPerUnit || 0,
+        firestoreService.MovementType.RECEIPT
+      );
+
+      // Record movement
+      const movement = await firestoreService.recordInventoryMovement(
+        tenantId,
+        {
+          siteId,
+          itemId,
+          type: firestoreService.MovementType.RECEIPT,
+          qty: Math.abs(qty),
+          costPerUnit: costPerUnit || 0,
+          totalCost: totalCost || Math.abs(qty * (costPerUnit || 0)),
+          reason: `Harvested from land tract ${landTractId || 'unknown'}`,
+          eventId: event.id,
+          transactionId,
+        },
+        createdBy
+      );
+      movementIds.push(movement.id);
+      break;
+    }
+
+    case 'VEHICLE_SERVICE_PART': {
+      const { itemId, qty, costPerUnit, totalCost, vehicleId } = payload;
+      if (!itemId || !siteId || !qty) break;
+
+      // Update equipment parts balance (decrease)
+      await firestoreService.updateSiteInventoryBalance(
+        tenantId,
+        siteId,
+        itemId,
+        -Math.abs(qty),
+        costPerUnit || 0,
+        firestoreService.MovementType.CONSUMPTION
+      );
+
+      // Record movement
+      const movement = await firestoreService.recordInventoryMovement(
+        tenantId,
+        {
+          siteId,
+          itemId,
+          type: firestoreService.MovementType.CONSUMPTION,
+          qty: -Math.abs(qty),
+          costPerUnit: costPerUnit || 0,
+          totalCost: totalCost || Math.abs(qty * (costPerUnit || 0)),
+          reason: `Used servicing vehicle ${vehicleId || 'unknown'}`,
+          eventId: event.id,
+          transactionId,
+        },
+        createdBy
+      );
+      movementIds.push(movement.id);
+
+      // Check reorder trigger
+      await checkAndTriggerReorder(tenantId, siteId, itemId, createdBy);
+      break;
+    }
+
+    case 'VEHICLE_FUEL': {
+      // Retail fills have no item - only bulk tank fills move inventory
+      const { itemId, qty, costPerUnit, totalCost, vehicleId } = payload;
+      if (!itemId || !siteId || !qty) break;
+
+      // Update bulk fuel balance (decrease)
+      await firestoreService.updateSiteInventoryBalance(
+        tenantId,
+        siteId,
+        itemId,
+        -Math.abs(qty),
+        costPerUnit || 0,
+        firestoreService.MovementType.CONSUMPTION
+      );
+
+      // Record movement
+      const movement = await firestoreService.recordInventoryMovement(
+        tenantId,
+        {
+          siteId,
+          itemId,
+          type: firestoreService.MovementType.CONSUMPTION,
+          qty: -Math.abs(qty),
+          costPerUnit: costPerUnit || 0,
+          totalCost: totalCost || Math.abs(qty * (costPerUnit || 0)),
+          reason: `Fueled vehicle ${vehicleId || 'unknown'}`,
+          eventId: event.id,
+          transactionId,
+        },
+        createdBy
+      );
+      movementIds.push(movement.id);
+
+      // Check reorder trigger
+      await checkAndTriggerReorder(tenantId, siteId, itemId, createdBy);
+      break;
+    }
+
     case 'INVENTORY_TRANSFER': {
       const { itemId, qty, costPerUnit, fromSiteId, toSiteId } = payload;
       if (!itemId || !fromSiteId || !toSiteId) break;
@@ -490,8 +715,9 @@ const processInventoryMovements = async (tenantId, event, transactionId, created
 
 /**
  * Check if reorder is needed and create requisition if so
+ * @param {object} [options.runway] - Feed runway forecast, passed to checkReorderNeeded
  */
-const checkAndTriggerReorder = async (tenantId, siteId, itemId, createdBy) => {
+const checkAndTriggerReorder = async (tenantId, siteId, itemId, createdBy, options = {}) => {
   try {
     // Check tenant settings
     const tenant = await firestoreService.getTenant(tenantId);
@@ -499,9 +725,13 @@ const checkAndTriggerReorder = async (tenantId, siteId, itemId, createdBy) => {
       return null;
     }
 
-    const reorderCheck = await firestoreService.checkReorderNeeded(tenantId, siteId, itemId);
+    const reorderCheck = await firestoreService.checkReorderNeeded(tenantId, siteId, itemId, options);
 
     if (reorderCheck?.needsReorder) {
+      const reason = reorderCheck.trigger === 'RUNWAY'
+        ? `Auto-reorder: ${Math.floor(reorderCheck.daysOnHand)} days on hand projected, inside ${options.runway.leadTimeDays}-day lead time`
+        : `Auto-reorder: balance (${reorderCheck.currentQty}) below reorder point (${reorderCheck.reorderPoint})`;
+
       const requisition = await firestoreService.createPurchaseRequisition(
         tenantId,
         {
@@ -510,7 +740,7 @@ const checkAndTriggerReorder = async (tenantId, siteId, itemId, createdBy) => {
           qty: reorderCheck.suggestedQty,
           estimatedCost: reorderCheck.suggestedQty * (reorderCheck.item.defaultCostPerUnit || 0),
           vendor: reorderCheck.item.preferredVendor,
-          reason: `Auto-reorder: balance (${reorderCheck.currentQty}) below reorder point (${reorderCheck.reorderPoint})`,
+          reason,
           autoGenerated: true,
           triggerBalance: reorderCheck.currentQty,
         },
@@ -542,6 +772,9 @@ const computeGLLines = async (tenantId, event) => {
     case 'FEED_LIVESTOCK':
       return computeFeedLivestockLines(tenantId, payload, event.siteId);
 
+    case 'TREAT_LIVESTOCK':
+      return computeTreatLivestockLines(tenantId, payload);
+
     case 'RECEIVE_PURCHASE_ORDER':
       return computeReceivePOLines(tenantId, payload);
 
@@ -559,6 +792,36 @@ const computeGLLines = async (tenantId, event) => {
     case 'PURCHASE_LIVESTOCK':
       return computePurchaseLivestockLines(tenantId, payload);
 
+    case 'LIVESTOCK_DEATH_LOSS':
+      return computeLivestockDeathLossLines(tenantId, payload);
+
+    case 'APPLY_CROP_INPUT':
+      return computeApplyCropInputLines(tenantId, payload);
+
+    case 'HARVEST_CROP':
+      return computeHarvestCropLines(tenantId, payload);
+
+    case 'VEHICLE_SERVICE_PART':
+      return computeVehicleServicePartLines(tenantId, payload);
+
+    case 'VEHICLE_SERVICE_LABOR':
+      return computeVehicleServiceLaborLines(tenantId, payload);
+
+    case 'VEHICLE_FUEL':
+      return computeVehicleFuelLines(tenantId, payload);
+
+    case 'FIXED_ASSET_OPENING':
+      return computeFixedAssetOpeningLines(tenantId, payload);
+
+    case 'FIXED_ASSET_DEPRECIATION':
+      return computeFixedAssetDepreciationLines(tenantId, payload);
+
+    case 'FIXED_ASSET_DISPOSAL':
+      return computeFixedAssetDisposalLines(tenantId, payload);
+
+    case 'LABOR_TIMESHEET':
+      return computeLaborTimesheetLines(tenantId, payload);
+
     default:
       throw new Error(`Unknown event type: ${type}`);
   }
@@ -644,6 +907,49 @@ const computeFeedLivestockLines = async (tenantId, payload, _siteId) => {
   ];
 };
 
+/**
+ * Compute GL lines for TREAT_LIVESTOCK event
+ * Medicine drawn from supply inventory; respects livestockCostingMode like feed
+ */
+const computeTreatLivestockLines = async (tenantId, payload) => {
+  const { itemId, totalCost, livestockGroupId } = payload;
+
+  const tenant = await firestoreService.getTenant(tenantId);
+  const costingMode = tenant?.settings?.livestockCostingMode || 'EXPENSE';
+
+  const supplyInventoryAccount = await getAccountByCode(tenantId, '1300');
+
+  let debitAccount;
+  if (costingMode === 'CAPITALIZE') {
+    debitAccount = await getAccountByCode(tenantId, '1400');
+  } else {
+    debitAccount = await getAccountByCode(tenantId, '6300'); // Medical Expense
+  }
+
+  if (!supplyInventoryAccount || !debitAccount) {
+    throw new Error('Required accounts not found for livestock treatment');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: debitAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'ANIMAL_GROUP',
+      entityId: livestockGroupId,
+    },
+    {
+      accountId: supplyInventoryAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'INVENTORY_ITEM',
+      entityId: itemId,
+    },
+  ];
+};
+
 /**
  * Compute GL lines for RECEIVE_PURCHASE_ORDER event
  */
@@ -843,6 +1149,375 @@ const computePurchaseLivestockLines = async (tenantId, payload) => {
   ];
 };
 
+/**
+ * Compute GL lines for LIVESTOCK_DEATH_LOSS event
+ * Writes a dead or culled animal's cost basis off the livestock asset account
+ */
+const computeLivestockDeathLossLines = async (tenantId, payload) => {
+  const { costAmount, livestockGroupId, animalId } = payload;
+
+  const livestockAccount = await getAccountByCode(tenantId, '1400');
+  const deathLossAccount = await getOrCreateDefaultAccount(tenantId, '6250');
+
+  if (!livestockAccount || !deathLossAccount) {
+    throw new Error('Required accounts not found for livestock death loss');
+  }
+
+  const cost = Math.abs(costAmount || 0);
+
+  return [
+    {
+      accountId: deathLossAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'ANIMAL',
+      entityId: animalId,
+    },
+    {
+      accountId: livestockAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'ANIMAL_GROUP',
+      entityId: livestockGroupId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for APPLY_CROP_INPUT event
+ * Seed, fertilizer and chemical drawn from inventory are expensed to the field
+ */
+const computeApplyCropInputLines = async (tenantId, payload) => {
+  const { itemId, itemType, totalCost, landTractId } = payload;
+
+  const inventoryAccount = await getAccountByCode(
+    tenantId,
+    itemType === 'FEED' ? '1200' : '1300'
+  );
+  const cropInputsAccount = await getOrCreateDefaultAccount(tenantId, '6150');
+
+  if (!inventoryAccount || !cropInputsAccount) {
+    throw new Error('Required accounts not found for crop input application');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: cropInputsAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'LAND_TRACT',
+      entityId: landTractId,
+    },
+    {
+      accountId: inventoryAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'INVENTORY_ITEM',
+      entityId: itemId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for HARVEST_CROP event
+ * Harvested product enters inventory carrying the field's input cost,
+ * moved out of Crop Inputs so it is expensed again as the product is used or sold
+ */
+const computeHarvestCropLines = async (tenantId, payload) => {
+  const { itemId, itemType, totalCost, landTractId } = payload;
+
+  const inventoryAccount = await getAccountByCode(
+    tenantId,
+    itemType === 'FEED' ? '1200' : '1300'
+  );
+  const cropInputsAccount = await getOrCreateDefaultAccount(tenantId, '6150');
+
+  if (!inventoryAccount || !cropInputsAccount) {
+    throw new Error('Required accounts not found for crop harvest');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: inventoryAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'INVENTORY_ITEM',
+      entityId: itemId,
+    },
+    {
+      accountId: cropInputsAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'LAND_TRACT',
+      entityId: landTractId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for VEHICLE_SERVICE_PART event
+ * Equipment parts drawn from inventory are expensed to Repairs & Maintenance
+ */
+const computeVehicleServicePartLines = async (tenantId, payload) => {
+  const { itemId, itemType, totalCost, vehicleId } = payload;
+
+  const inventoryAccount = await getAccountByCode(
+    tenantId,
+    itemType === 'FEED' ? '1200' : '1300'
+  );
+  const repairsAccount = await getOrCreateDefaultAccount(tenantId, '6600');
+
+  if (!inventoryAccount || !repairsAccount) {
+    throw new Error('Required accounts not found for vehicle service parts');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: repairsAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'VEHICLE',
+      entityId: vehicleId,
+    },
+    {
+      accountId: inventoryAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'INVENTORY_ITEM',
+      entityId: itemId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for VEHICLE_SERVICE_LABOR event
+ * Shop labor is paid in cash or put on account like a PO receipt
+ */
+const computeVehicleServiceLaborLines = async (tenantId, payload) => {
+  const { totalCost, paymentMethod, vehicleId } = payload;
+
+  const repairsAccount = await getOrCreateDefaultAccount(tenantId, '6600');
+
+  let creditAccount;
+  if (paymentMethod === 'CASH') {
+    creditAccount = await getAccountByCode(tenantId, '1000');
+  } else {
+    creditAccount = await getAccountByCode(tenantId, '2000'); // A/P
+  }
+
+  if (!repairsAccount || !creditAccount) {
+    throw new Error('Required accounts not found for vehicle service labor');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: repairsAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'VEHICLE',
+      entityId: vehicleId,
+    },
+    { accountId: creditAccount._id, debit: 0, credit: cost },
+  ];
+};
+
+/**
+ * Compute GL lines for VEHICLE_FUEL event
+ * Bulk tank fills come out of inventory; retail fills are paid in cash or
+ * put on account
+ */
+const computeVehicleFuelLines = async (tenantId, payload) => {
+  const { itemId, itemType, totalCost, paymentMethod, vehicleId } = payload;
+
+  const fuelAccount = await getOrCreateDefaultAccount(tenantId, '6500');
+
+  let creditAccount;
+  let creditEntity = {};
+  if (itemId) {
+    creditAccount = await getAccountByCode(tenantId, itemType === 'FEED' ? '1200' : '1300');
+    creditEntity = { entityType: 'INVENTORY_ITEM', entityId: itemId };
+  } else if (paymentMethod === 'CASH') {
+    creditAccount = await getAccountByCode(tenantId, '1000');
+  } else {
+    creditAccount = await getAccountByCode(tenantId, '2000'); // A/P
+  }
+
+  if (!fuelAccount || !creditAccount) {
+    throw new Error('Required accounts not found for vehicle fuel');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+
+  return [
+    {
+      accountId: fuelAccount._id,
+      debit: cost,
+      credit: 0,
+      entityType: 'VEHICLE',
+      entityId: vehicleId,
+    },
+    { accountId: creditAccount._id, debit: 0, credit: cost, ...creditEntity },
+  ];
+};
+
+/**
+ * Compute GL lines for FIXED_ASSET_OPENING event
+ * Brings a register entry onto the books at cost, with any depreciation
+ * taken before it was registered; the net book value goes to equity
+ */
+const computeFixedAssetOpeningLines = async (tenantId, payload) => {
+  const { fixedAssetId, assetAccountCode, cost, openingAccumulatedDepreciation } = payload;
+
+  const assetAccount = await getOrCreateDefaultAccount(tenantId, assetAccountCode || '1500');
+  const accumulatedAccount = await getOrCreateDefaultAccount(tenantId, '1590');
+  const equityAccount = await getOrCreateDefaultAccount(tenantId, '3000');
+
+  if (!assetAccount || !accumulatedAccount || !equityAccount) {
+    throw new Error('Required accounts not found for fixed asset opening entry');
+  }
+
+  const entity = { entityType: 'FIXED_ASSET', entityId: fixedAssetId };
+  const round = (value) => Math.round(value * 100) / 100;
+  const value = Math.abs(cost || 0);
+  const accumulated = Math.abs(openingAccumulatedDepreciation || 0);
+  const netBookValue = round(value - accumulated);
+
+  const lines = [{ accountId: assetAccount._id, debit: value, credit: 0, ...entity }];
+  if (accumulated > 0) {
+    lines.push({ accountId: accumulatedAccount._id, debit: 0, credit: accumulated, ...entity });
+  }
+  if (netBookValue > 0) {
+    lines.push({ accountId: equityAccount._id, debit: 0, credit: netBookValue });
+  }
+
+  return lines;
+};
+
+/**
+ * Compute GL lines for FIXED_ASSET_DEPRECIATION event
+ */
+const computeFixedAssetDepreciationLines = async (tenantId, payload) => {
+  const { amount, fixedAssetId } = payload;
+
+  const depreciationAccount = await getOrCreateDefaultAccount(tenantId, '6900');
+  const accumulatedAccount = await getOrCreateDefaultAccount(tenantId, '1590');
+
+  if (!depreciationAccount || !accumulatedAccount) {
+    throw new Error('Required accounts not found for depreciation');
+  }
+
+  const value = Math.abs(amount || 0);
+
+  return [
+    {
+      accountId: depreciationAccount._id,
+      debit: value,
+      credit: 0,
+      entityType: 'FIXED_ASSET',
+      entityId: fixedAssetId,
+    },
+    {
+      accountId: accumulatedAccount._id,
+      debit: 0,
+      credit: value,
+      entityType: 'FIXED_ASSET',
+      entityId: fixedAssetId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for LABOR_TIMESHEET event
+ * An approved week of labor: one expense line per site, animal group or
+ * land tract the time was charged to, owed to the worker until payroll runs
+ */
+const computeLaborTimesheetLines = async (tenantId, payload) => {
+  const { totalCost, allocations, workerId } = payload;
+
+  const laborAccount = await getOrCreateDefaultAccount(tenantId, '6400');
+  const wagesPayableAccount = await getOrCreateDefaultAccount(tenantId, '2200');
+
+  if (!laborAccount || !wagesPayableAccount) {
+    throw new Error('Required accounts not found for labor');
+  }
+
+  const cost = Math.abs(totalCost || 0);
+  const debitLines = (allocations?.length ? allocations : [{ amount: cost }])
+    .filter((allocation) => allocation.amount > 0)
+    .map((allocation) => ({
+      accountId: laborAccount._id,
+      debit: allocation.amount,
+      credit: 0,
+      ...(allocation.entityType && allocation.entityId
+        ? { entityType: allocation.entityType, entityId: allocation.entityId }
+        : {}),
+    }));
+
+  return [
+    ...debitLines,
+    {
+      accountId: wagesPayableAccount._id,
+      debit: 0,
+      credit: cost,
+      entityType: 'CONTACT',
+      entityId: workerId,
+    },
+  ];
+};
+
+/**
+ * Compute GL lines for FIXED_ASSET_DISPOSAL event
+ * Clears cost and accumulated depreciation against the proceeds; the
+ * difference is the gain or loss on disposal
+ */
+const computeFixedAssetDisposalLines = async (tenantId, payload) => {
+  const {
+    fixedAssetId,
+    assetAccountCode,
+    cost,
+    accumulatedDepreciation,
+    proceeds,
+    paymentMethod,
+  } = payload;
+
+  const assetAccount = await getOrCreateDefaultAccount(tenantId, assetAccountCode || '1500');
+  const accumulatedAccount = await getOrCreateDefaultAccount(tenantId, '1590');
+  const gainLossAccount = await getOrCreateDefaultAccount(tenantId, '4900');
+  const proceedsAccount = await getAccountByCode(tenantId, paymentMethod === 'CASH' ? '1000' : '1100');
+
+  if (!assetAccount || !accumulatedAccount || !gainLossAccount || (proceeds > 0 && !proceedsAccount)) {
+    throw new Error('Required accounts not found for asset disposal');
+  }
+
+  const entity = { entityType: 'FIXED_ASSET', entityId: fixedAssetId };
+  const round = (value) => Math.round(value * 100) / 100;
+  const gainLoss = round((proceeds || 0) + (accumulatedDepreciation || 0) - (cost || 0));
+
+  const lines = [];
+  if (proceeds > 0) {
+    lines.push({ accountId: proceedsAccount._id, debit: proceeds, credit: 0 });
+  }
+  if (accumulatedDepreciation > 0) {
+    lines.push({ accountId: accumulatedAccount._id, debit: accumulatedDepreciation, credit: 0, ...entity });
+  }
+  lines.push({ accountId: assetAccount._id, debit: 0, credit: cost || 0, ...entity });
+  if (gainLoss > 0) {
+    lines.push({ accountId: gainLossAccount._id, debit: 0, credit: gainLoss, ...entity });
+  } else if (gainLoss < 0) {
+    lines.push({ accountId: gainLossAccount._id, debit: -gainLoss, credit: 0, ...entity });
+  }
+
+  return lines;
+};
+
 /**
  * Create a reversal transaction for an existing transaction
  */
@@ -918,6 +1593,7 @@ module.exports = {
   // CoA
   seedChartOfAccounts,
   getAccountByCode,
+  getOrCreateDefaultAccount,
   getAccounts,
   DEFAULT_COA,
 
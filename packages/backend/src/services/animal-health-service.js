@@ -0,0 +1,338 @@
+/**
+ * Animal Health Service
+ * Treatments, vaccinations and diagnoses recorded against individual animals
+ * or animal groups, with meat/milk withdrawal tracking
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+/**
+ * Health record types
+ */
+const HealthRecordType = {
+  TREATMENT: 'TREATMENT',
+  VACCINATION: 'VACCINATION',
+  DIAGNOSIS: 'DIAGNOSIS',
+};
+
+/**
+ * Routes of administration (label abbreviations)
+ */
+const AdministrationRoute = {
+  IM: 'IM', // Intramuscular
+  SQ: 'SQ', // Subcutaneous
+  IV: 'IV', // Intravenous
+  ORAL: 'ORAL',
+  TOPICAL: 'TOPICAL',
+  POUR_ON: 'POUR_ON',
+  INTRANASAL: 'INTRANASAL',
+  INTRAMAMMARY: 'INTRAMAMMARY',
+  OTHER: 'OTHER',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize a Firestore Timestamp, Date or date string to a Date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+/**
+ * Compute the end of a withdrawal window
+ * The animal may go to slaughter (or its milk to the tank) on the returned date.
+ * @param {Date|string} administeredAt - When the product was given
+ * @param {number} withdrawalDays - Label withdrawal period in days
+ * @returns {Date|null} - null when the product carries no withdrawal
+ */
+const computeWithdrawalEndDate = (administeredAt, withdrawalDays) => {
+  const days = parseFloat(withdrawalDays);
+  if (!administeredAt || !days || days <= 0) return null;
+
+  const start = toDate(administeredAt);
+  return new Date(start.getTime() + days * DAY_MS);
+};
+
+// ============================================
+// HEALTH RECORD OPERATIONS
+// ============================================
+
+/**
+ * Create a health record for one or more animals, or for a whole group
+ * When only a groupId is given, the record is applied to every active animal
+ * in the group (or to the group itself when animals aren't tracked individually).
+ */
+const createHealthRecord = async (tenantId, recordData, createdBy) => {
+  const {
+    type,
+    siteId,
+    animalIds: requestedAnimalIds,
+    groupId,
+    administeredAt,
+    diagnosis,
+    itemId,
+    productName,
+    lotNumber,
+    dose,
+    route,
+    meatWithdrawalDays,
+    milkWithdrawalDays,
+    administeredBy,
+    veterinarian,
+    notes,
+  } = recordData;
+
+  let animalIds = requestedAnimalIds || [];
+  let group = null;
+
+  if (groupId) {
+    group = await firestoreService.getAnimalGroup(tenantId, groupId);
+    if (!group) {
+      throw new Error('Animal group not found');
+    }
+
+    if (animalIds.length === 0) {
+      const groupAnimals = await firestoreService.getAnimals(tenantId, {
+        groupId,
+        limit: 1000,
+        skipOrder: true,
+      });
+      animalIds = groupAnimals.map((a) => a.id);
+    }
+  }
+
+  if (animalIds.length === 0 && !group) {
+    throw new Error('At least one animal or a group is required');
+  }
+
+  // Product defaults come from the inventory item when one is drawn from stock
+  let item = null;
+  if (itemId) {
+    item = await firestoreService.getInventoryItem(tenantId, itemId);
+    if (!item) {
+      throw new Error('Inventory item not found');
+    }
+  }
+
+  const givenAt = administeredAt ? new Date(administeredAt) : new Date();
+  const meatDays = meatWithdrawalDays ?? item?.meatWithdrawalDays ?? 0;
+  const milkDays = milkWithdrawalDays ?? item?.milkWithdrawalDays ?? 0;
+
+  // Head count drives inventory draw (dose is per head)
+  const headCount = animalIds.length || group?.animalCount || 1;
+  const doseAmount = dose?.amount ? parseFloat(dose.amount) : 0;
+
+  const recordRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('healthRecords')
+    .doc();
+
+  const record = {
+    type: type || HealthRecordType.TREATMENT,
+    siteId: siteId || group?.siteId || null,
+    animalIds,
+    groupId: groupId || null,
+    headCount,
+    administeredAt: givenAt,
+    diagnosis: diagnosis || null,
+    itemId: itemId || null,
+    productName: productName || item?.name || null,
+    lotNumber: lotNumber || null,
+    dose: doseAmount ? { amount: doseAmount, unit: dose.unit || item?.unit || 'mL' } : null,
+    totalQty: doseAmount * headCount,
+    route: route || null,
+    meatWithdrawalDays: meatDays,
+    milkWithdrawalDays: milkDays,
+    meatWithdrawalEndDate: computeWithdrawalEndDate(givenAt, meatDays),
+    milkWithdrawalEndDate: computeWithdrawalEndDate(givenAt, milkDays),
+    administeredBy: administeredBy || null,
+    veterinarian: veterinarian || null,
+    notes: notes || null,
+    eventId: null,
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await recordRef.set(record);
+
+  return {
+    id: recordRef.id,
+    ...record,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+};
+
+/**
+ * Get health records with filters
+ * Sorted client-side (newest first) to avoid composite index requirements
+ */
+const getHealthRecords = async (tenantId, options = {}) => {
+  const { animalId, groupId, type, limit = 100 } = options;
+
+  let query = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('healthRecords');
+
+  if (animalId) {
+    query = query.where('animalIds', 'array-contains', animalId);
+  } else if (groupId) {
+    query = query.where('groupId', '==', groupId);
+  }
+
+  if (type) {
+    query = query.where('type', '==', type);
+  }
+
+  const snapshot = await query.get();
+
+  const records = snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  records.sort((a, b) => toDate(b.administeredAt) - toDate(a.administeredAt));
+
+  return records.slice(0, parseInt(limit));
+};
+
+/**
+ * Get a single health record
+ */
+const getHealthRecord = async (tenantId, recordId) => {
+  const recordDoc = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('healthRecords')
+    .doc(recordId)
+    .get();
+
+  if (!recordDoc.exists) {
+    return null;
+  }
+
+  return {
+    id: recordDoc.id,
+    ...recordDoc.data(),
+  };
+};
+
+/**
+ * Update a health record (e.g. to link the posting event)
+ */
+const updateHealthRecord = async (tenantId, recordId, updates) => {
+  const recordRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('healthRecords')
+    .doc(recordId);
+
+  await recordRef.update({
+    ...updates,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return getHealthRecord(tenantId, recordId);
+};
+
+// ============================================
+// WITHDRAWAL TRACKING
+// ============================================
+
+/**
+ * Find withdrawal windows still open on a date
+ * Checks records naming the animals directly, plus group-level records for
+ * the given groups that were not expanded to individual animals.
+ *
+ * @param {string} tenantId
+ * @param {object} options
+ * @param {string[]} [options.animalIds] - Animals to check
+ * @param {string[]} [options.groupIds] - Groups to check
+ * @param {Date} [options.asOf] - Date to evaluate (default now)
+ * @param {string} [options.kind] - 'meat', 'milk' or undefined for either
+ * @returns {Promise<Array>} - One entry per animal/group and record still in withdrawal
+ */
+const getActiveWithdrawals = async (tenantId, options = {}) => {
+  const { animalIds = [], groupIds = [], asOf = new Date(), kind } = options;
+  const checkDate = toDate(asOf);
+
+  const isOpen = (record) => {
+    const meatEnd = toDate(record.meatWithdrawalEndDate);
+    const milkEnd = toDate(record.milkWithdrawalEndDate);
+    const meatOpen = !!meatEnd && meatEnd > checkDate;
+    const milkOpen = !!milkEnd && milkEnd > checkDate;
+    if (kind === 'meat') return meatOpen;
+    if (kind === 'milk') return milkOpen;
+    return meatOpen || milkOpen;
+  };
+
+  const describe = (record, target) => ({
+    ...target,
+    recordId: record.id,
+    type: record.type,
+    productName: record.productName,
+    administeredAt: toDate(record.administeredAt),
+    meatWithdrawalEndDate: toDate(record.meatWithdrawalEndDate),
+    milkWithdrawalEndDate: toDate(record.milkWithdrawalEndDate),
+  });
+
+  const withdrawals = [];
+
+  const animalResults = await Promise.all(
+    animalIds.map((animalId) => getHealthRecords(tenantId, { animalId, limit: 1000 }))
+  );
+  animalResults.forEach((records, idx) => {
+    records.filter(isOpen).forEach((record) => {
+      withdrawals.push(describe(record, { animalId: animalIds[idx] }));
+    });
+  });
+
+  const groupResults = await Promise.all(
+    groupIds.map((groupId) => getHealthRecords(tenantId, { groupId, limit: 1000 }))
+  );
+  groupResults.forEach((records, idx) => {
+    records
+      .filter((record) => (record.animalIds || []).length === 0)
+      .filter(isOpen)
+      .forEach((record) => {
+        withdrawals.push(describe(record, { groupId: groupIds[idx] }));
+      });
+  });
+
+  return withdrawals;
+};
+
+module.exports = {
+  // Constants
+  HealthRecordType,
+  AdministrationRoute,
+
+  // Helpers
+  computeWithdrawalEndDate,
+
+  // Health records
+  createHealthRecord,
+  getHealthRecords,
+  getHealthRecord,
+  updateHealthRecord,
+
+  // Withdrawal
+  getActiveWithdrawals,
+};
@@ -0,0 +1,697 @@
+/**
+ * Asset Service
+ * Equipment, tools, infrastructure and other assets kept in the generic
+ * assets registry. Each type carries its own detail fields on the asset
+ * document: equipment has serials, engine-hour readings and implements
+ * attached to a tractor or other host; tools are checked out to contacts and
+ * checked back in; infrastructure (wells, pivots, fences...) links to the
+ * structure it serves and to its feature on the site map.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const Contact = require('../models/Contact');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+// Asset types managed here - vehicles, animals and land have their own modules
+const ModuleAssetType = {
+  EQUIPMENT: 'EQUIPMENT',
+  TOOL: 'TOOL',
+  INFRASTRUCTURE: 'INFRASTRUCTURE',
+  OTHER: 'OTHER',
+};
+
+const EquipmentType = {
+  BALER: 'BALER',
+  MOWER: 'MOWER',
+  RAKE: 'RAKE',
+  TEDDER: 'TEDDER',
+  PLANTER: 'PLANTER',
+  DRILL: 'DRILL',
+  SPRAYER: 'SPRAYER',
+  SPREADER: 'SPREADER',
+  TILLAGE: 'TILLAGE',
+  LOADER: 'LOADER',
+  BUCKET: 'BUCKET',
+  BALE_SPEAR: 'BALE_SPEAR',
+  POST_DRIVER: 'POST_DRIVER',
+  FEEDER_WAGON: 'FEEDER_WAGON',
+  SQUEEZE_CHUTE: 'SQUEEZE_CHUTE',
+  GENERATOR: 'GENERATOR',
+  PUMP: 'PUMP',
+  WELDER: 'WELDER',
+  OTHER: 'OTHER',
+};
+
+const ToolType = {
+  HAND: 'HAND',
+  POWER: 'POWER',
+  MEASURING: 'MEASURING',
+  VETERINARY: 'VETERINARY',
+  FENCING: 'FENCING',
+  SAFETY: 'SAFETY',
+  OTHER: 'OTHER',
+};
+
+const InfrastructureType = {
+  WELL: 'WELL',
+  PIVOT: 'PIVOT',
+  FENCE: 'FENCE',
+  WATER_TANK: 'WATER_TANK',
+  PIPELINE: 'PIPELINE',
+  GATE: 'GATE',
+  ROAD: 'ROAD',
+  POWER: 'POWER',
+  OTHER: 'OTHER',
+};
+
+const ToolCondition = {
+  GOOD: 'GOOD',
+  WORN: 'WORN',
+  DAMAGED: 'DAMAGED',
+  LOST: 'LOST',
+};
+
+// Fields every module asset shares
+const COMMON_FIELDS = [
+  'name',
+  'siteId',
+  'status',
+  'identifier',
+  'tags',
+  'acquiredAt',
+  'acquisitionCost',
+  'notes',
+  'make',
+  'model',
+  'year',
+  'serialNumber',
+];
+
+// Type-specific detail fields; links and check-outs are managed by their own calls
+const TYPE_FIELDS = {
+  [ModuleAssetType.EQUIPMENT]: ['equipmentType', 'isImplement', 'warrantyExpiry', 'widthFeet', 'horsepowerRequired'],
+  [ModuleAssetType.TOOL]: ['toolType', 'storageStructureId', 'replacementCost'],
+  [ModuleAssetType.INFRASTRUCTURE]: [
+    'infrastructureType',
+    'structureId',
+    'landTractId',
+    'spatialFeatureId',
+    'installedDate',
+    // Wells
+    'depthFeet',
+    'staticWaterLevelFeet',
+    'pumpHorsepower',
+    'flowGpm',
+    'permitNumber',
+    // Pivots
+    'lengthFeet',
+    'towers',
+    'acresCovered',
+    // Fences
+    'fenceType',
+    'strands',
+  ],
+  [ModuleAssetType.OTHER]: ['category', 'customFields'],
+};
+
+// Map features an infrastructure asset can be drawn as
+const FEATURE_TYPES_BY_INFRASTRUCTURE = {
+  [InfrastructureType.WELL]: ['WELL'],
+  [InfrastructureType.FENCE]: ['FENCE'],
+  [InfrastructureType.WATER_TANK]: ['WATER_TANK'],
+  [InfrastructureType.PIPELINE]: ['PIPELINE'],
+  [InfrastructureType.GATE]: ['GATE'],
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+const assetsCollection = (tenantId) => db.collection('tenants').doc(tenantId).collection('assets');
+
+const readingsCollection = (tenantId, assetId) => assetsCollection(tenantId).doc(assetId).collection('meterReadings');
+
+const checkoutsCollection = (tenantId) => db.collection('tenants').doc(tenantId).collection('toolCheckouts');
+
+const featuresCollection = (tenantId) => db.collection('tenants').doc(tenantId).collection('spatialFeatures');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  if (value._seconds) return value._seconds * 1000;
+  return new Date(value).getTime();
+};
+
+const isModuleType = (assetType) => Object.values(ModuleAssetType).includes(assetType);
+
+const pickFields = (assetType, data) =>
+  Object.fromEntries(
+    [...COMMON_FIELDS, ...(TYPE_FIELDS[assetType] || [])]
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, data[field] ?? null])
+  );
+
+/**
+ * Look up a contact (people and companies live in MongoDB)
+ */
+const getContact = async (tenantId, contactId) => {
+  const contact = await Contact.findOne({ _id: contactId, tenantId, isActive: true }).lean();
+  if (!contact) return null;
+
+  return { id: contact._id.toString(), name: contact.name, type: contact.type, phone: contact.phone || null };
+};
+
+/**
+ * Check and denormalize structure, tract and map feature links
+ * Returns the fields to store alongside the asset
+ */
+const resolveLinks = async (tenantId, assetType, siteId, data) => {
+  const links = {};
+
+  // Structures belong to a land tract, which carries the site
+  const getSiteStructure = async (structureId, label) => {
+    const structure = await firestoreService.getStructure(tenantId, structureId);
+    if (!structure) {
+      throw new Error(`${label} not found`);
+    }
+    const tract = structure.landTractId ? await firestoreService.getLandTract(tenantId, structure.landTractId) : null;
+    if (tract && tract.siteId !== siteId) {
+      throw new Error(`${structure.name} is on a different site`);
+    }
+    return structure;
+  };
+
+  if (assetType === ModuleAssetType.INFRASTRUCTURE) {
+    if (data.structureId) {
+      const structure = await getSiteStructure(data.structureId, 'Structure');
+      links.structureName = structure.name;
+    } else if (data.structureId === null) {
+      links.structureName = null;
+    }
+
+    if (data.landTractId) {
+      const tract = await firestoreService.getLandTract(tenantId, data.landTractId);
+      if (!tract) {
+        throw new Error('Land tract not found');
+      }
+      if (tract.siteId !== siteId) {
+        throw new Error(`${tract.name} is on a different site`);
+      }
+      links.landTractName = tract.name;
+    } else if (data.landTractId === null) {
+      links.landTractName = null;
+    }
+
+    if (data.spatialFeatureId) {
+      const featureDoc = await featuresCollection(tenantId).doc(data.spatialFeatureId).get();
+      if (!featureDoc.exists) {
+        throw new Error('Map feature not found');
+      }
+      const feature = featureDoc.data();
+      if (feature.siteId !== siteId) {
+        throw new Error(`${feature.name} is on a different site`);
+      }
+      const allowed = FEATURE_TYPES_BY_INFRASTRUCTURE[data.infrastructureType];
+      if (allowed && !allowed.includes(feature.type)) {
+        throw new Error(`${feature.name} is a ${feature.type.toLowerCase().replace(/_/g, ' ')}, not a ${data.infrastructureType.toLowerCase().replace(/_/g, ' ')}`);
+      }
+      links.spatialFeatureName = feature.name;
+    } else if (data.spatialFeatureId === null) {
+      links.spatialFeatureName = null;
+    }
+  }
+
+  if (assetType === ModuleAssetType.TOOL) {
+    if (data.storageStructureId) {
+      const structure = await getSiteStructure(data.storageStructureId, 'Storage structure');
+      links.storageStructureName = structure.name;
+    } else if (data.storageStructureId === null) {
+      links.storageStructureName = null;
+    }
+  }
+
+  return links;
+};
+
+/**
+ * Keep the map feature's assetIds in step with the asset that points at it
+ */
+const syncFeatureLink = async (tenantId, assetId, previousFeatureId, nextFeatureId) => {
+  if (previousFeatureId === nextFeatureId) return;
+
+  if (previousFeatureId) {
+    await featuresCollection(tenantId).doc(previousFeatureId).update({
+      assetIds: FieldValue.arrayRemove(assetId),
+    }).catch((error) => console.error('[Assets] Error unlinking map feature:', error));
+  }
+  if (nextFeatureId) {
+    await featuresCollection(tenantId).doc(nextFeatureId).update({
+      assetIds: FieldValue.arrayUnion(assetId),
+    });
+  }
+};
+
+// ============================================
+// ASSETS
+// ============================================
+
+/**
+ * Create an equipment, tool, infrastructure or other asset
+ * @param {string} tenantId
+ * @param {object} data - common asset fields plus the type's detail fields
+ * @param {string} createdBy - User ID
+ */
+const createAsset = async (tenantId, data, createdBy) => {
+  const { assetType } = data;
+  if (!isModuleType(assetType)) {
+    throw new Error(`${assetType} assets are managed in their own module`);
+  }
+
+  const site = await firestoreService.getSite(tenantId, data.siteId);
+  if (!site) {
+    throw new Error('Site not found');
+  }
+
+  const fields = pickFields(assetType, data);
+  const links = await resolveLinks(tenantId, assetType, data.siteId, data);
+
+  const asset = await firestoreService.createAsset(tenantId, {
+    ...fields,
+    ...links,
+    assetType,
+    siteName: site.name,
+    status: fields.status || 'ACTIVE',
+    identifier: fields.identifier || fields.serialNumber || null,
+    tags: fields.tags || [],
+    ...(assetType === ModuleAssetType.EQUIPMENT && {
+      isImplement: Boolean(fields.isImplement),
+      engineHours: data.engineHours ? { value: data.engineHours, recordedAt: new Date().toISOString() } : null,
+      attachedToId: null,
+    }),
+    ...(assetType === ModuleAssetType.TOOL && { checkout: null }),
+    createdBy,
+    updatedBy: createdBy,
+  });
+
+  if (assetType === ModuleAssetType.INFRASTRUCTURE && fields.spatialFeatureId) {
+    await syncFeatureLink(tenantId, asset.id, null, fields.spatialFeatureId);
+  }
+
+  return asset;
+};
+
+/**
+ * Update an asset's details and links
+ */
+const updateAsset = async (tenantId, assetId, data, updatedBy) => {
+  const asset = await firestoreService.getAsset(tenantId, assetId);
+  if (!asset) {
+    throw new Error('Asset not found');
+  }
+
+  // Registry types without a module here keep the old pass-through update
+  if (!isModuleType(asset.assetType)) {
+    return firestoreService.updateAsset(tenantId, assetId, { ...data, updatedBy });
+  }
+
+  const fields = pickFields(asset.assetType, data);
+  const siteId = fields.siteId || asset.siteId;
+
+  const updates = { ...fields, updatedBy };
+  if (fields.siteId && fields.siteId !== asset.siteId) {
+    const site = await firestoreService.getSite(tenantId, fields.siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+    updates.siteName = site.name;
+  }
+
+  Object.assign(
+    updates,
+    await resolveLinks(tenantId, asset.assetType, siteId, {
+      infrastructureType: fields.infrastructureType || asset.infrastructureType,
+      ...fields,
+    })
+  );
+
+  const updated = await firestoreService.updateAsset(tenantId, assetId, updates);
+
+  if (asset.assetType === ModuleAssetType.INFRASTRUCTURE && fields.spatialFeatureId !== undefined) {
+    await syncFeatureLink(tenantId, assetId, asset.spatialFeatureId || null, fields.spatialFeatureId || null);
+  }
+
+  return updated;
+};
+
+/**
+ * List assets of one type with search, status and attachment filters
+ * @param {string} tenantId
+ * @param {object} options - { assetType, siteId, status, search, attachedToId, checkedOut }
+ */
+const listAssets = async (tenantId, options = {}) => {
+  const { assetType, siteId, status, search, attachedToId, checkedOut } = options;
+
+  let assets = await firestoreService.getAssets(tenantId, { assetType, siteId, skipOrder: true });
+
+  if (status && status !== 'ALL') {
+    assets = assets.filter((asset) => asset.status === status);
+  }
+
+  if (attachedToId) {
+    assets = assets.filter((asset) => asset.attachedToId === attachedToId);
+  }
+
+  if (checkedOut !== undefined) {
+    assets = assets.filter((asset) => Boolean(asset.checkout) === checkedOut);
+  }
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    assets = assets.filter((asset) =>
+      [asset.name, asset.identifier, asset.serialNumber, asset.make, asset.model, asset.checkout?.contactName]
+        .some((value) => value?.toLowerCase().includes(searchLower)) ||
+      (asset.tags || []).some((tag) => tag.toLowerCase().includes(searchLower))
+    );
+  }
+
+  const now = Date.now();
+  return assets.map((asset) =>
+    asset.checkout
+      ? { ...asset, checkout: { ...asset.checkout, isOverdue: Boolean(asset.checkout.dueBackAt) && toMillis(asset.checkout.dueBackAt) < now } }
+      : asset
+  );
+};
+
+/**
+ * Asset with the records linked to it for its type
+ */
+const getAssetDetail = async (tenantId, assetId) => {
+  const asset = await firestoreService.getAsset(tenantId, assetId);
+  if (!asset) {
+    return null;
+  }
+
+  const related = {};
+
+  if (asset.assetType === ModuleAssetType.EQUIPMENT || asset.assetType === 'VEHICLE') {
+    related.implements = await listAssets(tenantId, {
+      assetType: ModuleAssetType.EQUIPMENT,
+      attachedToId: assetId,
+    });
+  }
+
+  if (asset.assetType === ModuleAssetType.EQUIPMENT) {
+    related.meterReadings = await getMeterReadings(tenantId, assetId, { limit: 10 });
+  }
+
+  if (asset.assetType === ModuleAssetType.TOOL) {
+    related.checkouts = await getCheckouts(tenantId, { toolId: assetId, limit: 20 });
+  }
+
+  if (asset.assetType === ModuleAssetType.INFRASTRUCTURE && asset.spatialFeatureId) {
+    const featureDoc = await featuresCollection(tenantId).doc(asset.spatialFeatureId).get();
+    if (featureDoc.exists) {
+      const feature = featureDoc.data();
+      related.feature = {
+        id: featureDoc.id,
+        name: feature.name,
+        type: feature.type,
+        condition: feature.condition,
+        lengthFeet: feature.lengthFeet ?? null,
+        lastInspectedAt: feature.lastInspectedAt || null,
+      };
+    }
+  }
+
+  return { asset, related };
+};
+
+// ============================================
+// EQUIPMENT METERS & ATTACHMENTS
+// ============================================
+
+/**
+ * Log an engine-hour reading for a piece of equipment
+ * Readings below the current meter are rejected unless marked as a correction
+ * @param {object} data - { engineHours, readAt, notes, isCorrection }
+ */
+const recordMeterReading = async (tenantId, assetId, data, recordedBy) => {
+  const asset = await firestoreService.getAsset(tenantId, assetId);
+  if (!asset || asset.assetType !== ModuleAssetType.EQUIPMENT) {
+    throw new Error('Equipment not found');
+  }
+
+  const { engineHours, notes, isCorrection = false } = data;
+  if (engineHours === undefined || engineHours === null) {
+    throw new Error('An engine hour reading is required');
+  }
+
+  const currentHours = asset.engineHours?.value ?? null;
+  if (!isCorrection && currentHours !== null && engineHours < currentHours) {
+    throw new Error(`Engine hour reading is below the current ${currentHours.toLocaleString('en-US')}`);
+  }
+
+  const readAt = data.readAt ? new Date(data.readAt) : new Date();
+  const readingRef = readingsCollection(tenantId, assetId).doc();
+  const reading = {
+    assetId,
+    engineHours,
+    readAt,
+    isCorrection,
+    notes: notes || null,
+    recordedBy,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  await readingRef.set(reading);
+
+  // Back-dated readings stay in the log without winding the meter back
+  if (readAt.getTime() >= toMillis(asset.engineHours?.recordedAt)) {
+    await firestoreService.updateAsset(tenantId, assetId, {
+      engineHours: { value: engineHours, recordedAt: readAt.toISOString() },
+    });
+  }
+
+  return { id: readingRef.id, ...reading, createdAt: new Date() };
+};
+
+/**
+ * Meter readings for a piece of equipment, newest first
+ */
+const getMeterReadings = async (tenantId, assetId, options = {}) => {
+  const { limit = 100 } = options;
+
+  const snapshot = await readingsCollection(tenantId, assetId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => toMillis(b.readAt) - toMillis(a.readAt))
+    .slice(0, parseInt(limit) || 100);
+};
+
+/**
+ * Hook an implement onto a tractor, vehicle or other piece of equipment
+ * An implement already on another host is moved across
+ */
+const attachImplement = async (tenantId, implementId, hostId, updatedBy) => {
+  if (implementId === hostId) {
+    throw new Error('Equipment cannot be attached to itself');
+  }
+
+  const [implement, host] = await Promise.all([
+    firestoreService.getAsset(tenantId, implementId),
+    firestoreService.getAsset(tenantId, hostId),
+  ]);
+
+  if (!implement || implement.assetType !== ModuleAssetType.EQUIPMENT) {
+    throw new Error('Equipment not found');
+  }
+  if (!host || ![ModuleAssetType.EQUIPMENT, 'VEHICLE'].includes(host.assetType)) {
+    throw new Error('Equipment can only be attached to a vehicle or other equipment');
+  }
+  if (host.attachedToId === implementId) {
+    throw new Error(`${host.name} is attached to ${implement.name}`);
+  }
+
+  return firestoreService.updateAsset(tenantId, implementId, {
+    attachedToId: host.id,
+    attachedToType: host.assetType,
+    attachedToName: host.name,
+    attachedAt: new Date().toISOString(),
+    updatedBy,
+  });
+};
+
+/**
+ * Unhook an implement from whatever it's attached to
+ */
+const detachImplement = async (tenantId, implementId, updatedBy) => {
+  const implement = await firestoreService.getAsset(tenantId, implementId);
+  if (!implement || implement.assetType !== ModuleAssetType.EQUIPMENT) {
+    throw new Error('Equipment not found');
+  }
+
+  return firestoreService.updateAsset(tenantId, implementId, {
+    attachedToId: null,
+    attachedToType: null,
+    attachedToName: null,
+    attachedAt: null,
+    updatedBy,
+  });
+};
+
+// ============================================
+// TOOL CHECK-OUT / CHECK-IN
+// ============================================
+
+/**
+ * Check a tool out to a contact
+ * @param {object} data - { contactId, dueBackAt, condition, notes }
+ */
+const checkOutTool = async (tenantId, toolId, data, checkedOutBy) => {
+  const tool = await firestoreService.getAsset(tenantId, toolId);
+  if (!tool || tool.assetType !== ModuleAssetType.TOOL) {
+    throw new Error('Tool not found');
+  }
+  if (tool.status !== 'ACTIVE') {
+    throw new Error(`${tool.name} is not active`);
+  }
+  if (tool.checkout) {
+    throw new Error(`${tool.name} is already checked out to ${tool.checkout.contactName}`);
+  }
+
+  const contact = await getContact(tenantId, data.contactId);
+  if (!contact) {
+    throw new Error('Contact not found');
+  }
+
+  const checkedOutAt = data.checkedOutAt ? new Date(data.checkedOutAt) : new Date();
+  const checkoutRef = checkoutsCollection(tenantId).doc();
+  const checkout = {
+    toolId,
+    toolName: tool.name,
+    siteId: tool.siteId || null,
+    contactId: contact.id,
+    contactName: contact.name,
+    checkedOutAt,
+    dueBackAt: data.dueBackAt ? new Date(data.dueBackAt) : null,
+    conditionOut: data.condition || ToolCondition.GOOD,
+    notesOut: data.notes || null,
+    checkedOutBy,
+    checkedInAt: null,
+    conditionIn: null,
+    notesIn: null,
+    checkedInBy: null,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  await checkoutRef.set(checkout);
+
+  await firestoreService.updateAsset(tenantId, toolId, {
+    checkout: {
+      checkoutId: checkoutRef.id,
+      contactId: contact.id,
+      contactName: contact.name,
+      checkedOutAt: checkedOutAt.toISOString(),
+      dueBackAt: checkout.dueBackAt ? checkout.dueBackAt.toISOString() : null,
+    },
+    updatedBy: checkedOutBy,
+  });
+
+  return { id: checkoutRef.id, ...checkout, createdAt: new Date() };
+};
+
+/**
+ * Check a tool back in; a tool that comes back LOST is marked lost
+ * @param {object} data - { condition, notes }
+ */
+const checkInTool = async (tenantId, toolId, data, checkedInBy) => {
+  const tool = await firestoreService.getAsset(tenantId, toolId);
+  if (!tool || tool.assetType !== ModuleAssetType.TOOL) {
+    throw new Error('Tool not found');
+  }
+  if (!tool.checkout) {
+    throw new Error(`${tool.name} is not checked out`);
+  }
+
+  const condition = data.condition || ToolCondition.GOOD;
+  const checkedInAt = data.checkedInAt ? new Date(data.checkedInAt) : new Date();
+
+  await checkoutsCollection(tenantId).doc(tool.checkout.checkoutId).update({
+    checkedInAt,
+    conditionIn: condition,
+    notesIn: data.notes || null,
+    checkedInBy,
+  });
+
+  const toolUpdates = { checkout: null, condition, updatedBy: checkedInBy };
+  if (condition === ToolCondition.LOST) {
+    Object.assign(toolUpdates, {
+      status: 'LOST',
+      disposedAt: checkedInAt.toISOString(),
+      disposalNotes: `Lost while checked out to ${tool.checkout.contactName}`,
+    });
+  }
+
+  return firestoreService.updateAsset(tenantId, toolId, toolUpdates);
+};
+
+/**
+ * Check-out history, newest first
+ * @param {object} options - { toolId, contactId, openOnly, limit }
+ */
+const getCheckouts = async (tenantId, options = {}) => {
+  const { toolId, contactId, openOnly = false, limit = 100 } = options;
+
+  let query = checkoutsCollection(tenantId);
+  if (toolId) {
+    query = query.where('toolId', '==', toolId);
+  } else if (contactId) {
+    query = query.where('contactId', '==', contactId);
+  }
+
+  const snapshot = await query.get();
+  const now = Date.now();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((checkout) => (!contactId || checkout.contactId === contactId) && (!openOnly || !checkout.checkedInAt))
+    .map((checkout) => ({
+      ...checkout,
+      isOverdue: !checkout.checkedInAt && Boolean(checkout.dueBackAt) && toMillis(checkout.dueBackAt) < now,
+    }))
+    .sort((a, b) => toMillis(b.checkedOutAt) - toMillis(a.checkedOutAt))
+    .slice(0, parseInt(limit) || 100);
+};
+
+module.exports = {
+  // Enums
+  ModuleAssetType,
+  EquipmentType,
+  ToolType,
+  InfrastructureType,
+  ToolCondition,
+
+  // Assets
+  isModuleType,
+  createAsset,
+  updateAsset,
+  listAssets,
+  getAssetDetail,
+
+  // Equipment
+  recordMeterReading,
+  getMeterReadings,
+  attachImplement,
+  detachImplement,
+
+  // Tools
+  checkOutTool,
+  checkInTool,
+  getCheckouts,
+};
@@ -0,0 +1,269 @@
+/**
+ * Attachment Service
+ * Documents and photos kept against records: vet papers and registration
+ * certificates on animals, scanned invoices on vendor bills, photos of a
+ * finished chore on its task occurrence. File bytes go to the configured
+ * storage backend; metadata lives in the tenant's attachments collection.
+ * Every upload counts toward the plan's storageGB limit.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const p2pService = require('./p2p-service');
+const planLimitsService = require('./plan-limits-service');
+const storageService = require('./storage-service');
+const JournalEntry = require('../models/JournalEntry');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const AttachmentEntityType = {
+  ANIMAL: 'ANIMAL',
+  VEHICLE: 'VEHICLE',
+  LAND_TRACT: 'LAND_TRACT',
+  VENDOR_BILL: 'VENDOR_BILL',
+  RECEIPT: 'RECEIPT',
+  TASK_OCCURRENCE: 'TASK_OCCURRENCE',
+  JOURNAL_ENTRY: 'JOURNAL_ENTRY',
+};
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const ALLOWED_CONTENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/heic',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+const attachmentsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('attachments');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  if (value._seconds) return value._seconds * 1000;
+  return new Date(value).getTime();
+};
+
+// Keep file names readable in storage keys without letting them add path segments
+const safeFileName = (fileName) =>
+  (fileName || 'file').replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '').slice(-120) || 'file';
+
+/**
+ * Look up the record a file is being attached to
+ * Returns a display label, or null if the record does not exist
+ */
+const getEntityLabel = async (tenantId, entityType, entityId) => {
+  switch (entityType) {
+    case AttachmentEntityType.ANIMAL: {
+      const animal = await firestoreService.getAnimal(tenantId, entityId);
+      return animal ? animal.name || animal.tagNumber || 'Animal' : null;
+    }
+    case AttachmentEntityType.VEHICLE: {
+      const vehicle = await firestoreService.getVehicle(tenantId, entityId);
+      return vehicle ? vehicle.name : null;
+    }
+    case AttachmentEntityType.LAND_TRACT: {
+      const tract = await firestoreService.getLandTract(tenantId, entityId);
+      return tract ? tract.name : null;
+    }
+    case AttachmentEntityType.VENDOR_BILL: {
+      const bill = await p2pService.getVendorBill(tenantId, entityId);
+      return bill ? bill.internalNumber || bill.billNumber || 'Vendor bill' : null;
+    }
+    case AttachmentEntityType.RECEIPT: {
+      const receipt = await p2pService.getReceipt(tenantId, entityId);
+      return receipt ? receipt.receiptNumber || 'Receipt' : null;
+    }
+    case AttachmentEntityType.TASK_OCCURRENCE: {
+      const occurrence = await firestoreService.getTaskOccurrence(tenantId, entityId);
+      return occurrence ? occurrence.name || 'Task' : null;
+    }
+    case AttachmentEntityType.JOURNAL_ENTRY: {
+      if (!mongoose.isValidObjectId(entityId)) return null;
+      const entry = await JournalEntry.findOne({ _id: entityId, tenantId }).lean();
+      return entry ? entry.entryNumber || 'Journal entry' : null;
+    }
+    default:
+      throw new Error(`Attachments are not supported on ${entityType}`);
+  }
+};
+
+// The storage key stays server-side; files are fetched through the download route
+const formatAttachment = (id, data) => {
+  const attachment = { id, ...data };
+  delete attachment.storageKey;
+  return attachment;
+};
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+/**
+ * Store a file against a record
+ * The file arrives base64-encoded. Storage is reserved against the plan
+ * before the file is written and released again if the write fails; an
+ * error carrying planLimit is thrown when the plan has no room left.
+ */
+const uploadAttachment = async (tenantId, plan, data, uploadedBy) => {
+  const { entityType, entityId, fileName, contentType, description } = data;
+
+  if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+    throw new Error(`Files of type ${contentType || 'unknown'} cannot be attached`);
+  }
+
+  const buffer = Buffer.from(data.data || '', 'base64');
+  if (buffer.length === 0) {
+    throw new Error('File is empty');
+  }
+  if (buffer.length > MAX_FILE_BYTES) {
+    throw new Error(`Files must be ${MAX_FILE_BYTES / (1024 * 1024)} MB or smaller`);
+  }
+
+  const entityLabel = await getEntityLabel(tenantId, entityType, entityId);
+  if (!entityLabel) {
+    throw new Error('Record not found');
+  }
+
+  const planLimit = await planLimitsService.checkAndIncrement(tenantId, plan, 'storageGB', buffer.length);
+  if (!planLimit.allowed) {
+    const error = new Error('Not enough file storage left on your plan');
+    error.planLimit = { ...planLimit, plan };
+    throw error;
+  }
+
+  const ref = attachmentsCollection(tenantId).doc();
+  const storageBackend = storageService.getDefaultBackendName();
+  const storageKey = `${tenantId}/${entityType.toLowerCase()}/${entityId}/${ref.id}-${safeFileName(fileName)}`;
+
+  try {
+    await storageService.getBackend(storageBackend).put(storageKey, buffer, contentType);
+  } catch (storageError) {
+    await planLimitsService.decrementUsage(tenantId, 'storageGB', buffer.length);
+    throw storageError;
+  }
+
+  const attachment = {
+    entityType,
+    entityId,
+    entityLabel,
+    fileName: fileName || 'file',
+    contentType,
+    sizeBytes: buffer.length,
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+    description: description || null,
+    storageBackend,
+    storageKey,
+    uploadedBy,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  try {
+    await ref.set(attachment);
+  } catch (metadataError) {
+    // Without its record the stored file could never be found or deleted
+    await storageService.getBackend(storageBackend).remove(storageKey);
+    await planLimitsService.decrementUsage(tenantId, 'storageGB', buffer.length);
+    throw metadataError;
+  }
+
+  return formatAttachment(ref.id, { ...attachment, createdAt: new Date() });
+};
+
+/**
+ * List attachments on a record, newest first
+ */
+const listAttachments = async (tenantId, entityType, entityId) => {
+  const snapshot = await attachmentsCollection(tenantId)
+    .where('entityType', '==', entityType)
+    .where('entityId', '==', entityId)
+    .get();
+
+  return snapshot.docs
+    .map((doc) => formatAttachment(doc.id, doc.data()))
+    .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+};
+
+/**
+ * Get attachment metadata
+ */
+const getAttachment = async (tenantId, attachmentId) => {
+  const doc = await attachmentsCollection(tenantId).doc(attachmentId).get();
+  return doc.exists ? formatAttachment(doc.id, doc.data()) : null;
+};
+
+/**
+ * Read an attachment's bytes from the backend that stored it
+ * Returns { attachment, buffer } or null
+ */
+const readAttachment = async (tenantId, attachmentId) => {
+  const doc = await attachmentsCollection(tenantId).doc(attachmentId).get();
+  if (!doc.exists) return null;
+
+  const { storageBackend, storageKey } = doc.data();
+  const buffer = await storageService.getBackend(storageBackend).get(storageKey);
+  if (!buffer) {
+    throw new Error('File is missing from storage');
+  }
+
+  return { attachment: formatAttachment(doc.id, doc.data()), buffer };
+};
+
+/**
+ * Update an attachment's description
+ */
+const updateAttachment = async (tenantId, attachmentId, data) => {
+  const ref = attachmentsCollection(tenantId).doc(attachmentId);
+  await ref.update({ description: data.description || null });
+  const doc = await ref.get();
+  return formatAttachment(doc.id, doc.data());
+};
+
+/**
+ * Delete an attachment and give its storage back to the plan
+ */
+const deleteAttachment = async (tenantId, attachmentId) => {
+  const ref = attachmentsCollection(tenantId).doc(attachmentId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  const { storageBackend, storageKey, sizeBytes } = doc.data();
+  await storageService.getBackend(storageBackend).remove(storageKey);
+  await ref.delete();
+  await planLimitsService.decrementUsage(tenantId, 'storageGB', sizeBytes || 0);
+
+  return true;
+};
+
+module.exports = {
+  // Enums
+  AttachmentEntityType,
+  ALLOWED_CONTENT_TYPES,
+  MAX_FILE_BYTES,
+
+  // Attachments
+  uploadAttachment,
+  listAttachments,
+  getAttachment,
+  readAttachment,
+  updateAttachment,
+  deleteAttachment,
+};
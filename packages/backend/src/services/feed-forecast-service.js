@@ -0,0 +1,203 @@
+/**
+ * Feed Forecast Service
+ * Projects days-on-hand for each feed item at a site from the trailing
+ * consumption rate, and raises requisitions ahead of the projected stock-out.
+ */
+
+const { db } = require('../config/firebase-admin');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_LOOKBACK_DAYS = 14;
+const MAX_LOOKBACK_DAYS = 90;
+
+// Used when neither the item nor the tenant sets a reorder lead time
+const DEFAULT_LEAD_TIME_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movement types that represent feed leaving inventory to be eaten
+const CONSUMPTION_TYPES = [
+  firestoreService.MovementType.CONSUMPTION,
+  firestoreService.MovementType.ISSUE,
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Sum consumed quantity per item at a site since a date
+ * Covers both posting-engine movements (type) and task movements (movementType)
+ */
+const getTrailingConsumption = async (tenantId, siteId, since) => {
+  const snapshot = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('inventoryMovements')
+    .where('siteId', '==', siteId)
+    .where('occurredAt', '>=', since)
+    .get();
+
+  const consumed = new Map();
+  snapshot.docs.forEach((doc) => {
+    const movement = doc.data();
+    const type = movement.type || movement.movementType;
+    if (!CONSUMPTION_TYPES.includes(type)) return;
+
+    const qty = Math.abs(parseFloat(movement.qty) || 0);
+    consumed.set(movement.itemId, (consumed.get(movement.itemId) || 0) + qty);
+  });
+
+  return consumed;
+};
+
+/**
+ * Planned daily usage per item from the site's active ration plans
+ * Used when an item has no consumption history yet
+ */
+const getRationDailyUsage = async (tenantId, siteId) => {
+  const plans = await firestoreService.getRationPlans(tenantId, { siteId, active: true });
+  const usage = new Map();
+
+  for (const plan of plans) {
+    const group = await firestoreService.getAnimalGroup(tenantId, plan.groupId);
+    const dailyFeed = firestoreService.computeRationDailyFeed(plan, group?.animalCount || 0);
+    dailyFeed.forEach((line) => {
+      usage.set(line.itemId, (usage.get(line.itemId) || 0) + line.totalQty);
+    });
+  }
+
+  return usage;
+};
+
+// ============================================
+// FORECAST
+// ============================================
+
+/**
+ * Project feed runway for every FEED item stocked at a site
+ * @param {string} tenantId
+ * @param {string} siteId
+ * @param {object} [options] - { lookbackDays, itemId }
+ * @returns {Promise<{ siteId, lookbackDays, items: object[] }>} - Items sorted by days on hand, shortest first
+ */
+const getFeedRunway = async (tenantId, siteId, options = {}) => {
+  const lookbackDays = Math.min(
+    Math.max(parseInt(options.lookbackDays) || DEFAULT_LOOKBACK_DAYS, 1),
+    MAX_LOOKBACK_DAYS
+  );
+
+  const now = new Date();
+  const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+
+  const [tenant, balances, consumed, rationUsage] = await Promise.all([
+    firestoreService.getTenant(tenantId),
+    firestoreService.getSiteInventory(tenantId, siteId, { includeZeroQty: true }),
+    getTrailingConsumption(tenantId, siteId, since),
+    getRationDailyUsage(tenantId, siteId),
+  ]);
+
+  const tenantLeadTime = tenant?.settings?.feedReorderLeadTimeDays;
+
+  const items = balances
+    .filter((balance) => balance.item?.category === firestoreService.InventoryCategory.FEED)
+    .filter((balance) => !options.itemId || balance.itemId === options.itemId)
+    .map((balance) => {
+      const qtyOnHand = balance.qtyOnHand || 0;
+      const trailingUsage = (consumed.get(balance.itemId) || 0) / lookbackDays;
+      const plannedUsage = rationUsage.get(balance.itemId) || 0;
+      const dailyUsage = trailingUsage > 0 ? trailingUsage : plannedUsage;
+      const leadTimeDays = balance.item.reorderLeadTimeDays ?? tenantLeadTime ?? DEFAULT_LEAD_TIME_DAYS;
+
+      const daysOnHand = dailyUsage > 0 ? Math.max(0, qtyOnHand) / dailyUsage : null;
+      const stockOutDate = daysOnHand !== null
+        ? new Date(now.getTime() + daysOnHand * DAY_MS)
+        : null;
+      const reorderByDate = stockOutDate
+        ? new Date(stockOutDate.getTime() - leadTimeDays * DAY_MS)
+        : null;
+
+      return {
+        itemId: balance.itemId,
+        itemName: balance.item.name,
+        unit: balance.item.unit,
+        qtyOnHand,
+        reorderPoint: balance.item.reorderPoint ?? null,
+        trailingDailyUsage: trailingUsage,
+        rationDailyUsage: plannedUsage,
+        dailyUsage,
+        usageSource: trailingUsage > 0 ? 'TRAILING' : plannedUsage > 0 ? 'RATION' : null,
+        daysOnHand,
+        projectedStockOutDate: stockOutDate,
+        leadTimeDays,
+        reorderByDate,
+        reorderDue: daysOnHand !== null && daysOnHand <= leadTimeDays,
+      };
+    })
+    .sort((a, b) => (a.daysOnHand ?? Infinity) - (b.daysOnHand ?? Infinity));
+
+  return { siteId, lookbackDays, generatedAt: now, items };
+};
+
+/**
+ * Raise requisitions for feed items whose projected stock-out falls inside
+ * their lead time. Respects the tenant's autoReorderEnabled setting and skips
+ * items that already have an open requisition.
+ * @returns {Promise<{ forecast: object, requisitions: object[] }>}
+ */
+const triggerRunwayReorders = async (tenantId, siteId, createdBy, options = {}) => {
+  const forecast = await getFeedRunway(tenantId, siteId, options);
+  const requisitions = [];
+
+  for (const entry of forecast.items.filter((item) => item.reorderDue)) {
+    const requisition = await accountingService.checkAndTriggerReorder(
+      tenantId,
+      siteId,
+      entry.itemId,
+      createdBy,
+      {
+        runway: {
+          dailyUsage: entry.dailyUsage,
+          daysOnHand: entry.daysOnHand,
+          leadTimeDays: entry.leadTimeDays,
+        },
+      }
+    );
+    if (requisition) {
+      requisitions.push(requisition);
+    }
+  }
+
+  return { forecast, requisitions };
+};
+
+/**
+ * Re-check one feed item's runway after it is consumed
+ * Never throws, so it can follow a posting without failing it
+ */
+const checkItemRunway = async (tenantId, siteId, itemId, createdBy) => {
+  try {
+    const { requisitions } = await triggerRunwayReorders(tenantId, siteId, createdBy, { itemId });
+    return requisitions[0] || null;
+  } catch (error) {
+    console.error('Feed runway check failed:', error);
+    // Don't fail the main operation if the forecast fails
+    return null;
+  }
+};
+
+module.exports = {
+  // Constants
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_LEAD_TIME_DAYS,
+
+  // Forecast
+  getFeedRunway,
+  triggerRunwayReorders,
+  checkItemRunway,
+};
@@ -1,4 +1,6 @@
 const { db, admin } = require('../config/firebase-admin');
+const recurrenceRuleService = require('./recurrence-rule-service');
+const timezoneService = require('./timezone-service');
 const { FieldValue } = admin.firestore;
 
 /**
@@ -74,6 +76,23 @@ const updateTenant = async (tenantId, updates) => {
   return getTenant(tenantId);
 };
 
+/**
+ * Timezone a tenant (or one of its sites) schedules and reports in
+ */
+const getTenantTimezone = async (tenantId, siteId = null) => {
+  const tenant = await getTenant(tenantId);
+  return timezoneService.timezoneForSite(tenant, siteId);
+};
+
+/**
+ * Set or clear (timezone = null) a site's timezone override
+ */
+const setSiteTimezone = async (tenantId, siteId, timezone) => {
+  return updateTenant(tenantId, {
+    [`settings.siteTimezones.${siteId}`]: timezone || FieldValue.delete(),
+  });
+};
+
 // ============================================
 // USER OPERATIONS
 // ============================================
@@ -467,6 +486,7 @@ const releaseEventLock = async (tenantId, eventId) => {
  */
 const InventoryCategory = {
   FEED: 'FEED',
+  MEDICINE: 'MEDICINE',
   SEED: 'SEED',
   FERTILIZER: 'FERTILIZER',
   CHEMICAL: 'CHEMICAL',
@@ -492,6 +512,9 @@ const createInventoryItem = async (tenantId, itemData, createdBy) => {
     preferredVendor,
     glAccountCode,
     binId,
+    meatWithdrawalDays,
+    milkWithdrawalDays,
+    reorderLeadTimeDays,
   } = itemData;
 
   // Auto-generate SKU if not provided
@@ -527,9 +550,14 @@ const createInventoryItem = async (tenantId, itemData, createdBy) => {
     defaultCostPerUnit: defaultCostPerUnit || 0,
     reorderPoint: reorderPoint ?? null,
     reorderQty: reorderQty ?? null,
+    // Days from requisition to delivery - feed runway forecasts reorder this far ahead
+    reorderLeadTimeDays: reorderLeadTimeDays ?? null,
     preferredVendor: preferredVendor || null,
     glAccountCode: glAccountCode || null,
     binId: binId || null,
+    // Label withdrawal periods (MEDICINE items) - defaults for health records
+    meatWithdrawalDays: meatWithdrawalDays ?? null,
+    milkWithdrawalDays: milkWithdrawalDays ?? null,
     active: true,
     createdAt: FieldValue.serverTimestamp(),
     createdBy,
@@ -1027,16 +1055,27 @@ const updateRequisitionStatus = async (tenantId, reqId, status, updatedBy, notes
 
 /**
  * Check if reorder is needed for an item at a site
+ * @param {object} [options.runway] - Consumption forecast { dailyUsage, daysOnHand, leadTimeDays };
+ *   triggers a reorder once the projected stock-out falls inside the lead time,
+ *   even above the static reorder point
  */
-const checkReorderNeeded = async (tenantId, siteId, itemId) => {
+const checkReorderNeeded = async (tenantId, siteId, itemId, options = {}) => {
+  const { runway } = options;
+
   const item = await getInventoryItem(tenantId, itemId);
-  if (!item || item.reorderPoint === null) {
+  const hasReorderPoint = item && item.reorderPoint !== null && item.reorderPoint !== undefined;
+  if (!item || (!hasReorderPoint && !runway)) {
     return null; // No reorder point set
   }
 
   const balance = await getSiteInventoryBalance(tenantId, siteId, itemId);
 
-  if (balance.qtyOnHand <= item.reorderPoint) {
+  const belowReorderPoint = hasReorderPoint && balance.qtyOnHand <= item.reorderPoint;
+  const runwayTooShort = Boolean(
+    runway?.dailyUsage > 0 && runway.daysOnHand !== null && runway.daysOnHand <= runway.leadTimeDays
+  );
+
+  if (belowReorderPoint || runwayTooShort) {
     // Check if there's already a pending requisition
     const existingReqs = await db
       .collection('tenants')
@@ -1053,11 +1092,18 @@ const checkReorderNeeded = async (tenantId, siteId, itemId) => {
       .get();
 
     if (existingReqs.empty) {
+      // Runway reorders cover the lead time plus the usual reorder quantity
+      const runwayQty = runwayTooShort
+        ? Math.ceil(runway.dailyUsage * runway.leadTimeDays) + (item.reorderQty || 0)
+        : 0;
+
       return {
         needsReorder: true,
+        trigger: belowReorderPoint ? 'REORDER_POINT' : 'RUNWAY',
         currentQty: balance.qtyOnHand,
-        reorderPoint: item.reorderPoint,
-        suggestedQty: item.reorderQty || item.reorderPoint * 2,
+        reorderPoint: item.reorderPoint ?? null,
+        daysOnHand: runway?.daysOnHand ?? null,
+        suggestedQty: Math.max(item.reorderQty || (item.reorderPoint || 0) * 2, runwayQty),
         item,
       };
     }
@@ -1136,6 +1182,7 @@ const createAnimalGroup = async (tenantId, groupData, createdBy) => {
     description,
     location,
     capacity,
+    targetWeight,
   } = groupData;
 
   // Check for duplicate name
@@ -1166,6 +1213,7 @@ const createAnimalGroup = async (tenantId, groupData, createdBy) => {
     description: description || null,
     location: location || null,
     capacity: capacity ?? null,
+    targetWeight: targetWeight || null, // { value, unit } market/finish weight per head
     status: 'ACTIVE',
     animalCount: 0,
     totalCostBasis: 0, // Accumulated cost for CAPITALIZE mode
@@ -1303,9 +1351,10 @@ const updateGroupCostBasis = async (tenantId, groupId, costDelta) => {
 };
 
 /**
- * Create an individual animal
+ * Build the stored document for a new animal
+ * Shared by createAnimal and callers that write animals in their own batch.
  */
-const createAnimal = async (tenantId, animalData, createdBy) => {
+const buildAnimalDoc = (animalData, createdBy) => {
   const {
     siteId,
     groupId,
@@ -1327,27 +1376,7 @@ const createAnimal = async (tenantId, animalData, createdBy) => {
     notes,
   } = animalData;
 
-  // Check for duplicate tag number
-  const existingAnimal = await db
-    .collection('tenants')
-    .doc(tenantId)
-    .collection('animals')
-    .where('tagNumber', '==', tagNumber)
-    .where('status', '==', AnimalStatus.ACTIVE)
-    .limit(1)
-    .get();
-
-  if (!existingAnimal.empty) {
-    throw new Error(`An active animal with tag number "${tagNumber}" already exists`);
-  }
-
-  const animalRef = db
-    .collection('tenants')
-    .doc(tenantId)
-    .collection('animals')
-    .doc();
-
-  const animal = {
+  return {
     siteId,
     groupId: groupId || null,
     tagNumber,
@@ -1359,7 +1388,9 @@ const createAnimal = async (tenantId, animalData, createdBy) => {
     acquisitionDate: acquisitionDate ? new Date(acquisitionDate) : new Date(),
     color: color || null,
     markings: markings || null,
-    weight: weight || null,
+    weight: weight?.value
+      ? { ...weight, recordedAt: weight.recordedAt ? new Date(weight.recordedAt) : new Date() }
+      : null,
     sireId: sireId || null,
     damId: damId || null,
     acquisition: acquisition || null,
@@ -1374,6 +1405,35 @@ const createAnimal = async (tenantId, animalData, createdBy) => {
     createdBy,
     updatedAt: FieldValue.serverTimestamp(),
   };
+};
+
+/**
+ * Create an individual animal
+ */
+const createAnimal = async (tenantId, animalData, createdBy) => {
+  const { siteId, groupId, tagNumber, acquisitionDate, weight } = animalData;
+
+  // Check for duplicate tag number
+  const existingAnimal = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animals')
+    .where('tagNumber', '==', tagNumber)
+    .where('status', '==', AnimalStatus.ACTIVE)
+    .limit(1)
+    .get();
+
+  if (!existingAnimal.empty) {
+    throw new Error(`An active animal with tag number "${tagNumber}" already exists`);
+  }
+
+  const animalRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animals')
+    .doc();
+
+  const animal = buildAnimalDoc(animalData, createdBy);
 
   await animalRef.set(animal);
 
@@ -1382,6 +1442,19 @@ const createAnimal = async (tenantId, animalData, createdBy) => {
     await updateGroupAnimalCount(tenantId, groupId, 1);
   }
 
+  // Initial weight starts the weight history
+  if (weight?.value) {
+    await createWeighIn(tenantId, {
+      type: WeighInType.INDIVIDUAL,
+      animalId: animalRef.id,
+      groupId: groupId || null,
+      siteId,
+      weight: weight.value,
+      unit: weight.unit,
+      weighedAt: weight.recordedAt || acquisitionDate || new Date(),
+    }, createdBy);
+  }
+
   return {
     id: animalRef.id,
     ...animal,
@@ -1575,11 +1648,36 @@ const updateAnimal = async (tenantId, animalId, updates) => {
     }
   }
 
+  // A changed weight is a new scale reading - keep it in the history
+  const weightChanged = updates.weight?.value &&
+    (updates.weight.value !== currentAnimal.weight?.value ||
+      updates.weight.unit !== currentAnimal.weight?.unit);
+
+  if (weightChanged) {
+    updates.weight = {
+      value: updates.weight.value,
+      unit: updates.weight.unit || 'lbs',
+      recordedAt: updates.weight.recordedAt ? new Date(updates.weight.recordedAt) : new Date(),
+    };
+  }
+
   await animalRef.update({
     ...updates,
     updatedAt: FieldValue.serverTimestamp(),
   });
 
+  if (weightChanged) {
+    await createWeighIn(tenantId, {
+      type: WeighInType.INDIVIDUAL,
+      animalId,
+      groupId: updates.groupId !== undefined ? updates.groupId : currentAnimal.groupId,
+      siteId: updates.siteId || currentAnimal.siteId,
+      weight: updates.weight.value,
+      unit: updates.weight.unit,
+      weighedAt: updates.weight.recordedAt,
+    }, updates.updatedBy || null);
+  }
+
   return getAnimal(tenantId, animalId);
 };
 
@@ -1640,7 +1738,7 @@ const updateGroupAnimalCount = async (tenantId, groupId, delta) => {
  * Get animal statistics for a tenant
  */
 const getAnimalStats = async (tenantId, options = {}) => {
-  const { siteId } = options;
+  const { siteId, includeGrowth = true } = options;
 
   let query = db
     .collection('tenants')
@@ -1679,6 +1777,35 @@ const getAnimalStats = async (tenantId, options = {}) => {
     }
   });
 
+  // Group ADG and projected market-ready dates
+  if (includeGrowth) {
+    const groups = await getAnimalGroups(tenantId, { siteId });
+    const activeAnimals = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const since = new Date(Date.now() - WEIGHT_LOOKBACK_DAYS * DAY_MS);
+
+    // Only weigh-ins that can feed a group's growth: its group averages and
+    // the individual weigh-ins of active animals currently in a group
+    const [groupWeighIns, animalWeighIns] = await Promise.all([
+      getWeighInsIn(tenantId, 'groupId', groups.map((g) => g.id), {
+        type: WeighInType.GROUP_AVERAGE,
+        since,
+      }),
+      getWeighInsIn(tenantId, 'animalId', activeAnimals.filter((a) => a.groupId).map((a) => a.id), {
+        type: WeighInType.INDIVIDUAL,
+        since,
+      }),
+    ]);
+    const weighIns = [...groupWeighIns, ...animalWeighIns];
+
+    stats.groupGrowth = groups
+      .map((group) => computeGroupGrowth(
+        group,
+        activeAnimals.filter((a) => a.groupId === group.id),
+        weighIns
+      ))
+      .filter((growth) => growth.weighInCount > 0);
+  }
+
   return stats;
 };
 
@@ -1738,6 +1865,464 @@ const bulkMoveAnimals = async (tenantId, animalIds, targetGroupId, targetSiteId,
   return { movedCount: animalIds.length };
 };
 
+// ============================================
+// ANIMAL WEIGHT OPERATIONS
+// ============================================
+
+/**
+ * Weigh-in types
+ */
+const WeighInType = {
+  INDIVIDUAL: 'INDIVIDUAL', // Scale reading for one animal
+  GROUP_AVERAGE: 'GROUP_AVERAGE', // Pen/lot weighed together, stored per head
+};
+
+/**
+ * Typical market/finish weights (lbs per head) used when a group has no target
+ */
+const DEFAULT_MARKET_WEIGHTS_LBS = {
+  cattle: 1350,
+  pig: 280,
+  sheep: 130,
+  goat: 90,
+  turkey: 35,
+  chicken: 6,
+  duck: 7,
+  goose: 14,
+  rabbit: 5,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LBS_PER_KG = 2.20462;
+
+// How far back getAnimalStats looks for weigh-ins
+const WEIGHT_LOOKBACK_DAYS = 365;
+
+/**
+ * Normalize a Firestore Timestamp, Date or date string to a Date
+ */
+const toDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+/**
+ * Convert a weight between lbs and kg
+ */
+const convertWeight = (value, fromUnit, toUnit) => {
+  if (!value || fromUnit === toUnit) return value;
+  return fromUnit === 'kg' ? value * LBS_PER_KG : value / LBS_PER_KG;
+};
+
+/**
+ * Average daily gain between two weigh-ins (in the unit of the later one)
+ * @returns {number|null} - null when the readings are on the same day
+ */
+const computeAdg = (earlier, later) => {
+  const days = (toDateValue(later.weighedAt) - toDateValue(earlier.weighedAt)) / DAY_MS;
+  if (days < 1) return null;
+
+  const start = convertWeight(earlier.weight, earlier.unit, later.unit);
+  return (later.weight - start) / days;
+};
+
+/**
+ * Annotate a chronological weight history with ADG since the previous reading
+ */
+const annotateWeightHistory = (history) =>
+  history.map((entry, idx) => ({
+    ...entry,
+    adgSincePrevious: idx > 0 ? computeAdg(history[idx - 1], entry) : null,
+  }));
+
+/**
+ * Build the stored document for a weigh-in
+ */
+const buildWeighInDoc = (weighInData, createdBy) => {
+  const {
+    type,
+    animalId,
+    groupId,
+    siteId,
+    weight,
+    unit,
+    headCount,
+    weighedAt,
+    notes,
+  } = weighInData;
+
+  return {
+    type: type || WeighInType.INDIVIDUAL,
+    animalId: animalId || null,
+    groupId: groupId || null,
+    siteId: siteId || null,
+    weight: parseFloat(weight),
+    unit: unit || 'lbs',
+    headCount: type === WeighInType.GROUP_AVERAGE ? parseInt(headCount) || null : 1,
+    weighedAt: weighedAt ? toDateValue(weighedAt) : new Date(),
+    notes: notes || null,
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy: createdBy || null,
+  };
+};
+
+/**
+ * Record a weigh-in
+ */
+const createWeighIn = async (tenantId, weighInData, createdBy) => {
+  const weighInRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('weighIns')
+    .doc();
+
+  const weighIn = buildWeighInDoc(weighInData, createdBy);
+
+  await weighInRef.set(weighIn);
+
+  return {
+    id: weighInRef.id,
+    ...weighIn,
+    createdAt: new Date(),
+  };
+};
+
+/**
+ * Record a scale reading for one animal and make it the current weight
+ */
+const recordAnimalWeight = async (tenantId, animalId, weightData, createdBy) => {
+  const { weight, unit = 'lbs', weighedAt, notes } = weightData;
+
+  const animal = await getAnimal(tenantId, animalId);
+  if (!animal) {
+    throw new Error('Animal not found');
+  }
+
+  const weighIn = await createWeighIn(tenantId, {
+    type: WeighInType.INDIVIDUAL,
+    animalId,
+    groupId: animal.groupId,
+    siteId: animal.siteId,
+    weight,
+    unit,
+    weighedAt,
+    notes,
+  }, createdBy);
+
+  // Back-dated readings don't replace a newer current weight
+  const currentRecordedAt = toDateValue(animal.weight?.recordedAt);
+  if (!currentRecordedAt || weighIn.weighedAt >= currentRecordedAt) {
+    await db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('animals')
+      .doc(animalId)
+      .update({
+        weight: { value: weighIn.weight, unit: weighIn.unit, recordedAt: weighIn.weighedAt },
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+  }
+
+  return weighIn;
+};
+
+/**
+ * Record a group weigh-in (whole pen or lot on the scale)
+ * Accepts either the average per head or the total weight and head count.
+ */
+const recordGroupWeighIn = async (tenantId, groupId, weighInData, createdBy) => {
+  const { averageWeight, totalWeight, headCount, unit = 'lbs', weighedAt, notes } = weighInData;
+
+  const group = await getAnimalGroup(tenantId, groupId);
+  if (!group) {
+    throw new Error('Animal group not found');
+  }
+
+  const head = parseInt(headCount) || group.animalCount;
+  if (!averageWeight && !(totalWeight && head)) {
+    throw new Error('Either averageWeight, or totalWeight with a head count, is required');
+  }
+
+  const perHead = averageWeight ? parseFloat(averageWeight) : parseFloat(totalWeight) / head;
+
+  const weighIn = await createWeighIn(tenantId, {
+    type: WeighInType.GROUP_AVERAGE,
+    groupId,
+    siteId: group.siteId,
+    weight: perHead,
+    unit,
+    headCount: head,
+    weighedAt,
+    notes,
+  }, createdBy);
+
+  await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('animalGroups')
+    .doc(groupId)
+    .update({
+      lastWeighIn: {
+        averageWeight: weighIn.weight,
+        unit: weighIn.unit,
+        headCount: weighIn.headCount,
+        weighedAt: weighIn.weighedAt,
+      },
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+  return weighIn;
+};
+
+/**
+ * Get weigh-ins, oldest first
+ * Filters by animal or group in the query; date filtering is client-side
+ * to avoid composite index requirements.
+ */
+const getWeighIns = async (tenantId, options = {}) => {
+  const { animalId, groupId, type, since } = options;
+
+  let query = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('weighIns');
+
+  if (animalId) {
+    query = query.where('animalId', '==', animalId);
+  } else if (groupId) {
+    query = query.where('groupId', '==', groupId);
+  } else if (since) {
+    query = query.where('weighedAt', '>=', since);
+  }
+
+  const snapshot = await query.get();
+
+  let weighIns = snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      weighedAt: toDateValue(data.weighedAt),
+    };
+  });
+
+  if (type) {
+    weighIns = weighIns.filter((w) => w.type === type);
+  }
+  if (since && (animalId || groupId)) {
+    weighIns = weighIns.filter((w) => w.weighedAt >= since);
+  }
+
+  weighIns.sort((a, b) => a.weighedAt - b.weighedAt);
+
+  return weighIns;
+};
+
+/**
+ * Get weigh-ins for any of the given animals or groups
+ * Firestore 'in' queries accept at most 30 values, so lookups are chunked;
+ * date filtering is client-side as in getWeighIns.
+ */
+const getWeighInsIn = async (tenantId, field, values, options = {}) => {
+  const { type, since } = options;
+  const unique = [...new Set(values.filter(Boolean))];
+  const weighIns = [];
+
+  for (let i = 0; i < unique.length; i += 30) {
+    let query = db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('weighIns')
+      .where(field, 'in', unique.slice(i, i + 30));
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.get();
+    snapshot.docs.forEach((doc) => {
+      const data = doc.data();
+      const weighedAt = toDateValue(data.weighedAt);
+      if (!since || weighedAt >= since) {
+        weighIns.push({ id: doc.id, ...data, weighedAt });
+      }
+    });
+  }
+
+  return weighIns.sort((a, b) => a.weighedAt - b.weighedAt);
+};
+
+/**
+ * Weight history with ADG for one animal
+ * Lifetime ADG runs from the first to the latest weigh-in; weight per day of
+ * age is included when the birth date is known.
+ */
+const getAnimalWeightHistory = async (tenantId, animalId) => {
+  const animal = await getAnimal(tenantId, animalId);
+  if (!animal) {
+    throw new Error('Animal not found');
+  }
+
+  const history = annotateWeightHistory(await getWeighIns(tenantId, { animalId }));
+  const first = history[0] || null;
+  const latest = history[history.length - 1] || null;
+
+  let weightPerDayOfAge = null;
+  const birthDate = toDateValue(animal.dateOfBirth);
+  if (latest && birthDate) {
+    const ageDays = (latest.weighedAt - birthDate) / DAY_MS;
+    if (ageDays >= 1) {
+      weightPerDayOfAge = latest.weight / ageDays;
+    }
+  }
+
+  return {
+    history,
+    summary: {
+      latestWeight: latest ? { value: latest.weight, unit: latest.unit, weighedAt: latest.weighedAt } : null,
+      weighInCount: history.length,
+      latestAdg: latest?.adgSincePrevious ?? null,
+      lifetimeAdg: history.length > 1 ? computeAdg(first, latest) : null,
+      weightPerDayOfAge,
+      unit: latest?.unit || animal.weight?.unit || 'lbs',
+    },
+  };
+};
+
+/**
+ * Group growth: current average weight, ADG and projected market-ready date
+ * Uses group-average weigh-ins when there are at least two; otherwise averages
+ * the ADG of individually weighed animals currently in the group.
+ *
+ * @param {object} group - Animal group (with id)
+ * @param {object[]} animals - Active animals in the group (with id)
+ * @param {object[]} weighIns - Weigh-ins (any scope); filtered to this group here
+ */
+const computeGroupGrowth = (group, animals, weighIns, asOf = new Date()) => {
+  const groupAverages = weighIns
+    .filter((w) => w.type === WeighInType.GROUP_AVERAGE && w.groupId === group.id)
+    .sort((a, b) => toDateValue(a.weighedAt) - toDateValue(b.weighedAt));
+
+  const animalIds = new Set(animals.map((a) => a.id));
+  const byAnimal = {};
+  weighIns
+    .filter((w) => w.type === WeighInType.INDIVIDUAL && animalIds.has(w.animalId))
+    .forEach((w) => {
+      (byAnimal[w.animalId] = byAnimal[w.animalId] || []).push(w);
+    });
+
+  const unit = group.targetWeight?.unit ||
+    groupAverages[groupAverages.length - 1]?.unit ||
+    animals.find((a) => a.weight?.unit)?.weight.unit ||
+    'lbs';
+
+  let averageWeight = null;
+  let adg = null;
+  let lastWeighedAt = null;
+  let method = null;
+
+  if (groupAverages.length > 0) {
+    const latest = groupAverages[groupAverages.length - 1];
+    averageWeight = convertWeight(latest.weight, latest.unit, unit);
+    lastWeighedAt = toDateValue(latest.weighedAt);
+    method = WeighInType.GROUP_AVERAGE;
+
+    if (groupAverages.length > 1) {
+      const gain = computeAdg(groupAverages[0], latest);
+      adg = gain != null ? convertWeight(gain, latest.unit, unit) : null;
+    }
+  }
+
+  const individualEntries = Object.values(byAnimal);
+  if (adg == null && individualEntries.length > 0) {
+    const gains = [];
+    const latestWeights = [];
+
+    individualEntries.forEach((entries) => {
+      entries.sort((a, b) => toDateValue(a.weighedAt) - toDateValue(b.weighedAt));
+      const latest = entries[entries.length - 1];
+      latestWeights.push(convertWeight(latest.weight, latest.unit, unit));
+      if (!lastWeighedAt || toDateValue(latest.weighedAt) > lastWeighedAt) {
+        lastWeighedAt = toDateValue(latest.weighedAt);
+      }
+      if (entries.length > 1) {
+        const gain = computeAdg(entries[0], latest);
+        if (gain != null) gains.push(convertWeight(gain, latest.unit, unit));
+      }
+    });
+
+    if (averageWeight == null) {
+      averageWeight = latestWeights.reduce((sum, w) => sum + w, 0) / latestWeights.length;
+    }
+    if (gains.length > 0) {
+      adg = gains.reduce((sum, g) => sum + g, 0) / gains.length;
+      method = method || WeighInType.INDIVIDUAL;
+    }
+  }
+
+  // Target weight: group setting, else species default
+  let targetWeight = null;
+  if (group.targetWeight?.value) {
+    targetWeight = convertWeight(group.targetWeight.value, group.targetWeight.unit || 'lbs', unit);
+  } else if (DEFAULT_MARKET_WEIGHTS_LBS[group.species]) {
+    targetWeight = convertWeight(DEFAULT_MARKET_WEIGHTS_LBS[group.species], 'lbs', unit);
+  }
+
+  let projectedMarketReadyDate = null;
+  let daysToMarket = null;
+  if (targetWeight && averageWeight != null && lastWeighedAt) {
+    if (averageWeight >= targetWeight) {
+      projectedMarketReadyDate = lastWeighedAt;
+      daysToMarket = 0;
+    } else if (adg && adg > 0) {
+      projectedMarketReadyDate = new Date(
+        lastWeighedAt.getTime() + ((targetWeight - averageWeight) / adg) * DAY_MS
+      );
+      daysToMarket = Math.max(0, Math.ceil((projectedMarketReadyDate - asOf) / DAY_MS));
+    }
+  }
+
+  return {
+    groupId: group.id,
+    groupName: group.name,
+    species: group.species,
+    animalCount: group.animalCount,
+    unit,
+    averageWeight,
+    adg,
+    adgMethod: method,
+    lastWeighedAt,
+    targetWeight,
+    projectedMarketReadyDate,
+    daysToMarket,
+    weighInCount: groupAverages.length +
+      individualEntries.reduce((sum, entries) => sum + entries.length, 0),
+  };
+};
+
+/**
+ * Growth summary for one group
+ */
+const getGroupGrowth = async (tenantId, groupId) => {
+  const group = await getAnimalGroup(tenantId, groupId);
+  if (!group) {
+    throw new Error('Animal group not found');
+  }
+
+  const animals = await getAnimals(tenantId, { groupId, limit: 1000, skipOrder: true });
+  const [groupWeighIns, ...animalWeighIns] = await Promise.all([
+    getWeighIns(tenantId, { groupId, type: WeighInType.GROUP_AVERAGE }),
+    ...animals.map((a) => getWeighIns(tenantId, { animalId: a.id })),
+  ]);
+
+  return {
+    growth: computeGroupGrowth(group, animals, [...groupWeighIns, ...animalWeighIns.flat()]),
+    history: groupWeighIns,
+  };
+};
+
 // ============================================
 // TASK TEMPLATE OPERATIONS
 // ============================================
@@ -1811,6 +2396,9 @@ const createTaskTemplate = async (tenantId, templateData, createdBy) => {
     recurrence,
     linkedEventType,
     tools, // New field: tools needed for task
+    spatialFeatureId,
+    checklist,
+    captures,
     active,
   } = templateData;
 
@@ -1861,6 +2449,9 @@ const createTaskTemplate = async (tenantId, templateData, createdBy) => {
     },
     linkedEventType: linkedEventType || null, // e.g., 'FEED_LIVESTOCK' to auto-create event
     tools: tools || [], // Tools needed for this task
+    spatialFeatureId: spatialFeatureId || null, // Map feature the task checks, e.g. a fence segment
+    checklist: checklist || [], // Steps to check off: [{key, label, required}]
+    captures: captures || [], // Data recorded on completion: [{key, label, type, unit, required, min, max}]
     active: active ?? true,
     createdAt: FieldValue.serverTimestamp(),
     createdBy,
@@ -1964,6 +2555,17 @@ const updateTaskTemplate = async (tenantId, templateId, updates) => {
     updatedAt: FieldValue.serverTimestamp(),
   });
 
+  // A new schedule (or reactivation) applies to days already generated ahead
+  if (updates.recurrence || updates.active === true) {
+    const runlists = await db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('runlists')
+      .where('templateIds', 'array-contains', templateId)
+      .get();
+    await Promise.all(runlists.docs.map((doc) => rewindRunlistWatermark(tenantId, doc.id)));
+  }
+
   return getTaskTemplate(tenantId, templateId);
 };
 
@@ -2034,6 +2636,7 @@ const createRunlist = async (tenantId, runlistData, createdBy) => {
   // Get tenant timezone if not specified
   const tenant = await getTenant(tenantId);
   const runlistTimezone = timezone || tenant?.timezone || 'America/New_York';
+  const today = timezoneService.dateKeyInTimezone(new Date(), timezoneService.timezoneForSite(tenant, siteId));
 
   const runlistRef = db
     .collection('tenants')
@@ -2046,8 +2649,9 @@ const createRunlist = async (tenantId, runlistData, createdBy) => {
     description: description || null,
     siteId: siteId || null, // null = all sites
     status: RunlistStatus.DRAFT,
-    startDate: startDate ? new Date(startDate) : new Date(),
-    endDate: endDate ? new Date(endDate) : null,
+    // Calendar dates, held as server-local midnight
+    startDate: timezoneService.toCalendarDate(startDate || today),
+    endDate: endDate ? timezoneService.toCalendarDate(endDate) : null,
     templateIds: templateIds || [],
     defaultAssigneeId: defaultAssigneeId || null,
     scheduleTime: scheduleTime || '08:00', // Default 8 AM
@@ -2153,14 +2757,42 @@ const updateRunlist = async (tenantId, runlistId, updates) => {
     }
   }
 
+  const dates = {};
+  if (updates.startDate) dates.startDate = timezoneService.toCalendarDate(updates.startDate);
+  if (updates.endDate) dates.endDate = timezoneService.toCalendarDate(updates.endDate);
+
   await runlistRef.update({
     ...updates,
+    ...dates,
     updatedAt: FieldValue.serverTimestamp(),
   });
 
+  // Days already generated ahead need the new template list too
+  if (updates.templateIds) {
+    await rewindRunlistWatermark(tenantId, runlistId);
+  }
+
   return getRunlist(tenantId, runlistId);
 };
 
+/**
+ * Pull a runlist's generation watermark back to yesterday so the next run
+ * revisits the days already generated ahead (after its templates or their
+ * schedules change). Existing occurrences are skipped, so only new ones appear.
+ */
+const rewindRunlistWatermark = async (tenantId, runlistId) => {
+  const runlistRef = db.collection('tenants').doc(tenantId).collection('runlists').doc(runlistId);
+  const doc = await runlistRef.get();
+  if (!doc.exists) return;
+
+  const watermark = getRunlistWatermark(doc.data());
+  const timezone = await getTenantTimezone(tenantId, doc.data().siteId);
+  const yesterday = timezoneService.addDaysToKey(timezoneService.dateKeyInTimezone(new Date(), timezone), -1);
+  if (watermark && watermark > yesterday) {
+    await runlistRef.update({ generatedThroughDate: yesterday });
+  }
+};
+
 /**
  * Activate a runlist
  */
@@ -2240,9 +2872,10 @@ const TaskOccurrenceStatus = {
 };
 
 /**
- * Create a task occurrence (generated from template)
+ * Build a task occurrence document from occurrence data and its template
+ * Shared by single creates and batched runlist generation
  */
-const createTaskOccurrence = async (tenantId, occurrenceData, createdBy) => {
+const buildTaskOccurrence = (occurrenceData, template, createdBy) => {
   const {
     templateId,
     runlistId,
@@ -2275,27 +2908,26 @@ const createTaskOccurrence = async (tenantId, occurrenceData, createdBy) => {
     description: customDescription,
     // Sort order for manual reordering
     sortOrder,
-  } = occurrenceData;
-
-  // Get template for defaults
-  let template = null;
-  if (templateId) {
-    template = await getTaskTemplate(tenantId, templateId);
-  }
-
-  const occurrenceRef = db
-    .collection('tenants')
-    .doc(tenantId)
-    .collection('taskOccurrences')
-    .doc();
+    // Set on feeding tasks generated from a group ration plan
+    category: customCategory,
+    rationPlanId,
+    // Map feature the task checks (fence segment, tank, gate...)
+    spatialFeatureId,
+    // Vehicle service plan the task was generated from
+    vehicleId,
+    maintenancePlanId,
+    // Checklist steps and data captures for ad-hoc tasks
+    checklist,
+    captures,
+  } = occurrenceData;
 
-  const occurrence = {
+  return {
     templateId: templateId || null,
     runlistId: runlistId || null,
     siteId: siteId || template?.siteIds?.[0] || null,
     name: customName || template?.name || 'Ad-hoc Task',
     description: customDescription || template?.description || null,
-    category: template?.category || TaskCategory.OTHER,
+    category: customCategory || template?.category || TaskCategory.OTHER,
     instructions: template?.instructions || null,
     status: TaskOccurrenceStatus.SCHEDULED,
     priority: priority || template?.priority || TaskPriority.MEDIUM,
@@ -2314,6 +2946,15 @@ const createTaskOccurrence = async (tenantId, occurrenceData, createdBy) => {
     inventoryConsumed: [], // Filled in upon completion
     linkedEventId: linkedEventId || null,
     linkedEventType: template?.linkedEventType || null,
+    rationPlanId: rationPlanId || null,
+    spatialFeatureId: spatialFeatureId || template?.spatialFeatureId || null,
+    // Snapshot of the template's checklist and captures, filled in on completion
+    checklist: checklist || template?.checklist || [],
+    captures: captures || template?.captures || [],
+    checklistResults: [],
+    captureResults: [],
+    vehicleId: vehicleId || null,
+    maintenancePlanId: maintenancePlanId || null,
     // Event fields (for major tasks/events)
     isEvent: isEvent || false,
     eventType: eventType || null, // feeding, treatment, purchase, sale, maintenance, labor, breeding, birth, death, harvest, custom
@@ -2338,6 +2979,41 @@ const createTaskOccurrence = async (tenantId, occurrenceData, createdBy) => {
     createdBy,
     updatedAt: FieldValue.serverTimestamp(),
   };
+};
+
+/**
+ * Create a task occurrence (generated from template)
+ */
+const createTaskOccurrence = async (tenantId, occurrenceData, createdBy) => {
+  // Get template for defaults
+  let template = null;
+  if (occurrenceData.templateId) {
+    template = await getTaskTemplate(tenantId, occurrenceData.templateId);
+  }
+
+  const occurrenceRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('taskOccurrences')
+    .doc();
+
+  // Bare dates (YYYY-MM-DD) are days on the farm's clock: scheduled from
+  // local midnight, due through the end of the local day
+  const { scheduledDate, dueDate } = occurrenceData;
+  let dates = {};
+  if (timezoneService.isDateKey(scheduledDate) || timezoneService.isDateKey(dueDate)) {
+    const timezone = await getTenantTimezone(tenantId, occurrenceData.siteId || template?.siteIds?.[0]);
+    dates = {
+      scheduledDate: timezoneService.isDateKey(scheduledDate)
+        ? timezoneService.startOfDayInTimezone(scheduledDate, timezone)
+        : scheduledDate,
+      dueDate: timezoneService.isDateKey(dueDate)
+        ? timezoneService.endOfDayInTimezone(dueDate, timezone)
+        : dueDate,
+    };
+  }
+
+  const occurrence = buildTaskOccurrence({ ...occurrenceData, ...dates }, template, createdBy);
 
   await occurrenceRef.set(occurrence);
 
@@ -2392,12 +3068,19 @@ const getTaskOccurrences = async (tenantId, options = {}) => {
 
   query = query.orderBy('scheduledDate', 'asc');
 
-  if (startDate) {
-    query = query.where('scheduledDate', '>=', new Date(startDate));
+  // Bare dates cover whole days in the tenant's (or site's) timezone
+  let timezone = options.timezone;
+  if (!timezone && (timezoneService.isDateKey(startDate) || timezoneService.isDateKey(endDate))) {
+    timezone = await getTenantTimezone(tenantId, siteId);
+  }
+  const range = timezoneService.dateRangeInTimezone(startDate, endDate, timezone);
+
+  if (range.start) {
+    query = query.where('scheduledDate', '>=', range.start);
   }
 
-  if (endDate) {
-    query = query.where('scheduledDate', '<=', new Date(endDate));
+  if (range.end) {
+    query = query.where('scheduledDate', '<=', range.end);
   }
 
   query = query.limit(limit);
@@ -2514,6 +3197,9 @@ const completeTaskOccurrence = async (tenantId, occurrenceId, completionData, us
     inventoryReceived,
     labor,
     vendor,
+    // Validated by task-capture-service
+    checklistResults,
+    captureResults,
   } = completionData;
 
   const occurrence = await getTaskOccurrence(tenantId, occurrenceId);
@@ -2556,6 +3242,8 @@ const completeTaskOccurrence = async (tenantId, occurrenceId, completionData, us
   if (inventoryReceived !== undefined) updateData.inventoryReceived = inventoryReceived;
   if (labor !== undefined) updateData.labor = labor;
   if (vendor !== undefined) updateData.vendor = vendor;
+  if (checklistResults !== undefined) updateData.checklistResults = checklistResults;
+  if (captureResults !== undefined) updateData.captureResults = captureResults;
 
   return updateTaskOccurrence(tenantId, occurrenceId, updateData);
 };
@@ -2658,12 +3346,19 @@ const getTaskStats = async (tenantId, options = {}) => {
     query = query.where('assignedToUserId', '==', assignedToUserId);
   }
 
-  if (startDate) {
-    query = query.where('scheduledDate', '>=', new Date(startDate));
+  // Bare dates cover whole days in the tenant's (or site's) timezone
+  const range = timezoneService.dateRangeInTimezone(
+    startDate,
+    endDate,
+    await getTenantTimezone(tenantId, siteId)
+  );
+
+  if (range.start) {
+    query = query.where('scheduledDate', '>=', range.start);
   }
 
-  if (endDate) {
-    query = query.where('scheduledDate', '<=', new Date(endDate));
+  if (range.end) {
+    query = query.where('scheduledDate', '<=', range.end);
   }
 
   const snapshot = await query.get();
@@ -2727,70 +3422,134 @@ const getTaskStats = async (tenantId, options = {}) => {
   return stats;
 };
 
+// Firestore caps a batch at 500 writes
+const OCCURRENCE_BATCH_SIZE = 400;
+
 /**
- * Generate task occurrences for a single date from active runlists
- * This is the core generation logic for one day
+ * Deterministic ID for a runlist occurrence, so overlapping or repeated
+ * generation runs resolve to the same document instead of a duplicate
  */
-const generateTaskOccurrencesForSingleDate = async (tenantId, targetDate, runlist, createdBy) => {
-  const generatedOccurrences = [];
+const runlistOccurrenceId = (runlistId, templateId, dateKey) =>
+  `rl_${runlistId}_${templateId}_${dateKey.replace(/-/g, '')}`;
 
-  // Check if target date is within runlist range
-  const startDate = runlist.startDate?.toDate
-    ? runlist.startDate.toDate()
-    : new Date(runlist.startDate);
-  const endDate = runlist.endDate
-    ? (runlist.endDate.toDate ? runlist.endDate.toDate() : new Date(runlist.endDate))
-    : null;
-  const target = new Date(targetDate);
+/**
+ * Write new occurrence documents in batches with create(), which never
+ * overwrites. If a batch collides with a document another run just wrote,
+ * fall back to one-by-one creates and skip the ones that already exist.
+ * @returns {Promise<object[]>} The occurrences actually created
+ */
+const createOccurrencesBatched = async (entries) => {
+  const created = [];
+
+  for (let i = 0; i < entries.length; i += OCCURRENCE_BATCH_SIZE) {
+    const chunk = entries.slice(i, i + OCCURRENCE_BATCH_SIZE);
+    const batch = db.batch();
+    chunk.forEach(({ ref, occurrence }) => batch.create(ref, occurrence));
+
+    try {
+      await batch.commit();
+      created.push(...chunk);
+    } catch (error) {
+      if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+      for (const entry of chunk) {
+        try {
+          await entry.ref.create(entry.occurrence);
+          created.push(entry);
+        } catch (singleError) {
+          if (singleError.code !== 6) throw singleError;
+        }
+      }
+    }
+  }
+
+  return created.map(({ ref, occurrence }) => ({
+    id: ref.id,
+    ...occurrence,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  }));
+};
+
+/**
+ * Last date a runlist has been generated through (YYYY-MM-DD), or null
+ * Older runlists only carry lastGeneratedAt, which marked the day of the run.
+ */
+const getRunlistWatermark = (runlist) => {
+  if (runlist.generatedThroughDate) return runlist.generatedThroughDate;
+  if (!runlist.lastGeneratedAt) return null;
+  const lastGen = runlist.lastGeneratedAt.toDate
+    ? runlist.lastGeneratedAt.toDate()
+    : new Date(runlist.lastGeneratedAt);
+  return timezoneService.toDateKey(lastGen);
+};
+
+/**
+ * Generate one runlist's occurrences for the dates after its watermark up to
+ * a target date. Safe to run repeatedly: existing occurrences (including ones
+ * written before deterministic IDs) are skipped, and the watermark only moves
+ * forward once the writes have landed. Each day runs from local midnight to
+ * the end of the local day in the given timezone.
+ */
+const generateRunlistOccurrences = async (tenantId, runlist, throughKey, createdBy, timezone) => {
+  const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+  const toCalendarKey = (value) =>
+    timezoneService.toDateKey(timezoneService.toCalendarDate(value?.toDate ? value.toDate() : value));
+  const startKey = toCalendarKey(runlist.startDate);
+  const endKey = runlist.endDate ? toCalendarKey(runlist.endDate) : null;
+
+  const watermark = getRunlistWatermark(runlist);
+  let fromKey = watermark ? timezoneService.addDaysToKey(watermark, 1) : startKey;
+  if (fromKey < startKey) fromKey = startKey;
+  const toKey = endKey && endKey < throughKey ? endKey : throughKey;
+
+  if (fromKey > toKey) {
+    return []; // Already generated through the target date
+  }
+
+  const templates = (
+    await Promise.all((runlist.templateIds || []).map((id) => getTaskTemplate(tenantId, id)))
+  ).filter((template) => template && template.active);
+
+  const occurrencesRef = db.collection('tenants').doc(tenantId).collection('taskOccurrences');
+  const rangeStart = timezoneService.startOfDayInTimezone(fromKey, timezone);
+  const rangeEnd = timezoneService.endOfDayInTimezone(toKey, timezone);
+
+  // One query for the whole window catches occurrences from earlier on-demand runs
+  const existingSnapshot = await occurrencesRef
+    .where('runlistId', '==', runlist.id)
+    .where('scheduledDate', '>=', rangeStart)
+    .where('scheduledDate', '<=', rangeEnd)
+    .get();
+  const existing = new Set(
+    existingSnapshot.docs.map((doc) => {
+      const data = doc.data();
+      return `${data.templateId}|${timezoneService.dateKeyInTimezone(toDate(data.scheduledDate), timezone)}`;
+    })
+  );
+
+  const entries = [];
+  for (const dateKey of timezoneService.eachDateKey(fromKey, toKey)) {
+    // Scheduled at local midnight, due at the end of the local day
+    const scheduledDate = timezoneService.startOfDayInTimezone(dateKey, timezone);
+    const dueDate = timezoneService.endOfDayInTimezone(dateKey, timezone);
+
+    for (const template of templates) {
+      if (existing.has(`${template.id}|${dateKey}`)) continue;
+      const matches = checkRecurrenceMatch(
+        template.recurrence,
+        timezoneService.dateKeyToDate(dateKey),
+        timezoneService.dateKeyToDate(startKey)
+      );
+      if (!matches) continue;
 
-  if (target < startDate || (endDate && target > endDate)) {
-    return generatedOccurrences; // Outside runlist date range
-  }
-
-  // Get templates for this runlist
-  const templateIds = runlist.templateIds || [];
-  for (const templateId of templateIds) {
-    const template = await getTaskTemplate(tenantId, templateId);
-    if (!template || !template.active) continue;
-
-    // Check if this template should generate for this date based on recurrence
-    const shouldGenerate = checkRecurrenceMatch(template.recurrence, target, startDate);
-
-    if (shouldGenerate) {
-      // Normalize target date to start of day for comparison
-      const startOfDay = new Date(target);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(target);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      // Check if occurrence already exists for this date/template/runlist
-      const existingOccurrence = await db
-        .collection('tenants')
-        .doc(tenantId)
-        .collection('taskOccurrences')
-        .where('templateId', '==', templateId)
-        .where('runlistId', '==', runlist.id)
-        .where('scheduledDate', '>=', startOfDay)
-        .where('scheduledDate', '<=', endOfDay)
-        .limit(1)
-        .get();
-
-      if (existingOccurrence.empty) {
-        // Normalize scheduled date to start of day
-        const normalizedScheduledDate = new Date(target);
-        normalizedScheduledDate.setHours(0, 0, 0, 0);
-
-        // Calculate due date (end of day by default)
-        const dueDate = new Date(target);
-        dueDate.setHours(23, 59, 59, 999);
-
-        const occurrence = await createTaskOccurrence(
-          tenantId,
+      entries.push({
+        ref: occurrencesRef.doc(runlistOccurrenceId(runlist.id, template.id, dateKey)),
+        occurrence: buildTaskOccurrence(
           {
-            templateId,
+            templateId: template.id,
             runlistId: runlist.id,
             siteId: runlist.siteId || template.siteIds?.[0] || null,
-            scheduledDate: normalizedScheduledDate,
+            scheduledDate,
             scheduledTime: runlist.scheduleTime || '08:00',
             dueDate,
             assignedToUserId: runlist.defaultAssigneeId || template.defaultAssigneeId || null,
@@ -2801,98 +3560,52 @@ const generateTaskOccurrencesForSingleDate = async (tenantId, targetDate, runlis
             inventoryItems: template.inventoryItems || template.inventoryItemsNeeded || [],
             tools: template.tools || [],
           },
+          template,
           createdBy
-        );
-
-        generatedOccurrences.push(occurrence);
-      }
+        ),
+      });
     }
   }
 
-  return generatedOccurrences;
+  const created = await createOccurrencesBatched(entries);
+
+  await db.collection('tenants').doc(tenantId).collection('runlists').doc(runlist.id).update({
+    generatedThroughDate: toKey,
+    lastGeneratedAt: FieldValue.serverTimestamp(),
+    totalOccurrencesGenerated: FieldValue.increment(created.length),
+  });
+
+  return created;
 };
 
 /**
- * Generate task occurrences for a date range from active runlists
- * This catches up on ALL missed days, not just the target date
- * If tasks weren't generated for 4 days, it will create tasks for all 4 days
+ * Generate task occurrences from active runlists through a target date
+ * Each runlist picks up from its own watermark, so missed days are caught up
+ * and days already generated (by the scheduler or an earlier call) are not
+ * revisited. Days follow the runlist's site timezone, else the tenant's.
+ * @param {string} tenantId
+ * @param {string|Date} targetDate - YYYY-MM-DD, or an instant taken as that
+ *   day in the tenant's timezone
+ * @param {string} createdBy
  */
 const generateTaskOccurrencesForDate = async (tenantId, targetDate, createdBy) => {
-  // Get all active runlists
+  const tenant = await getTenant(tenantId);
   const activeRunlists = await getRunlists(tenantId, { status: RunlistStatus.ACTIVE });
+  const throughKey = timezoneService.isDateKey(targetDate)
+    ? targetDate
+    : timezoneService.dateKeyInTimezone(new Date(targetDate), timezoneService.timezoneForSite(tenant));
   const generatedOccurrences = [];
-  const target = new Date(targetDate);
-  target.setHours(23, 59, 59, 999); // End of target day
 
   for (const runlist of activeRunlists) {
-    // Determine the start date for generation
-    // Use the later of: runlist start date, or day after last generation
-    const runlistStartDate = runlist.startDate?.toDate
-      ? runlist.startDate.toDate()
-      : new Date(runlist.startDate);
-
-    let generateFromDate;
-    if (runlist.lastGeneratedAt) {
-      // Start from the day AFTER last generation
-      const lastGen = runlist.lastGeneratedAt.toDate
-        ? runlist.lastGeneratedAt.toDate()
-        : new Date(runlist.lastGeneratedAt);
-      generateFromDate = new Date(lastGen);
-      generateFromDate.setDate(generateFromDate.getDate() + 1);
-      generateFromDate.setHours(0, 0, 0, 0);
-
-      // But not before the runlist start date
-      if (generateFromDate < runlistStartDate) {
-        generateFromDate = new Date(runlistStartDate);
-      }
-    } else {
-      // Never generated before, start from runlist start date
-      generateFromDate = new Date(runlistStartDate);
-    }
-    generateFromDate.setHours(0, 0, 0, 0);
-
-    // Don't generate for dates before the runlist start
-    if (generateFromDate < runlistStartDate) {
-      generateFromDate = new Date(runlistStartDate);
-      generateFromDate.setHours(0, 0, 0, 0);
-    }
-
-    // Check if there's a date range to generate
-    const targetStart = new Date(targetDate);
-    targetStart.setHours(0, 0, 0, 0);
-
-    if (generateFromDate > targetStart) {
-      // Already generated up to or past target date
-      continue;
-    }
-
-    // Generate for each day from generateFromDate to targetDate (inclusive)
-    const currentDate = new Date(generateFromDate);
-    let runlistOccurrencesCount = 0;
-
-    while (currentDate <= targetStart) {
-      const occurrences = await generateTaskOccurrencesForSingleDate(
-        tenantId,
-        currentDate,
-        runlist,
-        createdBy
-      );
-      generatedOccurrences.push(...occurrences);
-      runlistOccurrencesCount += occurrences.length;
-
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    // Update runlist generation tracking
-    if (runlistOccurrencesCount > 0 || generateFromDate <= targetStart) {
-      await updateRunlist(tenantId, runlist.id, {
-        lastGeneratedAt: FieldValue.serverTimestamp(),
-        totalOccurrencesGenerated: FieldValue.increment(runlistOccurrencesCount),
-      });
-    }
+    const timezone = timezoneService.timezoneForSite(tenant, runlist.siteId);
+    const occurrences = await generateRunlistOccurrences(tenantId, runlist, throughKey, createdBy, timezone);
+    generatedOccurrences.push(...occurrences);
   }
 
+  // Group ration plans generate their own daily feeding tasks
+  const rationOccurrences = await generateRationTasksForDate(tenantId, throughKey, createdBy);
+  generatedOccurrences.push(...rationOccurrences);
+
   return generatedOccurrences;
 };
 
@@ -2979,32 +3692,69 @@ const checkRecurrenceMatch = (recurrence, targetDate, startDate) => {
     }
 
     case RecurrencePattern.CUSTOM:
-      // Custom patterns handled by specific logic in the runlist
-      return false;
+      // RFC 5545 RRULE (with EXDATE exceptions); a rule that no longer parses
+      // skips the template rather than stopping generation for the runlist
+      try {
+        return recurrenceRuleService.matchesRecurrenceRule(recurrence, target, start);
+      } catch (error) {
+        console.warn(`Skipping invalid custom recurrence "${recurrence.rrule}":`, error.message);
+        return false;
+      }
 
     default:
       return false;
   }
 };
 
+/**
+ * List the next dates a recurrence produces, for previewing a schedule
+ * @param {object} recurrence - Template recurrence (any pattern)
+ * @param {Date} startDate - Anchor date (runlist start)
+ * @param {object} options - { from (YYYY-MM-DD, default today), count (default 10) }
+ * @returns {string[]} Dates as YYYY-MM-DD
+ */
+const previewRecurrenceDates = (recurrence, startDate, options = {}) => {
+  const from = options.from ? timezoneService.toCalendarDate(options.from) : new Date();
+  const count = Math.min(options.count || 10, recurrenceRuleService.MAX_PREVIEW_COUNT);
+
+  if (recurrence?.pattern === RecurrencePattern.CUSTOM) {
+    return recurrenceRuleService.listRecurrenceDates(recurrence, startDate, { from, count });
+  }
+
+  // Built-in patterns: walk forward day by day, up to five years out
+  const dates = [];
+  const current = new Date(from < startDate ? startDate : from);
+  current.setHours(0, 0, 0, 0);
+  const horizon = new Date(current);
+  horizon.setFullYear(horizon.getFullYear() + 5);
+
+  while (current <= horizon && dates.length < count) {
+    if (checkRecurrenceMatch(recurrence, current, startDate)) {
+      const month = String(current.getMonth() + 1).padStart(2, '0');
+      const day = String(current.getDate()).padStart(2, '0');
+      dates.push(`${current.getFullYear()}-${month}-${day}`);
+      if (!recurrence || recurrence.pattern === RecurrencePattern.ONCE) break;
+    }
+    current.setDate(current.getDate() + 1);
+  }
+  return dates;
+};
+
 /**
  * Get upcoming tasks for a user (dashboard view)
  */
 const getUpcomingTasks = async (tenantId, userId, options = {}) => {
   const { daysAhead = 7, limit = 20 } = options;
 
-  const startDate = new Date();
-  startDate.setHours(0, 0, 0, 0);
-
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() + daysAhead);
-  endDate.setHours(23, 59, 59, 999);
+  const timezone = await getTenantTimezone(tenantId);
+  const today = timezoneService.dateKeyInTimezone(new Date(), timezone);
 
   const tasks = await getTaskOccurrences(tenantId, {
     assignedToUserId: userId,
     status: TaskOccurrenceStatus.SCHEDULED,
-    startDate,
-    endDate,
+    startDate: today,
+    endDate: timezoneService.addDaysToKey(today, daysAhead),
+    timezone,
     limit,
   });
 
@@ -3013,25 +3763,437 @@ const getUpcomingTasks = async (tenantId, userId, options = {}) => {
 
 /**
  * Get today's tasks for a site
+ * "Today" is the current date in the site's timezone (else the tenant's).
  */
 const getTodaysTasks = async (tenantId, options = {}) => {
   const { siteId, assignedToUserId } = options;
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+  const timezone = await getTenantTimezone(tenantId, siteId);
+  const today = timezoneService.dateKeyInTimezone(new Date(), timezone);
 
   return getTaskOccurrences(tenantId, {
     siteId,
     assignedToUserId,
     startDate: today,
-    endDate: tomorrow,
+    endDate: today,
+    timezone,
     limit: 100,
   });
 };
 
+// ============================================
+// RATION PLAN OPERATIONS
+// ============================================
+
+/**
+ * Pounds per inventory unit for weight units; other units (bags, bales)
+ * need lbsPerUnit on the ration line
+ */
+const LBS_PER_UNIT = {
+  lbs: 1,
+  lb: 1,
+  kg: 2.20462,
+  oz: 1 / 16,
+  tons: 2000,
+  ton: 2000,
+};
+
+/**
+ * Normalize ration lines: resolve item names/units and the lbs-per-unit factor
+ * used to convert lbs/head/day into inventory units
+ */
+const normalizeRationItems = async (tenantId, items = []) => {
+  const normalized = [];
+
+  for (const line of items) {
+    const item = await getInventoryItem(tenantId, line.itemId);
+    if (!item) {
+      throw new Error(`Inventory item ${line.itemId} not found`);
+    }
+
+    const lbsPerHeadPerDay = parseFloat(line.lbsPerHeadPerDay);
+    if (!lbsPerHeadPerDay || lbsPerHeadPerDay <= 0) {
+      throw new Error(`Pounds per head per day is required for ${item.name}`);
+    }
+
+    const unit = item.unit || 'lbs';
+    const lbsPerUnit = parseFloat(line.lbsPerUnit) || LBS_PER_UNIT[unit.toLowerCase()] || null;
+    if (!lbsPerUnit) {
+      throw new Error(`Pounds per ${unit} is required for ${item.name}`);
+    }
+
+    normalized.push({
+      itemId: item.id,
+      itemName: item.name,
+      unit,
+      lbsPerHeadPerDay,
+      lbsPerUnit,
+    });
+  }
+
+  return normalized;
+};
+
+/**
+ * Create a ration plan for an animal group
+ * @param {string} tenantId
+ * @param {string} groupId
+ * @param {object} planData - { name, items: [{ itemId, lbsPerHeadPerDay, lbsPerUnit? }],
+ *   feedingTimes, startDate, endDate, assignedToUserId, priority, notes }
+ * @param {string} createdBy
+ */
+const createRationPlan = async (tenantId, groupId, planData, createdBy) => {
+  const group = await getAnimalGroup(tenantId, groupId);
+  if (!group) {
+    throw new Error('Animal group not found');
+  }
+
+  const {
+    name,
+    items,
+    feedingTimes,
+    startDate,
+    endDate,
+    assignedToUserId,
+    priority,
+    notes,
+  } = planData;
+
+  const rationItems = await normalizeRationItems(tenantId, items);
+  if (rationItems.length === 0) {
+    throw new Error('A ration needs at least one feed item');
+  }
+
+  // Calendar dates, held as server-local midnight; default start is the farm's today
+  const timezone = await getTenantTimezone(tenantId, group.siteId);
+  const start = timezoneService.toCalendarDate(startDate || timezoneService.dateKeyInTimezone(new Date(), timezone));
+
+  const planRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('rationPlans')
+    .doc();
+
+  const plan = {
+    groupId,
+    groupName: group.name,
+    siteId: group.siteId || null,
+    name: name || `${group.name} ration`,
+    items: rationItems,
+    feedingTimes: feedingTimes?.length ? feedingTimes : ['07:00'],
+    startDate: start,
+    endDate: endDate ? timezoneService.toCalendarDate(endDate) : null,
+    assignedToUserId: assignedToUserId || null,
+    priority: priority || TaskPriority.MEDIUM,
+    notes: notes || null,
+    active: true,
+    lastGeneratedDate: null,
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await planRef.set(plan);
+
+  return {
+    id: planRef.id,
+    ...plan,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+};
+
+/**
+ * Get ration plans, optionally filtered by group, site or active flag
+ * Filtered client-side to avoid composite index requirements
+ */
+const getRationPlans = async (tenantId, options = {}) => {
+  const { groupId, siteId, active } = options;
+
+  let query = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('rationPlans');
+
+  if (groupId) {
+    query = query.where('groupId', '==', groupId);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((plan) => !siteId || plan.siteId === siteId)
+    .filter((plan) => active === undefined || plan.active === active)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+};
+
+/**
+ * Get a single ration plan
+ */
+const getRationPlan = async (tenantId, planId) => {
+  const doc = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('rationPlans')
+    .doc(planId)
+    .get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Update a ration plan
+ * Feeding tasks already generated ahead carry the old head count, items and
+ * times, so any change other than notes clears the ones nobody has started
+ * from today on and rewinds the plan to regenerate them.
+ */
+const updateRationPlan = async (tenantId, planId, updates) => {
+  const planRef = db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('rationPlans')
+    .doc(planId);
+
+  const allowedFields = [
+    'name',
+    'feedingTimes',
+    'startDate',
+    'endDate',
+    'assignedToUserId',
+    'priority',
+    'notes',
+    'active',
+  ];
+
+  const filteredUpdates = {};
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      filteredUpdates[field] = updates[field];
+    }
+  }
+
+  if (filteredUpdates.startDate) {
+    filteredUpdates.startDate = new Date(filteredUpdates.startDate);
+  }
+  if (filteredUpdates.endDate) {
+    filteredUpdates.endDate = new Date(filteredUpdates.endDate);
+  }
+
+  if (updates.items !== undefined) {
+    filteredUpdates.items = await normalizeRationItems(tenantId, updates.items);
+    if (filteredUpdates.items.length === 0) {
+      throw new Error('A ration needs at least one feed item');
+    }
+  }
+
+  filteredUpdates.updatedAt = FieldValue.serverTimestamp();
+
+  const current = await planRef.get();
+  await planRef.update(filteredUpdates);
+
+  if (Object.keys(filteredUpdates).some((field) => !['notes', 'updatedAt'].includes(field))) {
+    const reactivated = filteredUpdates.active === true && current.data()?.active === false;
+    await resetRationPlanTasks(tenantId, planId, reactivated);
+  }
+
+  return getRationPlan(tenantId, planId);
+};
+
+/**
+ * Remove a ration plan's unstarted feeding tasks from today on and pull its
+ * watermark back to yesterday, so the next run regenerates them from the
+ * plan as it stands (or not at all once it is inactive). They are deleted
+ * rather than cancelled so their deterministic IDs are free to reuse.
+ */
+const resetRationPlanTasks = async (tenantId, planId, reactivated = false) => {
+  const planRef = db.collection('tenants').doc(tenantId).collection('rationPlans').doc(planId);
+  const planDoc = await planRef.get();
+  if (!planDoc.exists) return;
+  const plan = planDoc.data();
+
+  const timezone = await getTenantTimezone(tenantId, plan.siteId);
+  const todayKey = timezoneService.dateKeyInTimezone(new Date(), timezone);
+  const yesterdayKey = timezoneService.addDaysToKey(todayKey, -1);
+
+  const snapshot = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('taskOccurrences')
+    .where('rationPlanId', '==', planId)
+    .where('scheduledDate', '>=', timezoneService.startOfDayInTimezone(todayKey, timezone))
+    .get();
+  const unstarted = snapshot.docs.filter((doc) => doc.data().status === TaskOccurrenceStatus.SCHEDULED);
+
+  for (let i = 0; i < unstarted.length; i += OCCURRENCE_BATCH_SIZE) {
+    const batch = db.batch();
+    unstarted.slice(i, i + OCCURRENCE_BATCH_SIZE).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  // A reactivated plan picks up from today rather than the days it was off
+  const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+  const watermark = plan.lastGeneratedDate ? timezoneService.toDateKey(toDate(plan.lastGeneratedDate)) : null;
+  if (watermark && (watermark > yesterdayKey || reactivated)) {
+    await planRef.update({ lastGeneratedDate: timezoneService.dateKeyToDate(yesterdayKey) });
+  }
+};
+
+/**
+ * Daily feed for a ration at a given head count, in lbs and inventory units
+ */
+const computeRationDailyFeed = (plan, headCount) => {
+  return (plan.items || []).map((line) => {
+    const totalLbs = line.lbsPerHeadPerDay * headCount;
+    return {
+      itemId: line.itemId,
+      itemName: line.itemName,
+      unit: line.unit,
+      lbsPerHeadPerDay: line.lbsPerHeadPerDay,
+      totalLbs,
+      totalQty: totalLbs / line.lbsPerUnit,
+    };
+  });
+};
+
+/**
+ * Deterministic ID for a ration feeding occurrence, so overlapping generation
+ * runs (scheduler, hourly timer, on-demand) resolve to the same document
+ */
+const rationOccurrenceId = (planId, dateKey, time) =>
+  `ration_${planId}_${dateKey.replace(/-/g, '')}_${time.replace(':', '')}`;
+
+/**
+ * Build the feeding task occurrences for one ration plan on one date
+ * Task inventory is PER_ANIMAL so completion scales to the group's head count
+ * at that time. Skips feeding times that already have an occurrence.
+ * @returns {Array<{ref, occurrence}>} Entries for createOccurrencesBatched
+ */
+const buildRationEntries = (tenantId, plan, dateKey, group, createdBy, timezone, existing) => {
+  const occurrencesRef = db.collection('tenants').doc(tenantId).collection('taskOccurrences');
+
+  const scheduledDate = timezoneService.startOfDayInTimezone(dateKey, timezone);
+  const dueDate = timezoneService.endOfDayInTimezone(dateKey, timezone);
+
+  const feedingTimes = plan.feedingTimes?.length ? plan.feedingTimes : ['07:00'];
+  const feedings = feedingTimes.length;
+  const headCount = group.animalCount || 0;
+
+  const dailyFeed = computeRationDailyFeed(plan, headCount);
+  const description = dailyFeed
+    .map((line) =>
+      `${line.itemName}: ${line.lbsPerHeadPerDay} lbs/head/day ` +
+      `(${Math.round(line.totalLbs / feedings)} lbs per feeding at ${headCount} head)`
+    )
+    .join('\n');
+
+  return feedingTimes
+    .filter((time) => !existing.has(`${dateKey}|${time}`))
+    .map((time) => ({
+      ref: occurrencesRef.doc(rationOccurrenceId(plan.id, dateKey, time)),
+      occurrence: buildTaskOccurrence(
+        {
+          rationPlanId: plan.id,
+          siteId: plan.siteId || group.siteId || null,
+          name: feedings > 1 ? `Feed ${group.name} (${time})` : `Feed ${group.name}`,
+          description,
+          category: TaskCategory.FEEDING,
+          scheduledDate,
+          scheduledTime: time,
+          dueDate,
+          assignedToUserId: plan.assignedToUserId || null,
+          priority: plan.priority,
+          herdGroupIds: [plan.groupId],
+          inventoryItems: plan.items.map((line) => ({
+            itemId: line.itemId,
+            itemName: line.itemName,
+            quantity: line.lbsPerHeadPerDay / line.lbsPerUnit / feedings,
+            uom: line.unit,
+            allocationMode: 'PER_ANIMAL',
+          })),
+        },
+        null,
+        createdBy
+      ),
+    }));
+};
+
+/**
+ * Generate feeding tasks for all active ration plans through a target date
+ * Catches up from the day after each plan's last generated date, like runlists.
+ * Safe to run repeatedly: existing occurrences (including ones written before
+ * deterministic IDs) are skipped, and the watermark only moves forward once
+ * the writes have landed.
+ * @param {string|Date} targetDate - YYYY-MM-DD, or an instant taken as that
+ *   day in the tenant's timezone
+ */
+const generateRationTasksForDate = async (tenantId, targetDate, createdBy) => {
+  const tenant = await getTenant(tenantId);
+  const plans = await getRationPlans(tenantId, { active: true });
+  const occurrencesRef = db.collection('tenants').doc(tenantId).collection('taskOccurrences');
+  const generated = [];
+
+  const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+  const targetKey = timezoneService.isDateKey(targetDate)
+    ? targetDate
+    : timezoneService.dateKeyInTimezone(new Date(targetDate), timezoneService.timezoneForSite(tenant));
+
+  for (const plan of plans) {
+    const group = await getAnimalGroup(tenantId, plan.groupId);
+    if (!group || group.status !== 'ACTIVE') continue;
+
+    const timezone = timezoneService.timezoneForSite(tenant, plan.siteId || group.siteId);
+
+    // Plan start/end and lastGeneratedDate hold calendar dates as server-local midnight
+    let fromKey = timezoneService.toDateKey(toDate(plan.startDate));
+    if (plan.lastGeneratedDate) {
+      const dayAfter = timezoneService.addDaysToKey(timezoneService.toDateKey(toDate(plan.lastGeneratedDate)), 1);
+      if (dayAfter > fromKey) fromKey = dayAfter;
+    }
+
+    const endKey = plan.endDate ? timezoneService.toDateKey(toDate(plan.endDate)) : null;
+    const toKey = endKey && endKey < targetKey ? endKey : targetKey;
+
+    if (fromKey > toKey) continue;
+
+    // One query for the whole window catches occurrences from earlier runs
+    const existingSnapshot = await occurrencesRef
+      .where('rationPlanId', '==', plan.id)
+      .where('scheduledDate', '>=', timezoneService.startOfDayInTimezone(fromKey, timezone))
+      .where('scheduledDate', '<=', timezoneService.endOfDayInTimezone(toKey, timezone))
+      .get();
+    const existing = new Set(
+      existingSnapshot.docs.map((doc) => {
+        const data = doc.data();
+        return `${timezoneService.dateKeyInTimezone(toDate(data.scheduledDate), timezone)}|${data.scheduledTime}`;
+      })
+    );
+
+    const entries = [];
+    for (const dateKey of timezoneService.eachDateKey(fromKey, toKey)) {
+      entries.push(...buildRationEntries(tenantId, plan, dateKey, group, createdBy, timezone, existing));
+    }
+
+    generated.push(...(await createOccurrencesBatched(entries)));
+
+    await db
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('rationPlans')
+      .doc(plan.id)
+      .update({
+        lastGeneratedDate: timezoneService.dateKeyToDate(toKey),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+  }
+
+  return generated;
+};
+
 // ============================================
 // ASSET REGISTRY OPERATIONS
 // ============================================
@@ -3551,6 +4713,7 @@ const getLandTractStats = async (tenantId, options = {}) => {
     total: 0,
     active: 0,
     archived: 0,
+    retired: 0, // Replaced by a split or merge
     totalAcres: 0,
     byType: {},
   };
@@ -3572,6 +4735,8 @@ const getLandTractStats = async (tenantId, options = {}) => {
         stats.byType[data.type].count++;
         stats.byType[data.type].acres += data.areaAcres || 0;
       }
+    } else if (data.status === 'retired') {
+      stats.retired++;
     } else {
       stats.archived++;
     }
@@ -4191,6 +5356,8 @@ module.exports = {
   createTenant,
   getTenant,
   updateTenant,
+  getTenantTimezone,
+  setSiteTimezone,
 
   // User
   upsertUser,
@@ -4251,6 +5418,7 @@ module.exports = {
   updateGroupAnimalCount,
 
   // Livestock - Animals
+  buildAnimalDoc,
   createAnimal,
   getAnimals,
   getAnimal,
@@ -4259,6 +5427,18 @@ module.exports = {
   getAnimalStats,
   bulkMoveAnimals,
 
+  // Livestock - Weights
+  WeighInType,
+  buildWeighInDoc,
+  DEFAULT_MARKET_WEIGHTS_LBS,
+  computeAdg,
+  computeGroupGrowth,
+  recordAnimalWeight,
+  recordGroupWeighIn,
+  getWeighIns,
+  getAnimalWeightHistory,
+  getGroupGrowth,
+
   // Tasks - Enums
   TaskPriority,
   TaskCategory,
@@ -4300,9 +5480,18 @@ module.exports = {
   // Task Generation
   generateTaskOccurrencesForDate,
   checkRecurrenceMatch,
+  previewRecurrenceDates,
   getUpcomingTasks,
   getTodaysTasks,
 
+  // Ration Plans
+  createRationPlan,
+  getRationPlans,
+  getRationPlan,
+  updateRationPlan,
+  computeRationDailyFeed,
+  generateRationTasksForDate,
+
   // Assets
   getAssets,
   getAsset,
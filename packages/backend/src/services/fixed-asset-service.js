@@ -0,0 +1,1043 @@
+/**
+ * Fixed Asset Service
+ * Depreciation register for vehicles, equipment, infrastructure and
+ * structures. Each register entry is a depreciation book kept beside the
+ * asset or structure it covers, with a straight-line, declining-balance or
+ * MACRS (half-year convention, optional Section 179 and bonus) method.
+ * Registering an entry posts a FIXED_ASSET_OPENING event that puts its cost
+ * and any prior depreciation on the books; the monthly run posts
+ * FIXED_ASSET_DEPRECIATION events (Dr Depreciation / Cr Accumulated
+ * Depreciation); disposal posts a FIXED_ASSET_DISPOSAL event that takes the
+ * asset off the books and records the gain or loss on sale.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+const timezoneService = require('./timezone-service');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const DepreciationMethod = {
+  STRAIGHT_LINE: 'STRAIGHT_LINE',
+  DECLINING_BALANCE: 'DECLINING_BALANCE',
+  MACRS: 'MACRS',
+};
+
+const FixedAssetSource = {
+  ASSET: 'ASSET',
+  STRUCTURE: 'STRUCTURE',
+};
+
+const FixedAssetStatus = {
+  ACTIVE: 'ACTIVE',
+  FULLY_DEPRECIATED: 'FULLY_DEPRECIATED',
+  DISPOSED: 'DISPOSED',
+};
+
+const DisposalMethod = {
+  SOLD: 'SOLD',
+  TRADED_IN: 'TRADED_IN',
+  SCRAPPED: 'SCRAPPED',
+  LOST: 'LOST',
+};
+
+// Asset types that can be depreciated - animals and land are not
+const DEPRECIABLE_ASSET_TYPES = ['VEHICLE', 'EQUIPMENT', 'INFRASTRUCTURE', 'TOOL', 'OTHER'];
+
+// Declining-balance rates allowed, as a percent of straight-line
+const DECLINING_BALANCE_RATES = [150, 200];
+
+// IRS Publication 946 Table A-1: GDS, half-year convention (percent per tax year)
+const MACRS_TABLES = {
+  3: [33.33, 44.45, 14.81, 7.41],
+  5: [20.0, 32.0, 19.2, 11.52, 11.52, 5.76],
+  7: [14.29, 24.49, 17.49, 12.49, 8.93, 8.92, 8.93, 4.46],
+  10: [10.0, 18.0, 14.4, 11.52, 9.22, 7.37, 6.55, 6.55, 6.56, 6.55, 3.28],
+  15: [5.0, 9.5, 8.55, 7.7, 6.93, 6.23, 5.9, 5.9, 5.91, 5.9, 5.91, 5.9, 5.91, 5.9, 5.91, 2.95],
+  20: [
+    3.75, 7.219, 6.677, 6.177, 5.713, 5.285, 4.888, 4.522, 4.462, 4.461, 4.462,
+    4.461, 4.462, 4.461, 4.462, 4.461, 4.462, 4.461, 4.462, 4.461, 2.231,
+  ],
+};
+
+// Fixed-asset GL accounts (see DEFAULT_COA)
+const EQUIPMENT_ACCOUNT = '1500';
+const BUILDINGS_ACCOUNT = '1510';
+
+// Fields that drive the schedule - locked once depreciation has posted
+const BOOK_FIELDS = [
+  'cost',
+  'placedInServiceAt',
+  'method',
+  'usefulLifeYears',
+  'salvageValue',
+  'decliningBalanceRate',
+  'macrsClass',
+  'section179Amount',
+  'bonusPercent',
+  'openingAccumulatedDepreciation',
+];
+
+// Book fields carried by the opening entry - locked once it has posted
+const OPENING_FIELDS = ['cost', 'openingAccumulatedDepreciation'];
+
+// A claimed posting that hasn't finished in this long is picked up again
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const fixedAssetsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('fixedAssets');
+
+const entriesCollection = (tenantId, fixedAssetId) =>
+  fixedAssetsCollection(tenantId).doc(fixedAssetId).collection('depreciationEntries');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  if (value._seconds) return value._seconds * 1000;
+  return new Date(value).getTime();
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+// Accounting period key in the farm's timezone, e.g. 2026-03
+// Bare dates (YYYY-MM-DD) are already calendar days and are taken as-is
+const periodKey = (value, timezone) => {
+  if (timezoneService.isDateKey(value)) return value.slice(0, 7);
+  const millis = toMillis(value);
+  return millis ? timezoneService.dateKeyInTimezone(new Date(millis), timezone).slice(0, 7) : null;
+};
+
+// A date input as an instant: bare dates start at the farm's local midnight
+const toInstant = (value, timezone) =>
+  timezoneService.isDateKey(value)
+    ? timezoneService.startOfDayInTimezone(value, timezone)
+    : new Date(toMillis(value));
+
+const addMonths = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// Last instant of a period in the farm's timezone, used as the posting date
+const periodEnd = (period, timezone) =>
+  timezoneService.endOfDayInTimezone(timezoneService.addDaysToKey(`${addMonths(period, 1)}-01`, -1), timezone);
+
+// Months are counted on the book's site clock, else the tenant's
+const bookTimezone = (tenant, book) => timezoneService.timezoneForSite(tenant, book?.siteId);
+
+const isValidPeriod = (period) => /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '');
+
+const accountForCategory = (category) =>
+  ['STRUCTURE', 'INFRASTRUCTURE'].includes(category) ? BUILDINGS_ACCOUNT : EQUIPMENT_ACCOUNT;
+
+/**
+ * Fill in method defaults and check the book settings
+ * Throws on anything the schedule cannot be built from
+ */
+const normalizeBook = (data, timezone) => {
+  const book = {
+    cost: round(Number(data.cost) || 0),
+    placedInServiceAt: data.placedInServiceAt ? toInstant(data.placedInServiceAt, timezone) : null,
+    method: data.method || DepreciationMethod.STRAIGHT_LINE,
+    usefulLifeYears: null,
+    salvageValue: 0,
+    decliningBalanceRate: null,
+    macrsClass: null,
+    section179Amount: 0,
+    bonusPercent: 0,
+    openingAccumulatedDepreciation: round(Number(data.openingAccumulatedDepreciation) || 0),
+  };
+
+  if (!(book.cost > 0)) {
+    throw new Error('Cost must be greater than zero');
+  }
+  if (!book.placedInServiceAt || Number.isNaN(book.placedInServiceAt.getTime())) {
+    throw new Error('Placed-in-service date is required');
+  }
+
+  if (book.method === DepreciationMethod.MACRS) {
+    book.macrsClass = Number(data.macrsClass);
+    if (!MACRS_TABLES[book.macrsClass]) {
+      throw new Error(`MACRS class must be one of ${Object.keys(MACRS_TABLES).join(', ')} years`);
+    }
+    book.section179Amount = round(Math.min(Number(data.section179Amount) || 0, book.cost));
+    book.bonusPercent = Number(data.bonusPercent) || 0;
+    if (book.bonusPercent < 0 || book.bonusPercent > 100) {
+      throw new Error('Bonus depreciation must be between 0 and 100 percent');
+    }
+  } else if (
+    book.method === DepreciationMethod.STRAIGHT_LINE ||
+    book.method === DepreciationMethod.DECLINING_BALANCE
+  ) {
+    book.usefulLifeYears = Number(data.usefulLifeYears);
+    if (!(book.usefulLifeYears > 0)) {
+      throw new Error('Useful life is required');
+    }
+    book.salvageValue = round(Number(data.salvageValue) || 0);
+    if (book.salvageValue < 0 || book.salvageValue >= book.cost) {
+      throw new Error('Salvage value must be less than cost');
+    }
+    if (book.method === DepreciationMethod.DECLINING_BALANCE) {
+      book.decliningBalanceRate = Number(data.decliningBalanceRate) || 200;
+      if (!DECLINING_BALANCE_RATES.includes(book.decliningBalanceRate)) {
+        throw new Error('Declining-balance rate must be 150 or 200 percent');
+      }
+    }
+  } else {
+    throw new Error(`Unknown depreciation method: ${book.method}`);
+  }
+
+  if (book.openingAccumulatedDepreciation < 0 || book.openingAccumulatedDepreciation > book.cost - book.salvageValue) {
+    throw new Error('Opening accumulated depreciation cannot exceed the depreciable amount');
+  }
+
+  return book;
+};
+
+/**
+ * Unrounded monthly depreciation from the placed-in-service month on
+ * MACRS spreads each tax-year percentage over that year's months, so the
+ * first year only covers the months the asset was in service.
+ */
+const monthlyAmounts = (book, timezone) => {
+  const amounts = [];
+
+  if (book.method === DepreciationMethod.MACRS) {
+    const expensed = book.section179Amount + (book.cost - book.section179Amount) * (book.bonusPercent / 100);
+    const basis = book.cost - expensed;
+    const firstMonth = Number(periodKey(book.placedInServiceAt, timezone).slice(5, 7));
+
+    MACRS_TABLES[book.macrsClass].forEach((percent, year) => {
+      const months = year === 0 ? 13 - firstMonth : 12;
+      const monthly = (basis * percent) / 100 / months;
+      for (let i = 0; i < months; i++) amounts.push(monthly);
+    });
+    amounts[0] += expensed;
+    return amounts;
+  }
+
+  const months = Math.round(book.usefulLifeYears * 12);
+  const depreciable = book.cost - book.salvageValue;
+
+  if (book.method === DepreciationMethod.STRAIGHT_LINE) {
+    for (let i = 0; i < months; i++) amounts.push(depreciable / months);
+    return amounts;
+  }
+
+  // Declining balance, switching to straight-line once that gives more
+  const monthlyRate = book.decliningBalanceRate / 100 / book.usefulLifeYears / 12;
+  let bookValue = book.cost;
+  for (let i = 0; i < months; i++) {
+    const remaining = bookValue - book.salvageValue;
+    const amount = Math.min(Math.max(bookValue * monthlyRate, remaining / (months - i)), remaining);
+    amounts.push(amount);
+    bookValue -= amount;
+  }
+  return amounts;
+};
+
+/**
+ * Build the month-by-month depreciation schedule for a book
+ * Amounts are rounded on the running total so the last month lands the
+ * total exactly on the depreciable amount.
+ */
+const buildSchedule = (book, timezone) => {
+  const depreciable = round(book.cost - book.salvageValue);
+  const startPeriod = periodKey(book.placedInServiceAt, timezone);
+  const amounts = monthlyAmounts(book, timezone);
+
+  const rows = [];
+  let exact = 0;
+  let accumulated = 0;
+
+  amounts.forEach((amount, index) => {
+    exact += amount;
+    const target = index === amounts.length - 1 ? depreciable : Math.min(round(exact), depreciable);
+    const rowAmount = round(target - accumulated);
+    accumulated = round(target);
+
+    rows.push({
+      period: addMonths(startPeriod, index),
+      amount: rowAmount,
+      accumulated,
+      bookValue: round(book.cost - accumulated),
+    });
+  });
+
+  const expensed = book.method === DepreciationMethod.MACRS
+    ? round(book.section179Amount + (book.cost - book.section179Amount) * (book.bonusPercent / 100))
+    : 0;
+
+  return {
+    rows,
+    summary: {
+      depreciable,
+      expensedInFirstYear: expensed,
+      startPeriod,
+      endPeriod: rows.length ? rows[rows.length - 1].period : startPeriod,
+    },
+  };
+};
+
+// Depreciation the schedule says should be on the books through a period
+const scheduledThrough = (rows, period) => {
+  const due = rows.filter((row) => row.period <= period);
+  return due.length ? due[due.length - 1].accumulated : 0;
+};
+
+// Failed postings are retried, as are claims a crashed run never finished
+const needsPosting = (status, claimedAt) =>
+  status === 'FAILED' || (status !== 'POSTED' && toMillis(claimedAt) < Date.now() - STALE_CLAIM_MS);
+
+const withBookValue = (fixedAsset) => ({
+  ...fixedAsset,
+  bookValue: round((fixedAsset.cost || 0) - (fixedAsset.accumulatedDepreciation || 0)),
+});
+
+/**
+ * Look up the asset or structure a register entry covers
+ */
+const resolveSource = async (tenantId, sourceType, sourceId) => {
+  if (sourceType === FixedAssetSource.STRUCTURE) {
+    const structure = await firestoreService.getStructure(tenantId, sourceId);
+    if (!structure) {
+      throw new Error('Structure not found');
+    }
+    const tract = structure.landTractId
+      ? await firestoreService.getLandTract(tenantId, structure.landTractId)
+      : null;
+
+    return {
+      name: structure.name,
+      category: 'STRUCTURE',
+      siteId: tract?.siteId || null,
+      cost: null,
+      acquiredAt: null,
+    };
+  }
+
+  if (sourceType === FixedAssetSource.ASSET) {
+    const asset = await firestoreService.getAsset(tenantId, sourceId);
+    if (!asset) {
+      throw new Error('Asset not found');
+    }
+    if (!DEPRECIABLE_ASSET_TYPES.includes(asset.assetType)) {
+      throw new Error(`${asset.assetType} assets are not depreciated`);
+    }
+
+    return {
+      name: asset.name,
+      category: asset.assetType,
+      siteId: asset.siteId || null,
+      cost: asset.acquisitionCost ?? null,
+      acquiredAt: asset.acquiredAt || null,
+    };
+  }
+
+  throw new Error(`Unknown source type: ${sourceType}`);
+};
+
+/**
+ * Create and post an event for a register entry
+ * Posting failures are returned, not thrown, like the other event routes
+ */
+const postEvent = async (tenantId, type, siteId, sourceId, payload, occurredAt, createdBy) => {
+  const idempotencyKey = accountingService.generateIdempotencyKey(
+    tenantId,
+    `${type.toLowerCase()}-${sourceId}`,
+    payload
+  );
+
+  const event = await firestoreService.createEvent(
+    tenantId,
+    {
+      siteId,
+      type,
+      occurredAt,
+      sourceType: 'API',
+      sourceId,
+      payload,
+      idempotencyKey,
+    },
+    createdBy
+  );
+
+  let processing;
+  try {
+    const lockerId = `api-${uuidv4()}`;
+    processing = await accountingService.processEvent(tenantId, event.id, lockerId);
+  } catch (postingError) {
+    console.error(`${type} posting failed:`, postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  return { event, processing };
+};
+
+/**
+ * Post an event, or post again the one an earlier attempt already created
+ * A FAILED event is put back to PENDING so the posting engine takes it
+ */
+const postOrRepost = async (tenantId, eventId, type, siteId, sourceId, payload, occurredAt, createdBy) => {
+  if (!eventId) {
+    return postEvent(tenantId, type, siteId, sourceId, payload, occurredAt, createdBy);
+  }
+
+  let processing;
+  try {
+    const event = await firestoreService.getEvent(tenantId, eventId);
+    if (event?.status === 'FAILED') {
+      await firestoreService.releaseEventLock(tenantId, eventId);
+    }
+    processing = await accountingService.processEvent(tenantId, eventId, `api-${uuidv4()}`);
+  } catch (postingError) {
+    console.error(`${type} posting failed:`, postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  return { event: { id: eventId }, processing };
+};
+
+/**
+ * Post the opening entry that puts a register entry on the books
+ * Dr the asset account for cost, Cr Accumulated Depreciation for what was
+ * taken before registration and Cr Owner's Equity for the rest. Does
+ * nothing once posted; a failed opening entry is posted again.
+ */
+const postOpeningEntry = async (tenantId, fixedAssetId, postedBy) => {
+  const ref = fixedAssetsCollection(tenantId).doc(fixedAssetId);
+
+  const book = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    if (!needsPosting(data.openingPostingStatus, data.openingPostingClaimedAt)) return null;
+
+    tx.update(ref, { openingPostingStatus: 'PENDING', openingPostingClaimedAt: new Date() });
+    return data;
+  });
+
+  if (!book) return null;
+
+  const posting = await postOrRepost(
+    tenantId,
+    book.openingEventId,
+    'FIXED_ASSET_OPENING',
+    book.siteId,
+    fixedAssetId,
+    {
+      fixedAssetId,
+      category: book.category,
+      assetAccountCode: book.assetAccountCode,
+      cost: book.cost,
+      openingAccumulatedDepreciation: book.openingAccumulatedDepreciation || 0,
+    },
+    book.placedInServiceAt,
+    postedBy
+  );
+
+  const posted = !!posting.processing?.success;
+  const postingError = posted ? null : posting.processing?.error || null;
+  await ref.update({
+    openingEventId: posting.event.id,
+    openingPostingStatus: posted ? 'POSTED' : 'FAILED',
+    openingPostingError: postingError,
+  });
+
+  return { fixedAssetId, name: book.name, period: null, amount: 0, eventId: posting.event.id, posted, postingError };
+};
+
+/**
+ * Post again any of an asset's depreciation entries whose posting failed
+ * Accumulated depreciation already moved when the entry was written, so
+ * only the GL side is retried.
+ */
+const retryDepreciationPostings = async (tenantId, fixedAssetId, runBy) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  const snapshot = await entriesCollection(tenantId, fixedAssetId)
+    .where('postingStatus', 'in', ['PENDING', 'FAILED'])
+    .get();
+
+  const results = [];
+  for (const entryDoc of snapshot.docs) {
+    const claimed = await db.runTransaction(async (tx) => {
+      const [bookDoc, current] = await Promise.all([
+        tx.get(fixedAssetsCollection(tenantId).doc(fixedAssetId)),
+        tx.get(entryDoc.ref),
+      ]);
+      const entry = current.data();
+      if (!needsPosting(entry.postingStatus, entry.postingClaimedAt || entry.createdAt)) return null;
+
+      tx.update(entryDoc.ref, { postingStatus: 'PENDING', postingClaimedAt: new Date() });
+      return { book: bookDoc.data(), entry };
+    });
+
+    if (!claimed) continue;
+
+    const { book, entry } = claimed;
+    const posting = await postOrRepost(
+      tenantId,
+      entry.eventId,
+      'FIXED_ASSET_DEPRECIATION',
+      book.siteId,
+      `${fixedAssetId}-${entry.period}`,
+      {
+        fixedAssetId,
+        period: entry.period,
+        amount: entry.amount,
+        category: book.category,
+      },
+      periodEnd(entry.period, bookTimezone(tenant, book)),
+      runBy
+    );
+
+    const posted = !!posting.processing?.success;
+    const postingError = posted ? null : posting.processing?.error || null;
+    await entryDoc.ref.update({ eventId: posting.event.id, postingStatus: posted ? 'POSTED' : 'FAILED', postingError });
+
+    results.push({
+      fixedAssetId,
+      name: book.name,
+      period: entry.period,
+      amount: entry.amount,
+      accumulatedDepreciation: entry.accumulatedAfter,
+      eventId: posting.event.id,
+      posted,
+      postingError,
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Post the disposal entry for a disposed register entry
+ * Clears cost and accumulated depreciation against the proceeds. Does
+ * nothing once posted; a failed disposal entry is posted again.
+ */
+const postDisposalEntry = async (tenantId, fixedAssetId, postedBy) => {
+  const ref = fixedAssetsCollection(tenantId).doc(fixedAssetId);
+
+  const book = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    if (data.status !== FixedAssetStatus.DISPOSED || !data.disposal) return null;
+    if (!needsPosting(data.disposal.postingStatus, data.disposal.postingClaimedAt)) return null;
+
+    tx.update(ref, { 'disposal.postingStatus': 'PENDING', 'disposal.postingClaimedAt': new Date() });
+    return data;
+  });
+
+  if (!book) return null;
+
+  const { disposal } = book;
+  const posting = await postOrRepost(
+    tenantId,
+    disposal.eventId,
+    'FIXED_ASSET_DISPOSAL',
+    book.siteId,
+    fixedAssetId,
+    {
+      fixedAssetId,
+      category: book.category,
+      assetAccountCode: book.assetAccountCode,
+      cost: book.cost,
+      accumulatedDepreciation: disposal.accumulatedDepreciation,
+      proceeds: disposal.proceeds,
+      paymentMethod: disposal.paymentMethod,
+      gainLoss: disposal.gainLoss,
+    },
+    disposal.disposedAt,
+    postedBy
+  );
+
+  const posted = !!posting.processing?.success;
+  const postingError = posted ? null : posting.processing?.error || null;
+  await ref.update({
+    'disposal.eventId': posting.event.id,
+    'disposal.postingStatus': posted ? 'POSTED' : 'FAILED',
+    'disposal.postingError': postingError,
+  });
+
+  return {
+    fixedAssetId,
+    name: book.name,
+    kind: 'DISPOSAL',
+    period: null,
+    amount: 0,
+    eventId: posting.event.id,
+    posted,
+    postingError,
+  };
+};
+
+/**
+ * Bring an asset's GL postings up to date before new work is posted
+ */
+const retryPostings = async (tenantId, fixedAssetId, runBy) => {
+  const opening = await postOpeningEntry(tenantId, fixedAssetId, runBy);
+  const entries = await retryDepreciationPostings(tenantId, fixedAssetId, runBy);
+  const disposal = await postDisposalEntry(tenantId, fixedAssetId, runBy);
+  return [opening, ...entries, disposal].filter(Boolean);
+};
+
+// ============================================
+// REGISTER
+// ============================================
+
+/**
+ * Preview the schedule for book settings without saving anything
+ * @param {string} timezone - Timezone the months are counted in
+ */
+const previewSchedule = (data, timezone) => buildSchedule(normalizeBook(data, timezone), timezone);
+
+/**
+ * Add an asset or structure to the fixed-asset register
+ * Cost and placed-in-service date default to the asset's acquisition details.
+ * The opening entry is posted straight away; a failure is kept on the
+ * entry and retried by the next depreciation run.
+ */
+const createFixedAsset = async (tenantId, data, createdBy) => {
+  const { sourceType, sourceId } = data;
+  const source = await resolveSource(tenantId, sourceType, sourceId);
+
+  const existing = await fixedAssetsCollection(tenantId)
+    .where('sourceType', '==', sourceType)
+    .where('sourceId', '==', sourceId)
+    .get();
+  if (existing.docs.some((doc) => doc.data().status !== FixedAssetStatus.DISPOSED)) {
+    throw new Error(`${source.name} is already in the fixed-asset register`);
+  }
+
+  const tenant = await firestoreService.getTenant(tenantId);
+  const book = normalizeBook(
+    {
+      ...data,
+      cost: data.cost ?? source.cost,
+      placedInServiceAt: data.placedInServiceAt || source.acquiredAt,
+    },
+    bookTimezone(tenant, source)
+  );
+
+  const fixedAsset = {
+    sourceType,
+    sourceId,
+    name: source.name,
+    category: source.category,
+    siteId: source.siteId,
+    assetAccountCode: accountForCategory(source.category),
+    ...book,
+    accumulatedDepreciation: book.openingAccumulatedDepreciation,
+    lastDepreciatedPeriod: null,
+    openingEventId: null,
+    openingPostingStatus: null,
+    openingPostingError: null,
+    openingPostingClaimedAt: null,
+    status: FixedAssetStatus.ACTIVE,
+    disposal: null,
+    notes: data.notes || null,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  const ref = fixedAssetsCollection(tenantId).doc();
+  await ref.set(fixedAsset);
+
+  await postOpeningEntry(tenantId, ref.id, createdBy);
+
+  const created = await ref.get();
+  return withBookValue({ id: ref.id, ...created.data() });
+};
+
+/**
+ * Update a register entry
+ * The schedule settings are locked once any depreciation has posted
+ */
+const updateFixedAsset = async (tenantId, fixedAssetId, data, updatedBy) => {
+  const ref = fixedAssetsCollection(tenantId).doc(fixedAssetId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new Error('Fixed asset not found');
+  }
+  const current = doc.data();
+
+  if (current.status === FixedAssetStatus.DISPOSED) {
+    throw new Error('Disposed assets cannot be changed');
+  }
+
+  const updates = { updatedBy, updatedAt: FieldValue.serverTimestamp() };
+  if (data.notes !== undefined) updates.notes = data.notes || null;
+
+  if (BOOK_FIELDS.some((field) => data[field] !== undefined)) {
+    if (current.lastDepreciatedPeriod) {
+      throw new Error('Depreciation has already posted for this asset; its schedule can no longer be changed');
+    }
+    const tenant = await firestoreService.getTenant(tenantId);
+    const book = normalizeBook({ ...current, ...data }, bookTimezone(tenant, current));
+    const openingChanged = OPENING_FIELDS.some((field) => book[field] !== current[field]);
+    if (openingChanged && current.openingPostingStatus === 'POSTED') {
+      throw new Error('The opening entry has already posted for this asset; its cost can no longer be changed');
+    }
+    Object.assign(updates, book, { accumulatedDepreciation: book.openingAccumulatedDepreciation });
+    // An unposted opening entry is re-created with the new amounts
+    if (openingChanged) updates.openingEventId = null;
+  }
+
+  await ref.update(updates);
+  await postOpeningEntry(tenantId, fixedAssetId, updatedBy);
+
+  const updated = await ref.get();
+  return withBookValue({ id: updated.id, ...updated.data() });
+};
+
+/**
+ * List register entries with their current book value
+ */
+const listFixedAssets = async (tenantId, options = {}) => {
+  const { status, category, siteId } = options;
+
+  const snapshot = await fixedAssetsCollection(tenantId).get();
+  let fixedAssets = snapshot.docs.map((doc) => withBookValue({ id: doc.id, ...doc.data() }));
+
+  if (status && status !== 'ALL') {
+    fixedAssets = fixedAssets.filter((item) => item.status === status);
+  }
+  if (category) {
+    fixedAssets = fixedAssets.filter((item) => item.category === category);
+  }
+  if (siteId) {
+    fixedAssets = fixedAssets.filter((item) => item.siteId === siteId);
+  }
+
+  fixedAssets.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const totals = fixedAssets.reduce(
+    (sum, item) => ({
+      cost: round(sum.cost + (item.status === FixedAssetStatus.DISPOSED ? 0 : item.cost || 0)),
+      accumulatedDepreciation: round(
+        sum.accumulatedDepreciation +
+          (item.status === FixedAssetStatus.DISPOSED ? 0 : item.accumulatedDepreciation || 0)
+      ),
+    }),
+    { cost: 0, accumulatedDepreciation: 0 }
+  );
+  totals.bookValue = round(totals.cost - totals.accumulatedDepreciation);
+
+  return { fixedAssets, totals };
+};
+
+/**
+ * Register entry with its full schedule and posted depreciation
+ */
+const getFixedAssetDetail = async (tenantId, fixedAssetId) => {
+  const doc = await fixedAssetsCollection(tenantId).doc(fixedAssetId).get();
+  if (!doc.exists) return null;
+
+  const fixedAsset = withBookValue({ id: doc.id, ...doc.data() });
+  const tenant = await firestoreService.getTenant(tenantId);
+  const entriesSnap = await entriesCollection(tenantId, fixedAssetId).get();
+  const entries = entriesSnap.docs
+    .map((entry) => ({ id: entry.id, ...entry.data() }))
+    .sort((a, b) => b.period.localeCompare(a.period));
+
+  return { fixedAsset, schedule: buildSchedule(fixedAsset, bookTimezone(tenant, fixedAsset)), entries };
+};
+
+// ============================================
+// DEPRECIATION RUN
+// ============================================
+
+/**
+ * Post one asset's depreciation through a period
+ * The period's entry document is created in the same transaction that
+ * moves accumulated depreciation, so re-running a period posts nothing new;
+ * an entry whose GL posting failed is retried by retryPostings instead.
+ * Months missed by earlier runs are caught up in this period's entry.
+ */
+const depreciateThrough = async (tenantId, fixedAssetId, period, runBy) => {
+  const bookRef = fixedAssetsCollection(tenantId).doc(fixedAssetId);
+  const entryRef = entriesCollection(tenantId, fixedAssetId).doc(period);
+  const tenant = await firestoreService.getTenant(tenantId);
+
+  const claimed = await db.runTransaction(async (tx) => {
+    const [bookDoc, entryDoc] = await Promise.all([tx.get(bookRef), tx.get(entryRef)]);
+    if (!bookDoc.exists || entryDoc.exists) return null;
+
+    const book = bookDoc.data();
+    if (book.status !== FixedAssetStatus.ACTIVE) return null;
+
+    const { rows, summary } = buildSchedule(book, bookTimezone(tenant, book));
+    const amount = round(scheduledThrough(rows, period) - (book.accumulatedDepreciation || 0));
+    if (amount <= 0) return null;
+
+    const accumulated = round((book.accumulatedDepreciation || 0) + amount);
+    tx.create(entryRef, {
+      period,
+      amount,
+      accumulatedAfter: accumulated,
+      eventId: null,
+      postingStatus: 'PENDING',
+      postingClaimedAt: new Date(),
+      createdBy: runBy,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(bookRef, {
+      accumulatedDepreciation: accumulated,
+      lastDepreciatedPeriod: period,
+      status: accumulated >= summary.depreciable ? FixedAssetStatus.FULLY_DEPRECIATED : FixedAssetStatus.ACTIVE,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    return { book, amount, accumulated };
+  });
+
+  if (!claimed) return null;
+
+  const posting = await postEvent(
+    tenantId,
+    'FIXED_ASSET_DEPRECIATION',
+    claimed.book.siteId,
+    `${fixedAssetId}-${period}`,
+    {
+      fixedAssetId,
+      period,
+      amount: claimed.amount,
+      category: claimed.book.category,
+    },
+    periodEnd(period, bookTimezone(tenant, claimed.book)),
+    runBy
+  );
+
+  await entryRef.update({
+    eventId: posting.event.id,
+    postingStatus: posting.processing?.success ? 'POSTED' : 'FAILED',
+    postingError: posting.processing?.success ? null : posting.processing?.error || null,
+  });
+
+  return {
+    fixedAssetId,
+    name: claimed.book.name,
+    period,
+    amount: claimed.amount,
+    accumulatedDepreciation: claimed.accumulated,
+    eventId: posting.event.id,
+    posted: !!posting.processing?.success,
+    postingError: posting.processing?.success ? null : posting.processing?.error || null,
+  };
+};
+
+/**
+ * Monthly depreciation run
+ * Posts every active asset (or just one) through the period, defaulting to
+ * the current month. Safe to run more than once for the same period; each
+ * run also retries opening, depreciation and disposal postings that failed
+ * before.
+ */
+const runDepreciation = async (tenantId, options = {}, runBy) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  const currentPeriod = periodKey(new Date(), timezoneService.timezoneForSite(tenant));
+  const period = options.period || currentPeriod;
+  if (!isValidPeriod(period)) {
+    throw new Error('Period must be in YYYY-MM format');
+  }
+  if (period > currentPeriod) {
+    throw new Error('Depreciation cannot be run for a future period');
+  }
+
+  let ids;
+  if (options.fixedAssetId) {
+    ids = [options.fixedAssetId];
+  } else {
+    // Fully depreciated and disposed assets can still have a failed posting to retry
+    const snapshot = await fixedAssetsCollection(tenantId)
+      .where('status', 'in', Object.values(FixedAssetStatus))
+      .get();
+    ids = snapshot.docs
+      .filter((doc) => doc.data().status !== FixedAssetStatus.DISPOSED || doc.data().disposal?.postingStatus !== 'POSTED')
+      .map((doc) => doc.id);
+  }
+
+  const posted = [];
+  const failed = [];
+  let skipped = 0;
+
+  for (const id of ids) {
+    try {
+      const retried = await retryPostings(tenantId, id, runBy);
+      const result = await depreciateThrough(tenantId, id, period, runBy);
+      if (!result && retried.length === 0) {
+        skipped++;
+      }
+      for (const item of result ? [...retried, result] : retried) {
+        (item.posted ? posted : failed).push(item);
+      }
+    } catch (error) {
+      console.error(`Depreciation failed for fixed asset ${id}:`, error);
+      failed.push({ fixedAssetId: id, period, postingError: error.message });
+    }
+  }
+
+  return {
+    period,
+    posted,
+    failed,
+    skipped,
+    totalDepreciation: round([...posted, ...failed].reduce((sum, item) => sum + (item.amount || 0), 0)),
+  };
+};
+
+// ============================================
+// DISPOSAL
+// ============================================
+
+/**
+ * Dispose of a register entry
+ * Depreciation is brought up to the disposal month first; the disposal
+ * then clears cost and accumulated depreciation against the proceeds and
+ * books the difference as a gain or loss. Only what has actually posted is
+ * cleared, so the opening entry and every depreciation entry must be on the
+ * books first. The disposal is recorded before it posts; a failed posting
+ * is kept on the disposal and retried by the next depreciation run. The
+ * source asset is marked sold or retired to match.
+ */
+const disposeFixedAsset = async (tenantId, fixedAssetId, data, disposedBy) => {
+  const ref = fixedAssetsCollection(tenantId).doc(fixedAssetId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new Error('Fixed asset not found');
+  }
+  if (doc.data().status === FixedAssetStatus.DISPOSED) {
+    throw new Error('Asset has already been disposed');
+  }
+
+  const tenant = await firestoreService.getTenant(tenantId);
+  const timezone = bookTimezone(tenant, doc.data());
+  const disposedAt = data.disposedAt ? toInstant(data.disposedAt, timezone) : new Date();
+  const period = periodKey(disposedAt, timezone);
+  if (doc.data().lastDepreciatedPeriod && period < doc.data().lastDepreciatedPeriod) {
+    throw new Error(`Depreciation has already posted through ${doc.data().lastDepreciatedPeriod}`);
+  }
+  if (period < periodKey(doc.data().placedInServiceAt, timezone)) {
+    throw new Error('Disposal date is before the asset was placed in service');
+  }
+
+  const proceeds = round(Number(data.proceeds) || 0);
+  if (proceeds < 0) {
+    throw new Error('Proceeds cannot be negative');
+  }
+  const disposalMethod = data.disposalMethod || (proceeds > 0 ? DisposalMethod.SOLD : DisposalMethod.SCRAPPED);
+
+  await retryPostings(tenantId, fixedAssetId, disposedBy);
+  const catchUp = await depreciateThrough(tenantId, fixedAssetId, period, disposedBy);
+
+  const book = (await ref.get()).data();
+  if (book.openingPostingStatus !== 'POSTED') {
+    throw new Error(`The opening entry for ${book.name} has not posted: ${book.openingPostingError || 'still pending'}`);
+  }
+  const entriesSnap = await entriesCollection(tenantId, fixedAssetId).get();
+  const entries = entriesSnap.docs.map((entry) => entry.data());
+  const unposted = entries.find((entry) => entry.postingStatus !== 'POSTED');
+  if (unposted) {
+    throw new Error(
+      `Depreciation for ${unposted.period} has not posted: ${unposted.postingError || 'still pending'}`
+    );
+  }
+
+  const accumulated = round(
+    (book.openingAccumulatedDepreciation || 0) + entries.reduce((sum, entry) => sum + (entry.amount || 0), 0)
+  );
+  const gainLoss = round(proceeds - (book.cost - accumulated));
+
+  const disposal = {
+    disposedAt,
+    disposalMethod,
+    proceeds,
+    paymentMethod: proceeds > 0 ? data.paymentMethod || 'CASH' : null,
+    accumulatedDepreciation: accumulated,
+    bookValueAtDisposal: round(book.cost - accumulated),
+    gainLoss,
+    notes: data.notes || null,
+    eventId: null,
+    postingStatus: null,
+    postingError: null,
+    postingClaimedAt: null,
+    disposedBy,
+  };
+
+  // Only one disposal can be recorded, even if two requests race
+  await db.runTransaction(async (tx) => {
+    const current = await tx.get(ref);
+    if (current.data().status === FixedAssetStatus.DISPOSED) {
+      throw new Error('Asset has already been disposed');
+    }
+    tx.update(ref, {
+      status: FixedAssetStatus.DISPOSED,
+      disposal,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  const posting = await postDisposalEntry(tenantId, fixedAssetId, disposedBy);
+
+  if (book.sourceType === FixedAssetSource.ASSET) {
+    const asset = await firestoreService.getAsset(tenantId, book.sourceId);
+    if (asset && asset.status === 'ACTIVE') {
+      await firestoreService.updateAsset(tenantId, book.sourceId, {
+        status: disposalMethod === DisposalMethod.LOST ? 'LOST' : proceeds > 0 ? 'SOLD' : 'RETIRED',
+        disposedAt: disposedAt.toISOString(),
+        disposalMethod,
+        disposalNotes: data.notes || undefined,
+        updatedBy: disposedBy,
+      });
+    }
+  }
+
+  const disposed = (await ref.get()).data();
+
+  return {
+    fixedAsset: withBookValue({ id: fixedAssetId, ...disposed }),
+    depreciation: catchUp,
+    posting,
+  };
+};
+
+module.exports = {
+  // Enums
+  DepreciationMethod,
+  FixedAssetSource,
+  FixedAssetStatus,
+  DisposalMethod,
+  DECLINING_BALANCE_RATES,
+  MACRS_CLASSES: Object.keys(MACRS_TABLES).map(Number),
+
+  // Schedules
+  buildSchedule,
+  previewSchedule,
+
+  // Register
+  createFixedAsset,
+  updateFixedAsset,
+  listFixedAssets,
+  getFixedAssetDetail,
+
+  // Depreciation and disposal
+  runDepreciation,
+  disposeFixedAsset,
+};
@@ -0,0 +1,916 @@
+/**
+ * Labor Service
+ * Time tracking for the people on the Contacts list (employees and
+ * contractors). Time comes in three ways: clock-in/clock-out, per-task time
+ * logged when a task is completed, and manual entries. Entries roll up into
+ * weekly timesheets per worker. A submitted timesheet locks its entries; an
+ * approved one posts a LABOR_TIMESHEET event (Dr 6400 Labor Expense, split
+ * by site, animal group or land tract / Cr 2200 Wages Payable) and shows up
+ * in the payroll export.
+ *
+ * Weeks and entry dates follow the tenant's clock. Employees earn overtime
+ * past 40 hours in a week; contractors are paid straight time.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const { ContactType } = require('../models/Contact');
+const firestoreService = require('./firestore');
+const accountingService = require('./accounting');
+const timezoneService = require('./timezone-service');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const TimeEntrySource = {
+  CLOCK: 'CLOCK',
+  TASK: 'TASK',
+  MANUAL: 'MANUAL',
+};
+
+const TimesheetStatus = {
+  OPEN: 'OPEN',
+  SUBMITTED: 'SUBMITTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+};
+
+// Where labor cost is charged; values match ledger entity types
+const AllocationType = {
+  SITE: 'SITE',
+  ANIMAL_GROUP: 'ANIMAL_GROUP',
+  LAND_TRACT: 'LAND_TRACT',
+};
+
+const WORKER_TYPES = [ContactType.EMPLOYEE, ContactType.CONTRACTOR];
+
+const OVERTIME_THRESHOLD_HOURS = 40;
+const OVERTIME_MULTIPLIER = 1.5;
+
+// Longest single entry accepted (a clock left running over a weekend is a mistake)
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Payroll weeks start on Monday unless the tenant sets payrollWeekStartsOn (0 = Sunday)
+const DEFAULT_WEEK_STARTS_ON = 1;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const tenantCollection = (tenantId, name) => db.collection('tenants').doc(tenantId).collection(name);
+const entriesCollection = (tenantId) => tenantCollection(tenantId, 'timeEntries');
+const timesheetsCollection = (tenantId) => tenantCollection(tenantId, 'timesheets');
+// One document per clocked-in worker, so a worker cannot be clocked in twice
+const clocksCollection = (tenantId) => tenantCollection(tenantId, 'laborClocks');
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const timesheetId = (workerId, weekStart) => `${workerId}_${weekStart}`;
+
+const parseTimesheetId = (id) => {
+  const [workerId, weekStart] = String(id).split('_');
+  if (!workerId || !timezoneService.isDateKey(weekStart)) {
+    throw new Error('Invalid timesheet ID');
+  }
+  return { workerId, weekStart };
+};
+
+const getTenantSettings = async (tenantId) => {
+  const tenant = await firestoreService.getTenant(tenantId);
+  return {
+    timezone: timezoneService.timezoneForSite(tenant),
+    weekStartsOn: tenant?.settings?.payrollWeekStartsOn ?? DEFAULT_WEEK_STARTS_ON,
+  };
+};
+
+/**
+ * First day of the payroll week a date falls in
+ */
+const weekStartFor = (dateKey, weekStartsOn = DEFAULT_WEEK_STARTS_ON) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return timezoneService.addDaysToKey(dateKey, -((dayOfWeek - weekStartsOn + 7) % 7));
+};
+
+const formatWorker = (contact) => ({
+  id: contact._id.toString(),
+  name: contact.name,
+  code: contact.code || null,
+  type: contact.type,
+  laborRate: contact.laborRate || 0,
+  siteId: contact.siteId || null,
+  userId: contact.employeeFields?.userId?.toString() || null,
+});
+
+/**
+ * Normalize an allocation, defaulting to the entry's site
+ */
+const resolveAllocation = (allocation, siteId) => {
+  if (allocation?.type && allocation?.id) {
+    if (!Object.values(AllocationType).includes(allocation.type)) {
+      throw new Error('Invalid allocation type');
+    }
+    return { type: allocation.type, id: String(allocation.id), label: allocation.label || null };
+  }
+  return siteId ? { type: AllocationType.SITE, id: siteId, label: null } : null;
+};
+
+const formatEntry = (doc) => {
+  const data = doc.data();
+  return { id: doc.id, ...data };
+};
+
+// ============================================
+// WORKERS
+// ============================================
+
+/**
+ * Employees and contractors who can log time
+ */
+const listWorkers = async (tenantId, options = {}) => {
+  const filter = { tenantId, type: { $in: WORKER_TYPES }, isActive: true };
+  if (options.siteId) {
+    filter.$or = [{ siteId: options.siteId }, { siteId: null }];
+  }
+
+  const contacts = await Contact.find(filter).sort({ name: 1 }).lean();
+  const clocks = await clocksCollection(tenantId).get();
+  const openClocks = new Map(clocks.docs.map((doc) => [doc.id, doc.data()]));
+
+  return contacts.map((contact) => {
+    const worker = formatWorker(contact);
+    const clock = openClocks.get(worker.id);
+    return { ...worker, clockedIn: !!clock, clockedInAt: clock?.startAt || null };
+  });
+};
+
+/**
+ * A worker by contact ID; throws when it is not an active employee or contractor
+ */
+const getWorker = async (tenantId, workerId) => {
+  if (!mongoose.isValidObjectId(workerId)) {
+    throw new Error('Worker not found');
+  }
+  const contact = await Contact.findOne({ _id: workerId, tenantId }).lean();
+  if (!contact || !WORKER_TYPES.includes(contact.type)) {
+    throw new Error('Worker not found');
+  }
+  if (!contact.isActive) {
+    throw new Error(`${contact.name} is inactive`);
+  }
+  return formatWorker(contact);
+};
+
+/**
+ * The worker record linked to an app user (Contact employeeFields.userId)
+ * An unlinked worker with the user's email is linked on first use, so
+ * giving the employee contact the login's email is all the setup needed.
+ */
+const findWorkerForUser = async (tenantId, user) => {
+  if (!user?._id) return null;
+  const filter = { tenantId, type: { $in: WORKER_TYPES }, isActive: true };
+
+  let contact = await Contact.findOne({ ...filter, 'employeeFields.userId': user._id }).lean();
+  if (!contact && user.email) {
+    contact = await Contact.findOneAndUpdate(
+      {
+        ...filter,
+        email: { $regex: `^${user.email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
+        'employeeFields.userId': null,
+      },
+      { $set: { 'employeeFields.userId': user._id } },
+      { new: true }
+    ).lean();
+  }
+  return contact ? formatWorker(contact) : null;
+};
+
+// ============================================
+// TIME ENTRIES
+// ============================================
+
+/**
+ * Refuse changes to a week whose timesheet is submitted or approved
+ */
+const assertWeekOpen = async (tenantId, workerId, weekStart) => {
+  const doc = await timesheetsCollection(tenantId).doc(timesheetId(workerId, weekStart)).get();
+  const status = doc.exists ? doc.data().status : TimesheetStatus.OPEN;
+  if (status === TimesheetStatus.SUBMITTED || status === TimesheetStatus.APPROVED) {
+    throw new Error(`The timesheet for the week of ${weekStart} has been ${status.toLowerCase()}`);
+  }
+};
+
+/**
+ * Build an entry document for a span of work
+ * Either startAt/endAt or date + minutes; the date is the local day the
+ * work started.
+ */
+const buildEntry = (worker, data, settings) => {
+  const startAt = data.startAt ? new Date(data.startAt) : null;
+  const endAt = data.endAt ? new Date(data.endAt) : null;
+
+  let minutes = data.minutes !== undefined && data.minutes !== null ? Math.round(Number(data.minutes)) : null;
+  if (startAt && endAt) {
+    if (endAt <= startAt) {
+      throw new Error('End time must be after start time');
+    }
+    minutes = Math.round((endAt - startAt) / 60000);
+  }
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('Time entries need a start and end time or a number of minutes');
+  }
+  if (minutes > MAX_ENTRY_MINUTES) {
+    throw new Error('A time entry cannot be longer than 24 hours');
+  }
+
+  const date = startAt
+    ? timezoneService.dateKeyInTimezone(startAt, settings.timezone)
+    : data.date || timezoneService.dateKeyInTimezone(new Date(), settings.timezone);
+  if (!timezoneService.isDateKey(date)) {
+    throw new Error('Date must be YYYY-MM-DD');
+  }
+
+  return {
+    workerId: worker.id,
+    workerName: worker.name,
+    source: data.source || TimeEntrySource.MANUAL,
+    date,
+    weekStart: weekStartFor(date, settings.weekStartsOn),
+    startAt,
+    endAt,
+    minutes,
+    siteId: data.siteId || worker.siteId || null,
+    allocation: resolveAllocation(data.allocation, data.siteId || worker.siteId),
+    taskOccurrenceId: data.taskOccurrenceId || null,
+    notes: data.notes || null,
+  };
+};
+
+/**
+ * Log a span of work (manual entry or per-task time)
+ */
+const createTimeEntry = async (tenantId, data, createdBy) => {
+  const [worker, settings] = await Promise.all([getWorker(tenantId, data.workerId), getTenantSettings(tenantId)]);
+  const entry = buildEntry(worker, data, settings);
+  await assertWeekOpen(tenantId, worker.id, entry.weekStart);
+
+  const ref = data.id ? entriesCollection(tenantId).doc(data.id) : entriesCollection(tenantId).doc();
+  const document = {
+    ...entry,
+    timesheetId: null,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  await ref.set(document);
+
+  return { id: ref.id, ...document, createdAt: new Date(), updatedAt: new Date() };
+};
+
+/**
+ * Log the time a worker spent on a completed task
+ * Keyed by occurrence and worker, so completing again overwrites.
+ */
+const recordTaskTime = async (tenantId, occurrence, data, createdBy) => {
+  const groupIds = occurrence.herdGroupIds || [];
+  const allocation = data.allocation || (groupIds.length === 1
+    ? { type: AllocationType.ANIMAL_GROUP, id: groupIds[0] }
+    : null);
+
+  const completedAt = new Date();
+  return createTimeEntry(
+    tenantId,
+    {
+      id: `task-${occurrence.id}-${data.workerId}`,
+      workerId: data.workerId,
+      source: TimeEntrySource.TASK,
+      startAt: new Date(completedAt.getTime() - data.minutes * 60000),
+      endAt: completedAt,
+      siteId: occurrence.siteId,
+      allocation,
+      taskOccurrenceId: occurrence.id,
+      notes: occurrence.name,
+    },
+    createdBy
+  );
+};
+
+/**
+ * A time entry by ID, or null
+ */
+const getTimeEntry = async (tenantId, entryId) => {
+  const doc = await entriesCollection(tenantId).doc(entryId).get();
+  return doc.exists ? formatEntry(doc) : null;
+};
+
+/**
+ * Time entries, newest first
+ * @param {object} options - { workerId, from, to, weekStart, source }
+ */
+const listTimeEntries = async (tenantId, options = {}) => {
+  let query = entriesCollection(tenantId);
+  if (options.workerId) query = query.where('workerId', '==', options.workerId);
+  if (options.weekStart) {
+    query = query.where('weekStart', '==', options.weekStart);
+  } else {
+    if (options.from) query = query.where('date', '>=', options.from);
+    if (options.to) query = query.where('date', '<=', options.to);
+  }
+
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map(formatEntry)
+    .filter((e) => !options.source || e.source === options.source)
+    .sort((a, b) => b.date.localeCompare(a.date) || (toDate(b.startAt) || 0) - (toDate(a.startAt) || 0));
+};
+
+/**
+ * Edit an entry while its week is still open
+ */
+const updateTimeEntry = async (tenantId, entryId, data) => {
+  const ref = entriesCollection(tenantId).doc(entryId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new Error('Time entry not found');
+  }
+
+  const current = doc.data();
+  if (!current.endAt && current.source === TimeEntrySource.CLOCK) {
+    throw new Error('Clock out before editing this entry');
+  }
+  await assertWeekOpen(tenantId, current.workerId, current.weekStart);
+
+  const [worker, settings] = await Promise.all([getWorker(tenantId, current.workerId), getTenantSettings(tenantId)]);
+  // New times win; a new minute count replaces the old times
+  const timesChanged = data.startAt !== undefined || data.endAt !== undefined;
+  const minutesChanged = !timesChanged && data.minutes !== undefined;
+  const keepTimes = !timesChanged && !minutesChanged;
+  const entry = buildEntry(
+    worker,
+    {
+      source: current.source,
+      startAt: keepTimes ? toDate(current.startAt) : data.startAt,
+      endAt: keepTimes ? toDate(current.endAt) : data.endAt,
+      minutes: timesChanged ? undefined : data.minutes ?? current.minutes,
+      date: data.date ?? current.date,
+      siteId: data.siteId ?? current.siteId,
+      allocation: data.allocation !== undefined ? data.allocation : current.allocation,
+      taskOccurrenceId: current.taskOccurrenceId,
+      notes: data.notes !== undefined ? data.notes : current.notes,
+    },
+    settings
+  );
+  if (entry.weekStart !== current.weekStart) {
+    await assertWeekOpen(tenantId, current.workerId, entry.weekStart);
+  }
+
+  await ref.update({ ...entry, updatedAt: FieldValue.serverTimestamp() });
+  return formatEntry(await ref.get());
+};
+
+/**
+ * Delete an entry while its week is still open
+ */
+const deleteTimeEntry = async (tenantId, entryId) => {
+  const ref = entriesCollection(tenantId).doc(entryId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  const entry = doc.data();
+  await assertWeekOpen(tenantId, entry.workerId, entry.weekStart);
+  if (entry.source === TimeEntrySource.CLOCK && !entry.endAt) {
+    await clocksCollection(tenantId).doc(entry.workerId).delete();
+  }
+  await ref.delete();
+  return true;
+};
+
+// ============================================
+// CLOCK IN / OUT
+// ============================================
+
+/**
+ * Start a clocked shift
+ * The worker's clock document is created in the same transaction as the
+ * open entry, so a second clock-in fails instead of opening two shifts.
+ */
+const clockIn = async (tenantId, data, createdBy) => {
+  const [worker, settings] = await Promise.all([getWorker(tenantId, data.workerId), getTenantSettings(tenantId)]);
+  const startAt = data.at ? new Date(data.at) : new Date();
+  const date = timezoneService.dateKeyInTimezone(startAt, settings.timezone);
+  const weekStart = weekStartFor(date, settings.weekStartsOn);
+  await assertWeekOpen(tenantId, worker.id, weekStart);
+
+  const clockRef = clocksCollection(tenantId).doc(worker.id);
+  const entryRef = entriesCollection(tenantId).doc();
+  const entry = {
+    workerId: worker.id,
+    workerName: worker.name,
+    source: TimeEntrySource.CLOCK,
+    date,
+    weekStart,
+    startAt,
+    endAt: null,
+    minutes: 0,
+    siteId: data.siteId || worker.siteId || null,
+    allocation: resolveAllocation(data.allocation, data.siteId || worker.siteId),
+    taskOccurrenceId: null,
+    notes: data.notes || null,
+    timesheetId: null,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await db.runTransaction(async (tx) => {
+    const clockDoc = await tx.get(clockRef);
+    if (clockDoc.exists) {
+      throw new Error(`${worker.name} is already clocked in`);
+    }
+    tx.create(clockRef, { entryId: entryRef.id, startAt, createdBy });
+    tx.set(entryRef, entry);
+  });
+
+  return { id: entryRef.id, ...entry, createdAt: new Date(), updatedAt: new Date() };
+};
+
+/**
+ * End a worker's open shift
+ */
+const clockOut = async (tenantId, data) => {
+  const worker = await getWorker(tenantId, data.workerId);
+  const endAt = data.at ? new Date(data.at) : new Date();
+  const clockRef = clocksCollection(tenantId).doc(worker.id);
+
+  const entryId = await db.runTransaction(async (tx) => {
+    const clockDoc = await tx.get(clockRef);
+    if (!clockDoc.exists) {
+      throw new Error(`${worker.name} is not clocked in`);
+    }
+
+    const entryRef = entriesCollection(tenantId).doc(clockDoc.data().entryId);
+    const entryDoc = await tx.get(entryRef);
+    const startAt = toDate(clockDoc.data().startAt);
+    if (endAt <= startAt) {
+      throw new Error('Clock-out must be after clock-in');
+    }
+
+    const minutes = Math.round((endAt - startAt) / 60000);
+    if (minutes > MAX_ENTRY_MINUTES) {
+      throw new Error('Shift is longer than 24 hours; clock out at the real end time');
+    }
+
+    tx.delete(clockRef);
+    if (entryDoc.exists) {
+      tx.update(entryRef, {
+        endAt,
+        minutes,
+        notes: data.notes || entryDoc.data().notes || null,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    return entryRef.id;
+  });
+
+  return formatEntry(await entriesCollection(tenantId).doc(entryId).get());
+};
+
+/**
+ * A worker's open shift, or null
+ */
+const getClockStatus = async (tenantId, workerId) => {
+  const clockDoc = await clocksCollection(tenantId).doc(workerId).get();
+  if (!clockDoc.exists) return null;
+  const entryDoc = await entriesCollection(tenantId).doc(clockDoc.data().entryId).get();
+  return entryDoc.exists ? formatEntry(entryDoc) : null;
+};
+
+// ============================================
+// TIMESHEETS
+// ============================================
+
+/**
+ * Hours and pay for a week of entries
+ * Overtime is the time past 40 hours (employees only). Cost is split
+ * across allocations by their share of the minutes worked.
+ */
+const summarizeWeek = (worker, entries) => {
+  const totalMinutes = entries.reduce((sum, e) => sum + (e.minutes || 0), 0);
+  const totalHours = round(totalMinutes / 60);
+  const overtimeHours = worker.type === ContactType.EMPLOYEE
+    ? round(Math.max(totalHours - OVERTIME_THRESHOLD_HOURS, 0))
+    : 0;
+  const regularHours = round(totalHours - overtimeHours);
+
+  const rate = worker.laborRate || 0;
+  const overtimeRate = round(rate * OVERTIME_MULTIPLIER, 4);
+  const regularPay = round(regularHours * rate);
+  const overtimePay = round(overtimeHours * overtimeRate);
+  const totalCost = round(regularPay + overtimePay);
+
+  const days = {};
+  const byAllocation = new Map();
+  for (const entry of entries) {
+    days[entry.date] = (days[entry.date] || 0) + (entry.minutes || 0);
+    const key = entry.allocation ? `${entry.allocation.type}:${entry.allocation.id}` : 'UNALLOCATED';
+    const current = byAllocation.get(key) || {
+      entityType: entry.allocation?.type || null,
+      entityId: entry.allocation?.id || null,
+      label: entry.allocation?.label || null,
+      minutes: 0,
+    };
+    current.minutes += entry.minutes || 0;
+    byAllocation.set(key, current);
+  }
+
+  // Split cost by minutes; the last line absorbs rounding so lines sum to the total
+  const allocations = Array.from(byAllocation.values()).sort((a, b) => b.minutes - a.minutes);
+  let allocated = 0;
+  allocations.forEach((allocation, index) => {
+    allocation.amount = index === allocations.length - 1
+      ? round(totalCost - allocated)
+      : round(totalMinutes ? (totalCost * allocation.minutes) / totalMinutes : 0);
+    allocated = round(allocated + allocation.amount);
+  });
+
+  return {
+    totalMinutes,
+    totalHours,
+    regularHours,
+    overtimeHours,
+    rate,
+    overtimeRate,
+    regularPay,
+    overtimePay,
+    totalCost,
+    days: Object.entries(days)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, minutes]) => ({ date, minutes, hours: round(minutes / 60) })),
+    allocations,
+  };
+};
+
+/**
+ * A worker's timesheet for a week
+ * Open weeks are computed from the current entries; submitted and approved
+ * weeks return the stored snapshot.
+ */
+const getTimesheet = async (tenantId, workerId, weekStart) => {
+  const settings = await getTenantSettings(tenantId);
+  const start = weekStartFor(weekStart, settings.weekStartsOn);
+  const id = timesheetId(workerId, start);
+
+  const [doc, entries] = await Promise.all([
+    timesheetsCollection(tenantId).doc(id).get(),
+    listTimeEntries(tenantId, { workerId, weekStart: start }),
+  ]);
+
+  if (doc.exists && [TimesheetStatus.SUBMITTED, TimesheetStatus.APPROVED].includes(doc.data().status)) {
+    return { id, ...doc.data(), entries };
+  }
+
+  const contact = mongoose.isValidObjectId(workerId)
+    ? await Contact.findOne({ _id: workerId, tenantId }).lean()
+    : null;
+  if (!contact) {
+    throw new Error('Worker not found');
+  }
+  const worker = formatWorker(contact);
+
+  return {
+    id,
+    workerId,
+    workerName: worker.name,
+    workerCode: worker.code,
+    workerType: worker.type,
+    weekStart: start,
+    weekEnd: timezoneService.addDaysToKey(start, 6),
+    status: doc.exists ? doc.data().status : TimesheetStatus.OPEN,
+    rejectedReason: doc.exists ? doc.data().rejectedReason || null : null,
+    openShift: entries.some((e) => e.source === TimeEntrySource.CLOCK && !e.endAt),
+    ...summarizeWeek(worker, entries),
+    entries,
+  };
+};
+
+/**
+ * Every worker's timesheet for a week, including workers with no time yet
+ */
+const listTimesheets = async (tenantId, options = {}) => {
+  const settings = await getTenantSettings(tenantId);
+  const weekStart = weekStartFor(
+    options.weekStart || timezoneService.dateKeyInTimezone(new Date(), settings.timezone),
+    settings.weekStartsOn
+  );
+
+  const workers = await listWorkers(tenantId, { siteId: options.siteId });
+  const timesheets = [];
+  for (const worker of workers) {
+    const timesheet = await getTimesheet(tenantId, worker.id, weekStart);
+    delete timesheet.entries;
+    timesheets.push(timesheet);
+  }
+
+  return {
+    weekStart,
+    weekEnd: timezoneService.addDaysToKey(weekStart, 6),
+    timesheets: options.status ? timesheets.filter((t) => t.status === options.status) : timesheets,
+  };
+};
+
+/**
+ * Submit a week for approval
+ * Stores the totals as they stand and locks the week's entries.
+ */
+const submitTimesheet = async (tenantId, workerId, weekStart, submittedBy) => {
+  const timesheet = await getTimesheet(tenantId, workerId, weekStart);
+  if ([TimesheetStatus.SUBMITTED, TimesheetStatus.APPROVED].includes(timesheet.status)) {
+    throw new Error(`Timesheet is already ${timesheet.status.toLowerCase()}`);
+  }
+  if (timesheet.openShift) {
+    throw new Error('Clock out of the open shift before submitting');
+  }
+  if (timesheet.entries.length === 0) {
+    throw new Error('There is no time to submit for this week');
+  }
+
+  const { entries, ...snapshot } = timesheet;
+  const batch = db.batch();
+  batch.set(timesheetsCollection(tenantId).doc(timesheet.id), {
+    ...snapshot,
+    status: TimesheetStatus.SUBMITTED,
+    entryIds: entries.map((e) => e.id),
+    rejectedReason: null,
+    submittedAt: FieldValue.serverTimestamp(),
+    submittedBy,
+    approvedAt: null,
+    approvedBy: null,
+    eventId: null,
+    postingStatus: null,
+    postingError: null,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  for (const entry of entries) {
+    batch.update(entriesCollection(tenantId).doc(entry.id), { timesheetId: timesheet.id });
+  }
+  await batch.commit();
+
+  return getTimesheet(tenantId, workerId, timesheet.weekStart);
+};
+
+/**
+ * Send a submitted week back to the worker; its entries unlock
+ */
+const rejectTimesheet = async (tenantId, id, reason, rejectedBy) => {
+  const { workerId, weekStart } = parseTimesheetId(id);
+  const ref = timesheetsCollection(tenantId).doc(id);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().status !== TimesheetStatus.SUBMITTED) {
+    throw new Error('Only submitted timesheets can be rejected');
+  }
+
+  const batch = db.batch();
+  batch.update(ref, {
+    status: TimesheetStatus.REJECTED,
+    rejectedReason: reason || null,
+    rejectedBy,
+    rejectedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  for (const entryId of doc.data().entryIds || []) {
+    batch.update(entriesCollection(tenantId).doc(entryId), { timesheetId: null });
+  }
+  await batch.commit();
+
+  return getTimesheet(tenantId, workerId, weekStart);
+};
+
+// A posting claimed this long ago without finishing is picked up again
+const STALE_POSTING_MS = 5 * 60 * 1000;
+
+/**
+ * Post an approved week's labor cost, creating its event the first time and
+ * reprocessing that event on later attempts. Any error is recorded on the
+ * timesheet as FAILED rather than thrown.
+ */
+const postTimesheetCost = async (tenantId, id, timesheet, postedBy) => {
+  const ref = timesheetsCollection(tenantId).doc(id);
+  let eventId = timesheet.eventId || null;
+  let processing;
+
+  try {
+    if (!eventId) {
+      const settings = await getTenantSettings(tenantId);
+      const payload = {
+        timesheetId: id,
+        workerId: timesheet.workerId,
+        workerName: timesheet.workerName,
+        weekStart: timesheet.weekStart,
+        totalCost: timesheet.totalCost,
+        allocations: timesheet.allocations.map(({ entityType, entityId, amount }) => ({ entityType, entityId, amount })),
+      };
+
+      const event = await firestoreService.createEvent(
+        tenantId,
+        {
+          siteId: timesheet.allocations.find((a) => a.entityType === AllocationType.SITE)?.entityId || null,
+          type: 'LABOR_TIMESHEET',
+          occurredAt: timezoneService.endOfDayInTimezone(timesheet.weekEnd, settings.timezone),
+          sourceType: 'API',
+          sourceId: id,
+          payload,
+          idempotencyKey: accountingService.generateIdempotencyKey(tenantId, `labor-timesheet-${id}`, payload),
+        },
+        postedBy
+      );
+      eventId = event.id;
+      // Kept straight away so a retry reprocesses this event instead of creating another
+      await ref.update({ eventId });
+    } else {
+      const event = await firestoreService.getEvent(tenantId, eventId);
+      if (event?.status === 'FAILED') {
+        await firestoreService.releaseEventLock(tenantId, eventId);
+      }
+    }
+
+    processing = await accountingService.processEvent(tenantId, eventId, `api-${uuidv4()}`);
+  } catch (postingError) {
+    console.error('LABOR_TIMESHEET posting failed:', postingError);
+    processing = { success: false, error: postingError.message };
+  }
+
+  await ref.update({
+    eventId,
+    postingStatus: processing?.success ? 'POSTED' : 'FAILED',
+    postingError: processing?.success ? null : processing?.error || null,
+  });
+};
+
+/**
+ * Approve a submitted week and post its labor cost
+ * The status change is a transaction, so two approvers cannot both post.
+ * Posting failures are recorded on the timesheet, not thrown; postTimesheet
+ * retries them.
+ */
+const approveTimesheet = async (tenantId, id, approvedBy) => {
+  const { workerId, weekStart } = parseTimesheetId(id);
+  const ref = timesheetsCollection(tenantId).doc(id);
+
+  const timesheet = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists || doc.data().status !== TimesheetStatus.SUBMITTED) {
+      throw new Error('Only submitted timesheets can be approved');
+    }
+    tx.update(ref, {
+      status: TimesheetStatus.APPROVED,
+      approvedAt: FieldValue.serverTimestamp(),
+      approvedBy,
+      postingStatus: doc.data().totalCost > 0 ? 'PENDING' : null,
+      postingClaimedAt: new Date(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return doc.data();
+  });
+
+  if (timesheet.totalCost > 0) {
+    await postTimesheetCost(tenantId, id, { ...timesheet, workerId, weekStart }, approvedBy);
+  }
+
+  return getTimesheet(tenantId, workerId, weekStart);
+};
+
+/**
+ * Post an approved week's labor cost again after a failed or interrupted
+ * posting. A PENDING posting is only taken over once it has gone stale, so
+ * this cannot race an approval that is still posting.
+ */
+const postTimesheet = async (tenantId, id, postedBy) => {
+  const { workerId, weekStart } = parseTimesheetId(id);
+  const ref = timesheetsCollection(tenantId).doc(id);
+
+  const timesheet = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.exists ? doc.data() : null;
+    if (!data || data.status !== TimesheetStatus.APPROVED) {
+      throw new Error('Only approved timesheets can be posted');
+    }
+    if (!(data.totalCost > 0) || data.postingStatus === 'POSTED') {
+      throw new Error('This timesheet has nothing left to post');
+    }
+    const claimedAt = data.postingClaimedAt?.toDate ? data.postingClaimedAt.toDate() : data.postingClaimedAt;
+    if (data.postingStatus === 'PENDING' && claimedAt && Date.now() - new Date(claimedAt).getTime() < STALE_POSTING_MS) {
+      throw new Error('This timesheet is already being posted');
+    }
+    tx.update(ref, {
+      postingStatus: 'PENDING',
+      postingClaimedAt: new Date(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return data;
+  });
+
+  await postTimesheetCost(tenantId, id, { ...timesheet, workerId, weekStart }, postedBy);
+
+  return getTimesheet(tenantId, workerId, weekStart);
+};
+
+// ============================================
+// PAYROLL EXPORT
+// ============================================
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const PAYROLL_COLUMNS = [
+  ['Worker ID', (t) => t.workerId],
+  ['Worker Code', (t) => t.workerCode],
+  ['Worker Name', (t) => t.workerName],
+  ['Worker Type', (t) => t.workerType],
+  ['Week Start', (t) => t.weekStart],
+  ['Week End', (t) => t.weekEnd],
+  ['Regular Hours', (t) => t.regularHours.toFixed(2)],
+  ['Overtime Hours', (t) => t.overtimeHours.toFixed(2)],
+  ['Rate', (t) => t.rate.toFixed(2)],
+  ['Overtime Rate', (t) => t.overtimeRate.toFixed(2)],
+  ['Regular Pay', (t) => t.regularPay.toFixed(2)],
+  ['Overtime Pay', (t) => t.overtimePay.toFixed(2)],
+  ['Total Pay', (t) => t.totalCost.toFixed(2)],
+  ['Approved By', (t) => t.approvedBy],
+];
+
+/**
+ * Approved timesheets for weeks starting within a date range, as CSV
+ * One row per worker-week, ready to key into a payroll service.
+ */
+const exportPayrollCsv = async (tenantId, options = {}) => {
+  let query = timesheetsCollection(tenantId).where('status', '==', TimesheetStatus.APPROVED);
+  if (options.from) query = query.where('weekStart', '>=', options.from);
+  if (options.to) query = query.where('weekStart', '<=', options.to);
+
+  const snapshot = await query.get();
+  const timesheets = snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.workerName.localeCompare(b.workerName));
+
+  const lines = [
+    PAYROLL_COLUMNS.map(([header]) => header).join(','),
+    ...timesheets.map((t) => PAYROLL_COLUMNS.map(([, value]) => csvCell(value(t))).join(',')),
+  ];
+
+  return { csv: `${lines.join('\n')}\n`, count: timesheets.length };
+};
+
+module.exports = {
+  // Enums
+  TimeEntrySource,
+  TimesheetStatus,
+  AllocationType,
+  OVERTIME_THRESHOLD_HOURS,
+  OVERTIME_MULTIPLIER,
+
+  // Workers
+  listWorkers,
+  getWorker,
+  findWorkerForUser,
+
+  // Time entries
+  createTimeEntry,
+  recordTaskTime,
+  getTimeEntry,
+  listTimeEntries,
+  updateTimeEntry,
+  deleteTimeEntry,
+
+  // Clock
+  clockIn,
+  clockOut,
+  getClockStatus,
+
+  // Timesheets
+  weekStartFor,
+  getTimesheet,
+  listTimesheets,
+  submitTimesheet,
+  rejectTimesheet,
+  approveTimesheet,
+  postTimesheet,
+
+  // Payroll
+  exportPayrollCsv,
+};
@@ -6,6 +6,8 @@
 const { db, admin } = require('../config/firebase-admin');
 const { FieldValue } = admin.firestore;
 const accountingService = require('./accounting');
+const firestoreService = require('./firestore');
+const timezoneService = require('./timezone-service');
 const Contact = require('../models/Contact');
 const emailService = require('./email-service');
 const {
@@ -1166,8 +1168,15 @@ const createP2PEvent = async (tenantId, eventData, createdBy) => {
 // AP AGING REPORT
 // ============================================
 
+/**
+ * AP aging as of a date. Days overdue are whole calendar days in the tenant's
+ * timezone, so a bill due today stays current through the end of the farm's day.
+ * @param {string|Date} asOfDate - YYYY-MM-DD, or an instant (default now)
+ */
 const getAPAging = async (tenantId, asOfDate = new Date()) => {
   const bills = await getVendorBills(tenantId, { unpaidOnly: true, limit: 500 });
+  const timezone = await firestoreService.getTenantTimezone(tenantId);
+  const asOfKey = timezoneService.asDateKey(asOfDate, timezone);
 
   const aging = {
     current: 0,      // 0-30 days
@@ -1179,8 +1188,7 @@ const getAPAging = async (tenantId, asOfDate = new Date()) => {
   };
 
   for (const bill of bills) {
-    const dueDate = bill.dueDate?.toDate ? bill.dueDate.toDate() : new Date(bill.dueDate);
-    const daysOverdue = Math.floor((asOfDate - dueDate) / (1000 * 60 * 60 * 24));
+    const daysOverdue = timezoneService.daysBetweenKeys(timezoneService.asDateKey(bill.dueDate, timezone), asOfKey);
     const amountDue = bill.totals.amountDue || 0;
 
     if (daysOverdue <= 0) {
@@ -57,6 +57,7 @@ const initializeUsage = async (tenantId, billingCycleStart = new Date()) => {
     runlists: 0,
     inventoryItems: 0,
     contacts: 0,
+    storageBytes: 0,
 
     lastUpdated: FieldValue.serverTimestamp(),
   };
@@ -136,6 +137,26 @@ const RESOURCE_TO_FIELD = {
   eventsPerMonth: 'eventsThisCycle',
   posPerMonth: 'posThisCycle',
   billsPerMonth: 'billsThisCycle',
+  storageGB: 'storageBytes',
+};
+
+/**
+ * Resources counted in a smaller unit than their plan limit
+ * (storage is tracked in bytes, limited in GB)
+ */
+const RESOURCE_UNIT_SIZE = {
+  storageGB: 1024 * 1024 * 1024,
+};
+
+/**
+ * Convert a stored counter value to the unit its plan limit is expressed in
+ * @param {string} resourceType
+ * @param {number} value
+ * @returns {number}
+ */
+const toLimitUnits = (resourceType, value) => {
+  const unitSize = RESOURCE_UNIT_SIZE[resourceType];
+  return unitSize ? Math.round((value / unitSize) * 100) / 100 : value;
 };
 
 /**
@@ -165,18 +186,21 @@ const checkLimit = async (tenantId, plan, resourceType, increment = 1) => {
   const fieldName = RESOURCE_TO_FIELD[resourceType] || resourceType;
   const current = usage[fieldName] || 0;
   const newTotal = current + increment;
+  const scaledLimit = limit * (RESOURCE_UNIT_SIZE[resourceType] || 1);
 
-  const allowed = newTotal <= limit;
-  const percentUsed = limit > 0 ? Math.round((current / limit) * 100) : 0;
+  const allowed = newTotal <= scaledLimit;
+  const percentUsed = limit > 0 ? Math.round((current / scaledLimit) * 100) : 0;
 
   return {
     allowed,
-    current,
+    current: toLimitUnits(resourceType, current),
     limit,
     percentUsed,
-    newTotal,
+    newTotal: toLimitUnits(resourceType, newTotal),
     isUnlimited: false,
-    suggestedPlan: allowed ? null : suggestUpgradePlan(normalizedPlan, resourceType, newTotal),
+    suggestedPlan: allowed
+      ? null
+      : suggestUpgradePlan(normalizedPlan, resourceType, toLimitUnits(resourceType, newTotal)),
   };
 };
 
@@ -261,11 +285,12 @@ const getUsageSummary = async (tenantId, plan) => {
     'contacts',
     'posPerMonth',
     'billsPerMonth',
+    'storageGB',
   ];
 
   for (const resourceType of resourceTypes) {
     const fieldName = RESOURCE_TO_FIELD[resourceType] || resourceType;
-    const current = usage[fieldName] || 0;
+    const current = toLimitUnits(resourceType, usage[fieldName] || 0);
     const limit = limits[resourceType] ?? 0;
     const unlimited = isUnlimited(limit);
     const percentUsed = unlimited ? 0 : limit > 0 ? Math.round((current / limit) * 100) : 0;
@@ -363,6 +388,7 @@ const checkAndIncrement = async (tenantId, plan, resourceType, increment = 1) =>
         runlists: 0,
         inventoryItems: 0,
         contacts: 0,
+        storageBytes: 0,
         lastUpdated: FieldValue.serverTimestamp(),
       };
       transaction.set(usageRef, usage);
@@ -372,8 +398,9 @@ const checkAndIncrement = async (tenantId, plan, resourceType, increment = 1) =>
 
     const current = usage[fieldName] || 0;
     const newTotal = current + increment;
-    const allowed = newTotal <= limit;
-    const percentUsed = limit > 0 ? Math.round((current / limit) * 100) : 0;
+    const scaledLimit = limit * (RESOURCE_UNIT_SIZE[resourceType] || 1);
+    const allowed = newTotal <= scaledLimit;
+    const percentUsed = limit > 0 ? Math.round((current / scaledLimit) * 100) : 0;
 
     if (allowed) {
       transaction.update(usageRef, {
@@ -384,12 +411,14 @@ const checkAndIncrement = async (tenantId, plan, resourceType, increment = 1) =>
 
     return {
       allowed,
-      current,
+      current: toLimitUnits(resourceType, current),
       limit,
       percentUsed,
-      newTotal,
+      newTotal: toLimitUnits(resourceType, newTotal),
       isUnlimited: false,
-      suggestedPlan: allowed ? null : suggestUpgradePlan(normalizedPlan, resourceType, newTotal),
+      suggestedPlan: allowed
+        ? null
+        : suggestUpgradePlan(normalizedPlan, resourceType, toLimitUnits(resourceType, newTotal)),
     };
   });
 };
@@ -405,5 +434,7 @@ module.exports = {
   getWarningLevel,
   checkFeatureEnabled,
   checkAndIncrement,
+  toLimitUnits,
   RESOURCE_TO_FIELD,
+  RESOURCE_UNIT_SIZE,
 };
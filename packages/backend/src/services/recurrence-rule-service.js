@@ -0,0 +1,485 @@
+/**
+ * Recurrence Rule Service
+ * RFC 5545 RRULE evaluation for task templates with a CUSTOM recurrence.
+ * Tasks are scheduled by the day, so rules are evaluated on calendar dates:
+ * FREQ is limited to DAILY, WEEKLY, MONTHLY and YEARLY and time-of-day parts
+ * (BYHOUR, BYMINUTE, BYSECOND) are refused.
+ *
+ * Supported parts: FREQ, INTERVAL, COUNT, UNTIL, BYDAY (with ordinals such
+ * as 1TU or -1FR for MONTHLY/YEARLY), BYMONTHDAY, BYMONTH, BYSETPOS, WKST.
+ * EXDATE exceptions come either from EXDATE lines in the rule text or from
+ * the template's recurrence.exdates array.
+ *
+ *   every Mon/Wed/Fri              FREQ=WEEKLY;BYDAY=MO,WE,FR
+ *   first Tuesday of each month    FREQ=MONTHLY;BYDAY=1TU
+ *   every 3 days except Sundays    FREQ=DAILY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR,SA
+ *   seasonal, April-October only   FREQ=DAILY;BYMONTH=4,5,6,7,8,9,10
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Index matches Date#getDay() (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const Frequency = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY',
+};
+
+const MAX_PREVIEW_COUNT = 366;
+
+// Upper bound on periods walked, so a rule that can never match
+// (e.g. BYMONTH=2;BYMONTHDAY=30) ends instead of looping forever
+const MAX_PERIODS = 20000;
+
+// ============================================
+// DATE HELPERS
+// ============================================
+// Dates are handled as day numbers (days since 1970-01-01 on the calendar),
+// which keeps arithmetic free of DST and time-of-day drift.
+
+const dayNumberOf = (year, month, day) => Date.UTC(year, month - 1, day) / MS_PER_DAY;
+
+const toDayNumber = (date) => dayNumberOf(date.getFullYear(), date.getMonth() + 1, date.getDate());
+
+const partsOf = (dayNumber) => {
+  const date = new Date(dayNumber * MS_PER_DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+// 1970-01-01 was a Thursday
+const weekdayOf = (dayNumber) => (((dayNumber + 4) % 7) + 7) % 7;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const formatDateKey = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+
+/**
+ * Convert a date value to a day number
+ * Accepts Date objects, Firestore Timestamps and strings in the forms
+ * 20261225, 2026-12-25, 20261225T000000Z or a full ISO timestamp.
+ */
+const parseDateValue = (value) => {
+  if (value instanceof Date) return toDayNumber(value);
+  if (value && typeof value.toDate === 'function') return toDayNumber(value.toDate());
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  const [, year, month, day] = match.map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return dayNumberOf(year, month, day);
+};
+
+const parseIntegerList = (value, name, min, max) =>
+  value.split(',').map((part) => {
+    const number = Number(part);
+    if (!Number.isInteger(number) || number === 0 || Math.abs(number) > max || number < min) {
+      throw new Error(`Invalid ${name} value: ${part}`);
+    }
+    return number;
+  });
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse the RRULE part list (FREQ=...;BYDAY=...) into a rule object
+ */
+const parseRulePart = (text) => {
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1,
+  };
+
+  for (const part of text.split(';')) {
+    if (!part.trim()) continue;
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    if (!value) {
+      throw new Error(`RRULE part ${key} has no value`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!Frequency[value.toUpperCase()]) {
+          throw new Error(`FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY (got ${value})`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error('INTERVAL must be a positive whole number');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error('COUNT must be a positive whole number');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((entry) => {
+          const match = entry.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${entry}`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 53)) {
+            throw new Error(`Invalid BYDAY value: ${entry}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(value, 'BYMONTH', 1, 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList(value, 'BYSETPOS', -366, 366);
+        break;
+      case 'WKST':
+        rule.wkst = WEEKDAYS.indexOf(value.toUpperCase());
+        if (rule.wkst === -1) {
+          throw new Error(`Invalid WKST value: ${value}`);
+        }
+        break;
+      case 'BYHOUR':
+      case 'BYMINUTE':
+      case 'BYSECOND':
+        throw new Error(`${key} is not supported; tasks are scheduled by the day`);
+      default:
+        throw new Error(`RRULE part ${key} is not supported`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE must include FREQ');
+  }
+  if (rule.count !== null && rule.until !== null) {
+    throw new Error('RRULE cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay.some((d) => d.ordinal !== null) && ![Frequency.MONTHLY, Frequency.YEARLY].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values (e.g. 1TU) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === Frequency.WEEKLY) {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+  if (rule.bySetPos.length > 0 && !rule.byDay.length && !rule.byMonthDay.length && !rule.byMonth.length) {
+    throw new Error('BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH');
+  }
+
+  return rule;
+};
+
+/**
+ * Parse rule text, which may be a bare part list or iCalendar lines:
+ *   DTSTART;VALUE=DATE:20260401
+ *   RRULE:FREQ=MONTHLY;BYDAY=1TU
+ *   EXDATE;VALUE=DATE:20261103,20261201
+ * @returns {{ rule: object, dtstart: number|null, exdates: number[] }}
+ */
+const parseRecurrenceRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('RRULE is required for a custom recurrence');
+  }
+
+  let rule = null;
+  let dtstart = null;
+  const exdates = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const colon = line.indexOf(':');
+    const name = colon === -1 ? 'RRULE' : line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = colon === -1 ? line : line.slice(colon + 1);
+
+    if (name === 'RRULE') {
+      if (rule) {
+        throw new Error('Only one RRULE is supported');
+      }
+      rule = parseRulePart(value);
+    } else if (name === 'EXDATE') {
+      exdates.push(...value.split(',').map(parseDateValue));
+    } else if (name === 'DTSTART') {
+      dtstart = parseDateValue(value);
+    } else {
+      throw new Error(`Unsupported line: ${name}`);
+    }
+  }
+
+  if (!rule) {
+    throw new Error('RRULE is required for a custom recurrence');
+  }
+
+  return { rule, dtstart, exdates };
+};
+
+/**
+ * Parse a template recurrence (pattern CUSTOM) into rule, start and exceptions
+ */
+const resolveRecurrence = (recurrence, startDate) => {
+  const parsed = parseRecurrenceRule(recurrence.rrule);
+  const exdates = new Set(parsed.exdates);
+  (recurrence.exdates || []).forEach((value) => exdates.add(parseDateValue(value)));
+
+  const start = parsed.dtstart ?? (startDate ? parseDateValue(startDate) : toDayNumber(new Date()));
+
+  return { rule: parsed.rule, start, exdates };
+};
+
+// ============================================
+// EXPANSION
+// ============================================
+
+const weekStartOf = (dayNumber, wkst) => dayNumber - ((weekdayOf(dayNumber) - wkst + 7) % 7);
+
+// Every day in a range that falls on a BYDAY weekday, narrowed by ordinal
+const expandByDay = (byDay, firstDay, lastDay) => {
+  const days = [];
+  for (const { weekday, ordinal } of byDay) {
+    const matches = [];
+    for (let day = firstDay + ((weekday - weekdayOf(firstDay) + 7) % 7); day <= lastDay; day += 7) {
+      matches.push(day);
+    }
+    if (ordinal === null) {
+      days.push(...matches);
+    } else {
+      const picked = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (picked !== undefined) days.push(picked);
+    }
+  }
+  return days;
+};
+
+const expandMonth = (rule, year, month, defaultDay) => {
+  const lastDayOfMonth = daysInMonth(year, month);
+  const firstDay = dayNumberOf(year, month, 1);
+
+  const monthDays = rule.byMonthDay
+    .map((n) => (n > 0 ? n : lastDayOfMonth + n + 1))
+    .filter((n) => n >= 1 && n <= lastDayOfMonth)
+    .map((n) => firstDay + n - 1);
+
+  if (rule.byDay.length > 0) {
+    const weekdays = expandByDay(rule.byDay, firstDay, firstDay + lastDayOfMonth - 1);
+    return rule.byMonthDay.length > 0 ? weekdays.filter((d) => monthDays.includes(d)) : weekdays;
+  }
+  if (rule.byMonthDay.length > 0) {
+    return monthDays;
+  }
+  // Months without the start's day (e.g. the 31st) are skipped, per RFC 5545
+  return defaultDay <= lastDayOfMonth ? [firstDay + defaultDay - 1] : [];
+};
+
+/**
+ * Number of FREQ periods between the start's period and the day's period
+ */
+const periodIndexOf = (rule, start, dayNumber) => {
+  const s = partsOf(start);
+  const d = partsOf(dayNumber);
+
+  switch (rule.freq) {
+    case Frequency.DAILY:
+      return dayNumber - start;
+    case Frequency.WEEKLY:
+      return (weekStartOf(dayNumber, rule.wkst) - weekStartOf(start, rule.wkst)) / 7;
+    case Frequency.MONTHLY:
+      return (d.year - s.year) * 12 + (d.month - s.month);
+    default:
+      return d.year - s.year;
+  }
+};
+
+/**
+ * All days produced by one FREQ period (index counted from the start's period),
+ * after the BY* expansions, limits and BYSETPOS
+ */
+const expandPeriod = (rule, start, index) => {
+  const s = partsOf(start);
+  let days;
+
+  switch (rule.freq) {
+    case Frequency.DAILY:
+      days = [start + index];
+      break;
+
+    case Frequency.WEEKLY: {
+      const first = weekStartOf(start, rule.wkst) + index * 7;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [weekdayOf(start)];
+      days = [0, 1, 2, 3, 4, 5, 6].map((i) => first + i).filter((d) => weekdays.includes(weekdayOf(d)));
+      break;
+    }
+
+    case Frequency.MONTHLY: {
+      const monthIndex = s.year * 12 + (s.month - 1) + index;
+      days = expandMonth(rule, Math.floor(monthIndex / 12), (monthIndex % 12) + 1, s.day);
+      break;
+    }
+
+    default: {
+      const year = s.year + index;
+      if (rule.byMonth.length > 0) {
+        days = rule.byMonth.flatMap((month) => expandMonth(rule, year, month, s.day));
+      } else if (rule.byDay.length > 0) {
+        // Without BYMONTH, BYDAY ordinals count through the whole year
+        days = expandByDay(rule.byDay, dayNumberOf(year, 1, 1), dayNumberOf(year, 12, 31));
+        if (rule.byMonthDay.length > 0) {
+          days = days.filter((d) => {
+            const { year: y, month, day } = partsOf(d);
+            const last = daysInMonth(y, month);
+            return rule.byMonthDay.some((n) => (n > 0 ? n : last + n + 1) === day);
+          });
+        }
+      } else if (rule.byMonthDay.length > 0) {
+        days = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].flatMap((month) => expandMonth(rule, year, month, s.day));
+      } else {
+        days = expandMonth(rule, year, s.month, s.day);
+      }
+    }
+  }
+
+  // BYMONTH limits every frequency; DAILY also treats BYMONTHDAY and BYDAY as limits
+  days = days.filter((d) => {
+    const { month, day } = partsOf(d);
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return false;
+    if (rule.freq !== Frequency.DAILY) return true;
+    if (rule.byDay.length > 0 && !rule.byDay.some((b) => b.weekday === weekdayOf(d))) return false;
+    if (rule.byMonthDay.length > 0) {
+      const { year } = partsOf(d);
+      const last = daysInMonth(year, month);
+      if (!rule.byMonthDay.some((n) => (n > 0 ? n : last + n + 1) === day)) return false;
+    }
+    return true;
+  });
+
+  days = [...new Set(days)].sort((a, b) => a - b);
+
+  if (rule.bySetPos.length > 0) {
+    days = rule.bySetPos
+      .map((pos) => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter((d) => d !== undefined)
+      .sort((a, b) => a - b);
+  }
+
+  return days;
+};
+
+/**
+ * Walk the recurrence set in order (COUNT counts days removed by EXDATE, per RFC 5545)
+ */
+function* iterateOccurrences(rule, start) {
+  let produced = 0;
+
+  for (let index = 0; index < MAX_PERIODS * rule.interval; index += rule.interval) {
+    for (const day of expandPeriod(rule, start, index)) {
+      if (day < start) continue;
+      if (rule.until !== null && day > rule.until) return;
+      produced += 1;
+      if (rule.count !== null && produced > rule.count) return;
+      yield day;
+    }
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Validate a CUSTOM recurrence before it is saved
+ * Throws an Error describing the first problem found
+ */
+const validateRecurrenceRule = (recurrence) => {
+  const { rule, start, exdates } = resolveRecurrence(recurrence, null);
+  return { rule, start: formatDateKey(start), exdates: [...exdates].sort((a, b) => a - b).map(formatDateKey) };
+};
+
+/**
+ * Check whether a CUSTOM recurrence produces an occurrence on a date
+ * @param {object} recurrence - { pattern: 'CUSTOM', rrule, exdates? }
+ * @param {Date} targetDate
+ * @param {Date} startDate - Anchor (DTSTART) when the rule text has none
+ */
+const matchesRecurrenceRule = (recurrence, targetDate, startDate) => {
+  const { rule, start, exdates } = resolveRecurrence(recurrence, startDate);
+  const day = parseDateValue(targetDate);
+
+  if (day < start || exdates.has(day)) return false;
+  if (rule.until !== null && day > rule.until) return false;
+
+  // COUNT depends on everything before the date, so walk the set
+  if (rule.count !== null) {
+    for (const occurrence of iterateOccurrences(rule, start)) {
+      if (occurrence === day) return true;
+      if (occurrence > day) return false;
+    }
+    return false;
+  }
+
+  const index = periodIndexOf(rule, start, day);
+  if (index % rule.interval !== 0) return false;
+
+  return expandPeriod(rule, start, index).includes(day);
+};
+
+/**
+ * List the next occurrence dates of a CUSTOM recurrence
+ * @param {object} recurrence - { pattern: 'CUSTOM', rrule, exdates? }
+ * @param {Date} startDate - Anchor (DTSTART) when the rule text has none
+ * @param {object} options - { from: first date to list (default today), count }
+ * @returns {string[]} Dates as YYYY-MM-DD
+ */
+const listRecurrenceDates = (recurrence, startDate, options = {}) => {
+  const { rule, start, exdates } = resolveRecurrence(recurrence, startDate);
+  const from = options.from ? parseDateValue(options.from) : toDayNumber(new Date());
+  const count = Math.min(options.count || 10, MAX_PREVIEW_COUNT);
+
+  const dates = [];
+  for (const day of iterateOccurrences(rule, start)) {
+    if (day < from || exdates.has(day)) continue;
+    dates.push(formatDateKey(day));
+    if (dates.length >= count) break;
+  }
+  return dates;
+};
+
+module.exports = {
+  Frequency,
+  MAX_PREVIEW_COUNT,
+  parseRecurrenceRule,
+  validateRecurrenceRule,
+  matchesRecurrenceRule,
+  listRecurrenceDates,
+};
@@ -0,0 +1,597 @@
+/**
+ * Spatial Feature Service
+ * Point and line features drawn on site maps - fences, pipelines, water
+ * tanks, gates and wells. Line lengths are measured geodesically on the
+ * WGS84 ellipsoid. Each feature keeps a maintenance log, and fence-check
+ * tasks can be scheduled against a single fence segment.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const FeatureType = {
+  FENCE: 'FENCE',
+  PIPELINE: 'PIPELINE',
+  WATER_TANK: 'WATER_TANK',
+  GATE: 'GATE',
+  WELL: 'WELL',
+};
+
+// GeoJSON geometry each feature type is drawn as
+const FEATURE_GEOMETRY = {
+  [FeatureType.FENCE]: 'LineString',
+  [FeatureType.PIPELINE]: 'LineString',
+  [FeatureType.WATER_TANK]: 'Point',
+  [FeatureType.GATE]: 'Point',
+  [FeatureType.WELL]: 'Point',
+};
+
+const FenceType = {
+  BARBED_WIRE: 'BARBED_WIRE',
+  WOVEN_WIRE: 'WOVEN_WIRE',
+  HIGH_TENSILE: 'HIGH_TENSILE',
+  ELECTRIC: 'ELECTRIC',
+  BOARD: 'BOARD',
+  PIPE: 'PIPE',
+  PANEL: 'PANEL',
+  OTHER: 'OTHER',
+};
+
+const FeatureCondition = {
+  GOOD: 'GOOD',
+  FAIR: 'FAIR',
+  POOR: 'POOR',
+  NEEDS_REPAIR: 'NEEDS_REPAIR',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE',
+};
+
+const MaintenanceAction = {
+  INSPECTION: 'INSPECTION',
+  REPAIR: 'REPAIR',
+  REPLACEMENT: 'REPLACEMENT',
+  CLEANING: 'CLEANING',
+  OTHER: 'OTHER',
+};
+
+const METERS_PER_FOOT = 0.3048;
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+// ============================================
+// HELPERS
+// ============================================
+
+const featuresCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('spatialFeatures');
+
+const maintenanceCollection = (tenantId, featureId) =>
+  featuresCollection(tenantId).doc(featureId).collection('maintenanceLog');
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (value.toDate) return value.toDate().getTime();
+  return new Date(value).getTime();
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+/**
+ * Check a geometry is the GeoJSON shape its feature type is drawn as
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateFeatureGeometry = (type, geometry) => {
+  const expected = FEATURE_GEOMETRY[type];
+  if (!expected) {
+    return 'Invalid feature type';
+  }
+  if (!geometry || geometry.type !== expected) {
+    return `${type} features must be a ${expected} geometry`;
+  }
+
+  if (expected === 'Point') {
+    return isPosition(geometry.coordinates) ? null : 'Point coordinates must be [lng, lat]';
+  }
+
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+    return 'A line needs at least 2 points';
+  }
+  if (!geometry.coordinates.every(isPosition)) {
+    return 'Line coordinates must be [lng, lat] pairs';
+  }
+  return null;
+};
+
+/**
+ * Geodesic distance between two [lng, lat] positions on the WGS84 ellipsoid
+ * (Vincenty inverse formula). Falls back to the spherical distance for
+ * near-antipodal points where the iteration does not converge.
+ * @returns {number} Meters
+ */
+const geodesicDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const L = toRad(lng2 - lng1);
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRad(lat1)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRad(lat2)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let iterations = 0;
+  let sinSigma;
+  let cosSigma;
+  let sigma;
+  let cos2Alpha;
+  let cos2SigmaM;
+  let lambdaPrev;
+
+  do {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+    );
+    if (sinSigma === 0) return 0; // coincident points
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cos2Alpha = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cos2Alpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cos2Alpha : 0; // equatorial line
+    const C = (WGS84_F / 16) * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+    lambdaPrev = lambda;
+    lambda = L + (1 - C) * WGS84_F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  } while (Math.abs(lambda - lambdaPrev) > 1e-12 && ++iterations < 200);
+
+  if (iterations >= 200) {
+    const dLat = toRad(lat2 - lat1);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(L / 2) ** 2;
+    return 2 * WGS84_A * Math.asin(Math.sqrt(h));
+  }
+
+  const uSq = (cos2Alpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma *
+    (cos2SigmaM + (B / 4) * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+      (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  return WGS84_B * A * (sigma - deltaSigma);
+};
+
+/**
+ * Geodesic length of a LineString
+ * @returns {{lengthMeters: number, lengthFeet: number}}
+ */
+const calculateLineLength = (geometry) => {
+  let meters = 0;
+  for (let i = 1; i < geometry.coordinates.length; i++) {
+    meters += geodesicDistance(geometry.coordinates[i - 1], geometry.coordinates[i]);
+  }
+  return {
+    lengthMeters: round(meters, 2),
+    lengthFeet: round(meters / METERS_PER_FOOT, 1),
+  };
+};
+
+/**
+ * Length fields for a feature - lines only, points have no length
+ */
+const measure = (type, geometry) =>
+  FEATURE_GEOMETRY[type] === 'LineString'
+    ? calculateLineLength(geometry)
+    : { lengthMeters: null, lengthFeet: null };
+
+/**
+ * Check linked structures and assets exist for the tenant
+ */
+const verifyLinks = async (tenantId, { structureIds = [], assetIds = [] }) => {
+  for (const structureId of structureIds) {
+    const structure = await firestoreService.getStructure(tenantId, structureId);
+    if (!structure) {
+      throw new Error(`Structure ${structureId} not found`);
+    }
+  }
+  for (const assetId of assetIds) {
+    const asset = await firestoreService.getAsset(tenantId, assetId);
+    if (!asset) {
+      throw new Error(`Asset ${assetId} not found`);
+    }
+  }
+};
+
+// Type-specific details kept on the feature (each optional)
+const DETAIL_FIELDS = [
+  'fenceType',
+  'strands',
+  'heightInches',
+  'capacityGallons',
+  'depthFeet',
+  'diameterInches',
+  'material',
+  'installedDate',
+];
+
+/**
+ * Stored feature to API shape
+ * Firestore doesn't support nested arrays, so geometry is kept as a JSON
+ * string the same way land tracts store theirs
+ */
+const fromDoc = (doc) => {
+  const { geometryJson, ...data } = doc.data();
+  return { id: doc.id, ...data, geometry: geometryJson ? JSON.parse(geometryJson) : null };
+};
+
+const pickDetails = (data) =>
+  Object.fromEntries(
+    DETAIL_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field] ?? null])
+  );
+
+// ============================================
+// FEATURES
+// ============================================
+
+/**
+ * Create a point or line feature on a site
+ * @param {string} tenantId
+ * @param {object} data - { siteId, landTractId, type, name, geometry, condition,
+ *   structureIds, assetIds, notes, ...type details }
+ * @param {string} createdBy - User ID
+ */
+const createFeature = async (tenantId, data, createdBy) => {
+  const { siteId, landTractId, type, name, geometry, condition, structureIds, assetIds, notes } = data;
+
+  const geometryError = validateFeatureGeometry(type, geometry);
+  if (geometryError) {
+    throw new Error(geometryError);
+  }
+
+  if (landTractId) {
+    const tract = await firestoreService.getLandTract(tenantId, landTractId);
+    if (!tract) {
+      throw new Error('Land tract not found');
+    }
+  }
+
+  await verifyLinks(tenantId, { structureIds, assetIds });
+
+  const featureRef = featuresCollection(tenantId).doc();
+  const feature = {
+    siteId,
+    landTractId: landTractId || null,
+    type,
+    name: name.trim(),
+    geometryJson: JSON.stringify(geometry),
+    ...measure(type, geometry),
+    ...pickDetails(data),
+    condition: condition || FeatureCondition.GOOD,
+    structureIds: structureIds || [],
+    assetIds: assetIds || [],
+    notes: notes || null,
+    lastInspectedAt: null,
+    lastMaintenanceAt: null,
+    isActive: true,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedBy: createdBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  await featureRef.set(feature);
+
+  return getFeature(tenantId, featureRef.id);
+};
+
+/**
+ * List features, filtered client-side to avoid composite indexes
+ * @param {string} tenantId
+ * @param {object} options - { siteId, landTractId, type, structureId, assetId, includeInactive }
+ */
+const getFeatures = async (tenantId, options = {}) => {
+  const { siteId, landTractId, type, structureId, assetId, includeInactive = false } = options;
+
+  let query = featuresCollection(tenantId);
+  if (siteId) {
+    query = query.where('siteId', '==', siteId);
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(fromDoc)
+    .filter((f) => includeInactive || f.isActive)
+    .filter((f) => !landTractId || f.landTractId === landTractId)
+    .filter((f) => !type || f.type === type)
+    .filter((f) => !structureId || f.structureIds?.includes(structureId))
+    .filter((f) => !assetId || f.assetIds?.includes(assetId))
+    .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Get a single feature
+ */
+const getFeature = async (tenantId, featureId) => {
+  const doc = await featuresCollection(tenantId).doc(featureId).get();
+  return doc.exists ? fromDoc(doc) : null;
+};
+
+/**
+ * Update a feature; length is re-measured when the geometry changes
+ */
+const updateFeature = async (tenantId, featureId, updates, updatedBy) => {
+  const feature = await getFeature(tenantId, featureId);
+  if (!feature) {
+    throw new Error('Feature not found');
+  }
+
+  const { landTractId, name, geometry, condition, structureIds, assetIds, notes, isActive } = updates;
+  const changes = { ...pickDetails(updates) };
+
+  if (geometry !== undefined) {
+    const geometryError = validateFeatureGeometry(feature.type, geometry);
+    if (geometryError) {
+      throw new Error(geometryError);
+    }
+    Object.assign(changes, { geometryJson: JSON.stringify(geometry) }, measure(feature.type, geometry));
+  }
+
+  if (landTractId !== undefined) {
+    if (landTractId && !(await firestoreService.getLandTract(tenantId, landTractId))) {
+      throw new Error('Land tract not found');
+    }
+    changes.landTractId = landTractId || null;
+  }
+
+  if (structureIds !== undefined || assetIds !== undefined) {
+    await verifyLinks(tenantId, { structureIds, assetIds });
+    if (structureIds !== undefined) changes.structureIds = structureIds;
+    if (assetIds !== undefined) changes.assetIds = assetIds;
+  }
+
+  if (name !== undefined) changes.name = name.trim();
+  if (condition !== undefined) changes.condition = condition;
+  if (notes !== undefined) changes.notes = notes || null;
+  if (isActive !== undefined) changes.isActive = isActive;
+
+  await featuresCollection(tenantId).doc(featureId).update({
+    ...changes,
+    updatedBy,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return getFeature(tenantId, featureId);
+};
+
+/**
+ * Total active fence and pipeline length on a site, by fence type
+ */
+const getSiteFeatureSummary = async (tenantId, siteId) => {
+  const features = await getFeatures(tenantId, { siteId });
+
+  const fenceByType = {};
+  let fenceFeet = 0;
+  let pipelineFeet = 0;
+  const counts = Object.fromEntries(Object.values(FeatureType).map((type) => [type, 0]));
+
+  features.forEach((feature) => {
+    counts[feature.type] = (counts[feature.type] || 0) + 1;
+    if (feature.type === FeatureType.FENCE) {
+      const fenceType = feature.fenceType || FenceType.OTHER;
+      fenceByType[fenceType] = round((fenceByType[fenceType] || 0) + (feature.lengthFeet || 0), 1);
+      fenceFeet += feature.lengthFeet || 0;
+    } else if (feature.type === FeatureType.PIPELINE) {
+      pipelineFeet += feature.lengthFeet || 0;
+    }
+  });
+
+  return {
+    counts,
+    fenceFeet: round(fenceFeet, 1),
+    fenceMiles: round(fenceFeet / 5280, 2),
+    fenceByType,
+    pipelineFeet: round(pipelineFeet, 1),
+    needsRepair: features.filter((f) =>
+      [FeatureCondition.NEEDS_REPAIR, FeatureCondition.OUT_OF_SERVICE].includes(f.condition)
+    ).length,
+  };
+};
+
+// ============================================
+// MAINTENANCE LOG
+// ============================================
+
+/**
+ * Add a maintenance log entry and roll its condition and date onto the feature
+ * @param {string} tenantId
+ * @param {string} featureId
+ * @param {object} entry - { action, date, condition, notes, cost, taskOccurrenceId }
+ * @param {string} performedBy - User ID
+ */
+const addMaintenanceEntry = async (tenantId, featureId, entry, performedBy) => {
+  const feature = await getFeature(tenantId, featureId);
+  if (!feature) {
+    throw new Error('Feature not found');
+  }
+
+  const { action, date, condition, notes, cost, taskOccurrenceId } = entry;
+  const performedAt = date ? new Date(date) : new Date();
+
+  const entryRef = maintenanceCollection(tenantId, featureId).doc();
+  const record = {
+    featureId,
+    action: action || MaintenanceAction.INSPECTION,
+    date: performedAt,
+    condition: condition || null,
+    notes: notes || null,
+    cost: cost != null ? round(Number(cost), 2) : null,
+    taskOccurrenceId: taskOccurrenceId || null,
+    performedBy,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  await entryRef.set(record);
+
+  // Only move the feature's dates forward - back-dated entries don't rewind them
+  const featureChanges = {};
+  if (record.action === MaintenanceAction.INSPECTION) {
+    if (performedAt.getTime() >= toMillis(feature.lastInspectedAt)) {
+      featureChanges.lastInspectedAt = performedAt;
+    }
+  } else if (performedAt.getTime() >= toMillis(feature.lastMaintenanceAt)) {
+    featureChanges.lastMaintenanceAt = performedAt;
+  }
+  if (condition) {
+    featureChanges.condition = condition;
+  }
+
+  if (Object.keys(featureChanges).length > 0) {
+    await featuresCollection(tenantId).doc(featureId).update({
+      ...featureChanges,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  return { id: entryRef.id, ...record, createdAt: new Date() };
+};
+
+/**
+ * Maintenance log for a feature, newest first
+ */
+const getMaintenanceLog = async (tenantId, featureId) => {
+  const snapshot = await maintenanceCollection(tenantId, featureId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => toMillis(b.date) - toMillis(a.date));
+};
+
+// ============================================
+// FEATURE TASKS
+// ============================================
+
+/**
+ * Schedule a one-off check task against a feature (e.g. walk a fence segment)
+ * Recurring checks use a task template with spatialFeatureId set.
+ * @param {string} tenantId
+ * @param {string} featureId
+ * @param {object} data - { scheduledDate, assignedToUserId, priority, name, notes }
+ * @param {string} createdBy - Firebase UID (task convention)
+ */
+const scheduleFeatureCheck = async (tenantId, featureId, data, createdBy) => {
+  const feature = await getFeature(tenantId, featureId);
+  if (!feature) {
+    throw new Error('Feature not found');
+  }
+
+  const { scheduledDate, assignedToUserId, priority, name, notes } = data;
+  const label = feature.type === FeatureType.FENCE ? 'Fence check' : 'Inspect';
+  const lengthNote = feature.lengthFeet ? ` (${Math.round(feature.lengthFeet).toLocaleString('en-US')} ft)` : '';
+
+  return firestoreService.createTaskOccurrence(
+    tenantId,
+    {
+      siteId: feature.siteId,
+      name: name || `${label}: ${feature.name}`,
+      description: `${label} ${feature.name}${lengthNote}`,
+      category: firestoreService.TaskCategory.MAINTENANCE,
+      scheduledDate,
+      assignedToUserId,
+      priority,
+      notes,
+      spatialFeatureId: feature.id,
+    },
+    createdBy
+  );
+};
+
+/**
+ * Task occurrences linked to a feature, newest first
+ */
+const getFeatureTasks = async (tenantId, featureId, options = {}) => {
+  const { limit = 50 } = options;
+
+  const snapshot = await db
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('taskOccurrences')
+    .where('spatialFeatureId', '==', featureId)
+    .get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => toMillis(b.scheduledDate) - toMillis(a.scheduledDate))
+    .slice(0, parseInt(limit) || 50);
+};
+
+/**
+ * Log an inspection when a task linked to a feature is completed
+ * @param {string} tenantId
+ * @param {object} occurrence - Completed task occurrence with spatialFeatureId
+ * @param {object} data - { condition, notes } from the completion
+ * @param {string} completedBy - User ID
+ */
+const recordTaskInspection = async (tenantId, occurrence, data, completedBy) =>
+  addMaintenanceEntry(
+    tenantId,
+    occurrence.spatialFeatureId,
+    {
+      action: MaintenanceAction.INSPECTION,
+      date: new Date(),
+      condition: data.condition,
+      notes: data.notes || `Completed task: ${occurrence.name}`,
+      taskOccurrenceId: occurrence.id,
+    },
+    completedBy
+  );
+
+module.exports = {
+  // Enums
+  FeatureType,
+  FEATURE_GEOMETRY,
+  FenceType,
+  FeatureCondition,
+  MaintenanceAction,
+
+  // Geometry
+  validateFeatureGeometry,
+  geodesicDistance,
+  calculateLineLength,
+
+  // Features
+  createFeature,
+  getFeatures,
+  getFeature,
+  updateFeature,
+  getSiteFeatureSummary,
+
+  // Maintenance
+  addMaintenanceEntry,
+  getMaintenanceLog,
+
+  // Tasks
+  scheduleFeatureCheck,
+  getFeatureTasks,
+  recordTaskInspection,
+};
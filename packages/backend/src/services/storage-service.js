@@ -0,0 +1,104 @@
+/**
+ * Storage Service
+ * Pluggable file storage for attachments. A backend is a plain object with
+ * async put(key, buffer, contentType), get(key) and remove(key) methods.
+ * The local-disk backend is built in; others are added with registerBackend
+ * and selected with the STORAGE_BACKEND environment variable. Each stored
+ * file records the backend it was written to, so switching backends does
+ * not orphan older files.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// ============================================
+// BACKEND REGISTRY
+// ============================================
+
+const factories = {};
+const instances = {};
+
+/**
+ * Register a storage backend factory under a name
+ * @param {string} name - Name used in STORAGE_BACKEND and on stored files
+ * @param {function} factory - Returns { put, get, remove }
+ */
+const registerBackend = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Name of the backend new files are written to
+ */
+const getDefaultBackendName = () => process.env.STORAGE_BACKEND || 'local';
+
+/**
+ * Get a backend by name (defaults to the configured backend)
+ */
+const getBackend = (name = getDefaultBackendName()) => {
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+// ============================================
+// LOCAL DISK BACKEND
+// ============================================
+
+/**
+ * Files under a root directory, one file per key
+ * Keys are forward-slash paths; anything that would leave the root is refused.
+ */
+const createLocalDiskBackend = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, ...key.split('/'));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+  };
+};
+
+registerBackend('local', () =>
+  createLocalDiskBackend(process.env.STORAGE_LOCAL_DIR || path.resolve(__dirname, '../../uploads'))
+);
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  getDefaultBackendName,
+  createLocalDiskBackend,
+};
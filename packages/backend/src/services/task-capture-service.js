@@ -0,0 +1,411 @@
+/**
+ * Task Capture Service
+ * Structured completion for task occurrences. A template can define
+ * checklist steps ("check float valve", "top up mineral") and data captures
+ * (water tank level, a temperature, the head count observed, a photo).
+ * Occurrences keep a snapshot of both, so later template edits do not change
+ * what an old task asked for. Completing a task must satisfy the required
+ * steps and captures. Each captured value is also written to the tenant's
+ * taskReadings collection, so a series such as tank levels can be charted
+ * across a month.
+ */
+
+const { db, admin } = require('../config/firebase-admin');
+const { FieldValue } = admin.firestore;
+const firestoreService = require('./firestore');
+const attachmentService = require('./attachment-service');
+const timezoneService = require('./timezone-service');
+
+// ============================================
+// ENUMS / CONSTANTS
+// ============================================
+
+const CaptureType = {
+  NUMBER: 'NUMBER',
+  TANK_LEVEL: 'TANK_LEVEL',
+  TEMPERATURE: 'TEMPERATURE',
+  HEAD_COUNT: 'HEAD_COUNT',
+  YES_NO: 'YES_NO',
+  TEXT: 'TEXT',
+  PHOTO: 'PHOTO',
+};
+
+// Captures that chart as a numeric series
+const NUMERIC_CAPTURE_TYPES = [
+  CaptureType.NUMBER,
+  CaptureType.TANK_LEVEL,
+  CaptureType.TEMPERATURE,
+  CaptureType.HEAD_COUNT,
+];
+
+// Unit used when the template does not name one
+const DEFAULT_CAPTURE_UNITS = {
+  [CaptureType.TANK_LEVEL]: '%',
+  [CaptureType.TEMPERATURE]: '°F',
+  [CaptureType.HEAD_COUNT]: 'head',
+};
+
+const MAX_CHECKLIST_STEPS = 50;
+const MAX_CAPTURES = 20;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_READINGS = 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const readingsCollection = (tenantId) =>
+  db.collection('tenants').doc(tenantId).collection('taskReadings');
+
+/**
+ * Key for a step or capture, derived from its label when not given
+ * "Water tank level" -> "water_tank_level"
+ */
+const toKey = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const assignUniqueKeys = (items, kind) => {
+  const seen = new Set();
+  for (const item of items) {
+    if (!item.key) {
+      throw new Error(`${kind} "${item.label}" needs a key`);
+    }
+    if (seen.has(item.key)) {
+      throw new Error(`${kind} key "${item.key}" is used more than once`);
+    }
+    seen.add(item.key);
+  }
+  return items;
+};
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+/**
+ * Validate and normalize a template's checklist steps
+ * Accepts plain strings or { key, label, required }. Steps are required
+ * unless marked otherwise. Throws with a readable message when invalid.
+ * @returns {Array} [{ key, label, required }]
+ */
+const normalizeChecklist = (steps) => {
+  if (steps === undefined || steps === null) return [];
+  if (!Array.isArray(steps)) {
+    throw new Error('Checklist must be a list of steps');
+  }
+  if (steps.length > MAX_CHECKLIST_STEPS) {
+    throw new Error(`A checklist can have at most ${MAX_CHECKLIST_STEPS} steps`);
+  }
+
+  const normalized = steps.map((step) => {
+    const source = typeof step === 'string' ? { label: step } : step || {};
+    const label = String(source.label || '').trim();
+    if (!label) {
+      throw new Error('Every checklist step needs a label');
+    }
+    return {
+      key: toKey(source.key || label),
+      label,
+      required: source.required !== false,
+    };
+  });
+
+  return assignUniqueKeys(normalized, 'Checklist step');
+};
+
+/**
+ * Validate and normalize a template's data captures
+ * Each is { key, label, type, unit, required, min, max }. Numeric types
+ * take an optional range; TANK_LEVEL, TEMPERATURE and HEAD_COUNT get a
+ * default unit. Throws with a readable message when invalid.
+ * @returns {Array} normalized capture definitions
+ */
+const normalizeCaptures = (captures) => {
+  if (captures === undefined || captures === null) return [];
+  if (!Array.isArray(captures)) {
+    throw new Error('Captures must be a list');
+  }
+  if (captures.length > MAX_CAPTURES) {
+    throw new Error(`A task can have at most ${MAX_CAPTURES} captures`);
+  }
+
+  const normalized = captures.map((capture) => {
+    const label = String(capture?.label || '').trim();
+    if (!label) {
+      throw new Error('Every capture needs a label');
+    }
+    if (!Object.values(CaptureType).includes(capture.type)) {
+      throw new Error(`Capture "${label}" has an invalid type`);
+    }
+
+    const numeric = NUMERIC_CAPTURE_TYPES.includes(capture.type);
+    const min = numeric && !isBlank(capture.min) ? Number(capture.min) : null;
+    const max = numeric && !isBlank(capture.max) ? Number(capture.max) : null;
+    if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) {
+      throw new Error(`Capture "${label}" has an invalid range`);
+    }
+    if (min !== null && max !== null && min > max) {
+      throw new Error(`Capture "${label}" has a minimum above its maximum`);
+    }
+
+    return {
+      key: toKey(capture.key || label),
+      label,
+      type: capture.type,
+      unit: numeric ? String(capture.unit || DEFAULT_CAPTURE_UNITS[capture.type] || '').trim() || null : null,
+      required: capture.required === true,
+      min,
+      max,
+    };
+  });
+
+  return assignUniqueKeys(normalized, 'Capture');
+};
+
+// ============================================
+// COMPLETION
+// ============================================
+
+/**
+ * Check a completion against the occurrence's checklist and captures
+ * checklist is { stepKey: true }, captures is { captureKey: value }. A PHOTO
+ * capture's value is the ID of an image already attached to the occurrence.
+ * Returns errors shaped like express-validator's ({ path, msg }) plus the
+ * results to store on the occurrence when there are none.
+ * @returns {Promise<object>} { errors, checklistResults, captureResults }
+ */
+const validateCompletion = async (tenantId, occurrence, data = {}) => {
+  const steps = occurrence.checklist || [];
+  const definitions = occurrence.captures || [];
+  const checked = data.checklist || {};
+  const values = data.captures || {};
+  const errors = [];
+
+  const checklistResults = steps.map((step) => {
+    const done = checked[step.key] === true;
+    if (step.required && !done) {
+      errors.push({ path: `checklist.${step.key}`, msg: `"${step.label}" must be checked off` });
+    }
+    return { key: step.key, label: step.label, done };
+  });
+
+  const known = new Set(definitions.map((d) => d.key));
+  for (const key of Object.keys(values)) {
+    if (!known.has(key)) {
+      errors.push({ path: `captures.${key}`, msg: `This task does not capture "${key}"` });
+    }
+  }
+
+  const captureResults = [];
+  for (const definition of definitions) {
+    const path = `captures.${definition.key}`;
+    const raw = values[definition.key];
+
+    if (isBlank(raw)) {
+      if (definition.required) {
+        errors.push({ path, msg: `${definition.label} is required` });
+      }
+      continue;
+    }
+
+    const result = {
+      key: definition.key,
+      label: definition.label,
+      type: definition.type,
+      unit: definition.unit || null,
+      value: null,
+      attachmentId: null,
+    };
+
+    if (NUMERIC_CAPTURE_TYPES.includes(definition.type)) {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        errors.push({ path, msg: `${definition.label} must be a number` });
+        continue;
+      }
+      if (definition.type === CaptureType.HEAD_COUNT && (!Number.isInteger(value) || value < 0)) {
+        errors.push({ path, msg: `${definition.label} must be a whole number of head` });
+        continue;
+      }
+      if (definition.min !== null && definition.min !== undefined && value < definition.min) {
+        errors.push({ path, msg: `${definition.label} must be at least ${definition.min}` });
+        continue;
+      }
+      if (definition.max !== null && definition.max !== undefined && value > definition.max) {
+        errors.push({ path, msg: `${definition.label} must be at most ${definition.max}` });
+        continue;
+      }
+      result.value = value;
+    } else if (definition.type === CaptureType.YES_NO) {
+      if (typeof raw !== 'boolean') {
+        errors.push({ path, msg: `${definition.label} must be yes or no` });
+        continue;
+      }
+      result.value = raw;
+    } else if (definition.type === CaptureType.TEXT) {
+      result.value = String(raw).trim().slice(0, MAX_TEXT_LENGTH);
+    } else if (definition.type === CaptureType.PHOTO) {
+      const attachment = await attachmentService.getAttachment(tenantId, String(raw));
+      if (
+        !attachment ||
+        attachment.entityType !== attachmentService.AttachmentEntityType.TASK_OCCURRENCE ||
+        attachment.entityId !== occurrence.id
+      ) {
+        errors.push({ path, msg: `${definition.label} must be a photo attached to this task` });
+        continue;
+      }
+      if (!attachment.contentType?.startsWith('image/')) {
+        errors.push({ path, msg: `${definition.label} must be an image` });
+        continue;
+      }
+      result.attachmentId = attachment.id;
+    }
+
+    captureResults.push(result);
+  }
+
+  return { errors, checklistResults, captureResults };
+};
+
+/**
+ * Write a completed occurrence's captures to the readings series
+ * One reading per capture, keyed by occurrence and capture so a retried
+ * completion overwrites rather than duplicates.
+ * @returns {Promise<number>} readings written
+ */
+const recordReadings = async (tenantId, occurrence, captureResults, recordedBy) => {
+  if (!captureResults?.length) return 0;
+
+  const batch = db.batch();
+  for (const result of captureResults) {
+    batch.set(readingsCollection(tenantId).doc(`${occurrence.id}_${result.key}`), {
+      captureKey: result.key,
+      label: result.label,
+      type: result.type,
+      unit: result.unit,
+      value: result.value,
+      attachmentId: result.attachmentId,
+      occurrenceId: occurrence.id,
+      templateId: occurrence.templateId || null,
+      taskName: occurrence.name || null,
+      siteId: occurrence.siteId || null,
+      spatialFeatureId: occurrence.spatialFeatureId || null,
+      scheduledDate: occurrence.scheduledDate || null,
+      recordedAt: new Date(),
+      recordedBy,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  }
+  await batch.commit();
+
+  return captureResults.length;
+};
+
+// ============================================
+// READINGS
+// ============================================
+
+/**
+ * A capture's readings over a date range, oldest first
+ * from/to are days on the farm's clock (site timezone, else the tenant's).
+ * Numeric series come back with min, max, average and latest.
+ * @param {object} options - { captureKey, from, to, siteId, templateId, spatialFeatureId, limit }
+ * @returns {Promise<object>} { captureKey, unit, timezone, readings, summary }
+ */
+const getReadings = async (tenantId, options = {}) => {
+  const { captureKey, from, to, siteId, templateId, spatialFeatureId } = options;
+  const limit = Math.min(parseInt(options.limit, 10) || MAX_READINGS, MAX_READINGS);
+
+  const timezone = await firestoreService.getTenantTimezone(tenantId, siteId);
+  const { start, end } = timezoneService.dateRangeInTimezone(from, to, timezone);
+
+  let query = readingsCollection(tenantId).where('captureKey', '==', captureKey);
+  if (start) query = query.where('recordedAt', '>=', start);
+  if (end) query = query.where('recordedAt', '<=', end);
+
+  const snapshot = await query.orderBy('recordedAt').get();
+
+  // Narrower filters are applied here to keep to one composite index
+  const readings = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((r) => !siteId || r.siteId === siteId)
+    .filter((r) => !templateId || r.templateId === templateId)
+    .filter((r) => !spatialFeatureId || r.spatialFeatureId === spatialFeatureId)
+    .slice(-limit);
+
+  const numbers = readings
+    .filter((r) => NUMERIC_CAPTURE_TYPES.includes(r.type) && typeof r.value === 'number')
+    .map((r) => r.value);
+
+  const latest = readings[readings.length - 1] || null;
+
+  return {
+    captureKey,
+    unit: latest?.unit || null,
+    timezone,
+    readings,
+    summary: {
+      count: readings.length,
+      min: numbers.length ? Math.min(...numbers) : null,
+      max: numbers.length ? Math.max(...numbers) : null,
+      average: numbers.length
+        ? Math.round((numbers.reduce((sum, n) => sum + n, 0) / numbers.length) * 100) / 100
+        : null,
+      latest: latest ? { value: latest.value, attachmentId: latest.attachmentId, recordedAt: latest.recordedAt } : null,
+    },
+  };
+};
+
+/**
+ * Capture keys defined across the tenant's active templates
+ * Templates that share a key (e.g. "tank_level") feed one series.
+ * @returns {Promise<Array>} [{ key, label, type, unit, templates: [{ id, name }] }]
+ */
+const getCaptureSeries = async (tenantId) => {
+  const templates = await firestoreService.getTaskTemplates(tenantId);
+  const series = new Map();
+
+  for (const template of templates) {
+    for (const capture of template.captures || []) {
+      if (!series.has(capture.key)) {
+        series.set(capture.key, {
+          key: capture.key,
+          label: capture.label,
+          type: capture.type,
+          unit: capture.unit || null,
+          templates: [],
+        });
+      }
+      series.get(capture.key).templates.push({ id: template.id, name: template.name });
+    }
+  }
+
+  return Array.from(series.values()).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+module.exports = {
+  // Enums
+  CaptureType,
+  NUMERIC_CAPTURE_TYPES,
+  DEFAULT_CAPTURE_UNITS,
+
+  // Definitions
+  normalizeChecklist,
+  normalizeCaptures,
+
+  // Completion
+  validateCompletion,
+  recordReadings,
+
+  // Readings
+  getReadings,
+  getCaptureSeries,
+};
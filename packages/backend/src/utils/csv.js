@@ -0,0 +1,56 @@
+/**
+ * CSV helpers
+ * Line splitting, delimiter detection and header normalization shared by the
+ * file importers (animal lists, EID reader exports, soil lab results).
+ */
+
+/**
+ * Reduce a header to a comparable key (lowercase, no BOM, spaces or punctuation)
+ */
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/^\uFEFF/, '').replace(/[\s_\-.()#]/g, '');
+
+/**
+ * Split one CSV line into fields (handles quoted fields and escaped quotes)
+ */
+const splitCsvLine = (line, delimiter = ',') => {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values;
+};
+
+/**
+ * Pick the delimiter used by a file (reader exports are often ; or tab separated)
+ */
+const detectDelimiter = (line) => {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    line.split(candidate).length > line.split(best).length ? candidate : best
+  , ',');
+};
+
+module.exports = {
+  normalizeHeader,
+  splitCsvLine,
+  detectDelimiter,
+};
@@ -23,7 +23,7 @@ import Contact from './pages/Contact';
 import { Login, Signup, ForgotPassword } from './pages/auth';
 import { DashboardHome, Settings } from './pages/app';
 // Events removed - now part of Tasks
-import { AnimalsList, AnimalForm, AnimalDetail } from './pages/app/animals';
+import { AnimalsList, AnimalForm, AnimalDetail, AnimalImport, RationPlans } from './pages/app/animals';
 import { InventoryList, InventoryForm, InventoryDetail } from './pages/app/inventory';
 import {
   TodaysTasks,
@@ -33,6 +33,7 @@ import {
   RunlistsList,
   RunlistForm,
   RunlistDetail,
+  Timesheets,
 } from './pages/app/tasks';
 import {
   AccountingOverview,
@@ -50,6 +51,9 @@ import {
   JournalEntries,
   JournalEntryForm,
   JournalEntryDetail,
+  FixedAssets,
+  FixedAssetForm,
+  FixedAssetDetail,
 } from './pages/app/accounting';
 import {
   RequisitionsList,
@@ -79,10 +83,9 @@ import {
   VehiclesList,
   VehicleForm,
   VehicleDetail,
-  EquipmentPlaceholder,
-  InfrastructurePlaceholder,
-  ToolsPlaceholder,
-  OtherAssetsPlaceholder,
+  RegistryAssetsList,
+  RegistryAssetForm,
+  RegistryAssetDetail,
 } from './pages/app/assets';
 import {
   LandOverview,
@@ -94,6 +97,10 @@ import {
   LandTractDetail,
   StructuresList,
   StructureDetail,
+  CropPlansList,
+  CropPlanDetail,
+  BoundaryFiles,
+  SiteFeatures,
 } from './pages/app/assets/land';
 
 function App() {
@@ -133,6 +140,8 @@ function App() {
           <Route index element={<AssetsOverview />} />
           <Route path="animals" element={<AnimalsList />} />
           <Route path="animals/new" element={<AnimalForm />} />
+          <Route path="animals/import" element={<AnimalImport />} />
+          <Route path="animals/rations" element={<RationPlans />} />
           <Route path="animals/:id" element={<AnimalDetail />} />
           <Route path="animals/:id/edit" element={<AnimalForm />} />
           <Route path="vehicles" element={<VehiclesList />} />
@@ -149,12 +158,29 @@ function App() {
           <Route path="land/tracts/:tractId" element={<LandTractDetail />} />
           <Route path="land/tracts/:tractId/edit" element={<LandTractForm />} />
           <Route path="land/structures/:structureId" element={<StructureDetail />} />
+          <Route path="land/crops" element={<CropPlansList />} />
+          <Route path="land/crops/:planId" element={<CropPlanDetail />} />
+          <Route path="land/features" element={<SiteFeatures />} />
+          <Route path="land/boundaries" element={<BoundaryFiles />} />
           <Route path="structures" element={<StructuresList />} />
           <Route path="buildings" element={<Navigate to="/app/assets/structures" replace />} />
-          <Route path="equipment" element={<EquipmentPlaceholder />} />
-          <Route path="infrastructure" element={<InfrastructurePlaceholder />} />
-          <Route path="tools" element={<ToolsPlaceholder />} />
-          <Route path="other" element={<OtherAssetsPlaceholder />} />
+          {/* Equipment, Infrastructure, Tools and Other (generic asset registry) */}
+          <Route path="equipment" element={<RegistryAssetsList key="EQUIPMENT" assetType="EQUIPMENT" />} />
+          <Route path="equipment/new" element={<RegistryAssetForm key="EQUIPMENT" assetType="EQUIPMENT" />} />
+          <Route path="equipment/:id" element={<RegistryAssetDetail key="EQUIPMENT" assetType="EQUIPMENT" />} />
+          <Route path="equipment/:id/edit" element={<RegistryAssetForm key="EQUIPMENT" assetType="EQUIPMENT" />} />
+          <Route path="infrastructure" element={<RegistryAssetsList key="INFRASTRUCTURE" assetType="INFRASTRUCTURE" />} />
+          <Route path="infrastructure/new" element={<RegistryAssetForm key="INFRASTRUCTURE" assetType="INFRASTRUCTURE" />} />
+          <Route path="infrastructure/:id" element={<RegistryAssetDetail key="INFRASTRUCTURE" assetType="INFRASTRUCTURE" />} />
+          <Route path="infrastructure/:id/edit" element={<RegistryAssetForm key="INFRASTRUCTURE" assetType="INFRASTRUCTURE" />} />
+          <Route path="tools" element={<RegistryAssetsList key="TOOL" assetType="TOOL" />} />
+          <Route path="tools/new" element={<RegistryAssetForm key="TOOL" assetType="TOOL" />} />
+          <Route path="tools/:id" element={<RegistryAssetDetail key="TOOL" assetType="TOOL" />} />
+          <Route path="tools/:id/edit" element={<RegistryAssetForm key="TOOL" assetType="TOOL" />} />
+          <Route path="other" element={<RegistryAssetsList key="OTHER" assetType="OTHER" />} />
+          <Route path="other/new" element={<RegistryAssetForm key="OTHER" assetType="OTHER" />} />
+          <Route path="other/:id" element={<RegistryAssetDetail key="OTHER" assetType="OTHER" />} />
+          <Route path="other/:id/edit" element={<RegistryAssetForm key="OTHER" assetType="OTHER" />} />
         </Route>
         {/* Legacy Animals Routes - Redirect to Assets */}
         <Route path="animals" element={<Navigate to="/app/assets/animals" replace />} />
@@ -176,6 +202,7 @@ function App() {
         <Route path="tasks/lists/new" element={<RunlistForm />} />
         <Route path="tasks/lists/:id" element={<RunlistDetail />} />
         <Route path="tasks/lists/:id/edit" element={<RunlistForm />} />
+        <Route path="tasks/timesheets" element={<Timesheets />} />
         {/* Accounting Module */}
         <Route path="accounting" element={<AccountingOverview />} />
         <Route path="accounting/chart-of-accounts" element={<ChartOfAccounts />} />
@@ -193,6 +220,10 @@ function App() {
         <Route path="accounting/journal-entries/new" element={<JournalEntryForm />} />
         <Route path="accounting/journal-entries/:id" element={<JournalEntryDetail />} />
         <Route path="accounting/journal-entries/:id/edit" element={<JournalEntryForm />} />
+        <Route path="accounting/fixed-assets" element={<FixedAssets />} />
+        <Route path="accounting/fixed-assets/new" element={<FixedAssetForm />} />
+        <Route path="accounting/fixed-assets/:id" element={<FixedAssetDetail />} />
+        <Route path="accounting/fixed-assets/:id/edit" element={<FixedAssetForm />} />
         {/* Purchasing Module (P2P) */}
         <Route path="purchasing" element={<RequisitionsList />} />
         <Route path="purchasing/requisitions" element={<RequisitionsList />} />
@@ -9,6 +9,7 @@ const navItems = [
   { path: '/app/accounting/checks', label: 'Checks' },
   { path: '/app/accounting/deposits', label: 'Deposits' },
   { path: '/app/accounting/reconciliation', label: 'Bank Recon' },
+  { path: '/app/accounting/fixed-assets', label: 'Fixed Assets' },
 ];
 
 export default function AccountingNav() {
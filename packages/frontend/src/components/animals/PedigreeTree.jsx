@@ -0,0 +1,79 @@
+import { Link } from 'react-router-dom';
+
+const genderStyles = {
+  male: 'border-blue-200 bg-blue-50',
+  female: 'border-pink-200 bg-pink-50',
+};
+
+function PedigreeNode({ node, label, currentId }) {
+  if (!node) {
+    return (
+      <div className="w-40 px-3 py-2 border border-dashed border-gray-200 rounded-lg text-xs text-gray-400">
+        {label ? `${label} unknown` : 'Unknown'}
+      </div>
+    );
+  }
+
+  const isCurrent = node.id === currentId;
+
+  return (
+    <div
+      className={`w-40 px-3 py-2 border rounded-lg text-sm ${
+        genderStyles[node.gender] || 'border-gray-200 bg-gray-50'
+      } ${isCurrent ? 'ring-2 ring-red-400' : ''}`}
+    >
+      {label && <p className="text-[10px] font-medium text-gray-500 uppercase">{label}</p>}
+      {isCurrent ? (
+        <p className="font-medium text-gray-900 truncate">{node.tagNumber}</p>
+      ) : (
+        <Link
+          to={`/app/assets/animals/${node.id}`}
+          className="font-medium text-red-600 hover:text-red-700 truncate block"
+        >
+          {node.tagNumber}
+        </Link>
+      )}
+      {node.name && <p className="text-xs text-gray-600 truncate">{node.name}</p>}
+      {node.breed && <p className="text-xs text-gray-500 truncate">{node.breed}</p>}
+    </div>
+  );
+}
+
+function PedigreeBranch({ node, label, currentId, generationsLeft }) {
+  const showParents = generationsLeft > 0 && node && (node.sire || node.dam);
+
+  return (
+    <div className="flex items-center gap-4">
+      <PedigreeNode node={node} label={label} currentId={currentId} />
+      {showParents && (
+        <div className="flex flex-col gap-2 border-l border-gray-200 pl-4">
+          <PedigreeBranch
+            node={node.sire}
+            label="Sire"
+            currentId={currentId}
+            generationsLeft={generationsLeft - 1}
+          />
+          <PedigreeBranch
+            node={node.dam}
+            label="Dam"
+            currentId={currentId}
+            generationsLeft={generationsLeft - 1}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Horizontal ancestor tree: the animal on the left, sires above dams to the right
+ */
+export default function PedigreeTree({ pedigree, generations = 3 }) {
+  if (!pedigree) return null;
+
+  return (
+    <div className="overflow-x-auto">
+      <PedigreeBranch node={pedigree} currentId={pedigree.id} generationsLeft={generations} />
+    </div>
+  );
+}
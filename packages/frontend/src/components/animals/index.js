@@ -0,0 +1 @@
+export { default as PedigreeTree } from './PedigreeTree';
@@ -0,0 +1,186 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { attachmentsApi } from '../../services/api';
+import { readAsBase64 } from '../../utils/files';
+
+const MAX_FILE_MB = 10;
+
+const ACCEPT = 'image/*,.pdf,.txt,.csv,.doc,.docx,.xls,.xlsx';
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+/**
+ * Documents and photos attached to a record
+ * Used on animals, vehicles, tracts, vendor bills, receipts, task
+ * occurrences and journal entries. Uploads count toward the plan's storage.
+ */
+export default function AttachmentsPanel({ entityType, entityId, title = 'Attachments', compact = false }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const fetchAttachments = useCallback(async () => {
+    if (!entityId) return;
+    try {
+      setLoading(true);
+      const res = await attachmentsApi.list(entityType, entityId);
+      setAttachments(res.data?.attachments || []);
+    } catch (err) {
+      console.error('Error fetching attachments:', err);
+      setAttachments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_MB * 1024 * 1024) {
+      setError(`Files must be ${MAX_FILE_MB} MB or smaller`);
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const data = await readAsBase64(file);
+      await attachmentsApi.upload({
+        entityType,
+        entityId,
+        fileName: file.name,
+        contentType: file.type || 'application/octet-stream',
+        data,
+        description: description || null,
+      });
+      setDescription('');
+      fetchAttachments();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      const blob = await attachmentsApi.download(attachment.id, { inline: 'true' });
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      alert('Failed to open attachment: ' + err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!confirm(`Delete ${attachment.fileName}?`)) return;
+    try {
+      await attachmentsApi.delete(attachment.id);
+      fetchAttachments();
+    } catch (err) {
+      alert('Failed to delete attachment: ' + err.message);
+    }
+  };
+
+  const list = loading ? (
+    <p className="text-sm text-gray-500">Loading...</p>
+  ) : attachments.length === 0 ? (
+    <p className="text-sm text-gray-500">No files attached</p>
+  ) : (
+    <ul className="divide-y divide-gray-100">
+      {attachments.map((attachment) => (
+        <li key={attachment.id} className="py-2 flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <button
+              type="button"
+              onClick={() => handleOpen(attachment)}
+              className="text-sm text-green-600 hover:text-green-700 font-medium truncate block max-w-full text-left"
+            >
+              {attachment.fileName}
+            </button>
+            <p className="text-xs text-gray-500">
+              {formatSize(attachment.sizeBytes)}
+              {' · '}
+              {toDate(attachment.createdAt)?.toLocaleDateString()}
+              {attachment.description && ` · ${attachment.description}`}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleDelete(attachment)}
+            className="text-xs text-red-600 hover:text-red-700 flex-shrink-0"
+          >
+            Delete
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const uploader = (
+    <div className="flex flex-col sm:flex-row gap-2">
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        className="input flex-1"
+      />
+      <input ref={fileInput} type="file" accept={ACCEPT} onChange={handleFileSelect} className="hidden" />
+      <button
+        type="button"
+        onClick={() => fileInput.current?.click()}
+        disabled={uploading}
+        className="btn-secondary disabled:opacity-50"
+      >
+        {uploading ? 'Uploading...' : 'Attach File'}
+      </button>
+    </div>
+  );
+
+  if (compact) {
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">{title}</label>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {list}
+        {uploader}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">{title}</h2>
+      <div className="space-y-3">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+        {list}
+        {uploader}
+        <p className="text-xs text-gray-400">
+          Photos, PDFs and office documents up to {MAX_FILE_MB} MB. Files count toward your plan&apos;s storage.
+        </p>
+      </div>
+    </div>
+  );
+}
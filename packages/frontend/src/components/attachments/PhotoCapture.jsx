@@ -0,0 +1,81 @@
+import { useState, useRef } from 'react';
+import { attachmentsApi } from '../../services/api';
+import { readAsBase64 } from '../../utils/files';
+
+const MAX_FILE_MB = 10;
+
+/**
+ * Take or pick one photo as proof for a task step or reading
+ * The photo is attached to the record straight away; onChange receives the
+ * attachment ID (or null when cleared) to send with the completion.
+ */
+export default function PhotoCapture({ entityType, entityId, label, value, onChange, required = false }) {
+  const [uploading, setUploading] = useState(false);
+  const [fileName, setFileName] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.type?.startsWith('image/')) {
+      setError('Choose a photo');
+      return;
+    }
+    if (file.size > MAX_FILE_MB * 1024 * 1024) {
+      setError(`Photos must be ${MAX_FILE_MB} MB or smaller`);
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const data = await readAsBase64(file);
+      const res = await attachmentsApi.upload({
+        entityType,
+        entityId,
+        fileName: file.name,
+        contentType: file.type,
+        data,
+        description: label,
+      });
+      setFileName(file.name);
+      onChange(res.data?.attachment?.id || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-3">
+        <input
+          ref={fileInput}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => fileInput.current?.click()}
+          disabled={uploading}
+          className="btn-secondary disabled:opacity-50"
+        >
+          {uploading ? 'Uploading...' : value ? 'Retake Photo' : '📷 Take Photo'}
+        </button>
+        {value ? (
+          <span className="text-sm text-green-700 truncate">✓ {fileName || 'Photo attached'}</span>
+        ) : (
+          required && <span className="text-xs text-gray-500">Required</span>
+        )}
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+export { default as AttachmentsPanel } from './AttachmentsPanel';
+export { default as PhotoCapture } from './PhotoCapture';
@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { inventoryApi } from '../../services/api';
+import { HelpTooltip } from '../ui/Tooltip';
+
+const runwayColor = (entry) => {
+  if (entry.daysOnHand === null) return 'bg-gray-300';
+  if (entry.daysOnHand <= entry.leadTimeDays) return 'bg-red-500';
+  if (entry.daysOnHand <= entry.leadTimeDays * 2) return 'bg-amber-500';
+  return 'bg-green-500';
+};
+
+/**
+ * Days of feed on hand per item at a site, shortest runway first
+ */
+export default function FeedRunwayWidget({ siteId }) {
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reordering, setReordering] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchForecast = useCallback(async () => {
+    if (!siteId) return;
+
+    setLoading(true);
+    try {
+      const res = await inventoryApi.getFeedForecast({ siteId });
+      setForecast(res.data?.forecast || null);
+    } catch (err) {
+      console.error('Feed forecast failed:', err);
+      setForecast(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [siteId]);
+
+  useEffect(() => {
+    fetchForecast();
+  }, [fetchForecast]);
+
+  const handleReorder = async () => {
+    setReordering(true);
+    setMessage(null);
+    try {
+      const res = await inventoryApi.raiseFeedReorders({ siteId });
+      const count = res.data?.requisitions?.length || 0;
+      setMessage(count > 0
+        ? `${count} requisition${count === 1 ? '' : 's'} raised`
+        : 'No new requisitions needed - open requisitions already cover these items');
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setReordering(false);
+    }
+  };
+
+  const items = forecast?.items || [];
+  if (!loading && items.length === 0) return null;
+
+  const dueCount = items.filter((i) => i.reorderDue).length;
+  // Bars are scaled against the longest finite runway, capped at 120 days
+  const maxDays = Math.min(
+    120,
+    Math.max(30, ...items.filter((i) => i.daysOnHand !== null).map((i) => i.daysOnHand))
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <h2 className="text-lg font-semibold text-gray-900">Feed Runway</h2>
+          <HelpTooltip
+            content={`Days on hand at the average daily use over the last ${forecast?.lookbackDays || 14} days. Items without history use their ration plan.`}
+            position="right"
+          />
+        </div>
+        <div className="flex items-center gap-3">
+          {dueCount > 0 && (
+            <button
+              onClick={handleReorder}
+              disabled={reordering}
+              className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+            >
+              {reordering ? 'Raising...' : `Reorder ${dueCount} item${dueCount === 1 ? '' : 's'}`}
+            </button>
+          )}
+          <Link to="/app/inventory" className="text-sm text-primary-600 hover:text-primary-700">
+            Inventory →
+          </Link>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl border border-gray-200 p-6">
+        {loading ? (
+          <p className="text-sm text-gray-500">Calculating runway...</p>
+        ) : (
+          <div className="space-y-4">
+            {items.map((entry) => (
+              <div key={entry.itemId}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-900">{entry.itemName}</span>
+                  <span className={entry.reorderDue ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                    {entry.daysOnHand === null
+                      ? 'No usage recorded'
+                      : `${Math.floor(entry.daysOnHand)} days`}
+                  </span>
+                </div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${runwayColor(entry)}`}
+                    style={{
+                      width: entry.daysOnHand === null
+                        ? '100%'
+                        : `${Math.min(100, (entry.daysOnHand / maxDays) * 100)}%`,
+                    }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {Math.round(entry.qtyOnHand).toLocaleString()} {entry.unit} on hand
+                  {entry.dailyUsage > 0 && ` - ${entry.dailyUsage.toFixed(1)} ${entry.unit}/day`}
+                  {entry.projectedStockOutDate &&
+                    ` - out ${new Date(entry.projectedStockOutDate).toLocaleDateString()}`}
+                  {entry.reorderDue && ` - inside ${entry.leadTimeDays}-day lead time`}
+                </p>
+              </div>
+            ))}
+            {message && <p className="text-sm text-gray-600">{message}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { cropsApi } from '../../services/api';
+
+const statusColors = {
+  PLANNED: 'bg-blue-100 text-blue-800',
+  PLANTED: 'bg-green-100 text-green-800',
+  HARVESTED: 'bg-yellow-100 text-yellow-800',
+  CLOSED: 'bg-gray-100 text-gray-800',
+};
+
+/**
+ * Crop plans by season for a field tract, newest season first
+ */
+export default function FieldCropHistory({ tractId, siteId }) {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchPlans = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await cropsApi.listPlans({ tractId });
+      setPlans(res.data?.plans || []);
+    } catch (err) {
+      console.error('Error fetching crop plans:', err);
+      setPlans([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [tractId]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Crop History</h2>
+        <Link
+          to={`/app/assets/land/crops?siteId=${siteId}`}
+          className="text-sm text-green-600 hover:text-green-700 font-medium"
+        >
+          + Plan a Crop
+        </Link>
+      </div>
+      <div className="p-4">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+          </div>
+        ) : plans.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No crop plans for this field yet.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="py-2 text-left font-medium">Season</th>
+                <th className="py-2 text-left font-medium">Crop</th>
+                <th className="py-2 text-left font-medium">Status</th>
+                <th className="py-2 text-right font-medium">Inputs / Acre</th>
+                <th className="py-2 text-right font-medium">Yield / Acre</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {plans.map((plan) => (
+                <tr key={plan.id}>
+                  <td className="py-2 text-gray-900">{plan.season}</td>
+                  <td className="py-2">
+                    <Link to={`/app/assets/land/crops/${plan.id}`} className="text-green-600 hover:text-green-700">
+                      {plan.crop}{plan.variety && ` - ${plan.variety}`}
+                    </Link>
+                  </td>
+                  <td className="py-2">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${statusColors[plan.status] || statusColors.CLOSED}`}>
+                      {plan.status}
+                    </span>
+                  </td>
+                  <td className="py-2 text-right text-gray-700">
+                    {plan.inputCostPerAcre !== null ? `$${plan.inputCostPerAcre.toFixed(2)}` : '-'}
+                  </td>
+                  <td className="py-2 text-right text-gray-700">
+                    {plan.yieldPerAcre !== null ? `${plan.yieldPerAcre} ${plan.yieldUnit || ''}` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+import { useState, useEffect, useCallback } from 'react';
+import { landTractsApi, animalsApi } from '../../services/api';
+import { HelpTooltip } from '../ui/Tooltip';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_WEEKS = 26;
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString() : '-';
+};
+
+const todayInput = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Build a week-by-week grid of days ending today, each marked with the
+ * groups that grazed the tract that day
+ */
+const buildCalendar = (periods) => {
+  const today = startOfDay(new Date());
+  // Start on the Sunday CALENDAR_WEEKS - 1 weeks back so columns are whole weeks
+  const start = new Date(today.getTime() - ((CALENDAR_WEEKS - 1) * 7 + today.getDay()) * DAY_MS);
+
+  const ranges = periods.map((p) => ({
+    groupName: p.groupName,
+    from: startOfDay(toDate(p.inDate)).getTime(),
+    to: p.outDate ? startOfDay(toDate(p.outDate)).getTime() : today.getTime(),
+  }));
+
+  const weeks = [];
+  for (let w = 0; w < CALENDAR_WEEKS; w++) {
+    const days = [];
+    for (let d = 0; d < 7; d++) {
+      const date = new Date(start.getTime() + (w * 7 + d) * DAY_MS);
+      const time = date.getTime();
+      days.push({
+        date,
+        future: time > today.getTime(),
+        groups: ranges.filter((r) => time >= r.from && time <= r.to).map((r) => r.groupName),
+      });
+    }
+    weeks.push(days);
+  }
+  return weeks;
+};
+
+const emptyMoveForm = {
+  groupId: '',
+  inDate: todayInput(),
+  headCount: '',
+  animalUnitFactor: '',
+  notes: '',
+};
+
+/**
+ * Grazing history and rotation calendar for a pasture tract
+ */
+export default function GrazingRotation({ tractId, siteId }) {
+  const [grazing, setGrazing] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showMoveModal, setShowMoveModal] = useState(false);
+  const [moveForm, setMoveForm] = useState(emptyMoveForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchGrazing = useCallback(async () => {
+    try {
+      setLoading(true);
+      const since = new Date(Date.now() - 365 * DAY_MS).toISOString().split('T')[0];
+      const res = await landTractsApi.getGrazing(tractId, { startDate: since });
+      setGrazing(res.data || null);
+    } catch (err) {
+      console.error('Error fetching grazing periods:', err);
+      setGrazing(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [tractId]);
+
+  useEffect(() => {
+    fetchGrazing();
+  }, [fetchGrazing]);
+
+  const openMoveModal = async () => {
+    setMoveForm(emptyMoveForm);
+    setShowMoveModal(true);
+    try {
+      const res = await animalsApi.listGroups({ siteId });
+      setGroups(res.data?.groups || []);
+    } catch (err) {
+      console.error('Error fetching groups:', err);
+    }
+  };
+
+  const handleMoveIn = async () => {
+    setSaving(true);
+    try {
+      await landTractsApi.moveGroupIn(tractId, {
+        groupId: moveForm.groupId,
+        inDate: moveForm.inDate || undefined,
+        headCount: moveForm.headCount !== '' ? parseInt(moveForm.headCount) : undefined,
+        animalUnitFactor: moveForm.animalUnitFactor !== '' ? parseFloat(moveForm.animalUnitFactor) : undefined,
+        notes: moveForm.notes || undefined,
+      });
+      setShowMoveModal(false);
+      fetchGrazing();
+    } catch (err) {
+      alert('Failed to move group: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMoveOut = async (period) => {
+    if (!confirm(`Move ${period.groupName} out of this pasture today?`)) {
+      return;
+    }
+
+    try {
+      await landTractsApi.closeGrazing(period.id, { outDate: todayInput() });
+      fetchGrazing();
+    } catch (err) {
+      alert('Failed to move group out: ' + err.message);
+    }
+  };
+
+  const periods = grazing?.periods || [];
+  const summary = grazing?.summary;
+  const weeks = buildCalendar(periods);
+  const selectedGroup = groups.find((g) => g.id === moveForm.groupId);
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <h2 className="text-lg font-semibold text-gray-900">Grazing Rotation</h2>
+          <HelpTooltip
+            content="Animal-unit-days (AUD) per acre = head x animal-unit factor x days grazed, divided by the tract's acres. Rest days count from the last move-out."
+            position="right"
+          />
+        </div>
+        <button
+          onClick={openMoveModal}
+          className="text-sm text-green-600 hover:text-green-700 font-medium"
+        >
+          + Move Group In
+        </button>
+      </div>
+
+      <div className="p-4 space-y-6">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <h4 className="text-xs font-medium text-gray-500 uppercase">Status</h4>
+                <p className="mt-1 text-sm text-gray-900">
+                  {summary?.occupied
+                    ? summary.currentGroups.map((g) => g.groupName).join(', ')
+                    : summary?.restDays !== null && summary?.restDays !== undefined
+                      ? `Resting ${Math.floor(summary.restDays)} days`
+                      : 'Not grazed yet'}
+                </p>
+              </div>
+              <div>
+                <h4 className="text-xs font-medium text-gray-500 uppercase">AUD / Acre (12 mo)</h4>
+                <p className="mt-1 text-sm text-gray-900">
+                  {summary?.audPerAcre !== null && summary?.audPerAcre !== undefined ? summary.audPerAcre : '-'}
+                </p>
+              </div>
+              <div>
+                <h4 className="text-xs font-medium text-gray-500 uppercase">Animal-Unit-Days</h4>
+                <p className="mt-1 text-sm text-gray-900">
+                  {(summary?.totalAnimalUnitDays || 0).toLocaleString()}
+                </p>
+              </div>
+            </div>
+
+            {/* Calendar */}
+            <div>
+              <div className="flex gap-1 overflow-x-auto">
+                {weeks.map((days, w) => (
+                  <div key={w} className="flex flex-col gap-1">
+                    {days.map((day) => (
+                      <div
+                        key={day.date.getTime()}
+                        title={`${day.date.toLocaleDateString()}${day.groups.length ? ` - ${day.groups.join(', ')}` : ''}`}
+                        className={`w-3 h-3 rounded-sm ${
+                          day.future ? 'bg-transparent' : day.groups.length ? 'bg-green-600' : 'bg-gray-100'
+                        }`}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+              <div className="mt-2 flex items-center gap-4 text-xs text-gray-500">
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-3 rounded-sm bg-green-600" /> Grazed
+                </span>
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-3 rounded-sm bg-gray-100" /> Resting
+                </span>
+                <span>Last {CALENDAR_WEEKS} weeks</span>
+              </div>
+            </div>
+
+            {/* Periods */}
+            {periods.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">No grazing recorded in the last year.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="py-2 text-left font-medium">Group</th>
+                      <th className="py-2 text-left font-medium">In</th>
+                      <th className="py-2 text-left font-medium">Out</th>
+                      <th className="py-2 text-right font-medium">Head</th>
+                      <th className="py-2 text-right font-medium">Days</th>
+                      <th className="py-2 text-right font-medium">AUD/ac</th>
+                      <th className="py-2 text-right font-medium">Rest Before</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {periods.map((period) => (
+                      <tr key={period.id}>
+                        <td className="py-2 text-gray-900">{period.groupName}</td>
+                        <td className="py-2 text-gray-700">{formatDate(period.inDate)}</td>
+                        <td className="py-2 text-gray-700">
+                          {period.open ? <span className="text-green-700">Grazing</span> : formatDate(period.outDate)}
+                        </td>
+                        <td className="py-2 text-right text-gray-700">{period.headCount}</td>
+                        <td className="py-2 text-right text-gray-700">{period.days}</td>
+                        <td className="py-2 text-right text-gray-700">{period.audPerAcre ?? '-'}</td>
+                        <td className="py-2 text-right text-gray-700">
+                          {period.restDaysBefore !== null && period.restDaysBefore !== undefined
+                            ? `${Math.floor(period.restDaysBefore)} d`
+                            : '-'}
+                        </td>
+                        <td className="py-2 text-right">
+                          {period.open && (
+                            <button
+                              onClick={() => handleMoveOut(period)}
+                              className="text-sm text-red-600 hover:text-red-700"
+                            >
+                              Move Out
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Move Group In Modal */}
+      {showMoveModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-md shadow-xl">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Move Group In</h3>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Group</label>
+                <select
+                  value={moveForm.groupId}
+                  onChange={(e) => setMoveForm({ ...moveForm, groupId: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Select group...</option>
+                  {groups.map((g) => (
+                    <option key={g.id} value={g.id}>
+                      {g.name} ({g.animalCount || 0} head{g.location ? ` - ${g.location}` : ''})
+                    </option>
+                  ))}
+                </select>
+                {selectedGroup?.landTractId && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Closes the group&apos;s current period in {selectedGroup.location}
+                  </p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Move-In Date</label>
+                  <input
+                    type="date"
+                    value={moveForm.inDate}
+                    onChange={(e) => setMoveForm({ ...moveForm, inDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Head Count</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={moveForm.headCount}
+                    onChange={(e) => setMoveForm({ ...moveForm, headCount: e.target.value })}
+                    className="input"
+                    placeholder={selectedGroup ? String(selectedGroup.animalCount || 0) : ''}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Animal-Unit Factor</label>
+                <input
+                  type="number"
+                  step="0.05"
+                  min="0"
+                  value={moveForm.animalUnitFactor}
+                  onChange={(e) => setMoveForm({ ...moveForm, animalUnitFactor: e.target.value })}
+                  className="input"
+                  placeholder="Species default"
+                />
+                <p className="text-xs text-gray-500 mt-1">AU per head - 1.0 for a mature cow</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={moveForm.notes}
+                  onChange={(e) => setMoveForm({ ...moveForm, notes: e.target.value })}
+                  className="input"
+                  rows={2}
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowMoveModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleMoveIn}
+                disabled={!moveForm.groupId || saving}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Moving...' : 'Move Group'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,9 @@ const navItems = [
   { path: '/app/assets/land', label: 'Overview', end: true },
   { path: '/app/assets/land/sites', label: 'Sites' },
   { path: '/app/assets/land/tracts', label: 'Land Tracts' },
+  { path: '/app/assets/land/crops', label: 'Crops' },
+  { path: '/app/assets/land/features', label: 'Features' },
+  { path: '/app/assets/land/boundaries', label: 'Import / Export' },
 ];
 
 export default function LandNav() {
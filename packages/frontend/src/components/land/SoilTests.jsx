@@ -0,0 +1,652 @@
+import { useState, useEffect, useCallback } from 'react';
+import { landTractsApi } from '../../services/api';
+import { HelpTooltip } from '../ui/Tooltip';
+
+const TREND_COLUMNS = [
+  { key: 'ph', label: 'pH' },
+  { key: 'organicMatterPct', label: 'OM %' },
+  { key: 'nitrateN', label: 'NO3-N' },
+  { key: 'phosphorusPpm', label: 'P ppm' },
+  { key: 'potassiumPpm', label: 'K ppm' },
+  { key: 'cecMeq', label: 'CEC' },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const todayInput = () => new Date().toISOString().split('T')[0];
+
+const emptyTestForm = {
+  sampleDate: todayInput(),
+  labName: '',
+  sampleId: '',
+  lat: '',
+  lng: '',
+  depthInches: '',
+  ph: '',
+  organicMatterPct: '',
+  nitrateN: '',
+  phosphorusPpm: '',
+  potassiumPpm: '',
+  cecMeq: '',
+  notes: '',
+};
+
+const emptyImportForm = {
+  content: '',
+  fileName: '',
+  labName: '',
+  sampleDate: todayInput(),
+};
+
+/**
+ * Soil test history, yearly trends, lab CSV import and lime/fertilizer
+ * recommendations for a land tract
+ */
+export default function SoilTests({ tractId }) {
+  const [tests, setTests] = useState([]);
+  const [trends, setTrends] = useState(null);
+  const [targets, setTargets] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const [showTestModal, setShowTestModal] = useState(false);
+  const [testForm, setTestForm] = useState(emptyTestForm);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importForm, setImportForm] = useState(emptyImportForm);
+  const [importPreview, setImportPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [crop, setCrop] = useState('');
+  const [yieldGoal, setYieldGoal] = useState('');
+  const [recommendation, setRecommendation] = useState(null);
+
+  const fetchSoil = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [testsRes, trendsRes, targetsRes] = await Promise.all([
+        landTractsApi.getSoilTests(tractId),
+        landTractsApi.getSoilTrends(tractId),
+        landTractsApi.getSoilTargets(),
+      ]);
+      setTests(testsRes.data?.tests || []);
+      setTrends(trendsRes.data || null);
+      setTargets(targetsRes.data?.targets || {});
+    } catch (err) {
+      console.error('Error fetching soil tests:', err);
+      setTests([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [tractId]);
+
+  useEffect(() => {
+    fetchSoil();
+  }, [fetchSoil]);
+
+  const handleAddTest = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = Object.fromEntries(
+        Object.entries(testForm).filter(([, value]) => value !== '')
+      );
+      await landTractsApi.createSoilTest(tractId, data);
+      setShowTestModal(false);
+      setTestForm(emptyTestForm);
+      fetchSoil();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTest = async (test) => {
+    if (!confirm(`Delete the soil test from ${formatDate(test.sampleDate)}?`)) {
+      return;
+    }
+
+    try {
+      await landTractsApi.deleteSoilTest(test.id);
+      fetchSoil();
+    } catch (err) {
+      alert('Failed to delete soil test: ' + err.message);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setImportForm((prev) => ({ ...prev, content: event.target.result, fileName: file.name }));
+      setImportPreview(null);
+      setError(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const runImport = async (dryRun) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await landTractsApi.importSoilTests(tractId, {
+        content: importForm.content,
+        labName: importForm.labName || undefined,
+        sampleDate: importForm.sampleDate || undefined,
+        dryRun,
+      });
+      const preview = res.data?.preview;
+      if (preview?.error) {
+        setError(preview.error);
+      }
+      if (!dryRun && res.data?.imported > 0) {
+        setShowImportModal(false);
+        setImportForm(emptyImportForm);
+        setImportPreview(null);
+        fetchSoil();
+      } else {
+        setImportPreview(preview || null);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecommend = async () => {
+    setError(null);
+    try {
+      const params = { crop };
+      if (yieldGoal) params.yieldGoal = yieldGoal;
+      const res = await landTractsApi.getSoilRecommendation(tractId, params);
+      setRecommendation(res.data?.recommendation || null);
+    } catch (err) {
+      setRecommendation(null);
+      setError(err.message);
+    }
+  };
+
+  const years = trends?.years || [];
+  const selectedTarget = targets[crop];
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Soil Tests</h2>
+        <div className="flex gap-4">
+          <button
+            onClick={() => {
+              setImportForm(emptyImportForm);
+              setImportPreview(null);
+              setError(null);
+              setShowImportModal(true);
+            }}
+            className="text-sm text-green-600 hover:text-green-700 font-medium"
+          >
+            Import Lab CSV
+          </button>
+          <button
+            onClick={() => {
+              setTestForm(emptyTestForm);
+              setError(null);
+              setShowTestModal(true);
+            }}
+            className="text-sm text-green-600 hover:text-green-700 font-medium"
+          >
+            + Add Test
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-6">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+          </div>
+        ) : tests.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No soil tests recorded for this tract.</p>
+        ) : (
+          <>
+            {/* Trends */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Trend by Year</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="py-2 text-left font-medium">Year</th>
+                      <th className="py-2 text-right font-medium">Samples</th>
+                      {TREND_COLUMNS.map((col) => (
+                        <th key={col.key} className="py-2 text-right font-medium">{col.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {years.map((year) => (
+                      <tr key={year.year}>
+                        <td className="py-2 text-gray-900">{year.year}</td>
+                        <td className="py-2 text-right text-gray-700">{year.samples}</td>
+                        {TREND_COLUMNS.map((col) => (
+                          <td key={col.key} className="py-2 text-right text-gray-700">{year[col.key] ?? '-'}</td>
+                        ))}
+                      </tr>
+                    ))}
+                    {years.length > 1 && (
+                      <tr className="font-medium">
+                        <td className="py-2 text-gray-900" colSpan={2}>Change</td>
+                        {TREND_COLUMNS.map((col) => {
+                          const change = trends.change?.[col.key];
+                          return (
+                            <td
+                              key={col.key}
+                              className={`py-2 text-right ${
+                                change > 0 ? 'text-green-700' : change < 0 ? 'text-red-600' : 'text-gray-700'
+                              }`}
+                            >
+                              {change !== null && change !== undefined ? `${change > 0 ? '+' : ''}${change}` : '-'}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Samples */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Samples</h3>
+              <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="py-2 text-left font-medium">Date</th>
+                      <th className="py-2 text-left font-medium">Sample</th>
+                      <th className="py-2 text-left font-medium">Lab</th>
+                      {TREND_COLUMNS.map((col) => (
+                        <th key={col.key} className="py-2 text-right font-medium">{col.label}</th>
+                      ))}
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {tests.map((test) => (
+                      <tr key={test.id}>
+                        <td className="py-2 text-gray-900">{formatDate(test.sampleDate)}</td>
+                        <td className="py-2 text-gray-700">
+                          {test.sampleId || '-'}
+                          {test.samplePoint && (
+                            <span
+                              className="ml-1 text-xs text-gray-400"
+                              title={`${test.samplePoint.lat}, ${test.samplePoint.lng}`}
+                            >
+                              (point)
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 text-gray-700">{test.labName || '-'}</td>
+                        {TREND_COLUMNS.map((col) => (
+                          <td key={col.key} className="py-2 text-right text-gray-700">{test[col.key] ?? '-'}</td>
+                        ))}
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => handleDeleteTest(test)}
+                            className="text-sm text-red-600 hover:text-red-700"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Recommendations */}
+            <div className="border-t border-gray-200 pt-4">
+              <div className="flex items-center gap-2 mb-3">
+                <h3 className="text-sm font-medium text-gray-700">Lime &amp; Fertilizer Recommendation</h3>
+                <HelpTooltip
+                  content="Based on the most recent sampling. Lime raises pH to the crop target; P2O5 and K2O cover crop removal plus build-up to the critical level over 4 years; N is crop need less residual nitrate."
+                  position="right"
+                />
+              </div>
+              <div className="flex flex-wrap items-end gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Crop</label>
+                  <select
+                    value={crop}
+                    onChange={(e) => {
+                      setCrop(e.target.value);
+                      setYieldGoal('');
+                      setRecommendation(null);
+                    }}
+                    className="input"
+                  >
+                    <option value="">Select crop...</option>
+                    {Object.entries(targets).map(([key, target]) => (
+                      <option key={key} value={key}>{target.label || key}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">
+                    Yield Goal{selectedTarget ? ` (${selectedTarget.yieldUnit}/ac)` : ''}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={yieldGoal}
+                    onChange={(e) => setYieldGoal(e.target.value)}
+                    className="input"
+                    placeholder={selectedTarget ? String(selectedTarget.defaultYield) : ''}
+                  />
+                </div>
+                <button
+                  onClick={handleRecommend}
+                  disabled={!crop}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                >
+                  Calculate
+                </button>
+              </div>
+
+              {error && !showTestModal && !showImportModal && (
+                <p className="mt-3 text-sm text-red-600">{error}</p>
+              )}
+
+              {recommendation && (
+                <div className="mt-4">
+                  <p className="text-xs text-gray-500 mb-2">
+                    {recommendation.cropLabel} at {recommendation.yieldGoal} {recommendation.yieldUnit}/ac,
+                    from {recommendation.basedOn.sampleCount} sample(s) on {formatDate(recommendation.basedOn.sampleDate)}
+                  </p>
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-gray-500">
+                        <th className="py-2 text-left font-medium">Product</th>
+                        <th className="py-2 text-left font-medium">Soil Test</th>
+                        <th className="py-2 text-right font-medium">Per Acre</th>
+                        <th className="py-2 text-right font-medium">Total ({recommendation.acres} ac)</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      <tr>
+                        <td className="py-2 text-gray-900">Ag lime</td>
+                        <td className="py-2 text-gray-700">
+                          pH {recommendation.soil.ph ?? '-'} (target {recommendation.lime.targetPh})
+                        </td>
+                        <td className="py-2 text-right text-gray-700">{recommendation.lime.tonsPerAcre} tons</td>
+                        <td className="py-2 text-right text-gray-700">{recommendation.lime.totalTons} tons</td>
+                      </tr>
+                      <tr>
+                        <td className="py-2 text-gray-900">N</td>
+                        <td className="py-2 text-gray-700">
+                          {recommendation.nitrogen.nitrateCreditLbsPerAcre} lb residual nitrate credit
+                        </td>
+                        <td className="py-2 text-right text-gray-700">{recommendation.nitrogen.lbsPerAcre} lb</td>
+                        <td className="py-2 text-right text-gray-700">{recommendation.nitrogen.totalLbs.toLocaleString()} lb</td>
+                      </tr>
+                      {[
+                        { label: 'P2O5', value: recommendation.phosphate, nutrient: 'P' },
+                        { label: 'K2O', value: recommendation.potash, nutrient: 'K' },
+                      ].map(({ label, value, nutrient }) => (
+                        <tr key={label}>
+                          <td className="py-2 text-gray-900">{label}</td>
+                          <td className="py-2 text-gray-700">
+                            {nutrient} {value.soilTestPpm ?? '-'} ppm (critical {value.criticalPpm})
+                          </td>
+                          <td
+                            className="py-2 text-right text-gray-700"
+                            title={`${value.buildupLbsPerAcre} build-up + ${value.maintenanceLbsPerAcre} removal`}
+                          >
+                            {value.lbsPerAcre} lb
+                          </td>
+                          <td className="py-2 text-right text-gray-700">{value.totalLbs.toLocaleString()} lb</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Add Test Modal */}
+      {showTestModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Add Soil Test</h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sample Date</label>
+                  <input
+                    type="date"
+                    value={testForm.sampleDate}
+                    onChange={(e) => setTestForm({ ...testForm, sampleDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lab</label>
+                  <input
+                    type="text"
+                    value={testForm.labName}
+                    onChange={(e) => setTestForm({ ...testForm, labName: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                {[
+                  { key: 'ph', label: 'pH', step: '0.1' },
+                  { key: 'organicMatterPct', label: 'OM %', step: '0.1' },
+                  { key: 'cecMeq', label: 'CEC', step: '0.1' },
+                  { key: 'nitrateN', label: 'NO3-N ppm', step: '1' },
+                  { key: 'phosphorusPpm', label: 'P ppm', step: '1' },
+                  { key: 'potassiumPpm', label: 'K ppm', step: '1' },
+                ].map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                    <input
+                      type="number"
+                      step={field.step}
+                      min="0"
+                      value={testForm[field.key]}
+                      onChange={(e) => setTestForm({ ...testForm, [field.key]: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sample ID</label>
+                  <input
+                    type="text"
+                    value={testForm.sampleId}
+                    onChange={(e) => setTestForm({ ...testForm, sampleId: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Latitude</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={testForm.lat}
+                    onChange={(e) => setTestForm({ ...testForm, lat: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Longitude</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={testForm.lng}
+                    onChange={(e) => setTestForm({ ...testForm, lng: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 -mt-2">
+                Optional sample point - must be inside the tract boundary
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={testForm.notes}
+                  onChange={(e) => setTestForm({ ...testForm, notes: e.target.value })}
+                  className="input"
+                  rows={2}
+                />
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowTestModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAddTest}
+                disabled={!testForm.sampleDate || saving}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Test'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-2xl shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Import Lab Results</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              CSV with one row per sample. Columns such as pH, OM, NO3-N, P (Bray/Mehlich), K, CEC, Sample ID,
+              Date, Lat and Lng are recognized.
+            </p>
+
+            <div className="space-y-4">
+              <input
+                type="file"
+                accept=".csv,.txt,text/csv"
+                onChange={handleFileSelect}
+                className="block w-full text-sm text-gray-700"
+              />
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lab</label>
+                  <input
+                    type="text"
+                    value={importForm.labName}
+                    onChange={(e) => setImportForm({ ...importForm, labName: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sample Date</label>
+                  <input
+                    type="date"
+                    value={importForm.sampleDate}
+                    onChange={(e) => setImportForm({ ...importForm, sampleDate: e.target.value })}
+                    className="input"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Used for rows without a date</p>
+                </div>
+              </div>
+
+              {importPreview && importPreview.summary.total > 0 && (
+                <div>
+                  <p className="text-sm text-gray-700 mb-2">
+                    {importPreview.summary.valid} of {importPreview.summary.total} samples valid
+                    {importPreview.summary.invalid > 0 && ' - fix the rows below and re-select the file'}
+                  </p>
+                  <div className="max-h-60 overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50">
+                        <tr className="text-gray-500">
+                          <th className="px-2 py-1 text-left font-medium">Row</th>
+                          <th className="px-2 py-1 text-left font-medium">Sample</th>
+                          {TREND_COLUMNS.map((col) => (
+                            <th key={col.key} className="px-2 py-1 text-right font-medium">{col.label}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {importPreview.rows.map((row) => (
+                          <tr key={row.rowNumber} className={row.errors.length ? 'bg-red-50' : ''}>
+                            <td className="px-2 py-1 text-gray-500">{row.rowNumber}</td>
+                            <td className="px-2 py-1 text-gray-900">
+                              {row.test.sampleId || '-'}
+                              {row.errors.length > 0 && (
+                                <p className="text-xs text-red-600">{row.errors.join('; ')}</p>
+                              )}
+                            </td>
+                            {TREND_COLUMNS.map((col) => (
+                              <td key={col.key} className="px-2 py-1 text-right text-gray-700">
+                                {row.test[col.key] ?? '-'}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowImportModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => runImport(true)}
+                disabled={!importForm.content || saving}
+                className="flex-1 px-4 py-2 border border-green-600 text-green-700 rounded-lg text-sm font-medium hover:bg-green-50 disabled:opacity-50"
+              >
+                Preview
+              </button>
+              <button
+                onClick={() => runImport(false)}
+                disabled={
+                  !importPreview || importPreview.summary.valid === 0 || importPreview.summary.invalid > 0 || saving
+                }
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { landTractsApi } from '../../services/api';
+import { formatAcres } from '../../utils/geometry';
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const operationLabels = { SPLIT: 'Split', MERGE: 'Merge' };
+
+function TractLink({ tract }) {
+  return (
+    <li className="flex items-center justify-between text-sm">
+      <Link to={`/app/assets/land/tracts/${tract.id}`} className="text-green-600 hover:text-green-700">
+        {tract.name}
+      </Link>
+      <span className="text-xs text-gray-500">
+        {formatAcres(tract.areaAcres, false)}
+        {tract.status !== 'active' && <span className="ml-2 capitalize">{tract.status}</span>}
+      </span>
+    </li>
+  );
+}
+
+/**
+ * Split and merge history for a land tract
+ * Records stay on the tract they were logged against, so earlier grazing,
+ * crop and soil history is found on the tracts listed here.
+ */
+export default function TractLineage({ tractId }) {
+  const [lineage, setLineage] = useState(null);
+
+  useEffect(() => {
+    const fetchLineage = async () => {
+      try {
+        const res = await landTractsApi.getLineage(tractId);
+        setLineage(res.data || null);
+      } catch (error) {
+        console.error('Error fetching tract lineage:', error);
+      }
+    };
+    fetchLineage();
+  }, [tractId]);
+
+  if (!lineage || (lineage.ancestors.length === 0 && lineage.descendants.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Boundary History</h2>
+      </div>
+      <div className="p-4 space-y-4">
+        {lineage.ancestors.length > 0 && (
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 uppercase">Formed From</h4>
+            <ul className="mt-2 space-y-1">
+              {lineage.ancestors.map((tract) => (
+                <TractLink key={tract.id} tract={tract} />
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-gray-500">
+              Grazing, crop and soil records from before the change are kept on these tracts.
+            </p>
+          </div>
+        )}
+
+        {lineage.descendants.length > 0 && (
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 uppercase">Replaced By</h4>
+            <ul className="mt-2 space-y-1">
+              {lineage.descendants.map((tract) => (
+                <TractLink key={tract.id} tract={tract} />
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {lineage.events.length > 0 && (
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 uppercase">Changes</h4>
+            <ul className="mt-2 space-y-2">
+              {lineage.events.map((event) => (
+                <li key={event.id} className="text-sm text-gray-700">
+                  <span className="font-medium">{operationLabels[event.operation] || event.operation}</span>
+                  {' '}
+                  {event.sourceTracts.map((t) => t.name).join(', ')}
+                  {' → '}
+                  {event.resultTracts.map((t) => t.name).join(', ')}
+                  <span className="block text-xs text-gray-500">
+                    {toDate(event.performedAt)?.toLocaleDateString()}
+                    {event.notes && ` · ${event.notes}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
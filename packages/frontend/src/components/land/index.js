@@ -1 +1,5 @@
 export { default as LandNav } from './LandNav';
+export { default as GrazingRotation } from './GrazingRotation';
+export { default as FieldCropHistory } from './FieldCropHistory';
+export { default as SoilTests } from './SoilTests';
+export { default as TractLineage } from './TractLineage';
@@ -0,0 +1,42 @@
+import { formatFeet } from '../../utils/geometry';
+
+/**
+ * Hint, length and undo/clear controls over a feature drawing map
+ */
+export default function FeatureDrawToolbar({ geometryType, pointCount, lengthFeet, onUndo, onClear }) {
+  const isLine = geometryType === 'LineString';
+  const hint = isLine
+    ? 'Click to add points along the line. Drag a point to move it.'
+    : 'Click the map to place the feature. Drag it to move it.';
+
+  return (
+    <div className="absolute top-4 left-4 right-4 z-10 flex items-center justify-between gap-3 pointer-events-none">
+      <div className="bg-white rounded-lg shadow-lg px-3 py-2 text-sm text-gray-700 pointer-events-auto">
+        {hint}
+        {isLine && lengthFeet != null && (
+          <span className="ml-2 font-medium text-gray-900">{formatFeet(lengthFeet)}</span>
+        )}
+      </div>
+      <div className="flex gap-1 bg-white rounded-lg shadow-lg p-1.5 pointer-events-auto">
+        {isLine && (
+          <button
+            type="button"
+            onClick={onUndo}
+            disabled={pointCount === 0}
+            className="px-3 py-1.5 text-sm rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            Undo
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onClear}
+          disabled={pointCount === 0}
+          className="px-3 py-1.5 text-sm rounded-md bg-red-50 text-red-600 hover:bg-red-100 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
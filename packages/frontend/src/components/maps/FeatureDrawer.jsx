@@ -0,0 +1,13 @@
+import { useMaps } from './MapsProvider';
+import { MapBackend } from './mapConfig';
+import GoogleFeatureDrawer from './google/GoogleFeatureDrawer';
+import LeafletFeatureDrawer from './leaflet/LeafletFeatureDrawer';
+
+/**
+ * Point and line feature drawing on the configured backend
+ */
+export default function FeatureDrawer(props) {
+  const { backend } = useMaps();
+
+  return backend === MapBackend.GOOGLE ? <GoogleFeatureDrawer {...props} /> : <LeafletFeatureDrawer {...props} />;
+}
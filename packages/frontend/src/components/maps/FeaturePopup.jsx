@@ -0,0 +1,20 @@
+import { formatFeet } from '../../utils/geometry';
+
+/**
+ * Info window content for a point or line feature
+ */
+export default function FeaturePopup({ feature }) {
+  return (
+    <div className="min-w-32">
+      <h3 className="font-semibold text-gray-900">{feature.name}</h3>
+      <p className="text-sm text-gray-600">
+        {feature.type.replace(/_/g, ' ')}
+        {feature.fenceType && ` - ${feature.fenceType.replace(/_/g, ' ').toLowerCase()}`}
+      </p>
+      {feature.lengthFeet != null && <p className="text-sm text-gray-600">{formatFeet(feature.lengthFeet)}</p>}
+      {feature.condition && feature.condition !== 'GOOD' && (
+        <p className="text-sm text-amber-700">{feature.condition.replace(/_/g, ' ')}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { landPolygonColors, featureColors } from './mapStyles';
+
+/**
+ * Legend for the tract and feature types present on a map
+ */
+export default function MapLegend({ landTracts = [], features = [] }) {
+  const featureTypes = Object.keys(featureColors).filter(type => features.some(f => f.type === type));
+
+  if (landTracts.length === 0 && featureTypes.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="absolute bottom-4 left-4 bg-white rounded-lg shadow-lg p-3 z-10">
+      {landTracts.length > 0 && (
+        <>
+          <h4 className="text-xs font-semibold text-gray-700 mb-2">Land Types</h4>
+          <div className="space-y-1">
+            {Object.entries(landPolygonColors).map(([type, colors]) => {
+              const hasType = landTracts.some(t => t.type === type);
+              if (!hasType) return null;
+
+              return (
+                <div key={type} className="flex items-center gap-2">
+                  <div
+                    className="w-3 h-3 rounded-sm border"
+                    style={{
+                      backgroundColor: colors.fill,
+                      borderColor: colors.stroke
+                    }}
+                  />
+                  <span className="text-xs text-gray-600">{type}</span>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {featureTypes.length > 0 && (
+        <>
+          <h4 className={`text-xs font-semibold text-gray-700 mb-2 ${landTracts.length > 0 ? 'mt-3' : ''}`}>Features</h4>
+          <div className="space-y-1">
+            {featureTypes.map((type) => (
+              <div key={type} className="flex items-center gap-2">
+                {type === 'FENCE' || type === 'PIPELINE' ? (
+                  <div className="w-3 h-0.5" style={{ backgroundColor: featureColors[type] }} />
+                ) : (
+                  <div className="w-3 h-3 rounded-full border-2 border-white" style={{ backgroundColor: featureColors[type] }} />
+                )}
+                <span className="text-xs text-gray-600">{type.replace(/_/g, ' ')}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,43 +1,25 @@
 import { createContext, useContext } from 'react';
 import { useJsApiLoader } from '@react-google-maps/api';
+import { MAP_BACKEND, MapBackend, GOOGLE_MAPS_API_KEY } from './mapConfig';
 
 // IMPORTANT: This MUST be defined outside the component and be a stable reference
 // The library requires this to be a constant array
 const GOOGLE_MAPS_LIBRARIES = ['drawing', 'geometry'];
 
-const MapsContext = createContext({ isLoaded: false, loadError: null });
+const MapsContext = createContext({ isLoaded: false, loadError: null, backend: MAP_BACKEND });
 
 export function useMaps() {
   return useContext(MapsContext);
 }
 
-export default function MapsProvider({ children }) {
-  // Support both variable names
-  const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || import.meta.env.VITE_MAPS_API_KEY;
-
+function GoogleMapsLoader({ children }) {
   const { isLoaded, loadError } = useJsApiLoader({
-    googleMapsApiKey: apiKey || '',
+    googleMapsApiKey: GOOGLE_MAPS_API_KEY,
     libraries: GOOGLE_MAPS_LIBRARIES,
     // Prevent duplicate loads
     id: 'google-map-script'
   });
 
-  if (!apiKey) {
-    return (
-      <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg border-2 border-dashed border-gray-300">
-        <div className="text-center">
-          <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
-          </svg>
-          <h3 className="mt-2 text-sm font-medium text-gray-900">Maps Not Configured</h3>
-          <p className="mt-1 text-sm text-gray-500">
-            Add VITE_MAPS_API_KEY to packages/frontend/.env
-          </p>
-        </div>
-      </div>
-    );
-  }
-
   if (loadError) {
     return (
       <div className="flex items-center justify-center h-64 bg-red-50 rounded-lg border-2 border-dashed border-red-300">
@@ -55,7 +37,23 @@ export default function MapsProvider({ children }) {
   }
 
   return (
-    <MapsContext.Provider value={{ isLoaded, loadError }}>
+    <MapsContext.Provider value={{ isLoaded, loadError, backend: MapBackend.GOOGLE }}>
+      {children}
+    </MapsContext.Provider>
+  );
+}
+
+/**
+ * Provides the configured map backend to SiteMap and PolygonDrawer.
+ * Leaflet is bundled, so it is ready immediately and needs no API key.
+ */
+export default function MapsProvider({ children }) {
+  if (MAP_BACKEND === MapBackend.GOOGLE) {
+    return <GoogleMapsLoader>{children}</GoogleMapsLoader>;
+  }
+
+  return (
+    <MapsContext.Provider value={{ isLoaded: true, loadError: null, backend: MapBackend.LEAFLET }}>
       {children}
     </MapsContext.Provider>
   );
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { GoogleMap, Polygon, Polyline, Marker } from '@react-google-maps/api';
+import { useMaps } from '../MapsProvider';
+import FeatureDrawToolbar from '../FeatureDrawToolbar';
+import useFeatureDraft from '../useFeatureDraft';
+import { defaultCenter, siteColors, featureColors } from '../mapStyles';
+import { geoJSONToLatLngArray, featureToLatLngArray, getGeoJSONExtent } from '../../../utils/geometry';
+
+const vertexIcon = () => ({
+  path: window.google.maps.SymbolPath.CIRCLE,
+  scale: 6,
+  fillColor: '#ffffff',
+  fillOpacity: 1,
+  strokeColor: '#15803d',
+  strokeWeight: 2
+});
+
+/**
+ * Point and line feature drawing on Google Maps
+ */
+export default function GoogleFeatureDrawer({
+  geometryType = 'LineString',
+  featureType,
+  initialGeometry = null,
+  referenceGeometry = null,
+  existingFeatures = [],
+  center = null,
+  onGeometryChange,
+  height = '450px',
+  mapType = 'hybrid'
+}) {
+  const { isLoaded } = useMaps();
+  const [map, setMap] = useState(null);
+  const { points, addPoint, movePoint, undo, clear, lengthFeet } = useFeatureDraft(
+    geometryType,
+    initialGeometry,
+    onGeometryChange
+  );
+
+  // Fit to the feature being edited, else the site boundary, else the center
+  useEffect(() => {
+    if (!map) return;
+
+    const extent = (initialGeometry && getGeoJSONExtent(initialGeometry)) ||
+      (referenceGeometry && getGeoJSONExtent(referenceGeometry));
+
+    if (extent) {
+      const [[south, west], [north, east]] = extent;
+      map.fitBounds({ south, west, north, east }, 50);
+      if (map.getZoom() > 18) map.setZoom(18);
+    } else if (center) {
+      map.setCenter(center);
+      map.setZoom(15);
+    }
+  }, [map, initialGeometry, referenceGeometry, center]);
+
+  if (!isLoaded) {
+    return (
+      <div className="relative w-full rounded-lg overflow-hidden border border-gray-300 bg-gray-100" style={{ height }}>
+        <div className="flex items-center justify-center h-full">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const color = featureColors[featureType] || siteColors.stroke;
+  const referencePath = referenceGeometry ? geoJSONToLatLngArray(referenceGeometry) : [];
+
+  return (
+    <div className="relative w-full rounded-lg overflow-hidden border border-gray-300" style={{ height }}>
+      <GoogleMap
+        mapContainerStyle={{ width: '100%', height }}
+        center={center || defaultCenter}
+        zoom={15}
+        onLoad={setMap}
+        mapTypeId={mapType}
+        onClick={(e) => addPoint({ lat: e.latLng.lat(), lng: e.latLng.lng() })}
+        options={{
+          draggableCursor: 'crosshair',
+          disableDoubleClickZoom: true,
+          mapTypeControl: true,
+          mapTypeControlOptions: {
+            position: window.google?.maps?.ControlPosition?.BOTTOM_LEFT
+          },
+          fullscreenControl: false,
+          streetViewControl: false,
+          zoomControl: true
+        }}
+      >
+        {/* Site boundary for reference */}
+        {referencePath.length > 0 && (
+          <Polygon
+            paths={referencePath}
+            options={{
+              fillColor: siteColors.fill,
+              fillOpacity: 0.1,
+              strokeColor: siteColors.stroke,
+              strokeWeight: 2,
+              clickable: false,
+              zIndex: 1
+            }}
+          />
+        )}
+
+        {/* Other features on the site (read-only) */}
+        {existingFeatures.map((feature) => {
+          const path = featureToLatLngArray(feature.geometry);
+          if (path.length === 0) return null;
+          const existingColor = featureColors[feature.type] || featureColors.FENCE;
+
+          return feature.geometry.type === 'LineString' ? (
+            <Polyline
+              key={`existing-${feature.id}`}
+              path={path}
+              options={{ strokeColor: existingColor, strokeOpacity: 0.5, strokeWeight: 3, clickable: false, zIndex: 2 }}
+            />
+          ) : (
+            <Marker
+              key={`existing-${feature.id}`}
+              position={path[0]}
+              clickable={false}
+              icon={{
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: 6,
+                fillColor: existingColor,
+                fillOpacity: 0.5,
+                strokeColor: '#ffffff',
+                strokeWeight: 1
+              }}
+            />
+          );
+        })}
+
+        {/* Feature being drawn */}
+        {geometryType === 'LineString' && points.length > 1 && (
+          <Polyline path={points} options={{ strokeColor: color, strokeWeight: 4, clickable: false, zIndex: 3 }} />
+        )}
+        {points.map((point, index) => (
+          <Marker
+            key={`vertex-${index}`}
+            position={point}
+            icon={vertexIcon()}
+            draggable
+            zIndex={4}
+            onDragEnd={(e) => movePoint(index, { lat: e.latLng.lat(), lng: e.latLng.lng() })}
+          />
+        ))}
+      </GoogleMap>
+
+      <FeatureDrawToolbar
+        geometryType={geometryType}
+        pointCount={points.length}
+        lengthFeet={lengthFeet}
+        onUndo={undo}
+        onClear={clear}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+import { useState, useCallback, useEffect } from 'react';
+import { GoogleMap, Polygon, Polyline, Marker, InfoWindow } from '@react-google-maps/api';
+import { useMaps } from '../MapsProvider';
+import MapLegend from '../MapLegend';
+import FeaturePopup from '../FeaturePopup';
+import { defaultCenter, landPolygonColors, featureColors } from '../mapStyles';
+import { geoJSONToLatLngArray, featureToLatLngArray, getGeoJSONBounds, formatAcres } from '../../../utils/geometry';
+
+const mapContainerStyle = {
+  width: '100%',
+  height: '100%',
+  minHeight: '300px'
+};
+
+const sitePolygonOptions = {
+  fillColor: '#22c55e',
+  fillOpacity: 0.2,
+  strokeColor: '#16a34a',
+  strokeWeight: 2,
+  clickable: true,
+  zIndex: 1
+};
+
+// Pipelines are drawn dashed: a repeated dash symbol over an invisible stroke
+const pipelineIcons = (color) => [{
+  icon: { path: 'M 0,-1 0,1', strokeOpacity: 1, strokeColor: color, scale: 3 },
+  offset: '0',
+  repeat: '14px'
+}];
+
+/**
+ * Site boundary, land tract and point/line feature map on Google Maps
+ */
+export default function GoogleSiteMap({
+  siteGeometry = null,
+  landTracts = [],
+  center = null,
+  onSiteClick,
+  onLandClick,
+  selectedLandId = null,
+  features = [],
+  onFeatureClick,
+  selectedFeatureId = null,
+  showLabels = true,
+  height = '400px',
+  mapType = 'hybrid'
+}) {
+  const { isLoaded } = useMaps();
+  const [map, setMap] = useState(null);
+  const [infoWindow, setInfoWindow] = useState(null);
+  const [polygonsReady, setPolygonsReady] = useState(false);
+
+  // Force polygon re-render after map is ready
+  useEffect(() => {
+    if (map) {
+      setPolygonsReady(false);
+      const timer = setTimeout(() => {
+        setPolygonsReady(true);
+      }, 150);
+      return () => clearTimeout(timer);
+    }
+  }, [map]);
+
+  // Fit bounds when map loads - use timeout to ensure map is fully ready
+  useEffect(() => {
+    if (!map) return;
+
+    // Small delay to ensure Google Maps is fully initialized
+    const timeoutId = setTimeout(() => {
+      // First try to fit to site geometry
+      if (siteGeometry) {
+        const bounds = getGeoJSONBounds(siteGeometry);
+        if (bounds) {
+          map.fitBounds(bounds, { padding: 50 });
+          return;
+        }
+      }
+
+      // If no site geometry, try to fit to land tracts
+      if (landTracts && landTracts.length > 0) {
+        const firstTractWithGeometry = landTracts.find(t => t.geometry);
+        if (firstTractWithGeometry) {
+          const bounds = getGeoJSONBounds(firstTractWithGeometry.geometry);
+          if (bounds) {
+            map.fitBounds(bounds, { padding: 50 });
+            return;
+          }
+        }
+      }
+
+      // Fall back to center point
+      if (center) {
+        map.setCenter(center);
+        map.setZoom(15);
+      }
+    }, 100);
+
+    return () => clearTimeout(timeoutId);
+  }, [map, siteGeometry, landTracts, center]);
+
+  const onMapLoad = useCallback((mapInstance) => {
+    setMap(mapInstance);
+  }, []);
+
+  const handleSiteClick = useCallback((e) => {
+    if (onSiteClick) {
+      onSiteClick(e);
+    }
+  }, [onSiteClick]);
+
+  const handleLandClick = useCallback((tract, e) => {
+    if (onLandClick) {
+      onLandClick(tract);
+    }
+
+    // Show info window
+    setInfoWindow({
+      position: e.latLng,
+      tract
+    });
+  }, [onLandClick]);
+
+  const handleFeatureClick = useCallback((feature, e) => {
+    if (onFeatureClick) {
+      onFeatureClick(feature);
+    }
+
+    setInfoWindow({
+      position: e.latLng,
+      feature
+    });
+  }, [onFeatureClick]);
+
+  const sitePath = siteGeometry ? geoJSONToLatLngArray(siteGeometry) : [];
+
+  // Compute initial center - prefer provided center, then compute from geometry
+  const computeInitialCenter = () => {
+    if (center) return center;
+
+    // Try to get center from first land tract
+    if (landTracts && landTracts.length > 0) {
+      const firstTract = landTracts.find(t => t.geometry || t.centroid);
+      if (firstTract?.centroid) {
+        return firstTract.centroid;
+      }
+      if (firstTract?.geometry) {
+        const path = geoJSONToLatLngArray(firstTract.geometry);
+        if (path.length > 0) {
+          // Use first point as approximate center
+          return path[0];
+        }
+      }
+    }
+
+    return defaultCenter;
+  };
+
+  const initialCenter = computeInitialCenter();
+
+  if (!isLoaded) {
+    return (
+      <div className="relative w-full rounded-lg overflow-hidden border border-gray-300 bg-gray-100" style={{ height }}>
+        <div className="flex items-center justify-center h-full">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative w-full rounded-lg overflow-hidden border border-gray-300" style={{ height }}>
+      <GoogleMap
+        mapContainerStyle={{ ...mapContainerStyle, height }}
+        center={initialCenter}
+        zoom={15}
+        onLoad={onMapLoad}
+        mapTypeId={mapType}
+        options={{
+          mapTypeControl: true,
+          mapTypeControlOptions: {
+            position: window.google?.maps?.ControlPosition?.TOP_RIGHT
+          },
+          fullscreenControl: true,
+          streetViewControl: false,
+          zoomControl: true
+        }}
+      >
+        {/* Invisible anchor polygon - DO NOT REMOVE - fixes rendering issue */}
+        <Polygon
+          paths={[
+            { lat: 0.00001, lng: 0.00001 },
+            { lat: 0.00001, lng: 0.00002 },
+            { lat: 0.00002, lng: 0.00002 },
+            { lat: 0.00002, lng: 0.00001 },
+          ]}
+          options={{
+            fillOpacity: 0,
+            strokeOpacity: 0,
+            zIndex: -1
+          }}
+        />
+
+        {/* Site boundary - only render after map is ready */}
+        {polygonsReady && sitePath.length > 0 && (
+          <Polygon
+            key={`site-boundary-${sitePath.length}`}
+            paths={sitePath}
+            options={sitePolygonOptions}
+            onClick={handleSiteClick}
+          />
+        )}
+
+        {/* Land tracts - only render after map is ready */}
+        {polygonsReady && landTracts.map((tract) => {
+          if (!tract.geometry) {
+            return null;
+          }
+
+          const path = geoJSONToLatLngArray(tract.geometry);
+          if (path.length === 0) {
+            return null;
+          }
+
+          const colors = landPolygonColors[tract.type] || landPolygonColors.OTHER;
+          const isSelected = tract.id === selectedLandId;
+
+          return (
+            <Polygon
+              key={tract.id}
+              paths={path}
+              options={{
+                fillColor: colors.fill,
+                fillOpacity: isSelected ? 0.5 : 0.3,
+                strokeColor: colors.stroke,
+                strokeWeight: isSelected ? 3 : 2,
+                strokeOpacity: isSelected ? 1 : 0.8,
+                clickable: true,
+                zIndex: isSelected ? 3 : 2
+              }}
+              onClick={(e) => handleLandClick(tract, e)}
+            />
+          );
+        })}
+
+        {/* Fences, pipelines, tanks, gates and wells */}
+        {polygonsReady && features.map((feature) => {
+          const path = featureToLatLngArray(feature.geometry);
+          if (path.length === 0) {
+            return null;
+          }
+
+          const color = featureColors[feature.type] || featureColors.FENCE;
+          const isSelected = feature.id === selectedFeatureId;
+
+          if (feature.geometry.type === 'LineString') {
+            const isPipeline = feature.type === 'PIPELINE';
+            return (
+              <Polyline
+                key={feature.id}
+                path={path}
+                options={{
+                  strokeColor: color,
+                  strokeOpacity: isPipeline ? 0 : 1,
+                  strokeWeight: isSelected ? 6 : 4,
+                  icons: isPipeline ? pipelineIcons(color) : undefined,
+                  clickable: true,
+                  zIndex: 4
+                }}
+                onClick={(e) => handleFeatureClick(feature, e)}
+              />
+            );
+          }
+
+          return (
+            <Marker
+              key={feature.id}
+              position={path[0]}
+              icon={{
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: isSelected ? 9 : 7,
+                fillColor: color,
+                fillOpacity: 1,
+                strokeColor: '#ffffff',
+                strokeWeight: 2
+              }}
+              zIndex={5}
+              onClick={(e) => handleFeatureClick(feature, e)}
+            />
+          );
+        })}
+
+        {/* Info Window for land tracts and features */}
+        {infoWindow && (
+          <InfoWindow
+            position={infoWindow.position}
+            onCloseClick={() => setInfoWindow(null)}
+          >
+            {infoWindow.feature ? (
+              <div className="p-2">
+                <FeaturePopup feature={infoWindow.feature} />
+              </div>
+            ) : (
+              <div className="p-2 min-w-32">
+                <h3 className="font-semibold text-gray-900">{infoWindow.tract.name}</h3>
+                <p className="text-sm text-gray-600">{infoWindow.tract.type}</p>
+                <p className="text-sm text-gray-600">{formatAcres(infoWindow.tract.areaAcres)}</p>
+              </div>
+            )}
+          </InfoWindow>
+        )}
+      </GoogleMap>
+
+      {/* Legend */}
+      {showLabels && <MapLegend landTracts={landTracts} features={features} />}
+    </div>
+  );
+}
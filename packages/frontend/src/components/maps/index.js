@@ -2,3 +2,4 @@ export { default as MapsProvider, useMaps } from './MapsProvider';
 export { default as MapToolbar } from './MapToolbar';
 export { default as PolygonDrawer } from './PolygonDrawer';
 export { default as SiteMap } from './SiteMap';
+export { default as FeatureDrawer } from './FeatureDrawer';
@@ -0,0 +1,27 @@
+import { TileLayer, LayersControl } from 'react-leaflet';
+import { TILE_LAYERS } from '../mapConfig';
+
+/**
+ * Street and satellite base layers. Google's 'hybrid' and 'satellite' map
+ * types start on imagery, 'roadmap' on streets.
+ */
+export default function LeafletBaseLayers({ mapType = 'hybrid' }) {
+  const { street, satellite } = TILE_LAYERS;
+
+  if (!satellite) {
+    return <TileLayer url={street.url} attribution={street.attribution} maxZoom={street.maxZoom} />;
+  }
+
+  const startOnImagery = mapType !== 'roadmap' && mapType !== 'terrain';
+
+  return (
+    <LayersControl position="topright">
+      <LayersControl.BaseLayer checked={!startOnImagery} name="Map">
+        <TileLayer url={street.url} attribution={street.attribution} maxZoom={street.maxZoom} />
+      </LayersControl.BaseLayer>
+      <LayersControl.BaseLayer checked={startOnImagery} name="Satellite">
+        <TileLayer url={satellite.url} attribution={satellite.attribution} maxZoom={satellite.maxZoom} />
+      </LayersControl.BaseLayer>
+    </LayersControl>
+  );
+}
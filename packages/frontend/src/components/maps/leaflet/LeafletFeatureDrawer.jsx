@@ -0,0 +1,139 @@
+import { useEffect } from 'react';
+import { MapContainer, ZoomControl, Polygon, Polyline, CircleMarker, Marker, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import LeafletBaseLayers from './LeafletBaseLayers';
+import FeatureDrawToolbar from '../FeatureDrawToolbar';
+import useFeatureDraft from '../useFeatureDraft';
+import { vertexIcon } from './leafletIcons';
+import { defaultCenter, siteColors, featureColors } from '../mapStyles';
+import { geoJSONToLatLngArray, featureToLatLngArray, getGeoJSONExtent } from '../../../utils/geometry';
+
+const toPositions = (points) => points.map(({ lat, lng }) => [lat, lng]);
+
+/**
+ * Fit to the feature being edited, else the site boundary, else the center
+ */
+function FitBounds({ geometry, referenceGeometry, center }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const extent = (geometry && getGeoJSONExtent(geometry)) ||
+      (referenceGeometry && getGeoJSONExtent(referenceGeometry));
+
+    if (extent) {
+      map.fitBounds(extent, { padding: [50, 50], maxZoom: 18 });
+    } else if (center) {
+      map.setView(center, 15);
+    }
+  }, [map, geometry, referenceGeometry, center]);
+
+  return null;
+}
+
+function ClickToAdd({ onAdd }) {
+  useMapEvents({
+    click(e) {
+      onAdd(e.latlng);
+    }
+  });
+  return null;
+}
+
+/**
+ * Point and line feature drawing on Leaflet
+ */
+export default function LeafletFeatureDrawer({
+  geometryType = 'LineString',
+  featureType,
+  initialGeometry = null,
+  referenceGeometry = null,
+  existingFeatures = [],
+  center = null,
+  onGeometryChange,
+  height = '450px',
+  mapType = 'hybrid'
+}) {
+  const { points, addPoint, movePoint, undo, clear, lengthFeet } = useFeatureDraft(
+    geometryType,
+    initialGeometry,
+    onGeometryChange
+  );
+
+  const color = featureColors[featureType] || siteColors.stroke;
+  const referencePositions = referenceGeometry ? toPositions(geoJSONToLatLngArray(referenceGeometry)) : [];
+
+  return (
+    <div className="relative w-full rounded-lg overflow-hidden border border-gray-300" style={{ height }}>
+      {/* z-0 keeps Leaflet's panes below the toolbar and page overlays */}
+      <div className="relative z-0 h-full">
+        <MapContainer
+          center={center || defaultCenter}
+          zoom={15}
+          zoomControl={false}
+          doubleClickZoom={false}
+          style={{ width: '100%', height: '100%', cursor: 'crosshair' }}
+        >
+          <LeafletBaseLayers mapType={mapType} />
+          <ZoomControl position="bottomright" />
+          <FitBounds geometry={initialGeometry} referenceGeometry={referenceGeometry} center={center} />
+          <ClickToAdd onAdd={addPoint} />
+
+          {/* Site boundary for reference */}
+          {referencePositions.length > 0 && (
+            <Polygon
+              positions={referencePositions}
+              pathOptions={{ fillColor: siteColors.fill, fillOpacity: 0.1, color: siteColors.stroke, weight: 2 }}
+              interactive={false}
+            />
+          )}
+
+          {/* Other features on the site (read-only) */}
+          {existingFeatures.map((feature) => {
+            const positions = toPositions(featureToLatLngArray(feature.geometry));
+            if (positions.length === 0) return null;
+            const existingColor = featureColors[feature.type] || featureColors.FENCE;
+
+            return feature.geometry.type === 'LineString' ? (
+              <Polyline
+                key={`existing-${feature.id}`}
+                positions={positions}
+                pathOptions={{ color: existingColor, weight: 3, opacity: 0.5 }}
+                interactive={false}
+              />
+            ) : (
+              <CircleMarker
+                key={`existing-${feature.id}`}
+                center={positions[0]}
+                radius={6}
+                pathOptions={{ color: '#fff', weight: 1, fillColor: existingColor, fillOpacity: 0.5 }}
+                interactive={false}
+              />
+            );
+          })}
+
+          {/* Feature being drawn */}
+          {geometryType === 'LineString' && points.length > 1 && (
+            <Polyline positions={toPositions(points)} pathOptions={{ color, weight: 4 }} interactive={false} />
+          )}
+          {points.map((point, index) => (
+            <Marker
+              key={`vertex-${index}`}
+              position={[point.lat, point.lng]}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{ dragend: (e) => movePoint(index, e.target.getLatLng()) }}
+            />
+          ))}
+        </MapContainer>
+      </div>
+
+      <FeatureDrawToolbar
+        geometryType={geometryType}
+        pointCount={points.length}
+        lengthFeet={lengthFeet}
+        onUndo={undo}
+        onClear={clear}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,330 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { MapContainer, ZoomControl, Polygon, Polyline, Marker, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import MapToolbar from '../MapToolbar';
+import LeafletBaseLayers from './LeafletBaseLayers';
+import { vertexIcon, midpointIcon } from './leafletIcons';
+import { defaultCenter, siteColors, landPolygonColors } from '../mapStyles';
+import { geoJSONToLatLngArray, getGeoJSONExtent, calculateGeoJSONArea } from '../../../utils/geometry';
+
+const polygonStyle = {
+  fillColor: siteColors.fill,
+  fillOpacity: 0.3,
+  color: siteColors.stroke,
+  weight: 2
+};
+
+// Site boundary - green like in SiteMap
+const referencePolygonStyle = {
+  fillColor: siteColors.fill,
+  fillOpacity: 0.25,
+  color: siteColors.stroke,
+  weight: 3
+};
+
+const draftLineStyle = {
+  color: siteColors.stroke,
+  weight: 2,
+  dashArray: '6 4'
+};
+
+const toPositions = (points) => points.map(({ lat, lng }) => [lat, lng]);
+
+const toGeoJSON = (points) => ({
+  type: 'Polygon',
+  coordinates: [[...points.map(p => [p.lng, p.lat]), [points[0].lng, points[0].lat]]]
+});
+
+// A double-click also fires two clicks on the same spot
+const dropRepeatedPoints = (points) =>
+  points.filter((p, i) => i === 0 || p.lat !== points[i - 1].lat || p.lng !== points[i - 1].lng);
+
+/**
+ * Fit to the initial geometry, else the reference geometry, else the center
+ */
+function FitBounds({ geometry, referenceGeometry, center }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const extent = (geometry && getGeoJSONExtent(geometry)) ||
+      (referenceGeometry && getGeoJSONExtent(referenceGeometry));
+
+    if (extent) {
+      map.fitBounds(extent, { padding: [50, 50] });
+    } else if (center) {
+      map.setView(center, 15);
+    }
+  }, [map, geometry, referenceGeometry, center]);
+
+  return null;
+}
+
+/**
+ * Map clicks and pointer moves for drawing and dragging the polygon
+ */
+function DrawingEvents({ drawing, onAddPoint, onFinish, onPointerMove, onPointerUp }) {
+  const map = useMapEvents({
+    click(e) {
+      if (drawing) onAddPoint(e.latlng);
+    },
+    dblclick() {
+      if (drawing) onFinish();
+    },
+    mousemove(e) {
+      onPointerMove(e.latlng);
+    },
+    mouseup() {
+      onPointerUp();
+    }
+  });
+
+  useEffect(() => {
+    const container = map.getContainer();
+    if (drawing) {
+      map.doubleClickZoom.disable();
+      container.style.cursor = 'crosshair';
+    } else {
+      map.doubleClickZoom.enable();
+      container.style.cursor = '';
+    }
+  }, [map, drawing]);
+
+  return null;
+}
+
+/**
+ * Polygon drawing and editing on Leaflet
+ * Click to add points, click the first point (or double-click) to close.
+ * In edit mode drag vertices, drag a midpoint to add a vertex, or drag the shape.
+ */
+export default function LeafletPolygonDrawer({
+  center = null,
+  initialGeometry = null,
+  referenceGeometry = null,
+  existingTracts = [],
+  onGeometryChange,
+  onAreaChange,
+  readOnly = false,
+  mapType = 'hybrid'
+}) {
+  const [map, setMap] = useState(null);
+  const [mode, setMode] = useState(MapToolbar.modes.VIEW);
+  const [geometry, setGeometry] = useState(initialGeometry);
+  const [draft, setDraft] = useState([]);
+  const [pointer, setPointer] = useState(null);
+
+  // Whole-polygon drag: where the drag started and the vertices at that moment
+  const shapeDragRef = useRef(null);
+
+  // Update geometry when initialGeometry changes
+  useEffect(() => {
+    setGeometry(initialGeometry);
+  }, [initialGeometry]);
+
+  const vertices = useMemo(() => (geometry ? geoJSONToLatLngArray(geometry) : []), [geometry]);
+  const isEditing = mode === MapToolbar.modes.EDIT;
+  const isDrawing = !readOnly && mode === MapToolbar.modes.DRAW && !geometry;
+
+  const commit = useCallback((points) => {
+    const geoJSON = toGeoJSON(points);
+    setGeometry(geoJSON);
+    if (onGeometryChange) onGeometryChange(geoJSON);
+    if (onAreaChange) onAreaChange(calculateGeoJSONArea(geoJSON));
+  }, [onGeometryChange, onAreaChange]);
+
+  const handleAddPoint = useCallback((latlng) => {
+    setDraft((prev) => [...prev, { lat: latlng.lat, lng: latlng.lng }]);
+  }, []);
+
+  const handleFinish = useCallback(() => {
+    const points = dropRepeatedPoints(draft);
+    if (points.length < 3) return;
+
+    commit(points);
+    setDraft([]);
+    setMode(MapToolbar.modes.VIEW);
+  }, [draft, commit]);
+
+  const handleUndo = useCallback(() => {
+    setDraft((prev) => prev.slice(0, -1));
+  }, []);
+
+  const handlePointerMove = useCallback((latlng) => {
+    if (isDrawing) {
+      setPointer(latlng);
+    }
+
+    const drag = shapeDragRef.current;
+    if (drag) {
+      const dLat = latlng.lat - drag.start.lat;
+      const dLng = latlng.lng - drag.start.lng;
+      drag.moved = drag.points.map(p => ({ lat: p.lat + dLat, lng: p.lng + dLng }));
+      setGeometry(toGeoJSON(drag.moved));
+    }
+  }, [isDrawing]);
+
+  const handlePointerUp = useCallback(() => {
+    const drag = shapeDragRef.current;
+    if (!drag) return;
+
+    shapeDragRef.current = null;
+    map.dragging.enable();
+    if (drag.moved) {
+      commit(drag.moved);
+    }
+  }, [map, commit]);
+
+  const handleShapeMouseDown = useCallback((e) => {
+    if (!isEditing || !map) return;
+
+    L.DomEvent.stopPropagation(e);
+    map.dragging.disable();
+    shapeDragRef.current = { start: e.latlng, points: vertices, moved: null };
+  }, [map, isEditing, vertices]);
+
+  const moveVertex = (index, latlng) =>
+    vertices.map((p, i) => (i === index ? { lat: latlng.lat, lng: latlng.lng } : p));
+
+  const handleModeChange = useCallback((newMode) => {
+    setMode(newMode);
+    setDraft([]);
+    setPointer(null);
+  }, []);
+
+  const handleClear = useCallback(() => {
+    setGeometry(null);
+    setDraft([]);
+    setMode(MapToolbar.modes.VIEW);
+    if (onGeometryChange) onGeometryChange(null);
+    if (onAreaChange) onAreaChange({ sqMeters: 0, acres: 0 });
+  }, [onGeometryChange, onAreaChange]);
+
+  const referencePositions = referenceGeometry ? toPositions(geoJSONToLatLngArray(referenceGeometry)) : [];
+  const lastDraftPoint = draft[draft.length - 1];
+
+  return (
+    <div className="relative w-full h-full rounded-lg overflow-hidden border border-gray-300">
+      {/* z-0 keeps Leaflet's panes below the toolbar and page overlays */}
+      <div className="relative z-0 h-full">
+        <MapContainer
+          ref={setMap}
+          center={center || defaultCenter}
+          zoom={15}
+          zoomControl={false}
+          style={{ width: '100%', height: '100%', minHeight: '400px' }}
+        >
+          <LeafletBaseLayers mapType={mapType} />
+          <ZoomControl position="bottomright" />
+          <FitBounds geometry={initialGeometry} referenceGeometry={referenceGeometry} center={center} />
+
+          {!readOnly && (
+            <DrawingEvents
+              drawing={isDrawing}
+              onAddPoint={handleAddPoint}
+              onFinish={handleFinish}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            />
+          )}
+
+          {/* Reference polygon (site boundary) */}
+          {referencePositions.length > 0 && (
+            <Polygon positions={referencePositions} pathOptions={referencePolygonStyle} interactive={false} />
+          )}
+
+          {/* Existing land tracts (read-only) */}
+          {existingTracts.map((tract) => {
+            if (!tract.geometry) return null;
+            const positions = toPositions(geoJSONToLatLngArray(tract.geometry));
+            if (positions.length === 0) return null;
+            const colors = landPolygonColors[tract.type] || landPolygonColors.OTHER;
+            return (
+              <Polygon
+                key={`existing-${tract.id}`}
+                positions={positions}
+                pathOptions={{ fillColor: colors.fill, fillOpacity: 0.3, color: colors.stroke, weight: 2 }}
+                interactive={false}
+              />
+            );
+          })}
+
+          {/* Main polygon */}
+          {vertices.length > 0 && (
+            <Polygon
+              positions={toPositions(vertices)}
+              pathOptions={polygonStyle}
+              bubblingMouseEvents={false}
+              eventHandlers={{ mousedown: handleShapeMouseDown }}
+            />
+          )}
+
+          {/* Vertex and midpoint handles while editing */}
+          {isEditing && vertices.map((point, index) => {
+            const next = vertices[(index + 1) % vertices.length];
+            return [
+              <Marker
+                key={`vertex-${index}`}
+                position={[point.lat, point.lng]}
+                icon={vertexIcon}
+                draggable
+                eventHandlers={{
+                  drag: (e) => setGeometry(toGeoJSON(moveVertex(index, e.target.getLatLng()))),
+                  dragend: (e) => commit(moveVertex(index, e.target.getLatLng()))
+                }}
+              />,
+              <Marker
+                key={`midpoint-${index}-${vertices.length}`}
+                position={[(point.lat + next.lat) / 2, (point.lng + next.lng) / 2]}
+                icon={midpointIcon}
+                draggable
+                eventHandlers={{
+                  dragend: (e) => {
+                    const { lat, lng } = e.target.getLatLng();
+                    commit([...vertices.slice(0, index + 1), { lat, lng }, ...vertices.slice(index + 1)]);
+                  }
+                }}
+              />
+            ];
+          })}
+
+          {/* Polygon being drawn */}
+          {isDrawing && draft.length > 0 && (
+            <>
+              <Polyline positions={toPositions(draft)} pathOptions={{ color: siteColors.stroke, weight: 2 }} />
+              {pointer && (
+                <Polyline
+                  positions={[[lastDraftPoint.lat, lastDraftPoint.lng], [pointer.lat, pointer.lng]]}
+                  pathOptions={draftLineStyle}
+                  interactive={false}
+                />
+              )}
+              {draft.map((point, index) => (
+                <CircleMarker
+                  key={`draft-${index}`}
+                  center={[point.lat, point.lng]}
+                  radius={index === 0 ? 7 : 4}
+                  pathOptions={{ color: siteColors.stroke, fillColor: '#fff', fillOpacity: 1, weight: 2 }}
+                  bubblingMouseEvents={index !== 0}
+                  eventHandlers={index === 0 ? { click: handleFinish } : undefined}
+                />
+              ))}
+            </>
+          )}
+        </MapContainer>
+      </div>
+
+      {/* Toolbar */}
+      {!readOnly && (
+        <MapToolbar
+          mode={mode}
+          onModeChange={handleModeChange}
+          onClear={handleClear}
+          onUndo={isDrawing ? handleUndo : undefined}
+          canUndo={draft.length > 0}
+          hasPolygon={!!geometry}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useEffect } from 'react';
+import { MapContainer, ZoomControl, Polygon, Polyline, CircleMarker, Popup, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import LeafletBaseLayers from './LeafletBaseLayers';
+import MapLegend from '../MapLegend';
+import FeaturePopup from '../FeaturePopup';
+import { defaultCenter, siteColors, landPolygonColors, featureColors } from '../mapStyles';
+import { geoJSONToLatLngArray, featureToLatLngArray, getGeoJSONExtent, formatAcres } from '../../../utils/geometry';
+
+const sitePolygonStyle = {
+  fillColor: siteColors.fill,
+  fillOpacity: 0.2,
+  color: siteColors.stroke,
+  weight: 2
+};
+
+const toPositions = (geometry) => geoJSONToLatLngArray(geometry).map(({ lat, lng }) => [lat, lng]);
+
+/**
+ * Fit to the site boundary, else the first tract, else the center point
+ */
+function FitBounds({ siteGeometry, landTracts, center }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const firstTract = landTracts?.find(t => t.geometry);
+    const extent = (siteGeometry && getGeoJSONExtent(siteGeometry)) ||
+      (firstTract && getGeoJSONExtent(firstTract.geometry));
+
+    if (extent) {
+      map.fitBounds(extent, { padding: [50, 50] });
+    } else if (center) {
+      map.setView(center, 15);
+    }
+  }, [map, siteGeometry, landTracts, center]);
+
+  return null;
+}
+
+const toFeaturePositions = (geometry) => featureToLatLngArray(geometry).map(({ lat, lng }) => [lat, lng]);
+
+/**
+ * Site boundary, land tract and point/line feature map on Leaflet
+ */
+export default function LeafletSiteMap({
+  siteGeometry = null,
+  landTracts = [],
+  center = null,
+  onSiteClick,
+  onLandClick,
+  selectedLandId = null,
+  features = [],
+  onFeatureClick,
+  selectedFeatureId = null,
+  showLabels = true,
+  height = '400px',
+  mapType = 'hybrid'
+}) {
+  const sitePositions = siteGeometry ? toPositions(siteGeometry) : [];
+
+  return (
+    <div className="relative w-full rounded-lg overflow-hidden border border-gray-300" style={{ height }}>
+      {/* z-0 keeps Leaflet's panes below the legend and page overlays */}
+      <div className="relative z-0 h-full">
+        <MapContainer
+          center={center || landTracts.find(t => t.centroid)?.centroid || defaultCenter}
+          zoom={15}
+          zoomControl={false}
+          style={{ width: '100%', height: '100%', minHeight: '300px' }}
+        >
+          <LeafletBaseLayers mapType={mapType} />
+          <ZoomControl position="bottomright" />
+          <FitBounds siteGeometry={siteGeometry} landTracts={landTracts} center={center} />
+
+          {/* Site boundary */}
+          {sitePositions.length > 0 && (
+            <Polygon
+              positions={sitePositions}
+              pathOptions={sitePolygonStyle}
+              eventHandlers={{ click: (e) => onSiteClick?.(e) }}
+            />
+          )}
+
+          {/* Land tracts */}
+          {landTracts.map((tract) => {
+            if (!tract.geometry) {
+              return null;
+            }
+
+            const positions = toPositions(tract.geometry);
+            if (positions.length === 0) {
+              return null;
+            }
+
+            const colors = landPolygonColors[tract.type] || landPolygonColors.OTHER;
+            const isSelected = tract.id === selectedLandId;
+
+            return (
+              <Polygon
+                key={tract.id}
+                positions={positions}
+                pathOptions={{
+                  fillColor: colors.fill,
+                  fillOpacity: isSelected ? 0.5 : 0.3,
+                  color: colors.stroke,
+                  weight: isSelected ? 3 : 2,
+                  opacity: isSelected ? 1 : 0.8
+                }}
+                eventHandlers={{ click: () => onLandClick?.(tract) }}
+              >
+                <Popup>
+                  <div className="min-w-32">
+                    <h3 className="font-semibold text-gray-900">{tract.name}</h3>
+                    <p className="text-sm text-gray-600">{tract.type}</p>
+                    <p className="text-sm text-gray-600">{formatAcres(tract.areaAcres)}</p>
+                  </div>
+                </Popup>
+              </Polygon>
+            );
+          })}
+
+          {/* Fences, pipelines, tanks, gates and wells */}
+          {features.map((feature) => {
+            const positions = toFeaturePositions(feature.geometry);
+            if (positions.length === 0) {
+              return null;
+            }
+
+            const color = featureColors[feature.type] || featureColors.FENCE;
+            const isSelected = feature.id === selectedFeatureId;
+            const eventHandlers = { click: () => onFeatureClick?.(feature) };
+
+            if (feature.geometry.type === 'LineString') {
+              return (
+                <Polyline
+                  key={feature.id}
+                  positions={positions}
+                  pathOptions={{
+                    color,
+                    weight: isSelected ? 6 : 4,
+                    dashArray: feature.type === 'PIPELINE' ? '8 6' : null
+                  }}
+                  eventHandlers={eventHandlers}
+                >
+                  <Popup><FeaturePopup feature={feature} /></Popup>
+                </Polyline>
+              );
+            }
+
+            return (
+              <CircleMarker
+                key={feature.id}
+                center={positions[0]}
+                radius={isSelected ? 9 : 7}
+                pathOptions={{ color: '#fff', weight: 2, fillColor: color, fillOpacity: 1 }}
+                eventHandlers={eventHandlers}
+              >
+                <Popup><FeaturePopup feature={feature} /></Popup>
+              </CircleMarker>
+            );
+          })}
+        </MapContainer>
+      </div>
+
+      {/* Legend */}
+      {showLabels && <MapLegend landTracts={landTracts} features={features} />}
+    </div>
+  );
+}
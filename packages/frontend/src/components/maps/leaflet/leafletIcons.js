@@ -0,0 +1,16 @@
+import L from 'leaflet';
+
+// Vertex handles use divIcons so no marker image assets are needed
+export const vertexIcon = L.divIcon({
+  className: '',
+  html: '<div style="width:12px;height:12px;background:#fff;border:2px solid #15803d;border-radius:9999px"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+export const midpointIcon = L.divIcon({
+  className: '',
+  html: '<div style="width:10px;height:10px;background:#fff;border:2px solid #15803d;border-radius:9999px;opacity:0.6"></div>',
+  iconSize: [10, 10],
+  iconAnchor: [5, 5]
+});
@@ -0,0 +1,51 @@
+/**
+ * Map backend selection and tile sources
+ *
+ * VITE_MAP_PROVIDER picks the backend ('google' or 'leaflet'). When unset,
+ * Google Maps is used if an API key is configured, otherwise Leaflet.
+ * Leaflet tiles can point at a self-hosted or offline tile server.
+ */
+
+const env = import.meta.env;
+
+export const MapBackend = {
+  GOOGLE: 'google',
+  LEAFLET: 'leaflet'
+};
+
+// Support both variable names
+export const GOOGLE_MAPS_API_KEY = env.VITE_GOOGLE_MAPS_API_KEY || env.VITE_MAPS_API_KEY || '';
+
+function resolveBackend() {
+  const configured = (env.VITE_MAP_PROVIDER || '').toLowerCase();
+
+  if (configured === MapBackend.LEAFLET) {
+    return MapBackend.LEAFLET;
+  }
+  if (configured === MapBackend.GOOGLE && !GOOGLE_MAPS_API_KEY) {
+    console.warn('VITE_MAP_PROVIDER is google but no Google Maps API key is set - using Leaflet');
+  }
+
+  return GOOGLE_MAPS_API_KEY ? MapBackend.GOOGLE : MapBackend.LEAFLET;
+}
+
+export const MAP_BACKEND = resolveBackend();
+
+const maxZoom = parseInt(env.VITE_MAP_TILE_MAX_ZOOM) || 19;
+
+// Set VITE_MAP_SATELLITE_TILE_URL=none to run without imagery (e.g. fully offline)
+const satelliteUrl = env.VITE_MAP_SATELLITE_TILE_URL ||
+  'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}';
+
+export const TILE_LAYERS = {
+  street: {
+    url: env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: env.VITE_MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+    maxZoom
+  },
+  satellite: satelliteUrl === 'none' ? null : {
+    url: satelliteUrl,
+    attribution: env.VITE_MAP_SATELLITE_TILE_ATTRIBUTION || 'Imagery &copy; Esri, Maxar, Earthstar Geographics',
+    maxZoom
+  }
+};
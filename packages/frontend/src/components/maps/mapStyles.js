@@ -0,0 +1,26 @@
+/**
+ * Colors and defaults shared by every map backend
+ */
+
+export const defaultCenter = { lat: 30.2672, lng: -97.7431 }; // Austin, TX
+
+// Site boundary
+export const siteColors = { fill: '#22c55e', stroke: '#16a34a' };
+
+// Land tract type colors
+export const landPolygonColors = {
+  PARCEL: { fill: '#3b82f6', stroke: '#2563eb' },
+  FIELD: { fill: '#eab308', stroke: '#ca8a04' },
+  PASTURE: { fill: '#22c55e', stroke: '#16a34a' },
+  INFRASTRUCTURE: { fill: '#6b7280', stroke: '#4b5563' },
+  OTHER: { fill: '#a855f7', stroke: '#9333ea' }
+};
+
+// Point and line feature colors (fences, water, gates)
+export const featureColors = {
+  FENCE: '#b45309',
+  PIPELINE: '#0891b2',
+  WATER_TANK: '#0284c7',
+  GATE: '#ea580c',
+  WELL: '#1d4ed8'
+};
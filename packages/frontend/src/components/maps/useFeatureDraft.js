@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { featureToLatLngArray, calculateLineLength } from '../../utils/geometry';
+
+const toGeoJSON = (geometryType, points) => {
+  if (geometryType === 'Point') {
+    return points.length ? { type: 'Point', coordinates: [points[0].lng, points[0].lat] } : null;
+  }
+  return points.length >= 2 ? { type: 'LineString', coordinates: points.map(p => [p.lng, p.lat]) } : null;
+};
+
+/**
+ * Drawing state for a point or line feature, shared by the map backends
+ * A point is placed (or moved) with each click; a line gains a vertex per click.
+ * @param {string} geometryType - 'Point' or 'LineString'
+ * @param {Object|null} initialGeometry - GeoJSON to start from
+ * @param {Function} onGeometryChange - Called with GeoJSON, or null while incomplete
+ */
+export default function useFeatureDraft(geometryType, initialGeometry, onGeometryChange) {
+  const [points, setPoints] = useState(() => featureToLatLngArray(initialGeometry));
+
+  // Start over when the feature being drawn changes
+  useEffect(() => {
+    setPoints(initialGeometry?.type === geometryType ? featureToLatLngArray(initialGeometry) : []);
+  }, [initialGeometry, geometryType]);
+
+  const update = useCallback((next) => {
+    setPoints(next);
+    if (onGeometryChange) onGeometryChange(toGeoJSON(geometryType, next));
+  }, [geometryType, onGeometryChange]);
+
+  const addPoint = useCallback(({ lat, lng }) => {
+    update(geometryType === 'Point' ? [{ lat, lng }] : [...points, { lat, lng }]);
+  }, [geometryType, points, update]);
+
+  const movePoint = useCallback((index, { lat, lng }) => {
+    update(points.map((p, i) => (i === index ? { lat, lng } : p)));
+  }, [points, update]);
+
+  const undo = useCallback(() => update(points.slice(0, -1)), [points, update]);
+  const clear = useCallback(() => update([]), [update]);
+
+  const lengthFeet = useMemo(
+    () => (geometryType === 'LineString' && points.length >= 2
+      ? calculateLineLength(toGeoJSON(geometryType, points)).feet
+      : null),
+    [geometryType, points]
+  );
+
+  return { points, addPoint, movePoint, undo, clear, lengthFeet };
+}
@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { useAuth } from './AuthContext';
+import { browserTimezone } from '../utils/timezone';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
 
@@ -120,9 +121,14 @@ export function SiteProvider({ children }) {
     return data.data.site;
   };
 
+  // The farm's clock: the current site's timezone, else the tenant's
+  const timezone =
+    currentSite?.settings?.timezone || userProfile?.tenant?.timezone || browserTimezone();
+
   const value = {
     sites,
     currentSite,
+    timezone,
     loading,
     selectSite,
     createSite,
@@ -4,6 +4,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useSite } from '../../contexts/SiteContext';
 import { animalsApi, inventoryApi, tasksApi, eventsApi } from '../../services/api';
 import { HelpTooltip } from '../../components/ui/Tooltip';
+import FeedRunwayWidget from '../../components/dashboard/FeedRunwayWidget';
 
 export default function DashboardHome() {
   const { user } = useAuth();
@@ -216,6 +217,9 @@ export default function DashboardHome() {
         </div>
       </div>
 
+      {/* Feed Runway */}
+      {currentSite?.id && <FeedRunwayWidget siteId={currentSite.id} />}
+
       {/* Recent Livestock */}
       {recentAnimals.length > 0 && (
         <div>
@@ -2,11 +2,12 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSite } from '../../contexts/SiteContext';
 import { usePlanLimits } from '../../contexts/PlanLimitsContext';
-import { billingApi } from '../../services/api';
+import { billingApi, tenantApi } from '../../services/api';
+import { TIMEZONE_OPTIONS } from '../../utils/timezone';
 import { HelpTooltip } from '../../components/ui/Tooltip';
 
 export default function Settings() {
-  const { user, userProfile, updateUserProfile } = useAuth();
+  const { user, userProfile, updateUserProfile, refreshUserProfile } = useAuth();
   const { sites } = useSite();
   const [activeTab, setActiveTab] = useState('profile');
 
@@ -46,7 +47,7 @@ export default function Settings() {
 
       {/* Tab content */}
       {activeTab === 'profile' && <ProfileSettings user={user} userProfile={userProfile} />}
-      {activeTab === 'farm' && <FarmSettings userProfile={userProfile} />}
+      {activeTab === 'farm' && <FarmSettings userProfile={userProfile} onSaved={refreshUserProfile} />}
       {activeTab === 'sites' && <SitesSettings sites={sites} />}
       {activeTab === 'team' && <TeamSettings userProfile={userProfile} />}
       {activeTab === 'billing' && <BillingSettings userProfile={userProfile} />}
@@ -129,38 +130,79 @@ function ProfileSettings({ user, userProfile }) {
   );
 }
 
-function FarmSettings({ userProfile }) {
+function FarmSettings({ userProfile, onSaved }) {
   const tenant = userProfile?.tenant;
-  const tenantId = tenant?._id || tenant?.id;
+  const [formData, setFormData] = useState({
+    name: tenant?.name || '',
+    timezone: tenant?.timezone || 'America/New_York',
+    dateFormat: tenant?.settings?.dateFormat || 'MM/DD/YYYY',
+  });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Keep a zone set elsewhere (e.g. at signup) selectable
+  const timezoneOptions = TIMEZONE_OPTIONS.some((tz) => tz.value === formData.timezone)
+    ? TIMEZONE_OPTIONS
+    : [{ value: formData.timezone, label: formData.timezone }, ...TIMEZONE_OPTIONS];
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      await tenantApi.update({
+        name: formData.name,
+        timezone: formData.timezone,
+        settings: { dateFormat: formData.dateFormat },
+      });
+      await onSaved?.();
+      setMessage({ type: 'success', text: 'Farm settings saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Failed to save farm settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
 
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-xl border border-gray-200 p-6">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Farm Information</h2>
 
-        <div className="space-y-4">
+        <form onSubmit={handleSave} className="space-y-4">
           <div>
             <label className="label">Farm Name</label>
             <input
               type="text"
-              defaultValue={tenant?.name || ''}
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
               className="input"
             />
           </div>
 
           <div className="grid md:grid-cols-2 gap-4">
             <div>
-              <label className="label">Timezone</label>
-              <select className="input">
-                <option value="America/Chicago">Central Time (CT)</option>
-                <option value="America/New_York">Eastern Time (ET)</option>
-                <option value="America/Denver">Mountain Time (MT)</option>
-                <option value="America/Los_Angeles">Pacific Time (PT)</option>
+              <label className="label flex items-center gap-1">
+                Timezone
+                <HelpTooltip content="Sets when each day starts on your farm: which tasks show as today's, when they come due, and the day boundaries in reports. Sites can override it." />
+              </label>
+              <select
+                value={formData.timezone}
+                onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+                className="input"
+              >
+                {timezoneOptions.map((tz) => (
+                  <option key={tz.value} value={tz.value}>{tz.label}</option>
+                ))}
               </select>
             </div>
             <div>
               <label className="label">Date Format</label>
-              <select className="input">
+              <select
+                value={formData.dateFormat}
+                onChange={(e) => setFormData({ ...formData, dateFormat: e.target.value })}
+                className="input"
+              >
                 <option value="MM/DD/YYYY">MM/DD/YYYY</option>
                 <option value="DD/MM/YYYY">DD/MM/YYYY</option>
                 <option value="YYYY-MM-DD">YYYY-MM-DD</option>
@@ -168,10 +210,18 @@ function FarmSettings({ userProfile }) {
             </div>
           </div>
 
+          {message && (
+            <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+              {message.text}
+            </p>
+          )}
+
           <div className="pt-4">
-            <button className="btn-primary">Save Changes</button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
           </div>
-        </div>
+        </form>
       </div>
     </div>
   );
@@ -0,0 +1,414 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { fixedAssetsApi } from '../../../services/api';
+import AccountingNav from '../../../components/accounting/AccountingNav';
+import { formatDate, toInputDate } from '../assets/registry/assetTypes';
+import {
+  categoryLabels,
+  statusColors,
+  statusLabels,
+  disposalMethods,
+  methodLabel,
+  formatCurrency,
+  formatPeriod,
+  annualTotals,
+} from './fixedAssetOptions';
+
+const sourcePath = (item) => {
+  if (item.sourceType === 'STRUCTURE') return null;
+  const paths = {
+    VEHICLE: 'vehicles',
+    EQUIPMENT: 'equipment',
+    INFRASTRUCTURE: 'infrastructure',
+    TOOL: 'tools',
+    OTHER: 'other',
+  };
+  return paths[item.category] ? `/app/assets/${paths[item.category]}/${item.sourceId}` : null;
+};
+
+export default function FixedAssetDetail() {
+  const { id } = useParams();
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showMonthly, setShowMonthly] = useState(false);
+  const [showDispose, setShowDispose] = useState(false);
+  const [disposal, setDisposal] = useState({
+    disposedAt: toInputDate(new Date()),
+    disposalMethod: 'SOLD',
+    proceeds: '',
+    paymentMethod: 'CASH',
+    notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [disposeError, setDisposeError] = useState(null);
+
+  const fetchDetail = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fixedAssetsApi.get(id);
+      setDetail(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchDetail();
+  }, [fetchDetail]);
+
+  const handleRun = async () => {
+    try {
+      const response = await fixedAssetsApi.runDepreciation({ fixedAssetId: id });
+      const failed = response.data.failed[0];
+      if (failed) alert('Depreciation posting failed: ' + failed.postingError);
+      fetchDetail();
+    } catch (err) {
+      alert(err.message || 'Failed to run depreciation');
+    }
+  };
+
+  const handleDispose = async () => {
+    try {
+      setSaving(true);
+      setDisposeError(null);
+      const proceeds = disposal.proceeds === '' ? 0 : parseFloat(disposal.proceeds);
+      const response = await fixedAssetsApi.dispose(id, {
+        disposedAt: disposal.disposedAt,
+        disposalMethod: disposal.disposalMethod,
+        proceeds,
+        paymentMethod: proceeds > 0 ? disposal.paymentMethod : null,
+        notes: disposal.notes || null,
+      });
+      if (response.data.posting?.posted === false) {
+        alert(
+          'Asset disposed, but the journal entry failed to post. Running depreciation will retry it: ' +
+            response.data.posting.postingError
+        );
+      }
+      setShowDispose(false);
+      fetchDetail();
+    } catch (err) {
+      setDisposeError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !detail) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  if (error || !detail) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+        <p className="text-red-600">{error || 'Fixed asset not found'}</p>
+        <Link to="/app/accounting/fixed-assets" className="mt-2 inline-block text-red-700 underline">
+          Back to Fixed Assets
+        </Link>
+      </div>
+    );
+  }
+
+  const { fixedAsset, schedule, entries } = detail;
+  const assetLink = sourcePath(fixedAsset);
+  const isDisposed = fixedAsset.status === 'DISPOSED';
+  const proceedsValue = disposal.proceeds === '' ? 0 : parseFloat(disposal.proceeds) || 0;
+
+  return (
+    <div>
+      <AccountingNav />
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-start justify-between">
+          <div>
+            <Link to="/app/accounting/fixed-assets" className="text-sm text-gray-500 hover:text-gray-700">
+              ← Fixed Assets
+            </Link>
+            <div className="flex items-center gap-3">
+              <h1 className="text-2xl font-bold text-gray-900">{fixedAsset.name}</h1>
+              <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[fixedAsset.status]}`}>
+                {statusLabels[fixedAsset.status] || fixedAsset.status}
+              </span>
+            </div>
+            <p className="text-gray-600">
+              {categoryLabels[fixedAsset.category] || fixedAsset.category} · {methodLabel(fixedAsset)} · placed in
+              service {formatDate(fixedAsset.placedInServiceAt)}
+              {assetLink && (
+                <>
+                  {' · '}
+                  <Link to={assetLink} className="text-primary-600 hover:text-primary-700">
+                    View asset
+                  </Link>
+                </>
+              )}
+            </p>
+          </div>
+          {!isDisposed && (
+            <div className="flex gap-3">
+              <Link to={`/app/accounting/fixed-assets/${id}/edit`} className="btn-secondary">
+                Edit
+              </Link>
+              {fixedAsset.status === 'ACTIVE' && (
+                <button onClick={handleRun} className="btn-secondary">
+                  Post to Date
+                </button>
+              )}
+              <button onClick={() => setShowDispose(true)} className="btn-primary">
+                Dispose
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-white rounded-xl border border-gray-200 p-4">
+            <p className="text-sm text-gray-500">Cost</p>
+            <p className="text-xl font-semibold text-gray-900">{formatCurrency(fixedAsset.cost)}</p>
+          </div>
+          <div className="bg-white rounded-xl border border-gray-200 p-4">
+            <p className="text-sm text-gray-500">Accumulated Depreciation</p>
+            <p className="text-xl font-semibold text-gray-900">{formatCurrency(fixedAsset.accumulatedDepreciation)}</p>
+          </div>
+          <div className="bg-white rounded-xl border border-gray-200 p-4">
+            <p className="text-sm text-gray-500">Book Value</p>
+            <p className="text-xl font-semibold text-gray-900">{formatCurrency(fixedAsset.bookValue)}</p>
+          </div>
+          <div className="bg-white rounded-xl border border-gray-200 p-4">
+            <p className="text-sm text-gray-500">Posted Through</p>
+            <p className="text-xl font-semibold text-gray-900">{formatPeriod(fixedAsset.lastDepreciatedPeriod)}</p>
+          </div>
+        </div>
+
+        {/* Disposal */}
+        {isDisposed && fixedAsset.disposal && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Disposal</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Date</p>
+                <p className="text-gray-900">{formatDate(fixedAsset.disposal.disposedAt)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Method</p>
+                <p className="text-gray-900">
+                  {disposalMethods.find((m) => m.value === fixedAsset.disposal.disposalMethod)?.label ||
+                    fixedAsset.disposal.disposalMethod}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Proceeds</p>
+                <p className="text-gray-900">{formatCurrency(fixedAsset.disposal.proceeds)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">{fixedAsset.disposal.gainLoss >= 0 ? 'Gain' : 'Loss'}</p>
+                <p className={fixedAsset.disposal.gainLoss >= 0 ? 'text-green-700' : 'text-red-700'}>
+                  {formatCurrency(Math.abs(fixedAsset.disposal.gainLoss))}
+                </p>
+              </div>
+            </div>
+            {fixedAsset.disposal.notes && <p className="mt-4 text-sm text-gray-600">{fixedAsset.disposal.notes}</p>}
+            {fixedAsset.disposal.postingStatus && fixedAsset.disposal.postingStatus !== 'POSTED' && (
+              <p className="mt-4 text-sm text-red-600" title={fixedAsset.disposal.postingError || undefined}>
+                The disposal entry hasn&apos;t posted yet.{' '}
+                <button onClick={handleRun} className="underline">
+                  Retry now
+                </button>
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="grid lg:grid-cols-2 gap-6">
+          {/* Schedule */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Schedule</h2>
+              <button onClick={() => setShowMonthly(!showMonthly)} className="text-sm text-primary-600 hover:text-primary-700">
+                {showMonthly ? 'By year' : 'By month'}
+              </button>
+            </div>
+            {schedule.summary.expensedInFirstYear > 0 && (
+              <p className="text-sm text-gray-500 mb-3">
+                Includes {formatCurrency(schedule.summary.expensedInFirstYear)} Section 179 / bonus in{' '}
+                {formatPeriod(schedule.summary.startPeriod)}
+              </p>
+            )}
+            <div className="max-h-96 overflow-y-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">{showMonthly ? 'Month' : 'Year'}</th>
+                    <th className="py-2 text-right">Depreciation</th>
+                    <th className="py-2 text-right">Book Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {showMonthly
+                    ? schedule.rows.map((row) => (
+                      <tr
+                        key={row.period}
+                        className={row.period <= (fixedAsset.lastDepreciatedPeriod || '') ? 'text-gray-400' : 'text-gray-900'}
+                      >
+                        <td className="py-2">{formatPeriod(row.period)}</td>
+                        <td className="py-2 text-right font-mono">{formatCurrency(row.amount)}</td>
+                        <td className="py-2 text-right font-mono">{formatCurrency(row.bookValue)}</td>
+                      </tr>
+                    ))
+                    : annualTotals(schedule.rows).map((row) => (
+                      <tr key={row.year} className="text-gray-900">
+                        <td className="py-2">{row.year}</td>
+                        <td className="py-2 text-right font-mono">{formatCurrency(row.amount)}</td>
+                        <td className="py-2 text-right font-mono">{formatCurrency(row.bookValue)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Posted entries */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Posted Depreciation</h2>
+            {fixedAsset.openingAccumulatedDepreciation > 0 && (
+              <p className="text-sm text-gray-500 mb-3">
+                {formatCurrency(fixedAsset.openingAccumulatedDepreciation)} booked before the asset joined the register
+              </p>
+            )}
+            {fixedAsset.openingPostingStatus !== 'POSTED' && (
+              <p className="text-sm text-red-600 mb-3" title={fixedAsset.openingPostingError || undefined}>
+                The opening entry for this asset hasn&apos;t posted yet. Running depreciation will retry it.
+              </p>
+            )}
+            {entries.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing posted yet.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Period</th>
+                    <th className="py-2 text-right">Amount</th>
+                    <th className="py-2 text-right">Accumulated</th>
+                    <th className="py-2 text-center">Posting</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="py-2 text-gray-900">{formatPeriod(entry.period)}</td>
+                      <td className="py-2 text-right font-mono">{formatCurrency(entry.amount)}</td>
+                      <td className="py-2 text-right font-mono">{formatCurrency(entry.accumulatedAfter)}</td>
+                      <td className="py-2 text-center">
+                        <span
+                          className={`px-2 py-0.5 text-xs rounded-full ${
+                            entry.postingStatus === 'POSTED'
+                              ? 'bg-green-100 text-green-700'
+                              : entry.postingStatus === 'FAILED'
+                                ? 'bg-red-100 text-red-700'
+                                : 'bg-yellow-100 text-yellow-700'
+                          }`}
+                          title={entry.postingError || undefined}
+                        >
+                          {entry.postingStatus}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Dispose Modal */}
+      {showDispose && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Dispose of {fixedAsset.name}</h2>
+            <p className="text-sm text-gray-500">
+              Depreciation is posted through the disposal month first, then cost and accumulated depreciation are
+              cleared against the proceeds.
+            </p>
+            {disposeError && <p className="text-sm text-red-600">{disposeError}</p>}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="label">Date</label>
+                <input
+                  type="date"
+                  value={disposal.disposedAt}
+                  onChange={(e) => setDisposal({ ...disposal, disposedAt: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Method</label>
+                <select
+                  value={disposal.disposalMethod}
+                  onChange={(e) => setDisposal({ ...disposal, disposalMethod: e.target.value })}
+                  className="input"
+                >
+                  {disposalMethods.map((method) => (
+                    <option key={method.value} value={method.value}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Proceeds</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={disposal.proceeds}
+                  onChange={(e) => setDisposal({ ...disposal, proceeds: e.target.value })}
+                  className="input"
+                />
+              </div>
+              {proceedsValue > 0 && (
+                <div>
+                  <label className="label">Received As</label>
+                  <select
+                    value={disposal.paymentMethod}
+                    onChange={(e) => setDisposal({ ...disposal, paymentMethod: e.target.value })}
+                    className="input"
+                  >
+                    <option value="CASH">Cash</option>
+                    <option value="CREDIT">On account (A/R)</option>
+                  </select>
+                </div>
+              )}
+            </div>
+            <input
+              type="text"
+              value={disposal.notes}
+              onChange={(e) => setDisposal({ ...disposal, notes: e.target.value })}
+              placeholder="Notes (buyer, trade-in dealer...)"
+              className="input"
+            />
+            <p className="text-sm text-gray-700">
+              Current book value {formatCurrency(fixedAsset.bookValue)}; estimated{' '}
+              {proceedsValue >= fixedAsset.bookValue ? 'gain' : 'loss'} of{' '}
+              {formatCurrency(Math.abs(proceedsValue - fixedAsset.bookValue))} before depreciation through the disposal month.
+            </p>
+            <div className="flex justify-end gap-3">
+              <button onClick={() => setShowDispose(false)} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+                Cancel
+              </button>
+              <button onClick={handleDispose} disabled={saving || !disposal.disposedAt} className="btn-primary">
+                {saving ? 'Posting...' : 'Dispose'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
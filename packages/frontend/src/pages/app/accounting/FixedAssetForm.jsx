@@ -0,0 +1,427 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { fixedAssetsApi, assetsApi, structuresApi } from '../../../services/api';
+import AccountingNav from '../../../components/accounting/AccountingNav';
+import { toInputDate } from '../assets/registry/assetTypes';
+import {
+  depreciationMethods,
+  macrsClasses,
+  categoryLabels,
+  formatCurrency,
+  annualTotals,
+} from './fixedAssetOptions';
+
+const DEPRECIABLE_TYPES = ['VEHICLE', 'EQUIPMENT', 'INFRASTRUCTURE', 'TOOL', 'OTHER'];
+
+const emptyForm = {
+  sourceType: 'ASSET',
+  sourceId: '',
+  cost: '',
+  placedInServiceAt: '',
+  method: 'STRAIGHT_LINE',
+  usefulLifeYears: '7',
+  salvageValue: '',
+  decliningBalanceRate: '200',
+  macrsClass: '7',
+  section179Amount: '',
+  bonusPercent: '',
+  openingAccumulatedDepreciation: '',
+  notes: '',
+};
+
+const numberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+export default function FixedAssetForm() {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const isEdit = Boolean(id);
+
+  const [form, setForm] = useState(emptyForm);
+  const [sources, setSources] = useState({ ASSET: [], STRUCTURE: [] });
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isEdit) return;
+
+    const fetchSources = async () => {
+      try {
+        const [assetsRes, structuresRes] = await Promise.all([
+          assetsApi.list({ status: 'ACTIVE', limit: 1000 }),
+          structuresApi.list(),
+        ]);
+        setSources({
+          ASSET: (assetsRes.data?.assets || []).filter((asset) => DEPRECIABLE_TYPES.includes(asset.assetType)),
+          STRUCTURE: structuresRes.data?.structures || [],
+        });
+      } catch (err) {
+        console.error('Error fetching assets:', err);
+      }
+    };
+    fetchSources();
+  }, [isEdit]);
+
+  useEffect(() => {
+    if (!isEdit) return;
+
+    const fetchFixedAsset = async () => {
+      try {
+        const response = await fixedAssetsApi.get(id);
+        const item = response.data.fixedAsset;
+        setForm({
+          sourceType: item.sourceType,
+          sourceId: item.sourceId,
+          cost: item.cost ?? '',
+          placedInServiceAt: toInputDate(item.placedInServiceAt),
+          method: item.method,
+          usefulLifeYears: item.usefulLifeYears ?? '7',
+          salvageValue: item.salvageValue || '',
+          decliningBalanceRate: String(item.decliningBalanceRate || 200),
+          macrsClass: String(item.macrsClass || 7),
+          section179Amount: item.section179Amount || '',
+          bonusPercent: item.bonusPercent || '',
+          openingAccumulatedDepreciation: item.openingAccumulatedDepreciation || '',
+          notes: item.notes || '',
+          name: item.name,
+          locked: Boolean(item.lastDepreciatedPeriod),
+          openingPosted: item.openingPostingStatus === 'POSTED',
+        });
+        setPreview(response.data.schedule);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchFixedAsset();
+  }, [id, isEdit]);
+
+  const handleSourceChange = (sourceId) => {
+    const source = sources[form.sourceType].find((item) => item.id === sourceId);
+    setForm({
+      ...form,
+      sourceId,
+      cost: source?.acquisitionCost ?? form.cost,
+      placedInServiceAt: toInputDate(source?.acquiredAt) || form.placedInServiceAt,
+      macrsClass: source?.assetType === 'VEHICLE' ? '5' : form.sourceType === 'STRUCTURE' ? '20' : form.macrsClass,
+    });
+    setPreview(null);
+  };
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setPreview(null);
+  };
+
+  const bookData = () => ({
+    cost: numberOrNull(form.cost),
+    placedInServiceAt: form.placedInServiceAt || null,
+    method: form.method,
+    usefulLifeYears: form.method === 'MACRS' ? null : numberOrNull(form.usefulLifeYears),
+    salvageValue: form.method === 'MACRS' ? null : numberOrNull(form.salvageValue),
+    decliningBalanceRate: form.method === 'DECLINING_BALANCE' ? parseInt(form.decliningBalanceRate, 10) : null,
+    macrsClass: form.method === 'MACRS' ? parseInt(form.macrsClass, 10) : null,
+    section179Amount: form.method === 'MACRS' ? numberOrNull(form.section179Amount) : null,
+    bonusPercent: form.method === 'MACRS' ? numberOrNull(form.bonusPercent) : null,
+    openingAccumulatedDepreciation: numberOrNull(form.openingAccumulatedDepreciation),
+  });
+
+  const handlePreview = async () => {
+    try {
+      setError(null);
+      const response = await fixedAssetsApi.preview(bookData());
+      setPreview(response.data.schedule);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      if (isEdit) {
+        const data = form.locked ? { notes: form.notes || null } : { ...bookData(), notes: form.notes || null };
+        await fixedAssetsApi.update(id, data);
+        navigate(`/app/accounting/fixed-assets/${id}`);
+      } else {
+        const response = await fixedAssetsApi.create({
+          sourceType: form.sourceType,
+          sourceId: form.sourceId,
+          ...bookData(),
+          notes: form.notes || null,
+        });
+        navigate(`/app/accounting/fixed-assets/${response.data.fixedAsset.id}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const locked = form.locked;
+
+  return (
+    <div>
+      <AccountingNav />
+      <div className="max-w-4xl space-y-6">
+        <div>
+          <Link to="/app/accounting/fixed-assets" className="text-sm text-gray-500 hover:text-gray-700">
+            ← Fixed Assets
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {isEdit ? `Edit ${form.name}` : 'Add to Fixed-Asset Register'}
+          </h1>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-600">{error}</div>
+        )}
+        {locked && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+            Depreciation has posted for this asset, so its schedule can no longer be changed.
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+          {!isEdit && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Register</label>
+                <select
+                  value={form.sourceType}
+                  onChange={(e) => setForm({ ...form, sourceType: e.target.value, sourceId: '' })}
+                  className="input"
+                >
+                  <option value="ASSET">Vehicle, equipment or other asset</option>
+                  <option value="STRUCTURE">Structure</option>
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="label">{form.sourceType === 'STRUCTURE' ? 'Structure' : 'Asset'} *</label>
+                <select
+                  value={form.sourceId}
+                  onChange={(e) => handleSourceChange(e.target.value)}
+                  className="input"
+                  required
+                >
+                  <option value="">Select...</option>
+                  {sources[form.sourceType].map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {item.name}
+                      {item.assetType ? ` (${categoryLabels[item.assetType] || item.assetType})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          <fieldset disabled={locked} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Cost Basis *</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.cost}
+                  onChange={(e) => update('cost', e.target.value)}
+                  className="input"
+                  disabled={form.openingPosted}
+                  required
+                />
+                {form.openingPosted && !locked && (
+                  <p className="text-xs text-gray-500 mt-1">Already on the books through the opening entry</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Placed in Service *</label>
+                <input
+                  type="date"
+                  value={form.placedInServiceAt}
+                  onChange={(e) => update('placedInServiceAt', e.target.value)}
+                  className="input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="label">Method</label>
+                <select value={form.method} onChange={(e) => update('method', e.target.value)} className="input">
+                  {depreciationMethods.map((method) => (
+                    <option key={method.value} value={method.value}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {form.method === 'MACRS' ? (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="label">Recovery Period</label>
+                  <select value={form.macrsClass} onChange={(e) => update('macrsClass', e.target.value)} className="input">
+                    {macrsClasses.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">Section 179 Expense</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.section179Amount}
+                    onChange={(e) => update('section179Amount', e.target.value)}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="label">Bonus Depreciation %</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={form.bonusPercent}
+                    onChange={(e) => update('bonusPercent', e.target.value)}
+                    className="input"
+                  />
+                </div>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="label">Useful Life (years)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="0.5"
+                    value={form.usefulLifeYears}
+                    onChange={(e) => update('usefulLifeYears', e.target.value)}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="label">Salvage Value</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.salvageValue}
+                    onChange={(e) => update('salvageValue', e.target.value)}
+                    className="input"
+                  />
+                </div>
+                {form.method === 'DECLINING_BALANCE' && (
+                  <div>
+                    <label className="label">Rate</label>
+                    <select
+                      value={form.decliningBalanceRate}
+                      onChange={(e) => update('decliningBalanceRate', e.target.value)}
+                      className="input"
+                    >
+                      <option value="200">200% (double declining)</option>
+                      <option value="150">150%</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Depreciation Already Booked</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.openingAccumulatedDepreciation}
+                  onChange={(e) => update('openingAccumulatedDepreciation', e.target.value)}
+                  className="input"
+                  disabled={form.openingPosted}
+                />
+                <p className="text-xs text-gray-500 mt-1">For assets already depreciated outside the register</p>
+              </div>
+            </div>
+          </fieldset>
+
+          <div>
+            <label className="label">Notes</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              className="input"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex justify-between">
+            {!locked ? (
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={!form.cost || !form.placedInServiceAt}
+                className="btn-secondary"
+              >
+                Preview Schedule
+              </button>
+            ) : (
+              <span />
+            )}
+            <div className="flex gap-3">
+              <Link to="/app/accounting/fixed-assets" className="px-4 py-2 text-gray-700 hover:text-gray-900">
+                Cancel
+              </Link>
+              <button type="submit" disabled={saving || (!isEdit && !form.sourceId)} className="btn-primary">
+                {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Add to Register'}
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {preview && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Schedule</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {formatCurrency(preview.summary.depreciable)} depreciated {preview.summary.startPeriod} to{' '}
+              {preview.summary.endPeriod}
+              {preview.summary.expensedInFirstYear > 0 &&
+                ` · ${formatCurrency(preview.summary.expensedInFirstYear)} Section 179 / bonus in the first month`}
+            </p>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">Year</th>
+                  <th className="py-2 text-right">Depreciation</th>
+                  <th className="py-2 text-right">Year-End Book Value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {annualTotals(preview.rows).map((row) => (
+                  <tr key={row.year}>
+                    <td className="py-2 text-gray-900">{row.year}</td>
+                    <td className="py-2 text-right font-mono">{formatCurrency(row.amount)}</td>
+                    <td className="py-2 text-right font-mono">{formatCurrency(row.bookValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { fixedAssetsApi } from '../../../services/api';
+import { HelpTooltip } from '../../../components/ui/Tooltip';
+import AccountingNav from '../../../components/accounting/AccountingNav';
+import {
+  categoryLabels,
+  statusColors,
+  statusLabels,
+  methodLabel,
+  formatCurrency,
+  formatPeriod,
+  currentPeriod,
+} from './fixedAssetOptions';
+
+export default function FixedAssets() {
+  const [fixedAssets, setFixedAssets] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filterStatus, setFilterStatus] = useState('');
+  const [period, setPeriod] = useState(currentPeriod());
+  const [running, setRunning] = useState(false);
+  const [runResult, setRunResult] = useState(null);
+
+  const fetchFixedAssets = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fixedAssetsApi.list(filterStatus ? { status: filterStatus } : {});
+      setFixedAssets(response.data?.fixedAssets || []);
+      setTotals(response.data?.totals || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterStatus]);
+
+  useEffect(() => {
+    fetchFixedAssets();
+  }, [fetchFixedAssets]);
+
+  const handleRun = async () => {
+    if (!confirm(`Post depreciation through ${formatPeriod(period)}?`)) return;
+
+    try {
+      setRunning(true);
+      const response = await fixedAssetsApi.runDepreciation({ period });
+      setRunResult(response.data);
+      fetchFixedAssets();
+    } catch (err) {
+      alert(err.message || 'Failed to run depreciation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div>
+      <AccountingNav />
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="flex items-center gap-2">
+              <h1 className="text-2xl font-bold text-gray-900">Fixed Assets</h1>
+              <HelpTooltip
+                content="Vehicles, equipment and structures you depreciate. The monthly run posts Depreciation (6900) against Accumulated Depreciation (1590)."
+                position="right"
+              />
+            </div>
+            <p className="text-gray-600">Depreciation schedules, monthly postings and disposals</p>
+          </div>
+          <Link to="/app/accounting/fixed-assets/new" className="btn-primary">
+            + Add to Register
+          </Link>
+        </div>
+
+        {/* Totals */}
+        {totals && (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <p className="text-sm text-gray-500">Cost</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatCurrency(totals.cost)}</p>
+            </div>
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <p className="text-sm text-gray-500">Accumulated Depreciation</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatCurrency(totals.accumulatedDepreciation)}</p>
+            </div>
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <p className="text-sm text-gray-500">Net Book Value</p>
+              <p className="text-2xl font-semibold text-gray-900">{formatCurrency(totals.bookValue)}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Depreciation run */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Depreciate Through</label>
+              <input
+                type="month"
+                value={period}
+                max={currentPeriod()}
+                onChange={(e) => setPeriod(e.target.value)}
+                className="input py-2"
+              />
+            </div>
+            <button onClick={handleRun} disabled={running || !period} className="btn-primary">
+              {running ? 'Posting...' : 'Run Depreciation'}
+            </button>
+            <div className="ml-auto">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+              <select
+                value={filterStatus}
+                onChange={(e) => setFilterStatus(e.target.value)}
+                className="input py-2 min-w-[150px]"
+              >
+                <option value="">All Statuses</option>
+                {Object.entries(statusLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {runResult && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm">
+              <p className="font-medium text-gray-900">
+                {formatPeriod(runResult.period)}: {formatCurrency(runResult.totalDepreciation)} across{' '}
+                {runResult.posted.length + runResult.failed.length} posting(s)
+                {runResult.skipped > 0 && `, ${runResult.skipped} already up to date`}
+              </p>
+              {runResult.failed.map((item) => (
+                <p key={`${item.fixedAssetId}-${item.period || item.kind || 'opening'}`} className="text-red-600">
+                  {item.name || item.fixedAssetId}
+                  {item.period
+                    ? ` (${formatPeriod(item.period)})`
+                    : item.kind === 'DISPOSAL'
+                      ? ' (disposal)'
+                      : ' (opening entry)'}
+                  : {item.postingError}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Register */}
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+            <p className="mt-2 text-gray-500">Loading fixed assets...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+            <p className="text-red-600">{error}</p>
+            <button onClick={fetchFixedAssets} className="mt-2 text-red-700 underline">
+              Try again
+            </button>
+          </div>
+        ) : fixedAssets.length === 0 ? (
+          <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No fixed assets found</h3>
+            <p className="text-gray-500 mb-4">
+              {filterStatus ? 'Try adjusting your filters' : 'Add a vehicle, piece of equipment or structure to start depreciating it'}
+            </p>
+            <Link to="/app/accounting/fixed-assets/new" className="btn-primary">
+              + Add to Register
+            </Link>
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Asset</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Accum. Depr.</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Book Value</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Posted Through</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {fixedAssets.map((item) => (
+                  <tr key={item.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <Link
+                        to={`/app/accounting/fixed-assets/${item.id}`}
+                        className="font-medium text-primary-600 hover:text-primary-700"
+                      >
+                        {item.name}
+                      </Link>
+                      <p className="text-xs text-gray-500">{categoryLabels[item.category] || item.category}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{methodLabel(item)}</td>
+                    <td className="px-6 py-4 text-right font-mono text-sm">{formatCurrency(item.cost)}</td>
+                    <td className="px-6 py-4 text-right font-mono text-sm">{formatCurrency(item.accumulatedDepreciation)}</td>
+                    <td className="px-6 py-4 text-right font-mono text-sm">{formatCurrency(item.bookValue)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{formatPeriod(item.lastDepreciatedPeriod)}</td>
+                    <td className="px-6 py-4 text-center">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[item.status]}`}>
+                        {statusLabels[item.status] || item.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { accountingApi } from '../../../services/api';
 import { HelpTooltip } from '../../../components/ui/Tooltip';
+import { AttachmentsPanel } from '../../../components/attachments';
 
 const statusColors = {
   DRAFT: 'bg-yellow-100 text-yellow-700',
@@ -337,6 +338,8 @@ export default function JournalEntryDetail() {
           )}
         </div>
       </div>
+
+      <AttachmentsPanel entityType="JOURNAL_ENTRY" entityId={id} title="Supporting Documents" />
     </div>
   );
 }
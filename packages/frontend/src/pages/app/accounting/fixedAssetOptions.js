@@ -0,0 +1,74 @@
+// Shared options and formatting for the fixed-asset register pages
+
+export const depreciationMethods = [
+  { value: 'STRAIGHT_LINE', label: 'Straight-Line' },
+  { value: 'DECLINING_BALANCE', label: 'Declining Balance' },
+  { value: 'MACRS', label: 'MACRS (tax)' },
+];
+
+export const macrsClasses = [
+  { value: 3, label: '3-year' },
+  { value: 5, label: '5-year (vehicles, computers)' },
+  { value: 7, label: '7-year (farm machinery & equipment)' },
+  { value: 10, label: '10-year (single-purpose ag structures)' },
+  { value: 15, label: '15-year (fences, drainage, land improvements)' },
+  { value: 20, label: '20-year (farm buildings)' },
+];
+
+export const disposalMethods = [
+  { value: 'SOLD', label: 'Sold' },
+  { value: 'TRADED_IN', label: 'Traded In' },
+  { value: 'SCRAPPED', label: 'Scrapped' },
+  { value: 'LOST', label: 'Lost / Stolen' },
+];
+
+export const categoryLabels = {
+  VEHICLE: 'Vehicle',
+  EQUIPMENT: 'Equipment',
+  INFRASTRUCTURE: 'Infrastructure',
+  TOOL: 'Tool',
+  OTHER: 'Other',
+  STRUCTURE: 'Structure',
+};
+
+export const statusColors = {
+  ACTIVE: 'bg-green-100 text-green-700',
+  FULLY_DEPRECIATED: 'bg-gray-100 text-gray-700',
+  DISPOSED: 'bg-red-100 text-red-700',
+};
+
+export const statusLabels = {
+  ACTIVE: 'Depreciating',
+  FULLY_DEPRECIATED: 'Fully Depreciated',
+  DISPOSED: 'Disposed',
+};
+
+export const methodLabel = (asset) => {
+  if (asset.method === 'MACRS') return `MACRS ${asset.macrsClass}-yr`;
+  if (asset.method === 'DECLINING_BALANCE') return `${asset.decliningBalanceRate}% DB, ${asset.usefulLifeYears} yr`;
+  return `Straight-line, ${asset.usefulLifeYears} yr`;
+};
+
+// Schedule rows rolled up to one line per calendar year
+export const annualTotals = (rows) =>
+  Object.values(
+    rows.reduce((years, row) => {
+      const year = row.period.slice(0, 4);
+      years[year] = { year, amount: (years[year]?.amount || 0) + row.amount, bookValue: row.bookValue };
+      return years;
+    }, {})
+  );
+
+export const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+export const formatPeriod = (period) => {
+  if (!period) return '-';
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+export const currentPeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
@@ -13,3 +13,6 @@ export { default as Inquiry } from './Inquiry';
 export { default as JournalEntries } from './JournalEntries';
 export { default as JournalEntryForm } from './JournalEntryForm';
 export { default as JournalEntryDetail } from './JournalEntryDetail';
+export { default as FixedAssets } from './FixedAssets';
+export { default as FixedAssetForm } from './FixedAssetForm';
+export { default as FixedAssetDetail } from './FixedAssetDetail';
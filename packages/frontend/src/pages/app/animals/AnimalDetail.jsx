@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { animalsApi, sitesApi } from '../../../services/api';
+import { PedigreeTree } from '../../../components/animals';
+import { AttachmentsPanel } from '../../../components/attachments';
 
 const speciesIcons = {
   // Large livestock
@@ -35,19 +37,106 @@ const statusColors = {
   culled: 'bg-red-100 text-red-700',
 };
 
+const healthTypeColors = {
+  TREATMENT: 'bg-orange-100 text-orange-700',
+  VACCINATION: 'bg-blue-100 text-blue-700',
+  DIAGNOSIS: 'bg-purple-100 text-purple-700',
+};
+
+const breedingStatusColors = {
+  BRED: 'bg-blue-100 text-blue-700',
+  PREGNANT: 'bg-green-100 text-green-700',
+  OPEN: 'bg-gray-100 text-gray-700',
+  BIRTHED: 'bg-purple-100 text-purple-700',
+  LOST: 'bg-red-100 text-red-700',
+};
+
+const mortalityCauses = [
+  { value: 'DISEASE', label: 'Disease' },
+  { value: 'INJURY', label: 'Injury' },
+  { value: 'PREDATION', label: 'Predation' },
+  { value: 'BIRTHING', label: 'Birthing' },
+  { value: 'WEATHER', label: 'Weather' },
+  { value: 'POISONING', label: 'Poisoning' },
+  { value: 'AGE', label: 'Age' },
+  { value: 'POOR_PERFORMANCE', label: 'Poor performance' },
+  { value: 'INFERTILITY', label: 'Infertility' },
+  { value: 'UNKNOWN', label: 'Unknown' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+const disposalMethods = [
+  { value: 'RENDERING', label: 'Rendering' },
+  { value: 'BURIAL', label: 'Burial' },
+  { value: 'COMPOSTING', label: 'Composting' },
+  { value: 'INCINERATION', label: 'Incineration' },
+  { value: 'SLAUGHTER', label: 'Slaughter' },
+  { value: 'SOLD_FOR_SALVAGE', label: 'Sold for salvage' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+const emptyStatusForm = {
+  status: '',
+  reason: '',
+  cause: 'UNKNOWN',
+  disposalMethod: 'RENDERING',
+  date: '',
+};
+
+const emptyBreedingForm = {
+  method: 'NATURAL',
+  sireId: '',
+  serviceDate: '',
+  exposureEndDate: '',
+  sireDescription: '',
+  technician: '',
+  result: 'PREGNANT',
+  checkMethod: '',
+  fetalAgeDays: '',
+  birthDate: '',
+  offspring: [{ tagNumber: '', gender: 'unknown' }],
+  notes: '',
+};
+
+const emptyHealthForm = {
+  type: 'TREATMENT',
+  administeredAt: '',
+  diagnosis: '',
+  productName: '',
+  doseAmount: '',
+  doseUnit: 'mL',
+  route: '',
+  meatWithdrawalDays: '',
+  milkWithdrawalDays: '',
+  veterinarian: '',
+  notes: '',
+};
+
 export default function AnimalDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const [animal, setAnimal] = useState(null);
   const [site, setSite] = useState(null);
   const [group, setGroup] = useState(null);
-  const [sire, setSire] = useState(null);
-  const [dam, setDam] = useState(null);
+  const [pedigree, setPedigree] = useState(null);
+  const [weights, setWeights] = useState({ history: [], summary: null });
+  const [weightForm, setWeightForm] = useState({ weight: '', unit: 'lbs', weighedAt: '' });
+  const [offspring, setOffspring] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showStatusModal, setShowStatusModal] = useState(false);
-  const [statusForm, setStatusForm] = useState({ status: '', reason: '' });
+  const [statusForm, setStatusForm] = useState(emptyStatusForm);
   const [actionLoading, setActionLoading] = useState(false);
+  const [healthRecords, setHealthRecords] = useState([]);
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [showHealthModal, setShowHealthModal] = useState(false);
+  const [healthForm, setHealthForm] = useState(emptyHealthForm);
+  const [breedingRecords, setBreedingRecords] = useState([]);
+  // { mode: 'breed' | 'check' | 'birth', recordId }
+  const [breedingModal, setBreedingModal] = useState(null);
+  const [breedingForm, setBreedingForm] = useState(emptyBreedingForm);
+  const [candidateSires, setCandidateSires] = useState([]);
+  const [inbreeding, setInbreeding] = useState(null);
 
   useEffect(() => {
     fetchAnimal();
@@ -64,8 +153,6 @@ export default function AnimalDetail() {
       // Fetch site and group names if we have IDs
       const siteId = animalData?.siteId?.id || (typeof animalData?.siteId === 'string' ? animalData.siteId : null);
       const groupId = animalData?.groupId?.id || (typeof animalData?.groupId === 'string' ? animalData.groupId : null);
-      const sireId = animalData?.sireId?.id || (typeof animalData?.sireId === 'string' ? animalData.sireId : null);
-      const damId = animalData?.damId?.id || (typeof animalData?.damId === 'string' ? animalData.damId : null);
 
       // Fetch related data in parallel
       const promises = [];
@@ -83,20 +170,37 @@ export default function AnimalDetail() {
             .catch(() => setGroup(null))
         );
       }
-      if (sireId) {
-        promises.push(
-          animalsApi.get(sireId)
-            .then(res => setSire(res.data?.animal || res.animal || res.data))
-            .catch(() => setSire(null))
-        );
-      }
-      if (damId) {
-        promises.push(
-          animalsApi.get(damId)
-            .then(res => setDam(res.data?.animal || res.animal || res.data))
-            .catch(() => setDam(null))
-        );
-      }
+      promises.push(
+        animalsApi.getWeights(id)
+          .then(res => setWeights({ history: res.data?.history || [], summary: res.data?.summary || null }))
+          .catch(() => setWeights({ history: [], summary: null }))
+      );
+      promises.push(
+        animalsApi.getPedigree(id, { generations: 3 })
+          .then(res => setPedigree(res.data?.pedigree || null))
+          .catch(() => setPedigree(null))
+      );
+      promises.push(
+        animalsApi.getDescendants(id, { generations: 1 })
+          .then(res => setOffspring(res.data?.descendants?.offspring || []))
+          .catch(() => setOffspring([]))
+      );
+      promises.push(
+        animalsApi.getAnimalHealth(id)
+          .then(res => {
+            setHealthRecords(res.data?.records || []);
+            setWithdrawals(res.data?.withdrawals || []);
+          })
+          .catch(() => {
+            setHealthRecords([]);
+            setWithdrawals([]);
+          })
+      );
+      promises.push(
+        animalsApi.getAnimalBreeding(id)
+          .then(res => setBreedingRecords(res.data?.records || []))
+          .catch(() => setBreedingRecords([]))
+      );
       await Promise.all(promises);
     } catch (err) {
       setError(err.message);
@@ -105,13 +209,30 @@ export default function AnimalDetail() {
     }
   };
 
+  const isMortalityStatus = ['deceased', 'culled'].includes(statusForm.status);
+
   const handleStatusChange = async () => {
     if (!statusForm.status) return;
 
     setActionLoading(true);
     try {
-      await animalsApi.updateStatus(id, statusForm);
+      if (isMortalityStatus) {
+        // Deaths and culls write the animal's cost basis off to death loss
+        const res = await animalsApi.recordMortality(id, {
+          type: statusForm.status,
+          cause: statusForm.cause,
+          causeDetail: statusForm.reason || undefined,
+          disposalMethod: statusForm.disposalMethod,
+          date: statusForm.date || undefined,
+        });
+        if (res.data?.processing && !res.data.processing.success) {
+          alert('Status updated, but the cost write-off failed to post: ' + res.data.processing.error);
+        }
+      } else {
+        await animalsApi.updateStatus(id, { status: statusForm.status, reason: statusForm.reason });
+      }
       setShowStatusModal(false);
+      setStatusForm(emptyStatusForm);
       fetchAnimal();
     } catch (err) {
       alert('Failed to update status: ' + err.message);
@@ -120,6 +241,132 @@ export default function AnimalDetail() {
     }
   };
 
+  const handleRecordHealth = async () => {
+    setActionLoading(true);
+    try {
+      await animalsApi.createHealthRecord({
+        type: healthForm.type,
+        animalIds: [id],
+        siteId: animal.siteId?.id || (typeof animal.siteId === 'string' ? animal.siteId : undefined),
+        administeredAt: healthForm.administeredAt || undefined,
+        diagnosis: healthForm.diagnosis || undefined,
+        productName: healthForm.productName || undefined,
+        dose: healthForm.doseAmount
+          ? { amount: parseFloat(healthForm.doseAmount), unit: healthForm.doseUnit }
+          : undefined,
+        route: healthForm.route || undefined,
+        meatWithdrawalDays: healthForm.meatWithdrawalDays !== ''
+          ? parseFloat(healthForm.meatWithdrawalDays)
+          : undefined,
+        milkWithdrawalDays: healthForm.milkWithdrawalDays !== ''
+          ? parseFloat(healthForm.milkWithdrawalDays)
+          : undefined,
+        veterinarian: healthForm.veterinarian || undefined,
+        notes: healthForm.notes || undefined,
+      });
+      setShowHealthModal(false);
+      setHealthForm(emptyHealthForm);
+      fetchAnimal();
+    } catch (err) {
+      alert('Failed to record health event: ' + err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRecordWeight = async (e) => {
+    e.preventDefault();
+    if (!weightForm.weight) return;
+
+    setActionLoading(true);
+    try {
+      await animalsApi.recordWeight(id, {
+        weight: parseFloat(weightForm.weight),
+        unit: weightForm.unit,
+        weighedAt: weightForm.weighedAt || undefined,
+      });
+      setWeightForm({ ...weightForm, weight: '', weighedAt: '' });
+      fetchAnimal();
+    } catch (err) {
+      alert('Failed to record weight: ' + err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const openBreedingModal = (mode, recordId = null) => {
+    setBreedingForm(emptyBreedingForm);
+    setInbreeding(null);
+    setBreedingModal({ mode, recordId });
+
+    if (mode === 'breed') {
+      animalsApi.list({ species: animal.species, limit: 500 })
+        .then(res => {
+          const animals = res.data?.animals || res.animals || [];
+          setCandidateSires(animals.filter((a) => a.gender === 'male'));
+        })
+        .catch(() => setCandidateSires([]));
+    }
+  };
+
+  const handleSireChange = async (sireId) => {
+    setBreedingForm({ ...breedingForm, sireId });
+    setInbreeding(null);
+    if (!sireId) return;
+
+    try {
+      const res = await animalsApi.getInbreeding({ sireId, damId: id });
+      setInbreeding(res.data);
+    } catch {
+      setInbreeding(null);
+    }
+  };
+
+  const updateOffspring = (index, field, value) => {
+    setBreedingForm({
+      ...breedingForm,
+      offspring: breedingForm.offspring.map((o, i) => (i === index ? { ...o, [field]: value } : o)),
+    });
+  };
+
+  const handleBreedingSubmit = async () => {
+    const { mode, recordId } = breedingModal;
+    setActionLoading(true);
+    try {
+      if (mode === 'breed') {
+        await animalsApi.createBreedingRecord({
+          damId: id,
+          method: breedingForm.method,
+          serviceDate: breedingForm.serviceDate || undefined,
+          exposureEndDate: breedingForm.exposureEndDate || undefined,
+          sireId: breedingForm.sireId || undefined,
+          sireDescription: breedingForm.sireDescription || undefined,
+          technician: breedingForm.technician || undefined,
+          notes: breedingForm.notes || undefined,
+        });
+      } else if (mode === 'check') {
+        await animalsApi.recordPregnancyCheck(recordId, {
+          result: breedingForm.result,
+          method: breedingForm.checkMethod || undefined,
+          fetalAgeDays: breedingForm.fetalAgeDays !== '' ? parseInt(breedingForm.fetalAgeDays) : undefined,
+          notes: breedingForm.notes || undefined,
+        });
+      } else if (mode === 'birth') {
+        await animalsApi.recordBirth(recordId, {
+          birthDate: breedingForm.birthDate || undefined,
+          offspring: breedingForm.offspring.filter((o) => o.tagNumber),
+          notes: breedingForm.notes || undefined,
+        });
+      }
+      setBreedingModal(null);
+      fetchAnimal();
+    } catch (err) {
+      alert('Failed to save breeding record: ' + err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!confirm('Remove this animal from the system?')) return;
 
@@ -252,6 +499,22 @@ export default function AnimalDetail() {
         </div>
       </div>
 
+      {/* Withdrawal Warning */}
+      {withdrawals.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+          <p className="font-medium text-amber-800">In withdrawal - do not sell or ship for slaughter</p>
+          <ul className="mt-1 text-sm text-amber-700 space-y-1">
+            {withdrawals.map((w) => (
+              <li key={w.recordId}>
+                {w.productName || 'Treatment'}
+                {w.meatWithdrawalEndDate && ` - meat clear ${formatDate(w.meatWithdrawalEndDate)}`}
+                {w.milkWithdrawalEndDate && ` - milk clear ${formatDate(w.milkWithdrawalEndDate)}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="grid lg:grid-cols-3 gap-6">
         {/* Main Info */}
         <div className="lg:col-span-2 space-y-6">
@@ -374,6 +637,294 @@ export default function AnimalDetail() {
             </div>
           )}
 
+          {/* Mortality */}
+          {animal.mortality && (
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                {animal.mortality.type === 'culled' ? 'Cull' : 'Death'} Record
+              </h2>
+              <dl className="grid sm:grid-cols-2 gap-4">
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Date</dt>
+                  <dd className="mt-1 text-gray-900">{formatDate(animal.mortality.date)}</dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Cause</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {mortalityCauses.find((c) => c.value === animal.mortality.cause)?.label || animal.mortality.cause}
+                    {animal.mortality.causeDetail && ` - ${animal.mortality.causeDetail}`}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Disposal</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {disposalMethods.find((m) => m.value === animal.mortality.disposalMethod)?.label || '-'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Cost Written Off</dt>
+                  <dd className="mt-1 text-gray-900">
+                    ${(animal.mortality.costWrittenOff || 0).toLocaleString()}
+                  </dd>
+                </div>
+              </dl>
+            </div>
+          )}
+
+          {/* Weight History */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Weight History</h2>
+            {weights.summary?.weighInCount > 0 && (
+              <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Latest</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {weights.summary.latestWeight.value} {weights.summary.latestWeight.unit}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Recent ADG</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {weights.summary.latestAdg != null
+                      ? `${weights.summary.latestAdg.toFixed(2)} ${weights.summary.unit}/day`
+                      : '-'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Lifetime ADG</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {weights.summary.lifetimeAdg != null
+                      ? `${weights.summary.lifetimeAdg.toFixed(2)} ${weights.summary.unit}/day`
+                      : '-'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Wt / Day of Age</dt>
+                  <dd className="mt-1 text-gray-900">
+                    {weights.summary.weightPerDayOfAge != null
+                      ? `${weights.summary.weightPerDayOfAge.toFixed(2)} ${weights.summary.unit}`
+                      : '-'}
+                  </dd>
+                </div>
+              </dl>
+            )}
+            {weights.history.length > 0 ? (
+              <table className="min-w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 font-medium">Date</th>
+                    <th className="py-1 font-medium text-right">Weight</th>
+                    <th className="py-1 font-medium text-right">ADG</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {[...weights.history].reverse().map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="py-1 text-gray-700">{formatDate(entry.weighedAt)}</td>
+                      <td className="py-1 text-right text-gray-900">{entry.weight} {entry.unit}</td>
+                      <td className="py-1 text-right text-gray-700">
+                        {entry.adgSincePrevious != null ? entry.adgSincePrevious.toFixed(2) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-gray-500 mb-4">No weigh-ins recorded.</p>
+            )}
+            {animal.status === 'active' && (
+              <form onSubmit={handleRecordWeight} className="flex flex-wrap gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={weightForm.weight}
+                  onChange={(e) => setWeightForm({ ...weightForm, weight: e.target.value })}
+                  className="input flex-1 min-w-[100px]"
+                  placeholder="Weight"
+                />
+                <select
+                  value={weightForm.unit}
+                  onChange={(e) => setWeightForm({ ...weightForm, unit: e.target.value })}
+                  className="input w-24"
+                >
+                  <option value="lbs">lbs</option>
+                  <option value="kg">kg</option>
+                </select>
+                <input
+                  type="date"
+                  value={weightForm.weighedAt}
+                  onChange={(e) => setWeightForm({ ...weightForm, weighedAt: e.target.value })}
+                  className="input w-40"
+                />
+                <button
+                  type="submit"
+                  disabled={!weightForm.weight || actionLoading}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+                >
+                  Record
+                </button>
+              </form>
+            )}
+          </div>
+
+          {/* Pedigree */}
+          {pedigree && (pedigree.sire || pedigree.dam || offspring.length > 0) && (
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Pedigree</h2>
+              {(pedigree.sire || pedigree.dam) ? (
+                <PedigreeTree pedigree={pedigree} generations={3} />
+              ) : (
+                <p className="text-sm text-gray-500">Parents not recorded.</p>
+              )}
+              {offspring.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-sm font-medium text-gray-500 mb-2">Offspring ({offspring.length})</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {offspring.map((child) => (
+                      <Link
+                        key={child.id}
+                        to={`/app/assets/animals/${child.id}`}
+                        className="px-3 py-1 border border-gray-200 rounded-lg text-sm text-red-600 hover:bg-gray-50"
+                      >
+                        {child.tagNumber}
+                        {child.name && ` (${child.name})`}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Health History */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Health History</h2>
+              {animal.status === 'active' && (
+                <button
+                  onClick={() => setShowHealthModal(true)}
+                  className="text-sm text-red-600 hover:text-red-700 font-medium"
+                >
+                  + Record
+                </button>
+              )}
+            </div>
+            {healthRecords.length === 0 ? (
+              <p className="text-sm text-gray-500">No treatments, vaccinations or diagnoses recorded.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {healthRecords.map((record) => (
+                  <li key={record.id} className="py-3">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2">
+                        <span
+                          className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full capitalize ${
+                            healthTypeColors[record.type] || 'bg-gray-100 text-gray-700'
+                          }`}
+                        >
+                          {record.type?.toLowerCase()}
+                        </span>
+                        <span className="font-medium text-gray-900">
+                          {record.productName || record.diagnosis || 'Health event'}
+                        </span>
+                      </div>
+                      <span className="text-sm text-gray-500">{formatDate(record.administeredAt)}</span>
+                    </div>
+                    <div className="mt-1 text-sm text-gray-600 space-x-3">
+                      {record.dose && (
+                        <span>
+                          {record.dose.amount} {record.dose.unit}
+                          {record.route && ` ${record.route.replace('_', ' ')}`}
+                        </span>
+                      )}
+                      {record.diagnosis && record.productName && <span>Dx: {record.diagnosis}</span>}
+                      {record.meatWithdrawalEndDate && (
+                        <span>Meat WD until {formatDate(record.meatWithdrawalEndDate)}</span>
+                      )}
+                      {record.milkWithdrawalEndDate && (
+                        <span>Milk WD until {formatDate(record.milkWithdrawalEndDate)}</span>
+                      )}
+                    </div>
+                    {record.notes && <p className="mt-1 text-sm text-gray-500">{record.notes}</p>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Breeding */}
+          {(animal.gender === 'female' || breedingRecords.length > 0) && (
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Breeding</h2>
+                {animal.gender === 'female' && animal.status === 'active' && (
+                  <button
+                    onClick={() => openBreedingModal('breed')}
+                    className="text-sm text-red-600 hover:text-red-700 font-medium"
+                  >
+                    + Record Breeding
+                  </button>
+                )}
+              </div>
+              {breedingRecords.length === 0 ? (
+                <p className="text-sm text-gray-500">No breeding records.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {breedingRecords.map((record) => (
+                    <li key={record.id} className="py-3">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                          <span
+                            className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+                              breedingStatusColors[record.status] || 'bg-gray-100 text-gray-700'
+                            }`}
+                          >
+                            {record.status}
+                          </span>
+                          <span className="font-medium text-gray-900">
+                            {record.method === 'AI' ? 'AI' : record.method === 'EMBRYO_TRANSFER' ? 'Embryo transfer' : 'Exposure'}
+                            {(record.sireTagNumber || record.sireDescription) &&
+                              ` to ${record.sireTagNumber || record.sireDescription}`}
+                          </span>
+                        </div>
+                        <span className="text-sm text-gray-500">{formatDate(record.serviceDate)}</span>
+                      </div>
+                      <div className="mt-1 text-sm text-gray-600 space-x-3">
+                        {record.expectedBirthDate && (
+                          <span>
+                            Due {formatDate(record.expectedBirthDate)}
+                            {record.expectedBirthWindowEnd && ` - ${formatDate(record.expectedBirthWindowEnd)}`}
+                          </span>
+                        )}
+                        {record.birthDate && <span>Born {formatDate(record.birthDate)}</span>}
+                        {record.offspringIds?.length > 0 && (
+                          <span>{record.offspringIds.length} offspring</span>
+                        )}
+                      </div>
+                      {['BRED', 'PREGNANT'].includes(record.status) && record.damId === id && (
+                        <div className="mt-2 flex gap-3 text-sm">
+                          <button
+                            onClick={() => openBreedingModal('check', record.id)}
+                            className="text-red-600 hover:text-red-700 font-medium"
+                          >
+                            Pregnancy Check
+                          </button>
+                          <button
+                            onClick={() => openBreedingModal('birth', record.id)}
+                            className="text-red-600 hover:text-red-700 font-medium"
+                          >
+                            Record Birth
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Notes */}
           {animal.notes && (
             <div className="bg-white rounded-xl border border-gray-200 p-6">
@@ -381,6 +932,8 @@ export default function AnimalDetail() {
               <p className="text-gray-700 whitespace-pre-wrap">{animal.notes}</p>
             </div>
           )}
+
+          <AttachmentsPanel entityType="ANIMAL" entityId={id} title="Documents & Photos" />
         </div>
 
         {/* Sidebar */}
@@ -410,43 +963,6 @@ export default function AnimalDetail() {
             </div>
           </div>
 
-          {/* Lineage */}
-          {(sire || dam) && (
-            <div className="bg-white rounded-xl border border-gray-200 p-6">
-              <h3 className="font-semibold text-gray-900 mb-4">Lineage</h3>
-              <dl className="space-y-3">
-                {sire && (
-                  <div>
-                    <dt className="text-xs font-medium text-gray-500 uppercase">Sire (Father)</dt>
-                    <dd className="mt-1">
-                      <Link
-                        to={`/app/assets/animals/${sire.id}`}
-                        className="text-red-600 hover:text-red-700 font-medium"
-                      >
-                        {sire.tagNumber}
-                        {sire.name && ` (${sire.name})`}
-                      </Link>
-                    </dd>
-                  </div>
-                )}
-                {dam && (
-                  <div>
-                    <dt className="text-xs font-medium text-gray-500 uppercase">Dam (Mother)</dt>
-                    <dd className="mt-1">
-                      <Link
-                        to={`/app/assets/animals/${dam.id}`}
-                        className="text-red-600 hover:text-red-700 font-medium"
-                      >
-                        {dam.tagNumber}
-                        {dam.name && ` (${dam.name})`}
-                      </Link>
-                    </dd>
-                  </div>
-                )}
-              </dl>
-            </div>
-          )}
-
           {/* Metadata */}
           <div className="bg-white rounded-xl border border-gray-200 p-6">
             <h3 className="font-semibold text-gray-900 mb-4">Record Info</h3>
@@ -485,6 +1001,395 @@ export default function AnimalDetail() {
         </div>
       </div>
 
+      {/* Breeding Modal */}
+      {breedingModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {breedingModal.mode === 'breed' && 'Record Breeding'}
+              {breedingModal.mode === 'check' && 'Pregnancy Check'}
+              {breedingModal.mode === 'birth' && 'Record Birth'}
+            </h3>
+
+            <div className="space-y-4">
+              {breedingModal.mode === 'breed' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                    <select
+                      value={breedingForm.method}
+                      onChange={(e) => setBreedingForm({ ...breedingForm, method: e.target.value })}
+                      className="input"
+                    >
+                      <option value="NATURAL">Natural exposure</option>
+                      <option value="AI">Artificial insemination</option>
+                      <option value="EMBRYO_TRANSFER">Embryo transfer</option>
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {breedingForm.method === 'NATURAL' ? 'Exposure Start' : 'Service Date'}
+                      </label>
+                      <input
+                        type="date"
+                        value={breedingForm.serviceDate}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, serviceDate: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    {breedingForm.method === 'NATURAL' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Exposure End</label>
+                        <input
+                          type="date"
+                          value={breedingForm.exposureEndDate}
+                          onChange={(e) => setBreedingForm({ ...breedingForm, exposureEndDate: e.target.value })}
+                          className="input"
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Sire</label>
+                    <select
+                      value={breedingForm.sireId}
+                      onChange={(e) => handleSireChange(e.target.value)}
+                      className="input"
+                    >
+                      <option value="">Outside sire / not on farm</option>
+                      {candidateSires.map((s) => (
+                        <option key={s.id} value={s.id}>
+                          {s.tagNumber}{s.name ? ` (${s.name})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {inbreeding && (
+                      <p
+                        className={`mt-1 text-sm ${
+                          inbreeding.coefficient >= 0.0625 ? 'text-amber-700' : 'text-gray-500'
+                        }`}
+                      >
+                        Offspring inbreeding: {inbreeding.percent}%
+                        {inbreeding.commonAncestors?.length > 0 &&
+                          ` - common ancestors: ${inbreeding.commonAncestors.map((a) => a.tagNumber).join(', ')}`}
+                      </p>
+                    )}
+                  </div>
+                  {!breedingForm.sireId && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Sire Description</label>
+                      <input
+                        type="text"
+                        value={breedingForm.sireDescription}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, sireDescription: e.target.value })}
+                        className="input"
+                        placeholder="Bull name, AI sire code..."
+                      />
+                    </div>
+                  )}
+                  {breedingForm.method !== 'NATURAL' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Technician</label>
+                      <input
+                        type="text"
+                        value={breedingForm.technician}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, technician: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              {breedingModal.mode === 'check' && (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Result</label>
+                      <select
+                        value={breedingForm.result}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, result: e.target.value })}
+                        className="input"
+                      >
+                        <option value="PREGNANT">Pregnant</option>
+                        <option value="OPEN">Open</option>
+                        <option value="RECHECK">Recheck</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                      <select
+                        value={breedingForm.checkMethod}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, checkMethod: e.target.value })}
+                        className="input"
+                      >
+                        <option value="">-</option>
+                        <option value="PALPATION">Palpation</option>
+                        <option value="ULTRASOUND">Ultrasound</option>
+                        <option value="BLOOD_TEST">Blood test</option>
+                        <option value="OBSERVATION">Observation</option>
+                      </select>
+                    </div>
+                  </div>
+                  {breedingForm.result === 'PREGNANT' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Fetal Age (days)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={breedingForm.fetalAgeDays}
+                        onChange={(e) => setBreedingForm({ ...breedingForm, fetalAgeDays: e.target.value })}
+                        className="input"
+                        placeholder="Optional - refines the due date"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              {breedingModal.mode === 'birth' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Birth Date</label>
+                    <input
+                      type="date"
+                      value={breedingForm.birthDate}
+                      onChange={(e) => setBreedingForm({ ...breedingForm, birthDate: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-700">Offspring</label>
+                    {breedingForm.offspring.map((young, index) => (
+                      <div key={index} className="flex gap-2">
+                        <input
+                          type="text"
+                          value={young.tagNumber}
+                          onChange={(e) => updateOffspring(index, 'tagNumber', e.target.value)}
+                          className="input flex-1"
+                          placeholder="Tag number"
+                        />
+                        <select
+                          value={young.gender}
+                          onChange={(e) => updateOffspring(index, 'gender', e.target.value)}
+                          className="input w-32"
+                        >
+                          <option value="unknown">Unknown</option>
+                          <option value="female">Female</option>
+                          <option value="male">Male</option>
+                        </select>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setBreedingForm({
+                        ...breedingForm,
+                        offspring: [...breedingForm.offspring, { tagNumber: '', gender: 'unknown' }],
+                      })}
+                      className="text-sm text-red-600 hover:text-red-700 font-medium"
+                    >
+                      + Add another
+                    </button>
+                  </div>
+                </>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={breedingForm.notes}
+                  onChange={(e) => setBreedingForm({ ...breedingForm, notes: e.target.value })}
+                  className="input"
+                  rows={2}
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setBreedingModal(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleBreedingSubmit}
+                disabled={
+                  actionLoading ||
+                  (breedingModal.mode === 'birth' && !breedingForm.offspring.some((o) => o.tagNumber))
+                }
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {actionLoading ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Health Record Modal */}
+      {showHealthModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Record Health Event</h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={healthForm.type}
+                    onChange={(e) => setHealthForm({ ...healthForm, type: e.target.value })}
+                    className="input"
+                  >
+                    <option value="TREATMENT">Treatment</option>
+                    <option value="VACCINATION">Vaccination</option>
+                    <option value="DIAGNOSIS">Diagnosis</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={healthForm.administeredAt}
+                    onChange={(e) => setHealthForm({ ...healthForm, administeredAt: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Diagnosis</label>
+                <input
+                  type="text"
+                  value={healthForm.diagnosis}
+                  onChange={(e) => setHealthForm({ ...healthForm, diagnosis: e.target.value })}
+                  className="input"
+                  placeholder="e.g., Pinkeye"
+                />
+              </div>
+
+              {healthForm.type !== 'DIAGNOSIS' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Product</label>
+                    <input
+                      type="text"
+                      value={healthForm.productName}
+                      onChange={(e) => setHealthForm({ ...healthForm, productName: e.target.value })}
+                      className="input"
+                      placeholder="e.g., LA-200"
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Dose</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={healthForm.doseAmount}
+                        onChange={(e) => setHealthForm({ ...healthForm, doseAmount: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                      <input
+                        type="text"
+                        value={healthForm.doseUnit}
+                        onChange={(e) => setHealthForm({ ...healthForm, doseUnit: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Route</label>
+                      <select
+                        value={healthForm.route}
+                        onChange={(e) => setHealthForm({ ...healthForm, route: e.target.value })}
+                        className="input"
+                      >
+                        <option value="">-</option>
+                        <option value="IM">IM</option>
+                        <option value="SQ">SQ</option>
+                        <option value="IV">IV</option>
+                        <option value="ORAL">Oral</option>
+                        <option value="TOPICAL">Topical</option>
+                        <option value="POUR_ON">Pour-on</option>
+                        <option value="INTRANASAL">Intranasal</option>
+                        <option value="INTRAMAMMARY">Intramammary</option>
+                        <option value="OTHER">Other</option>
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Meat Withdrawal (days)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={healthForm.meatWithdrawalDays}
+                        onChange={(e) => setHealthForm({ ...healthForm, meatWithdrawalDays: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Milk Withdrawal (days)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={healthForm.milkWithdrawalDays}
+                        onChange={(e) => setHealthForm({ ...healthForm, milkWithdrawalDays: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Veterinarian</label>
+                <input
+                  type="text"
+                  value={healthForm.veterinarian}
+                  onChange={(e) => setHealthForm({ ...healthForm, veterinarian: e.target.value })}
+                  className="input"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={healthForm.notes}
+                  onChange={(e) => setHealthForm({ ...healthForm, notes: e.target.value })}
+                  className="input"
+                  rows={2}
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowHealthModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRecordHealth}
+                disabled={actionLoading}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {actionLoading ? 'Saving...' : 'Save Record'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Status Change Modal */}
       {showStatusModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
@@ -507,8 +1412,55 @@ export default function AnimalDetail() {
                 </select>
               </div>
 
+              {isMortalityStatus && (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Cause</label>
+                      <select
+                        value={statusForm.cause}
+                        onChange={(e) => setStatusForm({ ...statusForm, cause: e.target.value })}
+                        className="input"
+                      >
+                        {mortalityCauses.map((c) => (
+                          <option key={c.value} value={c.value}>{c.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                      <input
+                        type="date"
+                        value={statusForm.date}
+                        onChange={(e) => setStatusForm({ ...statusForm, date: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Disposal Method</label>
+                    <select
+                      value={statusForm.disposalMethod}
+                      onChange={(e) => setStatusForm({ ...statusForm, disposalMethod: e.target.value })}
+                      className="input"
+                    >
+                      {disposalMethods.map((m) => (
+                        <option key={m.value} value={m.value}>{m.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {animal.costBasis > 0 && (
+                    <p className="text-sm text-gray-500">
+                      ${animal.costBasis.toLocaleString()} cost basis will be written off to death loss.
+                    </p>
+                  )}
+                </>
+              )}
+
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {isMortalityStatus ? 'Details' : 'Reason'}
+                </label>
                 <textarea
                   value={statusForm.reason}
                   onChange={(e) => setStatusForm({ ...statusForm, reason: e.target.value })}
@@ -0,0 +1,331 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useSite } from '../../../contexts/SiteContext';
+import { animalsApi } from '../../../services/api';
+
+const speciesOptions = [
+  'cattle', 'sheep', 'goat', 'pig', 'horse', 'donkey', 'llama', 'alpaca',
+  'chicken', 'turkey', 'duck', 'goose', 'rabbit', 'other',
+];
+
+export default function AnimalImport() {
+  const navigate = useNavigate();
+  const { currentSite } = useSite();
+  const fileInputRef = useRef(null);
+
+  const [groups, setGroups] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [options, setOptions] = useState({
+    format: 'CSV',
+    content: '',
+    groupId: '',
+    species: 'cattle',
+    weightUnit: 'lbs',
+    dateFormat: 'MDY',
+    acquisitionMethod: 'purchased',
+    acquisitionSource: '',
+  });
+  const [preview, setPreview] = useState(null);
+  const [planLimit, setPlanLimit] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (currentSite?.id) {
+      animalsApi.listGroups({ siteId: currentSite.id })
+        .then(res => setGroups(res.data?.groups || []))
+        .catch(() => setGroups([]));
+    }
+  }, [currentSite]);
+
+  const buildPayload = (dryRun) => ({
+    siteId: currentSite.id,
+    format: options.format,
+    content: options.content,
+    groupId: options.groupId || undefined,
+    species: options.species,
+    weightUnit: options.weightUnit,
+    dateFormat: options.dateFormat,
+    acquisition: {
+      method: options.acquisitionMethod,
+      source: options.acquisitionSource || undefined,
+    },
+    dryRun,
+  });
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setFileName(file.name);
+      setPreview(null);
+      setError(null);
+      setOptions((prev) => ({
+        ...prev,
+        content: event.target.result,
+        // Plain-text reader sessions have no header row
+        format: /\.(txt|dat)$/i.test(file.name) ? 'EID_READER' : prev.format,
+      }));
+    };
+    reader.readAsText(file);
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await animalsApi.importAnimals(buildPayload(true));
+      setPreview(res.data?.preview || null);
+      setPlanLimit(res.data?.planLimit || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await animalsApi.importAnimals(buildPayload(false));
+      alert(`Imported ${res.data?.importedCount || 0} animals`);
+      navigate('/app/assets/animals');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateOption = (field, value) => {
+    setOptions((prev) => ({ ...prev, [field]: value }));
+    setPreview(null);
+  };
+
+  if (!currentSite?.id) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Select a site to import animals.</p>
+      </div>
+    );
+  }
+
+  const canCommit = preview?.valid && (!planLimit || planLimit.allowed);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link
+          to="/app/assets/animals"
+          className="text-gray-500 hover:text-gray-700 text-sm mb-2 inline-flex items-center gap-1"
+        >
+          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
+          </svg>
+          Back to Livestock
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">Import Livestock</h1>
+        <p className="text-gray-600">
+          Add animals to {currentSite.name} from a spreadsheet or an EID reader session
+        </p>
+      </div>
+
+      {/* File & Options */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.txt,.dat,text/csv,text/plain"
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="w-full px-4 py-2 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-50"
+            >
+              {fileName || 'Choose CSV or reader file...'}
+            </button>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <select
+              value={options.format}
+              onChange={(e) => updateOption('format', e.target.value)}
+              className="input"
+            >
+              <option value="CSV">CSV (tag, EID, breed, sex, DOB, weight, group, cost)</option>
+              <option value="EID_READER">EID stick reader export</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Default Group</label>
+            <select
+              value={options.groupId}
+              onChange={(e) => updateOption('groupId', e.target.value)}
+              className="input"
+            >
+              <option value="">No group</option>
+              {groups.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Default Species</label>
+            <select
+              value={options.species}
+              onChange={(e) => updateOption('species', e.target.value)}
+              className="input capitalize"
+            >
+              {speciesOptions.map((s) => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Weight Unit</label>
+              <select
+                value={options.weightUnit}
+                onChange={(e) => updateOption('weightUnit', e.target.value)}
+                className="input"
+              >
+                <option value="lbs">lbs</option>
+                <option value="kg">kg</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date Order</label>
+              <select
+                value={options.dateFormat}
+                onChange={(e) => updateOption('dateFormat', e.target.value)}
+                className="input"
+              >
+                <option value="MDY">MM/DD/YYYY</option>
+                <option value="DMY">DD/MM/YYYY</option>
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Acquired By</label>
+              <select
+                value={options.acquisitionMethod}
+                onChange={(e) => updateOption('acquisitionMethod', e.target.value)}
+                className="input"
+              >
+                <option value="purchased">Purchased</option>
+                <option value="born">Born on farm</option>
+                <option value="transferred_in">Transferred in</option>
+                <option value="gift">Gift</option>
+                <option value="other">Other</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+              <input
+                type="text"
+                value={options.acquisitionSource}
+                onChange={(e) => updateOption('acquisitionSource', e.target.value)}
+                className="input"
+                placeholder="Sale barn, seller..."
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={handlePreview}
+            disabled={!options.content || loading}
+            className="btn-primary disabled:opacity-50"
+          >
+            {loading && !preview ? 'Checking...' : 'Preview Import'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700">{error}</div>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h2 className="font-semibold text-gray-900">Preview</h2>
+              <p className="text-sm text-gray-500">
+                {preview.summary.total} rows - {preview.summary.valid} ready, {preview.summary.invalid} with errors
+              </p>
+              {preview.error && <p className="text-sm text-red-600">{preview.error}</p>}
+              {planLimit && !planLimit.allowed && (
+                <p className="text-sm text-red-600">
+                  This import would exceed your plan limit ({planLimit.current}/{planLimit.limit} animals)
+                </p>
+              )}
+            </div>
+            <button
+              onClick={handleCommit}
+              disabled={!canCommit || loading}
+              className="btn-primary disabled:opacity-50"
+            >
+              {loading ? 'Importing...' : `Import ${preview.summary.valid} Animals`}
+            </button>
+          </div>
+          <div className="overflow-x-auto max-h-[60vh]">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Row</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Tag</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">EID</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Breed</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Sex</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">DOB</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Weight</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Group</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Issues</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {preview.rows.map((row) => (
+                  <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="px-4 py-2 text-gray-900">{row.animal.tagNumber || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700 font-mono text-xs">{row.animal.electronicId || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700">{row.animal.breed || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700 capitalize">{row.animal.gender || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700">
+                      {row.animal.dateOfBirth ? new Date(row.animal.dateOfBirth).toLocaleDateString() : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">
+                      {row.animal.weight ? `${row.animal.weight.value} ${row.animal.weight.unit}` : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{row.animal.groupName || '-'}</td>
+                    <td className="px-4 py-2">
+                      {row.errors.map((msg) => (
+                        <p key={msg} className="text-red-600">{msg}</p>
+                      ))}
+                      {row.warnings.map((msg) => (
+                        <p key={msg} className="text-amber-600">{msg}</p>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -134,9 +134,23 @@ export default function AnimalsList() {
           </div>
           <p className="text-gray-600">Manage your livestock</p>
         </div>
-        <Link to="/app/animals/new" className="btn-primary">
-          + Add Livestock
-        </Link>
+        <div className="flex gap-2">
+          <Link
+            to="/app/assets/animals/rations"
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            Rations
+          </Link>
+          <Link
+            to="/app/assets/animals/import"
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            Import
+          </Link>
+          <Link to="/app/animals/new" className="btn-primary">
+            + Add Livestock
+          </Link>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -158,6 +172,49 @@ export default function AnimalsList() {
         </div>
       )}
 
+      {/* Group Growth */}
+      {stats?.groupGrowth?.length > 0 && (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-200">
+            <h2 className="font-semibold text-gray-900">Group Growth</h2>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Group</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Avg Weight</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">ADG</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Target</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Market Ready</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {stats.groupGrowth.map((g) => (
+                <tr key={g.groupId}>
+                  <td className="px-4 py-2 text-gray-900">{g.groupName}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {g.averageWeight != null ? `${Math.round(g.averageWeight)} ${g.unit}` : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {g.adg != null ? `${g.adg.toFixed(2)} ${g.unit}/day` : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {g.targetWeight ? `${Math.round(g.targetWeight)} ${g.unit}` : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">
+                    {g.projectedMarketReadyDate
+                      ? g.daysToMarket === 0
+                        ? 'Ready'
+                        : new Date(g.projectedMarketReadyDate).toLocaleDateString()
+                      : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white rounded-xl border border-gray-200 p-4">
         <div className="flex flex-wrap gap-4">
@@ -0,0 +1,351 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useSite } from '../../../contexts/SiteContext';
+import { animalsApi, inventoryApi } from '../../../services/api';
+
+// Inventory units that convert to pounds without a per-unit weight
+const weightUnits = ['lbs', 'lb', 'kg', 'oz', 'tons', 'ton'];
+
+const emptyLine = { itemId: '', lbsPerHeadPerDay: '', lbsPerUnit: '' };
+
+const emptyForm = {
+  groupId: '',
+  name: '',
+  items: [emptyLine],
+  feedingTimes: '07:00',
+  startDate: '',
+  endDate: '',
+};
+
+export default function RationPlans() {
+  const { currentSite } = useSite();
+  const [rations, setRations] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [feedItems, setFeedItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    if (!currentSite?.id) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [rationsRes, groupsRes, itemsRes] = await Promise.all([
+        animalsApi.listRations({ siteId: currentSite.id }),
+        animalsApi.listGroups({ siteId: currentSite.id }),
+        inventoryApi.list({ category: 'FEED' }),
+      ]);
+      setRations(rationsRes.data?.rations || []);
+      setGroups(groupsRes.data?.groups || []);
+      setFeedItems(itemsRes.data?.items || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentSite]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const unitFor = (itemId) => feedItems.find((i) => i.id === itemId)?.unit || 'lbs';
+  const needsUnitWeight = (itemId) => itemId && !weightUnits.includes(unitFor(itemId).toLowerCase());
+
+  const updateLine = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const res = await animalsApi.createRation(form.groupId, {
+        name: form.name || undefined,
+        items: form.items
+          .filter((line) => line.itemId && line.lbsPerHeadPerDay)
+          .map((line) => ({
+            itemId: line.itemId,
+            lbsPerHeadPerDay: parseFloat(line.lbsPerHeadPerDay),
+            lbsPerUnit: line.lbsPerUnit ? parseFloat(line.lbsPerUnit) : undefined,
+          })),
+        feedingTimes: form.feedingTimes.split(',').map((t) => t.trim()).filter(Boolean),
+        startDate: form.startDate || undefined,
+        endDate: form.endDate || undefined,
+      });
+      setShowModal(false);
+      setForm(emptyForm);
+      if (res.data?.generatedTasks) {
+        alert(`Ration saved - ${res.data.generatedTasks} feeding task(s) scheduled`);
+      }
+      fetchData();
+    } catch (err) {
+      alert('Failed to save ration: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (ration) => {
+    try {
+      await animalsApi.updateRation(ration.id, { active: !ration.active });
+      fetchData();
+    } catch (err) {
+      alert('Failed to update ration: ' + err.message);
+    }
+  };
+
+  if (!currentSite?.id) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Select a site to manage rations.</p>
+      </div>
+    );
+  }
+
+  const canSave = form.groupId && form.items.some((line) => line.itemId && line.lbsPerHeadPerDay) &&
+    form.items.every((line) => !needsUnitWeight(line.itemId) || line.lbsPerUnit);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link
+            to="/app/assets/animals"
+            className="text-gray-500 hover:text-gray-700 text-sm mb-2 inline-flex items-center gap-1"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
+            </svg>
+            Back to Livestock
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Ration Plans</h1>
+          <p className="text-gray-600">
+            Daily feeding tasks are generated for each group and scaled to its head count
+          </p>
+        </div>
+        <button onClick={() => setShowModal(true)} className="btn-primary">
+          + New Ration
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700">{error}</div>
+      )}
+
+      {/* Rations */}
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-red-500 border-t-transparent"></div>
+        </div>
+      ) : rations.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+          <p className="text-gray-500">No ration plans yet for {currentSite.name}.</p>
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          {rations.map((ration) => (
+            <div key={ration.id} className="bg-white rounded-xl border border-gray-200 p-6">
+              <div className="flex items-start justify-between mb-3">
+                <div>
+                  <h2 className="font-semibold text-gray-900">{ration.name}</h2>
+                  <p className="text-sm text-gray-500">
+                    {ration.groupName} - {ration.headCount} head - fed at {(ration.feedingTimes || []).join(', ')}
+                  </p>
+                </div>
+                <span
+                  className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                    ration.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  {ration.active ? 'Active' : 'Paused'}
+                </span>
+              </div>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-gray-500">
+                    <th className="py-1 text-left font-medium">Feed</th>
+                    <th className="py-1 text-right font-medium">lbs/head/day</th>
+                    <th className="py-1 text-right font-medium">Daily total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {(ration.dailyFeed || []).map((line) => (
+                    <tr key={line.itemId}>
+                      <td className="py-1 text-gray-900">{line.itemName}</td>
+                      <td className="py-1 text-right text-gray-700">{line.lbsPerHeadPerDay}</td>
+                      <td className="py-1 text-right text-gray-700">
+                        {Math.round(line.totalLbs).toLocaleString()} lbs
+                        {line.unit !== 'lbs' && ` (${line.totalQty.toFixed(1)} ${line.unit})`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={() => handleToggleActive(ration)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+                >
+                  {ration.active ? 'Pause' : 'Resume'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* New Ration Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">New Ration</h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Group</label>
+                  <select
+                    value={form.groupId}
+                    onChange={(e) => setForm({ ...form, groupId: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">Select group...</option>
+                    {groups.map((g) => (
+                      <option key={g.id} value={g.id}>{g.name} ({g.animalCount || 0} head)</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="input"
+                    placeholder="Winter ration"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Feed Items</label>
+                <div className="space-y-2">
+                  {form.items.map((line, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2">
+                      <select
+                        value={line.itemId}
+                        onChange={(e) => updateLine(index, 'itemId', e.target.value)}
+                        className="input col-span-5"
+                      >
+                        <option value="">Feed item...</option>
+                        {feedItems.map((item) => (
+                          <option key={item.id} value={item.id}>{item.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="0"
+                        value={line.lbsPerHeadPerDay}
+                        onChange={(e) => updateLine(index, 'lbsPerHeadPerDay', e.target.value)}
+                        className="input col-span-3"
+                        placeholder="lbs/hd/day"
+                      />
+                      {needsUnitWeight(line.itemId) ? (
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          value={line.lbsPerUnit}
+                          onChange={(e) => updateLine(index, 'lbsPerUnit', e.target.value)}
+                          className="input col-span-3"
+                          placeholder={`lbs per ${unitFor(line.itemId)}`}
+                        />
+                      ) : (
+                        <span className="col-span-3" />
+                      )}
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setForm((prev) => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))
+                        }
+                        disabled={form.items.length === 1}
+                        className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        &times;
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setForm((prev) => ({ ...prev, items: [...prev.items, emptyLine] }))}
+                  className="mt-2 text-sm text-red-600 hover:text-red-700"
+                >
+                  + Add feed
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Feeding Times</label>
+                <input
+                  type="text"
+                  value={form.feedingTimes}
+                  onChange={(e) => setForm({ ...form, feedingTimes: e.target.value })}
+                  className="input"
+                  placeholder="07:00, 17:00"
+                />
+                <p className="text-xs text-gray-500 mt-1">The daily ration is split evenly across feedings</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                  <input
+                    type="date"
+                    value={form.startDate}
+                    onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                  <input
+                    type="date"
+                    value={form.endDate}
+                    onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={!canSave || saving}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Ration'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
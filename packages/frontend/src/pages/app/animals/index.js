@@ -1,3 +1,5 @@
 export { default as AnimalsList } from './AnimalsList';
 export { default as AnimalForm } from './AnimalForm';
 export { default as AnimalDetail } from './AnimalDetail';
+export { default as AnimalImport } from './AnimalImport';
+export { default as RationPlans } from './RationPlans';
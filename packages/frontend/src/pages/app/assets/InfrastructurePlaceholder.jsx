@@ -1,5 +0,0 @@
-import { AssetTypePlaceholder } from '../../../components/assets';
-
-export default function InfrastructurePlaceholder() {
-  return <AssetTypePlaceholder type="INFRASTRUCTURE" />;
-}
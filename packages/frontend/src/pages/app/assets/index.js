@@ -1,7 +1,4 @@
 export { default as AssetsOverview } from './AssetsOverview';
 export * from './vehicles';
 export * from './land';
-export { default as EquipmentPlaceholder } from './EquipmentPlaceholder';
-export { default as InfrastructurePlaceholder } from './InfrastructurePlaceholder';
-export { default as ToolsPlaceholder } from './ToolsPlaceholder';
-export { default as OtherAssetsPlaceholder } from './OtherAssetsPlaceholder';
+export * from './registry';
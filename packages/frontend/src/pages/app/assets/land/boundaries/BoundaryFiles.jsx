@@ -0,0 +1,501 @@
+import { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LandNav } from '../../../../../components/land';
+import { MapsProvider, SiteMap, useMaps } from '../../../../../components/maps';
+import { landTractsApi, sitesApi } from '../../../../../services/api';
+import { useSite } from '../../../../../contexts/SiteContext';
+import {
+  validatePolygon,
+  validateLandInSite,
+  calculateCentroid,
+  formatAcres,
+} from '../../../../../utils/geometry';
+import {
+  parseGeometryFile,
+  buildBoundaryCollection,
+  exportBoundaries,
+  downloadBlob,
+  EXPORT_FORMATS,
+  GeometryFormat,
+} from '../../../../../utils/geometry-io';
+
+const landTypes = [
+  { value: 'PARCEL', label: 'Parcel' },
+  { value: 'FIELD', label: 'Field' },
+  { value: 'PASTURE', label: 'Pasture' },
+  { value: 'INFRASTRUCTURE', label: 'Infrastructure' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+// Attribute names tried, in order, when guessing the name column
+// (KML placemark names, common GIS fields, FSA CLU exports)
+const NAME_ATTRIBUTE_GUESSES = ['name', 'Name', 'NAME', 'title', 'field_name', 'FIELD_NAME', 'label', 'CLUNBR'];
+
+const IMPORT_ACCEPT = '.geojson,.json,.kml,.kmz,.zip';
+
+const resolveType = (value, fallback) => {
+  const upper = String(value ?? '').trim().toUpperCase();
+  return landTypes.some((t) => t.value === upper) ? upper : fallback;
+};
+
+/**
+ * Import boundaries from KML/KMZ, GeoJSON or zipped Shapefiles into a site or
+ * its land tracts, and export all site and tract geometry to those formats
+ */
+function BoundaryFilesContent() {
+  const { isLoaded } = useMaps();
+  const { sites, refreshSites } = useSite();
+
+  // Import
+  const [siteId, setSiteId] = useState('');
+  const [mode, setMode] = useState('TRACTS');
+  const [parsed, setParsed] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState({ nameField: '', codeField: '', typeField: '', defaultType: 'FIELD' });
+  const [selected, setSelected] = useState({});
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState('');
+  const [importResult, setImportResult] = useState('');
+
+  // Export
+  const [exportFormat, setExportFormat] = useState(GeometryFormat.GEOJSON);
+  const [exportSiteId, setExportSiteId] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [exportResult, setExportResult] = useState('');
+
+  const site = sites?.find((s) => s.id === siteId) || null;
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setParsing(true);
+    setImportError('');
+    setImportResult('');
+    setParsed(null);
+    try {
+      const result = await parseGeometryFile(file);
+      if (result.features.length === 0) {
+        throw new Error('No polygon boundaries were found in this file');
+      }
+
+      const nameField = NAME_ATTRIBUTE_GUESSES.find((a) => result.attributes.includes(a)) || '';
+      setMapping((prev) => ({ ...prev, nameField, codeField: '', typeField: '' }));
+      setSelected(Object.fromEntries(result.features.map((f) => [f.key, true])));
+      // A lone polygon for a site without a boundary is most likely that boundary
+      setMode(result.features.length === 1 && !site?.boundaryGeometry ? 'SITE_BOUNDARY' : 'TRACTS');
+      setFileName(file.name);
+      setParsed(result);
+    } catch (err) {
+      console.error('Error reading boundary file:', err);
+      setImportError(err.message || 'Failed to read file');
+    } finally {
+      setParsing(false);
+      e.target.value = '';
+    }
+  };
+
+  // A site boundary is a single polygon, so switching modes resets the selection
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    const keys = parsed?.features.map((f) => f.key) || [];
+    setSelected(
+      nextMode === 'SITE_BOUNDARY'
+        ? { [keys[0]]: true }
+        : Object.fromEntries(keys.map((key) => [key, true]))
+    );
+  };
+
+  // Resolve mapped attributes and validate every feature
+  const rows = useMemo(() => {
+    if (!parsed || !isLoaded) return [];
+
+    return parsed.features.map((feature, index) => {
+      const baseName = mapping.nameField && feature.properties[mapping.nameField] !== undefined
+        ? String(feature.properties[mapping.nameField]).trim()
+        : '';
+      const name = `${baseName || `Imported ${index + 1}`}${feature.part ? ` (part ${feature.part})` : ''}`;
+      const code = mapping.codeField ? String(feature.properties[mapping.codeField] ?? '').trim() : '';
+      const type = mapping.typeField
+        ? resolveType(feature.properties[mapping.typeField], mapping.defaultType)
+        : mapping.defaultType;
+
+      const validation = validatePolygon(feature.geometry);
+      let error = validation.valid ? null : validation.error;
+      if (!error && mode === 'TRACTS' && site?.boundaryGeometry &&
+          !validateLandInSite(feature.geometry, site.boundaryGeometry)) {
+        error = `Outside the ${site.name} boundary`;
+      }
+
+      return { ...feature, name, code, type, area: validation.area || null, error };
+    });
+  }, [parsed, isLoaded, mapping, mode, site]);
+
+  const selectedRows = rows.filter((row) => selected[row.key] && !row.error);
+  const invalidCount = rows.filter((row) => row.error).length;
+
+  const canImport = siteId && !importing && (
+    mode === 'SITE_BOUNDARY' ? selectedRows.length === 1 : selectedRows.length > 0
+  );
+
+  const handleImport = async () => {
+    setImporting(true);
+    setImportError('');
+    try {
+      if (mode === 'SITE_BOUNDARY') {
+        const [row] = selectedRows;
+        await sitesApi.update(siteId, {
+          boundaryGeometry: row.geometry,
+          boundaryAreaSqMeters: row.area.sqMeters,
+          boundaryAreaAcres: row.area.acres,
+          boundaryCentroid: calculateCentroid(row.geometry),
+        });
+        await refreshSites();
+        setImportResult(`Set the ${site.name} boundary (${formatAcres(row.area.acres, false)}).`);
+      } else {
+        const res = await landTractsApi.importTracts({
+          siteId,
+          source: { format: parsed.format, fileName },
+          tracts: selectedRows.map((row) => ({
+            name: row.name,
+            code: row.code || undefined,
+            type: row.type,
+            geometry: row.geometry,
+            areaSqMeters: row.area.sqMeters,
+            areaAcres: row.area.acres,
+            centroid: calculateCentroid(row.geometry),
+            sourceId: row.sourceId,
+          })),
+        });
+        setImportResult(`Imported ${res.data?.imported || 0} land tracts into ${site.name}.`);
+      }
+      setParsed(null);
+      setFileName('');
+    } catch (err) {
+      console.error('Error importing boundaries:', err);
+      setImportError(err.message || 'Failed to import boundaries');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportResult('');
+    try {
+      const tractsRes = await landTractsApi.list({ ...(exportSiteId && { siteId: exportSiteId }), limit: 5000 });
+
+      const exportSites = exportSiteId ? sites.filter((s) => s.id === exportSiteId) : sites || [];
+      const collection = buildBoundaryCollection(exportSites, tractsRes.data?.tracts || []);
+
+      // Skip anything that wouldn't pass validation on the way back in
+      const features = collection.features.filter((f) => validatePolygon(f.geometry).valid);
+      const skipped = collection.features.length - features.length;
+
+      if (features.length === 0) {
+        setExportResult('There are no boundaries to export.');
+        return;
+      }
+
+      const scope = exportSiteId ? exportSites[0]?.code || exportSites[0]?.name || 'site' : 'all-sites';
+      const baseName = `boundaries-${scope}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+      const { blob, fileName: exportName } = await exportBoundaries(
+        { ...collection, features },
+        exportFormat,
+        baseName
+      );
+      downloadBlob(blob, exportName);
+
+      setExportResult(
+        `Exported ${features.length} boundaries${skipped ? ` (${skipped} invalid skipped)` : ''}.`
+      );
+    } catch (err) {
+      console.error('Error exporting boundaries:', err);
+      setExportResult(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const previewTracts = rows
+    .filter((row) => selected[row.key] && !row.error)
+    .map((row) => ({ id: row.key, name: row.name, type: row.type, geometry: row.geometry, areaAcres: row.area?.acres }));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Import */}
+      <div className="lg:col-span-2 bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Import Boundaries</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            KML or KMZ (Google Earth), GeoJSON, or a zipped Shapefile from FSA or county GIS. Shapefiles are
+            reprojected from their .prj.
+          </p>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Site</label>
+              <select value={siteId} onChange={(e) => setSiteId(e.target.value)} className="input">
+                <option value="">Select site...</option>
+                {sites?.map((s) => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+              <input
+                type="file"
+                accept={IMPORT_ACCEPT}
+                onChange={handleFileSelect}
+                disabled={parsing}
+                className="block w-full text-sm text-gray-700"
+              />
+            </div>
+          </div>
+
+          {parsing && <p className="text-sm text-gray-500">Reading file...</p>}
+          {importError && <p className="text-sm text-red-600">{importError}</p>}
+          {importResult && (
+            <p className="text-sm text-green-700">
+              {importResult}{' '}
+              <Link to={`/app/assets/land/sites/${siteId}`} className="underline">View site</Link>
+            </p>
+          )}
+
+          {parsed && (
+            <>
+              <div className="text-sm text-gray-600">
+                {fileName}: {parsed.features.length} polygon{parsed.features.length === 1 ? '' : 's'}
+                {parsed.skipped > 0 && `, ${parsed.skipped} point/line features skipped`}
+                {invalidCount > 0 && `, ${invalidCount} invalid`}
+              </div>
+
+              {/* Import as */}
+              <div className="flex gap-6 text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={mode === 'TRACTS'}
+                    onChange={() => changeMode('TRACTS')}
+                  />
+                  Land tracts
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={mode === 'SITE_BOUNDARY'}
+                    onChange={() => changeMode('SITE_BOUNDARY')}
+                  />
+                  Site boundary (one polygon)
+                </label>
+              </div>
+
+              {/* Attribute mapping */}
+              {mode === 'TRACTS' && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Name From</label>
+                    <select
+                      value={mapping.nameField}
+                      onChange={(e) => setMapping({ ...mapping, nameField: e.target.value })}
+                      className="input"
+                    >
+                      <option value="">(numbered)</option>
+                      {parsed.attributes.map((a) => (
+                        <option key={a} value={a}>{a}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Code From</label>
+                    <select
+                      value={mapping.codeField}
+                      onChange={(e) => setMapping({ ...mapping, codeField: e.target.value })}
+                      className="input"
+                    >
+                      <option value="">(none)</option>
+                      {parsed.attributes.map((a) => (
+                        <option key={a} value={a}>{a}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Type From</label>
+                    <select
+                      value={mapping.typeField}
+                      onChange={(e) => setMapping({ ...mapping, typeField: e.target.value })}
+                      className="input"
+                    >
+                      <option value="">(default)</option>
+                      {parsed.attributes.map((a) => (
+                        <option key={a} value={a}>{a}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Default Type</label>
+                    <select
+                      value={mapping.defaultType}
+                      onChange={(e) => setMapping({ ...mapping, defaultType: e.target.value })}
+                      className="input"
+                    >
+                      {landTypes.map((t) => (
+                        <option key={t.value} value={t.value}>{t.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {/* Preview map */}
+              <div className="h-80">
+                <SiteMap
+                  siteGeometry={mode === 'TRACTS' ? site?.boundaryGeometry : previewTracts[0]?.geometry}
+                  landTracts={mode === 'TRACTS' ? previewTracts : []}
+                  showLabels={mode === 'TRACTS'}
+                  height="100%"
+                />
+              </div>
+
+              {/* Preview table */}
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr className="text-gray-500">
+                      <th className="px-3 py-2 w-8" />
+                      <th className="px-3 py-2 text-left font-medium">Name</th>
+                      {mode === 'TRACTS' && <th className="px-3 py-2 text-left font-medium">Type</th>}
+                      <th className="px-3 py-2 text-right font-medium">Acres</th>
+                      <th className="px-3 py-2 text-left font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {rows.map((row) => (
+                      <tr key={row.key} className={row.error ? 'bg-red-50' : ''}>
+                        <td className="px-3 py-2">
+                          <input
+                            type={mode === 'SITE_BOUNDARY' ? 'radio' : 'checkbox'}
+                            checked={!!selected[row.key] && !row.error}
+                            disabled={!!row.error}
+                            onChange={(e) =>
+                              setSelected(
+                                mode === 'SITE_BOUNDARY'
+                                  ? { [row.key]: true }
+                                  : { ...selected, [row.key]: e.target.checked }
+                              )
+                            }
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-gray-900">
+                          {row.name}
+                          {row.code && <span className="ml-1 text-xs text-gray-400">{row.code}</span>}
+                        </td>
+                        {mode === 'TRACTS' && <td className="px-3 py-2 text-gray-700">{row.type}</td>}
+                        <td className="px-3 py-2 text-right text-gray-700">
+                          {row.area ? formatAcres(row.area.acres, false) : '-'}
+                        </td>
+                        <td className="px-3 py-2">
+                          {row.error ? (
+                            <span className="text-red-600">{row.error}</span>
+                          ) : (
+                            <span className="text-green-700">Valid</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {mode === 'SITE_BOUNDARY' && site?.boundaryGeometry && (
+                <p className="text-sm text-yellow-700">
+                  This replaces the existing {site.name} boundary.
+                </p>
+              )}
+
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setParsed(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={!canImport}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                >
+                  {importing
+                    ? 'Importing...'
+                    : mode === 'SITE_BOUNDARY'
+                      ? 'Set Site Boundary'
+                      : `Import ${selectedRows.length} Tract${selectedRows.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+              {!siteId && <p className="text-xs text-gray-500 text-right">Select a site to import into</p>}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Export */}
+      <div className="bg-white rounded-lg shadow h-fit">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Export Boundaries</h2>
+          <p className="mt-1 text-sm text-gray-500">Site boundaries and active land tracts, in WGS84.</p>
+        </div>
+        <div className="p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sites</label>
+            <select value={exportSiteId} onChange={(e) => setExportSiteId(e.target.value)} className="input">
+              <option value="">All sites</option>
+              {sites?.map((s) => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className="input">
+              {EXPORT_FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting || !isLoaded}
+            className="w-full px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+          >
+            {exporting ? 'Exporting...' : 'Download'}
+          </button>
+          {exportResult && <p className="text-sm text-gray-600">{exportResult}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function BoundaryFiles() {
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Import / Export</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Bring in boundaries from GIS and mapping tools, or take yours with you
+        </p>
+      </div>
+
+      <LandNav />
+
+      <MapsProvider>
+        <BoundaryFilesContent />
+      </MapsProvider>
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { default as BoundaryFiles } from './BoundaryFiles';
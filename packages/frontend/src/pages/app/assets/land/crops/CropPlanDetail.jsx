@@ -0,0 +1,523 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { cropsApi, inventoryApi } from '../../../../../services/api';
+import { formatAcres } from '../../../../../utils/geometry';
+
+const statusColors = {
+  PLANNED: 'bg-blue-100 text-blue-800',
+  PLANTED: 'bg-green-100 text-green-800',
+  HARVESTED: 'bg-yellow-100 text-yellow-800',
+  CLOSED: 'bg-gray-100 text-gray-800',
+};
+
+const operationTypes = [
+  { value: 'TILLAGE', label: 'Tillage' },
+  { value: 'PLANTING', label: 'Planting' },
+  { value: 'FERTILIZER', label: 'Fertilizer' },
+  { value: 'SPRAY', label: 'Spray' },
+  { value: 'IRRIGATION', label: 'Irrigation' },
+  { value: 'SCOUTING', label: 'Scouting' },
+  { value: 'HARVEST', label: 'Harvest' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+const inputCategories = ['SEED', 'FERTILIZER', 'CHEMICAL'];
+
+const emptyInput = { itemId: '', ratePerAcre: '', qty: '' };
+
+const emptyForm = {
+  type: 'PLANTING',
+  date: new Date().toISOString().split('T')[0],
+  acres: '',
+  inputs: [emptyInput],
+  harvestItemId: '',
+  harvestQty: '',
+  moisturePct: '',
+  harvestCostPerUnit: '',
+  operator: '',
+  notes: '',
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString() : '-';
+};
+
+const formatMoney = (value) =>
+  value === null || value === undefined ? '-' : `$${Number(value).toFixed(2)}`;
+
+export default function CropPlanDetail() {
+  const { planId } = useParams();
+
+  const [plan, setPlan] = useState(null);
+  const [operations, setOperations] = useState([]);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [planRes, itemsRes] = await Promise.all([
+        cropsApi.getPlan(planId),
+        inventoryApi.list({ limit: 500 }),
+      ]);
+      setPlan(planRes.data?.plan || null);
+      setOperations(planRes.data?.operations || []);
+      setItems(itemsRes.data?.items || []);
+    } catch (err) {
+      console.error('Error fetching crop plan:', err);
+      setError('Failed to load crop plan');
+    } finally {
+      setLoading(false);
+    }
+  }, [planId]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const inputItems = items.filter((item) => inputCategories.includes(item.category));
+  const unitFor = (itemId) => items.find((i) => i.id === itemId)?.unit || '';
+  const isHarvest = form.type === 'HARVEST';
+
+  const updateInput = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      inputs: prev.inputs.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const handleRecord = async () => {
+    setSaving(true);
+    try {
+      const res = await cropsApi.recordOperation(planId, {
+        type: form.type,
+        date: form.date || undefined,
+        acres: form.acres ? parseFloat(form.acres) : undefined,
+        inputs: form.inputs
+          .filter((line) => line.itemId && (line.ratePerAcre || line.qty))
+          .map((line) => ({
+            itemId: line.itemId,
+            ratePerAcre: line.ratePerAcre ? parseFloat(line.ratePerAcre) : undefined,
+            qty: line.qty ? parseFloat(line.qty) : undefined,
+          })),
+        harvest: isHarvest
+          ? {
+              itemId: form.harvestItemId,
+              qty: parseFloat(form.harvestQty),
+              moisturePct: form.moisturePct ? parseFloat(form.moisturePct) : undefined,
+              costPerUnit: form.harvestCostPerUnit !== '' ? parseFloat(form.harvestCostPerUnit) : undefined,
+            }
+          : undefined,
+        operator: form.operator || undefined,
+        notes: form.notes || undefined,
+      });
+
+      const failed = (res.data?.postings || []).filter((p) => p.processing && !p.processing.success);
+      if (failed.length > 0) {
+        alert(`Operation saved, but ${failed.length} inventory posting(s) failed: ${failed[0].processing.error}`);
+      }
+
+      setShowModal(false);
+      setForm(emptyForm);
+      fetchData();
+    } catch (err) {
+      alert('Failed to record operation: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (!confirm('Close this crop plan? No further operations can be recorded against it.')) {
+      return;
+    }
+
+    try {
+      await cropsApi.updatePlan(planId, { status: 'CLOSED' });
+      fetchData();
+    } catch (err) {
+      setError('Failed to close crop plan: ' + err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!plan) {
+    return (
+      <div className="bg-white rounded-lg shadow p-12 text-center">
+        <h3 className="text-lg font-medium text-gray-900">Crop Plan Not Found</h3>
+        <Link
+          to="/app/assets/land/crops"
+          className="mt-4 inline-flex items-center text-green-600 hover:text-green-700"
+        >
+          ← Back to Crops
+        </Link>
+      </div>
+    );
+  }
+
+  const acres = plan.plantedAcres || plan.areaAcres;
+  const canSave = isHarvest
+    ? form.harvestItemId && parseFloat(form.harvestQty) > 0
+    : true;
+
+  return (
+    <div>
+      {/* Breadcrumb */}
+      <div className="mb-4">
+        <Link to="/app/assets/land/crops" className="text-sm text-gray-500 hover:text-gray-700">
+          ← Back to Crops
+        </Link>
+      </div>
+
+      {/* Header */}
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <div className="flex items-center gap-3">
+            <h1 className="text-2xl font-bold text-gray-900">
+              {plan.season} {plan.crop}
+              {plan.variety && <span className="text-gray-500 font-normal"> - {plan.variety}</span>}
+            </h1>
+            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColors[plan.status] || statusColors.CLOSED}`}>
+              {plan.status}
+            </span>
+          </div>
+          <div className="mt-1 flex items-center gap-4 text-sm text-gray-500">
+            <Link to={`/app/assets/land/tracts/${plan.tractId}`} className="text-green-600 hover:text-green-700">
+              {plan.tractName}
+            </Link>
+            <span>{formatAcres(acres)}</span>
+            {plan.seedingRate?.value && (
+              <span>Seeding {plan.seedingRate.value.toLocaleString()} {plan.seedingRate.unit}</span>
+            )}
+          </div>
+        </div>
+        {plan.status !== 'CLOSED' && (
+          <div className="flex gap-2">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Close Plan
+            </button>
+            <button
+              onClick={() => setShowModal(true)}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700"
+            >
+              + Record Operation
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-white rounded-lg shadow p-4">
+          <h4 className="text-xs font-medium text-gray-500 uppercase">Input Cost</h4>
+          <p className="mt-1 text-xl font-semibold text-gray-900">{formatMoney(plan.inputCost)}</p>
+          <p className="text-xs text-gray-500">{formatMoney(plan.inputCostPerAcre)} / acre</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <h4 className="text-xs font-medium text-gray-500 uppercase">Harvested</h4>
+          <p className="mt-1 text-xl font-semibold text-gray-900">
+            {(plan.harvestedQty || 0).toLocaleString()} {plan.yieldUnit || ''}
+          </p>
+          <p className="text-xs text-gray-500">{plan.harvestedDate ? formatDate(plan.harvestedDate) : 'Not harvested'}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <h4 className="text-xs font-medium text-gray-500 uppercase">Yield / Acre</h4>
+          <p className="mt-1 text-xl font-semibold text-gray-900">
+            {plan.yieldPerAcre !== null ? `${plan.yieldPerAcre} ${plan.yieldUnit || ''}` : '-'}
+          </p>
+          <p className="text-xs text-gray-500">
+            {plan.targetYieldPerAcre ? `Target ${plan.targetYieldPerAcre}` : 'No target set'}
+            {plan.yieldVsTarget !== null && ` (${plan.yieldVsTarget}%)`}
+          </p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <h4 className="text-xs font-medium text-gray-500 uppercase">Dates</h4>
+          <p className="mt-1 text-sm text-gray-900">
+            Planted {plan.plantedDate ? formatDate(plan.plantedDate) : `(planned ${formatDate(plan.plannedPlantingDate)})`}
+          </p>
+          <p className="text-xs text-gray-500">Expected harvest {formatDate(plan.expectedHarvestDate)}</p>
+        </div>
+      </div>
+
+      {/* Operations */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Field Operations</h2>
+        </div>
+        {operations.length === 0 ? (
+          <p className="p-8 text-center text-sm text-gray-500">No operations recorded yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {operations.map((op) => (
+              <div key={op.id} className="p-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <span className="font-medium text-gray-900">
+                      {operationTypes.find((t) => t.value === op.type)?.label || op.type}
+                    </span>
+                    <span className="text-sm text-gray-500">{formatDate(op.date)}</span>
+                    {op.acres > 0 && <span className="text-sm text-gray-500">{formatAcres(op.acres)}</span>}
+                  </div>
+                  {op.inputCost > 0 && (
+                    <span className="text-sm text-gray-900">{formatMoney(op.inputCost)}</span>
+                  )}
+                </div>
+                {op.inputs?.length > 0 && (
+                  <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                    {op.inputs.map((input) => (
+                      <li key={input.itemId}>
+                        {input.itemName}: {input.qty} {input.unit}
+                        {input.ratePerAcre !== null && ` (${input.ratePerAcre} ${input.unit}/ac)`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {op.harvest && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    {op.harvest.itemName}: {op.harvest.qty.toLocaleString()} {op.harvest.unit}
+                    {op.harvest.yieldPerAcre !== null && ` - ${op.harvest.yieldPerAcre} ${op.harvest.unit}/ac`}
+                    {op.harvest.moisturePct !== null && ` at ${op.harvest.moisturePct}% moisture`}
+                  </p>
+                )}
+                {(op.operator || op.notes) && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    {op.operator}
+                    {op.operator && op.notes && ' - '}
+                    {op.notes}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Record Operation Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Record Field Operation</h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Operation</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                    className="input"
+                  >
+                    {operationTypes.map((t) => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={form.date}
+                    onChange={(e) => setForm({ ...form, date: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Acres</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={form.acres}
+                    onChange={(e) => setForm({ ...form, acres: e.target.value })}
+                    className="input"
+                    placeholder={String(acres || '')}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Inputs Applied</label>
+                <div className="space-y-2">
+                  {form.inputs.map((line, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2">
+                      <select
+                        value={line.itemId}
+                        onChange={(e) => updateInput(index, 'itemId', e.target.value)}
+                        className="input col-span-5"
+                      >
+                        <option value="">Seed, fertilizer, chemical...</option>
+                        {inputItems.map((item) => (
+                          <option key={item.id} value={item.id}>{item.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={line.ratePerAcre}
+                        onChange={(e) => updateInput(index, 'ratePerAcre', e.target.value)}
+                        className="input col-span-3"
+                        placeholder={`${unitFor(line.itemId) || 'qty'}/ac`}
+                        disabled={!!line.qty}
+                      />
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={line.qty}
+                        onChange={(e) => updateInput(index, 'qty', e.target.value)}
+                        className="input col-span-3"
+                        placeholder="or total"
+                        disabled={!!line.ratePerAcre}
+                      />
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setForm((prev) => ({ ...prev, inputs: prev.inputs.filter((_, i) => i !== index) }))
+                        }
+                        disabled={form.inputs.length === 1}
+                        className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        &times;
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setForm((prev) => ({ ...prev, inputs: [...prev.inputs, emptyInput] }))}
+                  className="mt-2 text-sm text-green-600 hover:text-green-700"
+                >
+                  + Add input
+                </button>
+                <p className="text-xs text-gray-500 mt-1">Drawn from this site&apos;s inventory at average cost</p>
+              </div>
+
+              {isHarvest && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Harvested Product</label>
+                    <select
+                      value={form.harvestItemId}
+                      onChange={(e) => setForm({ ...form, harvestItemId: e.target.value })}
+                      className="input"
+                    >
+                      <option value="">Select item...</option>
+                      {items.map((item) => (
+                        <option key={item.id} value={item.id}>{item.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Quantity {form.harvestItemId && `(${unitFor(form.harvestItemId)})`}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={form.harvestQty}
+                      onChange={(e) => setForm({ ...form, harvestQty: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Moisture %</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={form.moisturePct}
+                      onChange={(e) => setForm({ ...form, moisturePct: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Cost / Unit</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={form.harvestCostPerUnit}
+                      onChange={(e) => setForm({ ...form, harvestCostPerUnit: e.target.value })}
+                      className="input"
+                      placeholder="Input cost"
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-500">
+                    Leave cost blank to carry this plan&apos;s input cost into inventory
+                  </p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Operator</label>
+                  <input
+                    type="text"
+                    value={form.operator}
+                    onChange={(e) => setForm({ ...form, operator: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className="input"
+                    placeholder="Weather, equipment..."
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRecord}
+                disabled={!canSave || saving}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Record Operation'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,367 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { LandNav } from '../../../../../components/land';
+import { cropsApi, landTractsApi } from '../../../../../services/api';
+import { useSite } from '../../../../../contexts/SiteContext';
+import { formatAcres } from '../../../../../utils/geometry';
+
+const statusColors = {
+  PLANNED: 'bg-blue-100 text-blue-800',
+  PLANTED: 'bg-green-100 text-green-800',
+  HARVESTED: 'bg-yellow-100 text-yellow-800',
+  CLOSED: 'bg-gray-100 text-gray-800',
+};
+
+const currentSeason = String(new Date().getFullYear());
+
+const emptyForm = {
+  tractId: '',
+  season: currentSeason,
+  crop: '',
+  variety: '',
+  plantedAcres: '',
+  seedingRateValue: '',
+  seedingRateUnit: 'seeds/acre',
+  plannedPlantingDate: '',
+  expectedHarvestDate: '',
+  targetYieldPerAcre: '',
+  yieldUnit: 'bu',
+};
+
+const formatMoney = (value) =>
+  value === null || value === undefined ? '-' : `$${Number(value).toFixed(2)}`;
+
+export default function CropPlansList() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { sites } = useSite();
+
+  const [plans, setPlans] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [siteFilter, setSiteFilter] = useState(searchParams.get('siteId') || '');
+  const [seasonFilter, setSeasonFilter] = useState(searchParams.get('season') || currentSeason);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPlans = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {};
+      if (siteFilter) params.siteId = siteFilter;
+      if (seasonFilter) params.season = seasonFilter;
+
+      const [plansRes, fieldsRes] = await Promise.all([
+        cropsApi.listPlans(params),
+        landTractsApi.list({ ...(siteFilter && { siteId: siteFilter }), type: 'FIELD', limit: 500 }),
+      ]);
+      setPlans(plansRes.data?.plans || []);
+      setFields(fieldsRes.data?.tracts || []);
+    } catch (error) {
+      console.error('Error fetching crop plans:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [siteFilter, seasonFilter]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  const handleSiteChange = (value) => {
+    setSiteFilter(value);
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set('siteId', value);
+    else params.delete('siteId');
+    setSearchParams(params);
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      await cropsApi.createPlan({
+        tractId: form.tractId,
+        season: form.season,
+        crop: form.crop,
+        variety: form.variety || undefined,
+        plantedAcres: form.plantedAcres ? parseFloat(form.plantedAcres) : undefined,
+        seedingRate: form.seedingRateValue
+          ? { value: parseFloat(form.seedingRateValue), unit: form.seedingRateUnit }
+          : undefined,
+        plannedPlantingDate: form.plannedPlantingDate || undefined,
+        expectedHarvestDate: form.expectedHarvestDate || undefined,
+        targetYieldPerAcre: form.targetYieldPerAcre ? parseFloat(form.targetYieldPerAcre) : undefined,
+        yieldUnit: form.yieldUnit || undefined,
+      });
+      setShowModal(false);
+      setForm(emptyForm);
+      fetchPlans();
+    } catch (error) {
+      alert('Failed to create crop plan: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectedField = fields.find((f) => f.id === form.tractId);
+  const seasons = [0, 1, 2, 3].map((offset) => String(new Date().getFullYear() + 1 - offset));
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Crops</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Season crop plans, applications and harvests on your fields
+            </p>
+          </div>
+          <button
+            onClick={() => setShowModal(true)}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700"
+          >
+            + New Crop Plan
+          </button>
+        </div>
+      </div>
+
+      <LandNav />
+
+      {/* Filters */}
+      <div className="mb-6 flex flex-wrap gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Site</label>
+          <select
+            value={siteFilter}
+            onChange={(e) => handleSiteChange(e.target.value)}
+            className="block w-48 rounded-md border-gray-300 shadow-sm focus:border-green-500 focus:ring-green-500 text-sm"
+          >
+            <option value="">All Sites</option>
+            {sites?.map(site => (
+              <option key={site.id} value={site.id}>{site.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Season</label>
+          <select
+            value={seasonFilter}
+            onChange={(e) => setSeasonFilter(e.target.value)}
+            className="block w-32 rounded-md border-gray-300 shadow-sm focus:border-green-500 focus:ring-green-500 text-sm"
+          >
+            <option value="">All</option>
+            {seasons.map((season) => (
+              <option key={season} value={season}>{season}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+        </div>
+      ) : plans.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-12 text-center">
+          <h3 className="text-sm font-medium text-gray-900">No Crop Plans</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {fields.length === 0
+              ? 'Add a land tract of type Field to start planning crops.'
+              : `No crop plans for ${seasonFilter || 'any season'} yet.`}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Crop</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Season</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Acres</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Inputs / Acre</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Yield / Acre</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {plans.map((plan) => (
+                <tr key={plan.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Link to={`/app/assets/land/crops/${plan.id}`} className="text-sm font-medium text-green-600 hover:text-green-700">
+                      {plan.tractName}
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {plan.crop}
+                    {plan.variety && <span className="text-gray-500"> - {plan.variety}</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{plan.season}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatAcres(plan.plantedAcres || plan.areaAcres)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusColors[plan.status] || statusColors.CLOSED}`}>
+                      {plan.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    {formatMoney(plan.inputCostPerAcre)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    {plan.yieldPerAcre !== null ? `${plan.yieldPerAcre} ${plan.yieldUnit || ''}` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* New Crop Plan Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">New Crop Plan</h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
+                  <select
+                    value={form.tractId}
+                    onChange={(e) => setForm({ ...form, tractId: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">Select field...</option>
+                    {fields.map((field) => (
+                      <option key={field.id} value={field.id}>{field.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Season</label>
+                  <input
+                    type="text"
+                    value={form.season}
+                    onChange={(e) => setForm({ ...form, season: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Crop</label>
+                  <input
+                    type="text"
+                    value={form.crop}
+                    onChange={(e) => setForm({ ...form, crop: e.target.value })}
+                    className="input"
+                    placeholder="Corn"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Variety</label>
+                  <input
+                    type="text"
+                    value={form.variety}
+                    onChange={(e) => setForm({ ...form, variety: e.target.value })}
+                    className="input"
+                    placeholder="Hybrid or cultivar"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Planted Acres</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={form.plantedAcres}
+                    onChange={(e) => setForm({ ...form, plantedAcres: e.target.value })}
+                    className="input"
+                    placeholder={selectedField ? String(selectedField.areaAcres || '') : ''}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Seeding Rate</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={form.seedingRateValue}
+                      onChange={(e) => setForm({ ...form, seedingRateValue: e.target.value })}
+                      className="input"
+                    />
+                    <select
+                      value={form.seedingRateUnit}
+                      onChange={(e) => setForm({ ...form, seedingRateUnit: e.target.value })}
+                      className="input"
+                    >
+                      <option value="seeds/acre">seeds/ac</option>
+                      <option value="lbs/acre">lbs/ac</option>
+                      <option value="bu/acre">bu/ac</option>
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Planned Planting</label>
+                  <input
+                    type="date"
+                    value={form.plannedPlantingDate}
+                    onChange={(e) => setForm({ ...form, plannedPlantingDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expected Harvest</label>
+                  <input
+                    type="date"
+                    value={form.expectedHarvestDate}
+                    onChange={(e) => setForm({ ...form, expectedHarvestDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Target Yield / Acre</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={form.targetYieldPerAcre}
+                    onChange={(e) => setForm({ ...form, targetYieldPerAcre: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Yield Unit</label>
+                  <input
+                    type="text"
+                    value={form.yieldUnit}
+                    onChange={(e) => setForm({ ...form, yieldUnit: e.target.value })}
+                    className="input"
+                    placeholder="bu, tons, bales"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={!form.tractId || !form.season || !form.crop || saving}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Create Plan'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+export { default as CropPlansList } from './CropPlansList';
+export { default as CropPlanDetail } from './CropPlanDetail';
@@ -0,0 +1,359 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { spatialFeaturesApi } from '../../../../../services/api';
+import { formatFeet } from '../../../../../utils/geometry';
+import { FEATURE_TYPES, FENCE_TYPES, CONDITIONS, conditionColors } from './featureOptions';
+
+const MAINTENANCE_ACTIONS = ['INSPECTION', 'REPAIR', 'REPLACEMENT', 'CLEANING', 'OTHER'];
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString() : '-';
+};
+
+const todayInput = () => new Date().toISOString().split('T')[0];
+const labelFor = (options, value) => options.find((o) => o.value === value)?.label || value;
+
+/**
+ * Details, maintenance log and check tasks for one map feature
+ */
+export default function FeatureDetail({ featureId, tracts = [], structures = [], assets = [], onEdit, onRemove, onChanged }) {
+  const [feature, setFeature] = useState(null);
+  const [maintenance, setMaintenance] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [panel, setPanel] = useState(null); // 'maintenance' | 'task'
+  const [saving, setSaving] = useState(false);
+  const [entry, setEntry] = useState({ action: 'INSPECTION', date: todayInput(), condition: '', cost: '', notes: '' });
+  const [check, setCheck] = useState({ scheduledDate: todayInput(), priority: 'MEDIUM', notes: '' });
+
+  const fetchFeature = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await spatialFeaturesApi.get(featureId);
+      setFeature(response.data?.feature || null);
+      setMaintenance(response.data?.maintenance || []);
+      setTasks(response.data?.tasks || []);
+    } catch (error) {
+      console.error('Error fetching feature:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [featureId]);
+
+  useEffect(() => {
+    fetchFeature();
+  }, [fetchFeature]);
+
+  const handleLogMaintenance = async () => {
+    setSaving(true);
+    try {
+      await spatialFeaturesApi.logMaintenance(featureId, {
+        action: entry.action,
+        date: entry.date,
+        condition: entry.condition || undefined,
+        cost: entry.cost ? parseFloat(entry.cost) : undefined,
+        notes: entry.notes || undefined,
+      });
+      setPanel(null);
+      setEntry({ action: 'INSPECTION', date: todayInput(), condition: '', cost: '', notes: '' });
+      fetchFeature();
+      onChanged?.();
+    } catch (error) {
+      alert('Failed to log maintenance: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleScheduleCheck = async () => {
+    setSaving(true);
+    try {
+      await spatialFeaturesApi.scheduleCheck(featureId, {
+        scheduledDate: check.scheduledDate,
+        priority: check.priority,
+        notes: check.notes || undefined,
+      });
+      setPanel(null);
+      setCheck({ scheduledDate: todayInput(), priority: 'MEDIUM', notes: '' });
+      fetchFeature();
+    } catch (error) {
+      alert('Failed to schedule check: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !feature) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex justify-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!feature) {
+    return null;
+  }
+
+  const tract = tracts.find((t) => t.id === feature.landTractId);
+  const linkedStructures = structures.filter((s) => feature.structureIds?.includes(s.id));
+  const linkedAssets = assets.filter((a) => feature.assetIds?.includes(a.id));
+
+  const details = [
+    ['Length', feature.lengthFeet != null ? formatFeet(feature.lengthFeet) : null],
+    ['Fence type', feature.fenceType ? labelFor(FENCE_TYPES, feature.fenceType) : null],
+    ['Strands', feature.strands],
+    ['Height', feature.heightInches != null ? `${feature.heightInches} in` : null],
+    ['Capacity', feature.capacityGallons != null ? `${Number(feature.capacityGallons).toLocaleString()} gal` : null],
+    ['Depth', feature.depthFeet != null ? `${feature.depthFeet} ft` : null],
+    ['Diameter', feature.diameterInches != null ? `${feature.diameterInches} in` : null],
+    ['Material', feature.material],
+    ['Installed', feature.installedDate ? formatDate(feature.installedDate) : null],
+    ['Last inspected', formatDate(feature.lastInspectedAt)],
+    ['Last maintenance', formatDate(feature.lastMaintenanceAt)],
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">{feature.name}</h3>
+            <div className="mt-1 flex items-center gap-2 text-sm text-gray-500">
+              <span>{labelFor(FEATURE_TYPES, feature.type)}</span>
+              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${conditionColors[feature.condition] || conditionColors.GOOD}`}>
+                {labelFor(CONDITIONS, feature.condition)}
+              </span>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onEdit(feature)} className="text-sm text-green-600 hover:text-green-700">
+              Edit
+            </button>
+            <button onClick={() => onRemove(feature)} className="text-sm text-red-600 hover:text-red-700">
+              Remove
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+          {tract && (
+            <>
+              <dt className="text-gray-500">Land tract</dt>
+              <dd className="text-gray-900">
+                <Link to={`/app/assets/land/tracts/${tract.id}`} className="text-green-600 hover:text-green-700">
+                  {tract.name}
+                </Link>
+              </dd>
+            </>
+          )}
+          {details.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="text-gray-900">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {(linkedStructures.length > 0 || linkedAssets.length > 0) && (
+          <div>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Linked</h4>
+            <div className="flex flex-wrap gap-2">
+              {linkedStructures.map((structure) => (
+                <Link
+                  key={structure.id}
+                  to={`/app/assets/land/structures/${structure.id}`}
+                  className="inline-flex items-center px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-700 hover:bg-gray-200"
+                >
+                  {structure.name}
+                </Link>
+              ))}
+              {linkedAssets.map((asset) => (
+                <span key={asset.id} className="inline-flex items-center px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-700">
+                  {asset.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {feature.notes && <p className="text-sm text-gray-600">{feature.notes}</p>}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => setPanel(panel === 'task' ? null : 'task')}
+            className="flex-1 px-3 py-2 text-sm font-medium rounded-lg border border-gray-300 hover:bg-gray-50"
+          >
+            {feature.type === 'FENCE' ? 'Schedule Fence Check' : 'Schedule Check'}
+          </button>
+          <button
+            onClick={() => setPanel(panel === 'maintenance' ? null : 'maintenance')}
+            className="flex-1 px-3 py-2 text-sm font-medium rounded-lg bg-green-600 text-white hover:bg-green-700"
+          >
+            Log Maintenance
+          </button>
+        </div>
+
+        {panel === 'task' && (
+          <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  value={check.scheduledDate}
+                  onChange={(e) => setCheck({ ...check, scheduledDate: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Priority</label>
+                <select
+                  value={check.priority}
+                  onChange={(e) => setCheck({ ...check, priority: e.target.value })}
+                  className="input"
+                >
+                  {PRIORITIES.map((p) => (
+                    <option key={p} value={p}>{p}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <input
+              type="text"
+              value={check.notes}
+              onChange={(e) => setCheck({ ...check, notes: e.target.value })}
+              className="input"
+              placeholder="Notes for the crew"
+            />
+            <button
+              onClick={handleScheduleCheck}
+              disabled={!check.scheduledDate || saving}
+              className="w-full px-3 py-2 text-sm font-medium rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Scheduling...' : 'Add Task'}
+            </button>
+          </div>
+        )}
+
+        {panel === 'maintenance' && (
+          <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Action</label>
+                <select
+                  value={entry.action}
+                  onChange={(e) => setEntry({ ...entry, action: e.target.value })}
+                  className="input"
+                >
+                  {MAINTENANCE_ACTIONS.map((a) => (
+                    <option key={a} value={a}>{a}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  value={entry.date}
+                  onChange={(e) => setEntry({ ...entry, date: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Condition Found</label>
+                <select
+                  value={entry.condition}
+                  onChange={(e) => setEntry({ ...entry, condition: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Unchanged</option>
+                  {CONDITIONS.map((c) => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Cost</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={entry.cost}
+                  onChange={(e) => setEntry({ ...entry, cost: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+            <textarea
+              rows={2}
+              value={entry.notes}
+              onChange={(e) => setEntry({ ...entry, notes: e.target.value })}
+              className="input"
+              placeholder="What was found or done"
+            />
+            <button
+              onClick={handleLogMaintenance}
+              disabled={saving}
+              className="w-full px-3 py-2 text-sm font-medium rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Entry'}
+            </button>
+          </div>
+        )}
+
+        {/* Check tasks */}
+        {tasks.length > 0 && (
+          <div>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-2">Tasks</h4>
+            <ul className="divide-y divide-gray-100">
+              {tasks.slice(0, 5).map((task) => (
+                <li key={task.id} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-900">{formatDate(task.scheduledDate)}</span>
+                  <span className="text-xs text-gray-500">{task.status}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Maintenance log */}
+        <div>
+          <h4 className="text-xs font-semibold text-gray-500 uppercase mb-2">Maintenance Log</h4>
+          {maintenance.length === 0 ? (
+            <p className="text-sm text-gray-500">No maintenance logged yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {maintenance.map((item) => (
+                <li key={item.id} className="py-2 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">{item.action}</span>
+                    <span className="text-gray-500">{formatDate(item.date)}</span>
+                  </div>
+                  {(item.condition || item.cost != null) && (
+                    <p className="text-xs text-gray-500">
+                      {item.condition && labelFor(CONDITIONS, item.condition)}
+                      {item.condition && item.cost != null && ' · '}
+                      {item.cost != null && `$${Number(item.cost).toFixed(2)}`}
+                    </p>
+                  )}
+                  {item.notes && <p className="text-gray-600">{item.notes}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+import { useState, useCallback } from 'react';
+import { FeatureDrawer } from '../../../../../components/maps';
+import { spatialFeaturesApi } from '../../../../../services/api';
+import { formatFeet, calculateLineLength } from '../../../../../utils/geometry';
+import { FEATURE_TYPES, FENCE_TYPES, CONDITIONS } from './featureOptions';
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+const toNumber = (value) => (value === '' ? null : parseFloat(value));
+
+const buildForm = (feature) => ({
+  type: feature?.type || 'FENCE',
+  name: feature?.name || '',
+  landTractId: feature?.landTractId || '',
+  condition: feature?.condition || 'GOOD',
+  fenceType: feature?.fenceType || 'BARBED_WIRE',
+  strands: toInput(feature?.strands),
+  heightInches: toInput(feature?.heightInches),
+  capacityGallons: toInput(feature?.capacityGallons),
+  depthFeet: toInput(feature?.depthFeet),
+  diameterInches: toInput(feature?.diameterInches),
+  material: feature?.material || '',
+  installedDate: feature?.installedDate ? String(feature.installedDate).slice(0, 10) : '',
+  structureIds: feature?.structureIds || [],
+  assetIds: feature?.assetIds || [],
+  notes: feature?.notes || '',
+});
+
+/**
+ * Create or edit a fence, pipeline, tank, gate or well on a site map
+ */
+export default function FeatureModal({
+  site,
+  feature = null,
+  tracts = [],
+  structures = [],
+  assets = [],
+  otherFeatures = [],
+  center = null,
+  onClose,
+  onSaved,
+}) {
+  const [form, setForm] = useState(() => buildForm(feature));
+  const [geometry, setGeometry] = useState(feature?.geometry || null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const typeConfig = FEATURE_TYPES.find((t) => t.value === form.type);
+  const isLine = typeConfig.geometry === 'LineString';
+
+  const handleGeometryChange = useCallback((next) => setGeometry(next), []);
+
+  const toggleLink = (field, id) => {
+    const current = form[field];
+    setForm({
+      ...form,
+      [field]: current.includes(id) ? current.filter((v) => v !== id) : [...current, id],
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const details = {
+      name: form.name,
+      landTractId: form.landTractId || null,
+      geometry,
+      condition: form.condition,
+      installedDate: form.installedDate || null,
+      structureIds: form.structureIds,
+      assetIds: form.assetIds,
+      notes: form.notes || null,
+    };
+    if (form.type === 'FENCE') {
+      Object.assign(details, {
+        fenceType: form.fenceType,
+        strands: form.strands === '' ? null : parseInt(form.strands),
+        heightInches: toNumber(form.heightInches),
+      });
+    }
+    if (form.type === 'WATER_TANK') details.capacityGallons = toNumber(form.capacityGallons);
+    if (form.type === 'WELL') details.depthFeet = toNumber(form.depthFeet);
+    if (form.type === 'PIPELINE') details.diameterInches = toNumber(form.diameterInches);
+    if (form.type === 'PIPELINE' || form.type === 'WATER_TANK') details.material = form.material || null;
+
+    try {
+      const response = feature
+        ? await spatialFeaturesApi.update(feature.id, details)
+        : await spatialFeaturesApi.create({ ...details, siteId: site.id, type: form.type });
+      onSaved(response.data?.feature);
+    } catch (err) {
+      setError(err.message || 'Failed to save feature');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const numberInput = (field, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="number"
+        min="0"
+        value={form[field]}
+        onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+        className="input"
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-4xl shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {feature ? `Edit ${feature.name}` : `New Feature on ${site.name}`}
+        </h3>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          {/* Map */}
+          <div className="lg:col-span-3">
+            <FeatureDrawer
+              geometryType={typeConfig.geometry}
+              featureType={form.type}
+              initialGeometry={feature?.geometry || null}
+              referenceGeometry={site.boundaryGeometry || null}
+              existingFeatures={otherFeatures}
+              center={center}
+              onGeometryChange={handleGeometryChange}
+              height="420px"
+            />
+            {isLine && geometry && (
+              <p className="mt-2 text-sm text-gray-500">
+                Length: {formatFeet(calculateLineLength(geometry).feet)} (final length is measured on save)
+              </p>
+            )}
+          </div>
+
+          {/* Details */}
+          <div className="lg:col-span-2 space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => {
+                    setForm({ ...form, type: e.target.value });
+                    setGeometry(null);
+                  }}
+                  disabled={!!feature}
+                  className="input"
+                >
+                  {FEATURE_TYPES.map((t) => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Condition</label>
+                <select
+                  value={form.condition}
+                  onChange={(e) => setForm({ ...form, condition: e.target.value })}
+                  className="input"
+                >
+                  {CONDITIONS.map((c) => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="input"
+                placeholder={isLine ? 'North pasture fence' : 'Windmill tank'}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Land Tract</label>
+              <select
+                value={form.landTractId}
+                onChange={(e) => setForm({ ...form, landTractId: e.target.value })}
+                className="input"
+              >
+                <option value="">None</option>
+                {tracts.map((tract) => (
+                  <option key={tract.id} value={tract.id}>{tract.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {form.type === 'FENCE' && (
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Fence Type</label>
+                  <select
+                    value={form.fenceType}
+                    onChange={(e) => setForm({ ...form, fenceType: e.target.value })}
+                    className="input"
+                  >
+                    {FENCE_TYPES.map((t) => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {numberInput('strands', 'Strands', { step: '1' })}
+                {numberInput('heightInches', 'Height (in)')}
+              </div>
+            )}
+
+            {form.type === 'WATER_TANK' && (
+              <div className="grid grid-cols-2 gap-4">
+                {numberInput('capacityGallons', 'Capacity (gal)')}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Material</label>
+                  <input
+                    type="text"
+                    value={form.material}
+                    onChange={(e) => setForm({ ...form, material: e.target.value })}
+                    className="input"
+                    placeholder="Poly, steel, concrete"
+                  />
+                </div>
+              </div>
+            )}
+
+            {form.type === 'WELL' && numberInput('depthFeet', 'Depth (ft)')}
+
+            {form.type === 'PIPELINE' && (
+              <div className="grid grid-cols-2 gap-4">
+                {numberInput('diameterInches', 'Diameter (in)', { step: '0.25' })}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Material</label>
+                  <input
+                    type="text"
+                    value={form.material}
+                    onChange={(e) => setForm({ ...form, material: e.target.value })}
+                    className="input"
+                    placeholder="PVC, poly"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Installed</label>
+              <input
+                type="date"
+                value={form.installedDate}
+                onChange={(e) => setForm({ ...form, installedDate: e.target.value })}
+                className="input"
+              />
+            </div>
+
+            {structures.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Linked Structures</label>
+                <div className="max-h-28 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+                  {structures.map((structure) => (
+                    <label key={structure.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.structureIds.includes(structure.id)}
+                        onChange={() => toggleLink('structureIds', structure.id)}
+                        className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                      />
+                      {structure.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {assets.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Linked Assets</label>
+                <div className="max-h-28 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+                  {assets.map((asset) => (
+                    <label key={asset.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.assetIds.includes(asset.id)}
+                        onChange={() => toggleLink('assetIds', asset.id)}
+                        className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                      />
+                      {asset.name}
+                      <span className="text-xs text-gray-400">{asset.assetType}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <textarea
+                rows={2}
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form.name.trim() || !geometry || saving}
+            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : feature ? 'Save Changes' : 'Add Feature'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,301 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { LandNav } from '../../../../../components/land';
+import { MapsProvider, SiteMap } from '../../../../../components/maps';
+import { spatialFeaturesApi, landTractsApi, structuresApi, assetsApi } from '../../../../../services/api';
+import { useSite } from '../../../../../contexts/SiteContext';
+import { formatFeet } from '../../../../../utils/geometry';
+import FeatureModal from './FeatureModal';
+import FeatureDetail from './FeatureDetail';
+import { FEATURE_TYPES, CONDITIONS, conditionColors } from './featureOptions';
+
+const siteCenter = (site) => {
+  if (site?.boundaryCentroid?.lat) return site.boundaryCentroid;
+  if (site?.coordinates?.latitude) return { lat: site.coordinates.latitude, lng: site.coordinates.longitude };
+  return null;
+};
+
+const labelFor = (options, value) => options.find((o) => o.value === value)?.label || value;
+
+export default function SiteFeatures() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { sites } = useSite();
+
+  const [siteId, setSiteId] = useState(searchParams.get('siteId') || '');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [features, setFeatures] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [tracts, setTracts] = useState([]);
+  const [structures, setStructures] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [modalFeature, setModalFeature] = useState(undefined); // undefined = closed, null = new
+
+  // Default to the first site
+  useEffect(() => {
+    if (!siteId && sites?.length) {
+      setSiteId(sites[0].id);
+    }
+  }, [siteId, sites]);
+
+  const site = sites?.find((s) => s.id === siteId);
+
+  const fetchFeatures = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      setLoading(true);
+      const [featuresRes, summaryRes] = await Promise.all([
+        spatialFeaturesApi.list({ siteId }),
+        spatialFeaturesApi.getSummary({ siteId }),
+      ]);
+      setFeatures(featuresRes.data?.features || []);
+      setSummary(summaryRes.data?.summary || null);
+    } catch (error) {
+      console.error('Error fetching features:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [siteId]);
+
+  // Tracts, structures and assets for the map and the link pickers
+  const fetchSiteContext = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const [tractsRes, structuresRes, assetsRes] = await Promise.all([
+        landTractsApi.list({ siteId, limit: 500 }),
+        structuresApi.list(),
+        assetsApi.list({ siteId, limit: 500 }),
+      ]);
+      const siteTracts = tractsRes.data?.tracts || [];
+      const tractIds = new Set(siteTracts.map((t) => t.id));
+      setTracts(siteTracts);
+      setStructures((structuresRes.data?.structures || []).filter((s) => tractIds.has(s.landTractId)));
+      setAssets(assetsRes.data?.assets || []);
+    } catch (error) {
+      console.error('Error fetching site details:', error);
+    }
+  }, [siteId]);
+
+  useEffect(() => {
+    setSelectedId(null);
+    fetchFeatures();
+    fetchSiteContext();
+  }, [fetchFeatures, fetchSiteContext]);
+
+  const handleSiteChange = (value) => {
+    setSiteId(value);
+    const params = new URLSearchParams(searchParams);
+    params.set('siteId', value);
+    setSearchParams(params);
+  };
+
+  const handleSaved = (feature) => {
+    setModalFeature(undefined);
+    if (feature) setSelectedId(feature.id);
+    fetchFeatures();
+  };
+
+  const handleRemove = async (feature) => {
+    if (!window.confirm(`Remove ${feature.name} from the map? Its maintenance log is kept.`)) return;
+    try {
+      await spatialFeaturesApi.delete(feature.id);
+      setSelectedId(null);
+      fetchFeatures();
+    } catch (error) {
+      alert('Failed to remove feature: ' + error.message);
+    }
+  };
+
+  const visibleFeatures = typeFilter ? features.filter((f) => f.type === typeFilter) : features;
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Map Features</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Fences, pipelines, water tanks, gates and wells with their upkeep
+            </p>
+          </div>
+          <button
+            onClick={() => setModalFeature(null)}
+            disabled={!site}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+          >
+            + Add Feature
+          </button>
+        </div>
+      </div>
+
+      <LandNav />
+
+      <MapsProvider>
+        {/* Filters */}
+        <div className="mb-6 flex flex-wrap gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Site</label>
+            <select
+              value={siteId}
+              onChange={(e) => handleSiteChange(e.target.value)}
+              className="block w-48 rounded-md border-gray-300 shadow-sm focus:border-green-500 focus:ring-green-500 text-sm"
+            >
+              {sites?.map((s) => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Type</label>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="block w-40 rounded-md border-gray-300 shadow-sm focus:border-green-500 focus:ring-green-500 text-sm"
+            >
+              <option value="">All</option>
+              {FEATURE_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Summary */}
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-xs font-medium text-gray-500 uppercase">Fence</p>
+              <p className="mt-1 text-xl font-semibold text-gray-900">{summary.fenceMiles} mi</p>
+              <p className="text-xs text-gray-500">{formatFeet(summary.fenceFeet)}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-xs font-medium text-gray-500 uppercase">Pipeline</p>
+              <p className="mt-1 text-xl font-semibold text-gray-900">{formatFeet(summary.pipelineFeet)}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-xs font-medium text-gray-500 uppercase">Water</p>
+              <p className="mt-1 text-xl font-semibold text-gray-900">
+                {(summary.counts.WATER_TANK || 0) + (summary.counts.WELL || 0)}
+              </p>
+              <p className="text-xs text-gray-500">
+                {summary.counts.WATER_TANK || 0} tanks, {summary.counts.WELL || 0} wells
+              </p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-xs font-medium text-gray-500 uppercase">Gates</p>
+              <p className="mt-1 text-xl font-semibold text-gray-900">{summary.counts.GATE || 0}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-xs font-medium text-gray-500 uppercase">Needs Repair</p>
+              <p className={`mt-1 text-xl font-semibold ${summary.needsRepair > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {summary.needsRepair}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {!site ? (
+          <div className="bg-white rounded-lg shadow p-12 text-center">
+            <h3 className="text-sm font-medium text-gray-900">No Sites</h3>
+            <p className="mt-1 text-sm text-gray-500">Create a site before mapping its features.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 space-y-6">
+              <SiteMap
+                siteGeometry={site.boundaryGeometry || null}
+                landTracts={tracts}
+                features={visibleFeatures}
+                center={siteCenter(site)}
+                onFeatureClick={(feature) => setSelectedId(feature.id)}
+                selectedFeatureId={selectedId}
+                height="480px"
+              />
+
+              {loading ? (
+                <div className="flex justify-center py-12">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+                </div>
+              ) : visibleFeatures.length === 0 ? (
+                <div className="bg-white rounded-lg shadow p-12 text-center">
+                  <h3 className="text-sm font-medium text-gray-900">No Features</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Draw fences and pipelines or place tanks, gates and wells on the site map.
+                  </p>
+                </div>
+              ) : (
+                <div className="bg-white shadow rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Length</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Condition</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {visibleFeatures.map((feature) => (
+                        <tr
+                          key={feature.id}
+                          onClick={() => setSelectedId(feature.id)}
+                          className={`cursor-pointer ${feature.id === selectedId ? 'bg-green-50' : 'hover:bg-gray-50'}`}
+                        >
+                          <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{feature.name}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{labelFor(FEATURE_TYPES, feature.type)}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-500">
+                            {feature.lengthFeet != null ? formatFeet(feature.lengthFeet) : '-'}
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap">
+                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${conditionColors[feature.condition] || conditionColors.GOOD}`}>
+                              {labelFor(CONDITIONS, feature.condition)}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div>
+              {selectedId ? (
+                <FeatureDetail
+                  key={selectedId}
+                  featureId={selectedId}
+                  tracts={tracts}
+                  structures={structures}
+                  assets={assets}
+                  onEdit={(feature) => setModalFeature(feature)}
+                  onRemove={handleRemove}
+                  onChanged={fetchFeatures}
+                />
+              ) : (
+                <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+                  Select a feature on the map or in the list to see its maintenance log and schedule checks.
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {modalFeature !== undefined && site && (
+          <FeatureModal
+            site={site}
+            feature={modalFeature}
+            tracts={tracts}
+            structures={structures}
+            assets={assets}
+            otherFeatures={features.filter((f) => f.id !== modalFeature?.id)}
+            center={siteCenter(site)}
+            onClose={() => setModalFeature(undefined)}
+            onSaved={handleSaved}
+          />
+        )}
+      </MapsProvider>
+    </div>
+  );
+}
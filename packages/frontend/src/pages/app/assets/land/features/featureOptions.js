@@ -0,0 +1,38 @@
+/**
+ * Labels for spatial feature types, fence types and conditions
+ */
+
+export const FEATURE_TYPES = [
+  { value: 'FENCE', label: 'Fence', geometry: 'LineString' },
+  { value: 'PIPELINE', label: 'Pipeline', geometry: 'LineString' },
+  { value: 'WATER_TANK', label: 'Water Tank', geometry: 'Point' },
+  { value: 'GATE', label: 'Gate', geometry: 'Point' },
+  { value: 'WELL', label: 'Well', geometry: 'Point' },
+];
+
+export const FENCE_TYPES = [
+  { value: 'BARBED_WIRE', label: 'Barbed wire' },
+  { value: 'WOVEN_WIRE', label: 'Woven wire' },
+  { value: 'HIGH_TENSILE', label: 'High tensile' },
+  { value: 'ELECTRIC', label: 'Electric' },
+  { value: 'BOARD', label: 'Board' },
+  { value: 'PIPE', label: 'Pipe' },
+  { value: 'PANEL', label: 'Panel' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+export const CONDITIONS = [
+  { value: 'GOOD', label: 'Good' },
+  { value: 'FAIR', label: 'Fair' },
+  { value: 'POOR', label: 'Poor' },
+  { value: 'NEEDS_REPAIR', label: 'Needs repair' },
+  { value: 'OUT_OF_SERVICE', label: 'Out of service' },
+];
+
+export const conditionColors = {
+  GOOD: 'bg-green-100 text-green-800',
+  FAIR: 'bg-yellow-100 text-yellow-800',
+  POOR: 'bg-orange-100 text-orange-800',
+  NEEDS_REPAIR: 'bg-red-100 text-red-800',
+  OUT_OF_SERVICE: 'bg-gray-200 text-gray-800',
+};
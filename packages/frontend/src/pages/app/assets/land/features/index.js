@@ -0,0 +1 @@
+export { default as SiteFeatures } from './SiteFeatures';
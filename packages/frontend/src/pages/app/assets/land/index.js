@@ -2,3 +2,6 @@ export { default as LandOverview } from './LandOverview';
 export * from './sites';
 export * from './tracts';
 export * from './structures';
+export * from './crops';
+export * from './boundaries';
+export * from './features';
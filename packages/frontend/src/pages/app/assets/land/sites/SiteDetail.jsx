@@ -3,12 +3,15 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { MapsProvider, PolygonDrawer, SiteMap } from '../../../../../components/maps';
 import { sitesApi, landTractsApi } from '../../../../../services/api';
 import { useSite } from '../../../../../contexts/SiteContext';
+import { useAuth } from '../../../../../contexts/AuthContext';
 import { calculateCentroid, formatAcres } from '../../../../../utils/geometry';
+import { TIMEZONE_OPTIONS } from '../../../../../utils/timezone';
 
 export default function SiteDetail() {
   const { siteId } = useParams();
   const navigate = useNavigate();
   const { refreshSites } = useSite();
+  const { userProfile } = useAuth();
 
   const [site, setSite] = useState(null);
   const [landTracts, setLandTracts] = useState([]);
@@ -83,6 +86,24 @@ export default function SiteDetail() {
     }
   };
 
+  // Empty timezone = follow the farm's timezone
+  const handleTimezoneChange = async (timezone) => {
+    try {
+      setSaving(true);
+      setError('');
+      await sitesApi.update(siteId, {
+        settings: { ...site.settings, timezone: timezone || null },
+      });
+      await refreshSites();
+      await fetchData();
+    } catch (error) {
+      console.error('Error saving timezone:', error);
+      setError('Failed to save timezone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleArchive = async () => {
     if (!confirm('Are you sure you want to archive this site? This will also archive all land tracts within it.')) {
       return;
@@ -307,6 +328,28 @@ export default function SiteDetail() {
                   <p className="mt-1 text-sm text-gray-900">{site.description}</p>
                 </div>
               )}
+              <div>
+                <h4 className="text-xs font-medium text-gray-500 uppercase">Timezone</h4>
+                <select
+                  value={site.settings?.timezone || ''}
+                  onChange={(e) => handleTimezoneChange(e.target.value)}
+                  disabled={saving}
+                  className="mt-1 block w-full rounded-md border-gray-300 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                >
+                  <option value="">
+                    Farm default{userProfile?.tenant?.timezone ? ` (${userProfile.tenant.timezone})` : ''}
+                  </option>
+                  {site.settings?.timezone && !TIMEZONE_OPTIONS.some((tz) => tz.value === site.settings.timezone) && (
+                    <option value={site.settings.timezone}>{site.settings.timezone}</option>
+                  )}
+                  {TIMEZONE_OPTIONS.map((tz) => (
+                    <option key={tz.value} value={tz.value}>{tz.label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">
+                  When this site&apos;s day starts for tasks and due dates
+                </p>
+              </div>
             </div>
           </div>
 
@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { MapsProvider, SiteMap } from '../../../../../components/maps';
+import { GrazingRotation, FieldCropHistory, SoilTests, TractLineage } from '../../../../../components/land';
+import { AttachmentsPanel } from '../../../../../components/attachments';
 import { landTractsApi, sitesApi, structuresApi } from '../../../../../services/api';
 import { useSite } from '../../../../../contexts/SiteContext';
 import { formatAcres } from '../../../../../utils/geometry';
 import StructureModal from '../structures/StructureModal';
+import SplitTractModal from './SplitTractModal';
+import MergeTractsModal from './MergeTractsModal';
 
 const typeColors = {
   PARCEL: 'bg-blue-100 text-blue-800',
@@ -39,6 +43,9 @@ export default function LandTractDetail() {
   const [error, setError] = useState('');
   const [showStructureModal, setShowStructureModal] = useState(false);
   const [editingStructure, setEditingStructure] = useState(null);
+  const [overlaps, setOverlaps] = useState([]);
+  const [showSplitModal, setShowSplitModal] = useState(false);
+  const [showMergeModal, setShowMergeModal] = useState(false);
 
   useEffect(() => {
     fetchData();
@@ -50,6 +57,10 @@ export default function LandTractDetail() {
       const res = await landTractsApi.get(tractId);
       const tractData = res.data?.tract;
       setTract(tractData);
+      setOverlaps([]);
+      if (tractData?.status === 'active') {
+        fetchOverlaps(tractData);
+      }
 
       // Fetch site and structures in parallel
       const promises = [];
@@ -74,6 +85,18 @@ export default function LandTractDetail() {
     }
   };
 
+  // Other tracts on the site whose boundaries overlap this one
+  const fetchOverlaps = async (tractData) => {
+    try {
+      const res = await landTractsApi.getOverlaps({ siteId: tractData.siteId });
+      setOverlaps(
+        (res.data?.overlaps || []).filter((o) => o.tractA.id === tractData.id || o.tractB.id === tractData.id)
+      );
+    } catch (error) {
+      console.error('Error checking overlaps:', error);
+    }
+  };
+
   const fetchStructures = async () => {
     try {
       const res = await structuresApi.list({ landTractId: tractId });
@@ -110,6 +133,16 @@ export default function LandTractDetail() {
     }
   };
 
+  const handleSplit = (result) => {
+    setShowSplitModal(false);
+    navigate(`/app/assets/land/tracts/${result.tracts[0].id}`);
+  };
+
+  const handleMerged = (result) => {
+    setShowMergeModal(false);
+    navigate(`/app/assets/land/tracts/${result.tract.id}`);
+  };
+
   const getSiteName = () => {
     if (site) return site.name;
     const s = sites?.find(s => s.id === tract?.siteId);
@@ -184,23 +217,72 @@ export default function LandTractDetail() {
             </span>
           </div>
         </div>
-        <div className="flex gap-2">
-          <Link
-            to={`/app/assets/land/tracts/${tractId}/edit`}
-            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
-          >
-            Edit
-          </Link>
-          <button
-            onClick={handleArchive}
-            disabled={archiving}
-            className="px-4 py-2 border border-red-300 rounded-md shadow-sm text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
-          >
-            {archiving ? 'Archiving...' : 'Archive'}
-          </button>
-        </div>
+        {tract.status !== 'retired' && (
+          <div className="flex gap-2">
+            <Link
+              to={`/app/assets/land/tracts/${tractId}/edit`}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Edit
+            </Link>
+            {tract.status === 'active' && tract.geometry && (
+              <>
+                <button
+                  onClick={() => setShowSplitModal(true)}
+                  className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Split
+                </button>
+                <button
+                  onClick={() => setShowMergeModal(true)}
+                  className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Merge
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleArchive}
+              disabled={archiving}
+              className="px-4 py-2 border border-red-300 rounded-md shadow-sm text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+            >
+              {archiving ? 'Archiving...' : 'Archive'}
+            </button>
+          </div>
+        )}
       </div>
 
+      {tract.status === 'retired' && (
+        <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-md">
+          <p className="text-sm text-gray-700">
+            This tract was {tract.retiredReason === 'MERGE' ? 'merged into another tract' : 'split into new tracts'}.
+            Its records are kept here; see Boundary History for the tracts that replaced it.
+          </p>
+        </div>
+      )}
+
+      {overlaps.length > 0 && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <h3 className="text-sm font-medium text-yellow-800">Overlapping Tracts</h3>
+          <ul className="mt-1 space-y-1 text-sm text-yellow-700">
+            {overlaps.map((overlap) => {
+              const isA = overlap.tractA.id === tract.id;
+              const other = isA ? overlap.tractB : overlap.tractA;
+              const percent = isA ? overlap.percentOfA : overlap.percentOfB;
+              return (
+                <li key={other.id}>
+                  Overlaps{' '}
+                  <Link to={`/app/assets/land/tracts/${other.id}`} className="font-medium underline">
+                    {other.name}
+                  </Link>
+                  {' '}by {formatAcres(overlap.overlapAcres, false)} ({percent}% of this tract)
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       {error && (
         <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
           <p className="text-sm text-red-600">{error}</p>
@@ -233,6 +315,25 @@ export default function LandTractDetail() {
           </div>
         </div>
 
+        {/* Grazing Rotation */}
+        {tract.type === 'PASTURE' && (
+          <div className="lg:col-span-2">
+            <GrazingRotation tractId={tractId} siteId={tract.siteId} />
+          </div>
+        )}
+
+        {/* Crop History */}
+        {tract.type === 'FIELD' && (
+          <div className="lg:col-span-2">
+            <FieldCropHistory tractId={tractId} siteId={tract.siteId} />
+          </div>
+        )}
+
+        {/* Soil Tests */}
+        <div className="lg:col-span-2">
+          <SoilTests tractId={tractId} />
+        </div>
+
         {/* Structures Section */}
         <div className="lg:col-span-2 bg-white rounded-lg shadow">
           <div className="p-4 border-b border-gray-200 flex items-center justify-between">
@@ -321,6 +422,10 @@ export default function LandTractDetail() {
 
         {/* Side Panel */}
         <div className="space-y-6">
+          <TractLineage tractId={tractId} />
+
+          <AttachmentsPanel entityType="LAND_TRACT" entityId={tractId} title="Documents & Photos" />
+
           {/* Details */}
           <div className="bg-white rounded-lg shadow">
             <div className="p-4 border-b border-gray-200">
@@ -390,6 +495,20 @@ export default function LandTractDetail() {
                     <p className="mt-1 text-sm text-gray-900">{tract.soil.ph}</p>
                   </div>
                 )}
+                {tract.soil.organicMatterPct && (
+                  <div>
+                    <h4 className="text-xs font-medium text-gray-500 uppercase">Organic Matter</h4>
+                    <p className="mt-1 text-sm text-gray-900">{tract.soil.organicMatterPct}%</p>
+                  </div>
+                )}
+                {tract.soil.lastTestDate && (
+                  <div>
+                    <h4 className="text-xs font-medium text-gray-500 uppercase">Last Soil Test</h4>
+                    <p className="mt-1 text-sm text-gray-900">
+                      {new Date(tract.soil.lastTestDate._seconds ? tract.soil.lastTestDate._seconds * 1000 : tract.soil.lastTestDate).toLocaleDateString()}
+                    </p>
+                  </div>
+                )}
                 {tract.soil.notes && (
                   <div>
                     <h4 className="text-xs font-medium text-gray-500 uppercase">Notes</h4>
@@ -438,6 +557,25 @@ export default function LandTractDetail() {
         landTractId={tractId}
         structure={editingStructure}
       />
+
+      {/* Split / Merge */}
+      <MapsProvider>
+        {showSplitModal && (
+          <SplitTractModal
+            tract={tract}
+            structures={structures}
+            onClose={() => setShowSplitModal(false)}
+            onSplit={handleSplit}
+          />
+        )}
+        {showMergeModal && (
+          <MergeTractsModal
+            tract={tract}
+            onClose={() => setShowMergeModal(false)}
+            onMerged={handleMerged}
+          />
+        )}
+      </MapsProvider>
     </div>
   );
 }
@@ -29,6 +29,7 @@ export default function LandTractsList() {
   const [tracts, setTracts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [overlaps, setOverlaps] = useState([]);
 
   // Filters
   const [siteFilter, setSiteFilter] = useState(searchParams.get('siteId') || '');
@@ -41,6 +42,17 @@ export default function LandTractsList() {
     fetchTracts();
   }, [siteFilter, typeFilter, statusFilter]);
 
+  // Overlaps are checked per site
+  useEffect(() => {
+    if (!siteFilter) {
+      setOverlaps([]);
+      return;
+    }
+    landTractsApi.getOverlaps({ siteId: siteFilter })
+      .then((res) => setOverlaps(res.data?.overlaps || []))
+      .catch((error) => console.error('Error checking overlaps:', error));
+  }, [siteFilter]);
+
   const fetchTracts = async () => {
     try {
       setLoading(true);
@@ -139,6 +151,7 @@ export default function LandTractsList() {
           >
             <option value="active">Active</option>
             <option value="archived">Archived</option>
+            <option value="retired">Split / Merged</option>
           </select>
         </div>
       </div>
@@ -165,6 +178,30 @@ export default function LandTractsList() {
         </div>
       )}
 
+      {overlaps.length > 0 && statusFilter === 'active' && (
+        <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-yellow-800">Overlapping Tracts</h3>
+          <p className="mt-1 text-sm text-yellow-700">
+            These tracts share ground, so acreage and per-acre figures count it twice. Edit a boundary,
+            or split and merge tracts to fix it.
+          </p>
+          <ul className="mt-2 space-y-1 text-sm text-yellow-700">
+            {overlaps.map((overlap) => (
+              <li key={`${overlap.tractA.id}-${overlap.tractB.id}`}>
+                <Link to={`/app/assets/land/tracts/${overlap.tractA.id}`} className="font-medium underline">
+                  {overlap.tractA.name}
+                </Link>
+                {' and '}
+                <Link to={`/app/assets/land/tracts/${overlap.tractB.id}`} className="font-medium underline">
+                  {overlap.tractB.name}
+                </Link>
+                {' '}overlap by {formatAcres(overlap.overlapAcres, false)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {loading ? (
         <div className="flex justify-center py-12">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import { SiteMap } from '../../../../../components/maps';
+import { landTractsApi } from '../../../../../services/api';
+import { formatAcres } from '../../../../../utils/geometry';
+
+const landTypes = [
+  { value: 'PARCEL', label: 'Parcel' },
+  { value: 'FIELD', label: 'Field' },
+  { value: 'PASTURE', label: 'Pasture' },
+  { value: 'INFRASTRUCTURE', label: 'Infrastructure' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+/**
+ * Merge a tract with adjacent tracts on the same site into one new tract
+ */
+export default function MergeTractsModal({ tract, onClose, onMerged }) {
+  const [siteTracts, setSiteTracts] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [form, setForm] = useState({ name: '', code: '', type: tract.type, notes: '' });
+  const [merged, setMerged] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSiteTracts = async () => {
+      try {
+        const res = await landTractsApi.list({ siteId: tract.siteId, limit: 500 });
+        setSiteTracts((res.data?.tracts || []).filter((t) => t.id !== tract.id && t.geometry));
+      } catch (err) {
+        console.error('Error fetching site tracts:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSiteTracts();
+  }, [tract.id, tract.siteId]);
+
+  const selectedTracts = [tract, ...siteTracts.filter((t) => selectedIds.includes(t.id))];
+  const defaultName = selectedTracts.map((t) => t.name).join(' + ');
+
+  const toggleTract = (id) => {
+    setMerged(null);
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter((v) => v !== id) : [...selectedIds, id]);
+  };
+
+  const request = (preview) => ({
+    tractIds: selectedTracts.map((t) => t.id),
+    name: form.name.trim() || defaultName,
+    code: form.code || undefined,
+    type: form.type,
+    notes: form.notes || undefined,
+    preview,
+  });
+
+  const handlePreview = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const res = await landTractsApi.merge(request(true));
+      setMerged(res.data?.part || null);
+    } catch (err) {
+      setError(err.message || 'Failed to preview merge');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const res = await landTractsApi.merge(request(false));
+      onMerged(res.data);
+    } catch (err) {
+      setError(err.message || 'Failed to merge tracts');
+      setWorking(false);
+    }
+  };
+
+  const mapTracts = merged
+    ? [{ id: 'merged', name: form.name.trim() || defaultName, type: form.type, geometry: merged.geometry, centroid: merged.centroid }]
+    : [tract, ...siteTracts];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-4xl shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Merge {tract.name}</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Pick the tracts that share a boundary with this one. The originals are retired and keep their
+          grazing, crop and soil records.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          <div className="lg:col-span-3">
+            <SiteMap
+              landTracts={mapTracts}
+              center={tract.centroid || null}
+              selectedLandId={merged ? null : tract.id}
+              onLandClick={(clicked) => clicked.id !== tract.id && !merged && toggleTract(clicked.id)}
+              height="380px"
+            />
+            {merged && (
+              <p className="mt-2 text-sm text-gray-500">Merged area: {formatAcres(merged.areaAcres)}</p>
+            )}
+          </div>
+
+          <div className="lg:col-span-2 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Merge With</label>
+              {loading ? (
+                <p className="text-sm text-gray-500">Loading tracts...</p>
+              ) : siteTracts.length === 0 ? (
+                <p className="text-sm text-gray-500">No other active tracts on this site.</p>
+              ) : (
+                <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+                  {siteTracts.map((t) => (
+                    <label key={t.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(t.id)}
+                        onChange={() => toggleTract(t.id)}
+                        className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                      />
+                      {t.name}
+                      <span className="text-xs text-gray-400">{formatAcres(t.areaAcres, false)}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="input"
+                placeholder={defaultName}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                <input
+                  type="text"
+                  value={form.code}
+                  onChange={(e) => setForm({ ...form, code: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm({ ...form, type: e.target.value })}
+                  className="input"
+                >
+                  {landTypes.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <textarea
+                rows={2}
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className="input"
+                placeholder="Why the tracts were merged"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={merged ? () => setMerged(null) : onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            {merged ? 'Back' : 'Cancel'}
+          </button>
+          {merged ? (
+            <button
+              onClick={handleMerge}
+              disabled={working}
+              className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {working ? 'Merging...' : 'Merge Tracts'}
+            </button>
+          ) : (
+            <button
+              onClick={handlePreview}
+              disabled={selectedIds.length === 0 || working}
+              className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {working ? 'Checking...' : 'Preview Merge'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
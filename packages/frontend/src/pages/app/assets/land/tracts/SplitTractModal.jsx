@@ -0,0 +1,216 @@
+import { useState, useCallback } from 'react';
+import { FeatureDrawer, SiteMap } from '../../../../../components/maps';
+import { landTractsApi } from '../../../../../services/api';
+import { formatAcres } from '../../../../../utils/geometry';
+
+const landTypes = [
+  { value: 'PARCEL', label: 'Parcel' },
+  { value: 'FIELD', label: 'Field' },
+  { value: 'PASTURE', label: 'Pasture' },
+  { value: 'INFRASTRUCTURE', label: 'Infrastructure' },
+  { value: 'OTHER', label: 'Other' },
+];
+
+/**
+ * Split a tract in two along a drawn line
+ * The line is drawn first, then the two pieces are previewed and named
+ * before anything is saved.
+ */
+export default function SplitTractModal({ tract, structures = [], onClose, onSplit }) {
+  const [line, setLine] = useState(null);
+  const [initialLine, setInitialLine] = useState(null);
+  const [pieces, setPieces] = useState(null);
+  const [parts, setParts] = useState([
+    { name: `${tract.name} A`, code: '', type: tract.type },
+    { name: `${tract.name} B`, code: '', type: tract.type },
+  ]);
+  const [assignments, setAssignments] = useState({});
+  const [notes, setNotes] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleLineChange = useCallback((geometry) => setLine(geometry), []);
+
+  const updatePart = (index, field, value) => {
+    setParts(parts.map((part, i) => (i === index ? { ...part, [field]: value } : part)));
+  };
+
+  const handlePreview = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const res = await landTractsApi.split(tract.id, { line, preview: true });
+      setPieces(res.data?.parts || null);
+    } catch (err) {
+      setError(err.message || 'Failed to preview split');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Keep the drawn line when going back to adjust it
+  const handleBack = () => {
+    setInitialLine(line);
+    setPieces(null);
+  };
+
+  const handleSplit = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const res = await landTractsApi.split(tract.id, {
+        line,
+        parts: parts.map((part) => ({ name: part.name.trim(), code: part.code || undefined, type: part.type })),
+        structureAssignments: assignments,
+        notes: notes || undefined,
+      });
+      onSplit(res.data);
+    } catch (err) {
+      setError(err.message || 'Failed to split tract');
+      setWorking(false);
+    }
+  };
+
+  const previewTracts = (pieces || []).map((piece, index) => ({
+    id: `piece-${index}`,
+    name: parts[index].name,
+    type: parts[index].type,
+    geometry: piece.geometry,
+    centroid: piece.centroid,
+  }));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-4xl shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Split {tract.name}</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {pieces
+            ? 'Name the two new tracts. The original is retired and keeps its grazing, crop and soil records.'
+            : 'Draw a line across the tract. Its ends are extended straight until they leave the boundary.'}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        {!pieces ? (
+          <FeatureDrawer
+            geometryType="LineString"
+            initialGeometry={initialLine}
+            referenceGeometry={tract.geometry}
+            center={tract.centroid || null}
+            onGeometryChange={handleLineChange}
+            height="420px"
+          />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+            <div className="lg:col-span-3">
+              <SiteMap
+                siteGeometry={tract.geometry}
+                landTracts={previewTracts}
+                center={tract.centroid || null}
+                height="380px"
+              />
+            </div>
+
+            <div className="lg:col-span-2 space-y-4">
+              {parts.map((part, index) => (
+                <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h4 className="text-sm font-medium text-gray-900">Piece {index === 0 ? 'A' : 'B'}</h4>
+                    <span className="text-sm text-gray-500">{formatAcres(pieces[index].areaAcres, false)}</span>
+                  </div>
+                  <input
+                    type="text"
+                    value={part.name}
+                    onChange={(e) => updatePart(index, 'name', e.target.value)}
+                    className="input"
+                    placeholder="Name"
+                  />
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="text"
+                      value={part.code}
+                      onChange={(e) => updatePart(index, 'code', e.target.value)}
+                      className="input"
+                      placeholder="Code"
+                    />
+                    <select
+                      value={part.type}
+                      onChange={(e) => updatePart(index, 'type', e.target.value)}
+                      className="input"
+                    >
+                      {landTypes.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              ))}
+
+              {structures.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Structures</label>
+                  <div className="space-y-2">
+                    {structures.map((structure) => (
+                      <div key={structure.id} className="flex items-center justify-between gap-3 text-sm">
+                        <span className="text-gray-700">{structure.name}</span>
+                        <select
+                          value={assignments[structure.id] ?? 0}
+                          onChange={(e) => setAssignments({ ...assignments, [structure.id]: parseInt(e.target.value) })}
+                          className="input w-40"
+                        >
+                          {parts.map((part, index) => (
+                            <option key={index} value={index}>{part.name || `Piece ${index === 0 ? 'A' : 'B'}`}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">Map features move to the piece they are drawn in.</p>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={2}
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  className="input"
+                  placeholder="Why the tract was split"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={pieces ? handleBack : onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            {pieces ? 'Back' : 'Cancel'}
+          </button>
+          {pieces ? (
+            <button
+              onClick={handleSplit}
+              disabled={working || parts.some((part) => !part.name.trim())}
+              className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {working ? 'Splitting...' : 'Split Tract'}
+            </button>
+          ) : (
+            <button
+              onClick={handlePreview}
+              disabled={!line || working}
+              className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {working ? 'Checking...' : 'Preview Split'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
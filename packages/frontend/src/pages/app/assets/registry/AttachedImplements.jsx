@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { assetsApi } from '../../../../services/api';
+
+/**
+ * Implements currently hooked onto a vehicle or piece of equipment
+ */
+export default function AttachedImplements({ hostId, onChange }) {
+  const [implementsList, setImplementsList] = useState([]);
+  const [available, setAvailable] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchImplements = useCallback(async () => {
+    try {
+      const response = await assetsApi.list({ assetType: 'EQUIPMENT', status: 'ACTIVE', limit: 500 });
+      const equipment = response.data?.assets || [];
+      setImplementsList(equipment.filter((item) => item.attachedToId === hostId));
+      setAvailable(equipment.filter((item) => item.isImplement && item.id !== hostId && item.attachedToId !== hostId));
+    } catch (err) {
+      console.error('Error fetching implements:', err);
+    }
+  }, [hostId]);
+
+  useEffect(() => {
+    fetchImplements();
+  }, [fetchImplements]);
+
+  const handleAttach = async () => {
+    if (!selectedId) return;
+    try {
+      setSaving(true);
+      await assetsApi.attach(selectedId, hostId);
+      setSelectedId('');
+      fetchImplements();
+      onChange?.();
+    } catch (err) {
+      alert('Failed to attach: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDetach = async (item) => {
+    try {
+      await assetsApi.detach(item.id);
+      fetchImplements();
+      onChange?.();
+    } catch (err) {
+      alert('Failed to detach: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Attached Implements</h2>
+
+      {implementsList.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">Nothing attached.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {implementsList.map((item) => (
+            <li key={item.id} className="py-2 flex items-center justify-between text-sm">
+              <Link to={`/app/assets/equipment/${item.id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                {item.name}
+              </Link>
+              <button onClick={() => handleDetach(item)} className="text-gray-500 hover:text-red-600">
+                Detach
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {available.length > 0 && (
+        <div className="flex gap-2">
+          <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} className="input flex-1">
+            <option value="">Attach an implement...</option>
+            {available.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+                {item.attachedToName ? ` (on ${item.attachedToName})` : ''}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleAttach} disabled={!selectedId || saving} className="btn-secondary">
+            Attach
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
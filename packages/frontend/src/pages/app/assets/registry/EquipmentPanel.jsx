@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { assetsApi } from '../../../../services/api';
+import AttachedImplements from './AttachedImplements';
+import { formatDate } from './assetTypes';
+
+const hostPath = (asset) =>
+  asset.attachedToType === 'VEHICLE'
+    ? `/app/assets/vehicles/${asset.attachedToId}`
+    : `/app/assets/equipment/${asset.attachedToId}`;
+
+/**
+ * Engine hours, meter readings and attachments for a piece of equipment
+ */
+export default function EquipmentPanel({ asset, readings, onChange }) {
+  const [hosts, setHosts] = useState([]);
+  const [hostId, setHostId] = useState('');
+  const [showReading, setShowReading] = useState(false);
+  const [reading, setReading] = useState({ engineHours: '', readAt: '', notes: '', isCorrection: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!asset.isImplement) return;
+
+    const fetchHosts = async () => {
+      try {
+        const [vehiclesRes, equipmentRes] = await Promise.all([
+          assetsApi.list({ assetType: 'VEHICLE', status: 'ACTIVE', limit: 500 }),
+          assetsApi.list({ assetType: 'EQUIPMENT', status: 'ACTIVE', limit: 500 }),
+        ]);
+        setHosts([
+          ...(vehiclesRes.data?.assets || []),
+          ...(equipmentRes.data?.assets || []).filter((item) => !item.isImplement && item.id !== asset.id),
+        ]);
+      } catch (err) {
+        console.error('Error fetching hosts:', err);
+      }
+    };
+    fetchHosts();
+  }, [asset.id, asset.isImplement]);
+
+  const handleAttach = async () => {
+    try {
+      setSaving(true);
+      await assetsApi.attach(asset.id, hostId);
+      setHostId('');
+      onChange();
+    } catch (err) {
+      alert('Failed to attach: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDetach = async () => {
+    try {
+      await assetsApi.detach(asset.id);
+      onChange();
+    } catch (err) {
+      alert('Failed to detach: ' + err.message);
+    }
+  };
+
+  const handleSaveReading = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await assetsApi.recordMeterReading(asset.id, {
+        engineHours: parseFloat(reading.engineHours),
+        readAt: reading.readAt || undefined,
+        notes: reading.notes || undefined,
+        isCorrection: reading.isCorrection,
+      });
+      setShowReading(false);
+      setReading({ engineHours: '', readAt: '', notes: '', isCorrection: false });
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      {/* Meter */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Engine Hours</h2>
+          <button onClick={() => setShowReading(!showReading)} className="btn-secondary">
+            Log Reading
+          </button>
+        </div>
+
+        <p className="text-3xl font-semibold text-gray-900">
+          {asset.engineHours?.value ? `${asset.engineHours.value.toLocaleString()} hrs` : '-'}
+        </p>
+        {asset.engineHours?.recordedAt && (
+          <p className="text-sm text-gray-500">as of {formatDate(asset.engineHours.recordedAt)}</p>
+        )}
+
+        {showReading && (
+          <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="label">Hours</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={reading.engineHours}
+                  onChange={(e) => setReading({ ...reading, engineHours: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Date</label>
+                <input
+                  type="date"
+                  value={reading.readAt}
+                  onChange={(e) => setReading({ ...reading, readAt: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+            <input
+              type="text"
+              value={reading.notes}
+              onChange={(e) => setReading({ ...reading, notes: e.target.value })}
+              placeholder="Notes"
+              className="input"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={reading.isCorrection}
+                onChange={(e) => setReading({ ...reading, isCorrection: e.target.checked })}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Correction (allows a lower reading)
+            </label>
+            <div className="flex justify-end">
+              <button
+                onClick={handleSaveReading}
+                disabled={saving || reading.engineHours === ''}
+                className="btn-primary"
+              >
+                {saving ? 'Saving...' : 'Save Reading'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {readings.length > 0 && (
+          <ul className="mt-4 space-y-2 text-sm">
+            {readings.map((entry) => (
+              <li key={entry.id} className="flex justify-between">
+                <span className="text-gray-500">{formatDate(entry.readAt)}</span>
+                <span className="text-gray-900">
+                  {entry.engineHours.toLocaleString()} hrs
+                  {entry.isCorrection && <span className="ml-1 text-xs text-yellow-700">(corrected)</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Attachments */}
+      {asset.isImplement ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Attached To</h2>
+          {asset.attachedToId ? (
+            <div className="flex items-center justify-between">
+              <div>
+                <Link to={hostPath(asset)} className="font-medium text-gray-900 hover:text-primary-600">
+                  {asset.attachedToName}
+                </Link>
+                <p className="text-sm text-gray-500">since {formatDate(asset.attachedAt)}</p>
+              </div>
+              <button onClick={handleDetach} className="btn-secondary">
+                Detach
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 mb-4">Not attached to anything.</p>
+          )}
+
+          <div className="flex gap-2 mt-4">
+            <select value={hostId} onChange={(e) => setHostId(e.target.value)} className="input flex-1">
+              <option value="">{asset.attachedToId ? 'Move to...' : 'Attach to...'}</option>
+              {hosts
+                .filter((host) => host.id !== asset.attachedToId)
+                .map((host) => (
+                  <option key={host.id} value={host.id}>{host.name}</option>
+                ))}
+            </select>
+            <button onClick={handleAttach} disabled={!hostId || saving} className="btn-secondary">
+              Attach
+            </button>
+          </div>
+        </div>
+      ) : (
+        <AttachedImplements hostId={asset.id} onChange={onChange} />
+      )}
+    </div>
+  );
+}
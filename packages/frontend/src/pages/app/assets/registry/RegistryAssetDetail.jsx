@@ -0,0 +1,383 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { AssetStatusBadge } from '../../../../components/assets';
+import { assetsApi } from '../../../../services/api';
+import EquipmentPanel from './EquipmentPanel';
+import ToolCheckoutPanel from './ToolCheckoutPanel';
+import { assetTypeConfig, typeLabel, fenceTypes, formatDate } from './assetTypes';
+
+const formatCurrency = (amount) => {
+  if (!amount) return '-';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+const formatNumber = (value, suffix) =>
+  value !== null && value !== undefined && value !== '' ? `${Number(value).toLocaleString()}${suffix || ''}` : '-';
+
+// Spec rows shown for each infrastructure type
+const infrastructureSpecs = {
+  WELL: [
+    ['Depth', (a) => formatNumber(a.depthFeet, ' ft')],
+    ['Static Water Level', (a) => formatNumber(a.staticWaterLevelFeet, ' ft')],
+    ['Pump', (a) => formatNumber(a.pumpHorsepower, ' hp')],
+    ['Flow', (a) => formatNumber(a.flowGpm, ' gpm')],
+    ['Permit #', (a) => a.permitNumber || '-'],
+  ],
+  PIVOT: [
+    ['Length', (a) => formatNumber(a.lengthFeet, ' ft')],
+    ['Towers', (a) => formatNumber(a.towers)],
+    ['Acres Covered', (a) => formatNumber(a.acresCovered, ' ac')],
+  ],
+  FENCE: [
+    ['Fence Type', (a) => fenceTypes.find((t) => t.value === a.fenceType)?.label || '-'],
+    ['Strands', (a) => formatNumber(a.strands)],
+    ['Length', (a) => formatNumber(a.lengthFeet, ' ft')],
+  ],
+  PIPELINE: [['Length', (a) => formatNumber(a.lengthFeet, ' ft')]],
+  ROAD: [['Length', (a) => formatNumber(a.lengthFeet, ' ft')]],
+  POWER: [['Length', (a) => formatNumber(a.lengthFeet, ' ft')]],
+};
+
+/**
+ * Equipment, tool, infrastructure or other asset detail
+ */
+export default function RegistryAssetDetail({ assetType }) {
+  const config = assetTypeConfig[assetType];
+  const { id } = useParams();
+  const [asset, setAsset] = useState(null);
+  const [related, setRelated] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showDisposeModal, setShowDisposeModal] = useState(false);
+  const [disposeStatus, setDisposeStatus] = useState('SOLD');
+  const [disposeNotes, setDisposeNotes] = useState('');
+  const [disposing, setDisposing] = useState(false);
+
+  const fetchAsset = useCallback(async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+      setError(null);
+      const response = await assetsApi.get(id);
+      setAsset(response.data?.asset || null);
+      setRelated(response.data?.related || {});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchAsset();
+  }, [fetchAsset]);
+
+  // Readings, attachments and check-outs change the asset; refresh without the loading state
+  const refreshAsset = () => fetchAsset(false);
+
+  const handleDispose = async () => {
+    try {
+      setDisposing(true);
+      await assetsApi.updateStatus(id, {
+        status: disposeStatus,
+        disposedAt: new Date().toISOString(),
+        disposalNotes: disposeNotes,
+      });
+      setShowDisposeModal(false);
+      fetchAsset();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDisposing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="space-y-6">
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+          <p className="mt-2 text-gray-500">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !asset) {
+    return (
+      <div className="space-y-6">
+        <div className="bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+          <p className="text-red-600">{error || `${config.singular} not found`}</p>
+          <Link to={config.path} className="mt-2 text-red-700 underline">
+            Back to {config.title}
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const specs = assetType === 'INFRASTRUCTURE' ? infrastructureSpecs[asset.infrastructureType] || [] : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div className="flex items-start gap-4">
+          <Link to={config.path} className="mt-1 text-gray-500 hover:text-gray-700">
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
+            </svg>
+          </Link>
+          <div className="flex items-center gap-4">
+            <span className="text-4xl">{config.icon}</span>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{asset.name}</h1>
+              <div className="flex items-center gap-3 mt-1">
+                <span className="text-gray-600">{typeLabel(config, asset[config.typeField])}</span>
+                <span className="text-gray-400">•</span>
+                <AssetStatusBadge status={asset.status || 'ACTIVE'} />
+              </div>
+            </div>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <Link to={`${config.path}/${id}/edit`} className="btn-secondary">
+            Edit
+          </Link>
+          {asset.status === 'ACTIVE' && (
+            <button onClick={() => setShowDisposeModal(true)} className="btn-secondary text-red-600 hover:text-red-700">
+              Dispose
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Details Grid */}
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Details</h2>
+          <dl className="space-y-3">
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Make / Model</dt>
+              <dd className="font-medium text-gray-900">
+                {[asset.year, asset.make, asset.model].filter(Boolean).join(' ') || '-'}
+              </dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Serial #</dt>
+              <dd className="font-mono text-gray-900">{asset.serialNumber || '-'}</dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Site</dt>
+              <dd className="font-medium text-gray-900">{asset.siteName || '-'}</dd>
+            </div>
+            {assetType === 'EQUIPMENT' && (
+              <>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Working Width</dt>
+                  <dd className="font-medium text-gray-900">{formatNumber(asset.widthFeet, ' ft')}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">HP Required</dt>
+                  <dd className="font-medium text-gray-900">{formatNumber(asset.horsepowerRequired)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Warranty Expires</dt>
+                  <dd className="font-medium text-gray-900">{formatDate(asset.warrantyExpiry)}</dd>
+                </div>
+              </>
+            )}
+            {assetType === 'TOOL' && (
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Kept In</dt>
+                <dd className="font-medium text-gray-900">{asset.storageStructureName || '-'}</dd>
+              </div>
+            )}
+            {asset.tags?.length > 0 && (
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Tags</dt>
+                <dd className="font-medium text-gray-900">{asset.tags.join(', ')}</dd>
+              </div>
+            )}
+          </dl>
+        </div>
+
+        {/* Financial */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Financial</h2>
+          <dl className="space-y-3">
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Acquisition Date</dt>
+              <dd className="font-medium text-gray-900">{formatDate(asset.acquiredAt)}</dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Acquisition Cost</dt>
+              <dd className="font-medium text-gray-900">{formatCurrency(asset.acquisitionCost)}</dd>
+            </div>
+            {assetType === 'TOOL' && (
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Replacement Cost</dt>
+                <dd className="font-medium text-gray-900">{formatCurrency(asset.replacementCost)}</dd>
+              </div>
+            )}
+            {asset.disposedAt && (
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Disposed</dt>
+                <dd className="font-medium text-gray-900">{formatDate(asset.disposedAt)}</dd>
+              </div>
+            )}
+          </dl>
+        </div>
+
+        {/* Infrastructure links and specs */}
+        {assetType === 'INFRASTRUCTURE' && (
+          <>
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Location</h2>
+              <dl className="space-y-3">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Land Tract</dt>
+                  <dd className="font-medium text-gray-900">
+                    {asset.landTractId ? (
+                      <Link to={`/app/assets/land/tracts/${asset.landTractId}`} className="hover:text-primary-600">
+                        {asset.landTractName}
+                      </Link>
+                    ) : '-'}
+                  </dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Serves Structure</dt>
+                  <dd className="font-medium text-gray-900">
+                    {asset.structureId ? (
+                      <Link to={`/app/assets/land/structures/${asset.structureId}`} className="hover:text-primary-600">
+                        {asset.structureName}
+                      </Link>
+                    ) : '-'}
+                  </dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Map Feature</dt>
+                  <dd className="font-medium text-gray-900">
+                    {related.feature ? (
+                      <Link to="/app/assets/land/features" className="hover:text-primary-600">
+                        {related.feature.name}
+                      </Link>
+                    ) : '-'}
+                  </dd>
+                </div>
+                {related.feature && (
+                  <>
+                    <div className="flex justify-between">
+                      <dt className="text-gray-500">Condition</dt>
+                      <dd className="font-medium text-gray-900">{related.feature.condition?.replace(/_/g, ' ') || '-'}</dd>
+                    </div>
+                    <div className="flex justify-between">
+                      <dt className="text-gray-500">Last Inspected</dt>
+                      <dd className="font-medium text-gray-900">{formatDate(related.feature.lastInspectedAt)}</dd>
+                    </div>
+                  </>
+                )}
+              </dl>
+            </div>
+
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Specs</h2>
+              <dl className="space-y-3">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Installed</dt>
+                  <dd className="font-medium text-gray-900">{formatDate(asset.installedDate)}</dd>
+                </div>
+                {specs.map(([label, render]) => (
+                  <div key={label} className="flex justify-between">
+                    <dt className="text-gray-500">{label}</dt>
+                    <dd className="font-medium text-gray-900">{render(asset)}</dd>
+                  </div>
+                ))}
+                {related.feature?.lengthFeet && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Mapped Length</dt>
+                    <dd className="font-medium text-gray-900">{formatNumber(Math.round(related.feature.lengthFeet), ' ft')}</dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+          </>
+        )}
+
+        {/* Custom fields */}
+        {assetType === 'OTHER' && Object.keys(asset.customFields || {}).length > 0 && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">{asset.category || 'Custom Fields'}</h2>
+            <dl className="space-y-3">
+              {Object.entries(asset.customFields).map(([key, value]) => (
+                <div key={key} className="flex justify-between">
+                  <dt className="text-gray-500">{key}</dt>
+                  <dd className="font-medium text-gray-900">{value || '-'}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        )}
+
+        {/* Notes */}
+        {asset.notes && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Notes</h2>
+            <p className="text-gray-700 whitespace-pre-wrap">{asset.notes}</p>
+          </div>
+        )}
+      </div>
+
+      {assetType === 'EQUIPMENT' && (
+        <EquipmentPanel asset={asset} readings={related.meterReadings || []} onChange={refreshAsset} />
+      )}
+
+      {assetType === 'TOOL' && (
+        <ToolCheckoutPanel asset={asset} checkouts={related.checkouts || []} onChange={refreshAsset} />
+      )}
+
+      {/* Dispose Modal */}
+      {showDisposeModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Dispose {config.singular}</h2>
+            <p className="text-gray-600 mb-4">
+              This will change the status of the {config.singular.toLowerCase()}. The record will be preserved.
+            </p>
+            <div className="space-y-4">
+              <div>
+                <label className="label">New Status</label>
+                <select value={disposeStatus} onChange={(e) => setDisposeStatus(e.target.value)} className="input">
+                  <option value="SOLD">Sold</option>
+                  <option value="RETIRED">Retired</option>
+                  <option value="LOST">Lost/Stolen</option>
+                  <option value="ARCHIVED">Archived</option>
+                </select>
+              </div>
+              <div>
+                <label className="label">Notes</label>
+                <textarea
+                  value={disposeNotes}
+                  onChange={(e) => setDisposeNotes(e.target.value)}
+                  rows={3}
+                  placeholder="Optional notes about the disposal..."
+                  className="input"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-3 mt-6">
+              <button onClick={() => setShowDisposeModal(false)} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+                Cancel
+              </button>
+              <button onClick={handleDispose} disabled={disposing} className="btn-primary bg-red-600 hover:bg-red-700">
+                {disposing ? 'Processing...' : 'Confirm Disposal'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
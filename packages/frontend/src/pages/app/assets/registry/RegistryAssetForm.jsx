@@ -0,0 +1,578 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useSite } from '../../../../contexts/SiteContext';
+import { assetsApi, structuresApi, landTractsApi, spatialFeaturesApi } from '../../../../services/api';
+import { assetTypeConfig, fenceTypes, featureTypesByInfrastructure, toInputDate } from './assetTypes';
+
+const numberFields = [
+  'year',
+  'acquisitionCost',
+  'engineHours',
+  'widthFeet',
+  'horsepowerRequired',
+  'replacementCost',
+  'depthFeet',
+  'staticWaterLevelFeet',
+  'pumpHorsepower',
+  'flowGpm',
+  'lengthFeet',
+  'towers',
+  'acresCovered',
+  'strands',
+];
+
+const emptyForm = (assetType, siteId) => ({
+  name: '',
+  siteId: siteId || '',
+  status: 'ACTIVE',
+  make: '',
+  model: '',
+  year: '',
+  serialNumber: '',
+  tags: '',
+  acquiredAt: '',
+  acquisitionCost: '',
+  notes: '',
+  [assetTypeConfig[assetType].typeField]: assetTypeConfig[assetType].typeOptions?.[0]?.value || '',
+  // Equipment
+  isImplement: false,
+  engineHours: '',
+  widthFeet: '',
+  horsepowerRequired: '',
+  warrantyExpiry: '',
+  // Tools
+  storageStructureId: '',
+  replacementCost: '',
+  // Infrastructure
+  structureId: '',
+  landTractId: '',
+  spatialFeatureId: '',
+  installedDate: '',
+  depthFeet: '',
+  staticWaterLevelFeet: '',
+  pumpHorsepower: '',
+  flowGpm: '',
+  permitNumber: '',
+  lengthFeet: '',
+  towers: '',
+  acresCovered: '',
+  fenceType: '',
+  strands: '',
+});
+
+/**
+ * Add or edit an equipment, tool, infrastructure or other asset
+ */
+export default function RegistryAssetForm({ assetType }) {
+  const config = assetTypeConfig[assetType];
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const { currentSite, sites } = useSite();
+  const isEditing = Boolean(id);
+
+  const [formData, setFormData] = useState(() => emptyForm(assetType, currentSite?.id));
+  const [customFields, setCustomFields] = useState([]);
+  const [tracts, setTracts] = useState([]);
+  const [structures, setStructures] = useState([]);
+  const [features, setFeatures] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [fetchingData, setFetchingData] = useState(isEditing);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const fetchAsset = async () => {
+      try {
+        setFetchingData(true);
+        const response = await assetsApi.get(id);
+        const asset = response.data?.asset || {};
+        const base = emptyForm(assetType, asset.siteId);
+
+        setFormData({
+          ...Object.fromEntries(Object.keys(base).map((key) => [key, asset[key] ?? base[key]])),
+          tags: (asset.tags || []).join(', '),
+          acquiredAt: toInputDate(asset.acquiredAt),
+          warrantyExpiry: toInputDate(asset.warrantyExpiry),
+          installedDate: toInputDate(asset.installedDate),
+          engineHours: asset.engineHours?.value ?? '',
+        });
+        setCustomFields(Object.entries(asset.customFields || {}).map(([key, value]) => ({ key, value })));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setFetchingData(false);
+      }
+    };
+    fetchAsset();
+  }, [id, isEditing, assetType]);
+
+  useEffect(() => {
+    if (!isEditing && currentSite?.id) {
+      setFormData((prev) => (prev.siteId ? prev : { ...prev, siteId: currentSite.id }));
+    }
+  }, [currentSite, isEditing]);
+
+  // Structures, tracts and map features on the chosen site for linking
+  useEffect(() => {
+    if (!formData.siteId || (assetType !== 'INFRASTRUCTURE' && assetType !== 'TOOL')) return;
+
+    const fetchLinks = async () => {
+      try {
+        const [tractsRes, structuresRes, featuresRes] = await Promise.all([
+          landTractsApi.list({ siteId: formData.siteId, limit: 500 }),
+          structuresApi.list(),
+          assetType === 'INFRASTRUCTURE' ? spatialFeaturesApi.list({ siteId: formData.siteId }) : null,
+        ]);
+        const siteTracts = tractsRes.data?.tracts || [];
+        const tractIds = new Set(siteTracts.map((tract) => tract.id));
+        setTracts(siteTracts);
+        setStructures((structuresRes.data?.structures || []).filter((structure) => tractIds.has(structure.landTractId)));
+        setFeatures(featuresRes?.data?.features || []);
+      } catch (err) {
+        console.error('Error fetching site links:', err);
+      }
+    };
+    fetchLinks();
+  }, [formData.siteId, assetType]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name || !formData.siteId) {
+      setError('Name and Site are required');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const payload = Object.fromEntries(
+        Object.entries(formData).map(([key, value]) => {
+          if (numberFields.includes(key)) return [key, value === '' ? null : Number(value)];
+          if (typeof value === 'string' && key !== 'name') return [key, value || null];
+          return [key, value];
+        })
+      );
+
+      payload.assetType = assetType;
+      payload.tags = formData.tags ? formData.tags.split(',').map((t) => t.trim()).filter(Boolean) : [];
+
+      if (assetType === 'OTHER') {
+        payload.customFields = Object.fromEntries(
+          customFields.filter((field) => field.key.trim()).map((field) => [field.key.trim(), field.value])
+        );
+      }
+
+      // Hours after creation go through meter readings so the history stays intact
+      if (isEditing || assetType !== 'EQUIPMENT') {
+        delete payload.engineHours;
+      }
+
+      let assetId = id;
+      if (isEditing) {
+        await assetsApi.update(id, payload);
+      } else {
+        const response = await assetsApi.create(payload);
+        assetId = response.data?.asset?.id;
+      }
+
+      navigate(assetId ? `${config.path}/${assetId}` : config.path);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const linkableFeatures = features.filter((feature) => {
+    const allowed = featureTypesByInfrastructure[formData.infrastructureType];
+    return !allowed || allowed.includes(feature.type);
+  });
+
+  const numberInput = (name, label, props = {}) => (
+    <div>
+      <label className="label">{label}</label>
+      <input
+        type="number"
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        className="input"
+        min="0"
+        step="any"
+        {...props}
+      />
+    </div>
+  );
+
+  if (fetchingData) {
+    return (
+      <div className="space-y-6">
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+          <p className="mt-2 text-gray-500">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-4">
+        <Link to={isEditing ? `${config.path}/${id}` : config.path} className="text-gray-500 hover:text-gray-700">
+          <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
+          </svg>
+        </Link>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {isEditing ? `Edit ${config.singular}` : `Add ${config.singular}`}
+          </h1>
+          <p className="text-gray-600">{config.description}</p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="max-w-3xl space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-600">
+            {error}
+          </div>
+        )}
+
+        {/* Details */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Details</h2>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">{assetType === 'OTHER' ? 'Category' : 'Type'}</label>
+              {config.typeOptions ? (
+                <select name={config.typeField} value={formData[config.typeField]} onChange={handleChange} className="input">
+                  {config.typeOptions.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  name="category"
+                  value={formData.category}
+                  onChange={handleChange}
+                  placeholder="Solar panels, art, signage..."
+                  className="input"
+                />
+              )}
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-4 gap-4">
+            {numberInput('year', 'Year', { min: '1900', max: '2100', step: '1' })}
+            <div>
+              <label className="label">Make</label>
+              <input type="text" name="make" value={formData.make} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Model</label>
+              <input type="text" name="model" value={formData.model} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Serial #</label>
+              <input
+                type="text"
+                name="serialNumber"
+                value={formData.serialNumber}
+                onChange={handleChange}
+                className="input font-mono"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Equipment */}
+        {assetType === 'EQUIPMENT' && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Equipment</h2>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="isImplement"
+                checked={formData.isImplement}
+                onChange={handleChange}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Implement (pulled or mounted on a tractor or other machine)
+            </label>
+
+            <div className="grid md:grid-cols-4 gap-4">
+              {!isEditing && numberInput('engineHours', 'Engine Hours')}
+              {numberInput('widthFeet', 'Working Width (ft)')}
+              {numberInput('horsepowerRequired', 'HP Required')}
+              <div>
+                <label className="label">Warranty Expires</label>
+                <input
+                  type="date"
+                  name="warrantyExpiry"
+                  value={formData.warrantyExpiry}
+                  onChange={handleChange}
+                  className="input"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Tools */}
+        {assetType === 'TOOL' && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Storage</h2>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Kept In</label>
+                <select
+                  name="storageStructureId"
+                  value={formData.storageStructureId}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="">Not assigned</option>
+                  {structures.map((structure) => (
+                    <option key={structure.id} value={structure.id}>{structure.name}</option>
+                  ))}
+                </select>
+              </div>
+              {numberInput('replacementCost', 'Replacement Cost', { step: '0.01' })}
+            </div>
+          </div>
+        )}
+
+        {/* Infrastructure */}
+        {assetType === 'INFRASTRUCTURE' && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Location & Specs</h2>
+
+            <div className="grid md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Land Tract</label>
+                <select name="landTractId" value={formData.landTractId} onChange={handleChange} className="input">
+                  <option value="">None</option>
+                  {tracts.map((tract) => (
+                    <option key={tract.id} value={tract.id}>{tract.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Serves Structure</label>
+                <select name="structureId" value={formData.structureId} onChange={handleChange} className="input">
+                  <option value="">None</option>
+                  {structures.map((structure) => (
+                    <option key={structure.id} value={structure.id}>{structure.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Map Feature</label>
+                <select
+                  name="spatialFeatureId"
+                  value={formData.spatialFeatureId}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="">Not drawn</option>
+                  {linkableFeatures.map((feature) => (
+                    <option key={feature.id} value={feature.id}>{feature.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Installed</label>
+                <input
+                  type="date"
+                  name="installedDate"
+                  value={formData.installedDate}
+                  onChange={handleChange}
+                  className="input"
+                />
+              </div>
+              {formData.infrastructureType === 'WELL' && (
+                <>
+                  {numberInput('depthFeet', 'Depth (ft)')}
+                  {numberInput('staticWaterLevelFeet', 'Static Water Level (ft)')}
+                  {numberInput('pumpHorsepower', 'Pump HP')}
+                  {numberInput('flowGpm', 'Flow (gpm)')}
+                  <div>
+                    <label className="label">Permit #</label>
+                    <input
+                      type="text"
+                      name="permitNumber"
+                      value={formData.permitNumber}
+                      onChange={handleChange}
+                      className="input"
+                    />
+                  </div>
+                </>
+              )}
+              {formData.infrastructureType === 'PIVOT' && (
+                <>
+                  {numberInput('lengthFeet', 'Length (ft)')}
+                  {numberInput('towers', 'Towers', { step: '1' })}
+                  {numberInput('acresCovered', 'Acres Covered')}
+                </>
+              )}
+              {formData.infrastructureType === 'FENCE' && (
+                <>
+                  <div>
+                    <label className="label">Fence Type</label>
+                    <select name="fenceType" value={formData.fenceType} onChange={handleChange} className="input">
+                      <option value="">-</option>
+                      {fenceTypes.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {numberInput('strands', 'Strands', { step: '1' })}
+                  {numberInput('lengthFeet', 'Length (ft)')}
+                </>
+              )}
+              {['PIPELINE', 'ROAD', 'POWER'].includes(formData.infrastructureType) && numberInput('lengthFeet', 'Length (ft)')}
+            </div>
+          </div>
+        )}
+
+        {/* Other */}
+        {assetType === 'OTHER' && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">Custom Fields</h2>
+              <button
+                type="button"
+                onClick={() => setCustomFields([...customFields, { key: '', value: '' }])}
+                className="text-sm text-primary-600 hover:text-primary-700"
+              >
+                + Add Field
+              </button>
+            </div>
+            {customFields.length === 0 && (
+              <p className="text-sm text-gray-500">Add any details worth tracking, like capacity or warranty contact.</p>
+            )}
+            {customFields.map((field, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="text"
+                  value={field.key}
+                  onChange={(e) => setCustomFields(customFields.map((f, i) => (i === index ? { ...f, key: e.target.value } : f)))}
+                  placeholder="Field"
+                  className="input flex-1"
+                />
+                <input
+                  type="text"
+                  value={field.value}
+                  onChange={(e) => setCustomFields(customFields.map((f, i) => (i === index ? { ...f, value: e.target.value } : f)))}
+                  placeholder="Value"
+                  className="input flex-1"
+                />
+                <button
+                  type="button"
+                  onClick={() => setCustomFields(customFields.filter((_, i) => i !== index))}
+                  className="px-2 text-gray-400 hover:text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Location & Acquisition */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Location & Acquisition</h2>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Site *</label>
+              <select name="siteId" value={formData.siteId} onChange={handleChange} className="input" required>
+                <option value="">Select a site</option>
+                {sites?.map((site) => (
+                  <option key={site.id} value={site.id}>{site.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Acquired Date</label>
+              <input
+                type="date"
+                name="acquiredAt"
+                value={formData.acquiredAt}
+                onChange={handleChange}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            {numberInput('acquisitionCost', 'Acquisition Cost', { step: '0.01', placeholder: '0.00' })}
+            <div>
+              <label className="label">Tags</label>
+              <input
+                type="text"
+                name="tags"
+                value={formData.tags}
+                onChange={handleChange}
+                placeholder="Comma-separated tags"
+                className="input"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Notes */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Notes</h2>
+          <textarea
+            name="notes"
+            value={formData.notes}
+            onChange={handleChange}
+            rows={3}
+            placeholder="Additional notes..."
+            className="input"
+          />
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-4">
+          <Link to={isEditing ? `${config.path}/${id}` : config.path} className="btn-secondary">
+            Cancel
+          </Link>
+          <button type="submit" disabled={loading} className="btn-primary">
+            {loading ? 'Saving...' : isEditing ? `Update ${config.singular}` : `Add ${config.singular}`}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
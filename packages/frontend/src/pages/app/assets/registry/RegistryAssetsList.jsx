@@ -0,0 +1,281 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useSite } from '../../../../contexts/SiteContext';
+import { AssetStatusBadge, AssetFilters } from '../../../../components/assets';
+import { assetsApi } from '../../../../services/api';
+import { assetTypeConfig, typeLabel, formatDate } from './assetTypes';
+
+/**
+ * List of equipment, tools, infrastructure or other assets
+ */
+export default function RegistryAssetsList({ assetType }) {
+  const config = assetTypeConfig[assetType];
+  const { currentSite } = useSite();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+
+  const currentStatus = searchParams.get('status') ?? 'ACTIVE';
+  const currentSearch = searchParams.get('search') || '';
+  const currentPage = parseInt(searchParams.get('page') || '1');
+  const checkedOutOnly = searchParams.get('checkedOut') === 'true';
+
+  const fetchAssets = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = {
+        assetType,
+        page: currentPage,
+        limit: 20,
+      };
+      if (currentSite?.id) params.siteId = currentSite.id;
+      if (currentStatus) params.status = currentStatus;
+      if (currentSearch) params.search = currentSearch;
+      if (checkedOutOnly) params.checkedOut = true;
+
+      const response = await assetsApi.list(params);
+      setAssets(response.data?.assets || []);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [assetType, currentSite?.id, currentStatus, currentSearch, currentPage, checkedOutOnly]);
+
+  useEffect(() => {
+    fetchAssets();
+  }, [fetchAssets]);
+
+  const handleFilterChange = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value || key === 'status') {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+    if (key !== 'page') {
+      params.set('page', '1');
+    }
+    setSearchParams(params);
+  };
+
+  const renderDetailColumn = (asset) => {
+    if (assetType === 'EQUIPMENT') {
+      return (
+        <div>
+          {asset.engineHours?.value ? `${asset.engineHours.value.toLocaleString()} hrs` : '-'}
+          {asset.attachedToName && (
+            <p className="text-xs text-gray-500">On {asset.attachedToName}</p>
+          )}
+        </div>
+      );
+    }
+    if (assetType === 'TOOL') {
+      if (!asset.checkout) {
+        return <span className="text-gray-500">{asset.storageStructureName || 'In storage'}</span>;
+      }
+      return (
+        <div>
+          <span className={asset.checkout.isOverdue ? 'text-red-700 font-medium' : 'text-gray-900'}>
+            {asset.checkout.contactName}
+          </span>
+          <p className={`text-xs ${asset.checkout.isOverdue ? 'text-red-600' : 'text-gray-500'}`}>
+            {asset.checkout.dueBackAt ? `${asset.checkout.isOverdue ? 'Overdue' : 'Due'} ${formatDate(asset.checkout.dueBackAt)}` : 'No due date'}
+          </p>
+        </div>
+      );
+    }
+    if (assetType === 'INFRASTRUCTURE') {
+      return (
+        <div>
+          {asset.structureName || asset.landTractName || '-'}
+          {asset.spatialFeatureName && <p className="text-xs text-gray-500">Map: {asset.spatialFeatureName}</p>}
+        </div>
+      );
+    }
+    return asset.make || asset.model ? `${asset.make || ''} ${asset.model || ''}`.trim() : '-';
+  };
+
+  const detailHeading = {
+    EQUIPMENT: 'Hours',
+    TOOL: 'Location',
+    INFRASTRUCTURE: 'Serves',
+    OTHER: 'Make / Model',
+  }[assetType];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{config.title}</h1>
+          <p className="text-gray-600">{config.description}</p>
+        </div>
+        <Link to={`${config.path}/new`} className="btn-primary inline-flex items-center gap-2">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" />
+          </svg>
+          Add {config.singular}
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <AssetFilters
+        status={currentStatus}
+        onStatusChange={(value) => handleFilterChange('status', value)}
+        search={currentSearch}
+        onSearchChange={(value) => handleFilterChange('search', value)}
+      />
+
+      {assetType === 'TOOL' && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={checkedOutOnly}
+            onChange={(e) => handleFilterChange('checkedOut', e.target.checked ? 'true' : '')}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Only tools that are checked out
+        </label>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+          <p className="mt-2 text-gray-500">Loading {config.title.toLowerCase()}...</p>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+          <p className="text-red-600">{error}</p>
+          <button onClick={fetchAssets} className="mt-2 text-red-700 underline">
+            Try again
+          </button>
+        </div>
+      ) : assets.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+          <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full flex items-center justify-center">
+            <span className="text-3xl">{config.icon}</span>
+          </div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No {config.title.toLowerCase()} found</h3>
+          <p className="text-gray-500 mb-4">
+            {currentSearch || currentStatus !== 'ACTIVE' || checkedOutOnly
+              ? 'Try adjusting your filters'
+              : `Add your first ${config.singular.toLowerCase()} to get started`}
+          </p>
+          <Link to={`${config.path}/new`} className="btn-primary">
+            + Add {config.singular}
+          </Link>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Serial / ID
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {detailHeading}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Site
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {assets.map((asset) => (
+                  <tr key={asset.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <Link
+                        to={`${config.path}/${asset.id}`}
+                        className="font-medium text-gray-900 hover:text-primary-600"
+                      >
+                        {asset.name}
+                      </Link>
+                      {(asset.year || asset.make || asset.model) && assetType !== 'OTHER' && (
+                        <p className="text-sm text-gray-500">
+                          {[asset.year, asset.make, asset.model].filter(Boolean).join(' ')}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {typeLabel(config, asset[config.typeField])}
+                      {asset.isImplement && <span className="ml-1 text-xs text-gray-500">(implement)</span>}
+                    </td>
+                    <td className="px-6 py-4 font-mono text-sm text-gray-900">
+                      {asset.serialNumber || asset.identifier || '-'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{renderDetailColumn(asset)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{asset.siteName || '-'}</td>
+                    <td className="px-6 py-4">
+                      <AssetStatusBadge status={asset.status} />
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <div className="flex items-center justify-end gap-2">
+                        <Link
+                          to={`${config.path}/${asset.id}`}
+                          className="text-primary-600 hover:text-primary-700 font-medium text-sm"
+                        >
+                          View
+                        </Link>
+                        <Link
+                          to={`${config.path}/${asset.id}/edit`}
+                          className="text-gray-600 hover:text-gray-700 font-medium text-sm"
+                        >
+                          Edit
+                        </Link>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+              <p className="text-sm text-gray-500">
+                Page {pagination.page} of {pagination.pages} ({pagination.total} total)
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleFilterChange('page', String(currentPage - 1))}
+                  disabled={currentPage <= 1}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => handleFilterChange('page', String(currentPage + 1))}
+                  disabled={currentPage >= pagination.pages}
+                  className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
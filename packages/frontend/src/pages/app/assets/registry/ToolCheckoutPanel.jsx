@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { assetsApi, contactsApi } from '../../../../services/api';
+import { toolConditions, formatDate } from './assetTypes';
+
+const conditionLabel = (value) => toolConditions.find((c) => c.value === value)?.label || value || '-';
+
+/**
+ * Who has a tool, checking it out and in, and its check-out history
+ */
+export default function ToolCheckoutPanel({ asset, checkouts, onChange }) {
+  const [contacts, setContacts] = useState([]);
+  const [mode, setMode] = useState(null);
+  const [form, setForm] = useState({ contactId: '', dueBackAt: '', condition: 'GOOD', notes: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (mode !== 'OUT' || contacts.length > 0) return;
+
+    const fetchContacts = async () => {
+      try {
+        const response = await contactsApi.list({ activeOnly: true, limit: 500 });
+        setContacts(response.data?.contacts || []);
+      } catch (err) {
+        console.error('Error fetching contacts:', err);
+      }
+    };
+    fetchContacts();
+  }, [mode, contacts.length]);
+
+  const openForm = (nextMode) => {
+    setForm({ contactId: '', dueBackAt: '', condition: 'GOOD', notes: '' });
+    setError(null);
+    setMode(nextMode);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      if (mode === 'OUT') {
+        await assetsApi.checkOut(asset.id, {
+          contactId: form.contactId,
+          dueBackAt: form.dueBackAt || null,
+          condition: form.condition,
+          notes: form.notes || null,
+        });
+      } else {
+        await assetsApi.checkIn(asset.id, { condition: form.condition, notes: form.notes || null });
+      }
+      setMode(null);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const checkout = asset.checkout;
+  const isOverdue = checkout?.dueBackAt && new Date(checkout.dueBackAt) < new Date();
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Check-Out</h2>
+        {asset.status === 'ACTIVE' && !mode && (
+          checkout ? (
+            <button onClick={() => openForm('IN')} className="btn-primary">
+              Check In
+            </button>
+          ) : (
+            <button onClick={() => openForm('OUT')} className="btn-primary">
+              Check Out
+            </button>
+          )
+        )}
+      </div>
+
+      {checkout ? (
+        <div className={`p-4 rounded-lg ${isOverdue ? 'bg-red-50 border border-red-200' : 'bg-yellow-50 border border-yellow-200'}`}>
+          <p className="font-medium text-gray-900">Checked out to {checkout.contactName}</p>
+          <p className={`text-sm ${isOverdue ? 'text-red-700' : 'text-gray-600'}`}>
+            Since {formatDate(checkout.checkedOutAt)}
+            {checkout.dueBackAt && ` · ${isOverdue ? 'overdue since' : 'due back'} ${formatDate(checkout.dueBackAt)}`}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Available{asset.storageStructureName ? ` in ${asset.storageStructureName}` : ''}.
+        </p>
+      )}
+
+      {mode && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {mode === 'OUT' && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="label">To</label>
+                <select
+                  value={form.contactId}
+                  onChange={(e) => setForm({ ...form, contactId: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Select a contact...</option>
+                  {contacts.map((contact) => (
+                    <option key={contact.id} value={contact.id}>{contact.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Due Back</label>
+                <input
+                  type="date"
+                  value={form.dueBackAt}
+                  onChange={(e) => setForm({ ...form, dueBackAt: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Condition</label>
+              <select
+                value={form.condition}
+                onChange={(e) => setForm({ ...form, condition: e.target.value })}
+                className="input"
+              >
+                {toolConditions
+                  .filter((c) => mode === 'IN' || c.value !== 'LOST')
+                  .map((c) => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Notes</label>
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+          {mode === 'IN' && form.condition === 'LOST' && (
+            <p className="text-sm text-orange-700">The tool will be marked as lost.</p>
+          )}
+          <div className="flex justify-end gap-3">
+            <button onClick={() => setMode(null)} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || (mode === 'OUT' && !form.contactId)}
+              className="btn-primary"
+            >
+              {saving ? 'Saving...' : mode === 'OUT' ? 'Check Out' : 'Check In'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {checkouts.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">History</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">Contact</th>
+                <th className="py-2">Out</th>
+                <th className="py-2">In</th>
+                <th className="py-2">Condition</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {checkouts.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="py-2 text-gray-900">{entry.contactName}</td>
+                  <td className="py-2 text-gray-700">{formatDate(entry.checkedOutAt)}</td>
+                  <td className="py-2 text-gray-700">
+                    {entry.checkedInAt ? formatDate(entry.checkedInAt) : (
+                      <span className={entry.isOverdue ? 'text-red-700' : 'text-yellow-700'}>
+                        {entry.isOverdue ? 'Overdue' : 'Out'}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 text-gray-700">
+                    {conditionLabel(entry.conditionOut)}
+                    {entry.conditionIn && ` → ${conditionLabel(entry.conditionIn)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+/**
+ * Display config for the asset types kept in the generic registry
+ * (equipment, tools, infrastructure and other assets)
+ */
+
+const options = (pairs) => pairs.map(([value, label]) => ({ value, label }));
+
+export const equipmentTypes = options([
+  ['BALER', 'Baler'],
+  ['MOWER', 'Mower'],
+  ['RAKE', 'Rake'],
+  ['TEDDER', 'Tedder'],
+  ['PLANTER', 'Planter'],
+  ['DRILL', 'Drill'],
+  ['SPRAYER', 'Sprayer'],
+  ['SPREADER', 'Spreader'],
+  ['TILLAGE', 'Tillage'],
+  ['LOADER', 'Loader'],
+  ['BUCKET', 'Bucket'],
+  ['BALE_SPEAR', 'Bale Spear'],
+  ['POST_DRIVER', 'Post Driver'],
+  ['FEEDER_WAGON', 'Feeder Wagon'],
+  ['SQUEEZE_CHUTE', 'Squeeze Chute'],
+  ['GENERATOR', 'Generator'],
+  ['PUMP', 'Pump'],
+  ['WELDER', 'Welder'],
+  ['OTHER', 'Other'],
+]);
+
+export const toolTypes = options([
+  ['HAND', 'Hand Tool'],
+  ['POWER', 'Power Tool'],
+  ['MEASURING', 'Measuring'],
+  ['VETERINARY', 'Veterinary'],
+  ['FENCING', 'Fencing'],
+  ['SAFETY', 'Safety'],
+  ['OTHER', 'Other'],
+]);
+
+export const infrastructureTypes = options([
+  ['WELL', 'Well'],
+  ['PIVOT', 'Center Pivot'],
+  ['FENCE', 'Fence'],
+  ['WATER_TANK', 'Water Tank'],
+  ['PIPELINE', 'Pipeline'],
+  ['GATE', 'Gate'],
+  ['ROAD', 'Road'],
+  ['POWER', 'Power / Utility'],
+  ['OTHER', 'Other'],
+]);
+
+export const fenceTypes = options([
+  ['BARBED_WIRE', 'Barbed Wire'],
+  ['WOVEN_WIRE', 'Woven Wire'],
+  ['HIGH_TENSILE', 'High Tensile'],
+  ['ELECTRIC', 'Electric'],
+  ['BOARD', 'Board'],
+  ['PIPE', 'Pipe'],
+  ['PANEL', 'Panel'],
+  ['OTHER', 'Other'],
+]);
+
+export const toolConditions = options([
+  ['GOOD', 'Good'],
+  ['WORN', 'Worn'],
+  ['DAMAGED', 'Damaged'],
+  ['LOST', 'Lost'],
+]);
+
+// Map feature types an infrastructure asset can be linked to
+export const featureTypesByInfrastructure = {
+  WELL: ['WELL'],
+  FENCE: ['FENCE'],
+  WATER_TANK: ['WATER_TANK'],
+  PIPELINE: ['PIPELINE'],
+  GATE: ['GATE'],
+};
+
+export const assetTypeConfig = {
+  EQUIPMENT: {
+    title: 'Equipment',
+    singular: 'Equipment',
+    icon: '⚙️',
+    path: '/app/assets/equipment',
+    description: 'Implements, machinery and shop equipment',
+    typeField: 'equipmentType',
+    typeOptions: equipmentTypes,
+  },
+  TOOL: {
+    title: 'Tools',
+    singular: 'Tool',
+    icon: '🔧',
+    path: '/app/assets/tools',
+    description: 'Hand and power tools, and who has them',
+    typeField: 'toolType',
+    typeOptions: toolTypes,
+  },
+  INFRASTRUCTURE: {
+    title: 'Infrastructure',
+    singular: 'Infrastructure',
+    icon: '🚰',
+    path: '/app/assets/infrastructure',
+    description: 'Wells, pivots, fences, water and utilities',
+    typeField: 'infrastructureType',
+    typeOptions: infrastructureTypes,
+  },
+  OTHER: {
+    title: 'Other Assets',
+    singular: 'Asset',
+    icon: '📦',
+    path: '/app/assets/other',
+    description: 'Anything that doesn\'t fit the other categories',
+    typeField: 'category',
+    typeOptions: null,
+  },
+};
+
+export const typeLabel = (config, value) =>
+  config.typeOptions?.find((option) => option.value === value)?.label || value || '-';
+
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+export const formatDate = (value) => {
+  const date = toDate(value);
+  return date && !isNaN(date.getTime()) ? date.toLocaleDateString() : '-';
+};
+
+export const toInputDate = (value) => {
+  const date = toDate(value);
+  return date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : '';
+};
@@ -0,0 +1,3 @@
+export { default as RegistryAssetsList } from './RegistryAssetsList';
+export { default as RegistryAssetForm } from './RegistryAssetForm';
+export { default as RegistryAssetDetail } from './RegistryAssetDetail';
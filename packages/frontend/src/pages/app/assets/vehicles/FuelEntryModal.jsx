@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { inventoryApi, vehiclesApi } from '../../../../services/api';
+
+/**
+ * Log a fuel fill from an on-farm bulk tank or a retail purchase
+ */
+export default function FuelEntryModal({ vehicle, onClose, onSaved }) {
+  const [fuelItems, setFuelItems] = useState([]);
+  const [form, setForm] = useState({
+    source: 'BULK_TANK',
+    date: new Date().toISOString().split('T')[0],
+    gallons: '',
+    itemId: '',
+    totalCost: '',
+    vendorName: '',
+    paymentMethod: 'CASH',
+    odometer: '',
+    engineHours: '',
+    fullTank: true,
+    notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchFuelItems = async () => {
+      try {
+        const res = await inventoryApi.list({ category: 'FUEL', activeOnly: true, limit: 100 });
+        const items = res.data?.items || [];
+        setFuelItems(items);
+        if (items.length === 1) {
+          setForm((prev) => ({ ...prev, itemId: items[0].id }));
+        } else if (items.length === 0) {
+          setForm((prev) => ({ ...prev, source: 'RETAIL' }));
+        }
+      } catch (err) {
+        console.error('Error fetching fuel items:', err);
+      }
+    };
+    fetchFuelItems();
+  }, []);
+
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+  const isBulk = form.source === 'BULK_TANK';
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await vehiclesApi.recordFuel(vehicle.id, {
+        source: form.source,
+        date: form.date || undefined,
+        gallons: parseFloat(form.gallons),
+        itemId: isBulk ? form.itemId : undefined,
+        totalCost: !isBulk && form.totalCost !== '' ? parseFloat(form.totalCost) : undefined,
+        vendorName: !isBulk ? form.vendorName || undefined : undefined,
+        paymentMethod: !isBulk ? form.paymentMethod : undefined,
+        odometer: form.odometer !== '' ? parseFloat(form.odometer) : null,
+        engineHours: form.engineHours !== '' ? parseFloat(form.engineHours) : null,
+        fullTank: form.fullTank,
+        notes: form.notes || undefined,
+      });
+
+      const processing = res.data?.posting?.processing;
+      if (processing && !processing.success) {
+        alert(`Fill saved, but posting failed: ${processing.error}`);
+      }
+
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.message || 'Failed to log fuel');
+      setSaving(false);
+    }
+  };
+
+  const canSave = parseFloat(form.gallons) > 0 && (!isBulk || form.itemId);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Log Fuel</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { value: 'BULK_TANK', label: 'Farm Tank' },
+              { value: 'RETAIL', label: 'Retail Purchase' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setForm({ ...form, source: option.value })}
+                className={`px-3 py-2 rounded-lg border text-sm font-medium ${
+                  form.source === option.value
+                    ? 'border-green-600 bg-green-50 text-green-700'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Gallons</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.gallons}
+                onChange={(e) => setForm({ ...form, gallons: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Date</label>
+              <input
+                type="date"
+                value={form.date}
+                onChange={(e) => setForm({ ...form, date: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          {isBulk ? (
+            <div>
+              <label className="label">Tank</label>
+              <select
+                value={form.itemId}
+                onChange={(e) => setForm({ ...form, itemId: e.target.value })}
+                className="input"
+              >
+                <option value="">Select fuel item...</option>
+                {fuelItems.map((item) => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">Drawn from this site&apos;s fuel inventory at average cost</p>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Total Cost</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.totalCost}
+                    onChange={(e) => setForm({ ...form, totalCost: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="label">Paid</label>
+                  <select
+                    value={form.paymentMethod}
+                    onChange={(e) => setForm({ ...form, paymentMethod: e.target.value })}
+                    className="input"
+                  >
+                    <option value="CASH">Cash / card</option>
+                    <option value="CREDIT">On account</option>
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="label">Station</label>
+                <input
+                  type="text"
+                  value={form.vendorName}
+                  onChange={(e) => setForm({ ...form, vendorName: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Odometer ({unit})</label>
+              <input
+                type="number"
+                min="0"
+                value={form.odometer}
+                onChange={(e) => setForm({ ...form, odometer: e.target.value })}
+                placeholder={vehicle.odometer?.value ? String(vehicle.odometer.value) : ''}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Engine Hours</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={form.engineHours}
+                onChange={(e) => setForm({ ...form, engineHours: e.target.value })}
+                placeholder={vehicle.engineHours?.value ? String(vehicle.engineHours.value) : ''}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.fullTank}
+              onChange={(e) => setForm({ ...form, fullTank: e.target.checked })}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            Filled the tank (needed for MPG and gallons/hour)
+          </label>
+
+          <div>
+            <label className="label">Notes</label>
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              className="input"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={saving || !canSave} className="btn-primary">
+            {saving ? 'Saving...' : 'Save Fill'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { vehiclesApi } from '../../../../services/api';
+
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = value._seconds ? new Date(value._seconds * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+};
+
+/**
+ * Create or edit a vehicle maintenance plan
+ * Any combination of distance, engine hour and month intervals can be set;
+ * the plan comes due on whichever is reached first.
+ */
+export default function MaintenancePlanModal({ vehicle, plan, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    name: plan?.name || '',
+    description: plan?.description || '',
+    intervalDistance: plan?.intervalDistance || '',
+    intervalHours: plan?.intervalHours || '',
+    intervalMonths: plan?.intervalMonths || '',
+    lastServiceOdometer: plan?.lastServiceOdometer ?? '',
+    lastServiceHours: plan?.lastServiceHours ?? '',
+    lastServiceDate: toInputDate(plan?.lastServiceDate),
+    estimatedLaborHours: plan?.estimatedLaborHours ?? '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+  const number = (value) => (value !== '' && value !== null ? parseFloat(value) : null);
+  const hasInterval = form.intervalDistance || form.intervalHours || form.intervalMonths;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const data = {
+      name: form.name.trim(),
+      description: form.description || null,
+      intervalDistance: number(form.intervalDistance),
+      intervalHours: number(form.intervalHours),
+      intervalMonths: form.intervalMonths ? parseInt(form.intervalMonths) : null,
+      estimatedLaborHours: number(form.estimatedLaborHours),
+    };
+    // Blank "last service" fields start the plan from the vehicle's current meters
+    if (form.lastServiceOdometer !== '') data.lastServiceOdometer = parseFloat(form.lastServiceOdometer);
+    if (form.lastServiceHours !== '') data.lastServiceHours = parseFloat(form.lastServiceHours);
+    if (form.lastServiceDate) data.lastServiceDate = form.lastServiceDate;
+
+    try {
+      if (plan) {
+        await vehiclesApi.updateMaintenancePlan(vehicle.id, plan.id, data);
+      } else {
+        await vehiclesApi.createMaintenancePlan(vehicle.id, data);
+      }
+      onSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to save plan');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">
+          {plan ? 'Edit Maintenance Plan' : 'Add Maintenance Plan'}
+        </h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="label">Service</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Oil & filter change"
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="label">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="e.g. 15W-40, 4 gal; replace fuel filter"
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="label">Every</label>
+            <div className="grid grid-cols-3 gap-3">
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={form.intervalDistance}
+                  onChange={(e) => setForm({ ...form, intervalDistance: e.target.value })}
+                  className="input"
+                />
+                <span className="text-sm text-gray-500">{unit}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={form.intervalHours}
+                  onChange={(e) => setForm({ ...form, intervalHours: e.target.value })}
+                  className="input"
+                />
+                <span className="text-sm text-gray-500">hrs</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={form.intervalMonths}
+                  onChange={(e) => setForm({ ...form, intervalMonths: e.target.value })}
+                  className="input"
+                />
+                <span className="text-sm text-gray-500">mo</span>
+              </div>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">Due at whichever comes first</p>
+          </div>
+
+          <div>
+            <label className="label">Last Service</label>
+            <div className="grid grid-cols-3 gap-3">
+              <input
+                type="number"
+                min="0"
+                value={form.lastServiceOdometer}
+                onChange={(e) => setForm({ ...form, lastServiceOdometer: e.target.value })}
+                placeholder={unit}
+                className="input"
+              />
+              <input
+                type="number"
+                min="0"
+                value={form.lastServiceHours}
+                onChange={(e) => setForm({ ...form, lastServiceHours: e.target.value })}
+                placeholder="hrs"
+                className="input"
+              />
+              <input
+                type="date"
+                value={form.lastServiceDate}
+                onChange={(e) => setForm({ ...form, lastServiceDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            {!plan && (
+              <p className="mt-1 text-xs text-gray-500">Leave blank to start from the current meters and today</p>
+            )}
+          </div>
+
+          <div>
+            <label className="label">Estimated Labor (hrs)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.25"
+              value={form.estimatedLaborHours}
+              onChange={(e) => setForm({ ...form, estimatedLaborHours: e.target.value })}
+              className="input w-32"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !form.name.trim() || !hasInterval}
+            className="btn-primary"
+          >
+            {saving ? 'Saving...' : 'Save Plan'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
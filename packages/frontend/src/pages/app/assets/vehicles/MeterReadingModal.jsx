@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { vehiclesApi } from '../../../../services/api';
+
+/**
+ * Log an odometer and/or engine hour reading for a vehicle
+ */
+export default function MeterReadingModal({ vehicle, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    odometer: '',
+    engineHours: '',
+    readAt: new Date().toISOString().split('T')[0],
+    notes: '',
+    isCorrection: false,
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await vehiclesApi.recordMeterReading(vehicle.id, {
+        odometer: form.odometer !== '' ? parseFloat(form.odometer) : null,
+        engineHours: form.engineHours !== '' ? parseFloat(form.engineHours) : null,
+        readAt: form.readAt || undefined,
+        notes: form.notes || undefined,
+        isCorrection: form.isCorrection,
+      });
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.message || 'Failed to record reading');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Log Meter Reading</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Odometer ({unit})</label>
+              <input
+                type="number"
+                min="0"
+                value={form.odometer}
+                onChange={(e) => setForm({ ...form, odometer: e.target.value })}
+                placeholder={vehicle.odometer?.value ? String(vehicle.odometer.value) : ''}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Engine Hours</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={form.engineHours}
+                onChange={(e) => setForm({ ...form, engineHours: e.target.value })}
+                placeholder={vehicle.engineHours?.value ? String(vehicle.engineHours.value) : ''}
+                className="input"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="label">Date</label>
+            <input
+              type="date"
+              value={form.readAt}
+              onChange={(e) => setForm({ ...form, readAt: e.target.value })}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="label">Notes</label>
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              className="input"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isCorrection}
+              onChange={(e) => setForm({ ...form, isCorrection: e.target.checked })}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            Correction (allow a lower reading, e.g. a replaced meter)
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || (form.odometer === '' && form.engineHours === '')}
+            className="btn-primary"
+          >
+            {saving ? 'Saving...' : 'Save Reading'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
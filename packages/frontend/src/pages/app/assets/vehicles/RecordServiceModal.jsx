@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react';
+import { inventoryApi, vehiclesApi } from '../../../../services/api';
+
+const emptyPart = { itemId: '', qty: '' };
+
+/**
+ * Record a completed service with parts from inventory and labor
+ * Both are posted to Repairs & Maintenance.
+ */
+export default function RecordServiceModal({ vehicle, plans = [], initialPlanId = '', onClose, onSaved }) {
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState({
+    planId: initialPlanId,
+    date: new Date().toISOString().split('T')[0],
+    odometer: '',
+    engineHours: '',
+    description: '',
+    parts: [emptyPart],
+    laborHours: '',
+    laborRate: '',
+    performedBy: '',
+    paymentMethod: 'CREDIT',
+    notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchItems = async () => {
+      try {
+        const res = await inventoryApi.list({ category: 'EQUIPMENT_PARTS', activeOnly: true, limit: 500 });
+        setItems(res.data?.items || []);
+      } catch (err) {
+        console.error('Error fetching parts:', err);
+      }
+    };
+    fetchItems();
+  }, []);
+
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+  const unitFor = (itemId) => items.find((i) => i.id === itemId)?.unit || 'qty';
+  const laborCost = (parseFloat(form.laborHours) || 0) * (parseFloat(form.laborRate) || 0);
+
+  const updatePart = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      parts: prev.parts.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await vehiclesApi.recordService(vehicle.id, {
+        planId: form.planId || null,
+        date: form.date || undefined,
+        odometer: form.odometer !== '' ? parseFloat(form.odometer) : null,
+        engineHours: form.engineHours !== '' ? parseFloat(form.engineHours) : null,
+        description: form.description || undefined,
+        parts: form.parts
+          .filter((line) => line.itemId && parseFloat(line.qty) > 0)
+          .map((line) => ({ itemId: line.itemId, qty: parseFloat(line.qty) })),
+        labor: form.laborHours
+          ? {
+              hours: parseFloat(form.laborHours),
+              rate: form.laborRate ? parseFloat(form.laborRate) : 0,
+              performedBy: form.performedBy || undefined,
+              paymentMethod: form.paymentMethod,
+            }
+          : null,
+        notes: form.notes || undefined,
+      });
+
+      const failed = (res.data?.postings || []).filter((p) => p.processing && !p.processing.success);
+      if (failed.length > 0) {
+        alert(`Service saved, but ${failed.length} posting(s) failed: ${failed[0].processing.error}`);
+      }
+
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.message || 'Failed to record service');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Record Service</h2>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Maintenance Plan</label>
+              <select
+                value={form.planId}
+                onChange={(e) => setForm({ ...form, planId: e.target.value })}
+                className="input"
+              >
+                <option value="">Unscheduled repair</option>
+                {plans.map((plan) => (
+                  <option key={plan.id} value={plan.id}>{plan.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Date</label>
+              <input
+                type="date"
+                value={form.date}
+                onChange={(e) => setForm({ ...form, date: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Odometer ({unit})</label>
+              <input
+                type="number"
+                min="0"
+                value={form.odometer}
+                onChange={(e) => setForm({ ...form, odometer: e.target.value })}
+                placeholder={vehicle.odometer?.value ? String(vehicle.odometer.value) : ''}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Engine Hours</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={form.engineHours}
+                onChange={(e) => setForm({ ...form, engineHours: e.target.value })}
+                placeholder={vehicle.engineHours?.value ? String(vehicle.engineHours.value) : ''}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Work Done</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder={plans.find((p) => p.id === form.planId)?.name || 'e.g. Replaced hydraulic hose'}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="label">Parts Used</label>
+            <div className="space-y-2">
+              {form.parts.map((line, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2">
+                  <select
+                    value={line.itemId}
+                    onChange={(e) => updatePart(index, 'itemId', e.target.value)}
+                    className="input col-span-7"
+                  >
+                    <option value="">Select part...</option>
+                    {items.map((item) => (
+                      <option key={item.id} value={item.id}>{item.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={line.qty}
+                    onChange={(e) => updatePart(index, 'qty', e.target.value)}
+                    className="input col-span-4"
+                    placeholder={unitFor(line.itemId)}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setForm((prev) => ({ ...prev, parts: prev.parts.filter((_, i) => i !== index) }))
+                    }
+                    disabled={form.parts.length === 1}
+                    className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    &times;
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setForm((prev) => ({ ...prev, parts: [...prev.parts, emptyPart] }))}
+              className="mt-2 text-sm text-green-600 hover:text-green-700"
+            >
+              + Add part
+            </button>
+            <p className="text-xs text-gray-500 mt-1">Drawn from this site&apos;s equipment parts at average cost</p>
+          </div>
+
+          <div>
+            <label className="label">Labor</label>
+            <div className="grid grid-cols-3 gap-3">
+              <input
+                type="number"
+                min="0"
+                step="0.25"
+                value={form.laborHours}
+                onChange={(e) => setForm({ ...form, laborHours: e.target.value })}
+                placeholder="Hours"
+                className="input"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.laborRate}
+                onChange={(e) => setForm({ ...form, laborRate: e.target.value })}
+                placeholder="Rate / hr"
+                className="input"
+              />
+              <select
+                value={form.paymentMethod}
+                onChange={(e) => setForm({ ...form, paymentMethod: e.target.value })}
+                className="input"
+              >
+                <option value="CREDIT">On account</option>
+                <option value="CASH">Paid cash</option>
+              </select>
+            </div>
+            <input
+              type="text"
+              value={form.performedBy}
+              onChange={(e) => setForm({ ...form, performedBy: e.target.value })}
+              placeholder="Mechanic or shop"
+              className="input mt-2"
+            />
+            {laborCost > 0 && (
+              <p className="text-xs text-gray-500 mt-1">Labor cost ${laborCost.toFixed(2)}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="label">Notes</label>
+            <textarea
+              rows={2}
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              className="input"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Record Service'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,10 @@ import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { AssetStatusBadge } from '../../../../components/assets';
 import { vehiclesApi } from '../../../../services/api';
+import { AttachmentsPanel } from '../../../../components/attachments';
+import VehicleMaintenance from './VehicleMaintenance';
+import VehicleFuelLog from './VehicleFuelLog';
+import AttachedImplements from '../registry/AttachedImplements';
 
 const vehicleTypeIcons = {
   ATV: '🏍️',
@@ -50,6 +54,16 @@ export default function VehicleDetail() {
     }
   };
 
+  // Meters change when readings and services are logged; refresh without the loading state
+  const refreshVehicle = async () => {
+    try {
+      const response = await vehiclesApi.get(id);
+      setVehicle(response.data?.vehicle || response.vehicle || response);
+    } catch (err) {
+      console.error('Error refreshing vehicle:', err);
+    }
+  };
+
   const handleDispose = async () => {
     try {
       setDisposing(true);
@@ -289,6 +303,14 @@ export default function VehicleDetail() {
         )}
       </div>
 
+      <AttachedImplements hostId={vehicle.assetId || vehicle.id} />
+
+      <VehicleMaintenance vehicle={vehicle} onVehicleChange={refreshVehicle} />
+
+      <VehicleFuelLog vehicle={vehicle} onVehicleChange={refreshVehicle} />
+
+      <AttachmentsPanel entityType="VEHICLE" entityId={id} title="Documents & Photos" />
+
       {/* Dispose Modal */}
       {showDisposeModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback } from 'react';
+import { vehiclesApi } from '../../../../services/api';
+import FuelEntryModal from './FuelEntryModal';
+
+const sourceLabels = {
+  BULK_TANK: 'Farm Tank',
+  RETAIL: 'Retail',
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date && !isNaN(date.getTime()) ? date.toLocaleDateString() : '-';
+};
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const formatMonth = (key) => {
+  const [year, month] = key.split('-');
+  return new Date(Number(year), Number(month) - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+};
+
+/**
+ * Fuel fills and consumption trend for a vehicle
+ */
+export default function VehicleFuelLog({ vehicle, onVehicleChange }) {
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+
+  const distanceLabel = vehicle.odometer?.unit === 'KM' ? 'km/gal' : 'MPG';
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+
+  const fetchFuel = useCallback(async () => {
+    try {
+      const res = await vehiclesApi.getFuelLog(vehicle.id, { limit: 25 });
+      setEntries(res.data?.entries || []);
+      setSummary(res.data?.summary || null);
+    } catch (err) {
+      console.error('Error fetching fuel log:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [vehicle.id]);
+
+  useEffect(() => {
+    fetchFuel();
+  }, [fetchFuel]);
+
+  const handleSaved = (result) => {
+    setShowModal(false);
+    if (result?.createdTasks?.length > 0) {
+      alert(`${result.createdTasks.length} service task(s) are now due for this vehicle.`);
+    }
+    fetchFuel();
+    onVehicleChange();
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Fuel</h2>
+        <button onClick={() => setShowModal(true)} className="btn-primary">
+          Log Fuel
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading fuel log...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No fuel logged yet.</p>
+      ) : (
+        <div className="space-y-6">
+          {summary && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500 uppercase">{distanceLabel}</p>
+                <p className="text-xl font-semibold text-gray-900">{summary.mpg ?? '-'}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500 uppercase">Gal / Hour</p>
+                <p className="text-xl font-semibold text-gray-900">{summary.gallonsPerHour ?? '-'}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500 uppercase">Gallons</p>
+                <p className="text-xl font-semibold text-gray-900">{summary.gallons.toLocaleString()}</p>
+                <p className="text-xs text-gray-500">{summary.fills} fills</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-xs text-gray-500 uppercase">Fuel Cost</p>
+                <p className="text-xl font-semibold text-gray-900">{formatMoney(summary.cost)}</p>
+                {summary.avgCostPerGallon !== null && (
+                  <p className="text-xs text-gray-500">{formatMoney(summary.avgCostPerGallon)}/gal avg</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {summary?.trend.length > 1 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Monthly Trend</h3>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Month</th>
+                    <th className="py-2 text-right">Gallons</th>
+                    <th className="py-2 text-right">Cost</th>
+                    <th className="py-2 text-right">{distanceLabel}</th>
+                    <th className="py-2 text-right">Gal / Hr</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {summary.trend.map((month) => (
+                    <tr key={month.month}>
+                      <td className="py-2 text-gray-900">{formatMonth(month.month)}</td>
+                      <td className="py-2 text-right text-gray-700">{month.gallons.toLocaleString()}</td>
+                      <td className="py-2 text-right text-gray-700">{formatMoney(month.cost)}</td>
+                      <td className="py-2 text-right text-gray-700">{month.mpg ?? '-'}</td>
+                      <td className="py-2 text-right text-gray-700">{month.gallonsPerHour ?? '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Recent Fills</h3>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">Date</th>
+                  <th className="py-2">Source</th>
+                  <th className="py-2 text-right">Gallons</th>
+                  <th className="py-2 text-right">Cost</th>
+                  <th className="py-2 text-right">Meter</th>
+                  <th className="py-2 text-right">{distanceLabel}</th>
+                  <th className="py-2 text-right">Gal / Hr</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td className="py-2 text-gray-900">{formatDate(entry.date)}</td>
+                    <td className="py-2 text-gray-700">
+                      {sourceLabels[entry.source] || entry.source}
+                      {(entry.itemName || entry.vendorName) && (
+                        <span className="text-xs text-gray-500"> · {entry.itemName || entry.vendorName}</span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right text-gray-700">
+                      {entry.gallons}
+                      {!entry.fullTank && <span className="ml-1 text-xs text-gray-400">(partial)</span>}
+                    </td>
+                    <td className="py-2 text-right text-gray-700">{formatMoney(entry.totalCost)}</td>
+                    <td className="py-2 text-right text-gray-700">
+                      {entry.odometer !== null && `${entry.odometer.toLocaleString()} ${unit}`}
+                      {entry.odometer !== null && entry.engineHours !== null && ' · '}
+                      {entry.engineHours !== null && `${entry.engineHours.toLocaleString()} hrs`}
+                    </td>
+                    <td className="py-2 text-right text-gray-700">{entry.mpg ?? '-'}</td>
+                    <td className="py-2 text-right text-gray-700">{entry.gallonsPerHour ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <FuelEntryModal vehicle={vehicle} onClose={() => setShowModal(false)} onSaved={handleSaved} />
+      )}
+    </div>
+  );
+}
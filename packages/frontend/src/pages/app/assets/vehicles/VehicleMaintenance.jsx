@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback } from 'react';
+import { vehiclesApi } from '../../../../services/api';
+import MaintenancePlanModal from './MaintenancePlanModal';
+import MeterReadingModal from './MeterReadingModal';
+import RecordServiceModal from './RecordServiceModal';
+
+const statusStyles = {
+  OK: 'bg-green-100 text-green-800',
+  DUE: 'bg-yellow-100 text-yellow-800',
+  OVERDUE: 'bg-red-100 text-red-800',
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value._seconds) return new Date(value._seconds * 1000);
+  return new Date(value);
+};
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date && !isNaN(date.getTime()) ? date.toLocaleDateString() : '-';
+};
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Maintenance plans, service history and meter readings for a vehicle
+ */
+export default function VehicleMaintenance({ vehicle, onVehicleChange }) {
+  const [plans, setPlans] = useState([]);
+  const [services, setServices] = useState([]);
+  const [readings, setReadings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [planModal, setPlanModal] = useState(null);
+  const [serviceModal, setServiceModal] = useState(null);
+  const [showReadingModal, setShowReadingModal] = useState(false);
+
+  const unit = vehicle.odometer?.unit === 'KM' ? 'km' : 'mi';
+
+  const fetchMaintenance = useCallback(async () => {
+    try {
+      const [plansRes, servicesRes, readingsRes] = await Promise.all([
+        vehiclesApi.getMaintenancePlans(vehicle.id),
+        vehiclesApi.getServices(vehicle.id, { limit: 20 }),
+        vehiclesApi.getMeterReadings(vehicle.id, { limit: 10 }),
+      ]);
+      setPlans(plansRes.data || []);
+      setServices(servicesRes.data || []);
+      setReadings(readingsRes.data || []);
+    } catch (err) {
+      console.error('Error fetching maintenance:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [vehicle.id]);
+
+  useEffect(() => {
+    fetchMaintenance();
+  }, [fetchMaintenance]);
+
+  const handleSaved = () => {
+    setPlanModal(null);
+    setServiceModal(null);
+    setShowReadingModal(false);
+    fetchMaintenance();
+    onVehicleChange();
+  };
+
+  const handleDeactivate = async (plan) => {
+    if (!confirm(`Stop tracking "${plan.name}"? Its service history is kept.`)) return;
+    try {
+      await vehiclesApi.updateMaintenancePlan(vehicle.id, plan.id, { isActive: false });
+      fetchMaintenance();
+    } catch (err) {
+      alert('Failed to update plan: ' + err.message);
+    }
+  };
+
+  const describeInterval = (plan) =>
+    [
+      plan.intervalDistance && `${plan.intervalDistance.toLocaleString()} ${unit}`,
+      plan.intervalHours && `${plan.intervalHours.toLocaleString()} hrs`,
+      plan.intervalMonths && `${plan.intervalMonths} mo`,
+    ].filter(Boolean).join(' / ');
+
+  const describeNextDue = (due) =>
+    [
+      due.dueAtOdometer !== null && `${due.dueAtOdometer.toLocaleString()} ${unit}`,
+      due.dueAtHours !== null && `${due.dueAtHours.toLocaleString()} hrs`,
+      due.dueDate && formatDate(due.dueDate),
+    ].filter(Boolean).join(' or ');
+
+  return (
+    <div className="space-y-6">
+      {/* Maintenance Plans */}
+      <div className="bg-white rounded-xl border border-gray-200">
+        <div className="p-6 pb-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Maintenance</h2>
+          <div className="flex gap-2">
+            <button onClick={() => setShowReadingModal(true)} className="btn-secondary">
+              Log Reading
+            </button>
+            <button onClick={() => setPlanModal({})} className="btn-secondary">
+              Add Plan
+            </button>
+            <button onClick={() => setServiceModal({ planId: '' })} className="btn-primary">
+              Record Service
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="px-6 pb-6 text-sm text-gray-500">Loading maintenance...</p>
+        ) : plans.length === 0 ? (
+          <p className="px-6 pb-6 text-sm text-gray-500">
+            No maintenance plans yet. Add one to get service tasks when it comes due.
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Service</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Every</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Done</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next Due</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {plans.map((plan) => (
+                <tr key={plan.id}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{plan.name}</div>
+                    {plan.description && <div className="text-xs text-gray-500">{plan.description}</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{describeInterval(plan)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{formatDate(plan.lastServiceDate)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{describeNextDue(plan.due) || '-'}</td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[plan.due.status]}`}>
+                      {plan.due.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-right text-sm whitespace-nowrap space-x-3">
+                    <button
+                      onClick={() => setServiceModal({ planId: plan.id })}
+                      className="text-green-600 hover:text-green-700"
+                    >
+                      Done
+                    </button>
+                    <button onClick={() => setPlanModal({ plan })} className="text-gray-600 hover:text-gray-900">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDeactivate(plan)} className="text-gray-400 hover:text-red-600">
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        {/* Service History */}
+        <div className="md:col-span-2 bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Service History</h2>
+          {services.length === 0 ? (
+            <p className="text-sm text-gray-500">No services recorded yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {services.map((service) => (
+                <li key={service.id} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="font-medium text-gray-900">{service.description || 'Service'}</span>
+                      <span className="ml-3 text-sm text-gray-500">{formatDate(service.date)}</span>
+                    </div>
+                    <span className="text-sm text-gray-900">{formatMoney(service.totalCost)}</span>
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500">
+                    {service.odometer !== null && service.odometer !== undefined && (
+                      <span className="mr-3">{service.odometer.toLocaleString()} {unit}</span>
+                    )}
+                    {service.engineHours !== null && service.engineHours !== undefined && (
+                      <span className="mr-3">{service.engineHours.toLocaleString()} hrs</span>
+                    )}
+                    {service.parts?.length > 0 && (
+                      <span className="mr-3">
+                        Parts: {service.parts.map((p) => `${p.itemName} × ${p.qty}`).join(', ')}
+                      </span>
+                    )}
+                    {service.labor && (
+                      <span>
+                        Labor: {service.labor.hours ?? '-'} hrs {formatMoney(service.labor.cost)}
+                        {service.labor.performedBy && ` (${service.labor.performedBy})`}
+                      </span>
+                    )}
+                  </div>
+                  {service.notes && <p className="mt-1 text-xs text-gray-500">{service.notes}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Meter Readings */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Meter Readings</h2>
+          {readings.length === 0 ? (
+            <p className="text-sm text-gray-500">No readings logged yet.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {readings.map((reading) => (
+                <li key={reading.id} className="flex justify-between">
+                  <span className="text-gray-500">{formatDate(reading.readAt)}</span>
+                  <span className="text-gray-900">
+                    {reading.odometer !== null && `${reading.odometer.toLocaleString()} ${unit}`}
+                    {reading.odometer !== null && reading.engineHours !== null && ' · '}
+                    {reading.engineHours !== null && `${reading.engineHours.toLocaleString()} hrs`}
+                    {reading.isCorrection && <span className="ml-1 text-xs text-yellow-700">(corrected)</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {planModal && (
+        <MaintenancePlanModal
+          vehicle={vehicle}
+          plan={planModal.plan}
+          onClose={() => setPlanModal(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {serviceModal && (
+        <RecordServiceModal
+          vehicle={vehicle}
+          plans={plans}
+          initialPlanId={serviceModal.planId}
+          onClose={() => setServiceModal(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {showReadingModal && (
+        <MeterReadingModal
+          vehicle={vehicle}
+          onClose={() => setShowReadingModal(false)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
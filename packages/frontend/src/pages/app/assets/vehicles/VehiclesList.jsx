@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { useSite } from '../../../../contexts/SiteContext';
 import { AssetStatusBadge, AssetFilters } from '../../../../components/assets';
@@ -28,6 +28,8 @@ export default function VehiclesList() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [dueMaintenance, setDueMaintenance] = useState([]);
+  const [generating, setGenerating] = useState(false);
 
   const currentStatus = searchParams.get('status') || 'ACTIVE';
   const currentSearch = searchParams.get('search') || '';
@@ -37,6 +39,33 @@ export default function VehiclesList() {
     fetchVehicles();
   }, [currentSite, currentStatus, currentSearch, currentPage]);
 
+  const fetchDueMaintenance = useCallback(async () => {
+    try {
+      const response = await vehiclesApi.getDueMaintenance(currentSite?.id ? { siteId: currentSite.id } : {});
+      setDueMaintenance(response.data || []);
+    } catch (err) {
+      console.error('Error fetching due maintenance:', err);
+    }
+  }, [currentSite?.id]);
+
+  useEffect(() => {
+    fetchDueMaintenance();
+  }, [fetchDueMaintenance]);
+
+  const handleGenerateTasks = async () => {
+    try {
+      setGenerating(true);
+      const response = await vehiclesApi.generateMaintenanceTasks(currentSite?.id ? { siteId: currentSite.id } : {});
+      const created = response.data?.created?.length || 0;
+      alert(created > 0 ? `Created ${created} service task(s)` : 'Every due service already has an open task');
+      fetchDueMaintenance();
+    } catch (err) {
+      alert('Failed to create service tasks: ' + err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
   const fetchVehicles = async () => {
     try {
       setLoading(true);
@@ -100,6 +129,35 @@ export default function VehiclesList() {
         onSearchChange={(value) => handleFilterChange('search', value)}
       />
 
+      {/* Service Due */}
+      {dueMaintenance.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="font-semibold text-yellow-900">Service Due</h2>
+            <button
+              onClick={handleGenerateTasks}
+              disabled={generating}
+              className="text-sm text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50"
+            >
+              {generating ? 'Creating...' : 'Create service tasks'}
+            </button>
+          </div>
+          <ul className="space-y-1 text-sm">
+            {dueMaintenance.map((plan) => (
+              <li key={plan.id} className="flex items-center justify-between">
+                <Link to={`/app/assets/vehicles/${plan.vehicleId}`} className="text-yellow-900 hover:underline">
+                  {plan.vehicleName}: {plan.name}
+                </Link>
+                <span className={plan.due.status === 'OVERDUE' ? 'text-red-700 font-medium' : 'text-yellow-800'}>
+                  {plan.due.status === 'OVERDUE' ? 'Overdue' : 'Due'} - {plan.due.reasons.join(', ')}
+                  {plan.openTaskOccurrenceId && ' (task open)'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Vehicles List */}
       {loading ? (
         <div className="text-center py-12">
@@ -26,6 +26,7 @@ export default function InventoryForm() {
     defaultUnitCost: '',
     reorderPoint: '',
     reorderQuantity: '',
+    reorderLeadTimeDays: '',
     preferredVendor: '',
     binId: '',
     notes: '',
@@ -76,6 +77,7 @@ export default function InventoryForm() {
         defaultUnitCost: item.defaultCostPerUnit || item.defaultUnitCost || '',
         reorderPoint: item.reorderPoint || '',
         reorderQuantity: item.reorderQty || item.reorderQuantity || '',
+        reorderLeadTimeDays: item.reorderLeadTimeDays ?? '',
         preferredVendor: item.preferredVendor || '',
         binId: item.binId || '',
         notes: item.notes || '',
@@ -116,6 +118,7 @@ export default function InventoryForm() {
         defaultCostPerUnit: form.defaultUnitCost ? parseFloat(form.defaultUnitCost) : 0,
         reorderPoint: form.reorderPoint ? parseInt(form.reorderPoint) : 0,
         reorderQty: form.reorderQuantity ? parseInt(form.reorderQuantity) : 0,
+        reorderLeadTimeDays: form.reorderLeadTimeDays !== '' ? parseInt(form.reorderLeadTimeDays) : null,
         preferredVendor: form.preferredVendor || undefined,
         binId: form.binId || null,
         notes: form.notes || undefined,
@@ -342,6 +345,24 @@ export default function InventoryForm() {
               />
               <p className="mt-1 text-xs text-gray-500">Suggested quantity to order</p>
             </div>
+
+            {form.category === 'FEED' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Lead Time (days)</label>
+                <input
+                  type="number"
+                  name="reorderLeadTimeDays"
+                  value={form.reorderLeadTimeDays}
+                  onChange={handleChange}
+                  className="input"
+                  placeholder="14"
+                  min="0"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Reorder when projected days on hand drop below this
+                </p>
+              </div>
+            )}
           </div>
 
           <div className="mt-4">
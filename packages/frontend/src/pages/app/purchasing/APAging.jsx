@@ -1,13 +1,16 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { purchasingApi } from '../../../services/api';
+import { useAuth } from '../../../contexts/AuthContext';
+import { todayInTimezone } from '../../../utils/timezone';
 import PurchasingNav from '../../../components/purchasing/PurchasingNav';
 
 export default function APAging() {
+  const { userProfile } = useAuth();
   const [aging, setAging] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [asOfDate, setAsOfDate] = useState(new Date().toISOString().split('T')[0]);
+  const [asOfDate, setAsOfDate] = useState(() => todayInTimezone(userProfile?.tenant?.timezone));
 
   useEffect(() => {
     fetchAging();
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { purchasingApi } from '../../../services/api';
+import { AttachmentsPanel } from '../../../components/attachments';
 
 const statusColors = {
   DRAFT: 'bg-gray-100 text-gray-700',
@@ -380,6 +381,9 @@ export default function PurchaseOrderDetail() {
                     </span>
                   ))}
                 </div>
+                <div className="mt-3">
+                  <AttachmentsPanel entityType="RECEIPT" entityId={receipt.id} title="Packing Slips & Photos" compact />
+                </div>
               </div>
             ))}
           </div>
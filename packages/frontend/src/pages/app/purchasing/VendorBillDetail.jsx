@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { purchasingApi } from '../../../services/api';
+import { AttachmentsPanel } from '../../../components/attachments';
 
 const statusColors = {
   DRAFT: 'bg-gray-100 text-gray-700',
@@ -325,6 +326,8 @@ export default function VendorBillDetail() {
           </div>
         </div>
       )}
+
+      <AttachmentsPanel entityType="VENDOR_BILL" entityId={id} title="Scanned Invoice & Documents" />
     </div>
   );
 }
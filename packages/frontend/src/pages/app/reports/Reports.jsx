@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { accountingApi } from '../../../services/api';
+import { useAuth } from '../../../contexts/AuthContext';
+import { todayInTimezone } from '../../../utils/timezone';
 
 const reportTypes = [
   {
@@ -32,14 +34,15 @@ const accountTypeColors = {
 };
 
 export default function Reports() {
+  const { userProfile } = useAuth();
   const [selectedReport, setSelectedReport] = useState('trial-balance');
   const [reportData, setReportData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Date filters
-  const today = new Date().toISOString().split('T')[0];
-  const firstOfYear = `${new Date().getFullYear()}-01-01`;
+  // Date filters (whole days on the farm's clock; the API applies the tenant timezone)
+  const today = todayInTimezone(userProfile?.tenant?.timezone);
+  const firstOfYear = `${today.slice(0, 4)}-01-01`;
   const [asOfDate, setAsOfDate] = useState(today);
   const [startDate, setStartDate] = useState(firstOfYear);
   const [endDate, setEndDate] = useState(today);
@@ -86,10 +89,12 @@ export default function Reports() {
   };
 
   const formatDate = (dateStr) => {
+    // Bare dates parse as UTC midnight, so format them in UTC to keep the day
     return new Date(dateStr).toLocaleDateString('en-US', {
       month: 'long',
       day: 'numeric',
       year: 'numeric',
+      timeZone: 'UTC',
     });
   };
 
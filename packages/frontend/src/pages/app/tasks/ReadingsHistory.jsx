@@ -0,0 +1,184 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSite } from '../../../contexts/SiteContext';
+import { tasksApi } from '../../../services/api';
+import { addDaysToKey, dateKeyInTimezone, todayInTimezone } from '../../../utils/timezone';
+
+const NUMERIC_CAPTURE_TYPES = ['NUMBER', 'TANK_LEVEL', 'TEMPERATURE', 'HEAD_COUNT'];
+
+const rangeOptions = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last year' },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 8;
+
+const formatValue = (reading) => {
+  if (reading.type === 'PHOTO') return reading.attachmentId ? 'Photo' : '—';
+  if (reading.type === 'YES_NO') return reading.value ? 'Yes' : 'No';
+  return `${reading.value}${reading.unit ? ` ${reading.unit}` : ''}`;
+};
+
+/**
+ * Line of a numeric reading over time; x follows the recorded time
+ */
+function ReadingsChart({ readings }) {
+  const points = readings
+    .filter((r) => typeof r.value === 'number')
+    .map((r) => ({
+      time: new Date(r.recordedAt?._seconds ? r.recordedAt._seconds * 1000 : r.recordedAt).getTime(),
+      value: r.value,
+    }));
+
+  if (points.length < 2) return null;
+
+  const minTime = points[0].time;
+  const maxTime = points[points.length - 1].time;
+  const values = points.map((p) => p.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  const x = (time) =>
+    CHART_PADDING + ((time - minTime) / (maxTime - minTime || 1)) * (CHART_WIDTH - CHART_PADDING * 2);
+  const y = (value) =>
+    CHART_HEIGHT - CHART_PADDING - ((value - minValue) / (maxValue - minValue || 1)) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-40" preserveAspectRatio="none">
+      <polyline
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        className="text-primary-600"
+        points={points.map((p) => `${x(p.time)},${y(p.value)}`).join(' ')}
+      />
+      {points.map((p, index) => (
+        <circle key={index} cx={x(p.time)} cy={y(p.value)} r="3" className="fill-primary-600" />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Values captured on this template's completed tasks, e.g. a month of
+ * tank levels. Dates follow the farm's clock.
+ */
+export default function ReadingsHistory({ templateId, captures }) {
+  const { timezone } = useSite();
+  const [captureKey, setCaptureKey] = useState(
+    (captures.find((c) => NUMERIC_CAPTURE_TYPES.includes(c.type)) || captures[0])?.key
+  );
+  const [days, setDays] = useState(30);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReadings = useCallback(async () => {
+    if (!captureKey) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const to = todayInTimezone(timezone);
+      const response = await tasksApi.getReadings({
+        captureKey,
+        templateId,
+        from: addDaysToKey(to, -(days - 1)),
+        to,
+      });
+      setResult(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [captureKey, days, templateId, timezone]);
+
+  useEffect(() => {
+    fetchReadings();
+  }, [fetchReadings]);
+
+  const readings = result?.readings || [];
+  const summary = result?.summary;
+  const isNumeric = NUMERIC_CAPTURE_TYPES.includes(captures.find((c) => c.key === captureKey)?.type);
+  const unit = result?.unit ? ` ${result.unit}` : '';
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Readings History</h2>
+        <div className="flex gap-2">
+          <select value={captureKey} onChange={(e) => setCaptureKey(e.target.value)} className="input">
+            {captures.map((capture) => (
+              <option key={capture.key} value={capture.key}>
+                {capture.label}
+              </option>
+            ))}
+          </select>
+          <select value={days} onChange={(e) => setDays(parseInt(e.target.value))} className="input">
+            {rangeOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : readings.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center border border-dashed border-gray-300 rounded-lg">
+          No readings recorded in this period
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {isNumeric && summary && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Latest</p>
+                  <p className="font-semibold text-gray-900">{summary.latest?.value}{unit}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Average</p>
+                  <p className="font-semibold text-gray-900">{summary.average}{unit}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Low</p>
+                  <p className="font-semibold text-gray-900">{summary.min}{unit}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">High</p>
+                  <p className="font-semibold text-gray-900">{summary.max}{unit}</p>
+                </div>
+              </div>
+              <ReadingsChart readings={readings} />
+            </>
+          )}
+
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                <th className="py-2">Date</th>
+                <th className="py-2">Value</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {[...readings].reverse().map((reading) => (
+                <tr key={reading.id}>
+                  <td className="py-2 text-gray-600">{dateKeyInTimezone(reading.recordedAt, timezone)}</td>
+                  <td className="py-2 text-gray-900">{formatValue(reading)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
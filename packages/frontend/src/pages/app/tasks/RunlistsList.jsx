@@ -164,6 +164,12 @@ export default function RunlistsList() {
         >
           Lists
         </Link>
+        <Link
+          to="/app/tasks/timesheets"
+          className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-gray-700"
+        >
+          Timesheets
+        </Link>
       </div>
 
       {/* Status Filter Tabs */}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { tasksApi } from '../../../services/api';
+import ReadingsHistory from './ReadingsHistory';
 
 const categoryIcons = {
   FEEDING: '🍽️',
@@ -35,6 +36,7 @@ const recurrenceLabels = {
   MONTHLY: 'Monthly',
   QUARTERLY: 'Quarterly',
   YEARLY: 'Yearly',
+  CUSTOM: 'Custom',
 };
 
 const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -87,6 +89,13 @@ export default function TaskDetail() {
       description += ` on day ${recurrence.dayOfMonth}`;
     }
 
+    if (recurrence.pattern === 'CUSTOM' && recurrence.rrule) {
+      description += `: ${recurrence.rrule}`;
+      if (recurrence.exdates?.length > 0) {
+        description += ` (skips ${recurrence.exdates.length} date${recurrence.exdates.length === 1 ? '' : 's'})`;
+      }
+    }
+
     return description;
   };
 
@@ -204,6 +213,41 @@ export default function TaskDetail() {
             </div>
           )}
 
+          {/* Checklist & Readings Card */}
+          {(template.checklist?.length > 0 || template.captures?.length > 0) && (
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Checklist & Readings</h2>
+              {template.checklist?.length > 0 && (
+                <ol className="list-decimal list-inside space-y-1 text-gray-700 mb-4">
+                  {template.checklist.map((step) => (
+                    <li key={step.key}>
+                      {step.label}
+                      {!step.required && <span className="text-xs text-gray-400"> (optional)</span>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+              {template.captures?.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {template.captures.map((capture) => (
+                    <span
+                      key={capture.key}
+                      className="inline-flex items-center px-3 py-1 bg-blue-50 text-blue-700 rounded-full text-sm"
+                    >
+                      {capture.label}
+                      {capture.unit && ` (${capture.unit})`}
+                      {capture.required && ' *'}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {template.captures?.length > 0 && (
+            <ReadingsHistory templateId={id} captures={template.captures} />
+          )}
+
           {/* Equipment Card */}
           {template.requiredEquipment?.length > 0 && (
             <div className="bg-white rounded-xl border border-gray-200 p-6">
@@ -40,6 +40,27 @@ const recurrencePatterns = [
   { value: 'MONTHLY', label: 'Monthly' },
   { value: 'QUARTERLY', label: 'Quarterly' },
   { value: 'YEARLY', label: 'Yearly' },
+  { value: 'CUSTOM', label: 'Custom (RRULE)' },
+];
+
+// Starting points for custom schedules (RFC 5545 RRULE syntax)
+const customRulePresets = [
+  { label: 'Every Mon / Wed / Fri', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' },
+  { label: 'First Tuesday of each month', rrule: 'FREQ=MONTHLY;BYDAY=1TU' },
+  { label: 'Last day of each month', rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1' },
+  { label: 'Every 3 days except Sundays', rrule: 'FREQ=DAILY;INTERVAL=3;BYDAY=MO,TU,WE,TH,FR,SA' },
+  { label: 'Daily, April through October', rrule: 'FREQ=DAILY;BYMONTH=4,5,6,7,8,9,10' },
+];
+
+// Data recorded when the task is completed; numeric types chart over time
+const captureTypeOptions = [
+  { value: 'TANK_LEVEL', label: 'Tank level', icon: '🛢️', numeric: true, defaultUnit: '%' },
+  { value: 'TEMPERATURE', label: 'Temperature', icon: '🌡️', numeric: true, defaultUnit: '°F' },
+  { value: 'HEAD_COUNT', label: 'Head count', icon: '🐄', numeric: true, defaultUnit: 'head' },
+  { value: 'NUMBER', label: 'Other number', icon: '🔢', numeric: true, defaultUnit: '' },
+  { value: 'YES_NO', label: 'Yes / No', icon: '✅', numeric: false },
+  { value: 'TEXT', label: 'Text note', icon: '📝', numeric: false },
+  { value: 'PHOTO', label: 'Photo', icon: '📷', numeric: false },
 ];
 
 const daysOfWeek = [
@@ -85,9 +106,16 @@ export default function TaskForm() {
     inventoryItems: [], // Array of { itemId, itemName, quantity, uom, allocationMode: 'TOTAL' | 'PER_ANIMAL' }
     // Tools needed for this task
     tools: [],
+    // Steps to check off and data to record on completion
+    checklist: [], // Array of { key, label, required }
+    captures: [], // Array of { key, label, type, unit, required, min, max }
   });
 
   const [toolInput, setToolInput] = useState('');
+  const [stepInput, setStepInput] = useState('');
+  const [exdateInput, setExdateInput] = useState('');
+  const [recurrencePreview, setRecurrencePreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
   const [landTracts, setLandTracts] = useState([]);
   const [animalGroups, setAnimalGroups] = useState([]);
   const [animalsInGroups, setAnimalsInGroups] = useState([]); // Animals from all selected groups
@@ -219,6 +247,8 @@ export default function TaskForm() {
         selectedAnimalIds: template.selectedAnimalIds || [],
         inventoryItems: template.inventoryItems || [],
         tools: template.tools || [],
+        checklist: template.checklist || [],
+        captures: template.captures || [],
       });
     } catch (err) {
       setError(err.message);
@@ -245,6 +275,40 @@ export default function TaskForm() {
     }));
   };
 
+  const handleAddExdate = () => {
+    if (!exdateInput) return;
+    setForm((prev) => {
+      const current = prev.recurrence.exdates || [];
+      if (current.includes(exdateInput)) return prev;
+      return {
+        ...prev,
+        recurrence: { ...prev.recurrence, exdates: [...current, exdateInput].sort() },
+      };
+    });
+    setExdateInput('');
+  };
+
+  const handleRemoveExdate = (date) => {
+    setForm((prev) => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        exdates: (prev.recurrence.exdates || []).filter((d) => d !== date),
+      },
+    }));
+  };
+
+  const handlePreviewRecurrence = async () => {
+    setPreviewError(null);
+    try {
+      const res = await tasksApi.previewRecurrence({ recurrence: form.recurrence, count: 10 });
+      setRecurrencePreview(res.data?.dates || []);
+    } catch (err) {
+      setRecurrencePreview(null);
+      setPreviewError(err.message);
+    }
+  };
+
   const handleDayOfWeekToggle = (day) => {
     setForm((prev) => {
       const current = prev.recurrence.daysOfWeek || [];
@@ -320,6 +384,65 @@ export default function TaskForm() {
     }));
   };
 
+  // Checklist handlers
+  const handleAddStep = () => {
+    if (stepInput.trim()) {
+      setForm((prev) => ({
+        ...prev,
+        checklist: [...prev.checklist, { label: stepInput.trim(), required: true }],
+      }));
+      setStepInput('');
+    }
+  };
+
+  const handleStepChange = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      checklist: prev.checklist.map((step, i) => (i === index ? { ...step, [field]: value } : step)),
+    }));
+  };
+
+  const handleRemoveStep = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      checklist: prev.checklist.filter((_, i) => i !== index),
+    }));
+  };
+
+  // Capture handlers
+  const handleAddCapture = (type) => {
+    const option = captureTypeOptions.find((o) => o.value === type);
+    if (!option) return;
+    setForm((prev) => ({
+      ...prev,
+      captures: [
+        ...prev.captures,
+        {
+          label: option.value === 'NUMBER' ? '' : option.label,
+          type,
+          unit: option.defaultUnit || '',
+          required: true,
+          min: type === 'TANK_LEVEL' ? 0 : '',
+          max: type === 'TANK_LEVEL' ? 100 : '',
+        },
+      ],
+    }));
+  };
+
+  const handleCaptureChange = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      captures: prev.captures.map((capture, i) => (i === index ? { ...capture, [field]: value } : capture)),
+    }));
+  };
+
+  const handleRemoveCapture = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      captures: prev.captures.filter((_, i) => i !== index),
+    }));
+  };
+
   // Inventory handlers
   const handleAddInventoryItem = (itemId) => {
     const item = inventoryCatalog.find((i) => (i.id || i._id) === itemId);
@@ -372,6 +495,11 @@ export default function TaskForm() {
       return;
     }
 
+    if (form.captures.some((c) => !c.label?.trim())) {
+      setError('Every reading needs a label');
+      return;
+    }
+
     setSaving(true);
     setError(null);
 
@@ -852,6 +980,168 @@ export default function TaskForm() {
           </div>
         </div>
 
+        {/* Checklist & Readings */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <span>☑️</span> Checklist & Readings
+            </h2>
+            <HelpTooltip content="Steps and readings the crew must fill in before the task can be marked complete. Readings that share a label (e.g. Tank level) build one history you can chart over time." position="right" />
+          </div>
+
+          <div className="space-y-6">
+            <div>
+              <label className="label">Checklist Steps</label>
+              <div className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={stepInput}
+                  onChange={(e) => setStepInput(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), handleAddStep())}
+                  className="input flex-1"
+                  placeholder="Add a step (e.g., Check float valve, Clean trough)..."
+                />
+                <button type="button" onClick={handleAddStep} className="btn-secondary">
+                  Add
+                </button>
+              </div>
+              {form.checklist.length > 0 && (
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {form.checklist.map((step, index) => (
+                    <li key={index} className="flex items-center gap-3 px-3 py-2">
+                      <span className="text-sm text-gray-400 w-5">{index + 1}.</span>
+                      <input
+                        type="text"
+                        value={step.label}
+                        onChange={(e) => handleStepChange(index, 'label', e.target.value)}
+                        className="input flex-1"
+                      />
+                      <label className="flex items-center gap-1 text-sm text-gray-600 whitespace-nowrap">
+                        <input
+                          type="checkbox"
+                          checked={step.required !== false}
+                          onChange={(e) => handleStepChange(index, 'required', e.target.checked)}
+                          className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                        />
+                        Required
+                      </label>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveStep(index)}
+                        className="text-gray-400 hover:text-red-500"
+                      >
+                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <label className="label">Readings to Record</label>
+              <select
+                value=""
+                onChange={(e) => e.target.value && handleAddCapture(e.target.value)}
+                className="input mb-2"
+              >
+                <option value="">Add a reading...</option>
+                {captureTypeOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.icon} {option.label}
+                  </option>
+                ))}
+              </select>
+
+              {form.captures.length > 0 ? (
+                <div className="space-y-3">
+                  {form.captures.map((capture, index) => {
+                    const option = captureTypeOptions.find((o) => o.value === capture.type);
+                    return (
+                      <div key={index} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+                        <div className="flex items-start justify-between mb-3">
+                          <p className="text-xs font-medium text-gray-500 uppercase">
+                            {option?.icon} {option?.label || capture.type}
+                          </p>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveCapture(index)}
+                            className="text-gray-400 hover:text-red-500"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </div>
+                        <div className="grid md:grid-cols-4 gap-3">
+                          <div className="md:col-span-2">
+                            <label className="text-xs font-medium text-gray-600 mb-1 block">Label</label>
+                            <input
+                              type="text"
+                              value={capture.label}
+                              onChange={(e) => handleCaptureChange(index, 'label', e.target.value)}
+                              className="input"
+                              placeholder="e.g., North tank level"
+                            />
+                          </div>
+                          {option?.numeric && (
+                            <>
+                              <div>
+                                <label className="text-xs font-medium text-gray-600 mb-1 block">Unit</label>
+                                <input
+                                  type="text"
+                                  value={capture.unit || ''}
+                                  onChange={(e) => handleCaptureChange(index, 'unit', e.target.value)}
+                                  className="input"
+                                  placeholder="e.g., gal"
+                                />
+                              </div>
+                              <div>
+                                <label className="text-xs font-medium text-gray-600 mb-1 block">Range</label>
+                                <div className="flex items-center gap-1">
+                                  <input
+                                    type="number"
+                                    value={capture.min ?? ''}
+                                    onChange={(e) => handleCaptureChange(index, 'min', e.target.value)}
+                                    className="input"
+                                    placeholder="Min"
+                                  />
+                                  <input
+                                    type="number"
+                                    value={capture.max ?? ''}
+                                    onChange={(e) => handleCaptureChange(index, 'max', e.target.value)}
+                                    className="input"
+                                    placeholder="Max"
+                                  />
+                                </div>
+                              </div>
+                            </>
+                          )}
+                        </div>
+                        <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={capture.required === true}
+                            onChange={(e) => handleCaptureChange(index, 'required', e.target.checked)}
+                            className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                          />
+                          Required to complete the task
+                        </label>
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : (
+                <div className="text-sm text-gray-500 py-4 text-center border border-dashed border-gray-300 rounded-lg">
+                  No readings added yet
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
         {/* Recurrence */}
         <div className="bg-white rounded-xl border border-gray-200 p-6">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Recurrence Schedule</h2>
@@ -915,6 +1205,90 @@ export default function TaskForm() {
                 </select>
               </div>
             )}
+
+            {/* RRULE (for CUSTOM) */}
+            {form.recurrence.pattern === 'CUSTOM' && (
+              <>
+                <div>
+                  <label className="label">
+                    Rule
+                    <HelpTooltip content="An iCalendar RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR. Supports INTERVAL, COUNT, UNTIL, BYDAY (1TU = first Tuesday, -1FR = last Friday), BYMONTHDAY, BYMONTH and BYSETPOS." />
+                  </label>
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && handleRecurrenceChange('rrule', e.target.value)}
+                    className="input mb-2"
+                  >
+                    <option value="">Start from a common schedule...</option>
+                    {customRulePresets.map((preset) => (
+                      <option key={preset.rrule} value={preset.rrule}>
+                        {preset.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={form.recurrence.rrule || ''}
+                    onChange={(e) => handleRecurrenceChange('rrule', e.target.value)}
+                    className="input font-mono text-sm"
+                    placeholder="FREQ=WEEKLY;BYDAY=MO,WE,FR"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="label">Skip Dates</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="date"
+                      value={exdateInput}
+                      onChange={(e) => setExdateInput(e.target.value)}
+                      className="input"
+                    />
+                    <button type="button" onClick={handleAddExdate} className="btn-secondary">
+                      Add
+                    </button>
+                  </div>
+                  {form.recurrence.exdates?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {form.recurrence.exdates.map((date) => (
+                        <span
+                          key={date}
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 text-gray-700 rounded text-sm"
+                        >
+                          {date}
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveExdate(date)}
+                            className="text-gray-400 hover:text-red-600"
+                          >
+                            &times;
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="button"
+                    onClick={handlePreviewRecurrence}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Preview next dates
+                  </button>
+                  {previewError && <p className="mt-2 text-sm text-red-600">{previewError}</p>}
+                  {recurrencePreview && (
+                    <p className="mt-2 text-sm text-gray-700">
+                      {recurrencePreview.length > 0
+                        ? recurrencePreview.map((d) => new Date(`${d}T00:00:00`).toLocaleDateString()).join(' · ')
+                        : 'This rule produces no upcoming dates'}
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
           </div>
         </div>
 
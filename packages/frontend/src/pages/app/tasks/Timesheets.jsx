@@ -0,0 +1,667 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useSite } from '../../../contexts/SiteContext';
+import { laborApi, animalsApi, landTractsApi } from '../../../services/api';
+import { HelpTooltip } from '../../../components/ui/Tooltip';
+import { addDaysToKey, todayInTimezone } from '../../../utils/timezone';
+
+const statusColors = {
+  OPEN: 'bg-gray-100 text-gray-700',
+  SUBMITTED: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+};
+
+const sourceLabels = {
+  CLOCK: 'Clock',
+  TASK: 'Task',
+  MANUAL: 'Manual',
+};
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const formatHours = (hours) => (hours || 0).toFixed(2);
+
+const toDate = (value) => (value?._seconds ? new Date(value._seconds * 1000) : value ? new Date(value) : null);
+
+const formatTime = (value, timezone) => {
+  const date = toDate(value);
+  if (!date) return '—';
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone });
+};
+
+const formatWeek = (weekStart) => {
+  const format = (key) =>
+    new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return `${format(weekStart)} – ${format(addDaysToKey(weekStart, 6))}`;
+};
+
+/**
+ * Clock in/out for a worker
+ */
+function ClockCard({ workers, selfWorkerId, canManage, timezone, onChange }) {
+  const choices = canManage ? workers : workers.filter((w) => w.id === selfWorkerId);
+  const [workerId, setWorkerId] = useState(selfWorkerId || choices[0]?.id || '');
+  const [saving, setSaving] = useState(false);
+
+  const worker = workers.find((w) => w.id === workerId);
+
+  const handleClock = async () => {
+    try {
+      setSaving(true);
+      if (worker.clockedIn) {
+        await laborApi.clockOut({ workerId });
+      } else {
+        await laborApi.clockIn({ workerId });
+      }
+      onChange();
+    } catch (err) {
+      alert(err.message || 'Failed to update the clock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (choices.length === 0) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-4 text-sm text-gray-600">
+        To clock in, give your employee or contractor record on the{' '}
+        <Link to="/app/contacts?type=employee" className="text-primary-600 hover:text-primary-700">
+          Contacts
+        </Link>{' '}
+        page the same email you sign in with.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Worker</label>
+          <select
+            value={workerId}
+            onChange={(e) => setWorkerId(e.target.value)}
+            className="input py-2 min-w-[200px]"
+            disabled={choices.length === 1}
+          >
+            {choices.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.name}
+                {w.clockedIn ? ' (clocked in)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        {worker && (
+          <>
+            <button
+              onClick={handleClock}
+              disabled={saving}
+              className={worker.clockedIn ? 'btn-secondary' : 'btn-primary'}
+            >
+              {saving ? 'Saving...' : worker.clockedIn ? 'Clock Out' : 'Clock In'}
+            </button>
+            <p className="text-sm text-gray-600">
+              {worker.clockedIn
+                ? `On the clock since ${formatTime(worker.clockedInAt, timezone)}`
+                : 'Not clocked in'}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Log time by hand against a site, animal group or land tract
+ */
+function AddEntryForm({ timesheet, allocationOptions, onSaved }) {
+  const [form, setForm] = useState({ date: timesheet.weekStart, hours: '', allocation: '', notes: '' });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const [type, id] = form.allocation ? form.allocation.split(':') : [];
+    const label = allocationOptions
+      .flatMap((group) => group.options)
+      .find((option) => option.value === form.allocation)?.label;
+    try {
+      setSaving(true);
+      await laborApi.createTimeEntry({
+        workerId: timesheet.workerId,
+        date: form.date,
+        minutes: Math.round(parseFloat(form.hours) * 60),
+        allocation: type ? { type, id, label } : undefined,
+        notes: form.notes || undefined,
+      });
+      setForm({ ...form, hours: '', notes: '' });
+      onSaved();
+    } catch (err) {
+      alert(err.message || 'Failed to add time');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3 pt-3 border-t border-gray-100">
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Date</label>
+        <input
+          type="date"
+          value={form.date}
+          min={timesheet.weekStart}
+          max={timesheet.weekEnd}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          className="input py-1.5"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Hours</label>
+        <input
+          type="number"
+          value={form.hours}
+          onChange={(e) => setForm({ ...form, hours: e.target.value })}
+          className="input py-1.5 w-24"
+          min="0.25"
+          max="24"
+          step="0.25"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Charge To</label>
+        <select
+          value={form.allocation}
+          onChange={(e) => setForm({ ...form, allocation: e.target.value })}
+          className="input py-1.5"
+        >
+          <option value="">Worker&apos;s site</option>
+          {allocationOptions.map((group) => (
+            <optgroup key={group.label} label={group.label}>
+              {group.options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+      <div className="flex-1 min-w-[150px]">
+        <label className="block text-xs font-medium text-gray-500 mb-1">Notes</label>
+        <input
+          type="text"
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          className="input py-1.5"
+          placeholder="What was the work?"
+        />
+      </div>
+      <button type="submit" disabled={saving} className="btn-secondary">
+        {saving ? 'Adding...' : 'Add Time'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * One worker-week: entries, daily totals and the cost split
+ */
+function TimesheetDetail({ id, timezone, canManage, allocationOptions, onChange }) {
+  const [timesheet, setTimesheet] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTimesheet = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await laborApi.getTimesheet(id);
+      setTimesheet(response.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchTimesheet();
+  }, [fetchTimesheet]);
+
+  const handleDelete = async (entry) => {
+    if (!confirm('Delete this time entry?')) return;
+    try {
+      await laborApi.deleteTimeEntry(entry.id);
+      fetchTimesheet();
+      onChange();
+    } catch (err) {
+      alert(err.message || 'Failed to delete time entry');
+    }
+  };
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!timesheet) return <p className="text-sm text-gray-500">Loading...</p>;
+
+  const editable = timesheet.status === 'OPEN' || timesheet.status === 'REJECTED';
+
+  return (
+    <div className="space-y-4">
+      {timesheet.rejectedReason && (
+        <p className="text-sm text-red-600">Sent back: {timesheet.rejectedReason}</p>
+      )}
+      {timesheet.postingStatus === 'FAILED' && (
+        <p className="text-sm text-red-600">Labor cost did not post: {timesheet.postingError}</p>
+      )}
+
+      {timesheet.entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No time logged this week</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="py-2">Date</th>
+              <th className="py-2">Source</th>
+              <th className="py-2">Time</th>
+              <th className="py-2 text-right">Hours</th>
+              <th className="py-2">Charged To</th>
+              <th className="py-2">Notes</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {timesheet.entries.map((entry) => (
+              <tr key={entry.id}>
+                <td className="py-2 text-gray-600">{entry.date}</td>
+                <td className="py-2 text-gray-600">{sourceLabels[entry.source] || entry.source}</td>
+                <td className="py-2 text-gray-600">
+                  {entry.startAt
+                    ? `${formatTime(entry.startAt, timezone)} – ${entry.endAt ? formatTime(entry.endAt, timezone) : 'now'}`
+                    : '—'}
+                </td>
+                <td className="py-2 text-right font-mono">{formatHours(entry.minutes / 60)}</td>
+                <td className="py-2 text-gray-600">
+                  {entry.allocation
+                    ? `${entry.allocation.type.replace('_', ' ').toLowerCase()}${entry.allocation.label ? `: ${entry.allocation.label}` : ''}`
+                    : '—'}
+                </td>
+                <td className="py-2 text-gray-600">
+                  {entry.taskOccurrenceId ? (
+                    <span title="Logged when the task was completed">{entry.notes}</span>
+                  ) : (
+                    entry.notes || ''
+                  )}
+                </td>
+                <td className="py-2 text-right">
+                  {editable && (
+                    <button onClick={() => handleDelete(entry)} className="text-xs text-red-600 hover:text-red-700">
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase mb-1">Daily Hours</p>
+          {timesheet.days.map((day) => (
+            <div key={day.date} className="flex justify-between">
+              <span className="text-gray-600">{day.date}</span>
+              <span className="font-mono">{formatHours(day.hours)}</span>
+            </div>
+          ))}
+        </div>
+        {canManage && (
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase mb-1">Labor Cost Split</p>
+            {timesheet.allocations.map((allocation) => (
+              <div key={`${allocation.entityType}:${allocation.entityId}`} className="flex justify-between">
+                <span className="text-gray-600">
+                  {allocation.entityType
+                    ? `${allocation.entityType.replace('_', ' ').toLowerCase()}${allocation.label ? `: ${allocation.label}` : ''}`
+                    : 'Unallocated'}
+                </span>
+                <span className="font-mono">{formatCurrency(allocation.amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {editable && (
+        <AddEntryForm
+          timesheet={timesheet}
+          allocationOptions={allocationOptions}
+          onSaved={() => {
+            fetchTimesheet();
+            onChange();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Weekly timesheets: clock in/out, each worker's week, approval and the
+ * payroll export. Approved weeks post to Labor Expense (6400).
+ */
+export default function Timesheets() {
+  const { sites, timezone } = useSite();
+  const [workersData, setWorkersData] = useState({ workers: [], selfWorkerId: null, canManage: false });
+  const [weekStart, setWeekStart] = useState(null);
+  const [week, setWeek] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [actionId, setActionId] = useState(null);
+  const [animalGroups, setAnimalGroups] = useState([]);
+  const [landTracts, setLandTracts] = useState([]);
+  const [exportRange, setExportRange] = useState(() => {
+    const today = todayInTimezone(timezone);
+    return { from: addDaysToKey(today, -27), to: today };
+  });
+
+  const fetchWeek = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [workersResponse, timesheetsResponse] = await Promise.all([
+        laborApi.getWorkers(),
+        laborApi.listTimesheets(weekStart ? { weekStart } : {}),
+      ]);
+      setWorkersData(workersResponse.data);
+      setWeek(timesheetsResponse.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [weekStart]);
+
+  useEffect(() => {
+    fetchWeek();
+  }, [fetchWeek]);
+
+  useEffect(() => {
+    animalsApi
+      .listGroups({ limit: 100 })
+      .then((response) => setAnimalGroups(response?.data?.groups || []))
+      .catch(() => setAnimalGroups([]));
+    landTractsApi
+      .list({ limit: 100 })
+      .then((response) => setLandTracts(response?.data?.tracts || []))
+      .catch(() => setLandTracts([]));
+  }, []);
+
+  const allocationOptions = [
+    { label: 'Sites', options: sites.map((s) => ({ value: `SITE:${s.id}`, label: s.name })) },
+    { label: 'Animal Groups', options: animalGroups.map((g) => ({ value: `ANIMAL_GROUP:${g.id}`, label: g.name })) },
+    { label: 'Land Tracts', options: landTracts.map((t) => ({ value: `LAND_TRACT:${t.id}`, label: t.name })) },
+  ].filter((group) => group.options.length > 0);
+
+  const { canManage } = workersData;
+
+  const shiftWeek = (days) => {
+    setExpandedId(null);
+    setWeekStart(addDaysToKey(week.weekStart, days));
+  };
+
+  const runAction = async (timesheet, action) => {
+    try {
+      setActionId(timesheet.id);
+      if (action === 'submit') {
+        await laborApi.submitTimesheet(timesheet.id);
+      } else if (action === 'approve') {
+        if (!confirm(`Approve ${timesheet.workerName}'s week and post ${formatCurrency(timesheet.totalCost)} to Labor Expense?`)) return;
+        const response = await laborApi.approveTimesheet(timesheet.id);
+        if (response.data?.postingStatus === 'FAILED') {
+          alert(`Approved, but the labor cost did not post: ${response.data.postingError}`);
+        }
+      } else if (action === 'post') {
+        const response = await laborApi.postTimesheet(timesheet.id);
+        if (response.data?.postingStatus === 'FAILED') {
+          alert(`The labor cost still did not post: ${response.data.postingError}`);
+        }
+      } else if (action === 'reject') {
+        const reason = prompt('Why is this timesheet being sent back?');
+        if (reason === null) return;
+        await laborApi.rejectTimesheet(timesheet.id, { reason });
+      }
+      fetchWeek();
+    } catch (err) {
+      alert(err.message || 'Failed to update timesheet');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await laborApi.exportPayroll(exportRange);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payroll-${exportRange.from}-to-${exportRange.to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || 'Failed to export payroll');
+    }
+  };
+
+  const timesheets = week?.timesheets || [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <div className="flex items-center gap-2">
+          <h1 className="text-2xl font-bold text-gray-900">Timesheets</h1>
+          <HelpTooltip
+            content="Clocked shifts, time logged on completed tasks and manual entries roll up into a weekly timesheet per worker. Approved weeks post to Labor Expense (6400) against Wages Payable (2200)."
+            position="right"
+          />
+        </div>
+        <p className="text-gray-600">Clock in and out, review each week and approve it for payroll</p>
+      </div>
+
+      {/* Sub-navigation */}
+      <div className="flex items-center gap-4 border-b border-gray-200">
+        <Link to="/app/tasks" className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-gray-700">
+          Today
+        </Link>
+        <Link to="/app/tasks/templates" className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-gray-700">
+          Task Templates
+        </Link>
+        <Link to="/app/tasks/lists" className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-gray-700">
+          Lists
+        </Link>
+        <Link
+          to="/app/tasks/timesheets"
+          className="px-4 py-2 text-sm font-medium text-primary-600 border-b-2 border-primary-600"
+        >
+          Timesheets
+        </Link>
+      </div>
+
+      {!loading && !error && (
+        <ClockCard
+          key={workersData.selfWorkerId || 'clock'}
+          workers={workersData.workers}
+          selfWorkerId={workersData.selfWorkerId}
+          canManage={canManage}
+          timezone={timezone}
+          onChange={fetchWeek}
+        />
+      )}
+
+      {/* Week */}
+      {week && (
+        <div className="flex items-center justify-between">
+          <button onClick={() => shiftWeek(-7)} className="btn-secondary">
+            ← Previous
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900">Week of {formatWeek(week.weekStart)}</h2>
+          <button onClick={() => shiftWeek(7)} className="btn-secondary">
+            Next →
+          </button>
+        </div>
+      )}
+
+      {loading && !week ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-primary-500 border-t-transparent"></div>
+          <p className="mt-2 text-gray-500">Loading timesheets...</p>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+          <p className="text-red-600">{error}</p>
+          <button onClick={fetchWeek} className="mt-2 text-red-700 underline">
+            Try again
+          </button>
+        </div>
+      ) : timesheets.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-12 text-center">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No workers yet</h3>
+          <p className="text-gray-500 mb-4">Add employees and contractors with a labor rate to track their time</p>
+          <Link to="/app/contacts/new" className="btn-primary">
+            + Add Employee
+          </Link>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Worker</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Regular</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Overtime</th>
+                {canManage && (
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                )}
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {timesheets.map((timesheet) => (
+                <Fragment key={timesheet.id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <button
+                        onClick={() => setExpandedId(expandedId === timesheet.id ? null : timesheet.id)}
+                        className="font-medium text-primary-600 hover:text-primary-700"
+                      >
+                        {timesheet.workerName}
+                      </button>
+                      <p className="text-xs text-gray-500 capitalize">{timesheet.workerType}</p>
+                    </td>
+                    <td className="px-6 py-4 text-right font-mono text-sm">{formatHours(timesheet.regularHours)}</td>
+                    <td className="px-6 py-4 text-right font-mono text-sm">{formatHours(timesheet.overtimeHours)}</td>
+                    {canManage && (
+                      <td className="px-6 py-4 text-right font-mono text-sm">{formatCurrency(timesheet.totalCost)}</td>
+                    )}
+                    <td className="px-6 py-4 text-center">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[timesheet.status]}`}>
+                        {timesheet.status.charAt(0) + timesheet.status.slice(1).toLowerCase()}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap space-x-3 text-sm">
+                      {(timesheet.status === 'OPEN' || timesheet.status === 'REJECTED') && timesheet.totalMinutes > 0 && (
+                        <button
+                          onClick={() => runAction(timesheet, 'submit')}
+                          disabled={actionId === timesheet.id}
+                          className="text-primary-600 hover:text-primary-700"
+                        >
+                          Submit
+                        </button>
+                      )}
+                      {canManage && timesheet.status === 'SUBMITTED' && (
+                        <>
+                          <button
+                            onClick={() => runAction(timesheet, 'approve')}
+                            disabled={actionId === timesheet.id}
+                            className="text-green-600 hover:text-green-700"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => runAction(timesheet, 'reject')}
+                            disabled={actionId === timesheet.id}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      {canManage &&
+                        timesheet.status === 'APPROVED' &&
+                        ['PENDING', 'FAILED'].includes(timesheet.postingStatus) && (
+                          <button
+                            onClick={() => runAction(timesheet, 'post')}
+                            disabled={actionId === timesheet.id}
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            Retry Posting
+                          </button>
+                        )}
+                    </td>
+                  </tr>
+                  {expandedId === timesheet.id && (
+                    <tr>
+                      <td colSpan={canManage ? 6 : 5} className="px-6 py-4 bg-gray-50">
+                        <TimesheetDetail
+                          id={timesheet.id}
+                          timezone={timezone}
+                          canManage={canManage}
+                          allocationOptions={allocationOptions}
+                          onChange={fetchWeek}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Payroll export */}
+      {canManage && (
+        <div className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Weeks Starting From</label>
+              <input
+                type="date"
+                value={exportRange.from}
+                onChange={(e) => setExportRange({ ...exportRange, from: e.target.value })}
+                className="input py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Through</label>
+              <input
+                type="date"
+                value={exportRange.to}
+                onChange={(e) => setExportRange({ ...exportRange, to: e.target.value })}
+                className="input py-2"
+              />
+            </div>
+            <button onClick={handleExport} disabled={!exportRange.from || !exportRange.to} className="btn-secondary">
+              Download Payroll CSV
+            </button>
+            <p className="text-sm text-gray-500">Approved timesheets only, one row per worker per week</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
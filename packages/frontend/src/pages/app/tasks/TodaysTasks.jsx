@@ -1,7 +1,10 @@
 import { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useSite } from '../../../contexts/SiteContext';
-import { tasksApi } from '../../../services/api';
+import { tasksApi, laborApi } from '../../../services/api';
+import { dateKeyInTimezone, todayInTimezone } from '../../../utils/timezone';
+import { AttachmentsPanel, PhotoCapture } from '../../../components/attachments';
+import { CONDITIONS } from '../assets/land/features/featureOptions';
 import {
   DndContext,
   DragOverlay,
@@ -62,6 +65,16 @@ const eventTypeOptions = [
   { value: 'custom', label: 'Other', icon: '📝' },
 ];
 
+const NUMERIC_CAPTURE_TYPES = ['NUMBER', 'TANK_LEVEL', 'TEMPERATURE', 'HEAD_COUNT'];
+
+// Completion payload value for a reading; empty readings are left out
+const toCaptureValue = (capture, raw) => {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (NUMERIC_CAPTURE_TYPES.includes(capture.type)) return Number(raw);
+  if (capture.type === 'YES_NO') return raw === 'yes';
+  return raw;
+};
+
 // Sortable Task Item Component
 function SortableTaskItem({
   task,
@@ -70,6 +83,7 @@ function SortableTaskItem({
   onComplete,
   onSkip,
 }) {
+  const { timezone } = useSite();
   const {
     attributes,
     listeners,
@@ -205,7 +219,7 @@ function SortableTaskItem({
                   d = new Date(task.scheduledDate);
                 }
                 if (isNaN(d.getTime())) return 'No date';
-                return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+                return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: timezone });
               } catch {
                 return 'No date';
               }
@@ -285,12 +299,13 @@ function TaskGroup({ groupKey, group, children, isOver }) {
 }
 
 export default function TodaysTasks() {
-  const { currentSite } = useSite();
+  const { currentSite, timezone } = useSite();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  // "Today" on the farm's clock, not the browser's or UTC
+  const [selectedDate, setSelectedDate] = useState(() => todayInTimezone(timezone));
   const [actionLoading, setActionLoading] = useState(null);
   const [showCompleteModal, setShowCompleteModal] = useState(null);
   const [showSkipModal, setShowSkipModal] = useState(null);
@@ -365,16 +380,8 @@ export default function TodaysTasks() {
 
         // For completed/skipped/cancelled, only show if from selected date
         try {
-          let taskDate;
-          if (task.scheduledDate?._seconds) {
-            // Firestore Timestamp serialized
-            taskDate = new Date(task.scheduledDate._seconds * 1000).toISOString().split('T')[0];
-          } else if (typeof task.scheduledDate === 'string') {
-            taskDate = task.scheduledDate.split('T')[0];
-          } else {
-            taskDate = new Date(task.scheduledDate).toISOString().split('T')[0];
-          }
-          return taskDate === selectedDateStr;
+          // Scheduled dates are local midnight on the farm's clock
+          return dateKeyInTimezone(task.scheduledDate, timezone) === selectedDateStr;
         } catch {
           return false;
         }
@@ -651,6 +658,12 @@ export default function TodaysTasks() {
         >
           Lists
         </Link>
+        <Link
+          to="/app/tasks/timesheets"
+          className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-gray-700"
+        >
+          Timesheets
+        </Link>
       </div>
 
       {/* Progress Card */}
@@ -837,6 +850,29 @@ function CompleteTaskModal({ task, onComplete, onClose, loading }) {
   const [totalCost, setTotalCost] = useState(task.totalCost || '');
   const [totalRevenue, setTotalRevenue] = useState(task.totalRevenue || '');
   const [postToLedger, setPostToLedger] = useState(false);
+  const [featureCondition, setFeatureCondition] = useState('');
+  const [checkedSteps, setCheckedSteps] = useState({});
+  const [captureInputs, setCaptureInputs] = useState({});
+  const [workers, setWorkers] = useState([]);
+  const [workerId, setWorkerId] = useState('');
+
+  // Who did the work; their time goes on their weekly timesheet
+  useEffect(() => {
+    laborApi
+      .getWorkers()
+      .then((response) => {
+        setWorkers(response.data?.workers || []);
+        setWorkerId(response.data?.selfWorkerId || '');
+      })
+      .catch(() => setWorkers([]));
+  }, []);
+
+  const checklist = task.checklist || [];
+  const captures = task.captures || [];
+
+  const setCaptureInput = (key, value) => {
+    setCaptureInputs((prev) => ({ ...prev, [key]: value }));
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -844,6 +880,26 @@ function CompleteTaskModal({ task, onComplete, onClose, loading }) {
       notes,
       actualDurationMinutes: actualDuration ? parseInt(actualDuration) : undefined,
     };
+    if (workerId && actualDuration) {
+      data.labor = { workerId };
+    }
+
+    // Checked-off steps and readings; the API rejects missing required ones
+    if (checklist.length > 0) {
+      data.checklist = checkedSteps;
+    }
+    if (captures.length > 0) {
+      data.captures = {};
+      captures.forEach((capture) => {
+        const value = toCaptureValue(capture, captureInputs[capture.key]);
+        if (value !== undefined) data.captures[capture.key] = value;
+      });
+    }
+
+    // Condition found on the fence/tank this task inspects
+    if (task.spatialFeatureId && featureCondition) {
+      data.featureCondition = featureCondition;
+    }
 
     // Add event data if this is an event
     if (isEvent) {
@@ -865,6 +921,80 @@ function CompleteTaskModal({ task, onComplete, onClose, loading }) {
         <p className="text-gray-600 mb-4">{task.name}</p>
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          {checklist.length > 0 && (
+            <div>
+              <label className="label">Checklist</label>
+              <div className="space-y-2">
+                {checklist.map((step) => (
+                  <label key={step.key} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={checkedSteps[step.key] === true}
+                      onChange={(e) => setCheckedSteps((prev) => ({ ...prev, [step.key]: e.target.checked }))}
+                      required={step.required}
+                      className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    {step.label}
+                    {!step.required && <span className="text-xs text-gray-400">(optional)</span>}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {captures.map((capture) => (
+            <div key={capture.key}>
+              <label className="label">
+                {capture.label}
+                {capture.unit && ` (${capture.unit})`}
+                {!capture.required && <span className="text-xs font-normal text-gray-400"> (optional)</span>}
+              </label>
+              {NUMERIC_CAPTURE_TYPES.includes(capture.type) && (
+                <input
+                  type="number"
+                  value={captureInputs[capture.key] ?? ''}
+                  onChange={(e) => setCaptureInput(capture.key, e.target.value)}
+                  className="input"
+                  min={capture.min ?? undefined}
+                  max={capture.max ?? undefined}
+                  step={capture.type === 'HEAD_COUNT' ? 1 : 'any'}
+                  required={capture.required}
+                />
+              )}
+              {capture.type === 'YES_NO' && (
+                <select
+                  value={captureInputs[capture.key] ?? ''}
+                  onChange={(e) => setCaptureInput(capture.key, e.target.value)}
+                  className="input"
+                  required={capture.required}
+                >
+                  <option value="">Select...</option>
+                  <option value="yes">Yes</option>
+                  <option value="no">No</option>
+                </select>
+              )}
+              {capture.type === 'TEXT' && (
+                <input
+                  type="text"
+                  value={captureInputs[capture.key] ?? ''}
+                  onChange={(e) => setCaptureInput(capture.key, e.target.value)}
+                  className="input"
+                  required={capture.required}
+                />
+              )}
+              {capture.type === 'PHOTO' && (
+                <PhotoCapture
+                  entityType="TASK_OCCURRENCE"
+                  entityId={task.id}
+                  label={capture.label}
+                  value={captureInputs[capture.key]}
+                  onChange={(attachmentId) => setCaptureInput(capture.key, attachmentId)}
+                  required={capture.required}
+                />
+              )}
+            </div>
+          ))}
+
           <div>
             <label className="label">Actual Duration (minutes)</label>
             <input
@@ -877,6 +1007,21 @@ function CompleteTaskModal({ task, onComplete, onClose, loading }) {
             />
           </div>
 
+          {workers.length > 0 && (
+            <div>
+              <label className="label">Worked By</label>
+              <select value={workerId} onChange={(e) => setWorkerId(e.target.value)} className="input">
+                <option value="">Don&apos;t log time</option>
+                {workers.map((worker) => (
+                  <option key={worker.id} value={worker.id}>
+                    {worker.name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">The duration goes on this worker&apos;s timesheet</p>
+            </div>
+          )}
+
           <div>
             <label className="label">Notes (optional)</label>
             <textarea
@@ -888,6 +1033,36 @@ function CompleteTaskModal({ task, onComplete, onClose, loading }) {
             />
           </div>
 
+          <AttachmentsPanel entityType="TASK_OCCURRENCE" entityId={task.id} title="Photos (optional)" compact />
+
+          {task.spatialFeatureId && (
+            <div>
+              <label className="label">Condition Found</label>
+              <select
+                value={featureCondition}
+                onChange={(e) => setFeatureCondition(e.target.value)}
+                className="input"
+              >
+                <option value="">Unchanged</option>
+                {CONDITIONS.map((c) => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">Logged as an inspection on the map feature</p>
+            </div>
+          )}
+
+          {task.maintenancePlanId && task.vehicleId && (
+            <p className="text-sm text-gray-600">
+              Completing this restarts the service interval at the vehicle&apos;s current meters. To log parts
+              and labor, use{' '}
+              <Link to={`/app/assets/vehicles/${task.vehicleId}`} className="text-green-600 hover:text-green-700">
+                Record Service
+              </Link>{' '}
+              on the vehicle instead.
+            </p>
+          )}
+
           {/* Event Section */}
           <div className="border-t border-gray-200 pt-4 mt-4">
             <div className="flex items-center justify-between mb-4">
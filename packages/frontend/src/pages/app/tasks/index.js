@@ -5,3 +5,4 @@ export { default as TaskDetail } from './TaskDetail';
 export { default as RunlistsList } from './RunlistsList';
 export { default as RunlistForm } from './RunlistForm';
 export { default as RunlistDetail } from './RunlistDetail';
+export { default as Timesheets } from './Timesheets';
@@ -23,7 +23,7 @@ class ApiClient {
     };
   }
 
-  async request(endpoint, options = {}) {
+  async request(endpoint, { responseType = 'json', ...options } = {}) {
     const authHeaders = await this.getAuthHeaders();
 
     const config = {
@@ -53,7 +53,7 @@ class ApiClient {
       throw new Error(errorData.error || errorData.message || 'Request failed');
     }
 
-    return response.json();
+    return responseType === 'blob' ? response.blob() : response.json();
   }
 
   get(endpoint, params = {}) {
@@ -79,6 +79,13 @@ class ApiClient {
   delete(endpoint) {
     return this.request(endpoint, { method: 'DELETE' });
   }
+
+  // File downloads (attachments) come back as a Blob instead of JSON
+  getBlob(endpoint, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `${endpoint}?${queryString}` : endpoint;
+    return this.request(url, { method: 'GET', responseType: 'blob' });
+  }
 }
 
 export const api = new ApiClient();
@@ -124,12 +131,21 @@ export const inventoryApi = {
   // Totals/stats
   getTotals: () => api.get('/inventory/totals'),
 
+  // Feed runway forecast
+  getFeedForecast: (params) => api.get('/inventory/forecast/feed', params),
+  raiseFeedReorders: (data) => api.post('/inventory/forecast/feed/reorder', data),
+
   // Metadata
   getCategories: () => api.get('/inventory/categories'),
   getMovementTypes: () => api.get('/inventory/movement-types'),
   getUnits: () => api.get('/inventory/units'),
 };
 
+// Farm (tenant) settings API
+export const tenantApi = {
+  update: (data) => api.patch('/auth/tenant', data),
+};
+
 // Sites API
 export const sitesApi = {
   list: () => api.get('/sites'),
@@ -146,9 +162,50 @@ export const landTractsApi = {
   list: (params) => api.get('/land-tracts', params),
   get: (id) => api.get(`/land-tracts/${id}`),
   create: (data) => api.post('/land-tracts', data),
+  importTracts: (data) => api.post('/land-tracts/import', data),
   update: (id, data) => api.patch(`/land-tracts/${id}`, data),
   updateStatus: (id, data) => api.post(`/land-tracts/${id}/status`, data),
   getStats: (params) => api.get('/land-tracts/stats', params),
+  getOverlaps: (params) => api.get('/land-tracts/overlaps', params),
+  split: (id, data) => api.post(`/land-tracts/${id}/split`, data),
+  merge: (data) => api.post('/land-tracts/merge', data),
+  getLineage: (id) => api.get(`/land-tracts/${id}/lineage`),
+  getGrazing: (id, params) => api.get(`/land-tracts/${id}/grazing`, params),
+  moveGroupIn: (id, data) => api.post(`/land-tracts/${id}/grazing`, data),
+  closeGrazing: (periodId, data) => api.post(`/land-tracts/grazing/${periodId}/close`, data),
+  getRotation: (params) => api.get('/land-tracts/grazing/rotation', params),
+  getSoilTests: (id) => api.get(`/land-tracts/${id}/soil-tests`),
+  createSoilTest: (id, data) => api.post(`/land-tracts/${id}/soil-tests`, data),
+  deleteSoilTest: (testId) => api.delete(`/land-tracts/soil-tests/${testId}`),
+  importSoilTests: (id, data) => api.post(`/land-tracts/${id}/soil-tests/import`, data),
+  getSoilTrends: (id) => api.get(`/land-tracts/${id}/soil-tests/trends`),
+  getSoilRecommendation: (id, params) => api.get(`/land-tracts/${id}/soil-recommendations`, params),
+  getSoilTargets: () => api.get('/land-tracts/soil/targets'),
+  updateSoilTarget: (crop, data) => api.patch(`/land-tracts/soil/targets/${crop}`, data),
+};
+
+// Crops API (crop plans and field operations on FIELD tracts)
+export const cropsApi = {
+  listPlans: (params) => api.get('/crops/plans', params),
+  getPlan: (id) => api.get(`/crops/plans/${id}`),
+  createPlan: (data) => api.post('/crops/plans', data),
+  updatePlan: (id, data) => api.patch(`/crops/plans/${id}`, data),
+  recordOperation: (planId, data) => api.post(`/crops/plans/${planId}/operations`, data),
+  listOperations: (params) => api.get('/crops/operations', params),
+  getOptions: () => api.get('/crops/meta/options'),
+};
+
+// Spatial Features API (fences, pipelines, tanks, gates and wells on site maps)
+export const spatialFeaturesApi = {
+  list: (params) => api.get('/spatial-features', params),
+  get: (id) => api.get(`/spatial-features/${id}`),
+  create: (data) => api.post('/spatial-features', data),
+  update: (id, data) => api.patch(`/spatial-features/${id}`, data),
+  delete: (id) => api.delete(`/spatial-features/${id}`),
+  getSummary: (params) => api.get('/spatial-features/summary', params),
+  getOptions: () => api.get('/spatial-features/meta/options'),
+  logMaintenance: (id, data) => api.post(`/spatial-features/${id}/maintenance`, data),
+  scheduleCheck: (id, data) => api.post(`/spatial-features/${id}/tasks`, data),
 };
 
 // Structures API
@@ -194,6 +251,7 @@ export const animalsApi = {
   delete: (id) => api.delete(`/animals/${id}`),
   updateStatus: (id, data) => api.post(`/animals/${id}/status`, data),
   bulkMove: (data) => api.post('/animals/bulk/move', data),
+  importAnimals: (data) => api.post('/animals/bulk/import', data),
   getStats: (params) => api.get('/animals/stats', params),
 
   // Animal Groups
@@ -202,15 +260,58 @@ export const animalsApi = {
   createGroup: (data) => api.post('/animals/groups', data),
   updateGroup: (id, data) => api.patch(`/animals/groups/${id}`, data),
   deleteGroup: (id) => api.delete(`/animals/groups/${id}`),
+  recordGroupWeighIn: (id, data) => api.post(`/animals/groups/${id}/weigh-ins`, data),
+  getGroupGrowth: (id) => api.get(`/animals/groups/${id}/growth`),
+  getGroupMoves: (id, params) => api.get(`/animals/groups/${id}/moves`, params),
+
+  // Ration plans
+  listRations: (params) => api.get('/animals/rations', params),
+  createRation: (groupId, data) => api.post(`/animals/groups/${groupId}/rations`, data),
+  updateRation: (rationId, data) => api.patch(`/animals/rations/${rationId}`, data),
+
+  // Weights
+  getWeights: (id) => api.get(`/animals/${id}/weights`),
+  recordWeight: (id, data) => api.post(`/animals/${id}/weights`, data),
 
   // Livestock events
   feed: (data) => api.post('/animals/feed', data),
   sell: (data) => api.post('/animals/sell', data),
 
+  // Health records
+  createHealthRecord: (data) => api.post('/animals/health', data),
+  listHealthRecords: (params) => api.get('/animals/health/records', params),
+  getWithdrawals: (params) => api.get('/animals/health/withdrawals', params),
+  getAnimalHealth: (id) => api.get(`/animals/${id}/health`),
+
+  // Breeding
+  createBreedingRecord: (data) => api.post('/animals/breeding', data),
+  listBreedingRecords: (params) => api.get('/animals/breeding/records', params),
+  getBreedingRecord: (recordId) => api.get(`/animals/breeding/records/${recordId}`),
+  recordPregnancyCheck: (recordId, data) =>
+    api.post(`/animals/breeding/records/${recordId}/pregnancy-check`, data),
+  recordPregnancyLoss: (recordId, data) =>
+    api.post(`/animals/breeding/records/${recordId}/loss`, data),
+  recordBirth: (recordId, data) => api.post(`/animals/breeding/records/${recordId}/birth`, data),
+  getUpcomingBirths: (params) => api.get('/animals/breeding/upcoming-births', params),
+  getAnimalBreeding: (id) => api.get(`/animals/${id}/breeding`),
+
+  // Pedigree
+  getPedigree: (id, params) => api.get(`/animals/${id}/pedigree`, params),
+  getDescendants: (id, params) => api.get(`/animals/${id}/descendants`, params),
+  getInbreeding: (params) => api.get('/animals/pedigree/inbreeding', params),
+
+  // Mortality
+  recordMortality: (id, data) => api.post(`/animals/${id}/mortality`, data),
+  listMortalityRecords: (params) => api.get('/animals/mortality/records', params),
+
   // Metadata
   getSpecies: () => api.get('/animals/meta/species'),
   getGroupTypes: () => api.get('/animals/meta/group-types'),
   getStatuses: () => api.get('/animals/meta/statuses'),
+  getHealthRecordTypes: () => api.get('/animals/meta/health-record-types'),
+  getAdministrationRoutes: () => api.get('/animals/meta/administration-routes'),
+  getGestationPeriods: () => api.get('/animals/meta/gestation-periods'),
+  getMortalityOptions: () => api.get('/animals/meta/mortality-options'),
 };
 
 // Tasks API
@@ -259,10 +360,16 @@ export const tasksApi = {
   // Statistics
   getStats: (params) => api.get('/tasks/stats', params),
 
+  // Readings captured on completion (tank levels, temperatures, head counts...)
+  getReadingSeries: () => api.get('/tasks/readings/series'),
+  getReadings: (params) => api.get('/tasks/readings', params),
+
   // Metadata
   getCategories: () => api.get('/tasks/categories'),
   getPriorities: () => api.get('/tasks/priorities'),
   getRecurrencePatterns: () => api.get('/tasks/recurrence-patterns'),
+  getCaptureTypes: () => api.get('/tasks/capture-types'),
+  previewRecurrence: (data) => api.post('/tasks/recurrence/preview', data),
   getStatuses: () => api.get('/tasks/statuses'),
 };
 
@@ -439,6 +546,17 @@ export const assetsApi = {
 
   // Status change (dispose/archive)
   updateStatus: (id, data) => api.post(`/assets/${id}/status`, data),
+
+  // Equipment meters and attachments
+  getMeterReadings: (id, params) => api.get(`/assets/${id}/meter-readings`, params),
+  recordMeterReading: (id, data) => api.post(`/assets/${id}/meter-readings`, data),
+  attach: (id, hostId) => api.post(`/assets/${id}/attach`, { hostId }),
+  detach: (id) => api.post(`/assets/${id}/detach`),
+
+  // Tool check-out / check-in
+  getCheckouts: (params) => api.get('/assets/tools/checkouts', params),
+  checkOut: (id, data) => api.post(`/assets/${id}/check-out`, data),
+  checkIn: (id, data) => api.post(`/assets/${id}/check-in`, data),
 };
 
 // Vehicles API
@@ -448,6 +566,60 @@ export const vehiclesApi = {
   create: (data) => api.post('/vehicles', data),
   update: (id, data) => api.patch(`/vehicles/${id}`, data),
   updateStatus: (id, data) => api.post(`/vehicles/${id}/status`, data),
+
+  // Maintenance
+  getDueMaintenance: (params) => api.get('/vehicles/maintenance/due', params),
+  generateMaintenanceTasks: (data) => api.post('/vehicles/maintenance/generate-tasks', data),
+  getMaintenancePlans: (id, params) => api.get(`/vehicles/${id}/maintenance-plans`, params),
+  createMaintenancePlan: (id, data) => api.post(`/vehicles/${id}/maintenance-plans`, data),
+  updateMaintenancePlan: (id, planId, data) => api.patch(`/vehicles/${id}/maintenance-plans/${planId}`, data),
+  getMeterReadings: (id, params) => api.get(`/vehicles/${id}/meter-readings`, params),
+  recordMeterReading: (id, data) => api.post(`/vehicles/${id}/meter-readings`, data),
+  getServices: (id, params) => api.get(`/vehicles/${id}/services`, params),
+  recordService: (id, data) => api.post(`/vehicles/${id}/services`, data),
+
+  // Fuel log
+  getFuelLog: (id, params) => api.get(`/vehicles/${id}/fuel`, params),
+  recordFuel: (id, data) => api.post(`/vehicles/${id}/fuel`, data),
+};
+
+// Fixed Assets (depreciation register) API
+export const fixedAssetsApi = {
+  list: (params) => api.get('/fixed-assets', params),
+  get: (id) => api.get(`/fixed-assets/${id}`),
+  create: (data) => api.post('/fixed-assets', data),
+  update: (id, data) => api.patch(`/fixed-assets/${id}`, data),
+  preview: (data) => api.post('/fixed-assets/preview', data),
+  runDepreciation: (data) => api.post('/fixed-assets/depreciation/run', data),
+  dispose: (id, data) => api.post(`/fixed-assets/${id}/dispose`, data),
+};
+
+// Attachments API (documents and photos on records)
+export const attachmentsApi = {
+  list: (entityType, entityId) => api.get('/attachments', { entityType, entityId }),
+  upload: (data) => api.post('/attachments', data),
+  update: (id, data) => api.patch(`/attachments/${id}`, data),
+  delete: (id) => api.delete(`/attachments/${id}`),
+  download: (id, params) => api.getBlob(`/attachments/${id}/download`, params),
+};
+
+// Labor API (clock-in/out, time entries and weekly timesheets)
+export const laborApi = {
+  getWorkers: (params) => api.get('/labor/workers', params),
+  getClock: (params) => api.get('/labor/clock', params),
+  clockIn: (data) => api.post('/labor/clock-in', data),
+  clockOut: (data) => api.post('/labor/clock-out', data),
+  listTimeEntries: (params) => api.get('/labor/time-entries', params),
+  createTimeEntry: (data) => api.post('/labor/time-entries', data),
+  updateTimeEntry: (id, data) => api.patch(`/labor/time-entries/${id}`, data),
+  deleteTimeEntry: (id) => api.delete(`/labor/time-entries/${id}`),
+  listTimesheets: (params) => api.get('/labor/timesheets', params),
+  getTimesheet: (id) => api.get(`/labor/timesheets/${id}`),
+  submitTimesheet: (id) => api.post(`/labor/timesheets/${id}/submit`),
+  approveTimesheet: (id) => api.post(`/labor/timesheets/${id}/approve`),
+  postTimesheet: (id) => api.post(`/labor/timesheets/${id}/post`),
+  rejectTimesheet: (id, data) => api.post(`/labor/timesheets/${id}/reject`, data),
+  exportPayroll: (params) => api.getBlob('/labor/payroll-export', params),
 };
 
 // Billing API
@@ -0,0 +1,12 @@
+/**
+ * File helpers for uploads
+ */
+
+// FileReader gives a data URL; the API takes the bare base64 payload
+export const readAsBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result.split(',')[1] || '');
+    reader.onerror = () => reject(new Error('Could not read file'));
+    reader.readAsDataURL(file);
+  });
@@ -0,0 +1,343 @@
+/**
+ * Geometry file import/export - KML/KMZ, GeoJSON and zipped Shapefiles
+ * Everything is normalized to the GeoJSON Polygon shape the app stores
+ * (single outer ring, [lng, lat], closed).
+ */
+
+import JSZip from 'jszip';
+import shp from 'shpjs';
+import shpwrite from '@mapbox/shp-write';
+import { kml as kmlToGeoJSON } from '@tmcw/togeojson';
+
+export const GeometryFormat = {
+  GEOJSON: 'GEOJSON',
+  KML: 'KML',
+  KMZ: 'KMZ',
+  SHAPEFILE: 'SHAPEFILE',
+};
+
+export const EXPORT_FORMATS = [
+  { value: GeometryFormat.GEOJSON, label: 'GeoJSON (.geojson)' },
+  { value: GeometryFormat.KML, label: 'KML (.kml)' },
+  { value: GeometryFormat.KMZ, label: 'KMZ (.kmz)' },
+  { value: GeometryFormat.SHAPEFILE, label: 'Shapefile (.zip)' },
+];
+
+/**
+ * Detect the import format from a file name
+ * @param {string} fileName
+ * @returns {string|null} GeometryFormat value
+ */
+export function detectGeometryFormat(fileName) {
+  const ext = fileName.split('.').pop().toLowerCase();
+  if (ext === 'geojson' || ext === 'json') return GeometryFormat.GEOJSON;
+  if (ext === 'kml') return GeometryFormat.KML;
+  if (ext === 'kmz') return GeometryFormat.KMZ;
+  if (ext === 'zip') return GeometryFormat.SHAPEFILE;
+  return null;
+}
+
+/**
+ * Round a ring to the app's Polygon shape: 2D, 7 decimals, closed
+ */
+function normalizeRing(ring) {
+  const coords = ring.map(([lng, lat]) => [
+    Math.round(lng * 1e7) / 1e7,
+    Math.round(lat * 1e7) / 1e7,
+  ]);
+
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    coords.push([...first]);
+  }
+  return coords;
+}
+
+/**
+ * Split any geometry into app Polygons. Multi-part features become one
+ * polygon per part; holes are dropped because tracts are drawn and measured
+ * from their outer ring. Points and lines are not boundaries and are skipped.
+ * @returns {Object[]} GeoJSON Polygon objects
+ */
+function toPolygons(geometry) {
+  if (!geometry) return [];
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return geometry.coordinates?.[0]
+        ? [{ type: 'Polygon', coordinates: [normalizeRing(geometry.coordinates[0])] }]
+        : [];
+    case 'MultiPolygon':
+      return geometry.coordinates
+        .filter((polygon) => polygon?.[0])
+        .map((polygon) => ({ type: 'Polygon', coordinates: [normalizeRing(polygon[0])] }));
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(toPolygons);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Flatten a FeatureCollection into importable polygon features
+ * @returns {{ features: Object[], skipped: number }}
+ */
+function flattenFeatures(collection) {
+  let sourceFeatures = [];
+  if (collection.type === 'FeatureCollection') {
+    sourceFeatures = collection.features || [];
+  } else if (collection.type === 'Feature') {
+    sourceFeatures = [collection];
+  } else if (collection.type) {
+    sourceFeatures = [{ type: 'Feature', properties: {}, geometry: collection }];
+  }
+
+  const features = [];
+  let skipped = 0;
+
+  sourceFeatures.forEach((feature, index) => {
+    const polygons = toPolygons(feature.geometry);
+    if (polygons.length === 0) {
+      skipped++;
+      return;
+    }
+
+    polygons.forEach((geometry, part) => {
+      features.push({
+        key: polygons.length > 1 ? `${index}-${part}` : String(index),
+        sourceId: feature.id ?? index,
+        part: polygons.length > 1 ? part + 1 : null,
+        properties: feature.properties || {},
+        geometry,
+      });
+    });
+  });
+
+  return { features, skipped };
+}
+
+/**
+ * Read a KML document string into GeoJSON
+ */
+function parseKml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The KML file is not valid XML');
+  }
+  return kmlToGeoJSON(doc);
+}
+
+/**
+ * Parse a boundary file into polygon features
+ * @param {File} file - .geojson/.json, .kml, .kmz or a zipped Shapefile
+ * @returns {Promise<{ format: string, features: Object[], attributes: string[], skipped: number }>}
+ */
+export async function parseGeometryFile(file) {
+  const format = detectGeometryFormat(file.name);
+  let collection;
+
+  switch (format) {
+    case GeometryFormat.GEOJSON:
+      try {
+        collection = JSON.parse(await file.text());
+      } catch {
+        throw new Error('The GeoJSON file is not valid JSON');
+      }
+      break;
+    case GeometryFormat.KML:
+      collection = parseKml(await file.text());
+      break;
+    case GeometryFormat.KMZ: {
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+      const kmlEntry = zip.file('doc.kml') || zip.file(/\.kml$/i)[0];
+      if (!kmlEntry) {
+        throw new Error('The KMZ file does not contain a KML document');
+      }
+      collection = parseKml(await kmlEntry.async('text'));
+      break;
+    }
+    case GeometryFormat.SHAPEFILE: {
+      // shpjs reprojects to WGS84 using the .prj in the zip
+      const layers = await shp(await file.arrayBuffer());
+      collection = {
+        type: 'FeatureCollection',
+        features: (Array.isArray(layers) ? layers : [layers]).flatMap((layer) => layer.features || []),
+      };
+      break;
+    }
+    default:
+      throw new Error('Unsupported file type - use .geojson, .json, .kml, .kmz or a zipped Shapefile (.zip)');
+  }
+
+  const { features, skipped } = flattenFeatures(collection);
+
+  // Attribute names for mapping - only scalar values are useful as names/types
+  const attributes = [
+    ...new Set(
+      features.flatMap((f) =>
+        Object.keys(f.properties).filter((key) => {
+          const value = f.properties[key];
+          return value !== null && typeof value !== 'object';
+        })
+      )
+    ),
+  ];
+
+  return { format, features, attributes, skipped };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Build one FeatureCollection of site boundaries and land tracts
+ * @param {Object[]} sites - sites with boundaryGeometry
+ * @param {Object[]} tracts - land tracts with geometry
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function buildBoundaryCollection(sites, tracts) {
+  const siteNames = Object.fromEntries(sites.map((s) => [s.id, s.name]));
+
+  const siteFeatures = sites
+    .filter((site) => site.boundaryGeometry)
+    .map((site) => ({
+      type: 'Feature',
+      geometry: site.boundaryGeometry,
+      properties: {
+        kind: 'SITE',
+        id: site.id,
+        name: site.name,
+        code: site.code || '',
+        type: site.type || '',
+        acres: site.boundaryAreaAcres || 0,
+        site: site.name,
+      },
+    }));
+
+  const tractFeatures = tracts
+    .filter((tract) => tract.geometry)
+    .map((tract) => ({
+      type: 'Feature',
+      geometry: tract.geometry,
+      properties: {
+        kind: 'TRACT',
+        id: tract.id,
+        name: tract.name,
+        code: tract.code || '',
+        type: tract.type,
+        acres: tract.areaAcres || 0,
+        site: siteNames[tract.siteId] || '',
+      },
+    }));
+
+  return { type: 'FeatureCollection', features: [...siteFeatures, ...tractFeatures] };
+}
+
+/**
+ * Serialize a FeatureCollection of Polygons to KML, one folder per kind
+ */
+export function toKml(collection, documentName = 'SteadStack Boundaries') {
+  const folders = [
+    { kind: 'SITE', name: 'Sites' },
+    { kind: 'TRACT', name: 'Land Tracts' },
+  ];
+
+  const placemark = (feature) => {
+    const { properties, geometry } = feature;
+    const coordinates = geometry.coordinates[0].map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const data = Object.entries(properties)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(properties.name)}</name>`,
+      `<ExtendedData>${data}</ExtendedData>`,
+      '<Polygon><outerBoundaryIs><LinearRing>',
+      `<coordinates>${coordinates}</coordinates>`,
+      '</LinearRing></outerBoundaryIs></Polygon>',
+      '</Placemark>',
+    ].join('');
+  };
+
+  const body = folders
+    .map(({ kind, name }) => {
+      const placemarks = collection.features.filter((f) => f.properties.kind === kind).map(placemark);
+      return placemarks.length ? `<Folder><name>${name}</name>${placemarks.join('\n')}</Folder>` : '';
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(documentName)}</name>`,
+    body,
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+}
+
+/**
+ * Export a FeatureCollection in the requested format
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {string} format - GeometryFormat value
+ * @param {string} baseName - file name without extension
+ * @returns {Promise<{ blob: Blob, fileName: string }>}
+ */
+export async function exportBoundaries(collection, format, baseName) {
+  switch (format) {
+    case GeometryFormat.GEOJSON:
+      return {
+        blob: new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' }),
+        fileName: `${baseName}.geojson`,
+      };
+    case GeometryFormat.KML:
+      return {
+        blob: new Blob([toKml(collection, baseName)], { type: 'application/vnd.google-earth.kml+xml' }),
+        fileName: `${baseName}.kml`,
+      };
+    case GeometryFormat.KMZ: {
+      const zip = new JSZip();
+      zip.file('doc.kml', toKml(collection, baseName));
+      return {
+        blob: await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }),
+        fileName: `${baseName}.kmz`,
+      };
+    }
+    case GeometryFormat.SHAPEFILE:
+      // WGS84 .prj is written by default
+      return {
+        blob: await shpwrite.zip(collection, {
+          outputType: 'blob',
+          compression: 'DEFLATE',
+          types: { polygon: baseName },
+        }),
+        fileName: `${baseName}.zip`,
+      };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * Trigger a browser download for a Blob
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -1,10 +1,55 @@
 /**
- * Geometry utilities for working with Google Maps and GeoJSON
+ * Geometry utilities for working with GeoJSON and the map backends
+ * Area and point-in-polygon are computed here rather than by the map library
+ * so results are the same on Google Maps and Leaflet.
  */
 
 // Conversion factor: square meters to acres
 const SQ_METERS_TO_ACRES = 0.000247105;
 
+// Same sphere Google Maps uses for geometry.spherical.computeArea
+const EARTH_RADIUS_METERS = 6378137;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Signed area of the polar triangle formed by two path vertices and the pole
+ */
+function polarTriangleArea(tan1, lng1, tan2, lng2) {
+  const deltaLng = lng1 - lng2;
+  const t = tan1 * tan2;
+  return 2 * Math.atan2(t * Math.sin(deltaLng), 1 + t * Math.cos(deltaLng));
+}
+
+/**
+ * Area of a closed path on the sphere in square meters
+ * @param {Array} path - Array of {lat, lng} objects (not closed)
+ * @returns {number} Square meters
+ */
+function computeSphericalArea(path) {
+  if (path.length < 3) return 0;
+
+  let total = 0;
+  const prev = path[path.length - 1];
+  let prevTanLat = Math.tan((Math.PI / 2 - toRadians(prev.lat)) / 2);
+  let prevLng = toRadians(prev.lng);
+
+  for (const point of path) {
+    const tanLat = Math.tan((Math.PI / 2 - toRadians(point.lat)) / 2);
+    const lng = toRadians(point.lng);
+    total += polarTriangleArea(tanLat, lng, prevTanLat, prevLng);
+    prevTanLat = tanLat;
+    prevLng = lng;
+  }
+
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS);
+}
+
+const roundArea = (sqMeters) => ({
+  sqMeters: Math.round(sqMeters * 100) / 100,
+  acres: Math.round(sqMeters * SQ_METERS_TO_ACRES * 100) / 100
+});
+
 /**
  * Convert Google Maps Polygon to GeoJSON Polygon
  * @param {google.maps.Polygon} polygon - Google Maps polygon
@@ -47,23 +92,12 @@ export function geoJSONToLatLngArray(geoJSON) {
 }
 
 /**
- * Calculate area of a polygon using Google Maps Geometry library
+ * Calculate area of a Google Maps polygon
  * @param {google.maps.Polygon} polygon - Google Maps polygon
  * @returns {Object} Area in square meters and acres
  */
 export function calculatePolygonArea(polygon) {
-  if (!window.google?.maps?.geometry?.spherical) {
-    console.warn('Google Maps Geometry library not loaded');
-    return { sqMeters: 0, acres: 0 };
-  }
-
-  const sqMeters = window.google.maps.geometry.spherical.computeArea(polygon.getPath());
-  const acres = sqMeters * SQ_METERS_TO_ACRES;
-
-  return {
-    sqMeters: Math.round(sqMeters * 100) / 100,
-    acres: Math.round(acres * 100) / 100
-  };
+  return calculateGeoJSONArea(polygonToGeoJSON(polygon));
 }
 
 /**
@@ -72,22 +106,10 @@ export function calculatePolygonArea(polygon) {
  * @returns {Object} Area in square meters and acres
  */
 export function calculateGeoJSONArea(geoJSON) {
-  if (!window.google?.maps?.geometry?.spherical) {
-    console.warn('Google Maps Geometry library not loaded');
-    return { sqMeters: 0, acres: 0 };
-  }
-
   const path = geoJSONToLatLngArray(geoJSON);
   if (path.length < 3) return { sqMeters: 0, acres: 0 };
 
-  const latLngs = path.map(p => new window.google.maps.LatLng(p.lat, p.lng));
-  const sqMeters = window.google.maps.geometry.spherical.computeArea(latLngs);
-  const acres = sqMeters * SQ_METERS_TO_ACRES;
-
-  return {
-    sqMeters: Math.round(sqMeters * 100) / 100,
-    acres: Math.round(acres * 100) / 100
-  };
+  return roundArea(computeSphericalArea(path));
 }
 
 /**
@@ -119,24 +141,25 @@ export function calculateCentroid(geoJSON) {
 }
 
 /**
- * Check if a point is inside a polygon
+ * Check if a point is inside a polygon (ray casting on lat/lng)
  * @param {Object} point - {lat, lng} point
  * @param {Object} geoJSON - GeoJSON Polygon object
  * @returns {boolean} True if point is inside polygon
  */
 export function isPointInPolygon(point, geoJSON) {
-  if (!window.google?.maps?.geometry?.poly) {
-    console.warn('Google Maps Geometry library not loaded');
-    return false;
-  }
-
   const path = geoJSONToLatLngArray(geoJSON);
   if (path.length < 3) return false;
 
-  const latLng = new window.google.maps.LatLng(point.lat, point.lng);
-  const polygon = new window.google.maps.Polygon({ paths: path });
+  let inside = false;
+  for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+    const a = path[i];
+    const b = path[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
 
-  return window.google.maps.geometry.poly.containsLocation(latLng, polygon);
+  return inside;
 }
 
 /**
@@ -184,6 +207,24 @@ export function getGeoJSONBounds(geoJSON) {
   return bounds;
 }
 
+/**
+ * Get the lat/lng extent of a GeoJSON geometry, map-library independent
+ * @param {Object} geoJSON - GeoJSON Polygon, LineString or Point object
+ * @returns {Array|null} [[south, west], [north, east]] or null
+ */
+export function getGeoJSONExtent(geoJSON) {
+  const path = geoJSON?.type === 'Polygon' ? geoJSONToLatLngArray(geoJSON) : featureToLatLngArray(geoJSON);
+  if (path.length === 0) return null;
+
+  const lats = path.map(p => p.lat);
+  const lngs = path.map(p => p.lng);
+
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)]
+  ];
+}
+
 /**
  * Format acres for display
  * @param {number} acres - Acreage value
@@ -235,3 +276,56 @@ export function validatePolygon(geoJSON) {
 
   return { valid: true, area };
 }
+
+/**
+ * Convert a GeoJSON Point or LineString to {lat, lng} objects
+ * @param {Object} geoJSON - GeoJSON Point or LineString object
+ * @returns {Array} Array of {lat, lng} objects (one for a Point)
+ */
+export function featureToLatLngArray(geoJSON) {
+  if (geoJSON?.type === 'Point' && geoJSON.coordinates) {
+    const [lng, lat] = geoJSON.coordinates;
+    return [{ lat, lng }];
+  }
+  if (geoJSON?.type === 'LineString' && geoJSON.coordinates) {
+    return geoJSON.coordinates.map(([lng, lat]) => ({ lat, lng }));
+  }
+  return [];
+}
+
+/**
+ * Length of a GeoJSON LineString along great circles
+ * The server measures on the WGS84 ellipsoid; this is for live display while
+ * drawing and agrees to within about 0.5%.
+ * @param {Object} geoJSON - GeoJSON LineString object
+ * @returns {Object} Length in meters and feet
+ */
+export function calculateLineLength(geoJSON) {
+  const path = featureToLatLngArray(geoJSON);
+
+  let meters = 0;
+  for (let i = 1; i < path.length; i++) {
+    const dLat = toRadians(path[i].lat - path[i - 1].lat);
+    const dLng = toRadians(path[i].lng - path[i - 1].lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(path[i - 1].lat)) * Math.cos(toRadians(path[i].lat)) * Math.sin(dLng / 2) ** 2;
+    meters += 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+
+  return {
+    meters: Math.round(meters * 100) / 100,
+    feet: Math.round((meters / 0.3048) * 10) / 10
+  };
+}
+
+/**
+ * Format a length in feet for display
+ * @param {number} feet - Length in feet
+ * @returns {string} Formatted string, with miles past a quarter mile
+ */
+export function formatFeet(feet) {
+  if (feet === null || feet === undefined) return '—';
+
+  const feetStr = `${Math.round(feet).toLocaleString()} ft`;
+  return feet >= 1320 ? `${feetStr} (${(feet / 5280).toFixed(2)} mi)` : feetStr;
+}
@@ -0,0 +1,57 @@
+/**
+ * Timezone utilities
+ * A farm's "today" follows the farm's clock (site timezone, else the
+ * tenant's), not the browser's or UTC. Dates are YYYY-MM-DD strings, the
+ * same form the API takes for task dates and report ranges.
+ */
+
+// Zones offered in settings; any IANA zone the API accepts also works
+export const TIMEZONE_OPTIONS = [
+  { value: 'America/New_York', label: 'Eastern Time (ET)' },
+  { value: 'America/Chicago', label: 'Central Time (CT)' },
+  { value: 'America/Denver', label: 'Mountain Time (MT)' },
+  { value: 'America/Phoenix', label: 'Mountain Time - Arizona (no DST)' },
+  { value: 'America/Los_Angeles', label: 'Pacific Time (PT)' },
+  { value: 'America/Anchorage', label: 'Alaska Time (AKT)' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii Time (HT)' },
+  { value: 'America/Halifax', label: 'Atlantic Time (AT)' },
+  { value: 'America/Regina', label: 'Central Time - Saskatchewan (no DST)' },
+  { value: 'Europe/London', label: 'United Kingdom (GMT/BST)' },
+  { value: 'Australia/Sydney', label: 'Australia Eastern (AET)' },
+  { value: 'Pacific/Auckland', label: 'New Zealand (NZT)' },
+];
+
+export const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * The calendar date (YYYY-MM-DD) an instant falls on in a timezone
+ */
+export function dateKeyInTimezone(date, timezone) {
+  const value = date?._seconds ? new Date(date._seconds * 1000) : new Date(date);
+  try {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(value);
+  } catch {
+    // Unknown zone: fall back to the browser's clock
+    return new Intl.DateTimeFormat('en-CA').format(value);
+  }
+}
+
+/**
+ * Today's date (YYYY-MM-DD) on the farm's clock
+ */
+export function todayInTimezone(timezone) {
+  return dateKeyInTimezone(new Date(), timezone);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ */
+export function addDaysToKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}